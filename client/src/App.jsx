@@ -2,6 +2,9 @@ import React, { useState } from 'react';
 import { BrowserRouter, Routes, Route, Link, useLocation } from 'react-router-dom';
 import LoginForm from './components/LoginForm';
 import RegisterForm from './components/RegisterForm';
+import ForgotPasswordForm from './components/ForgotPasswordForm';
+import ResetPasswordForm from './components/ResetPasswordForm';
+import VerifyInvoice from './components/VerifyInvoice';
 import PaymentDashboard from './components/PaymentDashboard';
 import EmployeeLogin from './components/employee/EmployeeLogin';
 import EmployeeDashboard from './components/employee/EmployeeDashboard';
@@ -128,6 +131,9 @@ function App() {
       <Routes>
         <Route path="/" element={<CustomerPortal />} />
         <Route path="/employee" element={<EmployeePortal />} />
+        <Route path="/forgot-password" element={<ForgotPasswordForm />} />
+        <Route path="/reset-password" element={<ResetPasswordForm />} />
+        <Route path="/verify-invoice" element={<VerifyInvoice />} />
         <Route
           path="*"
           element={
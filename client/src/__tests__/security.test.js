@@ -1,6 +1,7 @@
 import React from 'react';
 import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import '@testing-library/jest-dom';
+import { MemoryRouter } from 'react-router-dom';
 import LoginForm from '../components/LoginForm';
 import RegisterForm from '../components/RegisterForm';
 
@@ -8,7 +9,11 @@ describe('Client-Side Security Tests', () => {
   describe('LoginForm Validation', () => {
     test('should validate email format using RFC-5322 regex', async () => {
       const mockSwitchToRegister = jest.fn();
-      render(<LoginForm onSwitchToRegister={mockSwitchToRegister} />);
+      render(
+        <MemoryRouter>
+          <LoginForm onSwitchToRegister={mockSwitchToRegister} />
+        </MemoryRouter>
+      );
 
       const emailInput = screen.getByLabelText(/email/i);
       const submitButton = screen.getByRole('button', { name: /login/i });
@@ -25,7 +30,11 @@ describe('Client-Side Security Tests', () => {
 
     test('should validate password complexity', async () => {
       const mockSwitchToRegister = jest.fn();
-      render(<LoginForm onSwitchToRegister={mockSwitchToRegister} />);
+      render(
+        <MemoryRouter>
+          <LoginForm onSwitchToRegister={mockSwitchToRegister} />
+        </MemoryRouter>
+      );
 
       const passwordInput = screen.getByLabelText(/password/i);
       const submitButton = screen.getByRole('button', { name: /login/i });
@@ -42,7 +51,11 @@ describe('Client-Side Security Tests', () => {
 
     test('should prevent submission with invalid data', () => {
       const mockSwitchToRegister = jest.fn();
-      render(<LoginForm onSwitchToRegister={mockSwitchToRegister} />);
+      render(
+        <MemoryRouter>
+          <LoginForm onSwitchToRegister={mockSwitchToRegister} />
+        </MemoryRouter>
+      );
 
       const form = screen.getByRole('button', { name: /login/i }).closest('form');
       const submitButton = screen.getByRole('button', { name: /login/i });
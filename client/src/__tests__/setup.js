@@ -6,6 +6,10 @@
  */
 
 import '@testing-library/jest-dom';
+import { TextEncoder, TextDecoder } from 'util';
+
+// jsdom does not provide TextEncoder/TextDecoder, which react-router needs
+Object.assign(global, { TextEncoder, TextDecoder });
 
 // Mock import.meta for Vite environment variables
 global.importMeta = {
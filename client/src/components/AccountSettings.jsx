@@ -0,0 +1,373 @@
+/**
+ * Account Settings Component (Customer)
+ * Profile and contact details, password change, two-factor, active sessions
+ * and account closure
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { API_ENDPOINTS, getSecureFetchOptions, fetchCSRFToken } from '../config/api';
+import { ConfirmDialog, LoadingSpinner, showToast } from './ui';
+import { FiUser, FiLock, FiXCircle } from 'react-icons/fi';
+import MfaSettings from './MfaSettings';
+import SessionsPanel from './SessionsPanel';
+
+const panelStyle = {
+  maxWidth: '800px',
+  margin: '0 auto 1.5rem',
+  padding: '1.5rem',
+  backgroundColor: 'rgba(17, 24, 39, 0.85)',
+  border: '1px solid #374151',
+  borderRadius: '12px',
+  color: '#e5e7eb',
+};
+
+const headingStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  gap: '0.5rem',
+  margin: '0 0 1rem',
+  fontSize: '1.25rem',
+  fontWeight: '600',
+};
+
+const labelStyle = {
+  display: 'block',
+  marginBottom: '0.25rem',
+  color: '#9ca3af',
+  fontSize: '0.8125rem',
+};
+
+const inputStyle = {
+  width: '100%',
+  padding: '0.625rem 0.75rem',
+  backgroundColor: 'rgba(17, 24, 39, 0.8)',
+  border: '1px solid #374151',
+  borderRadius: '6px',
+  color: '#e5e7eb',
+  fontSize: '0.9375rem',
+  outline: 'none',
+  boxSizing: 'border-box',
+};
+
+const buttonStyle = (color, disabled) => ({
+  padding: '0.625rem 1rem',
+  backgroundColor: color,
+  color: '#fff',
+  border: 'none',
+  borderRadius: '6px',
+  cursor: disabled ? 'not-allowed' : 'pointer',
+  opacity: disabled ? 0.6 : 1,
+  fontWeight: '500',
+});
+
+const emptyAddress = { line1: '', line2: '', city: '', postalCode: '', country: '' };
+
+const Field = ({ label, children }) => (
+  <label style={{ display: 'block' }}>
+    <span style={labelStyle}>{label}</span>
+    {children}
+  </label>
+);
+
+const AccountSettings = ({ onSignedOut }) => {
+  const [profile, setProfile] = useState(null);
+  const [form, setForm] = useState({ name: '', phone: '', address: emptyAddress });
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [passwords, setPasswords] = useState({ currentPassword: '', newPassword: '', confirm: '' });
+  const [closure, setClosure] = useState({ password: '', reason: '' });
+  const [confirmClose, setConfirmClose] = useState(false);
+
+  const applyProfile = user => {
+    setProfile(user);
+    setForm({ name: user.name, phone: user.phone, address: { ...emptyAddress, ...user.address } });
+  };
+
+  const fetchProfile = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await fetch(API_ENDPOINTS.AUTH_PROFILE, getSecureFetchOptions('GET'));
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to fetch profile');
+      }
+
+      applyProfile(data.user);
+    } catch (err) {
+      showToast.error(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchProfile();
+  }, [fetchProfile]);
+
+  const send = async (method, url, body) => {
+    const csrfToken = await fetchCSRFToken();
+    const response = await fetch(url, getSecureFetchOptions(method, body, csrfToken));
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.errors?.[0]?.message || data.message || 'Request failed');
+    }
+    return data;
+  };
+
+  const run = async action => {
+    setSaving(true);
+    try {
+      await action();
+    } catch (err) {
+      showToast.error(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const saveProfile = e => {
+    e.preventDefault();
+    run(async () => {
+      const data = await send('PATCH', API_ENDPOINTS.AUTH_PROFILE, form);
+      applyProfile(data.user);
+      showToast.success(data.message);
+    });
+  };
+
+  const changePassword = e => {
+    e.preventDefault();
+    if (passwords.newPassword !== passwords.confirm) {
+      showToast.error('New passwords do not match');
+      return;
+    }
+
+    run(async () => {
+      const data = await send('POST', API_ENDPOINTS.AUTH_PROFILE_PASSWORD, {
+        currentPassword: passwords.currentPassword,
+        newPassword: passwords.newPassword,
+      });
+      setPasswords({ currentPassword: '', newPassword: '', confirm: '' });
+      showToast.success(data.message);
+    });
+  };
+
+  const closeAccount = () => {
+    setConfirmClose(false);
+    run(async () => {
+      const data = await send('POST', API_ENDPOINTS.AUTH_PROFILE_CLOSE, {
+        password: closure.password,
+        ...(closure.reason.trim() && { reason: closure.reason.trim() }),
+      });
+      showToast.success(data.message);
+      onSignedOut();
+    });
+  };
+
+  const setAddress = (field, value) =>
+    setForm(prev => ({ ...prev, address: { ...prev.address, [field]: value } }));
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div>
+      <form onSubmit={saveProfile} style={panelStyle}>
+        <h2 style={headingStyle}>
+          <FiUser style={{ color: '#60a5fa' }} />
+          Profile
+        </h2>
+        {profile && (
+          <p style={{ margin: '0 0 1rem', color: '#9ca3af', fontSize: '0.875rem' }}>
+            {profile.email} • Account {profile.accountNumber} ({profile.accountType})
+          </p>
+        )}
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '0.75rem' }}>
+          <Field label="Full name">
+            <input
+              value={form.name}
+              onChange={e => setForm(prev => ({ ...prev, name: e.target.value }))}
+              maxLength={100}
+              required
+              style={inputStyle}
+            />
+          </Field>
+          <Field label="Phone">
+            <input
+              type="tel"
+              value={form.phone}
+              onChange={e => setForm(prev => ({ ...prev, phone: e.target.value }))}
+              placeholder="+27 82 555 0100"
+              maxLength={20}
+              style={inputStyle}
+            />
+          </Field>
+          <Field label="Address line 1">
+            <input
+              value={form.address.line1}
+              onChange={e => setAddress('line1', e.target.value)}
+              maxLength={100}
+              style={inputStyle}
+            />
+          </Field>
+          <Field label="Address line 2">
+            <input
+              value={form.address.line2}
+              onChange={e => setAddress('line2', e.target.value)}
+              maxLength={100}
+              style={inputStyle}
+            />
+          </Field>
+          <Field label="City">
+            <input
+              value={form.address.city}
+              onChange={e => setAddress('city', e.target.value)}
+              maxLength={60}
+              style={inputStyle}
+            />
+          </Field>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '0.75rem' }}>
+            <Field label="Postal code">
+              <input
+                value={form.address.postalCode}
+                onChange={e => setAddress('postalCode', e.target.value)}
+                maxLength={10}
+                style={inputStyle}
+              />
+            </Field>
+            <Field label="Country (ISO)">
+              <input
+                value={form.address.country}
+                onChange={e => setAddress('country', e.target.value.toUpperCase())}
+                placeholder="ZA"
+                maxLength={2}
+                style={inputStyle}
+              />
+            </Field>
+          </div>
+        </div>
+        <div style={{ marginTop: '1rem' }}>
+          <button type="submit" disabled={saving} style={buttonStyle('#2563eb', saving)}>
+            Save profile
+          </button>
+        </div>
+      </form>
+
+      <form onSubmit={changePassword} style={panelStyle}>
+        <h2 style={headingStyle}>
+          <FiLock style={{ color: '#fbbf24' }} />
+          Change Password
+        </h2>
+        <p style={{ margin: '-0.5rem 0 1rem', color: '#9ca3af', fontSize: '0.875rem' }}>
+          Your other devices are signed out when the password changes
+        </p>
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: '0.75rem' }}>
+          <Field label="Current password">
+            <input
+              type="password"
+              autoComplete="current-password"
+              value={passwords.currentPassword}
+              onChange={e => setPasswords(prev => ({ ...prev, currentPassword: e.target.value }))}
+              required
+              style={inputStyle}
+            />
+          </Field>
+          <Field label="New password">
+            <input
+              type="password"
+              autoComplete="new-password"
+              value={passwords.newPassword}
+              onChange={e => setPasswords(prev => ({ ...prev, newPassword: e.target.value }))}
+              minLength={8}
+              maxLength={128}
+              required
+              style={inputStyle}
+            />
+          </Field>
+          <Field label="Confirm new password">
+            <input
+              type="password"
+              autoComplete="new-password"
+              value={passwords.confirm}
+              onChange={e => setPasswords(prev => ({ ...prev, confirm: e.target.value }))}
+              required
+              style={inputStyle}
+            />
+          </Field>
+        </div>
+        <div style={{ marginTop: '1rem' }}>
+          <button type="submit" disabled={saving} style={buttonStyle('#d97706', saving)}>
+            Change password
+          </button>
+        </div>
+      </form>
+
+      <div style={{ marginBottom: '1.5rem' }}>
+        <MfaSettings account="customer" />
+      </div>
+
+      <div style={{ marginBottom: '1.5rem' }}>
+        <SessionsPanel onSignedOut={onSignedOut} />
+      </div>
+
+      <form
+        onSubmit={e => {
+          e.preventDefault();
+          setConfirmClose(true);
+        }}
+        style={{ ...panelStyle, border: '1px solid rgba(239, 68, 68, 0.4)' }}
+      >
+        <h2 style={headingStyle}>
+          <FiXCircle style={{ color: '#ef4444' }} />
+          Close Account
+        </h2>
+        <p style={{ margin: '-0.5rem 0 1rem', color: '#9ca3af', fontSize: '0.875rem' }}>
+          Payments still being processed must complete first. You will be signed out everywhere.
+        </p>
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 2fr', gap: '0.75rem' }}>
+          <Field label="Password">
+            <input
+              type="password"
+              autoComplete="current-password"
+              value={closure.password}
+              onChange={e => setClosure(prev => ({ ...prev, password: e.target.value }))}
+              required
+              style={inputStyle}
+            />
+          </Field>
+          <Field label="Reason (optional)">
+            <input
+              value={closure.reason}
+              onChange={e => setClosure(prev => ({ ...prev, reason: e.target.value }))}
+              maxLength={500}
+              style={inputStyle}
+            />
+          </Field>
+        </div>
+        <div style={{ marginTop: '1rem' }}>
+          <button
+            type="submit"
+            disabled={saving || !closure.password}
+            style={buttonStyle('#ef4444', saving || !closure.password)}
+          >
+            Close my account
+          </button>
+        </div>
+      </form>
+
+      <ConfirmDialog
+        isOpen={confirmClose}
+        onClose={() => setConfirmClose(false)}
+        onConfirm={closeAccount}
+        title="Close Account"
+        message="Your account will be closed and you will not be able to log in again. This cannot be undone from the portal."
+        confirmText="Close account"
+        isDestructive
+      />
+    </div>
+  );
+};
+
+export default AccountSettings;
@@ -0,0 +1,105 @@
+/**
+ * Forgot Password Component
+ * Requests a reset link by email. The server answers the same way whether or
+ * not the account exists, so the page never confirms who is registered.
+ * ?type=employee sends the request for a staff account.
+ */
+
+import { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { API_ENDPOINTS, getSecureFetchOptions, fetchCSRFToken } from '../config/api';
+
+const EMAIL_REGEX =
+  /^[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/;
+
+const ForgotPasswordForm = () => {
+  const [searchParams] = useSearchParams();
+  const accountType = searchParams.get('type') === 'employee' ? 'employee' : 'customer';
+  const loginPath = accountType === 'employee' ? '/employee' : '/';
+
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [sent, setSent] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async e => {
+    e.preventDefault();
+    setMessage('');
+
+    if (!EMAIL_REGEX.test(email)) {
+      setError('Please enter a valid email address');
+      return;
+    }
+
+    setIsSubmitting(true);
+
+    try {
+      const csrfToken = await fetchCSRFToken();
+      const response = await fetch(
+        API_ENDPOINTS.AUTH_PASSWORD_RESET_REQUEST,
+        getSecureFetchOptions('POST', { email, accountType }, csrfToken)
+      );
+      const data = await response.json();
+
+      if (response.ok) {
+        setSent(true);
+        setMessage(data.message);
+      } else {
+        setMessage(data.errors?.[0]?.message || data.message || 'Could not send the reset link');
+      }
+    } catch (err) {
+      console.error('Password reset request error:', err);
+      setMessage('Network error. Please check your connection and try again.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="container">
+      <div className="form-container">
+        <h2>Forgot Password</h2>
+
+        {message && <div className={sent ? 'success-message' : 'error-response'}>{message}</div>}
+
+        {!sent && (
+          <form onSubmit={handleSubmit}>
+            <p style={{ marginBottom: '1rem', fontSize: '0.9rem' }}>
+              Enter the email address of your {accountType === 'employee' ? 'employee ' : ''}
+              account and we will send you a link to choose a new password.
+            </p>
+            <div className="form-group">
+              <label htmlFor="forgot-email">Email Address</label>
+              <input
+                type="email"
+                id="forgot-email"
+                name="email"
+                value={email}
+                onChange={e => {
+                  setEmail(e.target.value);
+                  setError('');
+                }}
+                className={error ? 'error' : ''}
+                required
+              />
+              {error && <div className="error-message">{error}</div>}
+            </div>
+
+            <button type="submit" className="btn" disabled={isSubmitting}>
+              {isSubmitting ? 'Sending...' : 'Send reset link'}
+            </button>
+          </form>
+        )}
+
+        <div className="form-switch">
+          <p>
+            Remembered it? <Link to={loginPath}>Back to login</Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPasswordForm;
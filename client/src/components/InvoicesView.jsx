@@ -4,18 +4,26 @@
  */
 
 import React, { useState, useEffect } from 'react';
-import { API_ENDPOINTS, getSecureFetchOptions } from '../config/api';
+import { API_ENDPOINTS, getSecureFetchOptions, downloadSecureFile } from '../config/api';
 import { LoadingSpinner, showToast, StatusBadge } from './ui';
-import { FiFileText, FiDollarSign, FiCheckCircle, FiXCircle, FiClock } from 'react-icons/fi';
+import {
+  FiFileText,
+  FiDollarSign,
+  FiCheckCircle,
+  FiXCircle,
+  FiClock,
+  FiDownload,
+} from 'react-icons/fi';
 import { format } from 'date-fns';
 
 const InvoicesView = () => {
   const [invoices, setInvoices] = useState([]);
   const [loading, setLoading] = useState(true);
   const [selectedInvoice, setSelectedInvoice] = useState(null);
+  const [downloadingPdf, setDownloadingPdf] = useState(null);
   const [stats, setStats] = useState({
     total: 0,
-    verified: 0,
+    awaitingPayment: 0,
     totalAmount: 0,
   });
 
@@ -38,7 +46,8 @@ const InvoicesView = () => {
       // Calculate stats
       const stats = {
         total: userInvoices.length,
-        verified: userInvoices.filter(i => i.status === 'generated' || i.status === 'sent').length,
+        awaitingPayment: userInvoices.filter(i => i.status === 'generated' || i.status === 'sent')
+          .length,
         totalAmount: userInvoices.reduce((sum, i) => sum + i.amount, 0),
       };
 
@@ -50,6 +59,17 @@ const InvoicesView = () => {
     }
   };
 
+  const handleDownloadPdf = async invoiceNumber => {
+    setDownloadingPdf(invoiceNumber);
+    try {
+      await downloadSecureFile(API_ENDPOINTS.INVOICE_PDF(invoiceNumber), `${invoiceNumber}.pdf`);
+    } catch (err) {
+      showToast.error(`Invoice download failed: ${err.message}`);
+    } finally {
+      setDownloadingPdf(null);
+    }
+  };
+
   const maskAccount = account => {
     if (!account) return 'N/A';
     return account.length > 8
@@ -57,17 +77,25 @@ const InvoicesView = () => {
       : account;
   };
 
-  const getStatusIcon = status => {
-    switch (status) {
-      case 'verified':
-      case 'submitted_to_swift':
-      case 'completed':
+  const isOverdue = invoice =>
+    ['generated', 'sent'].includes(invoice.status) &&
+    Boolean(invoice.dueDate) &&
+    new Date(invoice.dueDate) < new Date();
+
+  const bannerColor = invoice => {
+    if (invoice.status === 'cancelled') return '#ef4444';
+    if (isOverdue(invoice)) return '#f97316';
+    return '#10b981';
+  };
+
+  const getInvoiceStatusIcon = invoice => {
+    switch (invoice.status) {
+      case 'paid':
         return <FiCheckCircle style={{ color: '#10b981' }} />;
-      case 'rejected':
+      case 'cancelled':
         return <FiXCircle style={{ color: '#ef4444' }} />;
-      case 'pending':
       default:
-        return <FiClock style={{ color: '#f59e0b' }} />;
+        return <FiClock style={{ color: isOverdue(invoice) ? '#f97316' : '#10b981' }} />;
     }
   };
 
@@ -124,9 +152,9 @@ const InvoicesView = () => {
           color="#3b82f6"
         />
         <StatCard
-          icon={<FiCheckCircle />}
-          label="Verified Payments"
-          value={stats.verified}
+          icon={<FiClock />}
+          label="Awaiting Payment"
+          value={stats.awaitingPayment}
           color="#10b981"
         />
         <StatCard
@@ -211,6 +239,17 @@ const InvoicesView = () => {
                   >
                     Amount
                   </th>
+                  <th
+                    style={{
+                      padding: '12px',
+                      textAlign: 'left',
+                      color: '#9ca3af',
+                      fontSize: '0.875rem',
+                      fontWeight: '600',
+                    }}
+                  >
+                    Status
+                  </th>
                   <th
                     style={{
                       padding: '12px',
@@ -275,6 +314,14 @@ const InvoicesView = () => {
                     >
                       {invoice.currency} {invoice.amount.toFixed(2)}
                     </td>
+                    <td style={{ padding: '12px', fontSize: '0.875rem' }}>
+                      <StatusBadge status={invoice.status} size="small" />
+                      {isOverdue(invoice) && (
+                        <span style={{ marginLeft: '4px' }}>
+                          <StatusBadge status="overdue" size="small" />
+                        </span>
+                      )}
+                    </td>
                     <td
                       style={{
                         padding: '12px',
@@ -288,7 +335,7 @@ const InvoicesView = () => {
                     <td style={{ padding: '12px', color: '#9ca3af', fontSize: '0.875rem' }}>
                       {invoice.verifierDepartment}
                     </td>
-                    <td style={{ padding: '12px' }}>
+                    <td style={{ padding: '12px', display: 'flex', gap: '8px' }}>
                       <button
                         onClick={() => setSelectedInvoice(invoice)}
                         style={{
@@ -304,6 +351,27 @@ const InvoicesView = () => {
                       >
                         View Invoice
                       </button>
+                      <button
+                        onClick={() => handleDownloadPdf(invoice.invoiceNumber)}
+                        disabled={downloadingPdf !== null}
+                        title="Download PDF"
+                        style={{
+                          padding: '6px 12px',
+                          backgroundColor: 'transparent',
+                          color: '#a5b4fc',
+                          border: '1px solid #4338ca',
+                          borderRadius: '6px',
+                          cursor: downloadingPdf ? 'wait' : 'pointer',
+                          fontSize: '0.75rem',
+                          fontWeight: '500',
+                          display: 'flex',
+                          alignItems: 'center',
+                          gap: '4px',
+                        }}
+                      >
+                        <FiDownload size={12} />
+                        {downloadingPdf === invoice.invoiceNumber ? 'Preparing...' : 'PDF'}
+                      </button>
                     </td>
                   </tr>
                 ))}
@@ -392,22 +460,36 @@ const InvoicesView = () => {
             <div
               style={{
                 padding: '16px',
-                backgroundColor: 'rgba(16, 185, 129, 0.1)',
+                backgroundColor: `${bannerColor(selectedInvoice)}1a`,
                 borderRadius: '8px',
                 marginBottom: '24px',
-                border: '1px solid #10b981',
+                border: `1px solid ${bannerColor(selectedInvoice)}`,
               }}
             >
               <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
-                <FiCheckCircle style={{ color: '#10b981' }} />
+                {getInvoiceStatusIcon(selectedInvoice)}
                 <div style={{ flex: 1 }}>
                   <p
                     style={{ margin: 0, color: '#e5e7eb', fontWeight: '600', fontSize: '0.875rem' }}
                   >
-                    Invoice Status: Verified & Generated
+                    Invoice Status: <StatusBadge status={selectedInvoice.status} size="small" />
+                    {isOverdue(selectedInvoice) && (
+                      <span style={{ marginLeft: '4px' }}>
+                        <StatusBadge status="overdue" size="small" />
+                      </span>
+                    )}
                   </p>
-                  <p style={{ margin: 0, color: '#10b981', fontSize: '0.75rem', marginTop: '4px' }}>
+                  <p
+                    style={{
+                      margin: 0,
+                      color: bannerColor(selectedInvoice),
+                      fontSize: '0.75rem',
+                      marginTop: '4px',
+                    }}
+                  >
                     Payment Status: {selectedInvoice.paymentStatus}
+                    {selectedInvoice.swiftReference &&
+                      ` · SWIFT reference ${selectedInvoice.swiftReference}`}
                   </p>
                 </div>
               </div>
@@ -440,14 +522,55 @@ const InvoicesView = () => {
                       textTransform: 'uppercase',
                     }}
                   >
-                    Currency
+                    {selectedInvoice.status === 'paid' ? 'Paid On' : 'Due Date'}
                   </h4>
                   <p style={{ color: '#e5e7eb', fontSize: '0.875rem', margin: 0 }}>
-                    {selectedInvoice.currency}
+                    {selectedInvoice.status === 'paid' && selectedInvoice.paidDate
+                      ? format(new Date(selectedInvoice.paidDate), 'MMM dd, yyyy')
+                      : selectedInvoice.dueDate
+                        ? format(new Date(selectedInvoice.dueDate), 'MMM dd, yyyy')
+                        : 'N/A'}
                   </p>
                 </div>
               </div>
 
+              {/* Credit note issued when the invoice was cancelled */}
+              {selectedInvoice.creditNote?.creditNoteNumber && (
+                <div
+                  style={{
+                    padding: '20px',
+                    backgroundColor: 'rgba(239, 68, 68, 0.08)',
+                    border: '1px solid rgba(239, 68, 68, 0.4)',
+                    borderRadius: '8px',
+                  }}
+                >
+                  <h4
+                    style={{
+                      color: '#e5e7eb',
+                      fontSize: '1rem',
+                      marginBottom: '12px',
+                      fontWeight: '600',
+                    }}
+                  >
+                    Credit Note
+                  </h4>
+                  <DetailRow
+                    label="Credit Note Number"
+                    value={selectedInvoice.creditNote.creditNoteNumber}
+                    mono
+                  />
+                  <DetailRow
+                    label="Amount Credited"
+                    value={`${selectedInvoice.creditNote.currency} ${selectedInvoice.creditNote.amount.toFixed(2)}`}
+                  />
+                  <DetailRow
+                    label="Issued"
+                    value={format(new Date(selectedInvoice.creditNote.issuedAt), 'MMM dd, yyyy')}
+                  />
+                  <DetailRow label="Reason" value={selectedInvoice.creditNote.reason} />
+                </div>
+              )}
+
               <div
                 style={{
                   padding: '20px',
@@ -567,6 +690,28 @@ const InvoicesView = () => {
               <p style={{ color: '#6b7280', fontSize: '0.75rem', margin: '4px 0 0 0' }}>
                 Transaction ID: {selectedInvoice.transactionId}
               </p>
+              <button
+                onClick={() => handleDownloadPdf(selectedInvoice.invoiceNumber)}
+                disabled={downloadingPdf !== null}
+                style={{
+                  margin: '16px auto 0',
+                  padding: '10px 16px',
+                  backgroundColor: '#4338ca',
+                  color: '#fff',
+                  border: 'none',
+                  borderRadius: '6px',
+                  cursor: downloadingPdf ? 'not-allowed' : 'pointer',
+                  opacity: downloadingPdf ? 0.6 : 1,
+                  fontSize: '0.875rem',
+                  fontWeight: '500',
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '8px',
+                }}
+              >
+                <FiDownload size={16} />
+                {downloadingPdf ? 'Preparing PDF...' : 'Download PDF'}
+              </button>
             </div>
           </div>
         </div>
@@ -1,4 +1,5 @@
 import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
 import { API_ENDPOINTS, getSecureFetchOptions } from '../config/api';
 
 const EMAIL_REGEX =
@@ -155,6 +156,9 @@ const LoginForm = ({ onSwitchToRegister, onLoginSuccess }) => {
       </form>
 
       <div className="form-switch">
+        <p style={{ marginBottom: '0.5rem' }}>
+          <Link to="/forgot-password">Forgot your password?</Link>
+        </p>
         <p>
           Don't have an account?{' '}
           <button type="button" onClick={onSwitchToRegister}>
@@ -0,0 +1,347 @@
+/**
+ * Two-Factor Settings Component (Employee and Customer)
+ * Enrol an authenticator app, manage recovery codes and turn two-factor off
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { API_ENDPOINTS, getSecureFetchOptions, fetchCSRFToken } from '../config/api';
+import { LoadingSpinner, showToast } from './ui';
+import { FiShield, FiCopy, FiKey } from 'react-icons/fi';
+import { format } from 'date-fns';
+
+const inputStyle = {
+  width: '160px',
+  padding: '0.625rem 0.75rem',
+  backgroundColor: 'rgba(17, 24, 39, 0.8)',
+  border: '1px solid rgba(67, 56, 202, 0.4)',
+  borderRadius: '6px',
+  color: '#e5e7eb',
+  fontSize: '1rem',
+  letterSpacing: '0.2rem',
+  textAlign: 'center',
+  outline: 'none',
+};
+
+const buttonStyle = (color, disabled) => ({
+  display: 'flex',
+  alignItems: 'center',
+  gap: '0.5rem',
+  padding: '0.625rem 1rem',
+  backgroundColor: color,
+  color: '#fff',
+  border: 'none',
+  borderRadius: '6px',
+  cursor: disabled ? 'not-allowed' : 'pointer',
+  opacity: disabled ? 0.6 : 1,
+  fontWeight: '500',
+});
+
+const copyToClipboard = async (text, label) => {
+  try {
+    await navigator.clipboard.writeText(text);
+    showToast.success(`${label} copied`);
+  } catch {
+    showToast.error('Copy failed - select the text and copy it manually');
+  }
+};
+
+// Enrolment endpoints and what the code is used for, per kind of account
+const MFA_ACCOUNTS = {
+  employee: {
+    status: API_ENDPOINTS.AUTH_EMPLOYEE_MFA,
+    setup: API_ENDPOINTS.AUTH_EMPLOYEE_MFA_SETUP,
+    enable: API_ENDPOINTS.AUTH_EMPLOYEE_MFA_ENABLE,
+    recoveryCodes: API_ENDPOINTS.AUTH_EMPLOYEE_MFA_RECOVERY_CODES,
+    disable: API_ENDPOINTS.AUTH_EMPLOYEE_MFA_DISABLE,
+    description:
+      'A code from an authenticator app is required at login and before releasing payments to SWIFT',
+  },
+  customer: {
+    status: API_ENDPOINTS.AUTH_MFA,
+    setup: API_ENDPOINTS.AUTH_MFA_SETUP,
+    enable: API_ENDPOINTS.AUTH_MFA_ENABLE,
+    recoveryCodes: API_ENDPOINTS.AUTH_MFA_RECOVERY_CODES,
+    disable: API_ENDPOINTS.AUTH_MFA_DISABLE,
+    description:
+      'Confirm payments with a code from an authenticator app instead of a code sent to your email',
+  },
+};
+
+const MfaSettings = ({ account = 'employee', onStatusChange }) => {
+  const endpoints = MFA_ACCOUNTS[account];
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [actionLoading, setActionLoading] = useState(false);
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+
+  const fetchStatus = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await fetch(endpoints.status, getSecureFetchOptions('GET'));
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to fetch two-factor status');
+      }
+
+      setStatus(data.mfa);
+      onStatusChange?.(data.mfa.enabled);
+    } catch (err) {
+      showToast.error(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [endpoints, onStatusChange]);
+
+  useEffect(() => {
+    fetchStatus();
+  }, [fetchStatus]);
+
+  const post = async (url, body) => {
+    const csrfToken = await fetchCSRFToken();
+    const response = await fetch(url, getSecureFetchOptions('POST', body, csrfToken));
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.errors?.[0]?.message || data.message || 'Request failed');
+    }
+    return data;
+  };
+
+  const runAction = async action => {
+    setActionLoading(true);
+    try {
+      await action();
+    } catch (err) {
+      showToast.error(err.message);
+    } finally {
+      setActionLoading(false);
+      setCode('');
+    }
+  };
+
+  const startSetup = () =>
+    runAction(async () => {
+      const data = await post(endpoints.setup);
+      setRecoveryCodes(null);
+      setSetup({ secret: data.secret, otpauthUri: data.otpauthUri });
+    });
+
+  const enable = () =>
+    runAction(async () => {
+      const data = await post(endpoints.enable, { code });
+      setSetup(null);
+      setRecoveryCodes(data.recoveryCodes);
+      showToast.success(data.message);
+      fetchStatus();
+    });
+
+  const regenerateCodes = () =>
+    runAction(async () => {
+      const data = await post(endpoints.recoveryCodes, { code });
+      setRecoveryCodes(data.recoveryCodes);
+      showToast.success(data.message);
+      fetchStatus();
+    });
+
+  const disable = () =>
+    runAction(async () => {
+      const data = await post(endpoints.disable, { code });
+      setRecoveryCodes(null);
+      showToast.success(data.message);
+      fetchStatus();
+    });
+
+  const codeInput = (placeholder = '123456') => (
+    <input
+      type="text"
+      inputMode="numeric"
+      autoComplete="one-time-code"
+      maxLength={11}
+      value={code}
+      onChange={e => setCode(e.target.value.trim())}
+      placeholder={placeholder}
+      disabled={actionLoading}
+      aria-label="Authenticator code"
+      style={inputStyle}
+    />
+  );
+
+  return (
+    <div
+      style={{
+        maxWidth: '800px',
+        margin: '0 auto',
+        padding: '1.5rem',
+        backgroundColor: 'rgba(17, 24, 39, 0.85)',
+        border: '1px solid #374151',
+        borderRadius: '12px',
+        color: '#e5e7eb',
+      }}
+    >
+      <h2
+        style={{
+          display: 'flex',
+          alignItems: 'center',
+          gap: '0.5rem',
+          margin: 0,
+          fontSize: '1.25rem',
+          fontWeight: '600',
+        }}
+      >
+        <FiShield style={{ color: '#818cf8' }} />
+        Two-Factor Authentication
+      </h2>
+      <p style={{ margin: '0.25rem 0 1.25rem', color: '#9ca3af', fontSize: '0.875rem' }}>
+        {endpoints.description}
+      </p>
+
+      {loading ? (
+        <LoadingSpinner />
+      ) : status?.enabled ? (
+        <>
+          <p style={{ margin: '0 0 1rem' }}>
+            <span style={{ color: '#10b981', fontWeight: '600' }}>Enabled</span>
+            {status.enabledAt && (
+              <span style={{ color: '#9ca3af' }}>
+                {' '}
+                since {format(new Date(status.enabledAt), 'MMM dd, yyyy')}
+              </span>
+            )}
+            <span style={{ color: '#9ca3af' }}>
+              {' '}
+              • {status.recoveryCodesRemaining} recovery code(s) left
+            </span>
+          </p>
+          <div style={{ display: 'flex', gap: '0.75rem', flexWrap: 'wrap', alignItems: 'center' }}>
+            {codeInput('Code')}
+            <button
+              onClick={regenerateCodes}
+              disabled={actionLoading || !/^\d{6}$/.test(code)}
+              style={buttonStyle('#4338ca', actionLoading || !/^\d{6}$/.test(code))}
+            >
+              <FiKey />
+              New recovery codes
+            </button>
+            <button
+              onClick={disable}
+              disabled={actionLoading || !code}
+              style={buttonStyle('#ef4444', actionLoading || !code)}
+            >
+              Turn off
+            </button>
+          </div>
+        </>
+      ) : setup ? (
+        <>
+          <ol style={{ paddingLeft: '1.25rem', lineHeight: '1.6', color: '#d1d5db' }}>
+            <li>
+              In your authenticator app, add an account using the setup key below (or open the setup
+              link on a device with the app).
+            </li>
+            <li>Enter the 6-digit code the app shows to finish.</li>
+          </ol>
+          <div
+            style={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: '0.75rem',
+              padding: '0.75rem 1rem',
+              margin: '0.75rem 0',
+              backgroundColor: 'rgba(67, 56, 202, 0.1)',
+              border: '1px solid rgba(67, 56, 202, 0.3)',
+              borderRadius: '8px',
+            }}
+          >
+            <code style={{ flex: 1, fontSize: '1rem', letterSpacing: '0.1rem' }}>
+              {setup.secret.match(/.{1,4}/g).join(' ')}
+            </code>
+            <button
+              onClick={() => copyToClipboard(setup.secret, 'Setup key')}
+              title="Copy setup key"
+              style={{ background: 'none', border: 'none', color: '#818cf8', cursor: 'pointer' }}
+            >
+              <FiCopy />
+            </button>
+          </div>
+          <div style={{ display: 'flex', gap: '0.75rem', alignItems: 'center', flexWrap: 'wrap' }}>
+            <a href={setup.otpauthUri} style={{ color: '#818cf8', fontSize: '0.875rem' }}>
+              Open setup link
+            </a>
+            <button
+              onClick={() => copyToClipboard(setup.otpauthUri, 'Setup link')}
+              style={{
+                background: 'none',
+                border: 'none',
+                color: '#9ca3af',
+                cursor: 'pointer',
+                fontSize: '0.875rem',
+              }}
+            >
+              Copy setup link (QR payload)
+            </button>
+          </div>
+          <div style={{ display: 'flex', gap: '0.75rem', marginTop: '1.25rem' }}>
+            {codeInput()}
+            <button
+              onClick={enable}
+              disabled={actionLoading || !/^\d{6}$/.test(code)}
+              style={buttonStyle('#10b981', actionLoading || !/^\d{6}$/.test(code))}
+            >
+              Verify and turn on
+            </button>
+          </div>
+        </>
+      ) : (
+        <button
+          onClick={startSetup}
+          disabled={actionLoading}
+          style={buttonStyle('#4338ca', actionLoading)}
+        >
+          <FiShield />
+          Set up authenticator app
+        </button>
+      )}
+
+      {recoveryCodes && (
+        <div
+          style={{
+            marginTop: '1.5rem',
+            padding: '1rem',
+            backgroundColor: 'rgba(234, 179, 8, 0.08)',
+            border: '1px solid rgba(234, 179, 8, 0.4)',
+            borderRadius: '8px',
+          }}
+        >
+          <p style={{ margin: '0 0 0.75rem', color: '#facc15', fontWeight: '600' }}>
+            Save these recovery codes now - they will not be shown again
+          </p>
+          <div
+            style={{
+              display: 'grid',
+              gridTemplateColumns: 'repeat(auto-fill, minmax(130px, 1fr))',
+              gap: '0.5rem',
+              fontFamily: 'monospace',
+              fontSize: '1rem',
+            }}
+          >
+            {recoveryCodes.map(recoveryCode => (
+              <span key={recoveryCode}>{recoveryCode}</span>
+            ))}
+          </div>
+          <button
+            onClick={() => copyToClipboard(recoveryCodes.join('\n'), 'Recovery codes')}
+            style={{ ...buttonStyle('#374151', false), marginTop: '0.75rem' }}
+          >
+            <FiCopy />
+            Copy codes
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MfaSettings;
@@ -4,12 +4,13 @@ import TransactionHistory from './TransactionHistory';
 import ASCIIText from './ASCIIText';
 import FaultyTerminal from './FaultyTerminal';
 import InvoicesView from './InvoicesView';
+import AccountSettings from './AccountSettings';
 import { FolderIcon } from './ui';
 import { API_ENDPOINTS, getSecureFetchOptions } from '../config/api';
 
 const PaymentDashboard = ({ user, onLogout }) => {
   const [transactions, setTransactions] = useState([]);
-  const [currentView, setCurrentView] = useState('dashboard'); // 'dashboard' or 'invoices'
+  const [currentView, setCurrentView] = useState('dashboard'); // 'dashboard', 'invoices' or 'settings'
   const [invoiceCount, setInvoiceCount] = useState(0);
 
   useEffect(() => {
@@ -79,6 +80,14 @@ const PaymentDashboard = ({ user, onLogout }) => {
           <div className="header-overlay">
             <div className="user-info">
               <span>Welcome, {user.email}</span>
+              <button
+                onClick={() =>
+                  setCurrentView(currentView === 'settings' ? 'dashboard' : 'settings')
+                }
+                className="logout-btn"
+              >
+                {currentView === 'settings' ? 'Dashboard' : 'Settings'}
+              </button>
               <button onClick={onLogout} className="logout-btn">
                 Logout
               </button>
@@ -90,6 +99,8 @@ const PaymentDashboard = ({ user, onLogout }) => {
           {/* Conditional View Rendering */}
           {currentView === 'invoices' ? (
             <InvoicesView />
+          ) : currentView === 'settings' ? (
+            <AccountSettings onSignedOut={onLogout} />
           ) : (
             <div className="dashboard-grid">
               <PaymentForm userId={user.id} onPaymentComplete={handlePaymentComplete} />
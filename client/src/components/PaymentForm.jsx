@@ -1,6 +1,7 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import GlassSurface from './GlassSurface';
 import ElectricBorder from './ElectricBorder';
+import { getIbanError, looksLikeIban } from '../lib/iban';
 
 const PaymentForm = ({ userId, onPaymentComplete }) => {
   const [formData, setFormData] = useState({
@@ -15,6 +16,13 @@ const PaymentForm = ({ userId, onPaymentComplete }) => {
   const [errors, setErrors] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [message, setMessage] = useState('');
+  const [quote, setQuote] = useState(null);
+  const [quoteLoading, setQuoteLoading] = useState(false);
+  const [quoteRequest, setQuoteRequest] = useState(0);
+  const [bank, setBank] = useState(null);
+  // Confirmation step: the details the server bound the challenge to
+  const [challenge, setChallenge] = useState(null);
+  const [confirmationCode, setConfirmationCode] = useState('');
 
   // Enhanced RegEx patterns for input validation
   const patterns = {
@@ -44,9 +52,88 @@ const PaymentForm = ({ userId, onPaymentComplete }) => {
       return errorMessages[name];
     }
 
+    // Catch typo'd IBANs (length, country format, mod-97 check digits) before submission
+    if (name === 'recipientAccount' && looksLikeIban(value)) {
+      return getIbanError(value) || '';
+    }
+
     return '';
   };
 
+  // Price the payment in the account currency once amount and currency are valid
+  useEffect(() => {
+    setQuote(null);
+
+    const amount = parseFloat(formData.amount);
+    if (!/^[0-9]{1,10}(\.[0-9]{1,2})?$/.test(formData.amount) || amount < 1 || amount > 10000) {
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setQuoteLoading(true);
+      try {
+        const { API_ENDPOINTS, getSecureFetchOptions } = await import('../config/api.js');
+
+        const response = await fetch(API_ENDPOINTS.PAYMENTS_QUOTE, {
+          ...getSecureFetchOptions('POST', { amount, currency: formData.currency }),
+          credentials: 'include',
+        });
+        const data = await response.json();
+
+        if (!cancelled && data.success) {
+          setQuote(data.quote);
+        }
+      } catch (error) {
+        console.error('FX quote error:', error);
+      } finally {
+        if (!cancelled) setQuoteLoading(false);
+      }
+    }, 400);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [formData.amount, formData.currency, quoteRequest]);
+
+  // Look up the recipient bank in the BIC directory as the code is typed
+  useEffect(() => {
+    setBank(null);
+
+    const bic = formData.recipientSwift;
+    if (!/^[A-Z]{6}[A-Z0-9]{2}([A-Z0-9]{3})?$/.test(bic)) {
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const { API_ENDPOINTS, getSecureFetchOptions } = await import('../config/api.js');
+
+        const response = await fetch(API_ENDPOINTS.BIC_LOOKUP(bic), {
+          ...getSecureFetchOptions('GET'),
+          credentials: 'include',
+        });
+        const data = await response.json();
+
+        if (cancelled) return;
+        if (data.success) {
+          setBank({ found: true, ...data.bank });
+        } else if (response.status === 404) {
+          setBank({ found: false });
+        }
+      } catch (error) {
+        console.error('BIC lookup error:', error);
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [formData.recipientSwift]);
+
   const handleChange = e => {
     const { name, value } = e.target;
 
@@ -114,7 +201,50 @@ const PaymentForm = ({ userId, onPaymentComplete }) => {
     setIsSubmitting(true);
 
     try {
-      // Import API_ENDPOINTS at the top of the file
+      const { API_ENDPOINTS, getSecureFetchOptions } = await import('../config/api.js');
+
+      // Ask the server to bind a confirmation to exactly these details
+      const response = await fetch(API_ENDPOINTS.PAYMENTS_CHALLENGE, {
+        ...getSecureFetchOptions('POST', {
+          ...formData,
+          amount: parseFloat(formData.amount),
+        }),
+        credentials: 'include',
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        setChallenge(data.challenge);
+        setConfirmationCode('');
+      } else {
+        setMessage(data.message || 'Could not start payment confirmation. Please try again.');
+      }
+    } catch (error) {
+      console.error('Payment challenge error:', error);
+      setMessage('Network error. Please check your connection and try again.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const cancelConfirmation = () => {
+    setChallenge(null);
+    setConfirmationCode('');
+  };
+
+  const handleConfirm = async e => {
+    e.preventDefault();
+    setMessage('');
+
+    if (!/^\d{6}$/.test(confirmationCode)) {
+      setMessage('Enter the 6-digit confirmation code');
+      return;
+    }
+
+    setIsSubmitting(true);
+
+    try {
       const { API_ENDPOINTS, getSecureFetchOptions } = await import('../config/api.js');
 
       const response = await fetch(API_ENDPOINTS.PAYMENTS, {
@@ -122,12 +252,27 @@ const PaymentForm = ({ userId, onPaymentComplete }) => {
           ...formData,
           userId,
           amount: parseFloat(formData.amount),
+          ...(quote && { quoteId: quote.quoteId }),
+          challengeId: challenge.challengeId,
+          confirmationCode,
         }),
         credentials: 'include',
       });
 
       const data = await response.json();
 
+      if (data.code === 'CHALLENGE_CODE_INVALID' && data.attemptsRemaining > 0) {
+        // Let the customer retry the same confirmation
+        setMessage(
+          `Incorrect code. ${data.attemptsRemaining} attempt${data.attemptsRemaining === 1 ? '' : 's'} remaining.`
+        );
+        setConfirmationCode('');
+        return;
+      }
+
+      // Any other outcome uses up the confirmation
+      cancelConfirmation();
+
       if (data.success) {
         setMessage('Payment submitted successfully! Transaction ID: ' + data.transaction.id);
         onPaymentComplete(data.transaction);
@@ -142,6 +287,12 @@ const PaymentForm = ({ userId, onPaymentComplete }) => {
           reference: '',
         });
         setErrors({});
+      } else if (data.code === 'FX_QUOTE_INVALID') {
+        // Quote expired or was already used - fetch a fresh rate for the customer to review
+        setMessage(
+          'The exchange rate quote expired. Please review the updated rate and try again.'
+        );
+        setQuoteRequest(prev => prev + 1);
       } else {
         setMessage(data.message || 'Payment failed. Please try again.');
       }
@@ -189,118 +340,236 @@ const PaymentForm = ({ userId, onPaymentComplete }) => {
             </div>
           )}
 
-          <form onSubmit={handleSubmit} className="payment-form">
-            <div className="form-row">
+          {challenge ? (
+            <form onSubmit={handleConfirm} className="payment-form payment-confirmation">
+              <p>Check the payment details. Your code confirms exactly this payment:</p>
+
+              <dl>
+                <dt>Amount</dt>
+                <dd>
+                  {challenge.details.amount.toFixed(2)} {challenge.details.currency}
+                </dd>
+                {quote && quote.currency !== quote.accountCurrency && (
+                  <>
+                    <dt>Debited</dt>
+                    <dd>
+                      {quote.debitAmount.toFixed(2)} {quote.accountCurrency}
+                    </dd>
+                  </>
+                )}
+                <dt>Recipient</dt>
+                <dd>{challenge.details.recipientName}</dd>
+                <dt>Account</dt>
+                <dd>{challenge.details.recipientAccount}</dd>
+                <dt>SWIFT/BIC</dt>
+                <dd>
+                  {challenge.details.recipientSwift}
+                  {bank?.found && ` (${bank.institutionName})`}
+                </dd>
+                {challenge.details.reference && (
+                  <>
+                    <dt>Reference</dt>
+                    <dd>{challenge.details.reference}</dd>
+                  </>
+                )}
+              </dl>
+
               <div className="form-group">
-                <label htmlFor="amount">Amount *</label>
+                <label htmlFor="confirmationCode">
+                  {challenge.method === 'totp'
+                    ? 'Code from your authenticator app *'
+                    : 'Confirmation code we sent you *'}
+                </label>
                 <input
                   type="text"
-                  id="amount"
-                  name="amount"
-                  value={formData.amount}
-                  onChange={handleChange}
-                  placeholder="100.00"
-                  className={errors.amount ? 'error' : ''}
-                  maxLength="13"
+                  id="confirmationCode"
+                  name="confirmationCode"
+                  value={confirmationCode}
+                  onChange={e => setConfirmationCode(e.target.value.replace(/\D/g, '').slice(0, 6))}
+                  placeholder="123456"
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  maxLength="6"
+                  autoFocus
                   required
                 />
-                {errors.amount && <div className="error-message">{errors.amount}</div>}
+                <div className="bank-details">
+                  Expires at {new Date(challenge.expiresAt).toLocaleTimeString()}
+                </div>
               </div>
 
-              <div className="form-group">
-                <label htmlFor="currency">Currency *</label>
-                <select
-                  id="currency"
-                  name="currency"
-                  value={formData.currency}
-                  onChange={handleChange}
-                  className="currency-select"
+              <div className="confirmation-actions">
+                <button
+                  type="button"
+                  className="btn edit-button"
+                  onClick={cancelConfirmation}
+                  disabled={isSubmitting}
+                >
+                  Edit details
+                </button>
+                <button
+                  type="submit"
+                  className="btn pay-button"
+                  disabled={isSubmitting || confirmationCode.length !== 6}
                 >
-                  <option value="USD">USD - US Dollar</option>
-                  <option value="EUR">EUR - Euro</option>
-                  <option value="GBP">GBP - British Pound</option>
-                  <option value="ZAR">ZAR - South African Rand</option>
-                </select>
+                  {isSubmitting ? 'Processing Payment...' : 'Confirm payment'}
+                </button>
+              </div>
+            </form>
+          ) : (
+            <form onSubmit={handleSubmit} className="payment-form">
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="amount">Amount *</label>
+                  <input
+                    type="text"
+                    id="amount"
+                    name="amount"
+                    value={formData.amount}
+                    onChange={handleChange}
+                    placeholder="100.00"
+                    className={errors.amount ? 'error' : ''}
+                    maxLength="13"
+                    required
+                  />
+                  {errors.amount && <div className="error-message">{errors.amount}</div>}
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="currency">Currency *</label>
+                  <select
+                    id="currency"
+                    name="currency"
+                    value={formData.currency}
+                    onChange={handleChange}
+                    className="currency-select"
+                  >
+                    <option value="USD">USD - US Dollar</option>
+                    <option value="EUR">EUR - Euro</option>
+                    <option value="GBP">GBP - British Pound</option>
+                    <option value="ZAR">ZAR - South African Rand</option>
+                  </select>
+                </div>
               </div>
-            </div>
 
-            <div className="form-group">
-              <label htmlFor="recipientAccount">Recipient Account (IBAN) *</label>
-              <input
-                type="text"
-                id="recipientAccount"
-                name="recipientAccount"
-                value={formData.recipientAccount}
-                onChange={handleChange}
-                placeholder="GB29NWBK60161331926819"
-                className={errors.recipientAccount ? 'error' : ''}
-                maxLength="34"
-                required
-              />
-              {errors.recipientAccount && (
-                <div className="error-message">{errors.recipientAccount}</div>
+              {(quote || quoteLoading) && (
+                <div className="fx-quote">
+                  {quoteLoading || !quote ? (
+                    'Fetching exchange rate...'
+                  ) : (
+                    <>
+                      You will be debited{' '}
+                      <strong>
+                        {quote.debitAmount.toFixed(2)} {quote.accountCurrency}
+                      </strong>
+                      {quote.currency !== quote.accountCurrency && (
+                        <>
+                          {' '}
+                          at 1 {quote.currency} = {quote.rate.toFixed(4)} {quote.accountCurrency}{' '}
+                          (includes {(quote.spread * 100).toFixed(2)}% FX margin)
+                        </>
+                      )}
+                      . Rate valid until {new Date(quote.expiresAt).toLocaleTimeString()}.
+                    </>
+                  )}
+                </div>
               )}
-            </div>
 
-            <div className="form-group">
-              <label htmlFor="recipientSwift">SWIFT/BIC Code *</label>
-              <input
-                type="text"
-                id="recipientSwift"
-                name="recipientSwift"
-                value={formData.recipientSwift}
-                onChange={handleChange}
-                placeholder="NWBKGB2L"
-                className={errors.recipientSwift ? 'error' : ''}
-                maxLength="11"
-                required
-              />
-              {errors.recipientSwift && (
-                <div className="error-message">{errors.recipientSwift}</div>
-              )}
-            </div>
+              <div className="form-group">
+                <label htmlFor="recipientAccount">Recipient Account (IBAN) *</label>
+                <input
+                  type="text"
+                  id="recipientAccount"
+                  name="recipientAccount"
+                  value={formData.recipientAccount}
+                  onChange={handleChange}
+                  placeholder="GB29NWBK60161331926819"
+                  className={errors.recipientAccount ? 'error' : ''}
+                  maxLength="34"
+                  required
+                />
+                {errors.recipientAccount && (
+                  <div className="error-message">{errors.recipientAccount}</div>
+                )}
+              </div>
 
-            <div className="form-group">
-              <label htmlFor="recipientName">Recipient Name *</label>
-              <input
-                type="text"
-                id="recipientName"
-                name="recipientName"
-                value={formData.recipientName}
-                onChange={handleChange}
-                placeholder="John Smith"
-                className={errors.recipientName ? 'error' : ''}
-                maxLength="100"
-                required
-              />
-              {errors.recipientName && <div className="error-message">{errors.recipientName}</div>}
-            </div>
+              <div className="form-group">
+                <label htmlFor="recipientSwift">SWIFT/BIC Code *</label>
+                <input
+                  type="text"
+                  id="recipientSwift"
+                  name="recipientSwift"
+                  value={formData.recipientSwift}
+                  onChange={handleChange}
+                  placeholder="NWBKGB2L"
+                  className={errors.recipientSwift ? 'error' : ''}
+                  maxLength="11"
+                  required
+                />
+                {errors.recipientSwift && (
+                  <div className="error-message">{errors.recipientSwift}</div>
+                )}
+                {!errors.recipientSwift && bank?.found && (
+                  <div className="bank-details">
+                    🏦 {bank.institutionName}
+                    {bank.city && `, ${bank.city}`} ({bank.countryCode})
+                  </div>
+                )}
+                {!errors.recipientSwift && bank?.found === false && (
+                  <div className="error-message">
+                    SWIFT/BIC code not found in the bank directory
+                  </div>
+                )}
+              </div>
 
-            <div className="form-group">
-              <label htmlFor="reference">Payment Reference</label>
-              <input
-                type="text"
-                id="reference"
-                name="reference"
-                value={formData.reference}
-                onChange={handleChange}
-                placeholder="Invoice 12345"
-                className={errors.reference ? 'error' : ''}
-                maxLength="35"
-              />
-              {errors.reference && <div className="error-message">{errors.reference}</div>}
-            </div>
+              <div className="form-group">
+                <label htmlFor="recipientName">Recipient Name *</label>
+                <input
+                  type="text"
+                  id="recipientName"
+                  name="recipientName"
+                  value={formData.recipientName}
+                  onChange={handleChange}
+                  placeholder="John Smith"
+                  className={errors.recipientName ? 'error' : ''}
+                  maxLength="100"
+                  required
+                />
+                {errors.recipientName && (
+                  <div className="error-message">{errors.recipientName}</div>
+                )}
+              </div>
 
-            <button
-              type="submit"
-              className="btn pay-button"
-              disabled={isSubmitting || Object.values(errors).some(error => error)}
-            >
-              {isSubmitting
-                ? 'Processing Payment...'
-                : `Pay ${formData.amount} ${formData.currency}`}
-            </button>
-          </form>
+              <div className="form-group">
+                <label htmlFor="reference">Payment Reference</label>
+                <input
+                  type="text"
+                  id="reference"
+                  name="reference"
+                  value={formData.reference}
+                  onChange={handleChange}
+                  placeholder="Invoice 12345"
+                  className={errors.reference ? 'error' : ''}
+                  maxLength="35"
+                />
+                {errors.reference && <div className="error-message">{errors.reference}</div>}
+              </div>
+
+              <button
+                type="submit"
+                className="btn pay-button"
+                disabled={
+                  isSubmitting ||
+                  bank?.found === false ||
+                  Object.values(errors).some(error => error)
+                }
+              >
+                {isSubmitting
+                  ? 'Preparing confirmation...'
+                  : `Pay ${formData.amount} ${formData.currency}`}
+              </button>
+            </form>
+          )}
 
           <div className="security-notice">
             🔒 All payment data is encrypted and processed securely
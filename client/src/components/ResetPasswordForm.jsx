@@ -0,0 +1,158 @@
+/**
+ * Reset Password Component
+ * Landing page for the emailed reset link (?token=...&type=employee).
+ * The link works once; a successful reset signs the account out everywhere.
+ */
+
+import { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { API_ENDPOINTS, getSecureFetchOptions, fetchCSRFToken } from '../config/api';
+
+const PASSWORD_REGEX = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]{8,}$/;
+const TOKEN_REGEX = /^[a-f0-9]{64}$/;
+
+const ResetPasswordForm = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const accountType = searchParams.get('type') === 'employee' ? 'employee' : 'customer';
+  const loginPath = accountType === 'employee' ? '/employee' : '/';
+  const forgotPath =
+    accountType === 'employee' ? '/forgot-password?type=employee' : '/forgot-password';
+
+  const [formData, setFormData] = useState({ newPassword: '', confirm: '' });
+  const [errors, setErrors] = useState({});
+  const [message, setMessage] = useState('');
+  const [done, setDone] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleChange = e => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+    setErrors(prev => ({ ...prev, [name]: '' }));
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+    if (!PASSWORD_REGEX.test(formData.newPassword)) {
+      newErrors.newPassword =
+        'Password must be at least 8 characters with uppercase, lowercase, number, and special character';
+    }
+    if (formData.confirm !== formData.newPassword) {
+      newErrors.confirm = 'Passwords do not match';
+    }
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async e => {
+    e.preventDefault();
+    setMessage('');
+
+    if (!validateForm()) {
+      return;
+    }
+
+    setIsSubmitting(true);
+
+    try {
+      const csrfToken = await fetchCSRFToken();
+      const response = await fetch(
+        API_ENDPOINTS.AUTH_PASSWORD_RESET_CONFIRM,
+        getSecureFetchOptions('POST', { token, newPassword: formData.newPassword }, csrfToken)
+      );
+      const data = await response.json();
+
+      if (response.ok) {
+        setDone(true);
+        setFormData({ newPassword: '', confirm: '' });
+      }
+      setMessage(data.errors?.[0]?.message || data.message || 'Could not reset the password');
+    } catch (err) {
+      console.error('Password reset error:', err);
+      setMessage('Network error. Please check your connection and try again.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (!TOKEN_REGEX.test(token)) {
+    return (
+      <div className="container">
+        <div className="form-container">
+          <h2>Reset Password</h2>
+          <div className="error-response">
+            This reset link is incomplete. Please open the link from your email again or request a
+            new one.
+          </div>
+          <div className="form-switch">
+            <p>
+              <Link to={forgotPath}>Request a new link</Link>
+            </p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="container">
+      <div className="form-container">
+        <h2>Choose a New Password</h2>
+
+        {message && <div className={done ? 'success-message' : 'error-response'}>{message}</div>}
+
+        {!done && (
+          <form onSubmit={handleSubmit}>
+            <div className="form-group">
+              <label htmlFor="reset-password">New Password</label>
+              <input
+                type="password"
+                id="reset-password"
+                name="newPassword"
+                autoComplete="new-password"
+                value={formData.newPassword}
+                onChange={handleChange}
+                className={errors.newPassword ? 'error' : ''}
+                required
+              />
+              {errors.newPassword && <div className="error-message">{errors.newPassword}</div>}
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="reset-confirm">Confirm New Password</label>
+              <input
+                type="password"
+                id="reset-confirm"
+                name="confirm"
+                autoComplete="new-password"
+                value={formData.confirm}
+                onChange={handleChange}
+                className={errors.confirm ? 'error' : ''}
+                required
+              />
+              {errors.confirm && <div className="error-message">{errors.confirm}</div>}
+            </div>
+
+            <button type="submit" className="btn" disabled={isSubmitting}>
+              {isSubmitting ? 'Saving...' : 'Reset password'}
+            </button>
+          </form>
+        )}
+
+        <div className="form-switch">
+          <p>
+            {done ? (
+              <Link to={loginPath}>Continue to login</Link>
+            ) : (
+              <>
+                Link expired? <Link to={forgotPath}>Request a new one</Link>
+              </>
+            )}
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPasswordForm;
@@ -0,0 +1,220 @@
+/**
+ * Sessions Panel Component (Customer and Employee)
+ * Lists the signed-in user's active sessions and revokes one or all of them
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { API_ENDPOINTS, getSecureFetchOptions, fetchCSRFToken } from '../config/api';
+import { ConfirmDialog, LoadingSpinner, showToast } from './ui';
+import { FiMonitor, FiLogOut, FiRefreshCw } from 'react-icons/fi';
+import { format } from 'date-fns';
+
+const SessionsPanel = ({ onSignedOut }) => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [actionLoading, setActionLoading] = useState(false);
+  const [confirmSignOutAll, setConfirmSignOutAll] = useState(false);
+
+  const fetchSessions = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await fetch(API_ENDPOINTS.AUTH_SESSIONS, getSecureFetchOptions('GET'));
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to fetch sessions');
+      }
+
+      setSessions(data.sessions || []);
+    } catch (err) {
+      showToast.error(`Failed to fetch sessions: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  const revoke = async (url, successMessage, endsCurrentSession) => {
+    setActionLoading(true);
+    try {
+      const csrfToken = await fetchCSRFToken();
+      const response = await fetch(url, getSecureFetchOptions('DELETE', null, csrfToken));
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to revoke session');
+      }
+
+      showToast.success(successMessage);
+
+      if (endsCurrentSession(data)) {
+        onSignedOut();
+      } else {
+        fetchSessions();
+      }
+    } catch (err) {
+      showToast.error(err.message);
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const revokeSession = session =>
+    revoke(
+      API_ENDPOINTS.AUTH_SESSION(session.id),
+      session.current ? 'Signed out of this device' : `Signed out ${session.device}`,
+      data => data.current
+    );
+
+  const signOutEverywhere = () => {
+    setConfirmSignOutAll(false);
+    revoke(API_ENDPOINTS.AUTH_SESSIONS, 'Signed out of all sessions', () => true);
+  };
+
+  return (
+    <div
+      style={{
+        maxWidth: '800px',
+        margin: '0 auto',
+        padding: '1.5rem',
+        backgroundColor: 'rgba(17, 24, 39, 0.85)',
+        border: '1px solid #374151',
+        borderRadius: '12px',
+        color: '#e5e7eb',
+      }}
+    >
+      <div
+        style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          gap: '1rem',
+          flexWrap: 'wrap',
+          marginBottom: '1rem',
+        }}
+      >
+        <div>
+          <h2 style={{ margin: 0, fontSize: '1.25rem', fontWeight: '600' }}>Active Sessions</h2>
+          <p style={{ margin: '0.25rem 0 0', color: '#9ca3af', fontSize: '0.875rem' }}>
+            Devices currently signed in to your account
+          </p>
+        </div>
+        <div style={{ display: 'flex', gap: '0.5rem' }}>
+          <button
+            onClick={fetchSessions}
+            disabled={loading}
+            title="Refresh"
+            style={{
+              padding: '0.5rem 0.75rem',
+              backgroundColor: 'transparent',
+              color: '#9ca3af',
+              border: '1px solid #374151',
+              borderRadius: '6px',
+              cursor: loading ? 'not-allowed' : 'pointer',
+            }}
+          >
+            <FiRefreshCw />
+          </button>
+          <button
+            onClick={() => setConfirmSignOutAll(true)}
+            disabled={actionLoading || sessions.length === 0}
+            style={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: '0.5rem',
+              padding: '0.5rem 1rem',
+              backgroundColor: '#ef4444',
+              color: '#fff',
+              border: 'none',
+              borderRadius: '6px',
+              cursor: actionLoading ? 'not-allowed' : 'pointer',
+              fontWeight: '500',
+            }}
+          >
+            <FiLogOut />
+            Sign out everywhere
+          </button>
+        </div>
+      </div>
+
+      {loading ? (
+        <LoadingSpinner />
+      ) : sessions.length === 0 ? (
+        <p style={{ color: '#9ca3af' }}>No active sessions</p>
+      ) : (
+        sessions.map(session => (
+          <div
+            key={session.id}
+            style={{
+              display: 'flex',
+              justifyContent: 'space-between',
+              alignItems: 'center',
+              gap: '1rem',
+              padding: '0.875rem 0',
+              borderTop: '1px solid rgba(55, 65, 81, 0.6)',
+            }}
+          >
+            <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem' }}>
+              <FiMonitor size={20} style={{ color: session.current ? '#10b981' : '#9ca3af' }} />
+              <div>
+                <p style={{ margin: 0, fontWeight: '600' }}>
+                  {session.device}
+                  {session.current && (
+                    <span
+                      style={{
+                        marginLeft: '0.5rem',
+                        padding: '0.125rem 0.5rem',
+                        backgroundColor: 'rgba(16, 185, 129, 0.15)',
+                        color: '#10b981',
+                        borderRadius: '9999px',
+                        fontSize: '0.6875rem',
+                      }}
+                    >
+                      This device
+                    </span>
+                  )}
+                </p>
+                <p style={{ margin: 0, color: '#9ca3af', fontSize: '0.8125rem' }}>
+                  {session.ipAddress || 'Unknown IP'} • Signed in{' '}
+                  {format(new Date(session.createdAt), 'MMM dd, yyyy HH:mm')} • Last active{' '}
+                  {format(new Date(session.lastSeenAt), 'MMM dd, yyyy HH:mm')}
+                </p>
+              </div>
+            </div>
+            <button
+              onClick={() => revokeSession(session)}
+              disabled={actionLoading}
+              style={{
+                padding: '0.375rem 0.75rem',
+                backgroundColor: 'transparent',
+                color: '#fca5a5',
+                border: '1px solid rgba(239, 68, 68, 0.4)',
+                borderRadius: '6px',
+                cursor: actionLoading ? 'not-allowed' : 'pointer',
+                fontSize: '0.8125rem',
+                whiteSpace: 'nowrap',
+              }}
+            >
+              {session.current ? 'Sign out' : 'Revoke'}
+            </button>
+          </div>
+        ))
+      )}
+
+      <ConfirmDialog
+        isOpen={confirmSignOutAll}
+        onClose={() => setConfirmSignOutAll(false)}
+        onConfirm={signOutEverywhere}
+        title="Sign Out Everywhere"
+        message={`This ends all ${sessions.length} active session(s), including this one. You will need to log in again.`}
+        confirmText="Sign out everywhere"
+        isDestructive
+      />
+    </div>
+  );
+};
+
+export default SessionsPanel;
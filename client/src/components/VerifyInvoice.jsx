@@ -0,0 +1,157 @@
+/**
+ * Verify Invoice Component
+ * Public page opened by the QR code on invoice PDFs (?invoice=...&sig=...).
+ * Also accepts the invoice number and signature typed from a printed copy.
+ */
+
+import { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { API_ENDPOINTS, getSecureFetchOptions } from '../config/api';
+import { format } from 'date-fns';
+
+const INVOICE_REGEX = /^INV-\d{13}-[A-Z0-9]{4,10}$/;
+const SIGNATURE_REGEX = /^[A-Za-z0-9_-]{43}$/;
+
+const VerifyInvoice = () => {
+  const [searchParams] = useSearchParams();
+  const [formData, setFormData] = useState({
+    invoice: searchParams.get('invoice') || '',
+    sig: searchParams.get('sig') || '',
+  });
+  const [result, setResult] = useState(null);
+  const [message, setMessage] = useState('');
+  const [isChecking, setIsChecking] = useState(false);
+
+  const verify = async ({ invoice, sig }) => {
+    setResult(null);
+    setMessage('');
+
+    if (!INVOICE_REGEX.test(invoice) || !SIGNATURE_REGEX.test(sig)) {
+      setMessage('Enter the invoice number and the 43-character signature printed on the invoice');
+      return;
+    }
+
+    setIsChecking(true);
+    try {
+      const response = await fetch(
+        `${API_ENDPOINTS.INVOICE_VERIFY(invoice)}?sig=${encodeURIComponent(sig)}`,
+        getSecureFetchOptions('GET')
+      );
+      const data = await response.json();
+
+      if (response.ok && data.verified) {
+        setResult(data.invoice);
+      } else {
+        setMessage(data.message || 'This invoice could not be verified');
+      }
+    } catch (err) {
+      console.error('Invoice verification error:', err);
+      setMessage('Network error. Please check your connection and try again.');
+    } finally {
+      setIsChecking(false);
+    }
+  };
+
+  // Links from the QR code carry both values - check straight away
+  useEffect(() => {
+    if (formData.invoice && formData.sig) {
+      verify(formData);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const handleChange = e => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value.trim() }));
+  };
+
+  const handleSubmit = e => {
+    e.preventDefault();
+    verify(formData);
+  };
+
+  return (
+    <div className="container">
+      <div className="form-container">
+        <h2>Verify an Invoice</h2>
+
+        {message && <div className="error-response">{message}</div>}
+
+        {result && (
+          <>
+            <div className="success-message">
+              Genuine invoice issued by {result.issuedBy}. Check that the details below match your
+              copy - any difference means the document has been altered.
+            </div>
+            <dl style={{ display: 'grid', gridTemplateColumns: 'auto 1fr', gap: '0.5rem 1rem' }}>
+              <dt>Invoice</dt>
+              <dd style={{ margin: 0, fontFamily: 'monospace' }}>{result.invoiceNumber}</dd>
+              <dt>Date</dt>
+              <dd style={{ margin: 0 }}>
+                {format(new Date(result.invoiceDate), 'MMM dd, yyyy HH:mm')}
+              </dd>
+              <dt>Amount</dt>
+              <dd style={{ margin: 0, fontWeight: 600 }}>
+                {result.currency} {result.amount.toFixed(2)}
+              </dd>
+              <dt>Recipient</dt>
+              <dd style={{ margin: 0 }}>
+                {result.recipientName} ({result.recipientAccount}, {result.recipientSwift})
+              </dd>
+              <dt>Transaction</dt>
+              <dd style={{ margin: 0, fontFamily: 'monospace' }}>{result.transactionId}</dd>
+              <dt>Verified by</dt>
+              <dd style={{ margin: 0 }}>
+                {result.verifiedByName}
+                {result.verifierDepartment && ` (${result.verifierDepartment})`}
+              </dd>
+              <dt>Status</dt>
+              <dd style={{ margin: 0 }}>{result.status}</dd>
+            </dl>
+          </>
+        )}
+
+        <form onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label htmlFor="verify-invoice">Invoice Number</label>
+            <input
+              type="text"
+              id="verify-invoice"
+              name="invoice"
+              placeholder="INV-..."
+              value={formData.invoice}
+              onChange={handleChange}
+              required
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="verify-signature">Signature</label>
+            <input
+              type="text"
+              id="verify-signature"
+              name="sig"
+              autoComplete="off"
+              spellCheck={false}
+              value={formData.sig}
+              onChange={handleChange}
+              required
+            />
+          </div>
+
+          <button type="submit" className="btn" disabled={isChecking}>
+            {isChecking ? 'Checking...' : 'Verify invoice'}
+          </button>
+        </form>
+
+        <div className="form-switch">
+          <p>
+            <Link to="/">Back to the Customer Portal</Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyInvoice;
@@ -4,18 +4,30 @@
  */
 
 import React, { useState, useEffect } from 'react';
-import { API_ENDPOINTS, getSecureFetchOptions } from '../../config/api';
+import { API_ENDPOINTS, getSecureFetchOptions, downloadSecureFile } from '../../config/api';
 import { LoadingSpinner, showToast, StatusBadge } from '../ui';
-import { FiCheckCircle, FiUser, FiDollarSign, FiCalendar, FiFileText } from 'react-icons/fi';
+import {
+  FiCheckCircle,
+  FiUser,
+  FiDollarSign,
+  FiCalendar,
+  FiFileText,
+  FiDownload,
+} from 'react-icons/fi';
 import { format } from 'date-fns';
+import ExportButtons from './ExportButtons';
 
 const AcceptedPaymentsView = ({ employee }) => {
   const [payments, setPayments] = useState([]);
   const [loading, setLoading] = useState(true);
   const [selectedPayment, setSelectedPayment] = useState(null);
+  const [downloadingMt103, setDownloadingMt103] = useState(false);
+  const [invoiceNumbers, setInvoiceNumbers] = useState({});
+  const [downloadingPdf, setDownloadingPdf] = useState(false);
   const [stats, setStats] = useState({
     total: 0,
     totalAmount: 0,
+    baseCurrency: 'USD',
     todayCount: 0,
   });
 
@@ -27,29 +39,50 @@ const AcceptedPaymentsView = ({ employee }) => {
 
   const fetchAcceptedPayments = async () => {
     try {
-      const response = await fetch(
-        API_ENDPOINTS.PAYMENTS_EMPLOYEE_ALL,
-        getSecureFetchOptions('GET')
-      );
-      const data = await response.json();
+      // Walk every page of accepted payments (the server pages with cursors)
+      const accepted = [];
+      let cursor = null;
+      let data;
+      do {
+        const query = `status=verified,submitted_to_swift,completed&limit=100${cursor ? `&cursor=${cursor}` : ''}`;
+        const response = await fetch(
+          `${API_ENDPOINTS.PAYMENTS_EMPLOYEE_ALL}?${query}`,
+          getSecureFetchOptions('GET')
+        );
+        data = await response.json();
 
-      if (!response.ok) {
-        throw new Error(data.message || 'Failed to fetch payments');
-      }
+        if (!response.ok) {
+          throw new Error(data.message || 'Failed to fetch payments');
+        }
 
-      // Filter for verified and completed payments BY THIS EMPLOYEE ONLY
-      const acceptedPayments = (data.transactions || []).filter(
-        p =>
-          (p.status === 'verified' ||
-            p.status === 'completed' ||
-            p.status === 'submitted_to_swift') &&
-          p.verifiedByEmail === employee.email
-      );
+        accepted.push(...(data.transactions || []));
+        cursor = data.pagination?.nextCursor;
+      } while (cursor);
+
+      // Only the payments verified BY THIS EMPLOYEE
+      const acceptedPayments = accepted.filter(p => p.verifiedByEmail === employee.email);
 
       setPayments(acceptedPayments);
 
-      // Calculate stats
-      const totalAmount = acceptedPayments.reduce((sum, p) => sum + p.amount, 0);
+      // Invoice numbers by transaction, for the PDF download in the details view
+      const invoiceResponse = await fetch(
+        API_ENDPOINTS.INVOICES_EMPLOYEE,
+        getSecureFetchOptions('GET')
+      );
+      if (invoiceResponse.ok) {
+        const invoiceData = await invoiceResponse.json();
+        setInvoiceNumbers(
+          Object.fromEntries(
+            (invoiceData.invoices || []).map(invoice => [
+              invoice.transactionId,
+              invoice.invoiceNumber,
+            ])
+          )
+        );
+      }
+
+      // Calculate stats (baseAmount is converted to the bank's reporting currency)
+      const totalAmount = acceptedPayments.reduce((sum, p) => sum + (p.baseAmount ?? p.amount), 0);
       const today = new Date();
       today.setHours(0, 0, 0, 0);
       const todayCount = acceptedPayments.filter(p => {
@@ -61,6 +94,7 @@ const AcceptedPaymentsView = ({ employee }) => {
       setStats({
         total: acceptedPayments.length,
         totalAmount,
+        baseCurrency: data.baseCurrency || 'USD',
         todayCount,
       });
     } catch (err) {
@@ -70,6 +104,34 @@ const AcceptedPaymentsView = ({ employee }) => {
     }
   };
 
+  const handleDownloadMt103 = async transactionId => {
+    setDownloadingMt103(true);
+    try {
+      await downloadSecureFile(
+        API_ENDPOINTS.PAYMENTS_EMPLOYEE_MT103(transactionId),
+        `${transactionId}.mt103.txt`
+      );
+    } catch (err) {
+      showToast.error(`MT103 export failed: ${err.message}`);
+    } finally {
+      setDownloadingMt103(false);
+    }
+  };
+
+  const handleDownloadInvoicePdf = async invoiceNumber => {
+    setDownloadingPdf(true);
+    try {
+      await downloadSecureFile(
+        API_ENDPOINTS.INVOICE_EMPLOYEE_PDF(invoiceNumber),
+        `${invoiceNumber}.pdf`
+      );
+    } catch (err) {
+      showToast.error(`Invoice download failed: ${err.message}`);
+    } finally {
+      setDownloadingPdf(false);
+    }
+  };
+
   const maskAccount = account => {
     if (!account) return 'N/A';
     return account.length > 8
@@ -95,23 +157,37 @@ const AcceptedPaymentsView = ({ employee }) => {
   return (
     <div style={{ padding: '24px' }}>
       {/* Header */}
-      <div style={{ marginBottom: '24px' }}>
-        <h2
-          style={{
-            color: '#e5e7eb',
-            fontSize: '1.75rem',
-            marginBottom: '8px',
-            display: 'flex',
-            alignItems: 'center',
-            gap: '12px',
-          }}
-        >
-          <FiCheckCircle style={{ color: '#10b981' }} />
-          Accepted Payments Archive
-        </h2>
-        <p style={{ color: '#9ca3af', fontSize: '0.875rem' }}>
-          Payments verified by {employee?.name || 'you'} ({employee?.email})
-        </p>
+      <div
+        style={{
+          marginBottom: '24px',
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'flex-start',
+          gap: '16px',
+        }}
+      >
+        <div>
+          <h2
+            style={{
+              color: '#e5e7eb',
+              fontSize: '1.75rem',
+              marginBottom: '8px',
+              display: 'flex',
+              alignItems: 'center',
+              gap: '12px',
+            }}
+          >
+            <FiCheckCircle style={{ color: '#10b981' }} />
+            Accepted Payments Archive
+          </h2>
+          <p style={{ color: '#9ca3af', fontSize: '0.875rem' }}>
+            Payments verified by {employee?.name || 'you'} ({employee?.email})
+          </p>
+        </div>
+        {/* Invoices for every verified payment, not only this employee's */}
+        {employee?.permissions?.includes('generate_reports') && (
+          <ExportButtons url={API_ENDPOINTS.INVOICES_EMPLOYEE_EXPORT} dataset="invoices" />
+        )}
       </div>
 
       {/* Stats Cards */}
@@ -132,7 +208,7 @@ const AcceptedPaymentsView = ({ employee }) => {
         <StatCard
           icon={<FiDollarSign />}
           label="Total Amount"
-          value={`$${stats.totalAmount.toFixed(2)}`}
+          value={`${stats.baseCurrency} ${stats.totalAmount.toFixed(2)}`}
           color="#3b82f6"
         />
         <StatCard
@@ -516,6 +592,62 @@ const AcceptedPaymentsView = ({ employee }) => {
                 </div>
               )}
             </div>
+
+            <div
+              style={{
+                display: 'flex',
+                justifyContent: 'flex-end',
+                gap: '12px',
+                marginTop: '24px',
+              }}
+            >
+              {invoiceNumbers[selectedPayment.transactionId] && (
+                <button
+                  onClick={() =>
+                    handleDownloadInvoicePdf(invoiceNumbers[selectedPayment.transactionId])
+                  }
+                  disabled={downloadingPdf}
+                  style={{
+                    padding: '10px 16px',
+                    backgroundColor: 'transparent',
+                    color: '#a5b4fc',
+                    border: '1px solid #4338ca',
+                    borderRadius: '6px',
+                    cursor: downloadingPdf ? 'not-allowed' : 'pointer',
+                    opacity: downloadingPdf ? 0.6 : 1,
+                    fontSize: '0.875rem',
+                    fontWeight: '500',
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: '8px',
+                  }}
+                >
+                  <FiFileText size={16} />
+                  {downloadingPdf ? 'Preparing PDF...' : 'Download Invoice PDF'}
+                </button>
+              )}
+              <button
+                onClick={() => handleDownloadMt103(selectedPayment.transactionId)}
+                disabled={downloadingMt103}
+                style={{
+                  padding: '10px 16px',
+                  backgroundColor: '#4338ca',
+                  color: '#fff',
+                  border: 'none',
+                  borderRadius: '6px',
+                  cursor: downloadingMt103 ? 'not-allowed' : 'pointer',
+                  opacity: downloadingMt103 ? 0.6 : 1,
+                  fontSize: '0.875rem',
+                  fontWeight: '500',
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '8px',
+                }}
+              >
+                <FiDownload size={16} />
+                {downloadingMt103 ? 'Preparing MT103...' : 'Download MT103'}
+              </button>
+            </div>
           </div>
         </div>
       )}
@@ -4,17 +4,20 @@
  */
 
 import React, { useState, useEffect } from 'react';
-import { API_ENDPOINTS, getSecureFetchOptions } from '../../config/api';
+import { API_ENDPOINTS, getSecureFetchOptions, fetchCSRFToken } from '../../config/api';
 import { LoadingSpinner, showToast, AnimatedList } from '../ui';
 import { FiUser, FiMail, FiCalendar, FiDollarSign, FiCheckCircle } from 'react-icons/fi';
+import ExportButtons from './ExportButtons';
 
-const CustomerListView = () => {
+const CustomerListView = ({ employee }) => {
   const [customers, setCustomers] = useState([]);
   const [stats, setStats] = useState(null);
   const [loading, setLoading] = useState(true);
   const [selectedCustomer, setSelectedCustomer] = useState(null);
   const [customerDetails, setCustomerDetails] = useState(null);
   const [loadingDetails, setLoadingDetails] = useState(false);
+  const [depositForm, setDepositForm] = useState({ amount: '', currency: 'USD' });
+  const [depositing, setDepositing] = useState(false);
 
   useEffect(() => {
     fetchCustomers();
@@ -78,6 +81,31 @@ const CustomerListView = () => {
     }
   };
 
+  const handleDeposit = async e => {
+    e.preventDefault();
+    setDepositing(true);
+    try {
+      const csrfToken = await fetchCSRFToken();
+      const response = await fetch(
+        API_ENDPOINTS.CUSTOMERS_EMPLOYEE_DEPOSIT(selectedCustomer._id),
+        getSecureFetchOptions('POST', depositForm, csrfToken)
+      );
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to credit account');
+      }
+
+      showToast.success(data.message);
+      setDepositForm(prev => ({ ...prev, amount: '' }));
+      fetchCustomerDetails(selectedCustomer._id);
+    } catch (err) {
+      showToast.error(`Deposit failed: ${err.message}`);
+    } finally {
+      setDepositing(false);
+    }
+  };
+
   const handleCustomerSelect = customer => {
     setSelectedCustomer(customer);
     fetchCustomerDetails(customer._id);
@@ -132,10 +160,23 @@ const CustomerListView = () => {
 
   return (
     <div style={{ padding: '24px' }}>
-      <h2 style={{ color: '#e5e7eb', marginBottom: '24px', fontSize: '1.75rem' }}>
-        <FiUser style={{ display: 'inline', marginRight: '8px', verticalAlign: 'middle' }} />
-        Registered Customers
-      </h2>
+      <div
+        style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          gap: '16px',
+          marginBottom: '24px',
+        }}
+      >
+        <h2 style={{ color: '#e5e7eb', margin: 0, fontSize: '1.75rem' }}>
+          <FiUser style={{ display: 'inline', marginRight: '8px', verticalAlign: 'middle' }} />
+          Registered Customers
+        </h2>
+        {employee?.permissions?.includes('generate_reports') && (
+          <ExportButtons url={API_ENDPOINTS.CUSTOMERS_EMPLOYEE_EXPORT} dataset="customers" />
+        )}
+      </div>
 
       {/* Stats Cards */}
       {stats && (
@@ -263,11 +304,105 @@ const CustomerListView = () => {
                   />
                   <DetailRow
                     icon={<FiDollarSign />}
-                    label="Account Balance"
-                    value={`$${customerDetails.customer.accountBalance.toFixed(2)}`}
+                    label="Available Balance"
+                    value={`${customerDetails.customer.accountCurrency} ${customerDetails.customer.accountBalance.toFixed(2)}`}
                   />
                 </div>
 
+                {/* Ledger balances per currency */}
+                <div
+                  style={{
+                    backgroundColor: 'rgba(16, 185, 129, 0.1)',
+                    padding: '16px',
+                    borderRadius: '8px',
+                    marginBottom: '24px',
+                  }}
+                >
+                  <h4 style={{ color: '#e5e7eb', marginBottom: '12px', fontSize: '1rem' }}>
+                    Ledger Balances
+                  </h4>
+                  {Object.keys(customerDetails.balances || {}).length === 0 ? (
+                    <p style={{ margin: 0, fontSize: '0.875rem', color: '#9ca3af' }}>
+                      No funds booked yet
+                    </p>
+                  ) : (
+                    Object.entries(customerDetails.balances).map(([currency, balance]) => (
+                      <div
+                        key={currency}
+                        style={{
+                          display: 'flex',
+                          justifyContent: 'space-between',
+                          fontSize: '0.875rem',
+                          padding: '4px 0',
+                        }}
+                      >
+                        <span style={{ color: '#e5e7eb', fontWeight: '600' }}>{currency}</span>
+                        <span style={{ color: '#10b981' }}>
+                          {balance.available.toFixed(2)} available
+                        </span>
+                        <span style={{ color: '#f59e0b' }}>{balance.held.toFixed(2)} held</span>
+                      </div>
+                    ))
+                  )}
+
+                  <form
+                    onSubmit={handleDeposit}
+                    style={{ display: 'flex', gap: '8px', marginTop: '12px' }}
+                  >
+                    <input
+                      type="number"
+                      min="1"
+                      max="1000000"
+                      step="0.01"
+                      required
+                      placeholder="Amount"
+                      value={depositForm.amount}
+                      onChange={e => setDepositForm({ ...depositForm, amount: e.target.value })}
+                      style={{
+                        flex: 1,
+                        padding: '8px',
+                        backgroundColor: 'rgba(0,0,0,0.3)',
+                        border: '1px solid rgba(255,255,255,0.2)',
+                        borderRadius: '6px',
+                        color: '#e5e7eb',
+                      }}
+                    />
+                    <select
+                      value={depositForm.currency}
+                      onChange={e => setDepositForm({ ...depositForm, currency: e.target.value })}
+                      style={{
+                        padding: '8px',
+                        backgroundColor: 'rgba(0,0,0,0.3)',
+                        border: '1px solid rgba(255,255,255,0.2)',
+                        borderRadius: '6px',
+                        color: '#e5e7eb',
+                      }}
+                    >
+                      {['USD', 'EUR', 'GBP', 'ZAR'].map(code => (
+                        <option key={code} value={code}>
+                          {code}
+                        </option>
+                      ))}
+                    </select>
+                    <button
+                      type="submit"
+                      disabled={depositing}
+                      style={{
+                        padding: '8px 12px',
+                        backgroundColor: '#10b981',
+                        color: '#fff',
+                        border: 'none',
+                        borderRadius: '6px',
+                        cursor: depositing ? 'not-allowed' : 'pointer',
+                        opacity: depositing ? 0.6 : 1,
+                        fontWeight: '500',
+                      }}
+                    >
+                      {depositing ? 'Crediting...' : 'Credit'}
+                    </button>
+                  </form>
+                </div>
+
                 <div
                   style={{
                     backgroundColor: 'rgba(99, 102, 241, 0.1)',
@@ -316,7 +451,7 @@ const CustomerListView = () => {
                         color: '#10b981',
                       }}
                     >
-                      ${customerDetails.stats.totalAmount.toFixed(2)}
+                      {customerDetails.baseCurrency} {customerDetails.stats.totalAmount.toFixed(2)}
                     </p>
                   </div>
                 </div>
@@ -388,7 +523,7 @@ const CustomerListView = () => {
                                 color: '#10b981',
                               }}
                             >
-                              ${empStat.totalAmount.toFixed(2)}
+                              {customerDetails.baseCurrency} {empStat.totalAmount.toFixed(2)}
                             </p>
                           </div>
                         </div>
@@ -3,14 +3,34 @@
  * Complete UX improvements with search, filter, pagination, and real-time updates
  */
 
-import React, { useState, useEffect, useCallback } from 'react';
-import { API_ENDPOINTS, getSecureFetchOptions, fetchCSRFToken } from '../../config/api';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import {
+  API_ENDPOINTS,
+  getSecureFetchOptions,
+  fetchCSRFToken,
+  downloadSecureFile,
+} from '../../config/api';
 import { LoadingSpinner, StatusBadge, ConfirmDialog, showToast, CardNav, FolderIcon } from '../ui';
-import { FiSearch, FiFilter, FiRefreshCw, FiCheck, FiX } from 'react-icons/fi';
+import {
+  FiSearch,
+  FiFilter,
+  FiRefreshCw,
+  FiCheck,
+  FiX,
+  FiDownload,
+  FiAlertTriangle,
+} from 'react-icons/fi';
 import { formatDistanceToNow } from 'date-fns';
 import Cubes from './Cubes';
 import CustomerListView from './CustomerListView';
 import AcceptedPaymentsView from './AcceptedPaymentsView';
+import InvoiceManagementView from './InvoiceManagementView';
+import SecurityConsoleView from './SecurityConsoleView';
+import ExportButtons from './ExportButtons';
+import PaymentAuditTimeline from './PaymentAuditTimeline';
+import SessionsPanel from '../SessionsPanel';
+import MfaSettings from '../MfaSettings';
+import MfaStepUpDialog from './MfaStepUpDialog';
 
 // Simple panel component for better visibility
 const Panel = ({ children, style = {} }) => (
@@ -30,12 +50,14 @@ const Panel = ({ children, style = {} }) => (
 
 const EmployeeDashboardEnhanced = ({ employee, onLogout }) => {
   // View state management
-  const [currentView, setCurrentView] = useState('payments'); // 'payments', 'customers', or 'accepted'
+  const [currentView, setCurrentView] = useState('payments'); // 'payments', 'customers', 'accepted', 'invoices', 'sessions', 'twoFactor' or 'security'
 
   // State management
   const [activeTab, setActiveTab] = useState('pending');
   const [transactions, setTransactions] = useState([]);
-  const [filteredTransactions, setFilteredTransactions] = useState([]);
+  const [pagination, setPagination] = useState({ total: 0, hasMore: false, nextCursor: null });
+  const [acceptedCount, setAcceptedCount] = useState(0);
+  const [baseCurrency, setBaseCurrency] = useState('USD');
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [selectedTransaction, setSelectedTransaction] = useState(null);
@@ -44,6 +66,10 @@ const EmployeeDashboardEnhanced = ({ employee, onLogout }) => {
     verifierNotes: '',
   });
   const [selectedForSwift, setSelectedForSwift] = useState(new Set());
+  const [lastSwiftBatch, setLastSwiftBatch] = useState(null);
+  // Authenticator code prompt shown before releasing payments to SWIFT
+  const [swiftStepUpOpen, setSwiftStepUpOpen] = useState(false);
+  const [mfaEnabled, setMfaEnabled] = useState(Boolean(employee?.mfaEnabled));
   const [actionLoading, setActionLoading] = useState(false);
   const [lastRefresh, setLastRefresh] = useState(new Date());
   const [autoRefresh, setAutoRefresh] = useState(true);
@@ -53,11 +79,19 @@ const EmployeeDashboardEnhanced = ({ employee, onLogout }) => {
   const [filterCurrency, setFilterCurrency] = useState('all');
   const [filterAmountMin, setFilterAmountMin] = useState('');
   const [filterAmountMax, setFilterAmountMax] = useState('');
+  const [filterFrom, setFilterFrom] = useState('');
+  const [filterTo, setFilterTo] = useState('');
+  const [filterCustomer, setFilterCustomer] = useState('');
+  const [filterSwift, setFilterSwift] = useState('');
+  const [sortOption, setSortOption] = useState('createdAt:desc');
   const [showFilters, setShowFilters] = useState(false);
+  // Typed filters are sent once the employee pauses
+  const [textFilters, setTextFilters] = useState({ search: '', customer: '', swift: '' });
 
-  // Pagination state
-  const [currentPage, setCurrentPage] = useState(1);
+  // Pagination state - the server pages with cursors, so keep the cursor of
+  // every page visited under the current query to step back through them
   const [itemsPerPage] = useState(20);
+  const [pageCursors, setPageCursors] = useState({ query: '', cursors: [null] });
 
   // Confirmation dialog state
   const [confirmDialog, setConfirmDialog] = useState({
@@ -68,19 +102,82 @@ const EmployeeDashboardEnhanced = ({ employee, onLogout }) => {
     isDestructive: false,
   });
 
-  // Fetch transactions based on active tab
+  useEffect(() => {
+    const timer = setTimeout(
+      () => setTextFilters({ search: searchTerm, customer: filterCustomer, swift: filterSwift }),
+      400
+    );
+    return () => clearTimeout(timer);
+  }, [searchTerm, filterCustomer, filterSwift]);
+
+  // Query string for the active tab, filters and sort
+  const listQuery = useMemo(() => {
+    const [sort, order] = sortOption.split(':');
+    const params = new URLSearchParams({ status: activeTab, sort, order, limit: itemsPerPage });
+
+    // The server matches transaction IDs and references
+    const search = textFilters.search
+      .trim()
+      .replace(/[^a-zA-Z0-9\s\-_.]/g, '')
+      .slice(0, 35);
+    if (search) params.set('q', search);
+    if (filterCurrency !== 'all') params.set('currency', filterCurrency);
+    if (filterAmountMin) params.set('minAmount', filterAmountMin);
+    if (filterAmountMax) params.set('maxAmount', filterAmountMax);
+    // Date inputs cover whole local days
+    if (filterFrom) params.set('from', new Date(`${filterFrom}T00:00:00`).toISOString());
+    if (filterTo) params.set('to', new Date(`${filterTo}T23:59:59.999`).toISOString());
+    // Partly typed customers and BICs are not sent
+    const customer = textFilters.customer.trim();
+    if (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(customer) || /^[a-f0-9]{24}$/.test(customer)) {
+      params.set('customer', customer);
+    }
+    const swift = textFilters.swift.trim().toUpperCase();
+    if (/^[A-Z]{6}[A-Z0-9]{2}([A-Z0-9]{3})?$/.test(swift)) params.set('swift', swift);
+
+    return params.toString();
+  }, [
+    activeTab,
+    sortOption,
+    itemsPerPage,
+    textFilters,
+    filterCurrency,
+    filterAmountMin,
+    filterAmountMax,
+    filterFrom,
+    filterTo,
+  ]);
+
+  // Exports take the same filters and sort, without paging
+  const exportQuery = useMemo(() => {
+    const params = new URLSearchParams(listQuery);
+    params.delete('limit');
+    return params.toString();
+  }, [listQuery]);
+
+  // Any change to the query starts again from page 1
+  const cursors = pageCursors.query === listQuery ? pageCursors.cursors : [null];
+  const currentPage = cursors.length;
+  const pageCursor = cursors[cursors.length - 1];
+
+  // Fetch the current page of transactions
   const fetchTransactions = useCallback(
     async (showLoadingSpinner = true) => {
       if (showLoadingSpinner) setLoading(true);
       setError('');
 
       try {
-        const endpoint =
-          activeTab === 'pending'
-            ? API_ENDPOINTS.PAYMENTS_EMPLOYEE_PENDING
-            : `${API_ENDPOINTS.PAYMENTS_EMPLOYEE_ALL}?status=${activeTab === 'all' ? '' : activeTab}`;
-
-        const response = await fetch(endpoint, getSecureFetchOptions('GET'));
+        const cursorParam = pageCursor ? `&cursor=${pageCursor}` : '';
+        const [response, acceptedResponse] = await Promise.all([
+          fetch(
+            `${API_ENDPOINTS.PAYMENTS_EMPLOYEE_ALL}?${listQuery}${cursorParam}`,
+            getSecureFetchOptions('GET')
+          ),
+          fetch(
+            `${API_ENDPOINTS.PAYMENTS_EMPLOYEE_ALL}?status=verified,submitted_to_swift,completed&limit=1`,
+            getSecureFetchOptions('GET')
+          ),
+        ]);
         const data = await response.json();
 
         if (!response.ok) {
@@ -88,11 +185,18 @@ const EmployeeDashboardEnhanced = ({ employee, onLogout }) => {
         }
 
         setTransactions(data.transactions || []);
+        setPagination(data.pagination || { total: 0, hasMore: false, nextCursor: null });
+        setBaseCurrency(data.baseCurrency || 'USD');
         setLastRefresh(new Date());
 
+        if (acceptedResponse.ok) {
+          const accepted = await acceptedResponse.json();
+          setAcceptedCount(accepted.pagination?.total || 0);
+        }
+
         // Show success toast only on manual refresh
         if (!showLoadingSpinner && data.transactions.length > 0) {
-          showToast.success(`Refreshed: ${data.transactions.length} transactions`);
+          showToast.success(`Refreshed: ${data.pagination.total} transactions`);
         }
       } catch (err) {
         setError(err.message);
@@ -101,14 +205,15 @@ const EmployeeDashboardEnhanced = ({ employee, onLogout }) => {
         if (showLoadingSpinner) setLoading(false);
       }
     },
-    [activeTab]
+    [listQuery, pageCursor]
   );
 
-  // Initial load and tab changes
+  // Initial load, tab, filter and page changes
   useEffect(() => {
     fetchTransactions();
-    setCurrentPage(1); // Reset to first page on tab change
-  }, [activeTab, fetchTransactions]);
+    // SWIFT selections only cover the page on screen
+    setSelectedForSwift(new Set());
+  }, [fetchTransactions]);
 
   // Auto-refresh every 60 seconds for pending tab
   useEffect(() => {
@@ -121,44 +226,30 @@ const EmployeeDashboardEnhanced = ({ employee, onLogout }) => {
     return () => clearInterval(interval);
   }, [autoRefresh, activeTab, fetchTransactions]);
 
-  // Apply search and filters
-  useEffect(() => {
-    let filtered = [...transactions];
-
-    // Search
-    if (searchTerm) {
-      const search = searchTerm.toLowerCase();
-      filtered = filtered.filter(
-        tx =>
-          tx.transactionId.toLowerCase().includes(search) ||
-          tx.customerEmail.toLowerCase().includes(search) ||
-          tx.recipientName.toLowerCase().includes(search) ||
-          tx.amount.toString().includes(search)
-      );
-    }
-
-    // Filter by currency
-    if (filterCurrency !== 'all') {
-      filtered = filtered.filter(tx => tx.currency === filterCurrency);
-    }
+  // Pagination
+  const totalPages = Math.max(1, Math.ceil(pagination.total / itemsPerPage));
+  const indexOfFirstItem = (currentPage - 1) * itemsPerPage;
 
-    // Filter by amount range
-    if (filterAmountMin) {
-      filtered = filtered.filter(tx => tx.amount >= parseFloat(filterAmountMin));
-    }
-    if (filterAmountMax) {
-      filtered = filtered.filter(tx => tx.amount <= parseFloat(filterAmountMax));
-    }
+  const goToNextPage = () => {
+    if (!pagination.nextCursor) return;
+    setPageCursors({ query: listQuery, cursors: [...cursors, pagination.nextCursor] });
+  };
 
-    setFilteredTransactions(filtered);
-    setCurrentPage(1); // Reset to first page when filters change
-  }, [transactions, searchTerm, filterCurrency, filterAmountMin, filterAmountMax]);
+  const goToPreviousPage = () => {
+    if (currentPage === 1) return;
+    setPageCursors({ query: listQuery, cursors: cursors.slice(0, -1) });
+  };
 
-  // Pagination
-  const indexOfLastItem = currentPage * itemsPerPage;
-  const indexOfFirstItem = indexOfLastItem - itemsPerPage;
-  const currentTransactions = filteredTransactions.slice(indexOfFirstItem, indexOfLastItem);
-  const totalPages = Math.ceil(filteredTransactions.length / itemsPerPage);
+  const hasActiveFilters = Boolean(
+    searchTerm ||
+    filterCurrency !== 'all' ||
+    filterAmountMin ||
+    filterAmountMax ||
+    filterFrom ||
+    filterTo ||
+    filterCustomer ||
+    filterSwift
+  );
 
   const handleVerifyTransaction = async () => {
     if (!selectedTransaction) {
@@ -212,15 +303,12 @@ const EmployeeDashboardEnhanced = ({ employee, onLogout }) => {
     }
   };
 
-  const handleSubmitToSwift = async () => {
+  const handleSubmitToSwift = async mfaCode => {
     if (selectedForSwift.size === 0) {
       showToast.warning('Please select at least one transaction to submit');
       return;
     }
 
-    // Close confirmation dialog
-    setConfirmDialog({ ...confirmDialog, isOpen: false });
-
     setActionLoading(true);
     setError('');
 
@@ -236,6 +324,7 @@ const EmployeeDashboardEnhanced = ({ employee, onLogout }) => {
           'POST',
           {
             transactionIds: Array.from(selectedForSwift),
+            mfaCode,
           },
           csrfToken
         )
@@ -244,16 +333,27 @@ const EmployeeDashboardEnhanced = ({ employee, onLogout }) => {
       const data = await response.json();
 
       if (!response.ok) {
+        // Two-factor must be set up before payments can be released
+        if (data.code === 'MFA_ENROLMENT_REQUIRED') {
+          setSwiftStepUpOpen(false);
+          setCurrentView('twoFactor');
+        }
         throw new Error(data.message || 'SWIFT submission failed');
       }
 
+      setSwiftStepUpOpen(false);
+
       showToast.dismiss(loadingToast);
       showToast.success(
         `Successfully submitted ${data.results.successful.length} transaction(s) to SWIFT!`,
         { duration: 5000 }
       );
+      if (data.warning) {
+        showToast.warning(data.warning, { duration: 8000 });
+      }
 
       setSelectedForSwift(new Set());
+      setLastSwiftBatch(data.batch);
       fetchTransactions(false);
     } catch (err) {
       showToast.dismiss(loadingToast);
@@ -264,12 +364,31 @@ const EmployeeDashboardEnhanced = ({ employee, onLogout }) => {
     }
   };
 
+  const handleDownloadPain001 = async batchId => {
+    try {
+      await downloadSecureFile(
+        API_ENDPOINTS.PAYMENTS_EMPLOYEE_SWIFT_BATCH_PAIN001(batchId),
+        `${batchId}.pain001.xml`
+      );
+    } catch (err) {
+      showToast.error(`Download failed: ${err.message}`);
+    }
+  };
+
   const openVerifyDialog = (tx, isApproval, notes = '') => {
     console.log('Opening verify dialog for:', tx.transactionId, 'Approval:', isApproval);
 
+    // Approving a sanctions screening hit is a Management override and needs a reason
+    const isOverride = isApproval && tx.screening?.status === 'hit';
+    if (isOverride && !notes.trim()) {
+      showToast.error('Enter a reason for overriding the screening hit');
+      return;
+    }
+
     const verificationData = {
       verified: isApproval,
       verifierNotes: notes,
+      ...(isOverride && { overrideScreening: true }),
     };
 
     setSelectedTransaction(tx);
@@ -306,7 +425,11 @@ const EmployeeDashboardEnhanced = ({ employee, onLogout }) => {
         }
 
         showToast.dismiss(loadingToast);
-        showToast.success(`Payment ${isApproval ? 'approved' : 'rejected'} successfully!`);
+        showToast.success(
+          data.transaction?.status === 'pending_second_approval'
+            ? 'Payment approved - awaiting a second approver'
+            : `Payment ${isApproval ? 'approved' : 'rejected'} successfully!`
+        );
 
         setSelectedTransaction(null);
         setVerificationForm({ verified: true, verifierNotes: '' });
@@ -323,8 +446,14 @@ const EmployeeDashboardEnhanced = ({ employee, onLogout }) => {
 
     setConfirmDialog({
       isOpen: true,
-      title: isApproval ? 'Approve Payment' : 'Reject Payment',
-      message: `Are you sure you want to ${isApproval ? 'approve' : 'reject'} this payment of ${tx.currency} ${tx.amount.toFixed(2)} to ${tx.recipientName}?`,
+      title: isOverride
+        ? 'Override Screening Hit'
+        : isApproval
+          ? 'Approve Payment'
+          : 'Reject Payment',
+      message: isOverride
+        ? `${tx.recipientName} matched the sanctions list. Approving overrides the hit and is recorded against your account. Approve this payment of ${tx.currency} ${tx.amount.toFixed(2)}?`
+        : `Are you sure you want to ${isApproval ? 'approve' : 'reject'} this payment of ${tx.currency} ${tx.amount.toFixed(2)} to ${tx.recipientName}?`,
       onConfirm: handleConfirm,
       isDestructive: !isApproval,
     });
@@ -335,14 +464,23 @@ const EmployeeDashboardEnhanced = ({ employee, onLogout }) => {
       .map(id => transactions.find(tx => tx.transactionId === id))
       .filter(Boolean);
 
-    const totalAmount = selectedTxs.reduce((sum, tx) => sum + tx.amount, 0);
+    // Mixed currencies are totalled in the reporting currency
+    const totalAmount = selectedTxs.reduce((sum, tx) => sum + (tx.baseAmount ?? tx.amount), 0);
     const currencies = [...new Set(selectedTxs.map(tx => tx.currency))];
 
     setConfirmDialog({
       isOpen: true,
       title: 'Submit to SWIFT',
-      message: `You are about to submit ${selectedForSwift.size} transaction(s) totaling ${totalAmount.toFixed(2)} across ${currencies.join(', ')} to SWIFT. This action cannot be undone.`,
-      onConfirm: handleSubmitToSwift,
+      message: `You are about to submit ${selectedForSwift.size} transaction(s) totaling ${baseCurrency} ${totalAmount.toFixed(2)} across ${currencies.join(', ')} to SWIFT. This action cannot be undone.`,
+      onConfirm: () => {
+        setConfirmDialog(prev => ({ ...prev, isOpen: false }));
+        // Without an authenticator the server decides (it may require enrolment first)
+        if (mfaEnabled) {
+          setSwiftStepUpOpen(true);
+        } else {
+          handleSubmitToSwift();
+        }
+      },
       confirmText: 'Submit to SWIFT',
       isDestructive: false,
     });
@@ -353,6 +491,10 @@ const EmployeeDashboardEnhanced = ({ employee, onLogout }) => {
     setFilterCurrency('all');
     setFilterAmountMin('');
     setFilterAmountMax('');
+    setFilterFrom('');
+    setFilterTo('');
+    setFilterCustomer('');
+    setFilterSwift('');
     showToast.info('Filters cleared');
   };
 
@@ -361,6 +503,23 @@ const EmployeeDashboardEnhanced = ({ employee, onLogout }) => {
     return `${account.substring(0, 4)}****${account.substring(account.length - 4)}`;
   };
 
+  // Actions are shown only for permissions the server will accept
+  const hasPermission = permission => Boolean(employee?.permissions?.includes(permission));
+  const canVerify = hasPermission('verify_payments');
+  const canSubmitSwift = hasPermission('submit_swift');
+  const canExport = hasPermission('generate_reports');
+
+  // Sanctions hits can only be approved through a Management override
+  const isUnresolvedHit = selectedTransaction?.screening?.status === 'hit';
+  const canOverrideScreening = employee?.department === 'Management';
+
+  // Four-eyes policy: the second approval must come from a different employee
+  const hasApproved = tx =>
+    tx.approvalSteps?.some(
+      step => step.decision === 'approved' && step.employeeEmail === employee?.email
+    );
+  const selectedAlreadyApproved = selectedTransaction ? hasApproved(selectedTransaction) : false;
+
   // Navigation items for CardNav
   const navItems = [
     {
@@ -389,20 +548,29 @@ const EmployeeDashboardEnhanced = ({ employee, onLogout }) => {
           ariaLabel: 'View Accepted Payments Archive',
           onClick: () => setCurrentView('accepted'),
         },
-      ],
-    },
-    {
-      label: 'Customers',
-      bgColor: '#170D27',
-      textColor: '#fff',
-      links: [
         {
-          label: 'Customer Directory',
-          ariaLabel: 'View Customer Directory',
-          onClick: () => setCurrentView('customers'),
+          label: 'Invoices',
+          ariaLabel: 'View Invoices and Overdue Report',
+          onClick: () => setCurrentView('invoices'),
         },
       ],
     },
+    ...(hasPermission('view_customers')
+      ? [
+          {
+            label: 'Customers',
+            bgColor: '#170D27',
+            textColor: '#fff',
+            links: [
+              {
+                label: 'Customer Directory',
+                ariaLabel: 'View Customer Directory',
+                onClick: () => setCurrentView('customers'),
+              },
+            ],
+          },
+        ]
+      : []),
     {
       label: 'Account',
       bgColor: '#271E37',
@@ -416,6 +584,26 @@ const EmployeeDashboardEnhanced = ({ employee, onLogout }) => {
             setActiveTab('pending');
           },
         },
+        {
+          label: 'Sessions',
+          ariaLabel: 'View Active Sessions',
+          onClick: () => setCurrentView('sessions'),
+        },
+        {
+          label: 'Two-Factor',
+          ariaLabel: 'Two-Factor Authentication Settings',
+          onClick: () => setCurrentView('twoFactor'),
+        },
+        // CardNav shows three groups, so the console lives under Account
+        ...(employee?.department === 'Administration'
+          ? [
+              {
+                label: 'Security Console',
+                ariaLabel: 'View Security Events, Lockouts and Blocked IPs',
+                onClick: () => setCurrentView('security'),
+              },
+            ]
+          : []),
         { label: 'Logout', ariaLabel: 'Logout', onClick: onLogout },
       ],
     },
@@ -469,9 +657,17 @@ const EmployeeDashboardEnhanced = ({ employee, onLogout }) => {
       <div style={{ position: 'relative', zIndex: 10, padding: '2rem', paddingTop: '6rem' }}>
         {/* Show different views based on currentView state */}
         {currentView === 'customers' ? (
-          <CustomerListView />
+          <CustomerListView employee={employee} />
         ) : currentView === 'accepted' ? (
           <AcceptedPaymentsView employee={employee} />
+        ) : currentView === 'invoices' ? (
+          <InvoiceManagementView employee={employee} />
+        ) : currentView === 'sessions' ? (
+          <SessionsPanel onSignedOut={onLogout} />
+        ) : currentView === 'twoFactor' ? (
+          <MfaSettings onStatusChange={setMfaEnabled} />
+        ) : currentView === 'security' ? (
+          <SecurityConsoleView />
         ) : (
           <>
             {/* Header */}
@@ -541,14 +737,7 @@ const EmployeeDashboardEnhanced = ({ employee, onLogout }) => {
                     color="#667eea"
                     size={1.5}
                     label="Accepted Payments"
-                    count={
-                      transactions.filter(
-                        t =>
-                          t.status === 'verified' ||
-                          t.status === 'completed' ||
-                          t.status === 'submitted_to_swift'
-                      ).length
-                    }
+                    count={acceptedCount}
                     onClick={() => setCurrentView('accepted')}
                   />
                 </div>
@@ -569,7 +758,14 @@ const EmployeeDashboardEnhanced = ({ employee, onLogout }) => {
                   }}
                 >
                   <div style={{ display: 'flex', gap: '1rem', flexWrap: 'wrap' }}>
-                    {['pending', 'verified', 'submitted_to_swift', 'all'].map(tab => (
+                    {[
+                      'pending',
+                      'screening',
+                      'pending_second_approval',
+                      'verified',
+                      'submitted_to_swift',
+                      'all',
+                    ].map(tab => (
                       <button
                         key={tab}
                         onClick={() => setActiveTab(tab)}
@@ -585,7 +781,9 @@ const EmployeeDashboardEnhanced = ({ employee, onLogout }) => {
                           transition: 'all 0.3s ease',
                         }}
                       >
-                        {tab.replace('_', ' ')}
+                        {tab === 'pending_second_approval'
+                          ? 'needs second approval'
+                          : tab.replace('_', ' ')}
                       </button>
                     ))}
                   </div>
@@ -660,7 +858,7 @@ const EmployeeDashboardEnhanced = ({ employee, onLogout }) => {
                       />
                       <input
                         type="text"
-                        placeholder="Search by ID, email, recipient, amount..."
+                        placeholder="Search by transaction ID or reference..."
                         value={searchTerm}
                         onChange={e => setSearchTerm(e.target.value)}
                         style={{
@@ -695,10 +893,16 @@ const EmployeeDashboardEnhanced = ({ employee, onLogout }) => {
                       Filters
                     </button>
 
-                    {(searchTerm ||
-                      filterCurrency !== 'all' ||
-                      filterAmountMin ||
-                      filterAmountMax) && (
+                    {/* Everything matching the tab, filters and sort - not just this page */}
+                    {canExport && (
+                      <ExportButtons
+                        url={API_ENDPOINTS.PAYMENTS_EMPLOYEE_EXPORT}
+                        dataset="payments"
+                        params={exportQuery}
+                      />
+                    )}
+
+                    {hasActiveFilters && (
                       <button
                         onClick={clearFilters}
                         style={{
@@ -814,16 +1018,155 @@ const EmployeeDashboardEnhanced = ({ employee, onLogout }) => {
                           }}
                         />
                       </div>
+
+                      <div>
+                        <label
+                          style={{
+                            display: 'block',
+                            fontSize: '0.75rem',
+                            color: '#9ca3af',
+                            marginBottom: '0.5rem',
+                          }}
+                        >
+                          From
+                        </label>
+                        <input
+                          type="date"
+                          value={filterFrom}
+                          onChange={e => setFilterFrom(e.target.value)}
+                          style={{
+                            width: '100%',
+                            padding: '0.5rem',
+                            backgroundColor: 'rgba(17, 24, 39, 0.8)',
+                            border: '1px solid #374151',
+                            borderRadius: '6px',
+                            color: '#e5e7eb',
+                            fontSize: '0.875rem',
+                          }}
+                        />
+                      </div>
+
+                      <div>
+                        <label
+                          style={{
+                            display: 'block',
+                            fontSize: '0.75rem',
+                            color: '#9ca3af',
+                            marginBottom: '0.5rem',
+                          }}
+                        >
+                          To
+                        </label>
+                        <input
+                          type="date"
+                          value={filterTo}
+                          onChange={e => setFilterTo(e.target.value)}
+                          style={{
+                            width: '100%',
+                            padding: '0.5rem',
+                            backgroundColor: 'rgba(17, 24, 39, 0.8)',
+                            border: '1px solid #374151',
+                            borderRadius: '6px',
+                            color: '#e5e7eb',
+                            fontSize: '0.875rem',
+                          }}
+                        />
+                      </div>
+
+                      <div>
+                        <label
+                          style={{
+                            display: 'block',
+                            fontSize: '0.75rem',
+                            color: '#9ca3af',
+                            marginBottom: '0.5rem',
+                          }}
+                        >
+                          Customer
+                        </label>
+                        <input
+                          type="text"
+                          placeholder="Email or account ID"
+                          value={filterCustomer}
+                          onChange={e => setFilterCustomer(e.target.value)}
+                          style={{
+                            width: '100%',
+                            padding: '0.5rem',
+                            backgroundColor: 'rgba(17, 24, 39, 0.8)',
+                            border: '1px solid #374151',
+                            borderRadius: '6px',
+                            color: '#e5e7eb',
+                            fontSize: '0.875rem',
+                          }}
+                        />
+                      </div>
+
+                      <div>
+                        <label
+                          style={{
+                            display: 'block',
+                            fontSize: '0.75rem',
+                            color: '#9ca3af',
+                            marginBottom: '0.5rem',
+                          }}
+                        >
+                          Recipient SWIFT/BIC
+                        </label>
+                        <input
+                          type="text"
+                          placeholder="e.g. BNPAFRPP"
+                          value={filterSwift}
+                          onChange={e => setFilterSwift(e.target.value)}
+                          style={{
+                            width: '100%',
+                            padding: '0.5rem',
+                            backgroundColor: 'rgba(17, 24, 39, 0.8)',
+                            border: '1px solid #374151',
+                            borderRadius: '6px',
+                            color: '#e5e7eb',
+                            fontSize: '0.875rem',
+                          }}
+                        />
+                      </div>
+
+                      <div>
+                        <label
+                          style={{
+                            display: 'block',
+                            fontSize: '0.75rem',
+                            color: '#9ca3af',
+                            marginBottom: '0.5rem',
+                          }}
+                        >
+                          Sort
+                        </label>
+                        <select
+                          value={sortOption}
+                          onChange={e => setSortOption(e.target.value)}
+                          style={{
+                            width: '100%',
+                            padding: '0.5rem',
+                            backgroundColor: 'rgba(17, 24, 39, 0.8)',
+                            border: '1px solid #374151',
+                            borderRadius: '6px',
+                            color: '#e5e7eb',
+                            fontSize: '0.875rem',
+                          }}
+                        >
+                          <option value="createdAt:desc">Newest first</option>
+                          <option value="createdAt:asc">Oldest first</option>
+                          <option value="amount:desc">Largest amount</option>
+                          <option value="amount:asc">Smallest amount</option>
+                        </select>
+                      </div>
                     </div>
                   )}
 
                   {/* Results count */}
                   <div style={{ marginTop: '1rem', fontSize: '0.875rem', color: '#9ca3af' }}>
-                    Showing {indexOfFirstItem + 1}-
-                    {Math.min(indexOfLastItem, filteredTransactions.length)} of{' '}
-                    {filteredTransactions.length} transactions
-                    {filteredTransactions.length !== transactions.length &&
-                      ` (filtered from ${transactions.length})`}
+                    {pagination.total === 0
+                      ? 'No matching transactions'
+                      : `Showing ${indexOfFirstItem + 1}-${indexOfFirstItem + transactions.length} of ${pagination.total} transactions`}
                   </div>
                 </div>
               </Panel>
@@ -846,7 +1189,7 @@ const EmployeeDashboardEnhanced = ({ employee, onLogout }) => {
             )}
 
             {/* SWIFT Submission Button */}
-            {activeTab === 'verified' && selectedForSwift.size > 0 && (
+            {activeTab === 'verified' && canSubmitSwift && selectedForSwift.size > 0 && (
               <div style={{ marginBottom: '1.5rem' }}>
                 <Panel>
                   <div
@@ -881,6 +1224,65 @@ const EmployeeDashboardEnhanced = ({ employee, onLogout }) => {
               </div>
             )}
 
+            {/* Last SWIFT batch - ISO 20022 message download */}
+            {lastSwiftBatch && (
+              <div style={{ marginBottom: '1.5rem' }}>
+                <Panel>
+                  <div
+                    style={{
+                      padding: '1rem',
+                      display: 'flex',
+                      justifyContent: 'space-between',
+                      alignItems: 'center',
+                      flexWrap: 'wrap',
+                      gap: '1rem',
+                    }}
+                  >
+                    <span style={{ color: '#e5e7eb', fontSize: '0.875rem' }}>
+                      SWIFT batch{' '}
+                      <span style={{ fontFamily: 'monospace' }}>{lastSwiftBatch.batchId}</span> (
+                      {lastSwiftBatch.paymentCount} payment(s)) submitted via{' '}
+                      {lastSwiftBatch.gateway}
+                    </span>
+                    <div style={{ display: 'flex', gap: '0.5rem' }}>
+                      <button
+                        onClick={() => handleDownloadPain001(lastSwiftBatch.batchId)}
+                        style={{
+                          padding: '0.5rem 1rem',
+                          backgroundColor: '#3b82f6',
+                          color: '#fff',
+                          border: 'none',
+                          borderRadius: '6px',
+                          cursor: 'pointer',
+                          fontWeight: '500',
+                          display: 'flex',
+                          alignItems: 'center',
+                          gap: '0.5rem',
+                        }}
+                      >
+                        <FiDownload size={16} />
+                        Download pain.001
+                      </button>
+                      <button
+                        onClick={() => setLastSwiftBatch(null)}
+                        style={{
+                          padding: '0.5rem',
+                          backgroundColor: 'transparent',
+                          border: '1px solid #6b7280',
+                          color: '#9ca3af',
+                          borderRadius: '6px',
+                          cursor: 'pointer',
+                        }}
+                        title="Dismiss"
+                      >
+                        <FiX size={16} />
+                      </button>
+                    </div>
+                  </div>
+                </Panel>
+              </div>
+            )}
+
             {/* Transactions Table */}
             <Panel>
               <div style={{ padding: '1.5rem' }}>
@@ -900,15 +1302,12 @@ const EmployeeDashboardEnhanced = ({ employee, onLogout }) => {
                   <div style={{ display: 'flex', justifyContent: 'center', padding: '3rem' }}>
                     <LoadingSpinner size="large" text="Loading transactions..." />
                   </div>
-                ) : currentTransactions.length === 0 ? (
+                ) : transactions.length === 0 ? (
                   <div style={{ textAlign: 'center', padding: '3rem', color: '#9ca3af' }}>
                     <p style={{ fontSize: '1.125rem', marginBottom: '0.5rem' }}>
                       No transactions found
                     </p>
-                    {(searchTerm ||
-                      filterCurrency !== 'all' ||
-                      filterAmountMin ||
-                      filterAmountMax) && (
+                    {hasActiveFilters && (
                       <p style={{ fontSize: '0.875rem' }}>Try adjusting your filters</p>
                     )}
                   </div>
@@ -918,7 +1317,7 @@ const EmployeeDashboardEnhanced = ({ employee, onLogout }) => {
                       <table style={{ width: '100%', borderCollapse: 'collapse' }}>
                         <thead>
                           <tr style={{ borderBottom: '1px solid #374151' }}>
-                            {activeTab === 'verified' && (
+                            {activeTab === 'verified' && canSubmitSwift && (
                               <th
                                 style={{
                                   padding: '0.75rem',
@@ -1003,12 +1402,12 @@ const EmployeeDashboardEnhanced = ({ employee, onLogout }) => {
                           </tr>
                         </thead>
                         <tbody>
-                          {currentTransactions.map(tx => (
+                          {transactions.map(tx => (
                             <tr
                               key={tx.transactionId}
                               style={{ borderBottom: '1px solid #1f2937' }}
                             >
-                              {activeTab === 'verified' && (
+                              {activeTab === 'verified' && canSubmitSwift && (
                                 <td style={{ padding: '0.75rem' }}>
                                   <input
                                     type="checkbox"
@@ -1073,29 +1472,45 @@ const EmployeeDashboardEnhanced = ({ employee, onLogout }) => {
                                 }}
                               >
                                 {maskAccount(tx.recipientAccount)}
+                                {tx.bankCheck &&
+                                  (tx.bankCheck.countryMismatch || !tx.bankCheck.bicFound) && (
+                                    <FiAlertTriangle
+                                      title="Recipient bank needs checking"
+                                      style={{ color: '#f59e0b', marginLeft: '0.375rem' }}
+                                    />
+                                  )}
                               </td>
                               <td style={{ padding: '0.75rem' }}>
                                 <StatusBadge status={tx.status} size="small" />
                               </td>
                               <td style={{ padding: '0.75rem' }}>
-                                {tx.status === 'pending' ? (
+                                {canVerify &&
+                                ['pending', 'pending_second_approval'].includes(tx.status) ? (
                                   <div style={{ display: 'flex', gap: '0.5rem' }}>
                                     <button
                                       onClick={() => openVerifyDialog(tx, true)}
-                                      disabled={actionLoading}
+                                      disabled={actionLoading || hasApproved(tx)}
                                       style={{
                                         padding: '0.25rem 0.5rem',
                                         backgroundColor: '#10b981',
                                         color: '#fff',
                                         border: 'none',
                                         borderRadius: '4px',
-                                        cursor: actionLoading ? 'not-allowed' : 'pointer',
+                                        cursor:
+                                          actionLoading || hasApproved(tx)
+                                            ? 'not-allowed'
+                                            : 'pointer',
+                                        opacity: hasApproved(tx) ? 0.5 : 1,
                                         fontSize: '0.75rem',
                                         display: 'flex',
                                         alignItems: 'center',
                                         gap: '0.25rem',
                                       }}
-                                      title="Approve payment"
+                                      title={
+                                        hasApproved(tx)
+                                          ? 'You already approved this payment - a second employee must approve it'
+                                          : 'Approve payment'
+                                      }
                                     >
                                       <FiCheck size={12} />
                                       Approve
@@ -1156,7 +1571,7 @@ const EmployeeDashboardEnhanced = ({ employee, onLogout }) => {
                         }}
                       >
                         <button
-                          onClick={() => setCurrentPage(prev => Math.max(1, prev - 1))}
+                          onClick={goToPreviousPage}
                           disabled={currentPage === 1}
                           style={{
                             padding: '0.5rem 1rem',
@@ -1176,15 +1591,15 @@ const EmployeeDashboardEnhanced = ({ employee, onLogout }) => {
                         </span>
 
                         <button
-                          onClick={() => setCurrentPage(prev => Math.min(totalPages, prev + 1))}
-                          disabled={currentPage === totalPages}
+                          onClick={goToNextPage}
+                          disabled={!pagination.hasMore}
                           style={{
                             padding: '0.5rem 1rem',
-                            backgroundColor: currentPage === totalPages ? 'transparent' : '#4338ca',
+                            backgroundColor: pagination.hasMore ? '#4338ca' : 'transparent',
                             border: '1px solid #4338ca',
-                            color: currentPage === totalPages ? '#6b7280' : '#fff',
+                            color: pagination.hasMore ? '#fff' : '#6b7280',
                             borderRadius: '6px',
-                            cursor: currentPage === totalPages ? 'not-allowed' : 'pointer',
+                            cursor: pagination.hasMore ? 'pointer' : 'not-allowed',
                             fontSize: '0.875rem',
                           }}
                         >
@@ -1374,7 +1789,49 @@ const EmployeeDashboardEnhanced = ({ employee, onLogout }) => {
                           >
                             {selectedTransaction.recipientSwift}
                           </p>
+                          {selectedTransaction.bankCheck?.bicFound && (
+                            <p style={{ color: '#9ca3af', fontSize: '0.75rem' }}>
+                              {selectedTransaction.bankCheck.institutionName}
+                              {selectedTransaction.bankCheck.city &&
+                                `, ${selectedTransaction.bankCheck.city}`}{' '}
+                              ({selectedTransaction.bankCheck.bicCountry})
+                            </p>
+                          )}
                         </div>
+                        {selectedTransaction.bankCheck &&
+                          (selectedTransaction.bankCheck.countryMismatch ||
+                            !selectedTransaction.bankCheck.bicFound) && (
+                            <div
+                              style={{
+                                display: 'flex',
+                                gap: '0.5rem',
+                                alignItems: 'flex-start',
+                                padding: '0.75rem',
+                                borderRadius: '8px',
+                                backgroundColor: 'rgba(245, 158, 11, 0.1)',
+                                border: '1px solid rgba(245, 158, 11, 0.4)',
+                                color: '#fbbf24',
+                                fontSize: '0.8125rem',
+                              }}
+                            >
+                              <FiAlertTriangle style={{ flexShrink: 0, marginTop: '0.125rem' }} />
+                              <div>
+                                {!selectedTransaction.bankCheck.bicFound && (
+                                  <p style={{ margin: 0 }}>
+                                    SWIFT code is not in the bank directory.
+                                  </p>
+                                )}
+                                {selectedTransaction.bankCheck.countryMismatch && (
+                                  <p style={{ margin: 0 }}>
+                                    IBAN country ({selectedTransaction.bankCheck.ibanCountry}) does
+                                    not match the bank country (
+                                    {selectedTransaction.bankCheck.bicCountry}). Confirm the
+                                    recipient details before approving.
+                                  </p>
+                                )}
+                              </div>
+                            </div>
+                          )}
                         <div>
                           <label
                             style={{
@@ -1450,107 +1907,260 @@ const EmployeeDashboardEnhanced = ({ employee, onLogout }) => {
                         )}
                       </div>
 
-                      {selectedTransaction.status === 'pending' && (
+                      {selectedTransaction.screening?.matches?.length > 0 && (
                         <div
                           style={{
-                            marginTop: '2rem',
-                            paddingTop: '2rem',
-                            borderTop: '1px solid #374151',
+                            marginTop: '1.5rem',
+                            padding: '1rem',
+                            borderRadius: '8px',
+                            backgroundColor:
+                              selectedTransaction.screening.status === 'hit'
+                                ? 'rgba(239, 68, 68, 0.1)'
+                                : 'rgba(55, 65, 81, 0.3)',
+                            border: `1px solid ${
+                              selectedTransaction.screening.status === 'hit'
+                                ? 'rgba(239, 68, 68, 0.4)'
+                                : '#374151'
+                            }`,
                           }}
                         >
                           <h4
                             style={{
-                              fontSize: '1.125rem',
+                              display: 'flex',
+                              alignItems: 'center',
+                              gap: '0.5rem',
+                              fontSize: '1rem',
                               fontWeight: '600',
-                              color: '#e5e7eb',
-                              marginBottom: '1rem',
+                              color: '#fca5a5',
+                              marginBottom: '0.75rem',
                             }}
                           >
-                            Verification
+                            <FiAlertTriangle />
+                            Sanctions Screening ({selectedTransaction.screening.status})
                           </h4>
-                          <div style={{ marginBottom: '1rem' }}>
-                            <label
+                          {selectedTransaction.screening.matches.map(match => (
+                            <div
+                              key={`${match.type}-${match.entryId || match.country}`}
                               style={{
-                                display: 'block',
-                                fontSize: '0.875rem',
-                                color: '#e5e7eb',
-                                marginBottom: '0.5rem',
+                                display: 'flex',
+                                justifyContent: 'space-between',
+                                gap: '1rem',
+                                padding: '0.5rem 0',
+                                borderTop: '1px solid rgba(55, 65, 81, 0.6)',
+                                fontSize: '0.8125rem',
                               }}
                             >
-                              Verifier Notes (Optional)
-                            </label>
-                            <textarea
-                              value={verificationForm.verifierNotes}
-                              onChange={e =>
-                                setVerificationForm(prev => ({
-                                  ...prev,
-                                  verifierNotes: e.target.value,
-                                }))
-                              }
-                              placeholder="Add any notes about this verification..."
+                              <div style={{ color: '#e5e7eb' }}>
+                                <p style={{ margin: 0, fontWeight: '600' }}>{match.entryName}</p>
+                                <p style={{ margin: 0, color: '#9ca3af' }}>
+                                  {match.type === 'name'
+                                    ? `Matched "${match.matchedName}" • List entry ${match.entryId}`
+                                    : 'Recipient account or bank country'}{' '}
+                                  • {match.program}
+                                  {match.country && ` • ${match.country}`}
+                                </p>
+                              </div>
+                              <span
+                                style={{
+                                  color: '#fca5a5',
+                                  fontWeight: '700',
+                                  whiteSpace: 'nowrap',
+                                }}
+                              >
+                                {Math.round(match.score * 100)}%
+                              </span>
+                            </div>
+                          ))}
+                          {selectedTransaction.screening.resolvedByEmail && (
+                            <p
                               style={{
-                                width: '100%',
-                                padding: '0.75rem',
-                                backgroundColor: 'rgba(17, 24, 39, 0.8)',
-                                border: '1px solid #374151',
-                                borderRadius: '6px',
-                                color: '#e5e7eb',
-                                fontSize: '0.875rem',
-                                minHeight: '100px',
-                                resize: 'vertical',
-                              }}
-                            />
-                          </div>
-                          <div style={{ display: 'flex', gap: '1rem' }}>
-                            <button
-                              onClick={() => {
-                                openVerifyDialog(
-                                  selectedTransaction,
-                                  true,
-                                  verificationForm.verifierNotes
-                                );
+                                margin: '0.5rem 0 0',
+                                color: '#9ca3af',
+                                fontSize: '0.75rem',
                               }}
-                              disabled={actionLoading}
+                            >
+                              {selectedTransaction.screening.status === 'overridden'
+                                ? 'Overridden'
+                                : 'Blocked'}{' '}
+                              by {selectedTransaction.screening.resolvedByEmail}:{' '}
+                              {selectedTransaction.screening.resolutionNotes}
+                            </p>
+                          )}
+                        </div>
+                      )}
+
+                      {selectedTransaction.approvalSteps?.length > 0 && (
+                        <div
+                          style={{
+                            marginTop: '1.5rem',
+                            padding: '1rem',
+                            borderRadius: '8px',
+                            backgroundColor: 'rgba(55, 65, 81, 0.3)',
+                            border: '1px solid #374151',
+                          }}
+                        >
+                          <h4
+                            style={{
+                              fontSize: '1rem',
+                              fontWeight: '600',
+                              color: '#e5e7eb',
+                              marginBottom: '0.75rem',
+                            }}
+                          >
+                            Approvals (
+                            {
+                              selectedTransaction.approvalSteps.filter(
+                                step => step.decision === 'approved'
+                              ).length
+                            }{' '}
+                            of {selectedTransaction.requiredApprovals || 1} required)
+                          </h4>
+                          {selectedTransaction.approvalSteps.map(step => (
+                            <div
+                              key={`${step.employeeEmail}-${step.decidedAt}`}
                               style={{
-                                flex: 1,
-                                padding: '0.75rem',
-                                backgroundColor: '#10b981',
-                                color: '#fff',
-                                border: 'none',
-                                borderRadius: '6px',
-                                cursor: actionLoading ? 'not-allowed' : 'pointer',
-                                fontWeight: '600',
-                                fontSize: '1rem',
+                                padding: '0.5rem 0',
+                                borderTop: '1px solid rgba(55, 65, 81, 0.6)',
+                                fontSize: '0.8125rem',
+                                color: '#e5e7eb',
                               }}
                             >
-                              Approve Payment
-                            </button>
-                            <button
-                              onClick={() => {
-                                openVerifyDialog(
-                                  selectedTransaction,
-                                  false,
-                                  verificationForm.verifierNotes
-                                );
-                              }}
-                              disabled={actionLoading}
+                              <p style={{ margin: 0, fontWeight: '600' }}>
+                                {step.decision === 'approved' ? 'Approved' : 'Rejected'} by{' '}
+                                {step.employeeEmail} ({step.department})
+                              </p>
+                              <p style={{ margin: 0, color: '#9ca3af' }}>
+                                {new Date(step.decidedAt).toLocaleString()}
+                                {step.notes && ` • ${step.notes}`}
+                              </p>
+                            </div>
+                          ))}
+                        </div>
+                      )}
+
+                      <PaymentAuditTimeline transactionId={selectedTransaction.transactionId} />
+
+                      {canVerify &&
+                        ['pending', 'screening', 'pending_second_approval'].includes(
+                          selectedTransaction.status
+                        ) && (
+                          <div
+                            style={{
+                              marginTop: '2rem',
+                              paddingTop: '2rem',
+                              borderTop: '1px solid #374151',
+                            }}
+                          >
+                            <h4
                               style={{
-                                flex: 1,
-                                padding: '0.75rem',
-                                backgroundColor: '#ef4444',
-                                color: '#fff',
-                                border: 'none',
-                                borderRadius: '6px',
-                                cursor: actionLoading ? 'not-allowed' : 'pointer',
+                                fontSize: '1.125rem',
                                 fontWeight: '600',
-                                fontSize: '1rem',
+                                color: '#e5e7eb',
+                                marginBottom: '1rem',
                               }}
                             >
-                              Reject Payment
-                            </button>
+                              Verification
+                            </h4>
+                            <div style={{ marginBottom: '1rem' }}>
+                              <label
+                                style={{
+                                  display: 'block',
+                                  fontSize: '0.875rem',
+                                  color: '#e5e7eb',
+                                  marginBottom: '0.5rem',
+                                }}
+                              >
+                                {isUnresolvedHit
+                                  ? 'Override / Rejection Reason'
+                                  : 'Verifier Notes (Optional)'}
+                              </label>
+                              <textarea
+                                value={verificationForm.verifierNotes}
+                                onChange={e =>
+                                  setVerificationForm(prev => ({
+                                    ...prev,
+                                    verifierNotes: e.target.value,
+                                  }))
+                                }
+                                placeholder="Add any notes about this verification..."
+                                style={{
+                                  width: '100%',
+                                  padding: '0.75rem',
+                                  backgroundColor: 'rgba(17, 24, 39, 0.8)',
+                                  border: '1px solid #374151',
+                                  borderRadius: '6px',
+                                  color: '#e5e7eb',
+                                  fontSize: '0.875rem',
+                                  minHeight: '100px',
+                                  resize: 'vertical',
+                                }}
+                              />
+                            </div>
+                            <div style={{ display: 'flex', gap: '1rem' }}>
+                              <button
+                                onClick={() => {
+                                  openVerifyDialog(
+                                    selectedTransaction,
+                                    true,
+                                    verificationForm.verifierNotes
+                                  );
+                                }}
+                                disabled={
+                                  actionLoading ||
+                                  selectedAlreadyApproved ||
+                                  (isUnresolvedHit && !canOverrideScreening)
+                                }
+                                title={
+                                  selectedAlreadyApproved
+                                    ? 'You already approved this payment - a second employee must approve it'
+                                    : isUnresolvedHit && !canOverrideScreening
+                                      ? 'Only Management can override a sanctions screening hit'
+                                      : undefined
+                                }
+                                style={{
+                                  flex: 1,
+                                  padding: '0.75rem',
+                                  backgroundColor: '#10b981',
+                                  color: '#fff',
+                                  border: 'none',
+                                  borderRadius: '6px',
+                                  cursor: actionLoading ? 'not-allowed' : 'pointer',
+                                  fontWeight: '600',
+                                  fontSize: '1rem',
+                                }}
+                              >
+                                {isUnresolvedHit
+                                  ? 'Override & Approve'
+                                  : selectedTransaction.status === 'pending_second_approval'
+                                    ? 'Give Second Approval'
+                                    : 'Approve Payment'}
+                              </button>
+                              <button
+                                onClick={() => {
+                                  openVerifyDialog(
+                                    selectedTransaction,
+                                    false,
+                                    verificationForm.verifierNotes
+                                  );
+                                }}
+                                disabled={actionLoading}
+                                style={{
+                                  flex: 1,
+                                  padding: '0.75rem',
+                                  backgroundColor: '#ef4444',
+                                  color: '#fff',
+                                  border: 'none',
+                                  borderRadius: '6px',
+                                  cursor: actionLoading ? 'not-allowed' : 'pointer',
+                                  fontWeight: '600',
+                                  fontSize: '1rem',
+                                }}
+                              >
+                                Reject Payment
+                              </button>
+                            </div>
                           </div>
-                        </div>
-                      )}
+                        )}
                     </div>
                   </Panel>
                 </div>
@@ -1570,6 +2180,16 @@ const EmployeeDashboardEnhanced = ({ employee, onLogout }) => {
           isDestructive={confirmDialog.isDestructive}
           loading={actionLoading}
         />
+
+        {/* Step-up before SWIFT release */}
+        <MfaStepUpDialog
+          isOpen={swiftStepUpOpen}
+          onClose={() => setSwiftStepUpOpen(false)}
+          onSubmit={handleSubmitToSwift}
+          title="Confirm SWIFT Release"
+          message={`Enter the code from your authenticator app to release ${selectedForSwift.size} payment(s) to SWIFT.`}
+          loading={actionLoading}
+        />
       </div>
     </div>
   );
@@ -1,11 +1,15 @@
 /**
  * Employee Login Component - Task 3
  * Secure login for pre-populated employee accounts
+ * Employees with two-factor enabled enter an authenticator (or recovery)
+ * code as a second step
  * Features Cubes animation background for visual appeal
  */
 
 import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
 import { API_ENDPOINTS, getSecureFetchOptions, fetchCSRFToken } from '../../config/api';
+import { showToast } from '../ui';
 import Cubes from './Cubes';
 
 const EmployeeLogin = ({ onLoginSuccess }) => {
@@ -16,6 +20,10 @@ const EmployeeLogin = ({ onLoginSuccess }) => {
   const [errors, setErrors] = useState({});
   const [loading, setLoading] = useState(false);
   const [serverError, setServerError] = useState('');
+  // Set once the password is accepted and a two-factor code is required
+  const [mfaToken, setMfaToken] = useState(null);
+  const [mfaCode, setMfaCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
 
   const validateEmail = email => {
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -92,6 +100,13 @@ const EmployeeLogin = ({ onLoginSuccess }) => {
         return;
       }
 
+      // Password accepted - ask for the two-factor code
+      if (data.mfaRequired) {
+        setMfaToken(data.mfaToken);
+        setFormData(prev => ({ ...prev, password: '' }));
+        return;
+      }
+
       // Successful login
       if (data.success && data.user) {
         onLoginSuccess(data.user);
@@ -106,6 +121,71 @@ const EmployeeLogin = ({ onLoginSuccess }) => {
     }
   };
 
+  const resetMfaStep = message => {
+    setMfaToken(null);
+    setMfaCode('');
+    setUseRecoveryCode(false);
+    setServerError(message || '');
+  };
+
+  const handleMfaSubmit = async e => {
+    e.preventDefault();
+    setServerError('');
+
+    const code = mfaCode.trim();
+    const codeValid = useRecoveryCode
+      ? /^[a-f0-9]{5}-?[a-f0-9]{5}$/i.test(code)
+      : /^\d{6}$/.test(code);
+
+    if (!codeValid) {
+      setErrors({
+        mfaCode: useRecoveryCode
+          ? 'Recovery codes look like abcde-12345'
+          : 'Enter the 6-digit code from your app',
+      });
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const csrfToken = await fetchCSRFToken();
+
+      const response = await fetch(
+        API_ENDPOINTS.AUTH_EMPLOYEE_LOGIN_MFA,
+        getSecureFetchOptions('POST', { mfaToken, code }, csrfToken)
+      );
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        if (data.code === 'MFA_TOKEN_INVALID') {
+          resetMfaStep(data.message);
+        } else if (response.status === 423 || response.status === 429) {
+          resetMfaStep(data.message || 'Too many attempts. Please try again later.');
+        } else {
+          setServerError(data.message || 'Invalid code');
+          setMfaCode('');
+        }
+        return;
+      }
+
+      if (data.recoveryCodesRemaining !== undefined) {
+        showToast.warning(
+          `Signed in with a recovery code. ${data.recoveryCodesRemaining} recovery code(s) left.`,
+          { duration: 8000 }
+        );
+      }
+
+      onLoginSuccess(data.user);
+    } catch (error) {
+      console.error('Employee MFA login error:', error);
+      setServerError('Network error. Please check your connection and try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   return (
     <div
       style={{
@@ -177,7 +257,7 @@ const EmployeeLogin = ({ onLoginSuccess }) => {
               Employee Portal
             </h2>
             <p style={{ color: '#d1d5db', fontSize: '1rem', fontWeight: '500' }}>
-              Secure access for authorized bank employees
+              {mfaToken ? 'Two-factor verification' : 'Secure access for authorized bank employees'}
             </p>
           </div>
 
@@ -198,149 +278,281 @@ const EmployeeLogin = ({ onLoginSuccess }) => {
             </div>
           )}
 
-          {/* Login Form */}
-          <form onSubmit={handleSubmit}>
-            {/* Email Field */}
-            <div style={{ marginBottom: '1.5rem' }}>
-              <label
-                htmlFor="email"
-                style={{
-                  display: 'block',
-                  marginBottom: '0.5rem',
-                  fontSize: '0.875rem',
-                  fontWeight: '500',
-                  color: '#e5e7eb',
-                }}
-              >
-                Employee Email
-              </label>
-              <input
-                type="email"
-                id="email"
-                name="email"
-                value={formData.email}
-                onChange={handleInputChange}
-                placeholder="employee@bank.com"
+          {/* Login Form (second step: two-factor code) */}
+          {mfaToken ? (
+            <form onSubmit={handleMfaSubmit}>
+              <div style={{ marginBottom: '1.5rem' }}>
+                <label
+                  htmlFor="mfaCode"
+                  style={{
+                    display: 'block',
+                    marginBottom: '0.5rem',
+                    fontSize: '0.875rem',
+                    fontWeight: '500',
+                    color: '#e5e7eb',
+                  }}
+                >
+                  {useRecoveryCode ? 'Recovery Code' : 'Authenticator Code'}
+                </label>
+                <input
+                  type="text"
+                  id="mfaCode"
+                  name="mfaCode"
+                  value={mfaCode}
+                  onChange={e => {
+                    setMfaCode(e.target.value);
+                    setErrors(prev => ({ ...prev, mfaCode: '' }));
+                    setServerError('');
+                  }}
+                  placeholder={useRecoveryCode ? 'abcde-12345' : '123456'}
+                  inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                  autoComplete="one-time-code"
+                  maxLength={useRecoveryCode ? 11 : 6}
+                  autoFocus
+                  disabled={loading}
+                  style={{
+                    width: '100%',
+                    padding: '0.75rem 1rem',
+                    backgroundColor: 'rgba(17, 24, 39, 0.8)',
+                    border: errors.mfaCode
+                      ? '1px solid #ef4444'
+                      : '1px solid rgba(67, 56, 202, 0.3)',
+                    borderRadius: '8px',
+                    color: '#e5e7eb',
+                    fontSize: '1.25rem',
+                    letterSpacing: '0.25rem',
+                    textAlign: 'center',
+                    outline: 'none',
+                  }}
+                />
+                {errors.mfaCode && (
+                  <p style={{ marginTop: '0.5rem', fontSize: '0.75rem', color: '#f87171' }}>
+                    {errors.mfaCode}
+                  </p>
+                )}
+                <p style={{ marginTop: '0.5rem', fontSize: '0.75rem', color: '#9ca3af' }}>
+                  {useRecoveryCode
+                    ? 'Each recovery code can only be used once.'
+                    : 'Open your authenticator app and enter the current code.'}
+                </p>
+              </div>
+
+              <button
+                type="submit"
                 disabled={loading}
                 style={{
                   width: '100%',
-                  padding: '0.75rem 1rem',
-                  backgroundColor: 'rgba(17, 24, 39, 0.8)',
-                  border: errors.email ? '1px solid #ef4444' : '1px solid rgba(67, 56, 202, 0.3)',
-                  borderRadius: '8px',
-                  color: '#e5e7eb',
+                  padding: '0.875rem',
+                  backgroundColor: loading ? '#4b5563' : '#4338ca',
+                  color: '#ffffff',
                   fontSize: '1rem',
-                  outline: 'none',
-                  transition: 'all 0.3s ease',
-                }}
-                onFocus={e => {
-                  if (!errors.email) {
-                    e.target.style.borderColor = '#6366f1';
-                    e.target.style.boxShadow = '0 0 0 3px rgba(99, 102, 241, 0.1)';
-                  }
-                }}
-                onBlur={e => {
-                  e.target.style.borderColor = errors.email ? '#ef4444' : 'rgba(67, 56, 202, 0.3)';
-                  e.target.style.boxShadow = 'none';
+                  fontWeight: '600',
+                  border: 'none',
+                  borderRadius: '8px',
+                  cursor: loading ? 'not-allowed' : 'pointer',
+                  boxShadow: '0 4px 6px rgba(67, 56, 202, 0.2)',
                 }}
-              />
-              {errors.email && (
-                <p style={{ marginTop: '0.5rem', fontSize: '0.75rem', color: '#f87171' }}>
-                  {errors.email}
-                </p>
-              )}
-            </div>
+              >
+                {loading ? 'Verifying...' : 'Verify'}
+              </button>
 
-            {/* Password Field */}
-            <div style={{ marginBottom: '1.5rem' }}>
-              <label
-                htmlFor="password"
+              <div
                 style={{
-                  display: 'block',
-                  marginBottom: '0.5rem',
-                  fontSize: '0.875rem',
-                  fontWeight: '500',
-                  color: '#e5e7eb',
+                  display: 'flex',
+                  justifyContent: 'space-between',
+                  marginTop: '1rem',
+                  fontSize: '0.8125rem',
                 }}
               >
-                Password
-              </label>
-              <input
-                type="password"
-                id="password"
-                name="password"
-                value={formData.password}
-                onChange={handleInputChange}
-                placeholder="Enter your password"
+                <button
+                  type="button"
+                  onClick={() => {
+                    setUseRecoveryCode(prev => !prev);
+                    setMfaCode('');
+                    setErrors({});
+                  }}
+                  disabled={loading}
+                  style={{
+                    background: 'none',
+                    border: 'none',
+                    color: '#818cf8',
+                    cursor: 'pointer',
+                    padding: 0,
+                  }}
+                >
+                  {useRecoveryCode ? 'Use authenticator code' : 'Use a recovery code'}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => resetMfaStep()}
+                  disabled={loading}
+                  style={{
+                    background: 'none',
+                    border: 'none',
+                    color: '#9ca3af',
+                    cursor: 'pointer',
+                    padding: 0,
+                  }}
+                >
+                  Back to login
+                </button>
+              </div>
+            </form>
+          ) : (
+            <form onSubmit={handleSubmit}>
+              {/* Email Field */}
+              <div style={{ marginBottom: '1.5rem' }}>
+                <label
+                  htmlFor="email"
+                  style={{
+                    display: 'block',
+                    marginBottom: '0.5rem',
+                    fontSize: '0.875rem',
+                    fontWeight: '500',
+                    color: '#e5e7eb',
+                  }}
+                >
+                  Employee Email
+                </label>
+                <input
+                  type="email"
+                  id="email"
+                  name="email"
+                  value={formData.email}
+                  onChange={handleInputChange}
+                  placeholder="employee@bank.com"
+                  disabled={loading}
+                  style={{
+                    width: '100%',
+                    padding: '0.75rem 1rem',
+                    backgroundColor: 'rgba(17, 24, 39, 0.8)',
+                    border: errors.email ? '1px solid #ef4444' : '1px solid rgba(67, 56, 202, 0.3)',
+                    borderRadius: '8px',
+                    color: '#e5e7eb',
+                    fontSize: '1rem',
+                    outline: 'none',
+                    transition: 'all 0.3s ease',
+                  }}
+                  onFocus={e => {
+                    if (!errors.email) {
+                      e.target.style.borderColor = '#6366f1';
+                      e.target.style.boxShadow = '0 0 0 3px rgba(99, 102, 241, 0.1)';
+                    }
+                  }}
+                  onBlur={e => {
+                    e.target.style.borderColor = errors.email
+                      ? '#ef4444'
+                      : 'rgba(67, 56, 202, 0.3)';
+                    e.target.style.boxShadow = 'none';
+                  }}
+                />
+                {errors.email && (
+                  <p style={{ marginTop: '0.5rem', fontSize: '0.75rem', color: '#f87171' }}>
+                    {errors.email}
+                  </p>
+                )}
+              </div>
+
+              {/* Password Field */}
+              <div style={{ marginBottom: '1.5rem' }}>
+                <label
+                  htmlFor="password"
+                  style={{
+                    display: 'block',
+                    marginBottom: '0.5rem',
+                    fontSize: '0.875rem',
+                    fontWeight: '500',
+                    color: '#e5e7eb',
+                  }}
+                >
+                  Password
+                </label>
+                <input
+                  type="password"
+                  id="password"
+                  name="password"
+                  value={formData.password}
+                  onChange={handleInputChange}
+                  placeholder="Enter your password"
+                  disabled={loading}
+                  style={{
+                    width: '100%',
+                    padding: '0.75rem 1rem',
+                    backgroundColor: 'rgba(17, 24, 39, 0.8)',
+                    border: errors.password
+                      ? '1px solid #ef4444'
+                      : '1px solid rgba(67, 56, 202, 0.3)',
+                    borderRadius: '8px',
+                    color: '#e5e7eb',
+                    fontSize: '1rem',
+                    outline: 'none',
+                    transition: 'all 0.3s ease',
+                  }}
+                  onFocus={e => {
+                    if (!errors.password) {
+                      e.target.style.borderColor = '#6366f1';
+                      e.target.style.boxShadow = '0 0 0 3px rgba(99, 102, 241, 0.1)';
+                    }
+                  }}
+                  onBlur={e => {
+                    e.target.style.borderColor = errors.password
+                      ? '#ef4444'
+                      : 'rgba(67, 56, 202, 0.3)';
+                    e.target.style.boxShadow = 'none';
+                  }}
+                />
+                {errors.password && (
+                  <p style={{ marginTop: '0.5rem', fontSize: '0.75rem', color: '#f87171' }}>
+                    {errors.password}
+                  </p>
+                )}
+              </div>
+
+              {/* Submit Button */}
+              <button
+                type="submit"
                 disabled={loading}
                 style={{
                   width: '100%',
-                  padding: '0.75rem 1rem',
-                  backgroundColor: 'rgba(17, 24, 39, 0.8)',
-                  border: errors.password
-                    ? '1px solid #ef4444'
-                    : '1px solid rgba(67, 56, 202, 0.3)',
-                  borderRadius: '8px',
-                  color: '#e5e7eb',
+                  padding: '0.875rem',
+                  backgroundColor: loading ? '#4b5563' : '#4338ca',
+                  color: '#ffffff',
                   fontSize: '1rem',
-                  outline: 'none',
+                  fontWeight: '600',
+                  border: 'none',
+                  borderRadius: '8px',
+                  cursor: loading ? 'not-allowed' : 'pointer',
                   transition: 'all 0.3s ease',
+                  boxShadow: '0 4px 6px rgba(67, 56, 202, 0.2)',
                 }}
-                onFocus={e => {
-                  if (!errors.password) {
-                    e.target.style.borderColor = '#6366f1';
-                    e.target.style.boxShadow = '0 0 0 3px rgba(99, 102, 241, 0.1)';
+                onMouseEnter={e => {
+                  if (!loading) {
+                    e.target.style.backgroundColor = '#3730a3';
+                    e.target.style.transform = 'translateY(-2px)';
+                    e.target.style.boxShadow = '0 6px 12px rgba(67, 56, 202, 0.3)';
                   }
                 }}
-                onBlur={e => {
-                  e.target.style.borderColor = errors.password
-                    ? '#ef4444'
-                    : 'rgba(67, 56, 202, 0.3)';
-                  e.target.style.boxShadow = 'none';
+                onMouseLeave={e => {
+                  if (!loading) {
+                    e.target.style.backgroundColor = '#4338ca';
+                    e.target.style.transform = 'translateY(0)';
+                    e.target.style.boxShadow = '0 4px 6px rgba(67, 56, 202, 0.2)';
+                  }
                 }}
-              />
-              {errors.password && (
-                <p style={{ marginTop: '0.5rem', fontSize: '0.75rem', color: '#f87171' }}>
-                  {errors.password}
-                </p>
-              )}
-            </div>
+              >
+                {loading ? 'Logging in...' : 'Login as Employee'}
+              </button>
 
-            {/* Submit Button */}
-            <button
-              type="submit"
-              disabled={loading}
-              style={{
-                width: '100%',
-                padding: '0.875rem',
-                backgroundColor: loading ? '#4b5563' : '#4338ca',
-                color: '#ffffff',
-                fontSize: '1rem',
-                fontWeight: '600',
-                border: 'none',
-                borderRadius: '8px',
-                cursor: loading ? 'not-allowed' : 'pointer',
-                transition: 'all 0.3s ease',
-                boxShadow: '0 4px 6px rgba(67, 56, 202, 0.2)',
-              }}
-              onMouseEnter={e => {
-                if (!loading) {
-                  e.target.style.backgroundColor = '#3730a3';
-                  e.target.style.transform = 'translateY(-2px)';
-                  e.target.style.boxShadow = '0 6px 12px rgba(67, 56, 202, 0.3)';
-                }
-              }}
-              onMouseLeave={e => {
-                if (!loading) {
-                  e.target.style.backgroundColor = '#4338ca';
-                  e.target.style.transform = 'translateY(0)';
-                  e.target.style.boxShadow = '0 4px 6px rgba(67, 56, 202, 0.2)';
-                }
-              }}
-            >
-              {loading ? 'Logging in...' : 'Login as Employee'}
-            </button>
-          </form>
+              <div style={{ marginTop: '1rem', textAlign: 'center' }}>
+                <Link
+                  to="/forgot-password?type=employee"
+                  style={{ color: '#818cf8', fontSize: '0.875rem', textDecoration: 'none' }}
+                >
+                  Forgot your password?
+                </Link>
+              </div>
+            </form>
+          )}
 
           {/* Info Section */}
           <div
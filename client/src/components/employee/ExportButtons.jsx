@@ -0,0 +1,60 @@
+/**
+ * Export Buttons Component
+ * CSV / XLSX downloads from the employee export routes (generate_reports only)
+ */
+
+import { useState } from 'react';
+import { FiDownload } from 'react-icons/fi';
+import { downloadSecureFile } from '../../config/api';
+import { showToast } from '../ui';
+
+const ExportButtons = ({ url, dataset, params = '' }) => {
+  const [exporting, setExporting] = useState(null);
+
+  const handleExport = async format => {
+    const query = new URLSearchParams(params);
+    query.set('format', format);
+
+    setExporting(format);
+    try {
+      await downloadSecureFile(
+        `${url}?${query}`,
+        `${dataset}-${new Date().toISOString().slice(0, 10)}.${format}`
+      );
+    } catch (err) {
+      showToast.error(`Export failed: ${err.message}`);
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  return (
+    <div style={{ display: 'flex', gap: '0.5rem' }}>
+      {['csv', 'xlsx'].map(format => (
+        <button
+          key={format}
+          onClick={() => handleExport(format)}
+          disabled={exporting !== null}
+          title={`Export ${dataset} as ${format.toUpperCase()}`}
+          style={{
+            padding: '0.5rem 1rem',
+            backgroundColor: 'transparent',
+            border: '1px solid #4338ca',
+            color: '#a5b4fc',
+            borderRadius: '6px',
+            cursor: exporting ? 'wait' : 'pointer',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '0.5rem',
+            fontWeight: '500',
+          }}
+        >
+          <FiDownload size={16} />
+          {exporting === format ? 'Exporting...' : format.toUpperCase()}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default ExportButtons;
@@ -0,0 +1,497 @@
+/**
+ * Invoice Management View Component
+ * All invoices with their lifecycle status, the overdue report with aging,
+ * and resend / cancel (with credit note) actions
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import {
+  API_ENDPOINTS,
+  getSecureFetchOptions,
+  fetchCSRFToken,
+  downloadSecureFile,
+} from '../../config/api';
+import { LoadingSpinner, showToast, StatusBadge } from '../ui';
+import {
+  FiFileText,
+  FiClock,
+  FiAlertTriangle,
+  FiSend,
+  FiXCircle,
+  FiDownload,
+} from 'react-icons/fi';
+import { format } from 'date-fns';
+
+// Same rule as the server's notes validation
+const REASON_REGEX = /^[a-zA-Z0-9\s.,!?'\-()]{3,500}$/;
+
+const OPEN_STATUSES = ['generated', 'sent'];
+
+const panelStyle = {
+  backgroundColor: 'rgba(17, 24, 39, 0.9)',
+  backdropFilter: 'blur(12px)',
+  borderRadius: '12px',
+  border: '1px solid rgba(99, 102, 241, 0.3)',
+  padding: '16px',
+  boxShadow: '0 10px 30px rgba(0, 0, 0, 0.5)',
+};
+
+const actionButtonStyle = (color, disabled) => ({
+  padding: '4px 10px',
+  backgroundColor: 'transparent',
+  color,
+  border: `1px solid ${color}`,
+  borderRadius: '6px',
+  cursor: disabled ? 'not-allowed' : 'pointer',
+  opacity: disabled ? 0.6 : 1,
+  fontSize: '0.75rem',
+  fontWeight: '500',
+  display: 'inline-flex',
+  alignItems: 'center',
+  gap: '4px',
+});
+
+const formatDate = value => (value ? format(new Date(value), 'MMM dd, yyyy') : '—');
+
+const isOverdue = invoice =>
+  OPEN_STATUSES.includes(invoice.status) &&
+  Boolean(invoice.dueDate) &&
+  new Date(invoice.dueDate) < new Date();
+
+const InvoiceManagementView = ({ employee }) => {
+  const [invoices, setInvoices] = useState([]);
+  const [overdue, setOverdue] = useState({ invoices: [], summary: null });
+  const [activeTab, setActiveTab] = useState('all'); // 'all' or 'overdue'
+  const [loading, setLoading] = useState(true);
+  const [busyInvoice, setBusyInvoice] = useState(null);
+  const [cancelTarget, setCancelTarget] = useState(null);
+  const [cancelReason, setCancelReason] = useState('');
+
+  const canManage = Boolean(employee?.permissions?.includes('verify_payments'));
+
+  const fetchInvoices = useCallback(async () => {
+    try {
+      const [allResponse, overdueResponse] = await Promise.all([
+        fetch(API_ENDPOINTS.INVOICES_EMPLOYEE, getSecureFetchOptions('GET')),
+        fetch(API_ENDPOINTS.INVOICES_EMPLOYEE_OVERDUE, getSecureFetchOptions('GET')),
+      ]);
+      const [allData, overdueData] = await Promise.all([
+        allResponse.json(),
+        overdueResponse.json(),
+      ]);
+
+      if (!allResponse.ok) {
+        throw new Error(allData.message || 'Failed to fetch invoices');
+      }
+      if (!overdueResponse.ok) {
+        throw new Error(overdueData.message || 'Failed to fetch overdue invoices');
+      }
+
+      setInvoices(allData.invoices || []);
+      setOverdue({ invoices: overdueData.invoices || [], summary: overdueData.summary });
+    } catch (err) {
+      showToast.error(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchInvoices();
+  }, [fetchInvoices]);
+
+  const postInvoiceAction = async (url, body) => {
+    const csrfToken = await fetchCSRFToken();
+    const response = await fetch(url, getSecureFetchOptions('POST', body, csrfToken));
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.errors?.[0]?.message || data.message || 'Request failed');
+    }
+    return data;
+  };
+
+  const handleResend = async invoiceNumber => {
+    setBusyInvoice(invoiceNumber);
+    try {
+      const data = await postInvoiceAction(API_ENDPOINTS.INVOICE_EMPLOYEE_RESEND(invoiceNumber));
+      showToast.success(data.message);
+      fetchInvoices();
+    } catch (err) {
+      showToast.error(`Resend failed: ${err.message}`);
+    } finally {
+      setBusyInvoice(null);
+    }
+  };
+
+  const handleCancel = async () => {
+    const reason = cancelReason.trim();
+    if (!REASON_REGEX.test(reason)) {
+      showToast.error('Enter a reason of 3-500 characters (letters, numbers, basic punctuation)');
+      return;
+    }
+
+    setBusyInvoice(cancelTarget.invoiceNumber);
+    try {
+      const data = await postInvoiceAction(
+        API_ENDPOINTS.INVOICE_EMPLOYEE_CANCEL(cancelTarget.invoiceNumber),
+        { reason }
+      );
+      showToast.success(data.message);
+      setCancelTarget(null);
+      setCancelReason('');
+      fetchInvoices();
+    } catch (err) {
+      showToast.error(`Cancellation failed: ${err.message}`);
+    } finally {
+      setBusyInvoice(null);
+    }
+  };
+
+  const handleDownloadPdf = async invoiceNumber => {
+    setBusyInvoice(invoiceNumber);
+    try {
+      await downloadSecureFile(
+        API_ENDPOINTS.INVOICE_EMPLOYEE_PDF(invoiceNumber),
+        `${invoiceNumber}.pdf`
+      );
+    } catch (err) {
+      showToast.error(`Invoice download failed: ${err.message}`);
+    } finally {
+      setBusyInvoice(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div
+        style={{
+          display: 'flex',
+          justifyContent: 'center',
+          alignItems: 'center',
+          minHeight: '400px',
+        }}
+      >
+        <LoadingSpinner size="large" text="Loading invoices..." />
+      </div>
+    );
+  }
+
+  const summary = overdue.summary;
+  const openCount = invoices.filter(i => OPEN_STATUSES.includes(i.status)).length;
+  const creditNoteCount = invoices.filter(i => i.creditNote?.creditNoteNumber).length;
+
+  // The overdue report rows carry daysOverdue; the full list is looked up by number
+  const overdueDays = Object.fromEntries(
+    overdue.invoices.map(i => [i.invoiceNumber, i.daysOverdue])
+  );
+  const rows =
+    activeTab === 'overdue'
+      ? overdue.invoices.map(
+          row => invoices.find(i => i.invoiceNumber === row.invoiceNumber) || row
+        )
+      : invoices;
+
+  return (
+    <div style={{ padding: '24px' }}>
+      <h2
+        style={{
+          color: '#e5e7eb',
+          fontSize: '1.75rem',
+          marginBottom: '24px',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '12px',
+        }}
+      >
+        <FiFileText style={{ color: '#6366f1' }} />
+        Invoices
+      </h2>
+
+      {/* Stats Cards */}
+      <div
+        style={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))',
+          gap: '16px',
+          marginBottom: '24px',
+        }}
+      >
+        <StatCard icon={<FiClock />} label="Awaiting Payment" value={openCount} color="#6366f1" />
+        <StatCard
+          icon={<FiAlertTriangle />}
+          label="Overdue"
+          value={summary?.count ?? 0}
+          color="#f97316"
+        />
+        <StatCard
+          icon={<FiAlertTriangle />}
+          label="Overdue Amount"
+          value={`${summary?.baseCurrency || 'USD'} ${(summary?.totalAmount || 0).toFixed(2)}`}
+          color="#ef4444"
+        />
+        <StatCard
+          icon={<FiXCircle />}
+          label="Credit Notes"
+          value={creditNoteCount}
+          color="#9ca3af"
+        />
+      </div>
+
+      {/* Aging */}
+      {summary && summary.count > 0 && (
+        <div style={{ ...panelStyle, marginBottom: '24px' }}>
+          <h3 style={{ color: '#e5e7eb', marginBottom: '12px' }}>Days Overdue</h3>
+          <div style={{ display: 'flex', gap: '24px', flexWrap: 'wrap' }}>
+            {Object.entries(summary.aging).map(([bucket, count]) => (
+              <div key={bucket}>
+                <p style={{ margin: 0, fontSize: '0.75rem', color: '#9ca3af' }}>{bucket} days</p>
+                <p
+                  style={{
+                    margin: 0,
+                    fontSize: '1.25rem',
+                    fontWeight: 'bold',
+                    color: count > 0 ? '#f97316' : '#e5e7eb',
+                  }}
+                >
+                  {count}
+                </p>
+              </div>
+            ))}
+            {Object.entries(summary.currencyTotals).map(([currency, total]) => (
+              <div key={currency}>
+                <p style={{ margin: 0, fontSize: '0.75rem', color: '#9ca3af' }}>{currency} due</p>
+                <p style={{ margin: 0, fontSize: '1.25rem', fontWeight: 'bold', color: '#e5e7eb' }}>
+                  {total.toFixed(2)}
+                </p>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Tabs */}
+      <div style={{ display: 'flex', gap: '8px', marginBottom: '16px' }}>
+        {[
+          ['all', `All Invoices (${invoices.length})`],
+          ['overdue', `Overdue (${overdue.invoices.length})`],
+        ].map(([tab, label]) => (
+          <button
+            key={tab}
+            onClick={() => setActiveTab(tab)}
+            style={{
+              padding: '8px 16px',
+              backgroundColor: activeTab === tab ? '#6366f1' : 'rgba(255,255,255,0.05)',
+              color: activeTab === tab ? '#fff' : '#9ca3af',
+              border: '1px solid rgba(99, 102, 241, 0.3)',
+              borderRadius: '6px',
+              cursor: 'pointer',
+              fontWeight: '500',
+            }}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <div style={panelStyle}>
+        {rows.length === 0 ? (
+          <p style={{ margin: 0, fontSize: '0.875rem', color: '#9ca3af' }}>
+            {activeTab === 'overdue' ? 'No invoices are overdue' : 'No invoices yet'}
+          </p>
+        ) : (
+          <div style={{ overflowX: 'auto' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.875rem' }}>
+              <thead>
+                <tr style={{ color: '#9ca3af', textAlign: 'left' }}>
+                  {['Invoice', 'Customer', 'Amount', 'Issued', 'Due', 'Status', 'Actions'].map(
+                    heading => (
+                      <th key={heading} style={{ padding: '8px' }}>
+                        {heading}
+                      </th>
+                    )
+                  )}
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(invoice => {
+                  const busy = busyInvoice === invoice.invoiceNumber;
+                  const open = OPEN_STATUSES.includes(invoice.status);
+                  const daysOverdue = overdueDays[invoice.invoiceNumber];
+
+                  return (
+                    <tr
+                      key={invoice.invoiceNumber}
+                      style={{ color: '#e5e7eb', borderTop: '1px solid rgba(255,255,255,0.1)' }}
+                    >
+                      <td style={{ padding: '8px', fontFamily: 'monospace' }}>
+                        {invoice.invoiceNumber}
+                        {invoice.creditNote?.creditNoteNumber && (
+                          <div
+                            style={{ fontSize: '0.75rem', color: '#9ca3af' }}
+                            title={invoice.creditNote.reason}
+                          >
+                            {invoice.creditNote.creditNoteNumber}
+                          </div>
+                        )}
+                      </td>
+                      <td style={{ padding: '8px' }}>
+                        {invoice.customerName}
+                        <div style={{ fontSize: '0.75rem', color: '#9ca3af' }}>
+                          {invoice.customerEmail}
+                        </div>
+                      </td>
+                      <td style={{ padding: '8px', whiteSpace: 'nowrap' }}>
+                        {invoice.currency} {invoice.amount.toFixed(2)}
+                      </td>
+                      <td style={{ padding: '8px', whiteSpace: 'nowrap' }}>
+                        {formatDate(invoice.invoiceDate)}
+                      </td>
+                      <td style={{ padding: '8px', whiteSpace: 'nowrap' }}>
+                        {formatDate(invoice.dueDate)}
+                        {daysOverdue && (
+                          <div style={{ fontSize: '0.75rem', color: '#f97316' }}>
+                            {daysOverdue} day{daysOverdue === 1 ? '' : 's'} overdue
+                          </div>
+                        )}
+                      </td>
+                      <td style={{ padding: '8px' }}>
+                        <StatusBadge status={invoice.status} size="small" />
+                        {isOverdue(invoice) && (
+                          <span style={{ marginLeft: '4px' }}>
+                            <StatusBadge status="overdue" size="small" />
+                          </span>
+                        )}
+                        {invoice.sendCount > 0 && (
+                          <div style={{ fontSize: '0.75rem', color: '#9ca3af' }}>
+                            Sent {invoice.sendCount}x, last {formatDate(invoice.sentAt)}
+                          </div>
+                        )}
+                      </td>
+                      <td style={{ padding: '8px' }}>
+                        <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap' }}>
+                          <button
+                            onClick={() => handleDownloadPdf(invoice.invoiceNumber)}
+                            disabled={busy}
+                            style={actionButtonStyle('#6366f1', busy)}
+                          >
+                            <FiDownload /> PDF
+                          </button>
+                          {canManage && invoice.status !== 'cancelled' && (
+                            <button
+                              onClick={() => handleResend(invoice.invoiceNumber)}
+                              disabled={busy}
+                              style={actionButtonStyle('#10b981', busy)}
+                            >
+                              <FiSend /> Resend
+                            </button>
+                          )}
+                          {canManage && open && (
+                            <button
+                              onClick={() => setCancelTarget(invoice)}
+                              disabled={busy}
+                              style={actionButtonStyle('#ef4444', busy)}
+                            >
+                              <FiXCircle /> Cancel
+                            </button>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Cancellation reason */}
+      {cancelTarget && (
+        <div
+          style={{
+            position: 'fixed',
+            top: 0,
+            left: 0,
+            right: 0,
+            bottom: 0,
+            backgroundColor: 'rgba(0, 0, 0, 0.7)',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            zIndex: 2000,
+          }}
+          onClick={e => {
+            if (e.target === e.currentTarget) setCancelTarget(null);
+          }}
+        >
+          <div style={{ ...panelStyle, width: '90%', maxWidth: '480px', padding: '24px' }}>
+            <h3 style={{ color: '#e5e7eb', marginTop: 0 }}>
+              Cancel Invoice {cancelTarget.invoiceNumber}
+            </h3>
+            <p style={{ color: '#9ca3af', fontSize: '0.875rem' }}>
+              A credit note for {cancelTarget.currency} {cancelTarget.amount.toFixed(2)} will be
+              issued and {cancelTarget.customerEmail} notified. This cannot be undone.
+            </p>
+            <label
+              htmlFor="invoice-cancel-reason"
+              style={{ display: 'block', color: '#e5e7eb', marginBottom: '6px' }}
+            >
+              Reason
+            </label>
+            <textarea
+              id="invoice-cancel-reason"
+              rows={3}
+              maxLength={500}
+              value={cancelReason}
+              onChange={e => setCancelReason(e.target.value)}
+              style={{
+                width: '100%',
+                padding: '8px',
+                backgroundColor: 'rgba(0,0,0,0.3)',
+                border: '1px solid rgba(255,255,255,0.2)',
+                borderRadius: '6px',
+                color: '#e5e7eb',
+                boxSizing: 'border-box',
+              }}
+            />
+            <div
+              style={{ display: 'flex', justifyContent: 'flex-end', gap: '8px', marginTop: '16px' }}
+            >
+              <button
+                onClick={() => setCancelTarget(null)}
+                style={actionButtonStyle('#9ca3af', false)}
+              >
+                Keep Invoice
+              </button>
+              <button
+                onClick={handleCancel}
+                disabled={busyInvoice === cancelTarget.invoiceNumber}
+                style={{
+                  ...actionButtonStyle('#fff', busyInvoice === cancelTarget.invoiceNumber),
+                  backgroundColor: '#ef4444',
+                  border: 'none',
+                }}
+              >
+                {busyInvoice === cancelTarget.invoiceNumber
+                  ? 'Cancelling...'
+                  : 'Cancel and Issue Credit Note'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const StatCard = ({ icon, label, value, color }) => (
+  <div style={{ ...panelStyle, padding: '20px' }}>
+    <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginBottom: '8px' }}>
+      <div style={{ color, fontSize: '24px' }}>{icon}</div>
+      <p style={{ margin: 0, color: '#9ca3af', fontSize: '0.875rem' }}>{label}</p>
+    </div>
+    <p style={{ margin: 0, fontSize: '1.75rem', fontWeight: 'bold', color: '#e5e7eb' }}>{value}</p>
+  </div>
+);
+
+export default InvoiceManagementView;
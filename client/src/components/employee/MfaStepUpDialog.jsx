@@ -0,0 +1,145 @@
+/**
+ * MFA Step-Up Dialog Component
+ * Asks for a fresh authenticator code before a sensitive action (SWIFT release)
+ */
+
+import { useState, useEffect } from 'react';
+import { FiShield } from 'react-icons/fi';
+
+const MfaStepUpDialog = ({ isOpen, onClose, onSubmit, title, message, loading = false }) => {
+  const [code, setCode] = useState('');
+
+  // Start empty every time the dialog opens
+  useEffect(() => {
+    if (isOpen) {
+      setCode('');
+    }
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  const isValid = /^\d{6}$/.test(code);
+
+  const handleSubmit = e => {
+    e.preventDefault();
+    if (isValid && !loading) {
+      onSubmit(code);
+    }
+  };
+
+  return (
+    <div
+      style={{
+        position: 'fixed',
+        inset: 0,
+        backgroundColor: 'rgba(0, 0, 0, 0.7)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 9999,
+        padding: '1rem',
+        backdropFilter: 'blur(4px)',
+      }}
+      onClick={e => e.target === e.currentTarget && onClose()}
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="mfa-step-up-title"
+    >
+      <form
+        onSubmit={handleSubmit}
+        style={{
+          backgroundColor: 'rgba(17, 24, 39, 0.95)',
+          borderRadius: '12px',
+          padding: '2rem',
+          maxWidth: '420px',
+          width: '100%',
+          border: '1px solid rgba(99, 102, 241, 0.3)',
+          boxShadow: '0 20px 50px rgba(0, 0, 0, 0.5)',
+        }}
+      >
+        <h2
+          id="mfa-step-up-title"
+          style={{
+            display: 'flex',
+            alignItems: 'center',
+            gap: '0.5rem',
+            fontSize: '1.25rem',
+            fontWeight: 'bold',
+            color: '#e5e7eb',
+            margin: '0 0 0.75rem',
+          }}
+        >
+          <FiShield style={{ color: '#818cf8' }} />
+          {title}
+        </h2>
+        <p style={{ color: '#d1d5db', fontSize: '0.9375rem', lineHeight: '1.5', marginTop: 0 }}>
+          {message}
+        </p>
+
+        <input
+          type="text"
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          autoFocus
+          maxLength={6}
+          value={code}
+          onChange={e => setCode(e.target.value.replace(/\D/g, ''))}
+          placeholder="123456"
+          disabled={loading}
+          aria-label="Authenticator code"
+          style={{
+            width: '100%',
+            padding: '0.75rem 1rem',
+            margin: '0.5rem 0 1.5rem',
+            backgroundColor: 'rgba(17, 24, 39, 0.8)',
+            border: '1px solid rgba(67, 56, 202, 0.4)',
+            borderRadius: '8px',
+            color: '#e5e7eb',
+            fontSize: '1.5rem',
+            letterSpacing: '0.5rem',
+            textAlign: 'center',
+            outline: 'none',
+          }}
+        />
+
+        <div style={{ display: 'flex', gap: '1rem', justifyContent: 'flex-end' }}>
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={loading}
+            style={{
+              padding: '0.75rem 1.5rem',
+              backgroundColor: 'transparent',
+              border: '1px solid #6b7280',
+              color: '#6b7280',
+              borderRadius: '8px',
+              cursor: loading ? 'not-allowed' : 'pointer',
+              fontWeight: '500',
+            }}
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={!isValid || loading}
+            style={{
+              padding: '0.75rem 1.5rem',
+              backgroundColor: '#4338ca',
+              border: 'none',
+              color: '#fff',
+              borderRadius: '8px',
+              cursor: !isValid || loading ? 'not-allowed' : 'pointer',
+              fontWeight: '600',
+              opacity: !isValid || loading ? 0.6 : 1,
+              minWidth: '120px',
+            }}
+          >
+            {loading ? 'Verifying...' : 'Verify'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default MfaStepUpDialog;
@@ -0,0 +1,144 @@
+/**
+ * Payment Audit Timeline Component
+ * Hash-chained audit entries for one payment, shown in the transaction
+ * detail panel
+ */
+
+import { useState, useEffect } from 'react';
+import { API_ENDPOINTS, getSecureFetchOptions } from '../../config/api';
+import { LoadingSpinner } from '../ui';
+import { FiAlertTriangle, FiCheckCircle } from 'react-icons/fi';
+
+const ACTION_LABELS = {
+  payment_created: 'Payment created',
+  payment_approved: 'Approved',
+  payment_rejected: 'Rejected',
+  screening_override: 'Screening hit overridden',
+  swift_submitted: 'Submitted to SWIFT',
+  swift_completed: 'Settled by SWIFT',
+  swift_failed: 'Failed at SWIFT',
+  invoice_sent: 'Invoice sent',
+  invoice_paid: 'Invoice paid',
+  invoice_cancelled: 'Invoice cancelled',
+};
+
+const PaymentAuditTimeline = ({ transactionId }) => {
+  const [trail, setTrail] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchTrail = async () => {
+      setTrail(null);
+      setError(null);
+      try {
+        const response = await fetch(
+          API_ENDPOINTS.PAYMENTS_EMPLOYEE_AUDIT(transactionId),
+          getSecureFetchOptions('GET')
+        );
+        const data = await response.json();
+
+        if (!response.ok) {
+          throw new Error(data.message || 'Failed to fetch audit trail');
+        }
+        if (!cancelled) {
+          setTrail(data);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setError(err.message);
+        }
+      }
+    };
+
+    fetchTrail();
+    return () => {
+      cancelled = true;
+    };
+  }, [transactionId]);
+
+  return (
+    <div
+      style={{
+        marginTop: '1.5rem',
+        padding: '1rem',
+        borderRadius: '8px',
+        backgroundColor: 'rgba(55, 65, 81, 0.3)',
+        border: `1px solid ${trail && !trail.intact ? '#ef4444' : '#374151'}`,
+      }}
+    >
+      <h4
+        style={{
+          display: 'flex',
+          alignItems: 'center',
+          gap: '0.5rem',
+          fontSize: '1rem',
+          fontWeight: '600',
+          color: '#e5e7eb',
+          marginBottom: '0.75rem',
+        }}
+      >
+        Audit Trail
+        {trail &&
+          (trail.intact ? (
+            <FiCheckCircle style={{ color: '#10b981' }} title="All entries match their hashes" />
+          ) : (
+            <FiAlertTriangle style={{ color: '#ef4444' }} title="Some entries have been altered" />
+          ))}
+      </h4>
+
+      {error ? (
+        <p style={{ margin: 0, fontSize: '0.8125rem', color: '#fca5a5' }}>{error}</p>
+      ) : !trail ? (
+        <div style={{ display: 'flex', justifyContent: 'center', padding: '1rem' }}>
+          <LoadingSpinner />
+        </div>
+      ) : trail.entries.length === 0 ? (
+        <p style={{ margin: 0, fontSize: '0.8125rem', color: '#9ca3af' }}>
+          No audit entries recorded
+        </p>
+      ) : (
+        trail.entries.map(entry => (
+          <div
+            key={entry.sequence}
+            style={{
+              padding: '0.5rem 0 0.5rem 0.75rem',
+              borderLeft: `2px solid ${entry.intact ? '#6366f1' : '#ef4444'}`,
+              marginBottom: '0.25rem',
+              fontSize: '0.8125rem',
+              color: '#e5e7eb',
+            }}
+          >
+            <p style={{ margin: 0, fontWeight: '600' }}>
+              {ACTION_LABELS[entry.action] || entry.action}
+              {entry.fromStatus && entry.toStatus && entry.fromStatus !== entry.toStatus && (
+                <span style={{ fontWeight: 'normal', color: '#9ca3af' }}>
+                  {' '}
+                  ({entry.fromStatus} → {entry.toStatus})
+                </span>
+              )}
+            </p>
+            <p style={{ margin: 0, color: '#9ca3af' }}>
+              {new Date(entry.createdAt).toLocaleString()} • {entry.actor.email || entry.actor.id} (
+              {entry.actor.type})
+            </p>
+            <p
+              style={{
+                margin: 0,
+                color: entry.intact ? '#6b7280' : '#fca5a5',
+                fontFamily: 'monospace',
+                fontSize: '0.75rem',
+              }}
+            >
+              #{entry.sequence} {entry.hash.slice(0, 16)}…
+              {!entry.intact && ' — entry does not match its hash'}
+            </p>
+          </div>
+        ))
+      )}
+    </div>
+  );
+};
+
+export default PaymentAuditTimeline;
@@ -0,0 +1,586 @@
+/**
+ * Security Console View Component (Administration only)
+ * Attack charts, security event search, locked accounts, blocked IPs and
+ * payment audit chain verification
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { API_ENDPOINTS, getSecureFetchOptions, fetchCSRFToken } from '../../config/api';
+import { LoadingSpinner, ConfirmDialog, showToast } from '../ui';
+import {
+  FiShield,
+  FiAlertTriangle,
+  FiLock,
+  FiSlash,
+  FiSearch,
+  FiLink,
+  FiCheckCircle,
+} from 'react-icons/fi';
+import { formatDistanceToNow } from 'date-fns';
+
+const SEVERITY_COLORS = {
+  low: '#10b981',
+  medium: '#f59e0b',
+  high: '#f97316',
+  critical: '#ef4444',
+};
+
+const EMPTY_FILTERS = { type: '', severity: '', ip: '', user: '', from: '', to: '', limit: '50' };
+
+const panelStyle = {
+  backgroundColor: 'rgba(17, 24, 39, 0.9)',
+  backdropFilter: 'blur(12px)',
+  borderRadius: '12px',
+  border: '1px solid rgba(99, 102, 241, 0.3)',
+  padding: '16px',
+  boxShadow: '0 10px 30px rgba(0, 0, 0, 0.5)',
+};
+
+const inputStyle = {
+  padding: '8px',
+  backgroundColor: 'rgba(0,0,0,0.3)',
+  border: '1px solid rgba(255,255,255,0.2)',
+  borderRadius: '6px',
+  color: '#e5e7eb',
+};
+
+const fetchJson = async (url, fallbackMessage) => {
+  const response = await fetch(url, getSecureFetchOptions('GET'));
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.errors?.[0]?.msg || data.message || fallbackMessage);
+  }
+  return data;
+};
+
+const SecurityConsoleView = () => {
+  const [stats, setStats] = useState(null);
+  const [lockouts, setLockouts] = useState([]);
+  const [blockedIPs, setBlockedIPs] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [loading, setLoading] = useState(true);
+  const [searching, setSearching] = useState(false);
+  const [releasing, setReleasing] = useState(false);
+  const [pendingRelease, setPendingRelease] = useState(null);
+  const [chainResult, setChainResult] = useState(null);
+  const [verifyingChain, setVerifyingChain] = useState(false);
+
+  const fetchOverview = useCallback(async () => {
+    try {
+      const [dashboard, lockoutData, blockData] = await Promise.all([
+        fetchJson(API_ENDPOINTS.SECURITY_DASHBOARD, 'Failed to load security dashboard'),
+        fetchJson(API_ENDPOINTS.SECURITY_LOCKOUTS, 'Failed to load lockouts'),
+        fetchJson(API_ENDPOINTS.SECURITY_BLOCKED_IPS, 'Failed to load blocked IPs'),
+      ]);
+      setStats(dashboard.stats);
+      setLockouts(lockoutData.lockedAccounts || []);
+      setBlockedIPs(blockData.blockedIPs || []);
+    } catch (err) {
+      showToast.error(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const searchEvents = useCallback(async criteria => {
+    setSearching(true);
+    try {
+      const params = new URLSearchParams();
+      Object.entries(criteria).forEach(([name, value]) => {
+        if (!value) return;
+        // datetime-local inputs carry no zone; send them as ISO 8601
+        params.set(name, name === 'from' || name === 'to' ? new Date(value).toISOString() : value);
+      });
+      const data = await fetchJson(
+        `${API_ENDPOINTS.SECURITY_EVENTS}?${params}`,
+        'Failed to search security events'
+      );
+      setEvents(data.events || []);
+    } catch (err) {
+      showToast.error(err.message);
+    } finally {
+      setSearching(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchOverview();
+    searchEvents(EMPTY_FILTERS);
+  }, [fetchOverview, searchEvents]);
+
+  const handleSearch = e => {
+    e.preventDefault();
+    searchEvents(filters);
+  };
+
+  const handleVerifyChain = async () => {
+    setVerifyingChain(true);
+    try {
+      const data = await fetchJson(
+        API_ENDPOINTS.SECURITY_AUDIT_VERIFY,
+        'Failed to verify audit chain'
+      );
+      setChainResult(data);
+    } catch (err) {
+      showToast.error(err.message);
+    } finally {
+      setVerifyingChain(false);
+    }
+  };
+
+  const handleRelease = async () => {
+    setReleasing(true);
+    try {
+      const csrfToken = await fetchCSRFToken();
+      const url =
+        pendingRelease.kind === 'lockout'
+          ? API_ENDPOINTS.SECURITY_LOCKOUT(pendingRelease.value)
+          : API_ENDPOINTS.SECURITY_BLOCKED_IP(pendingRelease.value);
+      const response = await fetch(url, getSecureFetchOptions('DELETE', null, csrfToken));
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Request failed');
+      }
+
+      showToast.success(data.message);
+      setPendingRelease(null);
+      fetchOverview();
+    } catch (err) {
+      showToast.error(err.message);
+    } finally {
+      setReleasing(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div
+        style={{
+          display: 'flex',
+          justifyContent: 'center',
+          alignItems: 'center',
+          minHeight: '400px',
+        }}
+      >
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ padding: '24px' }}>
+      <h2 style={{ color: '#e5e7eb', marginBottom: '24px', fontSize: '1.75rem' }}>
+        <FiShield style={{ display: 'inline', marginRight: '8px', verticalAlign: 'middle' }} />
+        Security Console
+      </h2>
+
+      {/* Stats Cards */}
+      {stats && (
+        <div
+          style={{
+            display: 'grid',
+            gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))',
+            gap: '16px',
+            marginBottom: '24px',
+          }}
+        >
+          <StatCard
+            icon={<FiAlertTriangle />}
+            label="Security Events"
+            value={stats.totalEvents}
+            color="#667eea"
+          />
+          <StatCard
+            icon={<FiLock />}
+            label="Locked Accounts"
+            value={lockouts.length}
+            color="#f59e0b"
+          />
+          <StatCard
+            icon={<FiSlash />}
+            label="Blocked IPs"
+            value={blockedIPs.length}
+            color="#ef4444"
+          />
+        </div>
+      )}
+
+      {/* Attack charts */}
+      {stats && (
+        <div
+          style={{
+            display: 'grid',
+            gridTemplateColumns: 'repeat(auto-fit, minmax(320px, 1fr))',
+            gap: '24px',
+            marginBottom: '24px',
+          }}
+        >
+          <BarChart
+            title="Top Attack Types"
+            rows={(stats.topAttackTypes || []).map(({ type, count }) => ({ label: type, count }))}
+            color="#6366f1"
+          />
+          <BarChart
+            title="Top Source IPs"
+            rows={(stats.topAttackers || []).map(({ ip, count }) => ({ label: ip, count }))}
+            color="#ef4444"
+          />
+        </div>
+      )}
+
+      <div
+        style={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(auto-fit, minmax(320px, 1fr))',
+          gap: '24px',
+          marginBottom: '24px',
+        }}
+      >
+        {/* Locked accounts */}
+        <div style={panelStyle}>
+          <h3 style={{ color: '#e5e7eb', marginBottom: '16px' }}>
+            Locked Accounts ({lockouts.length})
+          </h3>
+          {lockouts.length === 0 ? (
+            <p style={{ margin: 0, fontSize: '0.875rem', color: '#9ca3af' }}>
+              No accounts are locked
+            </p>
+          ) : (
+            lockouts.map(lockout => (
+              <ReleaseRow
+                key={lockout.email}
+                title={lockout.email}
+                subtitle={`Lockout #${lockout.lockoutNumber} · ${lockout.remainingMinutes} min remaining`}
+                actionLabel="Unlock"
+                onAction={() => setPendingRelease({ kind: 'lockout', value: lockout.email })}
+              />
+            ))
+          )}
+        </div>
+
+        {/* Blocked IPs */}
+        <div style={panelStyle}>
+          <h3 style={{ color: '#e5e7eb', marginBottom: '16px' }}>
+            Blocked IPs ({blockedIPs.length})
+          </h3>
+          {blockedIPs.length === 0 ? (
+            <p style={{ margin: 0, fontSize: '0.875rem', color: '#9ca3af' }}>
+              No IP addresses are blocked
+            </p>
+          ) : (
+            blockedIPs.map(block => (
+              <ReleaseRow
+                key={block.ip}
+                title={block.ip}
+                subtitle={`Blocked ${formatDistanceToNow(new Date(block.blockedAt), { addSuffix: true })} · ${block.remainingMinutes} min remaining`}
+                actionLabel="Unblock"
+                onAction={() => setPendingRelease({ kind: 'ip', value: block.ip })}
+              />
+            ))
+          )}
+        </div>
+      </div>
+
+      {/* Payment audit chain */}
+      <div style={{ ...panelStyle, marginBottom: '24px' }}>
+        <div
+          style={{
+            display: 'flex',
+            justifyContent: 'space-between',
+            alignItems: 'center',
+            gap: '16px',
+          }}
+        >
+          <h3 style={{ color: '#e5e7eb', margin: 0 }}>
+            <FiLink style={{ display: 'inline', marginRight: '8px', verticalAlign: 'middle' }} />
+            Payment Audit Chain
+          </h3>
+          <button
+            onClick={handleVerifyChain}
+            disabled={verifyingChain}
+            style={{
+              padding: '8px 12px',
+              backgroundColor: '#6366f1',
+              color: '#fff',
+              border: 'none',
+              borderRadius: '6px',
+              cursor: verifyingChain ? 'not-allowed' : 'pointer',
+              opacity: verifyingChain ? 0.6 : 1,
+              fontWeight: '500',
+            }}
+          >
+            {verifyingChain ? 'Verifying...' : 'Verify Chain'}
+          </button>
+        </div>
+        {chainResult && (
+          <div style={{ marginTop: '16px', fontSize: '0.875rem' }}>
+            <p
+              style={{
+                margin: 0,
+                color: chainResult.valid ? '#10b981' : '#ef4444',
+                fontWeight: '600',
+              }}
+            >
+              {chainResult.valid ? (
+                <FiCheckCircle style={{ verticalAlign: 'middle', marginRight: '6px' }} />
+              ) : (
+                <FiAlertTriangle style={{ verticalAlign: 'middle', marginRight: '6px' }} />
+              )}
+              {chainResult.valid
+                ? `Intact - ${chainResult.checked} entries checked`
+                : `Broken - ${chainResult.problems.length} problem(s) in ${chainResult.checked} entries`}
+            </p>
+            {chainResult.head && (
+              <p style={{ margin: '4px 0 0', color: '#9ca3af', fontFamily: 'monospace' }}>
+                Head #{chainResult.head.sequence} {chainResult.head.hash}
+              </p>
+            )}
+            {chainResult.problems.map(({ sequence, problem }) => (
+              <p key={`${sequence}-${problem}`} style={{ margin: '4px 0 0', color: '#fca5a5' }}>
+                #{sequence}: {problem}
+              </p>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Event search */}
+      <div style={panelStyle}>
+        <h3 style={{ color: '#e5e7eb', marginBottom: '16px' }}>Security Events</h3>
+        <form
+          onSubmit={handleSearch}
+          style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', marginBottom: '16px' }}
+        >
+          <input
+            placeholder="Event type"
+            value={filters.type}
+            onChange={e => setFilters({ ...filters, type: e.target.value })}
+            style={inputStyle}
+          />
+          <select
+            value={filters.severity}
+            onChange={e => setFilters({ ...filters, severity: e.target.value })}
+            style={inputStyle}
+          >
+            <option value="">Any severity</option>
+            {Object.keys(SEVERITY_COLORS).map(severity => (
+              <option key={severity} value={severity}>
+                {severity}
+              </option>
+            ))}
+          </select>
+          <input
+            placeholder="IP address"
+            value={filters.ip}
+            onChange={e => setFilters({ ...filters, ip: e.target.value })}
+            style={inputStyle}
+          />
+          <input
+            placeholder="User email or ID"
+            value={filters.user}
+            onChange={e => setFilters({ ...filters, user: e.target.value })}
+            style={inputStyle}
+          />
+          <input
+            type="datetime-local"
+            aria-label="From"
+            value={filters.from}
+            onChange={e => setFilters({ ...filters, from: e.target.value })}
+            style={inputStyle}
+          />
+          <input
+            type="datetime-local"
+            aria-label="To"
+            value={filters.to}
+            onChange={e => setFilters({ ...filters, to: e.target.value })}
+            style={inputStyle}
+          />
+          <input
+            type="number"
+            min="1"
+            max="200"
+            aria-label="Limit"
+            value={filters.limit}
+            onChange={e => setFilters({ ...filters, limit: e.target.value })}
+            style={{ ...inputStyle, width: '80px' }}
+          />
+          <button
+            type="submit"
+            disabled={searching}
+            style={{
+              padding: '8px 12px',
+              backgroundColor: '#6366f1',
+              color: '#fff',
+              border: 'none',
+              borderRadius: '6px',
+              cursor: searching ? 'not-allowed' : 'pointer',
+              opacity: searching ? 0.6 : 1,
+              fontWeight: '500',
+            }}
+          >
+            <FiSearch style={{ verticalAlign: 'middle', marginRight: '4px' }} />
+            {searching ? 'Searching...' : 'Search'}
+          </button>
+        </form>
+
+        {events.length === 0 ? (
+          <p style={{ margin: 0, fontSize: '0.875rem', color: '#9ca3af' }}>
+            No events match these filters
+          </p>
+        ) : (
+          <div style={{ overflowX: 'auto' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.875rem' }}>
+              <thead>
+                <tr style={{ color: '#9ca3af', textAlign: 'left' }}>
+                  {['Time', 'Type', 'Severity', 'IP', 'User', 'Path'].map(heading => (
+                    <th key={heading} style={{ padding: '8px' }}>
+                      {heading}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {events.map(event => (
+                  <tr
+                    key={event.id}
+                    style={{ color: '#e5e7eb', borderTop: '1px solid rgba(255,255,255,0.1)' }}
+                  >
+                    <td style={{ padding: '8px', whiteSpace: 'nowrap' }}>
+                      {new Date(event.timestamp).toLocaleString()}
+                    </td>
+                    <td style={{ padding: '8px' }}>{event.type}</td>
+                    <td
+                      style={{
+                        padding: '8px',
+                        color: SEVERITY_COLORS[event.severity] || '#9ca3af',
+                      }}
+                    >
+                      {event.severity}
+                    </td>
+                    <td style={{ padding: '8px' }}>{event.ip}</td>
+                    <td style={{ padding: '8px' }}>
+                      {event.details?.email || event.userId || '—'}
+                    </td>
+                    <td
+                      style={{ padding: '8px' }}
+                      title={event.requestId ? `Request ID ${event.requestId}` : undefined}
+                    >
+                      {event.method} {event.path}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <ConfirmDialog
+        isOpen={Boolean(pendingRelease)}
+        onClose={() => setPendingRelease(null)}
+        onConfirm={handleRelease}
+        title={pendingRelease?.kind === 'lockout' ? 'Unlock Account' : 'Unblock IP Address'}
+        message={
+          pendingRelease?.kind === 'lockout'
+            ? `Unlock ${pendingRelease.value} now? The lockout will be recorded as released by you.`
+            : `Unblock ${pendingRelease?.value} now? The release will be recorded as done by you.`
+        }
+        confirmText={pendingRelease?.kind === 'lockout' ? 'Unlock' : 'Unblock'}
+        isDestructive={false}
+        loading={releasing}
+      />
+    </div>
+  );
+};
+
+const StatCard = ({ icon, label, value, color }) => (
+  <div style={{ ...panelStyle, padding: '20px' }}>
+    <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginBottom: '8px' }}>
+      <div style={{ color, fontSize: '24px' }}>{icon}</div>
+      <p style={{ margin: 0, color: '#9ca3af', fontSize: '0.875rem' }}>{label}</p>
+    </div>
+    <p style={{ margin: 0, fontSize: '2rem', fontWeight: 'bold', color: '#e5e7eb' }}>{value}</p>
+  </div>
+);
+
+// Horizontal bars scaled to the largest count
+const BarChart = ({ title, rows, color }) => {
+  const max = Math.max(1, ...rows.map(row => row.count));
+
+  return (
+    <div style={panelStyle}>
+      <h3 style={{ color: '#e5e7eb', marginBottom: '16px' }}>{title}</h3>
+      {rows.length === 0 ? (
+        <p style={{ margin: 0, fontSize: '0.875rem', color: '#9ca3af' }}>No recent events</p>
+      ) : (
+        rows.map(row => (
+          <div key={row.label} style={{ marginBottom: '10px' }}>
+            <div
+              style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                fontSize: '0.875rem',
+                color: '#e5e7eb',
+                marginBottom: '4px',
+              }}
+            >
+              <span>{row.label}</span>
+              <span style={{ color: '#9ca3af' }}>{row.count}</span>
+            </div>
+            <div
+              style={{
+                height: '8px',
+                borderRadius: '4px',
+                backgroundColor: 'rgba(255,255,255,0.08)',
+              }}
+            >
+              <div
+                style={{
+                  width: `${(row.count / max) * 100}%`,
+                  height: '100%',
+                  borderRadius: '4px',
+                  backgroundColor: color,
+                }}
+              />
+            </div>
+          </div>
+        ))
+      )}
+    </div>
+  );
+};
+
+const ReleaseRow = ({ title, subtitle, actionLabel, onAction }) => (
+  <div
+    style={{
+      display: 'flex',
+      alignItems: 'center',
+      gap: '12px',
+      padding: '12px 0',
+      borderBottom: '1px solid rgba(255,255,255,0.1)',
+    }}
+  >
+    <div style={{ flex: 1 }}>
+      <p style={{ margin: 0, color: '#e5e7eb', fontWeight: '500' }}>{title}</p>
+      <p style={{ margin: 0, fontSize: '0.75rem', color: '#9ca3af' }}>{subtitle}</p>
+    </div>
+    <button
+      onClick={onAction}
+      style={{
+        padding: '6px 12px',
+        backgroundColor: 'transparent',
+        color: '#10b981',
+        border: '1px solid #10b981',
+        borderRadius: '6px',
+        cursor: 'pointer',
+        fontWeight: '500',
+      }}
+    >
+      {actionLabel}
+    </button>
+  </div>
+);
+
+export default SecurityConsoleView;
@@ -9,12 +9,20 @@ const StatusBadge = ({ status, size = 'medium' }) => {
   const getStatusColor = status => {
     const colors = {
       pending: '#fbbf24',
+      screening: '#f97316',
+      pending_second_approval: '#eab308',
       verified: '#10b981',
       rejected: '#ef4444',
+      submitting: '#60a5fa',
       submitted_to_swift: '#3b82f6',
       completed: '#8b5cf6',
       failed: '#dc2626',
       processing: '#f59e0b',
+      generated: '#6366f1',
+      sent: '#3b82f6',
+      paid: '#10b981',
+      cancelled: '#ef4444',
+      overdue: '#f97316',
     };
     return colors[status] || '#6b7280';
   };
@@ -22,12 +30,20 @@ const StatusBadge = ({ status, size = 'medium' }) => {
   const getStatusLabel = status => {
     const labels = {
       pending: 'Pending',
+      screening: 'Screening',
+      pending_second_approval: 'Awaiting 2nd Approval',
       verified: 'Verified',
       rejected: 'Rejected',
+      submitting: 'Submitting to SWIFT',
       submitted_to_swift: 'Submitted to SWIFT',
       completed: 'Completed',
       failed: 'Failed',
       processing: 'Processing',
+      generated: 'Generated',
+      sent: 'Sent',
+      paid: 'Paid',
+      cancelled: 'Cancelled',
+      overdue: 'Overdue',
     };
     return labels[status] || status;
   };
@@ -16,30 +16,86 @@ export const API_ENDPOINTS = {
   AUTH_LOGOUT: `${API_BASE_URL}/api/auth/logout`,
   AUTH_PROFILE: `${API_BASE_URL}/api/auth/profile`,
   AUTH_REFRESH: `${API_BASE_URL}/api/auth/refresh`,
+  AUTH_SESSIONS: `${API_BASE_URL}/api/auth/sessions`,
+  AUTH_SESSION: sessionId => `${API_BASE_URL}/api/auth/sessions/${sessionId}`,
+  AUTH_PROFILE_PASSWORD: `${API_BASE_URL}/api/auth/profile/password`,
+  AUTH_PROFILE_CLOSE: `${API_BASE_URL}/api/auth/profile/close`,
+  AUTH_PASSWORD_RESET_REQUEST: `${API_BASE_URL}/api/auth/password-reset/request`,
+  AUTH_PASSWORD_RESET_CONFIRM: `${API_BASE_URL}/api/auth/password-reset/confirm`,
+  AUTH_MFA: `${API_BASE_URL}/api/auth/mfa`,
+  AUTH_MFA_SETUP: `${API_BASE_URL}/api/auth/mfa/setup`,
+  AUTH_MFA_ENABLE: `${API_BASE_URL}/api/auth/mfa/enable`,
+  AUTH_MFA_DISABLE: `${API_BASE_URL}/api/auth/mfa/disable`,
+  AUTH_MFA_RECOVERY_CODES: `${API_BASE_URL}/api/auth/mfa/recovery-codes`,
 
   // Employee Auth endpoints - TASK 3
   AUTH_EMPLOYEE_LOGIN: `${API_BASE_URL}/api/auth/employee/login`,
+  AUTH_EMPLOYEE_LOGIN_MFA: `${API_BASE_URL}/api/auth/employee/login/mfa`,
   AUTH_EMPLOYEE_PROFILE: `${API_BASE_URL}/api/auth/employee/profile`,
+  AUTH_EMPLOYEE_MFA: `${API_BASE_URL}/api/auth/employee/mfa`,
+  AUTH_EMPLOYEE_MFA_SETUP: `${API_BASE_URL}/api/auth/employee/mfa/setup`,
+  AUTH_EMPLOYEE_MFA_ENABLE: `${API_BASE_URL}/api/auth/employee/mfa/enable`,
+  AUTH_EMPLOYEE_MFA_DISABLE: `${API_BASE_URL}/api/auth/employee/mfa/disable`,
+  AUTH_EMPLOYEE_MFA_RECOVERY_CODES: `${API_BASE_URL}/api/auth/employee/mfa/recovery-codes`,
 
   // Customer Payment endpoints
   PAYMENTS: `${API_BASE_URL}/api/payments`,
+  PAYMENTS_QUOTE: `${API_BASE_URL}/api/payments/quote`,
+  PAYMENTS_CHALLENGE: `${API_BASE_URL}/api/payments/challenge`,
 
   // Employee Payment endpoints - TASK 3
   PAYMENTS_EMPLOYEE_PENDING: `${API_BASE_URL}/api/payments/employee/pending`,
   PAYMENTS_EMPLOYEE_ALL: `${API_BASE_URL}/api/payments/employee/all`,
+  PAYMENTS_EMPLOYEE_EXPORT: `${API_BASE_URL}/api/payments/employee/export`,
   PAYMENTS_EMPLOYEE_VERIFY: transactionId =>
     `${API_BASE_URL}/api/payments/employee/verify/${transactionId}`,
   PAYMENTS_EMPLOYEE_SUBMIT_SWIFT: `${API_BASE_URL}/api/payments/employee/submit-swift`,
+  PAYMENTS_EMPLOYEE_SWIFT_BATCHES: `${API_BASE_URL}/api/payments/employee/swift-batches`,
+  PAYMENTS_EMPLOYEE_SWIFT_BATCH_PAIN001: batchId =>
+    `${API_BASE_URL}/api/payments/employee/swift-batches/${batchId}/pain001`,
+  PAYMENTS_EMPLOYEE_MT103: transactionId =>
+    `${API_BASE_URL}/api/payments/employee/mt103/${transactionId}`,
+  PAYMENTS_EMPLOYEE_AUDIT: transactionId =>
+    `${API_BASE_URL}/api/payments/employee/audit/${transactionId}`,
 
   // Invoice endpoints - TASK 3
   INVOICES_CUSTOMER: `${API_BASE_URL}/api/payments/invoices`,
   INVOICES_EMPLOYEE: `${API_BASE_URL}/api/payments/employee/invoices`,
+  INVOICES_EMPLOYEE_EXPORT: `${API_BASE_URL}/api/payments/employee/invoices/export`,
+  INVOICES_EMPLOYEE_OVERDUE: `${API_BASE_URL}/api/payments/employee/invoices/overdue`,
+  INVOICE_EMPLOYEE_RESEND: invoiceNumber =>
+    `${API_BASE_URL}/api/payments/employee/invoices/${invoiceNumber}/resend`,
+  INVOICE_EMPLOYEE_CANCEL: invoiceNumber =>
+    `${API_BASE_URL}/api/payments/employee/invoices/${invoiceNumber}/cancel`,
+  INVOICE_EMPLOYEE_PDF: invoiceNumber =>
+    `${API_BASE_URL}/api/payments/employee/invoices/${invoiceNumber}/pdf`,
   INVOICE_DETAILS: invoiceNumber => `${API_BASE_URL}/api/payments/invoices/${invoiceNumber}`,
+  INVOICE_PDF: invoiceNumber => `${API_BASE_URL}/api/payments/invoices/${invoiceNumber}/pdf`,
+  INVOICE_VERIFY: invoiceNumber =>
+    `${API_BASE_URL}/api/payments/invoices/${encodeURIComponent(invoiceNumber)}/verify`,
 
   // Employee Customer endpoints
   CUSTOMERS_EMPLOYEE_ALL: `${API_BASE_URL}/api/customers/employee/all`,
   CUSTOMERS_EMPLOYEE_DETAILS: customerId => `${API_BASE_URL}/api/customers/employee/${customerId}`,
   CUSTOMERS_EMPLOYEE_STATS: `${API_BASE_URL}/api/customers/employee/stats`,
+  CUSTOMERS_EMPLOYEE_EXPORT: `${API_BASE_URL}/api/customers/employee/export`,
+  CUSTOMERS_EMPLOYEE_DEPOSIT: customerId =>
+    `${API_BASE_URL}/api/customers/employee/${customerId}/deposit`,
+
+  // FX rate endpoints
+  FX_RATES: `${API_BASE_URL}/api/fx/rates`,
+
+  // BIC directory endpoints
+  BIC_LOOKUP: bic => `${API_BASE_URL}/api/bic/${bic}`,
+
+  // Security console endpoints (Administration)
+  SECURITY_DASHBOARD: `${API_BASE_URL}/api/security/dashboard`,
+  SECURITY_EVENTS: `${API_BASE_URL}/api/security/events`,
+  SECURITY_LOCKOUTS: `${API_BASE_URL}/api/security/lockouts`,
+  SECURITY_LOCKOUT: email => `${API_BASE_URL}/api/security/lockouts/${encodeURIComponent(email)}`,
+  SECURITY_BLOCKED_IPS: `${API_BASE_URL}/api/security/blocked-ips`,
+  SECURITY_BLOCKED_IP: ip => `${API_BASE_URL}/api/security/blocked-ips/${encodeURIComponent(ip)}`,
+  SECURITY_AUDIT_VERIFY: `${API_BASE_URL}/api/security/audit/verify`,
 
   // CSRF token endpoint
   CSRF_TOKEN: `${API_BASE_URL}/api/csrf-token`,
@@ -99,4 +155,91 @@ export const fetchCSRFToken = async () => {
   }
 };
 
+/**
+ * Session refresh
+ * Access tokens expire after 15 minutes. A request that fails with 401 refreshes
+ * the session once (rotating the refresh cookie) and is retried. Concurrent
+ * 401s share one refresh so a rotated token is never presented twice.
+ */
+const NO_REFRESH_URLS = [
+  API_ENDPOINTS.AUTH_LOGIN,
+  API_ENDPOINTS.AUTH_REGISTER,
+  API_ENDPOINTS.AUTH_LOGOUT,
+  API_ENDPOINTS.AUTH_REFRESH,
+  API_ENDPOINTS.AUTH_EMPLOYEE_LOGIN,
+  API_ENDPOINTS.AUTH_EMPLOYEE_LOGIN_MFA,
+  API_ENDPOINTS.AUTH_PASSWORD_RESET_REQUEST,
+  API_ENDPOINTS.AUTH_PASSWORD_RESET_CONFIRM,
+];
+
+let refreshInFlight = null;
+
+const refreshSession = baseFetch => {
+  if (!refreshInFlight) {
+    refreshInFlight = baseFetch(API_ENDPOINTS.AUTH_REFRESH, {
+      method: 'POST',
+      credentials: 'include',
+      headers: { 'X-Requested-With': 'XMLHttpRequest' },
+    })
+      .then(response => response.ok)
+      .catch(() => false)
+      .finally(() => {
+        refreshInFlight = null;
+      });
+  }
+  return refreshInFlight;
+};
+
+/**
+ * Wrap window.fetch so API calls survive access token expiry
+ * Called once at startup (main.jsx)
+ */
+export const installAuthRefresh = () => {
+  const baseFetch = window.fetch.bind(window);
+
+  window.fetch = async (input, init) => {
+    const response = await baseFetch(input, init);
+    const url = typeof input === 'string' ? input : input.url;
+
+    if (response.status !== 401 || !url.startsWith(API_BASE_URL) || NO_REFRESH_URLS.includes(url)) {
+      return response;
+    }
+
+    const refreshed = await refreshSession(baseFetch);
+    return refreshed ? baseFetch(input, init) : response;
+  };
+};
+
+/**
+ * Download a protected file (XML, CSV, PDF...) and save it in the browser
+ * Uses fetch so the httpOnly auth cookies are sent with the request
+ */
+export const downloadSecureFile = async (url, filename) => {
+  const response = await fetch(url, getSecureFetchOptions('GET'));
+
+  if (!response.ok) {
+    let message = 'Download failed';
+    try {
+      const data = await response.json();
+      message = data.message || message;
+      if (Array.isArray(data.errors) && data.errors.length > 0) {
+        message = `${message}: ${data.errors.map(err => err.message).join('; ')}`;
+      }
+    } catch {
+      // Non-JSON error body
+    }
+    throw new Error(message);
+  }
+
+  const blob = await response.blob();
+  const objectUrl = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = objectUrl;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(objectUrl);
+};
+
 export default API_BASE_URL;
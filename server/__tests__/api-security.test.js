@@ -10,6 +10,7 @@
 
 const request = require('supertest');
 const app = require('../index');
+const { fundCustomer, createPayment, withMfaStepUp } = require('./helpers/workflow');
 
 describe('Employee API Security Tests', () => {
   // ==========================================
@@ -233,6 +234,7 @@ describe('Employee API Security Tests', () => {
         email: 'testcustomer@example.com',
         password: 'Customer123!@#',
       });
+      await fundCustomer('testcustomer@example.com', 2000);
 
       const customerLogin = await request(app).post('/api/auth/login').send({
         email: 'testcustomer@example.com',
@@ -246,17 +248,14 @@ describe('Employee API Security Tests', () => {
         .split('=')[1];
 
       // Create a payment
-      const paymentResponse = await request(app)
-        .post('/api/payments')
-        .set('Cookie', `accessToken=${customerToken}`)
-        .send({
-          amount: 500.0,
-          currency: 'USD',
-          recipientAccount: 'GB29NWBK60161331926819',
-          recipientSwift: 'NWBKGB2L',
-          recipientName: 'John Doe',
-          reference: 'Test payment',
-        });
+      const paymentResponse = await createPayment(app, customerToken, {
+        amount: 500.0,
+        currency: 'USD',
+        recipientAccount: 'GB29NWBK60161331926819',
+        recipientSwift: 'NWBKGB2L',
+        recipientName: 'John Doe',
+        reference: 'Test payment',
+      });
 
       testTransactionId = paymentResponse.body.transaction.id;
     });
@@ -362,6 +361,7 @@ describe('Employee API Security Tests', () => {
         email: 'testcustomer2@example.com',
         password: 'Customer123!@#',
       });
+      await fundCustomer('testcustomer2@example.com', 2000);
 
       const customerLogin = await request(app).post('/api/auth/login').send({
         email: 'testcustomer2@example.com',
@@ -374,17 +374,14 @@ describe('Employee API Security Tests', () => {
         .split(';')[0]
         .split('=')[1];
 
-      const paymentResponse = await request(app)
-        .post('/api/payments')
-        .set('Cookie', `accessToken=${customerToken}`)
-        .send({
-          amount: 250.0,
-          currency: 'EUR',
-          recipientAccount: 'DE89370400440532013000',
-          recipientSwift: 'COBADEFF',
-          recipientName: 'Jane Smith',
-          reference: 'Invoice 123',
-        });
+      const paymentResponse = await createPayment(app, customerToken, {
+        amount: 250.0,
+        currency: 'EUR',
+        recipientAccount: 'DE89370400440532013000',
+        recipientSwift: 'COBADEFF',
+        recipientName: 'Jane Smith',
+        reference: 'Invoice 123',
+      });
 
       const newTransactionId = paymentResponse.body.transaction.id;
 
@@ -424,6 +421,7 @@ describe('Employee API Security Tests', () => {
             email: `batchcustomer${i}@example.com`,
             password: 'Customer123!@#',
           });
+        await fundCustomer(`batchcustomer${i}@example.com`, 2000);
 
         const customerLogin = await request(app)
           .post('/api/auth/login')
@@ -438,17 +436,14 @@ describe('Employee API Security Tests', () => {
           .split(';')[0]
           .split('=')[1];
 
-        const paymentResponse = await request(app)
-          .post('/api/payments')
-          .set('Cookie', `accessToken=${customerToken}`)
-          .send({
-            amount: 100.0 * (i + 1),
-            currency: 'USD',
-            recipientAccount: 'US64SVBKUS6S3300958879',
-            recipientSwift: 'SVBKUS6S',
-            recipientName: `Recipient ${i}`,
-            reference: `Batch payment ${i}`,
-          });
+        const paymentResponse = await createPayment(app, customerToken, {
+          amount: 100.0 * (i + 1),
+          currency: 'USD',
+          recipientAccount: 'US64SVBKUS6S3300958879',
+          recipientSwift: 'SVBKUS6S',
+          recipientName: `Recipient ${i}`,
+          reference: `Batch payment ${i}`,
+        });
 
         const txId = paymentResponse.body.transaction.id;
         transactionIds.push(txId);
@@ -479,13 +474,16 @@ describe('Employee API Security Tests', () => {
 
       const csrfToken = csrfResponse.body.csrfToken;
 
-      const response = await request(app)
-        .post('/api/payments/employee/submit-swift')
-        .set('Cookie', `accessToken=${employeeToken}`)
-        .set('X-CSRF-Token', csrfToken)
-        .send({
-          transactionIds: transactionIds,
-        });
+      const response = await withMfaStepUp('verifier2@bank.com', mfaCode =>
+        request(app)
+          .post('/api/payments/employee/submit-swift')
+          .set('Cookie', `accessToken=${employeeToken}`)
+          .set('X-CSRF-Token', csrfToken)
+          .send({
+            transactionIds: transactionIds,
+            mfaCode,
+          })
+      );
 
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
@@ -614,17 +612,14 @@ describe('Employee API Security Tests', () => {
         .split(';')[0]
         .split('=')[1];
 
-      const paymentResponse = await request(app)
-        .post('/api/payments')
-        .set('Cookie', `accessToken=${customerToken}`)
-        .send({
-          amount: 150.0,
-          currency: 'GBP',
-          recipientAccount: 'GB82WEST12345698765432',
-          recipientSwift: 'NWBKGB2L',
-          recipientName: 'Test User',
-          reference: 'Test',
-        });
+      const paymentResponse = await createPayment(app, customerToken, {
+        amount: 150.0,
+        currency: 'GBP',
+        recipientAccount: 'GB82WEST12345698765432',
+        recipientSwift: 'NWBKGB2L',
+        recipientName: 'Test User',
+        reference: 'Test',
+      });
 
       const transactionId = paymentResponse.body.transaction.id;
 
@@ -0,0 +1,194 @@
+/**
+ * Dual Approval (Four-Eyes) Tests
+ * Covers threshold parsing, required approvals, the two-approver flow on
+ * payments and concurrent decisions through the verify route
+ */
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const Employee = require('../models/Employee');
+const { issueTokenPair } = require('../utils/refreshTokens');
+const { postDeposit, placeHold, getAvailableBalance } = require('../utils/ledger');
+const {
+  parseThresholds,
+  requiredApprovalsFor,
+  canDepartmentApprove,
+} = require('../utils/approvalPolicy');
+const { mockLedger, mockAuditLog, mockSessionStore } = require('./helpers/mockStores');
+const { buildPayment } = require('./helpers/fixtures');
+
+describe('Dual Approval Policy', () => {
+  describe('Policy', () => {
+    test('should parse per-currency thresholds and skip malformed pairs', () => {
+      expect(parseThresholds('usd:5000, EUR:4500.50,GBP:,ZAR')).toEqual({
+        USD: 5000,
+        EUR: 4500.5,
+      });
+    });
+
+    test('should require two approvals only above the currency threshold', () => {
+      expect(requiredApprovalsFor({ amount: 4500, currency: 'EUR' })).toBe(1);
+      expect(requiredApprovalsFor({ amount: 4500.01, currency: 'EUR' })).toBe(2);
+      expect(requiredApprovalsFor({ amount: 1000000, currency: 'JPY' })).toBe(1);
+    });
+
+    test('should restrict dual-approval payments to permitted departments', () => {
+      expect(canDepartmentApprove('Analytics', 1)).toBe(true);
+      expect(canDepartmentApprove('Analytics', 2)).toBe(false);
+      expect(canDepartmentApprove('Verification', 2)).toBe(true);
+    });
+  });
+
+  describe('Payment Approval', () => {
+    const maker = new mongoose.Types.ObjectId();
+    const checker = new mongoose.Types.ObjectId();
+
+    beforeEach(() => {
+      mockLedger();
+      jest.spyOn(Payment.prototype, 'save').mockImplementation(async function () {
+        return this;
+      });
+    });
+
+    const heldPayment = async overrides => {
+      const payment = buildPayment({ amount: 8000, ...overrides });
+      await payment.validate();
+      await postDeposit({ customerId: payment.customerId, amount: 10000, currency: 'EUR' });
+      await placeHold(payment);
+      return payment;
+    };
+
+    test('should verify payments below the threshold after one approval', async () => {
+      const payment = await heldPayment({ amount: 250 });
+
+      expect(payment.requiredApprovals).toBe(1);
+      await payment.verify(maker, 'analyst@bank.com', true, '', 'Analytics');
+
+      expect(payment.status).toBe('verified');
+      expect(payment.approvalSteps).toHaveLength(1);
+    });
+
+    test('should wait for a second, different approver above the threshold', async () => {
+      const payment = await heldPayment();
+
+      expect(payment.requiredApprovals).toBe(2);
+      await payment.verify(maker, 'maker@bank.com', true, 'Checked invoice', 'Verification');
+
+      expect(payment.status).toBe('pending_second_approval');
+      expect(payment.verifiedBy).toBeUndefined();
+
+      await expect(
+        payment.verify(maker, 'maker@bank.com', true, '', 'Verification')
+      ).rejects.toThrow('cannot approve a payment twice');
+
+      await payment.verify(checker, 'checker@bank.com', true, '', 'Management');
+
+      expect(payment.status).toBe('verified');
+      expect(payment.verifiedByEmail).toBe('checker@bank.com');
+      expect(payment.approvalSteps.map(step => step.employeeEmail)).toEqual([
+        'maker@bank.com',
+        'checker@bank.com',
+      ]);
+    });
+
+    test('should save only one of two concurrent approvals by the same employee', async () => {
+      const held = await heldPayment();
+      Payment.prototype.save.mockRestore();
+
+      // The stored payment, updated only when a save matches its version
+      let storedVersion = 0;
+      jest.spyOn(Payment.collection, 'updateOne').mockImplementation(async filter => {
+        if (filter.__v !== storedVersion) {
+          return { acknowledged: true, matchedCount: 0, modifiedCount: 0 };
+        }
+        storedVersion += 1;
+        return { acknowledged: true, matchedCount: 1, modifiedCount: 1 };
+      });
+
+      // Two requests that loaded the payment before either approval was saved
+      const [first, second] = [1, 2].map(() =>
+        Payment.hydrate({ ...held.toObject({ depopulate: true }), __v: 0 })
+      );
+
+      const results = await Promise.allSettled([
+        first.verify(maker, 'maker@bank.com', true, '', 'Verification'),
+        second.verify(maker, 'maker@bank.com', true, '', 'Verification'),
+      ]);
+
+      expect(results.map(r => r.status).sort()).toEqual(['fulfilled', 'rejected']);
+      expect(results.find(r => r.status === 'rejected').reason).toBeInstanceOf(
+        mongoose.Error.VersionError
+      );
+      expect(storedVersion).toBe(1);
+    });
+
+    test('should refuse approvers from other departments', async () => {
+      const payment = await heldPayment();
+
+      await expect(
+        payment.verify(maker, 'analyst@bank.com', true, '', 'Analytics')
+      ).rejects.toThrow('Analytics department cannot approve');
+      expect(payment.approvalSteps).toHaveLength(0);
+    });
+
+    test('should reject and release the hold when the second employee rejects', async () => {
+      const payment = await heldPayment();
+      await payment.verify(maker, 'maker@bank.com', true, '', 'Verification');
+
+      await payment.verify(checker, 'checker@bank.com', false, 'Beneficiary unknown', 'Analytics');
+
+      expect(payment.status).toBe('rejected');
+      expect(payment.approvalSteps.map(step => step.decision)).toEqual(['approved', 'rejected']);
+      expect(await getAvailableBalance(payment.customerId, 'EUR')).toBe(10000);
+    });
+  });
+
+  describe('Verify route', () => {
+    const employeeId = new mongoose.Types.ObjectId().toString();
+    const app = express();
+    app.use(express.json());
+    app.use('/api/payments', require('../routes/payments'));
+
+    test('should refuse a decision when another one was saved first', async () => {
+      mockSessionStore();
+      mockLedger();
+      const auditEntries = mockAuditLog();
+
+      const employee = {
+        _id: employeeId,
+        department: 'Verification',
+        permissions: ['view_payments', 'verify_payments'],
+        status: 'active',
+      };
+      jest
+        .spyOn(Employee, 'findById')
+        .mockImplementation(() =>
+          Object.assign(Promise.resolve(employee), { select: async () => employee })
+        );
+
+      const payment = buildPayment();
+      await postDeposit({ customerId: payment.customerId, amount: 10000, currency: 'EUR' });
+      await placeHold(payment);
+      jest.spyOn(Payment, 'findOne').mockResolvedValue(payment);
+      jest
+        .spyOn(Payment.prototype, 'save')
+        .mockRejectedValue(new mongoose.Error.VersionError(payment, 0, ['approvalSteps']));
+
+      const { accessToken } = await issueTokenPair({
+        userId: employeeId,
+        email: 'maker@bank.com',
+        role: 'employee',
+      });
+      const res = await request(app)
+        .post(`/api/payments/employee/verify/${payment.transactionId}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ verified: true, verifierNotes: 'Checked invoice' });
+
+      expect(res.status).toBe(409);
+      expect(res.body.code).toBe('PAYMENT_CHANGED');
+      expect(auditEntries).toHaveLength(0);
+    });
+  });
+});
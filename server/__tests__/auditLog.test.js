@@ -0,0 +1,211 @@
+/**
+ * Payment Audit Log Tests
+ * Covers the hash chain, detection of edited and missing entries, concurrent
+ * appends, and the audit trail / chain verification routes
+ */
+
+jest.mock('../middleware/securityMonitoring', () => ({
+  ...jest.requireActual('../middleware/securityMonitoring'),
+  createSecurityEvent: jest.fn(),
+}));
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const AuditEntry = require('../models/AuditEntry');
+const Customer = require('../models/Customer');
+const Employee = require('../models/Employee');
+const Payment = require('../models/Payment');
+const { issueTokenPair } = require('../utils/refreshTokens');
+const { postDeposit, placeHold } = require('../utils/ledger');
+const { createSecurityEvent } = require('../middleware/securityMonitoring');
+const {
+  AUDIT_CONFIG,
+  hashPayload,
+  appendAuditEntry,
+  verifyAuditChain,
+} = require('../utils/auditLog');
+const { mockLedger, mockAuditLog, mockSessionStore } = require('./helpers/mockStores');
+
+const TRANSACTION_ID = 'TXN-1700000000000-AUDIT1';
+const actor = { type: 'employee', id: 'emp-1', email: 'checker@bank.com' };
+
+const append = (action, fromStatus, toStatus, payload = {}) =>
+  appendAuditEntry({ transactionId: TRANSACTION_ID, action, actor, fromStatus, toStatus, payload });
+
+describe('Payment audit log', () => {
+  let entries;
+
+  beforeEach(() => {
+    entries = mockAuditLog();
+  });
+
+  test('should chain each entry to the one before it', async () => {
+    await Promise.all([
+      append('payment_created', undefined, 'pending', { amount: 100 }),
+      append('payment_approved', 'pending', 'verified', { verifierNotes: 'ok' }),
+      append('swift_submitted', 'verified', 'submitted_to_swift'),
+    ]);
+
+    expect(entries.map(e => e.sequence)).toEqual([1, 2, 3]);
+    expect(entries[0].previousHash).toBe(AUDIT_CONFIG.genesisHash);
+    expect(entries[1].previousHash).toBe(entries[0].hash);
+    expect(entries[2].previousHash).toBe(entries[1].hash);
+
+    // Only the payload's hash is kept
+    expect(entries[1].payloadHash).toBe(hashPayload({ verifierNotes: 'ok' }));
+    expect(entries[1]).not.toHaveProperty('payload');
+
+    expect(await verifyAuditChain()).toEqual({
+      valid: true,
+      checked: 3,
+      head: { sequence: 3, hash: entries[2].hash },
+      problems: [],
+    });
+  });
+
+  test('should report edited and missing entries', async () => {
+    for (const status of ['pending', 'verified', 'submitted_to_swift', 'completed']) {
+      await append('payment_approved', 'pending', status);
+    }
+
+    entries[1].toStatus = 'rejected';
+    entries.splice(2, 1);
+
+    const result = await verifyAuditChain();
+
+    expect(result.valid).toBe(false);
+    expect(result.checked).toBe(3);
+    expect(result.problems).toEqual([
+      { sequence: 2, problem: 'Entry hash does not match its contents' },
+      { sequence: 4, problem: 'Entries 3 to 3 are missing' },
+      { sequence: 4, problem: 'Previous hash does not match the preceding entry' },
+    ]);
+  });
+
+  test('should chain onto an entry appended by another instance', async () => {
+    await append('payment_created', undefined, 'pending');
+    // This instance reads the chain before the other instance's append lands
+    jest.spyOn(AuditEntry, 'findOne').mockImplementationOnce(() => ({
+      sort: () => ({ lean: async () => null }),
+    }));
+
+    await append('payment_approved', 'pending', 'verified');
+
+    expect(entries.map(e => e.sequence)).toEqual([1, 2]);
+    expect((await verifyAuditChain()).valid).toBe(true);
+  });
+
+  test('should refuse to change stored entries', async () => {
+    const entry = await append('payment_created', undefined, 'pending');
+    entry.isNew = false;
+    entry.toStatus = 'completed';
+
+    await expect(entry.save()).rejects.toThrow('Audit entries are immutable');
+    await expect(AuditEntry.deleteMany({})).rejects.toThrow('Audit entries are immutable');
+  });
+
+  describe('Routes', () => {
+    const employeeId = new mongoose.Types.ObjectId().toString();
+    const app = express();
+    app.use(express.json());
+    app.use('/api/payments', require('../routes/payments'));
+    app.use('/api/security', require('../routes/security'));
+
+    let token;
+    let payment;
+
+    beforeEach(async () => {
+      mockSessionStore();
+      mockLedger();
+
+      const employee = {
+        _id: employeeId,
+        name: 'Audit Admin',
+        department: 'Administration',
+        permissions: ['view_payments', 'verify_payments'],
+        status: 'active',
+      };
+      // authenticateEmployee selects fields, the verify route awaits the query
+      jest
+        .spyOn(Employee, 'findById')
+        .mockImplementation(() =>
+          Object.assign(Promise.resolve(employee), { select: async () => employee })
+        );
+      jest.spyOn(Customer, 'findById').mockResolvedValue(null);
+
+      payment = new Payment({
+        transactionId: TRANSACTION_ID,
+        customerId: new mongoose.Types.ObjectId(),
+        customerEmail: 'customer@example.com',
+        amount: 250,
+        currency: 'EUR',
+        recipientAccount: 'FR1420041010050500013M02606',
+        recipientSwift: 'BNPAFRPP',
+        recipientName: 'Jean Dupont',
+      });
+      jest.spyOn(Payment.prototype, 'save').mockImplementation(async function () {
+        return this;
+      });
+      await postDeposit({ customerId: payment.customerId, amount: 1000, currency: 'EUR' });
+      await placeHold(payment);
+      jest.spyOn(Payment, 'findOne').mockResolvedValue(payment);
+      jest.spyOn(Payment, 'exists').mockResolvedValue({ _id: payment._id });
+
+      ({ accessToken: token } = await issueTokenPair({
+        userId: employeeId,
+        email: 'admin@bank.com',
+        role: 'employee',
+      }));
+    });
+
+    test('should record approvals and show them on the payment timeline', async () => {
+      const verify = await request(app)
+        .post(`/api/payments/employee/verify/${TRANSACTION_ID}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ verified: true, verifierNotes: 'Documents checked' });
+      expect(verify.status).toBe(200);
+
+      const trail = await request(app)
+        .get(`/api/payments/employee/audit/${TRANSACTION_ID}`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(trail.status).toBe(200);
+      expect(trail.body.intact).toBe(true);
+      expect(trail.body.entries).toEqual([
+        expect.objectContaining({
+          sequence: 1,
+          action: 'payment_approved',
+          actor: { type: 'employee', id: employeeId, email: 'admin@bank.com' },
+          fromStatus: 'pending',
+          toStatus: 'verified',
+          intact: true,
+        }),
+      ]);
+    });
+
+    test('should verify the chain and raise a broken chain', async () => {
+      await append('payment_created', undefined, 'pending');
+      await append('payment_approved', 'pending', 'verified');
+      const verifyChain = () =>
+        request(app).get('/api/security/audit/verify').set('Authorization', `Bearer ${token}`);
+
+      const intact = await verifyChain();
+      expect(intact.status).toBe(200);
+      expect(intact.body).toMatchObject({ valid: true, checked: 2 });
+
+      entries[0].actor = { ...entries[0].actor, email: 'someone-else@bank.com' };
+      const broken = await verifyChain();
+
+      expect(broken.body.valid).toBe(false);
+      expect(broken.body.problems).toEqual([
+        { sequence: 1, problem: 'Entry hash does not match its contents' },
+      ]);
+      expect(createSecurityEvent).toHaveBeenCalledWith(
+        'audit_chain_broken',
+        expect.objectContaining({ checked: 2 }),
+        expect.anything()
+      );
+    });
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * BIC Directory Tests
+ * Covers CSV import, lookups with branch fallback, the recipientSwift check in
+ * validatePaymentCreation and IBAN/BIC country mismatch flags
+ */
+
+const { validationResult } = require('express-validator');
+const BicDirectoryEntry = require('../models/BicDirectoryEntry');
+const {
+  parseBicCsv,
+  loadDirectoryFromFile,
+  importBicDirectory,
+  lookupBic,
+  checkRecipientBank,
+} = require('../utils/bicDirectory');
+const { validatePaymentCreation } = require('../middleware/comprehensiveValidation');
+
+const HEADER = 'bic,institution_name,city,country_code';
+
+const runPaymentValidation = async body => {
+  const req = { body };
+  for (const chain of validatePaymentCreation) {
+    await chain.run(req);
+  }
+  return validationResult(req).array();
+};
+
+describe('BIC Directory', () => {
+  describe('CSV Import', () => {
+    test('should parse quoted fields and derive a missing country', () => {
+      const entries = parseBicCsv(
+        `${HEADER}\r\nCHASUS33,"JPMorgan Chase Bank, N.A.",New York,US\r\nbarcgb22,Barclays Bank PLC,London,\r\n`
+      );
+
+      expect(entries).toEqual([
+        {
+          bic: 'CHASUS33',
+          institutionName: 'JPMorgan Chase Bank, N.A.',
+          city: 'New York',
+          countryCode: 'US',
+        },
+        {
+          bic: 'BARCGB22',
+          institutionName: 'Barclays Bank PLC',
+          city: 'London',
+          countryCode: 'GB',
+        },
+      ]);
+    });
+
+    test('should report every invalid row', () => {
+      const csv = [
+        HEADER,
+        'AAAA11,Short Bank,Nowhere,XX',
+        'DEUTDEFF,,Frankfurt,DE',
+        'DEUTDEFF,Deutsche Bank AG,Frankfurt,FR',
+      ].join('\n');
+
+      let error;
+      try {
+        parseBicCsv(csv);
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error.message).toBe('BIC directory CSV has 3 invalid row(s)');
+      expect(error.details).toEqual([
+        'Row 2: invalid BIC "AAAA11"',
+        'Row 3: institution name is required',
+        'Row 4: country FR does not match BIC DEUTDEFF',
+      ]);
+    });
+
+    test('should reject files without the expected header', () => {
+      expect(() => parseBicCsv('swift,name\nDEUTDEFF,Deutsche Bank AG')).toThrow('header');
+    });
+
+    test('should replace the stored directory and the active lookup table', async () => {
+      const bulkWrite = jest.spyOn(BicDirectoryEntry, 'bulkWrite').mockResolvedValue({});
+      const deleteMany = jest.spyOn(BicDirectoryEntry, 'deleteMany').mockResolvedValue({});
+
+      const result = await importBicDirectory(
+        parseBicCsv(`${HEADER}\nAAAAGB22,Example Bank PLC,London,GB`),
+        'admin@bank.com'
+      );
+
+      expect(result).toEqual({ count: 1 });
+      expect(bulkWrite.mock.calls[0][0][0].updateOne.update.$set.importedBy).toBe('admin@bank.com');
+      expect(deleteMany).toHaveBeenCalledWith({ bic: { $nin: ['AAAAGB22'] } });
+      expect(lookupBic('AAAAGB22').institutionName).toBe('Example Bank PLC');
+      expect(lookupBic('NWBKGB2L')).toBeNull();
+
+      // Restore the bundled directory for the remaining tests
+      await importBicDirectory(loadDirectoryFromFile());
+    });
+  });
+
+  describe('Lookup', () => {
+    test('should find institutions, falling back from branch codes', () => {
+      expect(lookupBic('NWBKGB2L')).toEqual({
+        bic: 'NWBKGB2L',
+        institutionName: 'National Westminster Bank PLC',
+        city: 'London',
+        countryCode: 'GB',
+      });
+      expect(lookupBic('nwbkgb2lxxx').bic).toBe('NWBKGB2L');
+      expect(lookupBic('UBSWCHZH80A').institutionName).toBe('UBS Switzerland AG');
+      expect(lookupBic('AAAAAA11')).toBeNull();
+    });
+
+    test('should reject payments to unknown banks', async () => {
+      const payment = {
+        amount: '100.00',
+        currency: 'EUR',
+        recipientAccount: 'FR1420041010050500013M02606',
+        recipientName: 'Jean Dupont',
+      };
+
+      expect(await runPaymentValidation({ ...payment, recipientSwift: 'BNPAFRPP' })).toEqual([]);
+
+      const errors = await runPaymentValidation({ ...payment, recipientSwift: 'AAAAAA11' });
+      expect(errors).toHaveLength(1);
+      expect(errors[0].msg).toBe('SWIFT/BIC code not found in the bank directory');
+    });
+  });
+
+  describe('Recipient Bank Check', () => {
+    test('should flag an IBAN issued in a different country from the bank', () => {
+      expect(
+        checkRecipientBank({
+          recipientAccount: 'DE89370400440532013000',
+          recipientSwift: 'BNPAFRPP',
+        })
+      ).toEqual({
+        bicFound: true,
+        institutionName: 'BNP Paribas',
+        city: 'Paris',
+        bicCountry: 'FR',
+        ibanCountry: 'DE',
+        countryMismatch: true,
+      });
+    });
+
+    test('should not flag matching countries or non-IBAN accounts', () => {
+      expect(
+        checkRecipientBank({
+          recipientAccount: 'FR1420041010050500013M02606',
+          recipientSwift: 'BNPAFRPP',
+        }).countryMismatch
+      ).toBe(false);
+      expect(
+        checkRecipientBank({ recipientAccount: '12345678901', recipientSwift: 'CHASUS33' })
+      ).toEqual(expect.objectContaining({ ibanCountry: null, countryMismatch: false }));
+    });
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * Customer Self-Service Tests
+ * Covers the customer profile routes, password change (re-verification and
+ * signing out other sessions), account closure and logins to closed accounts
+ */
+
+jest.mock('../middleware/securityMonitoring', () => ({
+  ...jest.requireActual('../middleware/securityMonitoring'),
+  createSecurityEvent: jest.fn(),
+}));
+
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const argon2 = require('argon2');
+const Customer = require('../models/Customer');
+const Payment = require('../models/Payment');
+const { issueTokenPair } = require('../utils/refreshTokens');
+const { resetFailedAttempts } = require('../middleware/accountLockout');
+const { createSecurityEvent } = require('../middleware/securityMonitoring');
+const authRoutes = require('../routes/auth');
+const { mockSessionStore } = require('./helpers/mockStores');
+
+const PASSWORD = 'Current!Pass123';
+const NEW_PASSWORD = 'Changed!Pass456';
+
+const app = express();
+app.use(express.json());
+app.use(cookieParser());
+app.use('/api/auth', authRoutes);
+
+const asUser = (req, accessToken) => req.set('Authorization', `Bearer ${accessToken}`);
+
+describe('Customer self-service', () => {
+  let passwordHash;
+  let customer;
+  let families;
+  let session;
+
+  const login = () =>
+    issueTokenPair({ userId: customer._id, email: customer.email, role: 'customer' });
+
+  beforeAll(async () => {
+    passwordHash = await argon2.hash(PASSWORD);
+  });
+
+  beforeEach(async () => {
+    families = mockSessionStore();
+    customer = new Customer({
+      _id: new mongoose.Types.ObjectId(),
+      name: 'Thandi Mokoena',
+      email: 'thandi@example.com',
+      passwordHash,
+      accountNumber: '1234567890',
+    });
+    await resetFailedAttempts(customer.email);
+    jest.spyOn(Customer, 'findById').mockResolvedValue(customer);
+    jest.spyOn(Customer.prototype, 'save').mockResolvedValue(undefined);
+    session = await login();
+  });
+
+  test('should return the customer profile without secrets', async () => {
+    const res = await asUser(request(app).get('/api/auth/profile'), session.accessToken);
+
+    expect(res.status).toBe(200);
+    expect(res.body.user).toMatchObject({
+      name: 'Thandi Mokoena',
+      email: 'thandi@example.com',
+      role: 'customer',
+      mfaEnabled: false,
+    });
+    expect(res.body.user.passwordHash).toBeUndefined();
+  });
+
+  test('should refuse the customer profile to employees', async () => {
+    const { accessToken } = await issueTokenPair({
+      userId: new mongoose.Types.ObjectId(),
+      email: 'verifier@bank.com',
+      role: 'employee',
+    });
+
+    const res = await asUser(request(app).get('/api/auth/profile'), accessToken);
+
+    expect(res.status).toBe(403);
+  });
+
+  test('should update name and contact details and log the changed fields', async () => {
+    const res = await asUser(request(app).patch('/api/auth/profile'), session.accessToken).send({
+      name: 'Thandi Nkosi',
+      phone: '+27 82 555 0100',
+      address: { city: 'Cape Town', country: 'za' },
+      email: 'attacker@example.com',
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.user).toMatchObject({
+      name: 'Thandi Nkosi',
+      phone: '+27 82 555 0100',
+      email: 'thandi@example.com',
+      address: expect.objectContaining({ city: 'Cape Town', country: 'ZA' }),
+    });
+    expect(createSecurityEvent).toHaveBeenCalledWith(
+      'customer_profile_updated',
+      expect.objectContaining({
+        fields: ['name', 'phone', 'address.city', 'address.country'],
+      }),
+      expect.anything()
+    );
+
+    const invalid = await asUser(request(app).patch('/api/auth/profile'), session.accessToken).send(
+      { phone: 'call me maybe' }
+    );
+    expect(invalid.status).toBe(400);
+  });
+
+  test('should change the password and sign out the other sessions', async () => {
+    const other = await login();
+
+    const wrong = await asUser(
+      request(app).post('/api/auth/profile/password'),
+      session.accessToken
+    ).send({ currentPassword: 'Wrong!Pass123', newPassword: NEW_PASSWORD });
+    expect(wrong.status).toBe(400);
+    expect(wrong.body.code).toBe('CURRENT_PASSWORD_INVALID');
+
+    const res = await asUser(
+      request(app).post('/api/auth/profile/password'),
+      session.accessToken
+    ).send({ currentPassword: PASSWORD, newPassword: NEW_PASSWORD });
+
+    expect(res.status).toBe(200);
+    expect(res.body.sessionsRevoked).toBe(1);
+    expect(await argon2.verify(customer.passwordHash, NEW_PASSWORD)).toBe(true);
+
+    expect(Array.from(families.values()).filter(family => family.revokedAt)).toHaveLength(1);
+
+    // The current session still works, the other one does not
+    const current = await asUser(request(app).get('/api/auth/profile'), session.accessToken);
+    expect(current.status).toBe(200);
+    const signedOut = await asUser(request(app).get('/api/auth/profile'), other.accessToken);
+    expect(signedOut.status).toBe(401);
+  });
+
+  test('should refuse to close an account with payments in flight', async () => {
+    jest.spyOn(Payment, 'countDocuments').mockResolvedValue(2);
+
+    const res = await asUser(
+      request(app).post('/api/auth/profile/close'),
+      session.accessToken
+    ).send({ password: PASSWORD });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('PAYMENTS_IN_FLIGHT');
+    expect(customer.status).toBe('active');
+  });
+
+  test('should close the account and sign out every session', async () => {
+    jest.spyOn(Payment, 'countDocuments').mockResolvedValue(0);
+    await login();
+
+    const res = await asUser(
+      request(app).post('/api/auth/profile/close'),
+      session.accessToken
+    ).send({ password: PASSWORD, reason: 'Moving abroad' });
+
+    expect(res.status).toBe(200);
+    expect(customer.status).toBe('closed');
+    expect(customer.closure.reason).toBe('Moving abroad');
+    expect(Array.from(families.values()).every(family => family.revokedAt)).toBe(true);
+    expect(createSecurityEvent).toHaveBeenCalledWith(
+      'account_closed',
+      expect.objectContaining({ sessionsRevoked: 2 }),
+      expect.anything()
+    );
+  });
+
+  test('should answer a login to a closed account like one to an unknown email', async () => {
+    customer.status = 'closed';
+    jest
+      .spyOn(Customer, 'findOne')
+      .mockImplementation(async ({ email }) => (email === customer.email ? customer : null));
+    const attempt = email =>
+      request(app).post('/api/auth/login').send({ email, password: PASSWORD });
+
+    const closed = await attempt(customer.email);
+    const unknown = await attempt('nobody@example.com');
+
+    expect(closed.status).toBe(401);
+    expect(closed.body).toEqual(unknown.body);
+  });
+});
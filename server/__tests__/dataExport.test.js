@@ -0,0 +1,239 @@
+/**
+ * Data Export Tests
+ * Covers CSV and XLSX output, account-number masking by permission,
+ * formula-injection guards, export limits and the security event trail
+ */
+
+jest.mock('../middleware/securityMonitoring', () => ({
+  ...jest.requireActual('../middleware/securityMonitoring'),
+  createSecurityEvent: jest.fn(),
+}));
+
+const zlib = require('zlib');
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Customer = require('../models/Customer');
+const Employee = require('../models/Employee');
+const Payment = require('../models/Payment');
+const { issueTokenPair } = require('../utils/refreshTokens');
+const { createSecurityEvent } = require('../middleware/securityMonitoring');
+const { EXPORT_CONFIG, neutralizeFormula } = require('../utils/dataExport');
+const { mockSessionStore } = require('./helpers/mockStores');
+
+const RECIPIENT_ACCOUNT = 'FR1420041010050500013M02606';
+
+/**
+ * Stub Model.countDocuments and Model.find(...).sort(...).cursor()
+ */
+const mockExportRows = (Model, rows) => {
+  const sorts = [];
+  jest.spyOn(Model, 'countDocuments').mockResolvedValue(rows.length);
+  jest.spyOn(Model, 'find').mockImplementation(() => ({
+    sort: sort => {
+      sorts.push(sort);
+      return {
+        cursor: async function* () {
+          yield* rows;
+        },
+      };
+    },
+  }));
+  return sorts;
+};
+
+/**
+ * Files inside a ZIP archive, read through its central directory
+ */
+const readZip = buffer => {
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = buffer.readUInt16LE(end + 10);
+  const files = {};
+  let offset = buffer.readUInt32LE(end + 16);
+
+  for (let i = 0; i < count; i++) {
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26);
+    const data = zlib.inflateRawSync(buffer.subarray(dataStart, dataStart + compressedSize));
+
+    expect(zlib.crc32(data)).toBe(buffer.readUInt32LE(offset + 16));
+    files[name] = data.toString('utf8');
+    offset += 46 + nameLength;
+  }
+  return files;
+};
+
+const binaryBody = (res, callback) => {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+describe('Data exports', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/payments', require('../routes/payments'));
+  app.use('/api/customers', require('../routes/customers'));
+
+  let permissions;
+  let token;
+
+  const payment = new Payment({
+    transactionId: 'TXN-1700000000000-EXPORT',
+    customerId: new mongoose.Types.ObjectId(),
+    customerEmail: 'customer@example.com',
+    amount: 1250.5,
+    currency: 'EUR',
+    recipientAccount: RECIPIENT_ACCOUNT,
+    recipientSwift: 'BNPAFRPP',
+    recipientName: 'Jean Dupont',
+    reference: '=HYPERLINK("http://evil.example","Invoice, 42")',
+    status: 'completed',
+  });
+
+  const get = path => request(app).get(path).set('Authorization', `Bearer ${token}`);
+
+  beforeEach(async () => {
+    mockSessionStore();
+    permissions = ['view_payments', 'view_customers', 'generate_reports'];
+
+    const employeeId = new mongoose.Types.ObjectId().toString();
+    jest.spyOn(Employee, 'findById').mockImplementation(() => {
+      const employee = { _id: employeeId, department: 'Analytics', permissions, status: 'active' };
+      return Object.assign(Promise.resolve(employee), { select: async () => employee });
+    });
+
+    ({ accessToken: token } = await issueTokenPair({
+      userId: employeeId,
+      email: 'analyst@bank.com',
+      role: 'employee',
+    }));
+  });
+
+  test('should neutralize cells a spreadsheet would evaluate', () => {
+    expect(['=1+1', '+27 11 000', '-2', '@SUM(A1)', '\tx', 'Jean'].map(neutralizeFormula)).toEqual([
+      "'=1+1",
+      "'+27 11 000",
+      "'-2",
+      "'@SUM(A1)",
+      "'\tx",
+      'Jean',
+    ]);
+  });
+
+  test('should stream filtered payments as CSV with masked accounts', async () => {
+    const sorts = mockExportRows(Payment, [payment]);
+
+    const res = await get(
+      '/api/payments/employee/export?status=completed&currency=EUR&sort=amount&order=asc'
+    );
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('text/csv; charset=utf-8');
+    expect(res.headers['content-disposition']).toMatch(
+      /^attachment; filename="payments-\d{4}-\d{2}-\d{2}\.csv"$/
+    );
+    expect(Payment.find).toHaveBeenCalledWith({ status: 'completed', currency: 'EUR' });
+    expect(sorts).toEqual([{ amount: 1, _id: 1 }]);
+
+    const [header, row] = res.text.replace(/^\uFEFF/, '').split('\r\n');
+    expect(header).toMatch(/^Transaction ID,Created,Status,Amount,Currency,/);
+    expect(row).toContain('TXN-1700000000000-EXPORT');
+    expect(row).toContain(',1250.5,EUR,');
+    expect(row).toContain(',****2606,');
+    expect(row).not.toContain(RECIPIENT_ACCOUNT);
+    expect(row).toContain(',"\'=HYPERLINK(""http://evil.example"",""Invoice, 42"")",');
+
+    expect(createSecurityEvent).toHaveBeenCalledWith(
+      'data_export',
+      expect.objectContaining({
+        dataset: 'payments',
+        format: 'csv',
+        rows: 1,
+        accountNumbers: 'masked',
+        filters: { status: 'completed', currency: 'EUR', sort: 'amount', order: 'asc' },
+      }),
+      expect.anything()
+    );
+  });
+
+  test('should write an XLSX workbook with full accounts for permitted employees', async () => {
+    permissions.push('view_account_numbers');
+    mockExportRows(Payment, [payment]);
+
+    const res = await get('/api/payments/employee/export?format=xlsx')
+      .buffer(true)
+      .parse(binaryBody);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe(EXPORT_CONFIG.formats.xlsx.contentType);
+
+    const files = readZip(res.body);
+    expect(Object.keys(files)).toEqual([
+      '[Content_Types].xml',
+      '_rels/.rels',
+      'xl/workbook.xml',
+      'xl/_rels/workbook.xml.rels',
+      'xl/worksheets/sheet1.xml',
+    ]);
+    expect(files['xl/workbook.xml']).toContain('<sheet name="Payments"');
+
+    const sheet = files['xl/worksheets/sheet1.xml'];
+    expect(sheet).toContain('<c r="D2"><v>1250.5</v></c>');
+    expect(sheet).toContain(`<t xml:space="preserve">${RECIPIENT_ACCOUNT}</t>`);
+    expect(sheet).toContain("'=HYPERLINK(&quot;http://evil.example");
+    expect(sheet).not.toContain('<f>');
+
+    expect(createSecurityEvent).toHaveBeenCalledWith(
+      'data_export',
+      expect.objectContaining({ dataset: 'payments', format: 'xlsx', accountNumbers: 'full' }),
+      expect.anything()
+    );
+  });
+
+  test('should export customers without their credentials', async () => {
+    mockExportRows(Customer, [
+      new Customer({
+        name: '@Thandi Nkosi',
+        email: 'thandi@example.com',
+        passwordHash: 'secret-hash',
+        accountNumber: '1234567890',
+        address: { country: 'ZA' },
+      }),
+    ]);
+
+    const res = await get('/api/customers/employee/export');
+
+    expect(res.status).toBe(200);
+    expect(res.text).toContain("'@Thandi Nkosi,thandi@example.com,****7890,checking,active,ZA,");
+    expect(res.text).not.toContain('secret-hash');
+  });
+
+  test('should refuse exports without the reports permission, bad input or too many rows', async () => {
+    mockExportRows(Payment, []);
+
+    expect((await get('/api/payments/employee/export?format=pdf')).status).toBe(400);
+    expect((await get('/api/payments/employee/export?cursor=abc')).status).toBe(400);
+    expect((await get('/api/payments/employee/invoices/export?status=overdue')).status).toBe(400);
+
+    Payment.countDocuments.mockResolvedValue(EXPORT_CONFIG.maxRows + 1);
+    const tooLarge = await get('/api/payments/employee/export');
+    expect(tooLarge.status).toBe(400);
+    expect(tooLarge.body.code).toBe('EXPORT_TOO_LARGE');
+
+    permissions.splice(permissions.indexOf('generate_reports'), 1);
+    const denied = await get('/api/customers/employee/export');
+    expect(denied.status).toBe(403);
+    expect(denied.body.code).toBe('PERMISSION_DENIED');
+
+    expect(Payment.find).not.toHaveBeenCalled();
+    expect(createSecurityEvent).not.toHaveBeenCalledWith(
+      'data_export',
+      expect.anything(),
+      expect.anything()
+    );
+  });
+});
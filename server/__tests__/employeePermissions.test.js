@@ -0,0 +1,161 @@
+/**
+ * Employee Permission Tests
+ * Covers loading the employee record in authenticateEmployee and the
+ * requirePermission checks on employee routes
+ */
+
+jest.mock('../middleware/securityMonitoring', () => ({
+  ...jest.requireActual('../middleware/securityMonitoring'),
+  createSecurityEvent: jest.fn(),
+}));
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Employee = require('../models/Employee');
+const { issueTokenPair } = require('../utils/refreshTokens');
+const { createSecurityEvent } = require('../middleware/securityMonitoring');
+const { authenticateEmployee, requirePermission } = require('../middleware/employeeAuth');
+const paymentRoutes = require('../routes/payments');
+const customerRoutes = require('../routes/customers');
+const { mockSessionStore } = require('./helpers/mockStores');
+
+const employeeId = new mongoose.Types.ObjectId().toString();
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/payments', paymentRoutes);
+  app.use('/api/customers', customerRoutes);
+  app.get('/reports', authenticateEmployee, requirePermission('generate_reports'), (req, res) =>
+    res.json({ success: true, department: req.employee.department })
+  );
+  return app;
+};
+
+const mockEmployee = employee => {
+  jest.spyOn(Employee, 'findById').mockReturnValue({
+    select: jest.fn().mockResolvedValue(employee && { _id: employeeId, ...employee }),
+  });
+};
+
+const employeeToken = async () =>
+  (await issueTokenPair({ userId: employeeId, email: 'staff@bank.com', role: 'employee' }))
+    .accessToken;
+
+describe('Employee Permissions', () => {
+  let app;
+  let token;
+
+  beforeAll(() => {
+    app = buildApp();
+  });
+
+  beforeEach(async () => {
+    mockSessionStore();
+    token = await employeeToken();
+  });
+
+  test('should reject unknown permission names when routes are defined', () => {
+    expect(() => requirePermission('approve_everything')).toThrow(
+      'Unknown employee permission: approve_everything'
+    );
+  });
+
+  test('should allow employees holding the permission', async () => {
+    mockEmployee({
+      department: 'Analytics',
+      permissions: ['view_payments', 'generate_reports'],
+      status: 'active',
+    });
+
+    const res = await request(app).get('/reports').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.department).toBe('Analytics');
+  });
+
+  test('should deny and log employees without the permission', async () => {
+    mockEmployee({
+      department: 'Verification',
+      permissions: ['view_payments', 'verify_payments', 'submit_swift'],
+      status: 'active',
+    });
+
+    const res = await request(app)
+      .get('/api/customers/employee/all')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(403);
+    expect(res.body).toEqual(
+      expect.objectContaining({ code: 'PERMISSION_DENIED', requiredPermission: 'view_customers' })
+    );
+    expect(createSecurityEvent).toHaveBeenCalledWith(
+      'permission_denied',
+      expect.objectContaining({
+        employeeId,
+        requiredPermission: 'view_customers',
+        endpoint: '/api/customers/employee/all',
+      }),
+      expect.anything()
+    );
+  });
+
+  test('should guard payment actions with their own permissions', async () => {
+    mockEmployee({
+      department: 'Analytics',
+      permissions: ['view_payments', 'view_customers', 'generate_reports'],
+      status: 'active',
+    });
+
+    const verify = await request(app)
+      .post('/api/payments/employee/verify/TXN-1700000000000-AAAA1')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ verified: true });
+    const submit = await request(app)
+      .post('/api/payments/employee/submit-swift')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ transactionIds: ['TXN-1700000000000-AAAA1'] });
+
+    expect(verify.body.requiredPermission).toBe('verify_payments');
+    expect(submit.body.requiredPermission).toBe('submit_swift');
+  });
+
+  test('should reject malformed customer ids before looking them up', async () => {
+    mockEmployee({
+      department: 'Analytics',
+      permissions: ['view_payments', 'view_customers'],
+      status: 'active',
+    });
+
+    const res = await request(app)
+      .get('/api/payments/employee/customer/not-an-object-id')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(400);
+  });
+
+  test('should lock out suspended employees with a valid token', async () => {
+    mockEmployee({
+      department: 'Management',
+      permissions: ['view_payments', 'generate_reports'],
+      status: 'suspended',
+    });
+
+    const res = await request(app).get('/reports').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('EMPLOYEE_INACTIVE');
+  });
+
+  test('should answer 500 when the employee record cannot be loaded', async () => {
+    jest.spyOn(Employee, 'findById').mockReturnValue({
+      select: jest.fn().mockRejectedValue(new Error('db down')),
+    });
+
+    const res = await request(app).get('/reports').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(500);
+    expect(res.body.code).toBe('EMPLOYEE_LOOKUP_FAILED');
+  });
+});
@@ -0,0 +1,261 @@
+/**
+ * Field-Level Encryption Tests
+ * Covers the key hierarchy, encryption on save and decryption on load,
+ * blind-index lookups, rejected queries and updates, key rotation, indexing
+ * records stored before encryption, and refusing to start without usable keys
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Customer = require('../models/Customer');
+const Payment = require('../models/Payment');
+const DataKey = require('../models/DataKey');
+const { connectDB } = require('../config/database');
+const {
+  initializeFieldEncryption,
+  computeBlindIndex,
+  rotateEncryptionKey,
+  reencryptModel,
+  backfillBlindIndexes,
+  rewrapDataKeys,
+} = require('../utils/fieldEncryption');
+
+const ACCOUNT_NUMBER = '1234567890';
+
+/**
+ * In-memory DataKey collection
+ */
+const mockDataKeys = () => {
+  const keys = [];
+  const matches = (key, filter) =>
+    Object.entries(filter).every(([field, value]) =>
+      value && value.$ne !== undefined ? key[field] !== value.$ne : key[field] === value
+    );
+
+  jest.spyOn(DataKey, 'find').mockImplementation(() => {
+    const lean = async () => keys.map(key => ({ ...key }));
+    return { sort: () => ({ lean }), lean };
+  });
+  jest.spyOn(DataKey, 'create').mockImplementation(async fields => {
+    keys.push({ status: 'active', createdAt: new Date(), ...fields });
+  });
+  jest.spyOn(DataKey, 'updateMany').mockImplementation(async (filter, { $set }) => {
+    keys.filter(key => matches(key, filter)).forEach(key => Object.assign(key, $set));
+  });
+  jest.spyOn(DataKey, 'updateOne').mockImplementation(async (filter, { $set }) => {
+    Object.assign(
+      keys.find(key => matches(key, filter)),
+      $set
+    );
+  });
+  return keys;
+};
+
+/**
+ * Capture the raw documents Mongoose writes for a model
+ */
+const captureInserts = Model => {
+  const written = [];
+  jest.spyOn(Model.collection, 'insertOne').mockImplementation(async doc => {
+    written.push(doc);
+    return { acknowledged: true, insertedId: doc._id };
+  });
+  return written;
+};
+
+const newCustomer = () =>
+  new Customer({
+    name: 'Thandi Nkosi',
+    email: 'thandi@example.com',
+    passwordHash: 'hash',
+    accountNumber: ACCOUNT_NUMBER,
+  });
+
+describe('Field-level encryption', () => {
+  const masterKey = crypto.randomBytes(32);
+  let dataKeys;
+
+  beforeEach(async () => {
+    dataKeys = mockDataKeys();
+    await initializeFieldEncryption(masterKey);
+  });
+
+  test('should wrap the first data keys under the master key', async () => {
+    expect(dataKeys.map(({ keyId, purpose }) => ({ keyId, purpose }))).toEqual([
+      { keyId: 'blind-index', purpose: 'blind_index' },
+      { keyId: 'initial', purpose: 'encryption' },
+    ]);
+    dataKeys.forEach(({ wrappedKey }) =>
+      expect(wrappedKey).toMatch(/^[0-9a-f]+:[0-9a-f]+:[0-9a-f]+$/)
+    );
+
+    // Reloading with the same master key reuses the stored keys
+    await initializeFieldEncryption(masterKey);
+    expect(dataKeys).toHaveLength(2);
+
+    await expect(initializeFieldEncryption(crypto.randomBytes(32))).rejects.toMatchObject({
+      code: 'MASTER_KEY_MISMATCH',
+    });
+  });
+
+  test('should store encrypted values and a blind index, and decrypt on load', async () => {
+    const written = captureInserts(Customer);
+    const customer = newCustomer();
+
+    await customer.save();
+
+    const [raw] = written;
+    expect(raw.accountNumber).toMatch(/^enc:v1:initial:/);
+    expect(JSON.stringify(raw)).not.toContain(ACCOUNT_NUMBER);
+    expect(raw.accountNumberIndex).toBe(
+      computeBlindIndex('Customer', 'accountNumber', ACCOUNT_NUMBER)
+    );
+    // The saved document keeps working with plaintext
+    expect(customer.accountNumber).toBe(ACCOUNT_NUMBER);
+    expect(customer.isModified()).toBe(false);
+    expect(customer.toJSON()).not.toHaveProperty('accountNumberIndex');
+
+    expect(Customer.hydrate({ ...raw }).accountNumber).toBe(ACCOUNT_NUMBER);
+  });
+
+  test('should refuse a value copied onto another document', async () => {
+    const written = captureInserts(Customer);
+    await newCustomer().save();
+
+    const copied = { ...written[0], _id: new mongoose.Types.ObjectId() };
+
+    expect(() => Customer.hydrate(copied)).toThrow(
+      expect.objectContaining({ code: 'FIELD_TAMPERED' })
+    );
+  });
+
+  test('should look up encrypted fields through their blind index', async () => {
+    const written = captureInserts(Customer);
+    await newCustomer().save();
+    const findOne = jest
+      .spyOn(Customer.collection, 'findOne')
+      .mockImplementation(async () => written[0]);
+
+    const found = await Customer.findOne({ accountNumber: ACCOUNT_NUMBER });
+
+    expect(findOne).toHaveBeenCalledWith(
+      { accountNumberIndex: written[0].accountNumberIndex },
+      expect.anything()
+    );
+    expect(found.accountNumber).toBe(ACCOUNT_NUMBER);
+  });
+
+  test('should reject queries and updates the encryption cannot serve', async () => {
+    await expect(Customer.findOne({ accountNumber: { $regex: '^123' } })).rejects.toMatchObject({
+      code: 'ENCRYPTED_FIELD_QUERY',
+    });
+    await expect(Payment.find({ recipientName: 'Jean Dupont' })).rejects.toMatchObject({
+      code: 'ENCRYPTED_FIELD_QUERY',
+    });
+    await expect(
+      Payment.updateOne({ transactionId: 'TXN-1' }, { $set: { recipientName: 'Someone Else' } })
+    ).rejects.toMatchObject({ code: 'ENCRYPTED_FIELD_UPDATE' });
+  });
+
+  test('should re-encrypt old and plaintext values under a rotated key', async () => {
+    const written = captureInserts(Payment);
+    await new Payment({
+      transactionId: 'TXN-1700000000000-ROTATE',
+      customerId: new mongoose.Types.ObjectId(),
+      customerEmail: 'customer@example.com',
+      amount: 100,
+      currency: 'EUR',
+      recipientAccount: 'FR1420041010050500013M02606',
+      recipientSwift: 'BNPAFRPP',
+      recipientName: 'Jean Dupont',
+    }).save();
+    // Written before encryption was enabled
+    const legacy = {
+      ...written[0],
+      _id: new mongoose.Types.ObjectId(),
+      recipientAccount: 'DE89370400440532013000',
+      recipientName: 'Hans Müller',
+    };
+    delete legacy.recipientAccountIndex;
+
+    const rows = [written[0], legacy];
+    jest.spyOn(Payment, 'find').mockReturnValue({
+      lean: () => ({
+        cursor: async function* () {
+          yield* rows;
+        },
+      }),
+    });
+    const updateOne = jest
+      .spyOn(Payment.collection, 'updateOne')
+      .mockImplementation(async ({ _id }, { $set }) => {
+        Object.assign(
+          rows.find(row => row._id.equals(_id)),
+          $set
+        );
+      });
+
+    const keyId = await rotateEncryptionKey();
+
+    expect(dataKeys.find(key => key.keyId === 'initial').status).toBe('retired');
+    expect(await reencryptModel(Payment)).toEqual({ checked: 2, updated: 2 });
+    expect(updateOne).toHaveBeenCalledTimes(2);
+    rows.forEach(row => {
+      expect(row.recipientAccount).toMatch(new RegExp(`^enc:v1:${keyId}:`));
+      expect(row.recipientName).toMatch(new RegExp(`^enc:v1:${keyId}:`));
+    });
+    expect(rows[1].recipientAccountIndex).toBe(
+      computeBlindIndex('Payment', 'recipientAccount', 'DE89370400440532013000')
+    );
+    expect(Payment.hydrate({ ...rows[1] }).recipientName).toBe('Hans Müller');
+
+    // A second run has nothing left to do
+    expect(await reencryptModel(Payment)).toEqual({ checked: 2, updated: 0 });
+
+    // Re-wrapping under a new master key keeps the same data keys
+    const newMasterKey = crypto.randomBytes(32);
+    await rewrapDataKeys(newMasterKey);
+    await initializeFieldEncryption(newMasterKey);
+    expect(Payment.hydrate({ ...rows[0] }).recipientName).toBe('Jean Dupont');
+  });
+
+  test('should encrypt and index customers stored before encryption was enabled', async () => {
+    // Written before encryption: plaintext account number, no blind index
+    const legacy = {
+      _id: new mongoose.Types.ObjectId(),
+      name: 'Sipho Dlamini',
+      email: 'sipho@example.com',
+      accountNumber: '9876543210',
+    };
+    const find = jest.spyOn(Customer.collection, 'find').mockImplementation(async function* () {
+      yield legacy;
+    });
+    jest
+      .spyOn(Customer.collection, 'updateOne')
+      .mockImplementation(async (filter, { $set }) => Object.assign(legacy, $set));
+
+    expect(await backfillBlindIndexes(Customer)).toBe(1);
+
+    expect(find).toHaveBeenCalledWith({
+      $or: [
+        { accountNumber: { $exists: true, $ne: null }, accountNumberIndex: { $exists: false } },
+      ],
+    });
+    expect(legacy.accountNumber).toMatch(/^enc:v1:initial:/);
+    expect(legacy.accountNumberIndex).toBe(
+      computeBlindIndex('Customer', 'accountNumber', '9876543210')
+    );
+    expect(Customer.hydrate({ ...legacy }).accountNumber).toBe('9876543210');
+  });
+
+  test('should stop startup when the master key does not unwrap the data keys', async () => {
+    jest.spyOn(mongoose, 'connect').mockResolvedValue(mongoose);
+    process.env.FIELD_MASTER_KEY = crypto.randomBytes(32).toString('hex');
+
+    try {
+      await expect(connectDB()).rejects.toMatchObject({ code: 'MASTER_KEY_MISMATCH' });
+    } finally {
+      delete process.env.FIELD_MASTER_KEY;
+    }
+  });
+});
@@ -0,0 +1,227 @@
+/**
+ * FX Rates Tests
+ * Covers rate table validation, conversion, quote pricing, holds on
+ * cross-currency payments and publishing through PUT /api/fx/rates
+ */
+
+jest.mock('../middleware/securityMonitoring', () => ({
+  ...jest.requireActual('../middleware/securityMonitoring'),
+  createSecurityEvent: jest.fn(),
+}));
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const FxQuote = require('../models/FxQuote');
+const FxRateSet = require('../models/FxRateSet');
+const Employee = require('../models/Employee');
+const Payment = require('../models/Payment');
+const {
+  FX_CONFIG,
+  setRates,
+  loadRatesFromFile,
+  getMidRate,
+  convertAmount,
+  sumInBaseCurrency,
+  createQuote,
+  lockQuote,
+  toPaymentFx,
+} = require('../utils/fxRates');
+const { getCustomerBalances, postDeposit, placeHold } = require('../utils/ledger');
+const { issueTokenPair } = require('../utils/refreshTokens');
+const { mockLedger, mockSessionStore } = require('./helpers/mockStores');
+
+const TEST_RATES = {
+  base: 'USD',
+  asOf: '2025-01-01T00:00:00.000Z',
+  rates: { USD: 1, EUR: 0.8, GBP: 0.5, ZAR: 20 },
+};
+
+describe('FX Rates', () => {
+  beforeEach(() => {
+    setRates(TEST_RATES);
+  });
+
+  afterAll(() => {
+    setRates(loadRatesFromFile());
+  });
+
+  describe('Rate Table', () => {
+    test('should load the bundled rates file', () => {
+      const table = loadRatesFromFile();
+      expect(table.source).toBe('file');
+      expect(Object.keys(table.rates)).toEqual(['USD', 'EUR', 'GBP', 'ZAR']);
+    });
+
+    test('should reject incomplete or invalid tables', () => {
+      expect(() => setRates({ base: 'USD', rates: { USD: 1, EUR: 0.8 } })).toThrow(
+        'Missing or invalid rate for GBP'
+      );
+      expect(() => setRates({ ...TEST_RATES, rates: { ...TEST_RATES.rates, ZAR: -1 } })).toThrow(
+        'ZAR'
+      );
+      expect(() => setRates({ ...TEST_RATES, base: 'JPY' })).toThrow('base');
+      expect(() => setRates({ ...TEST_RATES, base: 'EUR' })).toThrow('base currency rate');
+    });
+  });
+
+  describe('Conversion', () => {
+    test('should derive cross rates through the base currency', () => {
+      expect(getMidRate('EUR', 'USD')).toBeCloseTo(1.25);
+      expect(getMidRate('GBP', 'ZAR')).toBeCloseTo(40);
+      expect(convertAmount(100, 'EUR', 'GBP')).toBe(62.5);
+      expect(convertAmount(100, 'ZAR', 'ZAR')).toBe(100);
+    });
+
+    test('should total mixed currencies in the base currency', () => {
+      expect(FX_CONFIG.baseCurrency).toBe('USD');
+      expect(
+        sumInBaseCurrency([
+          { amount: 100, currency: 'USD' },
+          { amount: 80, currency: 'EUR' },
+          { amount: 200, currency: 'ZAR' },
+        ])
+      ).toBe(210);
+    });
+  });
+
+  describe('Quotes', () => {
+    const customerId = new mongoose.Types.ObjectId();
+
+    beforeEach(() => {
+      jest.spyOn(FxQuote, 'create').mockImplementation(async doc => doc);
+    });
+
+    test('should price cross-currency payments with the spread', async () => {
+      const quote = await createQuote({
+        customerId,
+        amount: 100,
+        currency: 'EUR',
+        accountCurrency: 'USD',
+      });
+
+      expect(quote.quoteId).toMatch(/^QTE-\d{13}-[A-F0-9]{8}$/);
+      expect(quote.midRate).toBeCloseTo(1.25);
+      expect(quote.spread).toBe(FX_CONFIG.spread);
+      expect(quote.debitAmount).toBe(Math.round(125 * (1 + FX_CONFIG.spread) * 100) / 100);
+      expect(quote.expiresAt.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    test('should not charge a spread on same-currency payments', async () => {
+      const quote = await createQuote({
+        customerId,
+        amount: 100,
+        currency: 'USD',
+        accountCurrency: 'USD',
+      });
+
+      expect(quote.spread).toBe(0);
+      expect(quote.debitAmount).toBe(100);
+    });
+
+    test('should only lock unused, unexpired quotes matching the payment', async () => {
+      const findOneAndUpdate = jest.spyOn(FxQuote, 'findOneAndUpdate').mockResolvedValue(null);
+
+      const result = await lockQuote({
+        quoteId: 'QTE-1700000000000-ABCD1234',
+        customerId,
+        amount: 100,
+        currency: 'EUR',
+      });
+
+      expect(result).toBeNull();
+      const [filter, update] = findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual(
+        expect.objectContaining({
+          quoteId: 'QTE-1700000000000-ABCD1234',
+          customerId,
+          amount: 100,
+          currency: 'EUR',
+          used: false,
+          expiresAt: { $gt: expect.any(Date) },
+        })
+      );
+      expect(update).toEqual({ $set: { used: true } });
+    });
+
+    test('should hold the quoted debit amount in the account currency', async () => {
+      mockLedger();
+      const quote = await createQuote({
+        customerId,
+        amount: 100,
+        currency: 'EUR',
+        accountCurrency: 'USD',
+      });
+      const payment = new Payment({
+        transactionId: 'TXN-1700000000000-AAAA1',
+        customerId,
+        customerEmail: 'customer@example.com',
+        amount: 100,
+        currency: 'EUR',
+        fx: toPaymentFx(quote),
+        recipientAccount: 'FR1420041010050500013M02606',
+        recipientSwift: 'BNPAFRPP',
+        recipientName: 'Jean Dupont',
+      });
+
+      await postDeposit({ customerId, amount: 500, currency: 'USD' });
+      await placeHold(payment);
+
+      expect(await getCustomerBalances(customerId)).toEqual({
+        USD: { available: 500 - quote.debitAmount, held: quote.debitAmount },
+      });
+    });
+  });
+
+  describe('Publishing', () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/fx', require('../routes/fx'));
+
+    let token;
+
+    beforeEach(async () => {
+      mockSessionStore();
+      const employeeId = new mongoose.Types.ObjectId().toString();
+      jest.spyOn(Employee, 'findById').mockReturnValue({
+        select: jest.fn().mockResolvedValue({
+          _id: employeeId,
+          department: 'Administration',
+          permissions: [],
+          status: 'active',
+        }),
+      });
+      ({ accessToken: token } = await issueTokenPair({
+        userId: employeeId,
+        email: 'admin@bank.com',
+        role: 'employee',
+      }));
+    });
+
+    const publish = table =>
+      request(app).put('/api/fx/rates').set('Authorization', `Bearer ${token}`).send(table);
+
+    test('should answer 400 with a code for a table the rate checks reject', async () => {
+      const create = jest.spyOn(FxRateSet, 'create');
+
+      const res = await publish({ ...TEST_RATES, base: 'EUR' });
+
+      expect(res.status).toBe(400);
+      expect(res.body).toMatchObject({
+        code: 'INVALID_RATE_TABLE',
+        message: 'The base currency rate must be 1',
+      });
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    test('should answer 500 without details when the rates cannot be stored', async () => {
+      jest.spyOn(FxRateSet, 'create').mockRejectedValue(new Error('connection reset'));
+
+      const res = await publish(TEST_RATES);
+
+      expect(res.status).toBe(500);
+      expect(res.body.message).toBe('Failed to publish FX rates');
+      expect(getMidRate('USD', 'EUR')).toBe(0.8);
+    });
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * Test data shared by the unit suites
+ *
+ * A EUR payment to a French beneficiary that passes validation, screening and
+ * the SWIFT message builders. Suites override only the fields they test.
+ */
+
+const mongoose = require('mongoose');
+const Payment = require('../../models/Payment');
+
+/**
+ * Plain payment fields (for the message builders, which take any object)
+ */
+function paymentFields(overrides) {
+  return {
+    transactionId: 'TXN-1700000000000-AAAA1',
+    amount: 750.5,
+    currency: 'EUR',
+    recipientAccount: 'FR1420041010050500013M02606',
+    recipientSwift: 'BNPAFRPP',
+    recipientName: 'Jean Dupont',
+    reference: 'INV-001',
+    ...overrides,
+  };
+}
+
+/**
+ * Unsaved Payment document of a new customer
+ */
+function buildPayment(overrides) {
+  return new Payment(
+    paymentFields({
+      customerId: new mongoose.Types.ObjectId(),
+      customerEmail: 'customer@example.com',
+      ...overrides,
+    })
+  );
+}
+
+module.exports = {
+  paymentFields,
+  buildPayment,
+};
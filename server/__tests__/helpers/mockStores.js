@@ -0,0 +1,223 @@
+/**
+ * In-memory stand-ins for the MongoDB models the unit suites touch
+ *
+ * Each helper spies on a model's persistence methods (restored after every
+ * test by restoreMocks) and returns the array or map it keeps the documents in.
+ */
+
+const LedgerEntry = require('../../models/LedgerEntry');
+const LedgerBalance = require('../../models/LedgerBalance');
+const AuditEntry = require('../../models/AuditEntry');
+const Invoice = require('../../models/Invoice');
+const RefreshTokenFamily = require('../../models/RefreshTokenFamily');
+
+/**
+ * Replace ledger persistence with an in-memory journal (no MongoDB)
+ */
+function mockLedger() {
+  const entries = [];
+
+  jest.spyOn(LedgerEntry.prototype, 'save').mockImplementation(async function () {
+    await this.validate();
+    entries.push(this);
+    return this;
+  });
+  jest
+    .spyOn(LedgerEntry, 'findOne')
+    .mockImplementation(
+      async ({ transactionId, type }) =>
+        entries.find(e => e.transactionId === transactionId && e.type === type) || null
+    );
+  jest.spyOn(LedgerEntry, 'aggregate').mockImplementation(async pipeline => {
+    const accounts = pipeline[0].$match['postings.account'].$in;
+    const totals = new Map();
+    entries.forEach(entry =>
+      entry.postings
+        .filter(p => accounts.includes(p.account))
+        .forEach(p => {
+          const key = `${p.account}|${entry.currency}`;
+          const signed = p.side === 'credit' ? p.amount : -p.amount;
+          totals.set(key, (totals.get(key) || 0) + signed);
+        })
+    );
+    return Array.from(totals, ([key, balance]) => {
+      const [account, currency] = key.split('|');
+      return { _id: { account, currency }, balance };
+    });
+  });
+
+  // Running balances of available accounts, keyed account|currency
+  const balances = new Map();
+  const balanceKey = ({ account, currency }) => `${account}|${currency}`;
+
+  jest
+    .spyOn(LedgerBalance, 'findOne')
+    .mockImplementation(async query => balances.get(balanceKey(query)) || null);
+  jest.spyOn(LedgerBalance, 'updateOne').mockImplementation(async (query, update, options) => {
+    const doc = balances.get(balanceKey(query));
+    if (doc && update.$inc) {
+      doc.balance += update.$inc.balance;
+    } else if (doc && update.$set) {
+      Object.assign(doc, update.$set);
+    } else if (!doc && options?.upsert) {
+      balances.set(balanceKey(query), { ...query, ...update.$setOnInsert, ...update.$set });
+    }
+    return { modifiedCount: doc ? 1 : 0 };
+  });
+  jest.spyOn(LedgerBalance, 'findOneAndUpdate').mockImplementation(async (query, update) => {
+    const doc = balances.get(balanceKey(query));
+    if (!doc || doc.balance < query.balance.$gte) {
+      return null;
+    }
+    doc.balance += update.$inc.balance;
+    return doc;
+  });
+
+  return entries;
+}
+
+/**
+ * Keep payment audit entries in an array (no MongoDB)
+ */
+function mockAuditLog() {
+  const entries = [];
+
+  const matching = (query = {}) =>
+    entries
+      .filter(e => !query.transactionId || e.transactionId === query.transactionId)
+      .filter(e => !query.sequence || e.sequence > query.sequence.$gt)
+      .sort((a, b) => a.sequence - b.sequence);
+
+  jest.spyOn(AuditEntry, 'create').mockImplementation(async fields => {
+    const entry = new AuditEntry(fields);
+    await entry.validate();
+    if (entries.some(e => e.sequence === entry.sequence)) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    entries.push(entry.toObject());
+    return entry;
+  });
+  jest.spyOn(AuditEntry, 'findOne').mockImplementation(() => ({
+    sort: () => ({ lean: async () => matching().pop() || null }),
+  }));
+  jest.spyOn(AuditEntry, 'find').mockImplementation(query => {
+    let limit = Infinity;
+    const chain = {
+      sort: () => chain,
+      limit: n => {
+        limit = n;
+        return chain;
+      },
+      lean: async () => matching(query).slice(0, limit),
+    };
+    return chain;
+  });
+
+  return entries;
+}
+
+/**
+ * Replace invoice persistence with an in-memory list (no MongoDB)
+ */
+function mockInvoices(invoices = []) {
+  const matches = (invoice, query) =>
+    Object.entries(query).every(([key, value]) => {
+      if (value && value.$in) {
+        return value.$in.includes(invoice[key]);
+      }
+      if (value && value.$lt) {
+        return Boolean(invoice[key]) && invoice[key] < value.$lt;
+      }
+      return String(invoice[key]) === String(value);
+    });
+
+  jest.spyOn(Invoice.prototype, 'save').mockImplementation(async function () {
+    await this.validate();
+    if (!invoices.includes(this)) {
+      invoices.push(this);
+    }
+    return this;
+  });
+  jest
+    .spyOn(Invoice, 'findOne')
+    .mockImplementation(async query => invoices.find(i => matches(i, query)) || null);
+  jest.spyOn(Invoice, 'find').mockImplementation(query => ({
+    sort: async sort => {
+      const [[field, direction]] = Object.entries(sort);
+      return invoices
+        .filter(i => matches(i, query))
+        .sort((a, b) => (a[field] - b[field]) * direction);
+    },
+  }));
+
+  return invoices;
+}
+
+/**
+ * Replace the session / refresh token family store with an in-memory map (no MongoDB)
+ */
+function mockSessionStore() {
+  const families = new Map();
+
+  const matches = (family, query) =>
+    Object.entries(query).every(([key, value]) => {
+      if (value === null) {
+        return family[key] === null || family[key] === undefined;
+      }
+      if (value && value.$gt) {
+        return family[key] > value.$gt;
+      }
+      if (value && value.$ne !== undefined) {
+        return String(family[key]) !== String(value.$ne);
+      }
+      return String(family[key]) === String(value);
+    });
+  const findAll = query => Array.from(families.values()).filter(f => matches(f, query));
+  const apply = (family, update) => {
+    Object.assign(family, update.$set);
+    if (update.$inc) {
+      family.rotations += update.$inc.rotations;
+    }
+  };
+
+  jest.spyOn(RefreshTokenFamily, 'create').mockImplementation(async data => {
+    const family = new RefreshTokenFamily(data).toObject();
+    family.createdAt = new Date();
+    families.set(family.familyId, family);
+    return family;
+  });
+  jest
+    .spyOn(RefreshTokenFamily, 'findOne')
+    .mockImplementation(async query => findAll(query)[0] || null);
+  jest.spyOn(RefreshTokenFamily, 'find').mockImplementation(query => ({
+    sort: async () => findAll(query),
+  }));
+  jest.spyOn(RefreshTokenFamily, 'findOneAndUpdate').mockImplementation(async (query, update) => {
+    const [family] = findAll(query);
+    if (family) {
+      apply(family, update);
+    }
+    return family || null;
+  });
+  jest.spyOn(RefreshTokenFamily, 'updateOne').mockImplementation(async (query, update) => {
+    const [family] = findAll(query);
+    if (family) {
+      apply(family, update);
+    }
+    return { modifiedCount: family ? 1 : 0 };
+  });
+  jest.spyOn(RefreshTokenFamily, 'updateMany').mockImplementation(async (query, update) => {
+    const matched = findAll(query);
+    matched.forEach(family => apply(family, update));
+    return { modifiedCount: matched.length };
+  });
+
+  return families;
+}
+
+module.exports = {
+  mockLedger,
+  mockAuditLog,
+  mockInvoices,
+  mockSessionStore,
+};
@@ -0,0 +1,80 @@
+/**
+ * Workflow helpers for the suites that run against the full app and MongoDB
+ * (integration and API security tests)
+ */
+
+const request = require('supertest');
+const Customer = require('../../models/Customer');
+const Employee = require('../../models/Employee');
+const { LEDGER_CONFIG, postDeposit } = require('../../utils/ledger');
+const { setNotifier } = require('../../utils/notifier');
+const { encryptSecret, generateSecret, generateTotp } = require('../../utils/mfa');
+
+/**
+ * Credit a registered customer so they can create payments (needs MongoDB)
+ */
+async function fundCustomer(email, amount) {
+  const customer = await Customer.findOne({ email });
+  await postDeposit({
+    customerId: customer._id,
+    amount,
+    currency: LEDGER_CONFIG.accountCurrency,
+    memo: 'Test funding',
+  });
+}
+
+/**
+ * Create a payment through the confirmation challenge, reading the
+ * one-time code from a capturing notifier (customer without an authenticator)
+ */
+async function createPayment(app, token, details) {
+  const sent = [];
+  setNotifier({ name: 'test', send: async message => sent.push(message) });
+
+  try {
+    const challengeResponse = await request(app)
+      .post('/api/payments/challenge')
+      .set('Cookie', `accessToken=${token}`)
+      .send(details);
+    if (challengeResponse.status !== 201) {
+      return challengeResponse;
+    }
+
+    const [, code] = sent[0].text.match(/code is (\d{6})/);
+    return request(app)
+      .post('/api/payments')
+      .set('Cookie', `accessToken=${token}`)
+      .send({
+        ...details,
+        challengeId: challengeResponse.body.challenge.challengeId,
+        confirmationCode: code,
+      });
+  } finally {
+    setNotifier(null);
+  }
+}
+
+/**
+ * Run a step-up request (SWIFT submission) as an enrolled employee:
+ * enrols a fresh authenticator, passes the current code to fn, then removes
+ * the enrolment so later password logins still get a session (needs MongoDB)
+ */
+async function withMfaStepUp(email, fn) {
+  const secret = generateSecret();
+
+  await Employee.updateOne(
+    { email },
+    { $set: { mfa: { enabled: true, secret: encryptSecret(secret), recoveryCodeHashes: [] } } }
+  );
+  try {
+    return await fn(generateTotp(secret));
+  } finally {
+    await Employee.updateOne({ email }, { $set: { mfa: {} } });
+  }
+}
+
+module.exports = {
+  fundCustomer,
+  createPayment,
+  withMfaStepUp,
+};
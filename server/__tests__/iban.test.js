@@ -0,0 +1,95 @@
+/**
+ * IBAN Validation Tests
+ * Covers the ISO 13616 checksum, registry lengths and BBAN structures, and
+ * the recipientAccount check in validatePaymentCreation
+ */
+
+const { validationResult } = require('express-validator');
+const {
+  IBAN_REGISTRY,
+  normalizeIban,
+  looksLikeIban,
+  getIbanError,
+  isValidIban,
+} = require('../utils/iban');
+const { validatePaymentCreation } = require('../middleware/comprehensiveValidation');
+
+const runPaymentValidation = async body => {
+  const req = { body };
+  for (const chain of validatePaymentCreation) {
+    await chain.run(req);
+  }
+  return validationResult(req).array();
+};
+
+describe('IBAN Validation', () => {
+  test('should accept valid IBANs, with or without spaces', () => {
+    [
+      'GB29NWBK60161331926819',
+      'DE89370400440532013000',
+      'FR1420041010050500013M02606',
+      'NL91ABNA0417164300',
+      'NO9386011117947',
+      'gb82 west 1234 5698 7654 32',
+    ].forEach(iban => expect(isValidIban(iban)).toBe(true));
+  });
+
+  test('should reject a typo through the mod-97 checksum', () => {
+    expect(getIbanError('GB29NWBK60161331926818')).toMatch('check digits are invalid');
+    expect(getIbanError('DE89370400440532031000')).toMatch('check digits are invalid');
+  });
+
+  test('should enforce the registry length for the country', () => {
+    expect(getIbanError('GB29NWBK6016133192681')).toBe(
+      'GB IBANs must be exactly 22 characters (got 21)'
+    );
+  });
+
+  test('should enforce the BBAN structure for the country', () => {
+    // GB bank code must be 4 letters
+    expect(getIbanError('GB291WBK60161331926819')).toBe(
+      'IBAN account number does not match the GB format'
+    );
+  });
+
+  test('should only checksum IBAN-style numbers from unregistered countries', () => {
+    expect(IBAN_REGISTRY.US).toBeUndefined();
+    expect(isValidIban('US64SVBKUS6S3300958879')).toBe(true);
+    expect(getIbanError('US65SVBKUS6S3300958879')).toMatch('check digits are invalid');
+  });
+
+  test('should detect account numbers written as IBANs', () => {
+    expect(normalizeIban(' de89 3704 ')).toBe('DE893704');
+    expect(looksLikeIban('DE89370400440532013000')).toBe(true);
+    expect(looksLikeIban('12345678901')).toBe(false);
+  });
+
+  describe('Payment Creation', () => {
+    const payment = {
+      amount: '100.00',
+      currency: 'EUR',
+      recipientSwift: 'BNPAFRPP',
+      recipientName: 'Jean Dupont',
+    };
+
+    test('should reject a recipient IBAN with a bad checksum', async () => {
+      const errors = await runPaymentValidation({
+        ...payment,
+        recipientAccount: 'FR1420041010050500013M02607',
+      });
+
+      expect(errors).toHaveLength(1);
+      expect(errors[0].path).toBe('recipientAccount');
+      expect(errors[0].msg).toMatch('check digits are invalid');
+    });
+
+    test('should accept valid IBANs and non-IBAN account numbers', async () => {
+      expect(
+        await runPaymentValidation({ ...payment, recipientAccount: 'FR1420041010050500013M02606' })
+      ).toEqual([]);
+      expect(await runPaymentValidation({ ...payment, recipientAccount: '12345678901' })).toEqual(
+        []
+      );
+    });
+  });
+});
@@ -10,6 +10,7 @@
 
 const request = require('supertest');
 const app = require('../index');
+const { fundCustomer, createPayment, withMfaStepUp } = require('./helpers/workflow');
 
 describe('Payment Workflow Integration Tests', () => {
   // ==========================================
@@ -68,18 +69,16 @@ describe('Payment Workflow Integration Tests', () => {
     });
 
     test('Step 3: Customer creates a payment transaction', async () => {
-      const response = await request(app)
-        .post('/api/payments')
-        .set('Cookie', `accessToken=${customerToken}`)
-        .send({
-          amount: 750.5,
-          currency: 'EUR',
-          recipientAccount: 'FR1420041010050500013M02606',
-          recipientSwift: 'BNPAFRPP',
-          recipientName: 'Jean Dupont',
-          reference: 'Integration test payment INV-001',
-        })
-        .set('Accept', 'application/json');
+      await fundCustomer(customerEmail, 2000);
+
+      const response = await createPayment(app, customerToken, {
+        amount: 750.5,
+        currency: 'EUR',
+        recipientAccount: 'FR1420041010050500013M02606',
+        recipientSwift: 'BNPAFRPP',
+        recipientName: 'Jean Dupont',
+        reference: 'Integration test payment INV-001',
+      });
 
       expect(response.status).toBe(201);
       expect(response.body.success).toBe(true);
@@ -208,14 +207,17 @@ describe('Payment Workflow Integration Tests', () => {
       const csrfToken = csrfResponse.body.csrfToken;
 
       // Submit to SWIFT
-      const response = await request(app)
-        .post('/api/payments/employee/submit-swift')
-        .set('Cookie', `accessToken=${employeeToken}`)
-        .set('X-CSRF-Token', csrfToken)
-        .send({
-          transactionIds: [transactionId],
-        })
-        .set('Accept', 'application/json');
+      const response = await withMfaStepUp('manager@bank.com', mfaCode =>
+        request(app)
+          .post('/api/payments/employee/submit-swift')
+          .set('Cookie', `accessToken=${employeeToken}`)
+          .set('X-CSRF-Token', csrfToken)
+          .send({
+            transactionIds: [transactionId],
+            mfaCode,
+          })
+          .set('Accept', 'application/json')
+      );
 
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
@@ -289,17 +291,14 @@ describe('Payment Workflow Integration Tests', () => {
         .split('=')[1];
 
       // Create payment
-      const paymentResponse = await request(app)
-        .post('/api/payments')
-        .set('Cookie', `accessToken=${customerToken}`)
-        .send({
-          amount: 9999.99,
-          currency: 'USD',
-          recipientAccount: 'US64SVBKUS6S3300958879',
-          recipientSwift: 'SVBKUS6S',
-          recipientName: 'Suspicious Account',
-          reference: 'High risk transaction',
-        });
+      const paymentResponse = await createPayment(app, customerToken, {
+        amount: 9999.99,
+        currency: 'USD',
+        recipientAccount: 'US64SVBKUS6S3300958879',
+        recipientSwift: 'SVBKUS6S',
+        recipientName: 'Suspicious Account',
+        reference: 'High risk transaction',
+      });
 
       rejectedTransactionId = paymentResponse.body.transaction.id;
 
@@ -350,14 +349,17 @@ describe('Payment Workflow Integration Tests', () => {
 
       const csrfToken = csrfResponse.body.csrfToken;
 
-      const response = await request(app)
-        .post('/api/payments/employee/submit-swift')
-        .set('Cookie', `accessToken=${employeeToken}`)
-        .set('X-CSRF-Token', csrfToken)
-        .send({
-          transactionIds: [rejectedTransactionId],
-        })
-        .set('Accept', 'application/json');
+      const response = await withMfaStepUp('verifier1@bank.com', mfaCode =>
+        request(app)
+          .post('/api/payments/employee/submit-swift')
+          .set('Cookie', `accessToken=${employeeToken}`)
+          .set('X-CSRF-Token', csrfToken)
+          .send({
+            transactionIds: [rejectedTransactionId],
+            mfaCode,
+          })
+          .set('Accept', 'application/json')
+      );
 
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
@@ -420,17 +422,14 @@ describe('Payment Workflow Integration Tests', () => {
           .split('=')[1];
 
         // Create payment
-        const paymentResponse = await request(app)
-          .post('/api/payments')
-          .set('Cookie', `accessToken=${customerToken}`)
-          .send({
-            amount: 100.0 * (i + 1),
-            currency: i % 2 === 0 ? 'USD' : 'EUR',
-            recipientAccount: 'GB29NWBK60161331926819',
-            recipientSwift: 'NWBKGB2L',
-            recipientName: `Batch Recipient ${i}`,
-            reference: `Batch payment ${i}`,
-          });
+        const paymentResponse = await createPayment(app, customerToken, {
+          amount: 100.0 * (i + 1),
+          currency: i % 2 === 0 ? 'USD' : 'EUR',
+          recipientAccount: 'GB29NWBK60161331926819',
+          recipientSwift: 'NWBKGB2L',
+          recipientName: `Batch Recipient ${i}`,
+          reference: `Batch payment ${i}`,
+        });
 
         const transactionId = paymentResponse.body.transaction.id;
 
@@ -463,14 +462,17 @@ describe('Payment Workflow Integration Tests', () => {
 
       const csrfToken = csrfResponse.body.csrfToken;
 
-      const response = await request(app)
-        .post('/api/payments/employee/submit-swift')
-        .set('Cookie', `accessToken=${employeeToken}`)
-        .set('X-CSRF-Token', csrfToken)
-        .send({
-          transactionIds: verifiedTransactionIds,
-        })
-        .set('Accept', 'application/json');
+      const response = await withMfaStepUp('verifier2@bank.com', mfaCode =>
+        request(app)
+          .post('/api/payments/employee/submit-swift')
+          .set('Cookie', `accessToken=${employeeToken}`)
+          .set('X-CSRF-Token', csrfToken)
+          .send({
+            transactionIds: verifiedTransactionIds,
+            mfaCode,
+          })
+          .set('Accept', 'application/json')
+      );
 
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
@@ -551,14 +553,17 @@ describe('Payment Workflow Integration Tests', () => {
 
       const csrfToken = csrfResponse.body.csrfToken;
 
-      const response = await request(app)
-        .post('/api/payments/employee/submit-swift')
-        .set('Cookie', `accessToken=${employeeToken}`)
-        .set('X-CSRF-Token', csrfToken)
-        .send({
-          transactionIds: ['txn_nonexistent_12345', 'txn_nonexistent_67890'],
-        })
-        .set('Accept', 'application/json');
+      const response = await withMfaStepUp('analyst@bank.com', mfaCode =>
+        request(app)
+          .post('/api/payments/employee/submit-swift')
+          .set('Cookie', `accessToken=${employeeToken}`)
+          .set('X-CSRF-Token', csrfToken)
+          .send({
+            transactionIds: ['txn_nonexistent_12345', 'txn_nonexistent_67890'],
+            mfaCode,
+          })
+          .set('Accept', 'application/json')
+      );
 
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
@@ -586,17 +591,14 @@ describe('Payment Workflow Integration Tests', () => {
         .split(';')[0]
         .split('=')[1];
 
-      const paymentResponse = await request(app)
-        .post('/api/payments')
-        .set('Cookie', `accessToken=${customerToken}`)
-        .send({
-          amount: 200.0,
-          currency: 'GBP',
-          recipientAccount: 'GB82WEST12345698765432',
-          recipientSwift: 'NWBKGB2L',
-          recipientName: 'Test User',
-          reference: 'Double verify test',
-        });
+      const paymentResponse = await createPayment(app, customerToken, {
+        amount: 200.0,
+        currency: 'GBP',
+        recipientAccount: 'GB82WEST12345698765432',
+        recipientSwift: 'NWBKGB2L',
+        recipientName: 'Test User',
+        reference: 'Double verify test',
+      });
 
       const transactionId = paymentResponse.body.transaction.id;
 
@@ -668,17 +670,14 @@ describe('Payment Workflow Integration Tests', () => {
         .split(';')[0]
         .split('=')[1];
 
-      const payment1 = await request(app)
-        .post('/api/payments')
-        .set('Cookie', `accessToken=${customer1Token}`)
-        .send({
-          amount: 300.0,
-          currency: 'USD',
-          recipientAccount: 'US64SVBKUS6S3300958879',
-          recipientSwift: 'SVBKUS6S',
-          recipientName: 'Customer 1 Recipient',
-          reference: 'Customer 1 payment',
-        });
+      const payment1 = await createPayment(app, customer1Token, {
+        amount: 300.0,
+        currency: 'USD',
+        recipientAccount: 'US64SVBKUS6S3300958879',
+        recipientSwift: 'SVBKUS6S',
+        recipientName: 'Customer 1 Recipient',
+        reference: 'Customer 1 payment',
+      });
 
       const customer1TransactionId = payment1.body.transaction.id;
 
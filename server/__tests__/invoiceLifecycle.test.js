@@ -0,0 +1,287 @@
+/**
+ * Invoice Lifecycle Tests
+ * Covers invoices following their payment through SWIFT (reference, paid,
+ * cancelled with a credit note), the employee resend/cancel routes and the
+ * overdue report
+ */
+
+jest.mock('../middleware/securityMonitoring', () => ({
+  ...jest.requireActual('../middleware/securityMonitoring'),
+  createSecurityEvent: jest.fn(),
+}));
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const Invoice = require('../models/Invoice');
+const Employee = require('../models/Employee');
+const { issueTokenPair } = require('../utils/refreshTokens');
+const { setNotifier } = require('../utils/notifier');
+const { postDeposit, placeHold } = require('../utils/ledger');
+const { applySwiftAcknowledgements } = require('../utils/swiftGateway');
+const { createSecurityEvent } = require('../middleware/securityMonitoring');
+const {
+  INVOICE_LIFECYCLE_CONFIG,
+  invoiceDueDate,
+  syncInvoiceWithPayment,
+} = require('../utils/invoiceLifecycle');
+const {
+  mockLedger,
+  mockAuditLog,
+  mockInvoices,
+  mockSessionStore,
+} = require('./helpers/mockStores');
+const { buildPayment } = require('./helpers/fixtures');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const employeeId = new mongoose.Types.ObjectId().toString();
+
+const buildInvoice = (overrides = {}) => {
+  const invoiceDate = overrides.invoiceDate || new Date();
+  return new Invoice({
+    invoiceNumber: `INV-1700000000000-${Math.random().toString(36).substring(2, 7).toUpperCase()}`,
+    paymentId: new mongoose.Types.ObjectId(),
+    transactionId: 'TXN-1700000000000-LIFE1',
+    customerId: new mongoose.Types.ObjectId(),
+    customerEmail: 'thandi@example.com',
+    customerName: 'Thandi Nkosi',
+    amount: 480,
+    currency: 'EUR',
+    recipientAccount: 'FR1420041010050500013M02606',
+    recipientSwift: 'BNPAFRPP',
+    recipientName: 'Jean Dupont',
+    verifiedBy: new mongoose.Types.ObjectId(),
+    verifiedByEmail: 'verifier@bank.com',
+    verifiedByName: 'Sam Verifier',
+    invoiceDate,
+    dueDate: invoiceDueDate(invoiceDate),
+    ...overrides,
+  });
+};
+
+describe('Invoice Lifecycle', () => {
+  let invoices;
+  let auditEntries;
+  let sent;
+
+  beforeEach(() => {
+    jest.spyOn(Payment.prototype, 'save').mockImplementation(async function () {
+      return this;
+    });
+    mockLedger();
+    auditEntries = mockAuditLog();
+    invoices = mockInvoices();
+
+    sent = [];
+    setNotifier({ name: 'test', send: async message => sent.push(message) });
+  });
+
+  afterEach(() => {
+    setNotifier(null);
+  });
+
+  describe('Payment events', () => {
+    // Verified payment with its invoice, handed to SWIFT as the submit route does
+    const submitWithInvoice = async () => {
+      const payment = buildPayment({
+        transactionId: 'TXN-1700000000000-LIFE1',
+        customerEmail: 'thandi@example.com',
+        amount: 480,
+      });
+      jest.spyOn(Payment, 'findOne').mockResolvedValue(payment);
+      await postDeposit({ customerId: payment.customerId, amount: 1000, currency: 'EUR' });
+      await placeHold(payment);
+      await payment.verify(new mongoose.Types.ObjectId(), 'verifier@bank.com', true, '');
+
+      const invoice = buildInvoice({ paymentId: payment._id, customerId: payment.customerId });
+      await invoice.save();
+
+      payment.status = 'submitting';
+      await payment.submitToSwift('REF-00004242', 'simulator', 'BATCH-1');
+      await syncInvoiceWithPayment(payment);
+      return { payment, invoice };
+    };
+
+    const acknowledge = (payment, status, reason) =>
+      applySwiftAcknowledgements([
+        { transactionId: payment.transactionId, swiftReference: 'REF-00004242', status, reason },
+      ]);
+
+    test('should record the SWIFT reference and mark the invoice paid on completion', async () => {
+      const { payment, invoice } = await submitWithInvoice();
+
+      expect(invoice.paymentStatus).toBe('submitted_to_swift');
+      expect(invoice.swiftReference).toBe('REF-00004242');
+      expect(invoice.submittedToSwiftAt).toEqual(payment.submittedToSwiftAt);
+      expect(invoice.status).toBe('generated');
+
+      await acknowledge(payment, 'completed');
+
+      expect(invoice.paymentStatus).toBe('completed');
+      expect(invoice.status).toBe('paid');
+      expect(invoice.paidDate).toBeInstanceOf(Date);
+      expect(auditEntries.map(e => e.action)).toContain('invoice_paid');
+    });
+
+    test('should cancel the invoice and issue a credit note when the payment fails', async () => {
+      const { payment, invoice } = await submitWithInvoice();
+
+      await acknowledge(payment, 'failed', 'Invalid beneficiary');
+
+      expect(invoice.paymentStatus).toBe('failed');
+      expect(invoice.status).toBe('cancelled');
+      expect(invoice.cancellationReason).toBe('Payment failed: Invalid beneficiary');
+      expect(invoice.cancelledBy).toBeUndefined();
+      expect(invoice.creditNote).toMatchObject({
+        amount: 480,
+        currency: 'EUR',
+        reason: 'Payment failed: Invalid beneficiary',
+      });
+      expect(invoice.creditNote.creditNoteNumber).toMatch(/^CN-\d{13}-[A-Z0-9]{5}$/);
+
+      const cancelled = auditEntries.find(e => e.action === 'invoice_cancelled');
+      expect(cancelled.actor).toMatchObject({ type: 'gateway', id: 'simulator' });
+      expect(sent).toHaveLength(1);
+      expect(sent[0].subject).toContain(invoice.creditNote.creditNoteNumber);
+    });
+
+    test('should leave payments without an invoice alone', async () => {
+      const payment = buildPayment();
+      payment.status = 'completed';
+
+      await expect(syncInvoiceWithPayment(payment)).resolves.toBeNull();
+      expect(auditEntries).toHaveLength(0);
+    });
+  });
+
+  describe('Employee routes', () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/payments', require('../routes/payments'));
+
+    let token;
+
+    beforeEach(async () => {
+      mockSessionStore();
+      jest.spyOn(Employee, 'findById').mockReturnValue({
+        select: jest.fn().mockResolvedValue({
+          _id: employeeId,
+          permissions: ['view_payments', 'verify_payments', 'submit_swift'],
+          status: 'active',
+        }),
+      });
+      ({ accessToken: token } = await issueTokenPair({
+        userId: employeeId,
+        email: 'staff@bank.com',
+        role: 'employee',
+      }));
+    });
+
+    test('should resend an invoice and mark it sent', async () => {
+      const invoice = buildInvoice();
+      invoices.push(invoice);
+
+      const res = await request(app)
+        .post(`/api/payments/employee/invoices/${invoice.invoiceNumber}/resend`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.invoice).toMatchObject({ status: 'sent', sendCount: 1 });
+      expect(sent).toHaveLength(1);
+      expect(sent[0].to).toBe('thandi@example.com');
+      expect(sent[0].text).toContain(`verify-invoice?invoice=${invoice.invoiceNumber}`);
+      expect(auditEntries[0]).toMatchObject({
+        action: 'invoice_sent',
+        actor: expect.objectContaining({ type: 'employee', email: 'staff@bank.com' }),
+      });
+    });
+
+    const cancel = (number, body) =>
+      request(app)
+        .post(`/api/payments/employee/invoices/${number}/cancel`)
+        .set('Authorization', `Bearer ${token}`)
+        .send(body);
+
+    test('should cancel an open invoice with a reason and refuse final ones', async () => {
+      const invoice = buildInvoice({ status: 'sent' });
+      const paid = buildInvoice({ status: 'paid', paidDate: new Date() });
+      invoices.push(invoice, paid);
+      jest.spyOn(Payment, 'findById').mockResolvedValue(buildPayment({ status: 'failed' }));
+
+      expect((await cancel(invoice.invoiceNumber, {})).status).toBe(400);
+
+      const res = await cancel(invoice.invoiceNumber, { reason: 'Duplicate invoice' });
+      expect(res.status).toBe(200);
+      expect(res.body.invoice).toMatchObject({
+        status: 'cancelled',
+        cancellationReason: 'Duplicate invoice',
+        cancelledBy: employeeId,
+      });
+      expect(createSecurityEvent).toHaveBeenCalledWith(
+        'invoice_cancelled',
+        expect.objectContaining({ employeeId, invoiceNumber: invoice.invoiceNumber }),
+        expect.anything()
+      );
+
+      for (const number of [invoice.invoiceNumber, paid.invoiceNumber]) {
+        const refused = await cancel(number, { reason: 'Duplicate invoice' });
+        expect(refused.status).toBe(409);
+        expect(refused.body.code).toBe('INVALID_INVOICE_STATE');
+      }
+
+      const resend = await request(app)
+        .post(`/api/payments/employee/invoices/${invoice.invoiceNumber}/resend`)
+        .set('Authorization', `Bearer ${token}`);
+      expect(resend.status).toBe(409);
+      expect(resend.body.code).toBe('INVOICE_CANCELLED');
+    });
+
+    test('should refuse to cancel the invoice of a payment that can still leave', async () => {
+      const invoice = buildInvoice();
+      invoices.push(invoice);
+
+      for (const status of ['verified', 'submitted_to_swift']) {
+        jest.spyOn(Payment, 'findById').mockResolvedValue(buildPayment({ status }));
+
+        const res = await cancel(invoice.invoiceNumber, { reason: 'Customer request' });
+
+        expect(res.status).toBe(409);
+        expect(res.body.code).toBe('PAYMENT_NOT_CANCELLABLE');
+      }
+      expect(invoice.status).toBe('generated');
+      expect(invoice.creditNote?.creditNoteNumber).toBeUndefined();
+      expect(sent).toHaveLength(0);
+    });
+
+    test('should report open invoices past their due date with aging', async () => {
+      const issuedDaysAgo = days =>
+        buildInvoice({ invoiceDate: new Date(Date.now() - days * DAY_MS) });
+      const { dueDays } = INVOICE_LIFECYCLE_CONFIG;
+
+      // A part day past the due date counts as a whole day overdue
+      invoices.push(
+        issuedDaysAgo(dueDays + 74.5),
+        issuedDaysAgo(dueDays + 9.5),
+        issuedDaysAgo(dueDays - 5), // Not yet due
+        buildInvoice({
+          invoiceDate: new Date(Date.now() - (dueDays + 40) * DAY_MS),
+          dueDate: new Date(Date.now() - 40 * DAY_MS),
+          status: 'paid',
+        })
+      );
+
+      const res = await request(app)
+        .get('/api/payments/employee/invoices/overdue')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.invoices.map(i => i.daysOverdue)).toEqual([75, 10]);
+      expect(res.body.summary).toMatchObject({
+        count: 2,
+        currencyTotals: { EUR: 960 },
+        aging: { '1-30': 1, '31-60': 0, '61-90': 1, '90+': 0 },
+      });
+    });
+  });
+});
@@ -0,0 +1,310 @@
+/**
+ * Invoice PDF Tests
+ * Covers the rendered document (letterhead, masked accounts, verifier),
+ * who may download it or read its details (owning customers, employees with
+ * view_payments) and the public signature check behind the QR code
+ */
+
+jest.mock('../middleware/securityMonitoring', () => ({
+  ...jest.requireActual('../middleware/securityMonitoring'),
+  createSecurityEvent: jest.fn(),
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Customer = require('../models/Customer');
+const Employee = require('../models/Employee');
+const Invoice = require('../models/Invoice');
+const { issueTokenPair } = require('../utils/refreshTokens');
+const { createSecurityEvent } = require('../middleware/securityMonitoring');
+const { INVOICE_PDF_CONFIG, signInvoice, buildVerificationUrl } = require('../utils/invoicePdf');
+const { mockSessionStore } = require('./helpers/mockStores');
+
+const RECIPIENT_ACCOUNT = 'FR1420041010050500013M02606';
+
+/**
+ * Text drawn on the pages: pdfkit writes it as hex strings inside
+ * deflated content streams, split wherever it applies kerning
+ */
+const pdfText = buffer => {
+  const source = buffer.toString('latin1');
+  const lines = [];
+  const streams = /stream\r?\n/g;
+  let match;
+
+  while ((match = streams.exec(source))) {
+    const start = match.index + match[0].length;
+    let content;
+    try {
+      content = zlib
+        .inflateSync(buffer.subarray(start, source.indexOf('endstream', start)))
+        .toString('latin1');
+    } catch {
+      continue; // Fonts and other binary streams
+    }
+    for (const [, array] of content.matchAll(/\[(.*?)\] TJ/g)) {
+      const hex = [...array.matchAll(/<([0-9a-f]*)>/g)].map(([, part]) => part).join('');
+      lines.push(Buffer.from(hex, 'hex').toString('latin1'));
+    }
+  }
+  return lines.join('\n');
+};
+
+const binaryBody = (res, callback) => {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+describe('Invoice PDFs', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/payments', require('../routes/payments'));
+
+  const customerId = new mongoose.Types.ObjectId();
+  let invoice;
+  let token;
+
+  const customer = new Customer({
+    _id: customerId,
+    name: 'Thandi Nkosi',
+    email: 'thandi@example.com',
+    passwordHash: 'hash',
+    accountNumber: '1234567890',
+  });
+
+  beforeEach(async () => {
+    mockSessionStore();
+
+    invoice = new Invoice({
+      invoiceNumber: 'INV-1700000000000-AB12C',
+      paymentId: new mongoose.Types.ObjectId(),
+      transactionId: 'TXN-1700000000000-PDF01',
+      customerId,
+      customerEmail: 'thandi@example.com',
+      customerName: 'Thandi Nkosi',
+      amount: 1250.5,
+      currency: 'EUR',
+      recipientAccount: RECIPIENT_ACCOUNT,
+      recipientSwift: 'BNPAFRPP',
+      recipientName: 'Jean Dupont',
+      reference: 'Invoice 42',
+      verifiedBy: new mongoose.Types.ObjectId(),
+      verifiedByEmail: 'verifier@bank.com',
+      verifiedByName: 'Sam Verifier',
+      verifierDepartment: 'Verification',
+      invoiceDate: new Date('2026-03-01T10:00:00Z'),
+    });
+
+    jest
+      .spyOn(Invoice, 'findOne')
+      .mockImplementation(async ({ invoiceNumber }) =>
+        invoiceNumber === invoice.invoiceNumber ? invoice : null
+      );
+    jest.spyOn(Customer, 'findById').mockResolvedValue(customer);
+
+    ({ accessToken: token } = await issueTokenPair({
+      userId: customerId.toString(),
+      email: customer.email,
+      role: 'customer',
+    }));
+  });
+
+  test('should render the invoice with masked accounts and its signature', async () => {
+    const res = await request(app)
+      .get(`/api/payments/invoices/${invoice.invoiceNumber}/pdf`)
+      .set('Authorization', `Bearer ${token}`)
+      .buffer(true)
+      .parse(binaryBody);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/pdf');
+    expect(res.headers['content-disposition']).toBe(
+      `attachment; filename="${invoice.invoiceNumber}.pdf"`
+    );
+    expect(res.body.subarray(0, 5).toString()).toBe('%PDF-');
+
+    const text = pdfText(res.body);
+    expect(text).toContain(INVOICE_PDF_CONFIG.bankName);
+    expect(text).toContain(`Invoice ${invoice.invoiceNumber}`);
+    expect(text).toContain('EUR 1,250.50');
+    expect(text).toContain('****2606');
+    expect(text).toContain('Account ****7890');
+    expect(text).toContain('Sam Verifier');
+    expect(text).toContain('Verification');
+    expect(text).toContain(`Signature: ${signInvoice(invoice)}`);
+    expect(text).not.toContain(RECIPIENT_ACCOUNT);
+    expect(text).not.toContain('1234567890');
+  });
+
+  test("should not render another customer's invoice", async () => {
+    invoice.customerId = new mongoose.Types.ObjectId();
+
+    const res = await request(app)
+      .get(`/api/payments/invoices/${invoice.invoiceNumber}/pdf`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(403);
+    expect(
+      (await request(app).get(`/api/payments/invoices/${invoice.invoiceNumber}/pdf`)).status
+    ).toBe(401);
+  });
+
+  test('should only render PDFs for employees with view_payments', async () => {
+    const employeeId = new mongoose.Types.ObjectId().toString();
+    let permissions = [];
+    jest.spyOn(Employee, 'findById').mockReturnValue({
+      select: jest.fn().mockImplementation(async () => ({
+        _id: employeeId,
+        department: 'Analytics',
+        permissions,
+        status: 'active',
+      })),
+    });
+    const { accessToken: employeeToken } = await issueTokenPair({
+      userId: employeeId,
+      email: 'analyst@bank.com',
+      role: 'employee',
+    });
+    const download = url => request(app).get(url).set('Authorization', `Bearer ${employeeToken}`);
+
+    const customerRoute = await download(`/api/payments/invoices/${invoice.invoiceNumber}/pdf`);
+    expect(customerRoute.status).toBe(403);
+
+    const denied = await download(`/api/payments/employee/invoices/${invoice.invoiceNumber}/pdf`);
+    expect(denied.status).toBe(403);
+    expect(denied.body.code).toBe('PERMISSION_DENIED');
+
+    permissions = ['view_payments'];
+    const allowed = await download(`/api/payments/employee/invoices/${invoice.invoiceNumber}/pdf`)
+      .buffer(true)
+      .parse(binaryBody);
+    expect(allowed.status).toBe(200);
+    expect(allowed.body.subarray(0, 5).toString()).toBe('%PDF-');
+  });
+
+  test('should only return invoice details to employees with view_payments', async () => {
+    const employeeId = new mongoose.Types.ObjectId().toString();
+    let permissions = [];
+    jest.spyOn(Employee, 'findById').mockReturnValue({
+      select: jest.fn().mockImplementation(async () => ({
+        _id: employeeId,
+        department: 'Analytics',
+        permissions,
+        status: 'active',
+      })),
+    });
+    // The details route populates the customer and verifier
+    const query = {
+      populate: () => query,
+      then: (resolve, reject) => Promise.resolve(invoice).then(resolve, reject),
+    };
+    jest.spyOn(Invoice, 'findOne').mockReturnValue(query);
+    const { accessToken: employeeToken } = await issueTokenPair({
+      userId: employeeId,
+      email: 'analyst@bank.com',
+      role: 'employee',
+    });
+    const fetchInvoice = url =>
+      request(app).get(url).set('Authorization', `Bearer ${employeeToken}`);
+
+    const customerRoute = await fetchInvoice(`/api/payments/invoices/${invoice.invoiceNumber}`);
+    expect(customerRoute.status).toBe(403);
+
+    const denied = await fetchInvoice(`/api/payments/employee/invoices/${invoice.invoiceNumber}`);
+    expect(denied.status).toBe(403);
+    expect(denied.body.code).toBe('PERMISSION_DENIED');
+
+    permissions = ['view_payments'];
+    const allowed = await fetchInvoice(`/api/payments/employee/invoices/${invoice.invoiceNumber}`);
+    expect(allowed.status).toBe(200);
+    expect(allowed.body.invoice.invoiceNumber).toBe(invoice.invoiceNumber);
+  });
+
+  test('should confirm a genuine invoice from its QR code link', async () => {
+    const link = new URL(buildVerificationUrl(invoice));
+    expect(`${link.origin}${link.pathname}`).toBe(INVOICE_PDF_CONFIG.verifyUrl);
+    expect(link.searchParams.get('invoice')).toBe(invoice.invoiceNumber);
+
+    const res = await request(app).get(
+      `/api/payments/invoices/${invoice.invoiceNumber}/verify?sig=${link.searchParams.get('sig')}`
+    );
+
+    expect(res.status).toBe(200);
+    expect(res.body.verified).toBe(true);
+    expect(res.body.invoice).toMatchObject({
+      invoiceNumber: invoice.invoiceNumber,
+      amount: 1250.5,
+      currency: 'EUR',
+      recipientAccount: '****2606',
+      verifiedByName: 'Sam Verifier',
+      verifierDepartment: 'Verification',
+    });
+    expect(JSON.stringify(res.body)).not.toContain(RECIPIENT_ACCOUNT);
+    expect(createSecurityEvent).not.toHaveBeenCalled();
+  });
+
+  test('should reject altered invoices, unknown numbers and malformed signatures alike', async () => {
+    const sig = signInvoice(invoice);
+    invoice.amount = 9250.5;
+
+    const altered = await request(app).get(
+      `/api/payments/invoices/${invoice.invoiceNumber}/verify?sig=${sig}`
+    );
+    const unknown = await request(app).get(
+      `/api/payments/invoices/INV-1700000000000-ZZZZZ/verify?sig=${sig}`
+    );
+
+    for (const res of [altered, unknown]) {
+      expect(res.status).toBe(404);
+      expect(res.body.code).toBe('INVOICE_NOT_VERIFIED');
+      expect(res.body.invoice).toBeUndefined();
+    }
+    expect(createSecurityEvent).toHaveBeenCalledWith(
+      'invoice_verification_failed',
+      { invoiceNumber: invoice.invoiceNumber, reason: 'signature_mismatch' },
+      expect.anything()
+    );
+    expect(createSecurityEvent).toHaveBeenCalledWith(
+      'invoice_verification_failed',
+      { invoiceNumber: 'INV-1700000000000-ZZZZZ', reason: 'unknown_invoice' },
+      expect.anything()
+    );
+
+    const malformed = await request(app).get(
+      `/api/payments/invoices/${invoice.invoiceNumber}/verify?sig=short`
+    );
+    expect(malformed.status).toBe(400);
+  });
+
+  test('should keep the signing secret across restarts and require one in production', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'invoice-key-'));
+    const env = { ...process.env };
+    const loadInvoicePdf = () => {
+      let invoicePdf;
+      jest.isolateModules(() => {
+        invoicePdf = require('../utils/invoicePdf');
+      });
+      return invoicePdf;
+    };
+
+    try {
+      delete process.env.INVOICE_SIGNING_SECRET;
+      process.env.INVOICE_SIGNING_SECRET_FILE = path.join(dir, 'invoice.key');
+
+      expect(loadInvoicePdf().signInvoice(invoice)).toBe(loadInvoicePdf().signInvoice(invoice));
+
+      process.env.NODE_ENV = 'production';
+      process.env.INVOICE_SIGNING_SECRET_FILE = path.join(dir, 'missing.key');
+      expect(loadInvoicePdf).toThrow('No invoice signing secret');
+    } finally {
+      process.env = env;
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * ISO 20022 Message Tests
+ * Covers pain.001 document structure, grouping and escaping
+ */
+
+const { buildPain001Document, escapeXml } = require('../utils/iso20022');
+const { paymentFields } = require('./helpers/fixtures');
+
+const CUSTOMER_A = '64a000000000000000000001';
+const CUSTOMER_B = '64a000000000000000000002';
+
+const customers = {
+  [CUSTOMER_A]: { name: 'Alice & Co', accountNumber: '1234567890' },
+  [CUSTOMER_B]: { name: 'Bob Smith', accountNumber: 'GB29NWBK60161331926819' },
+};
+
+const buildPayment = overrides =>
+  paymentFields({
+    customerId: CUSTOMER_A,
+    swiftReference: 'b5a1c3d2-7e4f-4a8b-9c0d-1e2f3a4b5c6d',
+    ...overrides,
+  });
+
+const build = payments =>
+  buildPain001Document({
+    messageId: 'BATCH-1700000000000-ABCD12',
+    createdAt: new Date('2024-01-15T10:30:00.000Z'),
+    payments,
+    customers,
+  });
+
+describe('ISO 20022 pain.001', () => {
+  test('should build a document with group header totals', () => {
+    const xml = build([
+      buildPayment(),
+      buildPayment({ transactionId: 'TXN-1700000000000-BBBB2', amount: 249.5 }),
+    ]);
+
+    expect(xml).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>/);
+    expect(xml).toContain('xmlns="urn:iso:std:iso:20022:tech:xsd:pain.001.001.09"');
+    expect(xml).toContain('<MsgId>BATCH-1700000000000-ABCD12</MsgId>');
+    expect(xml).toContain('<CreDtTm>2024-01-15T10:30:00Z</CreDtTm>');
+    expect(xml).toContain('<NbOfTxs>2</NbOfTxs>');
+    expect(xml).toContain('<CtrlSum>1000.00</CtrlSum>');
+    expect(xml).toContain('<InstdAmt Ccy="EUR">750.50</InstdAmt>');
+  });
+
+  test('should create one payment information block per debtor and currency', () => {
+    const xml = build([
+      buildPayment(),
+      buildPayment({ transactionId: 'TXN-1700000000000-BBBB2', currency: 'USD' }),
+      buildPayment({ transactionId: 'TXN-1700000000000-CCCC3', customerId: CUSTOMER_B }),
+      buildPayment({ transactionId: 'TXN-1700000000000-DDDD4' }),
+    ]);
+
+    expect(xml.match(/<PmtInf>/g)).toHaveLength(3);
+    expect(xml.match(/<CdtTrfTxInf>/g)).toHaveLength(4);
+    expect(xml).toContain('<PmtInfId>BATCH-1700000000000-ABCD12-3</PmtInfId>');
+  });
+
+  test('should map accounts to IBAN or proprietary identifiers', () => {
+    const xml = build([
+      buildPayment(),
+      buildPayment({ transactionId: 'TXN-1700000000000-BBBB2', customerId: CUSTOMER_B }),
+    ]);
+
+    expect(xml).toContain('<IBAN>FR1420041010050500013M02606</IBAN>');
+    expect(xml).toContain('<IBAN>GB29NWBK60161331926819</IBAN>');
+    expect(xml).toMatch(/<Othr>\s*<Id>1234567890<\/Id>\s*<\/Othr>/);
+  });
+
+  test('should include the UETR only for UUID gateway references', () => {
+    const withUetr = build([buildPayment()]);
+    const withoutUetr = build([buildPayment({ swiftReference: 'SWIFT-REF-0001' })]);
+
+    expect(withUetr).toContain('<UETR>b5a1c3d2-7e4f-4a8b-9c0d-1e2f3a4b5c6d</UETR>');
+    expect(withoutUetr).not.toContain('<UETR>');
+    expect(withoutUetr).toContain('<EndToEndId>TXN-1700000000000-AAAA1</EndToEndId>');
+  });
+
+  test('should escape special characters', () => {
+    const xml = build([buildPayment({ recipientName: 'O\'Brien <Ltd> "UK"' })]);
+
+    expect(xml).toContain('<Nm>Alice &amp; Co</Nm>');
+    expect(xml).toContain('<Nm>O&apos;Brien &lt;Ltd&gt; &quot;UK&quot;</Nm>');
+    expect(escapeXml(null)).toBe('');
+  });
+
+  test('should reject invalid batches', () => {
+    expect(() => build([])).toThrow('at least one payment');
+    expect(() => build([buildPayment({ customerId: '64a000000000000000000099' })])).toThrow(
+      'Debtor not found'
+    );
+    expect(() =>
+      buildPain001Document({ messageId: 'X'.repeat(36), payments: [buildPayment()], customers })
+    ).toThrow('Message ID');
+  });
+});
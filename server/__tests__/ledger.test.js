@@ -0,0 +1,198 @@
+/**
+ * Ledger Tests
+ * Covers balanced postings, derived balances and the ledger entries produced
+ * by each payment state change
+ */
+
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const LedgerEntry = require('../models/LedgerEntry');
+const {
+  LEDGER_ACCOUNTS,
+  toMinorUnits,
+  postEntry,
+  getCustomerBalances,
+  postDeposit,
+  rebuildRunningBalance,
+  placeHold,
+  postSwiftDebit,
+} = require('../utils/ledger');
+const { mockLedger } = require('./helpers/mockStores');
+const { buildPayment } = require('./helpers/fixtures');
+
+const isBalanced = entry => {
+  const total = side =>
+    entry.postings.filter(p => p.side === side).reduce((sum, p) => sum + p.amount, 0);
+  return total('debit') === total('credit');
+};
+
+describe('Ledger', () => {
+  let entries;
+  let payment;
+
+  beforeEach(async () => {
+    entries = mockLedger();
+    jest.spyOn(Payment.prototype, 'save').mockImplementation(async function () {
+      return this;
+    });
+
+    payment = buildPayment();
+    await postDeposit({ customerId: payment.customerId, amount: 1000, currency: 'EUR' });
+  });
+
+  test('should derive balances from deposits', async () => {
+    expect(await getCustomerBalances(payment.customerId)).toEqual({
+      EUR: { available: 1000, held: 0 },
+    });
+    expect(entries[0].postings.map(p => p.account)).toEqual([
+      LEDGER_ACCOUNTS.funding,
+      LEDGER_ACCOUNTS.available(payment.customerId),
+    ]);
+  });
+
+  test('should hold funds when a payment is created', async () => {
+    await placeHold(payment);
+
+    expect(await getCustomerBalances(payment.customerId)).toEqual({
+      EUR: { available: 249.5, held: 750.5 },
+    });
+  });
+
+  test('should refuse a hold when available funds are insufficient', async () => {
+    await placeHold(payment);
+
+    await expect(
+      placeHold(
+        buildPayment({ transactionId: 'TXN-1700000000000-BBBB2', customerId: payment.customerId })
+      )
+    ).rejects.toThrow('Insufficient funds');
+    await expect(placeHold(buildPayment({ currency: 'USD' }))).rejects.toThrow(
+      'Insufficient funds'
+    );
+  });
+
+  test('should hold the same funds only once when payments race', async () => {
+    const racing = ['TXN-1700000000000-RACE1', 'TXN-1700000000000-RACE2'].map(transactionId =>
+      buildPayment({ transactionId, customerId: payment.customerId, amount: 600 })
+    );
+
+    const results = await Promise.allSettled(racing.map(p => placeHold(p)));
+
+    expect(results.map(r => r.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(r => r.status === 'rejected').reason.message).toBe('Insufficient funds');
+    expect(await getCustomerBalances(payment.customerId)).toEqual({
+      EUR: { available: 400, held: 600 },
+    });
+  });
+
+  test('should hand the reservation back when the hold entry cannot be posted', async () => {
+    jest.spyOn(LedgerEntry.prototype, 'save').mockRejectedValueOnce(new Error('write failed'));
+
+    await expect(placeHold(payment)).rejects.toThrow('write failed');
+    await expect(placeHold(payment)).resolves.toMatchObject({ type: 'hold' });
+  });
+
+  test('should not let funds held by a direct posting be held again once rebuilt', async () => {
+    // Seed the running balance, then book a hold the way the migration script does
+    await placeHold(payment);
+    const customerId = String(payment.customerId);
+    await postEntry({
+      type: 'hold',
+      customerId,
+      transactionId: 'TXN-1700000000000-LEGACY',
+      currency: 'EUR',
+      amount: toMinorUnits(200),
+      from: LEDGER_ACCOUNTS.available(customerId),
+      to: LEDGER_ACCOUNTS.held(customerId),
+    });
+
+    await rebuildRunningBalance(customerId, 'EUR');
+
+    const next = overrides =>
+      buildPayment({ transactionId: 'TXN-1700000000000-CCCC3', customerId, ...overrides });
+    await expect(placeHold(next({ amount: 50 }))).rejects.toThrow('Insufficient funds');
+    await expect(placeHold(next({ amount: 49.5 }))).resolves.toMatchObject({ type: 'hold' });
+  });
+
+  test('should release the hold when a payment is rejected', async () => {
+    await placeHold(payment);
+    await payment.verify(new mongoose.Types.ObjectId(), 'verifier@bank.com', false, 'Bad IBAN');
+
+    expect(await getCustomerBalances(payment.customerId)).toEqual({
+      EUR: { available: 1000, held: 0 },
+    });
+    expect(entries.map(e => e.type)).toEqual(['deposit', 'hold', 'release']);
+  });
+
+  test('should keep the hold when a payment is approved', async () => {
+    await placeHold(payment);
+    await payment.verify(new mongoose.Types.ObjectId(), 'verifier@bank.com', true, '');
+
+    expect((await getCustomerBalances(payment.customerId)).EUR.held).toBe(750.5);
+    expect(entries.map(e => e.type)).toEqual(['deposit', 'hold']);
+  });
+
+  test('should debit held funds on SWIFT submission and refund on failure', async () => {
+    await placeHold(payment);
+    await payment.verify(new mongoose.Types.ObjectId(), 'verifier@bank.com', true, '');
+    payment.status = 'submitting'; // Claimed by the submit route
+    await payment.submitToSwift('REF-00000001', 'simulator');
+
+    expect(await getCustomerBalances(payment.customerId)).toEqual({
+      EUR: { available: 249.5, held: 0 },
+    });
+
+    await payment.fail('Beneficiary account closed');
+
+    expect(await getCustomerBalances(payment.customerId)).toEqual({
+      EUR: { available: 1000, held: 0 },
+    });
+    expect(entries.map(e => e.type)).toEqual(['deposit', 'hold', 'debit', 'refund']);
+    expect(entries.every(isBalanced)).toBe(true);
+  });
+
+  test('should not debit a payment twice when its submission is recorded again', async () => {
+    await placeHold(payment);
+
+    const first = await postSwiftDebit(payment);
+    const retried = await postSwiftDebit(payment);
+
+    expect(retried).toBe(first);
+    expect(entries.map(e => e.type)).toEqual(['deposit', 'hold', 'debit']);
+    expect((await getCustomerBalances(payment.customerId)).EUR).toEqual({
+      available: 249.5,
+      held: 0,
+    });
+  });
+
+  test('should refuse to release a payment that was never held', async () => {
+    await expect(
+      payment.verify(new mongoose.Types.ObjectId(), 'verifier@bank.com', false, '')
+    ).rejects.toThrow('No hold entry found');
+    expect(payment.status).toBe('pending');
+  });
+
+  test('should reject unbalanced entries', async () => {
+    const entry = new LedgerEntry({
+      entryId: 'LED-1700000000000-ABCD',
+      type: 'deposit',
+      customerId: payment.customerId,
+      currency: 'EUR',
+      postings: [
+        { account: LEDGER_ACCOUNTS.funding, side: 'debit', amount: 100 },
+        { account: LEDGER_ACCOUNTS.available(payment.customerId), side: 'credit', amount: 90 },
+      ],
+    });
+
+    await expect(entry.validate()).rejects.toThrow('Unbalanced ledger entry');
+  });
+
+  test('should not allow entries to be modified', async () => {
+    jest.restoreAllMocks();
+    const [entry] = entries;
+    entry.isNew = false;
+    entry.memo = 'Edited';
+
+    await expect(entry.save()).rejects.toThrow('Ledger entries are immutable');
+  });
+});
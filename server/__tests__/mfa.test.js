@@ -0,0 +1,309 @@
+/**
+ * Employee Two-Factor Authentication Tests
+ * Covers TOTP generation (RFC 6238 vectors), secret encryption, recovery
+ * codes, the two-step employee login and step-up before SWIFT submission
+ */
+
+jest.mock('../middleware/securityMonitoring', () => ({
+  ...jest.requireActual('../middleware/securityMonitoring'),
+  createSecurityEvent: jest.fn(),
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const argon2 = require('argon2');
+const Employee = require('../models/Employee');
+const {
+  base32Encode,
+  generateTotp,
+  verifyTotp,
+  timeStep,
+  buildProvisioningUri,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+} = require('../utils/mfa');
+const { generateMfaPendingToken } = require('../utils/jwtSecurity');
+const { issueTokenPair } = require('../utils/refreshTokens');
+const { createSecurityEvent } = require('../middleware/securityMonitoring');
+const authRoutes = require('../routes/auth');
+const paymentRoutes = require('../routes/payments');
+const { mockSessionStore } = require('./helpers/mockStores');
+
+// RFC 6238 appendix B seed (SHA-1)
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+const app = express();
+app.use(express.json());
+app.use(cookieParser());
+app.use('/api/auth', authRoutes);
+app.use('/api/payments', paymentRoutes);
+
+const buildEmployee = (email, mfa) => ({
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Test Verifier',
+  email,
+  employeeId: 'EMP-0042',
+  department: 'Verification',
+  permissions: ['view_payments', 'verify_payments', 'submit_swift'],
+  status: 'active',
+  passwordHash: 'argon2-hash',
+  mfa,
+  save: jest.fn().mockResolvedValue(undefined),
+});
+
+const enrolledMfa = secret => ({
+  enabled: true,
+  secret: encryptSecret(secret),
+  recoveryCodeHashes: [],
+});
+
+describe('TOTP', () => {
+  test('should match the RFC 6238 SHA-1 test vectors', () => {
+    expect(generateTotp(RFC_SECRET, timeStep(59 * 1000))).toBe('287082');
+    expect(generateTotp(RFC_SECRET, timeStep(1111111109 * 1000))).toBe('081804');
+    expect(generateTotp(RFC_SECRET, timeStep(2000000000 * 1000))).toBe('279037');
+  });
+
+  test('should accept one step of clock drift and refuse replayed steps', () => {
+    const now = 1700000000000;
+    const step = timeStep(now);
+    const previous = generateTotp(RFC_SECRET, step - 1);
+
+    expect(verifyTotp(RFC_SECRET, previous, -1, now)).toBe(step - 1);
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step - 2), -1, now)).toBeNull();
+    expect(verifyTotp(RFC_SECRET, previous, step - 1, now)).toBeNull();
+    expect(verifyTotp(RFC_SECRET, 'abcdef', -1, now)).toBeNull();
+  });
+
+  test('should build an otpauth provisioning URI', () => {
+    const uri = new URL(buildProvisioningUri(RFC_SECRET, 'staff@bank.com'));
+
+    expect(uri.protocol).toBe('otpauth:');
+    expect(uri.host).toBe('totp');
+    expect(decodeURIComponent(uri.pathname)).toBe('/INSY7314 Payment Portal:staff@bank.com');
+    expect(uri.searchParams.get('secret')).toBe(RFC_SECRET);
+    expect(uri.searchParams.get('digits')).toBe('6');
+  });
+
+  test('should encrypt secrets at rest and detect tampering', () => {
+    const stored = encryptSecret(RFC_SECRET);
+
+    expect(stored).not.toContain(RFC_SECRET);
+    expect(decryptSecret(stored)).toBe(RFC_SECRET);
+
+    const [iv, tag, data] = stored.split(':');
+    const tampered = [iv, tag, (data[0] === 'a' ? 'b' : 'a') + data.substring(1)].join(':');
+    expect(() => decryptSecret(tampered)).toThrow();
+  });
+
+  test('should keep the encryption key across restarts and require one in production', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mfa-key-'));
+    const env = { ...process.env };
+    const loadMfa = () => {
+      let mfa;
+      jest.isolateModules(() => {
+        mfa = require('../utils/mfa');
+      });
+      return mfa;
+    };
+
+    try {
+      delete process.env.MFA_ENCRYPTION_KEY;
+      process.env.MFA_ENCRYPTION_KEY_FILE = path.join(dir, 'mfa.key');
+
+      const stored = loadMfa().encryptSecret(RFC_SECRET);
+      expect(loadMfa().decryptSecret(stored)).toBe(RFC_SECRET);
+
+      process.env.NODE_ENV = 'production';
+      process.env.MFA_ENCRYPTION_KEY_FILE = path.join(dir, 'missing.key');
+      expect(loadMfa).toThrow('No MFA encryption key');
+    } finally {
+      process.env = env;
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('should hash recovery codes independently of case and dashes', () => {
+    const { codes, hashes } = generateRecoveryCodes();
+
+    expect(codes).toHaveLength(10);
+    expect(new Set(codes).size).toBe(10);
+    expect(codes[0]).toMatch(/^[a-f0-9]{5}-[a-f0-9]{5}$/);
+    expect(hashRecoveryCode(codes[0].toUpperCase().replace('-', ''))).toBe(hashes[0]);
+  });
+});
+
+describe('Two-step employee login', () => {
+  let families;
+
+  beforeEach(() => {
+    families = mockSessionStore();
+    jest.spyOn(argon2, 'verify').mockResolvedValue(true);
+  });
+
+  const mockEmployeeLookup = employee => {
+    jest.spyOn(Employee, 'findOne').mockResolvedValue(employee);
+    jest.spyOn(Employee, 'findById').mockResolvedValue(employee);
+  };
+
+  const login = email =>
+    request(app).post('/api/auth/employee/login').send({ email, password: 'Passw0rd!' });
+
+  test('should hold back the session until the code is verified', async () => {
+    const employee = buildEmployee('two.step@bank.com', enrolledMfa(RFC_SECRET));
+    mockEmployeeLookup(employee);
+    const updateOne = jest.spyOn(Employee, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    const first = await login(employee.email);
+
+    expect(first.status).toBe(200);
+    expect(first.body).toEqual(expect.objectContaining({ mfaRequired: true }));
+    expect(first.body.user).toBeUndefined();
+    expect(families.size).toBe(0);
+
+    const second = await request(app)
+      .post('/api/auth/employee/login/mfa')
+      .send({ mfaToken: first.body.mfaToken, code: generateTotp(RFC_SECRET) });
+
+    expect(second.status).toBe(200);
+    expect(second.body.user.mfaEnabled).toBe(true);
+    expect(families.size).toBe(1);
+    expect(second.headers['set-cookie'].join(';')).toMatch(/accessToken=ey/);
+    // The accepted step is recorded so the code cannot be replayed
+    expect(updateOne).toHaveBeenCalledWith(expect.objectContaining({ _id: employee._id }), {
+      $set: { 'mfa.lastUsedStep': expect.any(Number) },
+    });
+  });
+
+  test('should log in directly when two-factor is not enabled', async () => {
+    mockEmployeeLookup(buildEmployee('no.mfa@bank.com', { enabled: false }));
+
+    const res = await login('no.mfa@bank.com');
+
+    expect(res.body.mfaRequired).toBeUndefined();
+    expect(res.body.user.mfaEnabled).toBe(false);
+    expect(families.size).toBe(1);
+  });
+
+  test('should reject wrong codes and log the failure', async () => {
+    const employee = buildEmployee('wrong.code@bank.com', enrolledMfa(RFC_SECRET));
+    mockEmployeeLookup(employee);
+    const mfaToken = await generateMfaPendingToken({ userId: employee._id, email: employee.email });
+    const wrong = String((Number(generateTotp(RFC_SECRET)) + 1) % 1000000).padStart(6, '0');
+
+    const res = await request(app)
+      .post('/api/auth/employee/login/mfa')
+      .send({ mfaToken, code: wrong });
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('MFA_CODE_INVALID');
+    expect(families.size).toBe(0);
+    expect(createSecurityEvent).toHaveBeenCalledWith(
+      'employee_mfa_failed',
+      expect.objectContaining({ email: employee.email }),
+      expect.anything()
+    );
+  });
+
+  test('should accept a recovery code once', async () => {
+    const { codes, hashes } = generateRecoveryCodes();
+    const employee = buildEmployee('recovery@bank.com', {
+      ...enrolledMfa(RFC_SECRET),
+      recoveryCodeHashes: hashes,
+    });
+    mockEmployeeLookup(employee);
+    const updateOne = jest.spyOn(Employee, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const mfaToken = await generateMfaPendingToken({ userId: employee._id, email: employee.email });
+
+    const res = await request(app)
+      .post('/api/auth/employee/login/mfa')
+      .send({ mfaToken, code: codes[3] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.recoveryCodesRemaining).toBe(9);
+    expect(updateOne).toHaveBeenCalledWith(
+      { _id: employee._id, 'mfa.recoveryCodeHashes': hashes[3] },
+      { $pull: { 'mfa.recoveryCodeHashes': hashes[3] } }
+    );
+  });
+
+  test('should not accept access tokens as MFA tokens', async () => {
+    const employee = buildEmployee('token.swap@bank.com', enrolledMfa(RFC_SECRET));
+    mockEmployeeLookup(employee);
+    const { accessToken } = await issueTokenPair({
+      userId: employee._id,
+      email: employee.email,
+      role: 'employee',
+    });
+
+    const res = await request(app)
+      .post('/api/auth/employee/login/mfa')
+      .send({ mfaToken: accessToken, code: generateTotp(RFC_SECRET) });
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('MFA_TOKEN_INVALID');
+  });
+});
+
+describe('Step-up before SWIFT submission', () => {
+  let token;
+  let employee;
+
+  const submit = body =>
+    request(app)
+      .post('/api/payments/employee/submit-swift')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ transactionIds: ['TXN-1700000000000-AAAA1'], ...body });
+
+  const setEmployee = mfa => {
+    employee = buildEmployee('releaser@bank.com', mfa);
+    jest.spyOn(Employee, 'findById').mockReturnValue({
+      select: jest.fn().mockResolvedValue(employee),
+    });
+  };
+
+  beforeEach(async () => {
+    mockSessionStore();
+    token = (
+      await issueTokenPair({
+        userId: new mongoose.Types.ObjectId(),
+        email: 'releaser@bank.com',
+        role: 'employee',
+      })
+    ).accessToken;
+  });
+
+  test('should require enrolment before releasing payments', async () => {
+    setEmployee({ enabled: false });
+
+    const res = await submit({});
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('MFA_ENROLMENT_REQUIRED');
+  });
+
+  test('should require a fresh authenticator code', async () => {
+    setEmployee(enrolledMfa(RFC_SECRET));
+
+    const missing = await submit({});
+    expect(missing.status).toBe(403);
+    expect(missing.body.code).toBe('MFA_STEP_UP_REQUIRED');
+
+    // Already spent: the current step is not newer than lastUsedStep
+    employee.mfa.lastUsedStep = timeStep() + 1;
+    const replayed = await submit({ mfaCode: generateTotp(RFC_SECRET) });
+    expect(replayed.body.code).toBe('MFA_CODE_INVALID');
+    expect(createSecurityEvent).toHaveBeenCalledWith(
+      'mfa_step_up_failed',
+      expect.objectContaining({ endpoint: '/api/payments/employee/submit-swift' }),
+      expect.anything()
+    );
+  });
+});
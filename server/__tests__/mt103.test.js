@@ -0,0 +1,98 @@
+/**
+ * MT103 Message Tests
+ * Covers field rendering, X character set and line-length validation
+ */
+
+const { buildMt103Message, validateMt103Payment, toSenderReference } = require('../utils/mt103');
+const { paymentFields } = require('./helpers/fixtures');
+
+const customer = { name: 'Alice Smith', accountNumber: '1234567890' };
+
+const buildPayment = overrides =>
+  paymentFields({
+    transactionId: 'TXN-1700000000000-AB12CD',
+    verifiedAt: new Date('2024-01-15T10:30:00.000Z'),
+    ...overrides,
+  });
+
+const block4Lines = message =>
+  message.substring(message.indexOf('{4:\r\n') + 5, message.lastIndexOf('\r\n-}')).split('\r\n');
+
+describe('MT103', () => {
+  test('should render every field in order', () => {
+    const message = buildMt103Message(buildPayment(), customer);
+
+    expect(message.startsWith('{1:F01INSYZAJJAXXX0000000000}{2:I103BNPAFRPPAXXXN}{4:\r\n')).toBe(
+      true
+    );
+    expect(message.endsWith('\r\n-}')).toBe(true);
+    expect(block4Lines(message)).toEqual([
+      ':20:LOYW3V28AB12CD',
+      ':23B:CRED',
+      ':32A:240115EUR750,50',
+      ':50K:/1234567890',
+      'Alice Smith',
+      ':57A:BNPAFRPP',
+      ':59:/FR1420041010050500013M02606',
+      'Jean Dupont',
+      ':70:INV-001',
+      ':71A:SHA',
+    ]);
+  });
+
+  test('should keep the sender reference within 16 characters', () => {
+    const reference = toSenderReference('TXN-1700000000000-ABCDEFGHIJ');
+
+    expect(reference).toHaveLength(16);
+    expect(reference).not.toContain('/');
+    expect(() => toSenderReference('not-a-transaction')).toThrow();
+  });
+
+  test('should wrap long names onto 35 character lines', () => {
+    const recipientName = 'Bartholomew Alexander Montgomery-Fitzgerald Consulting Limited';
+    const lines = block4Lines(buildMt103Message(buildPayment({ recipientName }), customer));
+    const start = lines.indexOf(':59:/FR1420041010050500013M02606');
+
+    expect(lines.slice(start + 1, start + 3)).toEqual([
+      'Bartholomew Alexander',
+      'Montgomery-Fitzgerald Consulting',
+    ]);
+    expect(lines.every(line => line.replace(/^:\w+:/, '').length <= 35)).toBe(true);
+  });
+
+  test('should omit field 70 without a reference', () => {
+    const message = buildMt103Message(buildPayment({ reference: '' }), customer);
+    expect(message).not.toContain(':70:');
+  });
+
+  test('should report characters outside the X character set', () => {
+    const errors = validateMt103Payment(
+      buildPayment({ reference: 'INV_001', recipientName: 'José Müller' }),
+      customer
+    );
+
+    expect(errors.map(e => e.field)).toEqual(['recipientName', 'reference']);
+    expect(() => buildMt103Message(buildPayment({ reference: 'INV_001' }), customer)).toThrow(
+      'outside the SWIFT X set'
+    );
+  });
+
+  test('should report text that exceeds the field lines', () => {
+    const errors = validateMt103Payment(buildPayment({ recipientName: 'A'.repeat(106) }), customer);
+
+    expect(errors).toEqual([
+      expect.objectContaining({ field: 'recipientName', message: expect.stringMatching(/3 line/) }),
+    ]);
+  });
+
+  test('should reject lines that start like a field tag', () => {
+    const errors = validateMt103Payment(buildPayment({ reference: '-REF' }), customer);
+    expect(errors[0].message).toMatch(/must not start/);
+  });
+
+  test('should require the ordering customer', () => {
+    expect(validateMt103Payment(buildPayment(), null)).toEqual([
+      { field: 'customer', message: 'Ordering customer not found' },
+    ]);
+  });
+});
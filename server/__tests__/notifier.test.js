@@ -0,0 +1,99 @@
+/**
+ * Notifier Tests
+ * Covers the built-in development adapters - the file outbox used by default
+ * and the console adapter, which writes through the logger - and registered
+ * delivery adapters, the only ones production accepts
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { logger } = require('../utils/logger');
+const {
+  NOTIFIER_CONFIG,
+  createConsoleNotifier,
+  createFileNotifier,
+  registerNotifierAdapter,
+  setNotifier,
+  sendNotification,
+} = require('../utils/notifier');
+
+const MESSAGE = {
+  to: 'payer@example.com',
+  subject: 'Confirm your payment',
+  text: 'Your confirmation code is 123456',
+  category: 'payment_confirmation',
+};
+
+describe('Notifier adapters', () => {
+  test('should default to the file outbox', () => {
+    expect(NOTIFIER_CONFIG.adapter).toBe('file');
+  });
+
+  test('should append messages to the outbox as JSON lines', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+    const file = path.join(dir, 'outbox.jsonl');
+
+    try {
+      const notifier = createFileNotifier({ file });
+      await notifier.send(MESSAGE);
+      await notifier.send({ ...MESSAGE, subject: 'Second' });
+
+      const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(JSON.parse);
+      expect(lines).toHaveLength(2);
+      expect(lines[0]).toMatchObject(MESSAGE);
+      expect(lines[1].sentAt).toEqual(expect.any(String));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('should write console notifications through the logger', async () => {
+    const info = jest.spyOn(logger, 'info').mockImplementation(() => {});
+    const write = jest.spyOn(process.stdout, 'write');
+
+    await createConsoleNotifier().send(MESSAGE);
+
+    expect(info).toHaveBeenCalledWith(
+      'Notification',
+      expect.objectContaining({ to: MESSAGE.to, text: MESSAGE.text })
+    );
+    expect(write).not.toHaveBeenCalled();
+  });
+
+  test('should refuse both built-in adapters in production', () => {
+    const env = process.env.NODE_ENV;
+
+    try {
+      process.env.NODE_ENV = 'production';
+      expect(createConsoleNotifier).toThrow('development only');
+      expect(() => createFileNotifier({ file: path.join(os.tmpdir(), 'outbox.jsonl') })).toThrow(
+        'development only'
+      );
+    } finally {
+      process.env.NODE_ENV = env;
+    }
+  });
+
+  test('should use a registered delivery adapter in production', async () => {
+    const env = process.env.NODE_ENV;
+    const adapter = NOTIFIER_CONFIG.adapter;
+    const delivered = [];
+
+    try {
+      process.env.NODE_ENV = 'production';
+      NOTIFIER_CONFIG.adapter = 'email';
+      registerNotifierAdapter('email', () => ({
+        name: 'email',
+        send: async message => delivered.push(message),
+      }));
+
+      await expect(sendNotification(MESSAGE)).resolves.toBe('email');
+      expect(delivered).toEqual([MESSAGE]);
+    } finally {
+      process.env.NODE_ENV = env;
+      NOTIFIER_CONFIG.adapter = adapter;
+      setNotifier(null);
+    }
+  });
+});
@@ -0,0 +1,233 @@
+/**
+ * Password Reset Tests
+ * Covers the non-revealing reset request, single-use expiring tokens stored
+ * as hashes, and what completing a reset clears (lockout, sessions)
+ */
+
+jest.mock('../middleware/securityMonitoring', () => ({
+  ...jest.requireActual('../middleware/securityMonitoring'),
+  createSecurityEvent: jest.fn(),
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const argon2 = require('argon2');
+const Customer = require('../models/Customer');
+const Employee = require('../models/Employee');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const { setNotifier } = require('../utils/notifier');
+const { hashResetToken } = require('../utils/passwordReset');
+const { issueTokenPair } = require('../utils/refreshTokens');
+const {
+  LOCKOUT_CONFIG,
+  trackFailedAttempt,
+  isAccountLocked,
+} = require('../middleware/accountLockout');
+const authRoutes = require('../routes/auth');
+const { mockSessionStore } = require('./helpers/mockStores');
+
+const NEW_PASSWORD = 'Reset!Pass789';
+
+const app = express();
+app.use(express.json());
+app.use(cookieParser());
+app.use('/api/auth', authRoutes);
+
+// In-memory reset token store (no MongoDB)
+const mockResetTokenStore = () => {
+  const tokens = [];
+  const matches = (token, query) =>
+    Object.entries(query).every(([key, value]) => {
+      if (value === null) {
+        return token[key] === null || token[key] === undefined;
+      }
+      if (value && value.$gt) {
+        return token[key] > value.$gt;
+      }
+      return String(token[key]) === String(value);
+    });
+
+  jest.spyOn(PasswordResetToken, 'create').mockImplementation(async data => {
+    const token = new PasswordResetToken(data).toObject();
+    tokens.push(token);
+    return token;
+  });
+  jest.spyOn(PasswordResetToken, 'updateMany').mockImplementation(async (query, update) => {
+    const matched = tokens.filter(token => matches(token, query));
+    matched.forEach(token => Object.assign(token, update.$set));
+    return { modifiedCount: matched.length };
+  });
+  jest.spyOn(PasswordResetToken, 'findOneAndUpdate').mockImplementation(async (query, update) => {
+    const token = tokens.find(candidate => matches(candidate, query));
+    if (token) {
+      Object.assign(token, update.$set);
+    }
+    return token || null;
+  });
+
+  return tokens;
+};
+
+describe('Password reset', () => {
+  let customer;
+  let tokens;
+  let sent;
+
+  const requestReset = body => request(app).post('/api/auth/password-reset/request').send(body);
+  const confirmReset = body => request(app).post('/api/auth/password-reset/confirm').send(body);
+
+  // The request is processed after the response is sent
+  const settle = () => global.testUtils.wait(50);
+  const linkToken = message => new URL(message.text.match(/https:\S+/)[0]).searchParams;
+
+  beforeEach(() => {
+    tokens = mockResetTokenStore();
+    mockSessionStore();
+    sent = [];
+    setNotifier({ name: 'test', send: async message => sent.push(message) });
+
+    customer = new Customer({
+      _id: new mongoose.Types.ObjectId(),
+      name: 'Sipho Dlamini',
+      email: 'sipho@example.com',
+      passwordHash: 'argon2-hash',
+      accountNumber: '9876543210',
+      failedLoginAttempts: 4,
+    });
+    jest
+      .spyOn(Customer, 'findOne')
+      .mockImplementation(async ({ email }) => (email === customer.email ? customer : null));
+    jest.spyOn(Customer, 'findById').mockResolvedValue(customer);
+    jest.spyOn(Customer.prototype, 'save').mockResolvedValue(undefined);
+  });
+
+  afterEach(() => {
+    setNotifier(null);
+  });
+
+  test('should answer the same way whether or not the account exists', async () => {
+    const known = await requestReset({ email: 'sipho@example.com' });
+    const unknown = await requestReset({ email: 'nobody@example.com' });
+    await settle();
+
+    expect(known.status).toBe(202);
+    expect(unknown.status).toBe(202);
+    expect(unknown.body).toEqual(known.body);
+    expect(sent).toHaveLength(1);
+    expect(sent[0].to).toBe('sipho@example.com');
+  });
+
+  test('should store only a hash of the token', async () => {
+    await requestReset({ email: 'sipho@example.com' });
+    await settle();
+
+    const token = linkToken(sent[0]).get('token');
+    expect(token).toMatch(/^[a-f0-9]{64}$/);
+    expect(tokens).toHaveLength(1);
+    expect(tokens[0].tokenHash).toBe(hashResetToken(token));
+    expect(JSON.stringify(tokens[0])).not.toContain(token);
+  });
+
+  test('should reset the password once, clear the lockout and end every session', async () => {
+    for (let i = 0; i < LOCKOUT_CONFIG.MAX_ATTEMPTS; i++) {
+      await trackFailedAttempt(customer.email, '203.0.113.9');
+    }
+    expect((await isAccountLocked(customer.email)).locked).toBe(true);
+    const { accessToken } = await issueTokenPair({
+      userId: customer._id,
+      email: customer.email,
+      role: 'customer',
+    });
+
+    await requestReset({ email: 'sipho@example.com' });
+    await settle();
+    const token = linkToken(sent[0]).get('token');
+
+    const res = await confirmReset({ token, newPassword: NEW_PASSWORD });
+
+    expect(res.status).toBe(200);
+    expect(await argon2.verify(customer.passwordHash, NEW_PASSWORD)).toBe(true);
+    expect(customer.failedLoginAttempts).toBe(0);
+    expect((await isAccountLocked(customer.email)).locked).toBe(false);
+
+    const profile = await request(app)
+      .get('/api/auth/profile')
+      .set('Authorization', `Bearer ${accessToken}`);
+    expect(profile.status).toBe(401);
+
+    const replayed = await confirmReset({ token, newPassword: 'Another!Pass123' });
+    expect(replayed.status).toBe(400);
+    expect(replayed.body.code).toBe('RESET_TOKEN_INVALID');
+  });
+
+  test('should refuse expired links and links replaced by a newer request', async () => {
+    await requestReset({ email: 'sipho@example.com' });
+    await settle();
+    await requestReset({ email: 'sipho@example.com' });
+    await settle();
+
+    const replaced = await confirmReset({
+      token: linkToken(sent[0]).get('token'),
+      newPassword: NEW_PASSWORD,
+    });
+    expect(replaced.body.code).toBe('RESET_TOKEN_INVALID');
+
+    tokens[1].expiresAt = new Date(Date.now() - 1000);
+    const expired = await confirmReset({
+      token: linkToken(sent[1]).get('token'),
+      newPassword: NEW_PASSWORD,
+    });
+    expect(expired.body.code).toBe('RESET_TOKEN_INVALID');
+  });
+
+  test('should send employees a link back to the employee portal', async () => {
+    const employee = new Employee({
+      _id: new mongoose.Types.ObjectId(),
+      name: 'Test Verifier',
+      email: 'verifier@bank.com',
+      passwordHash: 'argon2-hash',
+      employeeId: 'EMP-0042',
+      department: 'Verification',
+    });
+    jest.spyOn(Employee, 'findOne').mockResolvedValue(employee);
+
+    await requestReset({ email: 'verifier@bank.com', accountType: 'employee' });
+    await settle();
+
+    expect(linkToken(sent[0]).get('type')).toBe('employee');
+    expect(tokens[0].accountType).toBe('employee');
+  });
+
+  test('should keep the token key across restarts and require one in production', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reset-key-'));
+    const env = { ...process.env };
+    const loadPasswordReset = () => {
+      let passwordReset;
+      jest.isolateModules(() => {
+        passwordReset = require('../utils/passwordReset');
+      });
+      return passwordReset;
+    };
+
+    try {
+      delete process.env.PASSWORD_RESET_SECRET;
+      process.env.PASSWORD_RESET_SECRET_FILE = path.join(dir, 'reset.key');
+
+      expect(loadPasswordReset().hashResetToken('token')).toBe(
+        loadPasswordReset().hashResetToken('token')
+      );
+
+      process.env.NODE_ENV = 'production';
+      process.env.PASSWORD_RESET_SECRET_FILE = path.join(dir, 'missing.key');
+      expect(loadPasswordReset).toThrow('No password reset secret');
+    } finally {
+      process.env = env;
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
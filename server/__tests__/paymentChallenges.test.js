@@ -0,0 +1,377 @@
+/**
+ * Payment Confirmation Challenge Tests
+ * Covers binding challenges to payment details, one-time codes sent through
+ * the notifier, authenticator confirmation, attempt limits and the
+ * confirmation required before POST /api/payments persists anything
+ */
+
+jest.mock('../middleware/securityMonitoring', () => ({
+  ...jest.requireActual('../middleware/securityMonitoring'),
+  createSecurityEvent: jest.fn(),
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const PaymentChallenge = require('../models/PaymentChallenge');
+const Payment = require('../models/Payment');
+const Customer = require('../models/Customer');
+const FxQuote = require('../models/FxQuote');
+const { base32Encode, generateTotp, encryptSecret } = require('../utils/mfa');
+const { setNotifier } = require('../utils/notifier');
+const { postDeposit } = require('../utils/ledger');
+const {
+  PAYMENT_CHALLENGE_CONFIG,
+  canonicalPaymentDetails,
+  hashPaymentDetails,
+  createPaymentChallenge,
+  confirmPaymentChallenge,
+} = require('../utils/paymentChallenges');
+const { issueTokenPair } = require('../utils/refreshTokens');
+const { createSecurityEvent } = require('../middleware/securityMonitoring');
+const paymentRoutes = require('../routes/payments');
+const { mockLedger, mockSessionStore } = require('./helpers/mockStores');
+
+const SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+const DETAILS = {
+  amount: '1500.50',
+  currency: 'USD',
+  recipientAccount: 'GB29NWBK60161331926819',
+  recipientSwift: 'NWBKGB2L',
+  recipientName: 'Jane Smith',
+  reference: 'Invoice 12345',
+};
+
+const app = express();
+app.use(express.json());
+app.use(cookieParser());
+app.use('/api/payments', paymentRoutes);
+
+const buildCustomer = mfa => ({
+  _id: new mongoose.Types.ObjectId(),
+  email: 'payer@example.com',
+  mfa,
+});
+
+// In-memory challenge store (no MongoDB)
+const mockChallengeStore = () => {
+  const challenges = new Map();
+  const matches = (challenge, query) =>
+    Object.entries(query).every(([key, value]) => String(challenge[key]) === String(value));
+  const find = query => Array.from(challenges.values()).find(c => matches(c, query)) || null;
+  const apply = (challenge, update) => {
+    Object.assign(challenge, update.$set);
+    if (update.$inc) {
+      challenge.attempts += update.$inc.attempts;
+    }
+  };
+
+  jest.spyOn(PaymentChallenge, 'create').mockImplementation(async data => {
+    const challenge = new PaymentChallenge(data).toObject();
+    challenges.set(challenge.challengeId, challenge);
+    return challenge;
+  });
+  jest.spyOn(PaymentChallenge, 'findOne').mockImplementation(async query => find(query));
+  jest.spyOn(PaymentChallenge, 'findOneAndUpdate').mockImplementation(async (query, update) => {
+    const challenge = find(query);
+    if (challenge) {
+      apply(challenge, update);
+    }
+    return challenge;
+  });
+  jest.spyOn(PaymentChallenge, 'updateOne').mockImplementation(async (query, update) => {
+    const challenge = find(query);
+    if (challenge) {
+      apply(challenge, update);
+    }
+    return { modifiedCount: challenge ? 1 : 0 };
+  });
+
+  return challenges;
+};
+
+// In-memory FX quote store (no MongoDB)
+const mockQuoteStore = () => {
+  const quotes = new Map();
+  const find = query =>
+    Array.from(quotes.values()).find(
+      q => q.quoteId === query.quoteId && (query.used === undefined || q.used === query.used)
+    ) || null;
+
+  jest.spyOn(FxQuote, 'create').mockImplementation(async data => {
+    const quote = { ...data, used: false };
+    quotes.set(quote.quoteId, quote);
+    return quote;
+  });
+  jest.spyOn(FxQuote, 'findOneAndUpdate').mockImplementation(async (query, update) => {
+    const quote = find(query);
+    if (quote) {
+      Object.assign(quote, update.$set);
+    }
+    return quote;
+  });
+  jest.spyOn(FxQuote, 'updateOne').mockImplementation(async (query, update) => {
+    const quote = find(query);
+    if (quote) {
+      Object.assign(quote, update.$set);
+    }
+    return { modifiedCount: quote ? 1 : 0 };
+  });
+
+  return quotes;
+};
+
+let sent;
+let challenges;
+
+beforeEach(() => {
+  challenges = mockChallengeStore();
+  sent = [];
+  setNotifier({ name: 'test', send: async message => sent.push(message) });
+});
+
+afterEach(() => {
+  setNotifier(null);
+});
+
+const sentCode = () => sent[sent.length - 1].text.match(/code is (\d{6})/)[1];
+
+describe('Challenge binding', () => {
+  test('should hash the canonical form of the payment details', () => {
+    expect(canonicalPaymentDetails({ ...DETAILS, recipientSwift: ' nwbkgb2l ' })).toEqual({
+      ...DETAILS,
+      amount: 1500.5,
+    });
+    expect(hashPaymentDetails({ ...DETAILS, amount: 1500.5 })).toBe(hashPaymentDetails(DETAILS));
+    expect(hashPaymentDetails({ ...DETAILS, amount: '1500.51' })).not.toBe(
+      hashPaymentDetails(DETAILS)
+    );
+    expect(hashPaymentDetails({ ...DETAILS, recipientAccount: 'GB82WEST12345698765432' })).not.toBe(
+      hashPaymentDetails(DETAILS)
+    );
+  });
+
+  test('should send a one-time code that repeats the details', async () => {
+    const customer = buildCustomer({ enabled: false });
+
+    const challenge = await createPaymentChallenge(customer, DETAILS);
+
+    expect(challenge.method).toBe('otp');
+    expect(sent).toHaveLength(1);
+    expect(sent[0].to).toBe('payer@example.com');
+    expect(sent[0].text).toContain('1500.50 USD');
+    expect(sent[0].text).toContain('GB29NWBK60161331926819');
+    expect(sent[0].text).toContain('NWBKGB2L');
+    expect(challenges.get(challenge.challengeId).codeHash).not.toContain(sentCode());
+    expect(challenges.get(challenge.challengeId).deliveredVia).toBe('test');
+  });
+
+  test('should keep the challenge secret across restarts and require one in production', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'challenge-key-'));
+    const env = { ...process.env };
+    const loadChallenges = () => {
+      let paymentChallenges;
+      jest.isolateModules(() => {
+        paymentChallenges = require('../utils/paymentChallenges');
+      });
+      return paymentChallenges;
+    };
+
+    try {
+      delete process.env.PAYMENT_CHALLENGE_SECRET;
+      process.env.PAYMENT_CHALLENGE_SECRET_FILE = path.join(dir, 'challenge.key');
+
+      expect(loadChallenges().hashPaymentDetails(DETAILS)).toBe(
+        loadChallenges().hashPaymentDetails(DETAILS)
+      );
+
+      process.env.NODE_ENV = 'production';
+      process.env.PAYMENT_CHALLENGE_SECRET_FILE = path.join(dir, 'missing.key');
+      expect(loadChallenges).toThrow('No payment challenge secret');
+    } finally {
+      process.env = env;
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('Challenge confirmation', () => {
+  test('should confirm a one-time code once', async () => {
+    const customer = buildCustomer({ enabled: false });
+    const { challengeId } = await createPaymentChallenge(customer, DETAILS);
+    const code = sentCode();
+
+    const confirmed = await confirmPaymentChallenge({
+      challengeId,
+      customer,
+      input: DETAILS,
+      code,
+    });
+    expect(confirmed.status).toBe('confirmed');
+
+    await expect(
+      confirmPaymentChallenge({ challengeId, customer, input: DETAILS, code })
+    ).rejects.toMatchObject({ code: 'CHALLENGE_USED' });
+  });
+
+  test('should void the challenge when the details change', async () => {
+    const customer = buildCustomer({ enabled: false });
+    const { challengeId } = await createPaymentChallenge(customer, DETAILS);
+    const code = sentCode();
+
+    await expect(
+      confirmPaymentChallenge({
+        challengeId,
+        customer,
+        input: { ...DETAILS, recipientAccount: 'GB82WEST12345698765432' },
+        code,
+      })
+    ).rejects.toMatchObject({ code: 'CHALLENGE_MISMATCH' });
+
+    // The code cannot be used for the original details afterwards either
+    await expect(
+      confirmPaymentChallenge({ challengeId, customer, input: DETAILS, code })
+    ).rejects.toMatchObject({ code: 'CHALLENGE_USED' });
+  });
+
+  test('should fail the challenge after too many wrong codes', async () => {
+    const customer = buildCustomer({ enabled: false });
+    const { challengeId } = await createPaymentChallenge(customer, DETAILS);
+    const wrong = sentCode() === '000000' ? '111111' : '000000';
+
+    for (let i = 1; i <= PAYMENT_CHALLENGE_CONFIG.maxAttempts; i++) {
+      await expect(
+        confirmPaymentChallenge({ challengeId, customer, input: DETAILS, code: wrong })
+      ).rejects.toMatchObject({
+        code: 'CHALLENGE_CODE_INVALID',
+        attemptsRemaining: PAYMENT_CHALLENGE_CONFIG.maxAttempts - i,
+      });
+    }
+
+    expect(challenges.get(challengeId).status).toBe('failed');
+  });
+
+  test('should refuse expired challenges and other customers', async () => {
+    const customer = buildCustomer({ enabled: false });
+    const { challengeId } = await createPaymentChallenge(customer, DETAILS);
+    const code = sentCode();
+
+    await expect(
+      confirmPaymentChallenge({ challengeId, customer: buildCustomer(), input: DETAILS, code })
+    ).rejects.toMatchObject({ code: 'CHALLENGE_NOT_FOUND' });
+
+    challenges.get(challengeId).expiresAt = new Date(Date.now() - 1000);
+    await expect(
+      confirmPaymentChallenge({ challengeId, customer, input: DETAILS, code })
+    ).rejects.toMatchObject({ code: 'CHALLENGE_EXPIRED' });
+  });
+
+  test('should confirm with the authenticator when two-factor is enabled', async () => {
+    const customer = buildCustomer({
+      enabled: true,
+      secret: encryptSecret(SECRET),
+      recoveryCodeHashes: [],
+    });
+    jest.spyOn(Customer, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    const { challengeId, method } = await createPaymentChallenge(customer, DETAILS);
+    expect(method).toBe('totp');
+    expect(sent).toHaveLength(0);
+
+    const confirmed = await confirmPaymentChallenge({
+      challengeId,
+      customer,
+      input: DETAILS,
+      code: generateTotp(SECRET),
+    });
+    expect(confirmed.method).toBe('totp');
+  });
+});
+
+describe('POST /api/payments confirmation', () => {
+  let token;
+  let customer;
+  let quotes;
+
+  const post = (path, body) =>
+    request(app).post(`/api/payments${path}`).set('Authorization', `Bearer ${token}`).send(body);
+
+  const fund = amount => postDeposit({ customerId: customer._id, amount, currency: 'USD' });
+
+  beforeEach(async () => {
+    mockSessionStore();
+    mockLedger();
+    quotes = mockQuoteStore();
+    customer = buildCustomer({ enabled: false });
+    jest.spyOn(Customer, 'findById').mockResolvedValue(customer);
+    jest.spyOn(Payment.prototype, 'save');
+    token = (
+      await issueTokenPair({ userId: customer._id, email: customer.email, role: 'customer' })
+    ).accessToken;
+  });
+
+  test('should require a confirmed challenge', async () => {
+    const res = await post('', DETAILS);
+
+    expect(res.status).toBe(428);
+    expect(res.body.code).toBe('CONFIRMATION_REQUIRED');
+    expect(Payment.prototype.save).not.toHaveBeenCalled();
+  });
+
+  test('should not create a payment for details other than those confirmed', async () => {
+    await fund(10000);
+    const challengeRes = await post('/challenge', DETAILS);
+    expect(challengeRes.status).toBe(201);
+    expect(challengeRes.body.challenge.details.recipientAccount).toBe(DETAILS.recipientAccount);
+
+    const res = await post('', {
+      ...DETAILS,
+      amount: '9500.00',
+      challengeId: challengeRes.body.challenge.challengeId,
+      confirmationCode: sentCode(),
+    });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('CHALLENGE_MISMATCH');
+    expect(Payment.prototype.save).not.toHaveBeenCalled();
+    expect(createSecurityEvent).toHaveBeenCalledWith(
+      'payment_challenge_mismatch',
+      expect.objectContaining({ challengeId: challengeRes.body.challenge.challengeId }),
+      expect.anything()
+    );
+  });
+
+  test('should leave the challenge usable when the customer cannot fund the payment', async () => {
+    const challengeRes = await post('/challenge', DETAILS);
+    const { challengeId } = challengeRes.body.challenge;
+
+    const res = await post('', { ...DETAILS, challengeId, confirmationCode: sentCode() });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Insufficient funds');
+    expect(challenges.get(challengeId)).toMatchObject({ status: 'pending', attempts: 0 });
+    expect(Array.from(quotes.values()).every(q => !q.used)).toBe(true);
+  });
+
+  test('should hand the FX quote back when the confirmation code is wrong', async () => {
+    await fund(2000);
+    const challengeRes = await post('/challenge', DETAILS);
+
+    const res = await post('', {
+      ...DETAILS,
+      challengeId: challengeRes.body.challenge.challengeId,
+      confirmationCode: sentCode() === '000000' ? '111111' : '000000',
+    });
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('CHALLENGE_CODE_INVALID');
+    expect(quotes.size).toBe(1);
+    expect(Array.from(quotes.values())[0].used).toBe(false);
+    expect(Payment.prototype.save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * Employee Payment Query Tests
+ * Covers filter building, keyset cursor pagination, and query validation on
+ * the employee payment list routes
+ */
+
+jest.mock('../middleware/securityMonitoring', () => ({
+  ...jest.requireActual('../middleware/securityMonitoring'),
+  createSecurityEvent: jest.fn(),
+}));
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Employee = require('../models/Employee');
+const Payment = require('../models/Payment');
+const { issueTokenPair } = require('../utils/refreshTokens');
+const { buildPaymentFilter, listPayments } = require('../utils/paymentQuery');
+const { mockSessionStore } = require('./helpers/mockStores');
+
+const newPayment = (amount, createdAt) =>
+  new Payment({
+    transactionId: `TXN-${createdAt.getTime()}-Q${amount}`,
+    customerId: new mongoose.Types.ObjectId(),
+    customerEmail: 'customer@example.com',
+    amount,
+    currency: 'EUR',
+    recipientAccount: 'FR1420041010050500013M02606',
+    recipientSwift: 'BNPAFRPP',
+    recipientName: 'Jean Dupont',
+    createdAt,
+  });
+
+/**
+ * Stub Payment.find / countDocuments, recording the queries they receive
+ */
+const mockPaymentList = rows => {
+  const queries = [];
+  jest.spyOn(Payment, 'find').mockImplementation(filter => {
+    const query = { filter };
+    queries.push(query);
+    const chain = {
+      populate: () => chain,
+      sort: sort => Object.assign(query, { sort }) && chain,
+      limit: async limit => rows.slice(0, limit),
+    };
+    return chain;
+  });
+  jest.spyOn(Payment, 'countDocuments').mockResolvedValue(rows.length);
+  return queries;
+};
+
+describe('Employee payment queries', () => {
+  test('should build a filter from the whitelisted parameters', () => {
+    expect(
+      buildPaymentFilter({
+        status: 'verified,completed',
+        currency: 'EUR',
+        minAmount: '100',
+        maxAmount: '2500.50',
+        from: '2026-01-01T00:00:00.000Z',
+        customer: 'Customer@Example.com',
+        swift: 'bnpafrpp',
+        q: 'INV-2026.1*',
+      })
+    ).toEqual({
+      status: { $in: ['verified', 'completed'] },
+      currency: 'EUR',
+      amount: { $gte: 100, $lte: 2500.5 },
+      createdAt: { $gte: new Date('2026-01-01T00:00:00.000Z') },
+      customerEmail: 'customer@example.com',
+      recipientSwift: /^BNPAFRPP/,
+      $or: [{ transactionId: /INV-2026\.1\*/i }, { reference: /INV-2026\.1\*/i }],
+    });
+
+    const customerId = new mongoose.Types.ObjectId().toString();
+    expect(
+      buildPaymentFilter({ status: 'all', customer: customerId, swift: 'BNPAFRPPXXX' })
+    ).toEqual({ customerId, recipientSwift: 'BNPAFRPPXXX' });
+  });
+
+  test('should page with a cursor after the last row of the previous page', async () => {
+    const rows = [300, 200, 100].map((amount, i) =>
+      newPayment(amount, new Date(Date.UTC(2026, 0, 3 - i)))
+    );
+    const queries = mockPaymentList(rows);
+
+    const first = await listPayments({ sort: 'amount', limit: '2' }, { status: 'pending' });
+
+    expect(first.payments).toHaveLength(2);
+    expect(first.pagination).toMatchObject({ limit: 2, total: 3, hasMore: true, order: 'desc' });
+    expect(queries[0]).toEqual({ filter: { status: 'pending' }, sort: { amount: -1, _id: -1 } });
+
+    const second = await listPayments(
+      { sort: 'amount', limit: '2', cursor: first.pagination.nextCursor },
+      { status: 'pending' }
+    );
+
+    expect(queries[1].filter).toEqual({
+      $and: [
+        { status: 'pending' },
+        {
+          $or: [{ amount: { $lt: 200 } }, { amount: 200, _id: { $lt: rows[1]._id } }],
+        },
+      ],
+    });
+    expect(second.pagination.total).toBe(3);
+
+    await expect(listPayments({ cursor: 'not-a-cursor' })).rejects.toMatchObject({
+      code: 'INVALID_CURSOR',
+    });
+  });
+
+  describe('Routes', () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/payments', require('../routes/payments'));
+
+    let token;
+
+    beforeEach(async () => {
+      mockSessionStore();
+
+      const employeeId = new mongoose.Types.ObjectId().toString();
+      const employee = {
+        _id: employeeId,
+        name: 'Payments Clerk',
+        department: 'Payments',
+        permissions: ['view_payments'],
+        status: 'active',
+      };
+      jest
+        .spyOn(Employee, 'findById')
+        .mockImplementation(() =>
+          Object.assign(Promise.resolve(employee), { select: async () => employee })
+        );
+
+      ({ accessToken: token } = await issueTokenPair({
+        userId: employeeId,
+        email: 'clerk@bank.com',
+        role: 'employee',
+      }));
+    });
+
+    test('should return a page of payments with pagination details', async () => {
+      const queries = mockPaymentList([newPayment(150, new Date())]);
+
+      const res = await request(app)
+        .get('/api/payments/employee/pending?currency=EUR&sort=createdAt&order=asc')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.transactions).toHaveLength(1);
+      expect(res.body.pagination).toEqual({
+        limit: 25,
+        total: 1,
+        hasMore: false,
+        nextCursor: null,
+        sort: 'createdAt',
+        order: 'asc',
+      });
+      expect(queries[0].filter).toEqual({ currency: 'EUR', status: 'pending' });
+    });
+
+    test('should reject parameters outside the whitelist', async () => {
+      mockPaymentList([]);
+      const get = query =>
+        request(app)
+          .get(`/api/payments/employee/all?${query}`)
+          .set('Authorization', `Bearer ${token}`);
+
+      for (const query of [
+        'recipientName=Jean',
+        'sort=recipientName',
+        'status=pending&status=verified',
+        'status=pending,deleted',
+        'minAmount=500&maxAmount=100',
+        'customer=not-an-email',
+        'q[$ne]=x',
+        'limit=500',
+      ]) {
+        const res = await get(query);
+        expect({ query, status: res.status }).toEqual({ query, status: 400 });
+      }
+
+      const badCursor = await get('cursor=bm90LWpzb24');
+      expect(badCursor.status).toBe(400);
+      expect(badCursor.body.code).toBe('INVALID_CURSOR');
+      expect(Payment.find).toHaveBeenCalledTimes(0);
+    });
+  });
+});
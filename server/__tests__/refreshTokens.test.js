@@ -0,0 +1,147 @@
+/**
+ * Refresh Token Rotation Tests
+ * Covers token families, rotation, reuse detection and the /api/auth/refresh route
+ */
+
+jest.mock('../middleware/securityMonitoring', () => ({
+  ...jest.requireActual('../middleware/securityMonitoring'),
+  createSecurityEvent: jest.fn(),
+}));
+
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Customer = require('../models/Customer');
+const { verifyToken, generateRefreshToken } = require('../utils/jwtSecurity');
+const { createSecurityEvent } = require('../middleware/securityMonitoring');
+const { issueTokenPair, rotateRefreshToken } = require('../utils/refreshTokens');
+const authRoutes = require('../routes/auth');
+const { mockSessionStore } = require('./helpers/mockStores');
+
+const customer = {
+  userId: new mongoose.Types.ObjectId(),
+  email: 'customer@example.com',
+  role: 'customer',
+};
+
+const cookieValue = (res, name) => {
+  const cookie = (res.headers['set-cookie'] || []).find(header => header.startsWith(`${name}=`));
+  return cookie && cookie.split(';')[0].substring(name.length + 1);
+};
+
+describe('Refresh Token Rotation', () => {
+  let families;
+
+  beforeEach(() => {
+    families = mockSessionStore();
+  });
+
+  describe('Token Families', () => {
+    test('should start a family and embed it in the refresh token', async () => {
+      const { accessToken, refreshToken, familyId } = await issueTokenPair(customer);
+
+      const access = await verifyToken(accessToken, 'access');
+      const refresh = await verifyToken(refreshToken, 'refresh');
+
+      expect(access.role).toBe('customer');
+      expect(refresh).toEqual(
+        expect.objectContaining({ tokenType: 'refresh', role: 'customer', familyId })
+      );
+      expect(families.get(familyId).currentJti).toBe(refresh.jti);
+    });
+
+    test('should rotate to a new refresh token that keeps the role', async () => {
+      const issued = await issueTokenPair(customer);
+
+      const rotated = await rotateRefreshToken(issued.refreshToken);
+      const refresh = await verifyToken(rotated.refreshToken, 'refresh');
+
+      expect(rotated.refreshToken).not.toBe(issued.refreshToken);
+      expect((await verifyToken(rotated.accessToken, 'access')).role).toBe('customer');
+      expect(refresh.familyId).toBe(issued.familyId);
+      expect(rotated.family.rotations).toBe(1);
+    });
+
+    test('should revoke the whole family when a spent token is replayed', async () => {
+      const issued = await issueTokenPair(customer);
+      const rotated = await rotateRefreshToken(issued.refreshToken);
+
+      await expect(rotateRefreshToken(issued.refreshToken)).rejects.toMatchObject({
+        code: 'REFRESH_TOKEN_REUSED',
+      });
+      expect(families.get(issued.familyId).revokedReason).toBe('reuse_detected');
+
+      // The legitimate holder's newer token is revoked with it
+      await expect(rotateRefreshToken(rotated.refreshToken)).rejects.toMatchObject({
+        code: 'REFRESH_TOKEN_REVOKED',
+      });
+    });
+
+    test('should reject refresh tokens without a family', async () => {
+      const legacy = await generateRefreshToken(customer);
+
+      await expect(rotateRefreshToken(legacy)).rejects.toMatchObject({
+        code: 'REFRESH_TOKEN_INVALID',
+      });
+    });
+  });
+
+  describe('Refresh Route', () => {
+    const app = express();
+    app.use(express.json());
+    app.use(cookieParser());
+    app.use('/api/auth', authRoutes);
+
+    const refresh = token =>
+      request(app).post('/api/auth/refresh').set('Cookie', `refreshToken=${token}`);
+
+    beforeEach(() => {
+      jest.spyOn(Customer, 'findById').mockReturnValue({
+        select: jest.fn().mockResolvedValue({ status: 'active' }),
+      });
+    });
+
+    test('should set rotated cookies scoped to the refresh path', async () => {
+      const issued = await issueTokenPair(customer);
+
+      const res = await refresh(issued.refreshToken);
+
+      expect(res.status).toBe(200);
+      expect(cookieValue(res, 'accessToken')).toBeTruthy();
+      expect(cookieValue(res, 'refreshToken')).not.toBe(issued.refreshToken);
+      expect(res.headers['set-cookie'].join(';')).toContain('Path=/api/auth/refresh');
+    });
+
+    test('should log reuse and clear the cookies', async () => {
+      const issued = await issueTokenPair(customer);
+      await refresh(issued.refreshToken);
+
+      const res = await refresh(issued.refreshToken);
+
+      expect(res.status).toBe(401);
+      expect(res.body).toEqual(
+        expect.objectContaining({ code: 'REFRESH_TOKEN_REUSED', requiresLogin: true })
+      );
+      expect(cookieValue(res, 'refreshToken')).toBe('');
+      expect(createSecurityEvent).toHaveBeenCalledWith(
+        'refresh_token_reuse',
+        expect.objectContaining({ familyId: issued.familyId, email: customer.email }),
+        expect.anything()
+      );
+    });
+
+    test('should end sessions of suspended accounts', async () => {
+      Customer.findById.mockReturnValue({
+        select: jest.fn().mockResolvedValue({ status: 'suspended' }),
+      });
+      const issued = await issueTokenPair(customer);
+
+      const res = await refresh(issued.refreshToken);
+
+      expect(res.status).toBe(401);
+      expect(res.body.code).toBe('ACCOUNT_INACTIVE');
+      expect(families.get(issued.familyId).revokedReason).toBe('account_inactive');
+    });
+  });
+});
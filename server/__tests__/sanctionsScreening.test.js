@@ -0,0 +1,270 @@
+/**
+ * Sanctions Screening Tests
+ * Covers list parsing, fuzzy name matching, country hits, the screening
+ * hold on payments and the Management override on the verify route
+ */
+
+jest.mock('../middleware/securityMonitoring', () => ({
+  ...jest.requireActual('../middleware/securityMonitoring'),
+  createSecurityEvent: jest.fn(),
+}));
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Customer = require('../models/Customer');
+const Employee = require('../models/Employee');
+const Payment = require('../models/Payment');
+const { issueTokenPair } = require('../utils/refreshTokens');
+const { postDeposit, placeHold } = require('../utils/ledger');
+const { createSecurityEvent } = require('../middleware/securityMonitoring');
+const {
+  transliterate,
+  nameSimilarity,
+  parseSanctionsXml,
+  loadSanctionsList,
+  screenRecipient,
+  screenPayment,
+} = require('../utils/sanctionsScreening');
+const { mockLedger, mockAuditLog, mockSessionStore } = require('./helpers/mockStores');
+const { buildPayment } = require('./helpers/fixtures');
+
+const SDN_XML = `<?xml version="1.0" standalone="yes"?>
+<sdnList>
+  <sdnEntry>
+    <uid>36</uid>
+    <lastName>EXAMPLE TRADING &amp; SHIPPING</lastName>
+    <sdnType>Entity</sdnType>
+    <programList><program>SAMPLE-IRAN</program></programList>
+    <akaList>
+      <aka><uid>12</uid><type>a.k.a.</type><lastName>EXTRASHIP</lastName></aka>
+    </akaList>
+    <addressList><address><uid>25</uid><country>Iran</country></address></addressList>
+  </sdnEntry>
+  <sdnEntry>
+    <uid>173</uid>
+    <firstName>Ivan</firstName>
+    <lastName>SAMPLEOV</lastName>
+    <sdnType>Individual</sdnType>
+    <programList><program>SAMPLE-UKRAINE</program><program>SAMPLE-CYBER</program></programList>
+  </sdnEntry>
+</sdnList>`;
+
+describe('Sanctions Screening', () => {
+  describe('Name Matching', () => {
+    test('should transliterate accents and Cyrillic', () => {
+      expect(transliterate('MÜLLER-VARGAS, José')).toBe('muller vargas jose');
+      expect(transliterate('Дмитрий Коваленко')).toBe('dmitriy kovalenko');
+      expect(transliterate('Straße')).toBe('strasse');
+    });
+
+    test('should tolerate token order, spelling variants and company suffixes', () => {
+      expect(nameSimilarity('Dmitri Kovalenko', 'KOVALENKO, Dmitri Ivanovich')).toBeGreaterThan(
+        0.9
+      );
+      expect(nameSimilarity('Dmitry Kovalenko', 'Дмитрий Коваленко')).toBeGreaterThan(0.95);
+      expect(nameSimilarity('Northern Star Shipping Ltd', 'Northern Star Shipping LLC')).toBe(1);
+      expect(nameSimilarity('Jean Dupont', 'KOVALENKO, Dmitri Ivanovich')).toBeLessThan(0.6);
+    });
+
+    test('should report hits against the list with score and entry', () => {
+      const result = screenRecipient({ name: 'Khalid Al-Rashidi' });
+
+      expect(result.status).toBe('hit');
+      expect(result.matches[0]).toEqual(
+        expect.objectContaining({
+          type: 'name',
+          entryId: '9003',
+          entryName: 'AL-RASHIDI, Khalid Mahmoud',
+          program: 'SAMPLE-SDGT',
+        })
+      );
+      expect(result.topScore).toBe(result.matches[0].score);
+      expect(result.listVersion).toBe(loadSanctionsList().version);
+    });
+
+    test('should clear unrelated names', () => {
+      ['Jean Dupont', 'John Smith', 'Maria Kovalenko'].forEach(name => {
+        expect(screenRecipient({ name }).status).toBe('clear');
+      });
+    });
+  });
+
+  describe('Lists and Countries', () => {
+    test('should parse OFAC SDN XML entries and aliases', () => {
+      expect(parseSanctionsXml(SDN_XML)).toEqual([
+        {
+          uid: '36',
+          name: 'EXAMPLE TRADING & SHIPPING',
+          type: 'entity',
+          program: 'SAMPLE-IRAN',
+          country: 'Iran',
+          aliases: ['EXTRASHIP'],
+        },
+        {
+          uid: '173',
+          name: 'SAMPLEOV, Ivan',
+          type: 'individual',
+          program: 'SAMPLE-UKRAINE, SAMPLE-CYBER',
+          country: '',
+          aliases: [],
+        },
+      ]);
+    });
+
+    test('should hold recipients in sanctioned countries', () => {
+      const result = screenRecipient({ name: 'Jean Dupont', countries: ['FR', 'IR'] });
+
+      expect(result.status).toBe('hit');
+      expect(result.matches).toEqual([
+        expect.objectContaining({ type: 'country', country: 'IR', score: 1 }),
+      ]);
+    });
+  });
+
+  describe('Payment Hold', () => {
+    beforeEach(() => {
+      mockLedger();
+      jest.spyOn(Payment.prototype, 'save').mockImplementation(async function () {
+        return this;
+      });
+    });
+
+    const holdPayment = async overrides => {
+      const payment = buildPayment(overrides);
+      await postDeposit({ customerId: payment.customerId, amount: 1000, currency: 'EUR' });
+      await placeHold(payment);
+      return payment.applyScreening(screenPayment(payment));
+    };
+
+    test('should leave clear payments pending', async () => {
+      const payment = await holdPayment();
+
+      expect(payment.status).toBe('pending');
+      expect(payment.screening.status).toBe('clear');
+    });
+
+    test('should block approval of an unresolved hit until it is overridden', async () => {
+      const payment = await holdPayment({ recipientName: 'Yelena Petrova' });
+      const employeeId = new mongoose.Types.ObjectId();
+
+      expect(payment.status).toBe('screening');
+      await expect(payment.verify(employeeId, 'verifier@bank.com', true, '')).rejects.toThrow(
+        'unresolved sanctions screening hit'
+      );
+
+      await payment.verify(
+        employeeId,
+        'manager@bank.com',
+        true,
+        'Different date of birth',
+        'Management',
+        { overrideScreening: true }
+      );
+
+      expect(payment.status).toBe('verified');
+      expect(payment.screening.status).toBe('overridden');
+      expect(payment.screening.resolvedByEmail).toBe('manager@bank.com');
+    });
+
+    test('should record rejected hits as blocked', async () => {
+      const payment = await holdPayment({ recipientName: 'Dmitry Kovalenko' });
+
+      await payment.verify(new mongoose.Types.ObjectId(), 'verifier@bank.com', false, 'SDN match');
+
+      expect(payment.status).toBe('rejected');
+      expect(payment.screening.status).toBe('blocked');
+    });
+  });
+
+  describe('Override route', () => {
+    const employeeId = new mongoose.Types.ObjectId().toString();
+    const app = express();
+    app.use(express.json());
+    app.use('/api/payments', require('../routes/payments'));
+
+    let token;
+    let payment;
+    let auditEntries;
+
+    beforeEach(async () => {
+      mockSessionStore();
+      mockLedger();
+      auditEntries = mockAuditLog();
+
+      const employee = {
+        _id: employeeId,
+        name: 'Compliance Manager',
+        department: 'Management',
+        permissions: ['view_payments', 'verify_payments'],
+        status: 'active',
+      };
+      jest
+        .spyOn(Employee, 'findById')
+        .mockImplementation(() =>
+          Object.assign(Promise.resolve(employee), { select: async () => employee })
+        );
+      jest.spyOn(Customer, 'findById').mockResolvedValue(null);
+      jest.spyOn(Payment.prototype, 'save').mockImplementation(async function () {
+        return this;
+      });
+
+      payment = buildPayment({ recipientName: 'Yelena Petrova' });
+      await postDeposit({ customerId: payment.customerId, amount: 1000, currency: 'EUR' });
+      await placeHold(payment);
+      payment.applyScreening(screenPayment(payment));
+      jest.spyOn(Payment, 'findOne').mockResolvedValue(payment);
+
+      ({ accessToken: token } = await issueTokenPair({
+        userId: employeeId,
+        email: 'manager@bank.com',
+        role: 'employee',
+      }));
+    });
+
+    const approve = () =>
+      request(app)
+        .post(`/api/payments/employee/verify/${payment.transactionId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          verified: true,
+          verifierNotes: 'Different date of birth',
+          overrideScreening: true,
+        });
+
+    test('should override the hit in the same save as the approval', async () => {
+      const res = await approve();
+
+      expect(res.status).toBe(200);
+      expect(payment.status).toBe('verified');
+      expect(payment.screening).toMatchObject({
+        status: 'overridden',
+        resolvedByEmail: 'manager@bank.com',
+      });
+      expect(Payment.prototype.save).toHaveBeenCalledTimes(1);
+      expect(auditEntries.map(e => e.action)).toEqual(['screening_override', 'payment_approved']);
+    });
+
+    test('should leave the hit unresolved when the approval is refused', async () => {
+      payment.approvalSteps.push({
+        employeeId,
+        employeeEmail: 'manager@bank.com',
+        department: 'Management',
+        decision: 'approved',
+      });
+
+      const res = await approve();
+
+      expect(res.status).toBe(409);
+      expect(res.body.code).toBe('DUPLICATE_APPROVER');
+      expect(payment.screening.status).toBe('hit');
+      expect(Payment.prototype.save).not.toHaveBeenCalled();
+      expect(auditEntries).toHaveLength(0);
+      expect(createSecurityEvent).not.toHaveBeenCalledWith(
+        'screening_override',
+        expect.anything(),
+        expect.anything()
+      );
+    });
+  });
+});
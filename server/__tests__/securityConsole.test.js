@@ -0,0 +1,141 @@
+/**
+ * Security Console Tests
+ * Covers the Administration-only security routes: event search filters,
+ * listing and unlocking locked accounts, and listing and unblocking IPs
+ */
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Employee = require('../models/Employee');
+const { issueTokenPair } = require('../utils/refreshTokens');
+const { createMemorySecurityStore, setSecurityStore } = require('../utils/securityStore');
+const {
+  LOCKOUT_CONFIG,
+  trackFailedAttempt,
+  isAccountLocked,
+} = require('../middleware/accountLockout');
+const {
+  SECURITY_CONFIG,
+  createSecurityEvent,
+  trackFailedLogin,
+  isIPBlocked,
+} = require('../middleware/securityMonitoring');
+const securityRoutes = require('../routes/security');
+const { mockSessionStore } = require('./helpers/mockStores');
+
+const employeeId = new mongoose.Types.ObjectId().toString();
+
+const app = express();
+app.use(express.json());
+app.use('/api/security', securityRoutes);
+
+const mockEmployee = department => {
+  jest.spyOn(Employee, 'findById').mockReturnValue({
+    select: jest.fn().mockResolvedValue({
+      _id: employeeId,
+      department,
+      permissions: ['view_payments'],
+      status: 'active',
+    }),
+  });
+};
+
+// Just enough of a request for createSecurityEvent / trackFailedLogin
+const fakeRequest = ip => ({ ip, path: '/api/auth/login', method: 'POST', get: () => undefined });
+
+describe('Security console', () => {
+  let token;
+
+  const asAdmin = req => req.set('Authorization', `Bearer ${token}`);
+
+  beforeEach(async () => {
+    setSecurityStore(createMemorySecurityStore());
+    mockSessionStore();
+    mockEmployee('Administration');
+    ({ accessToken: token } = await issueTokenPair({
+      userId: employeeId,
+      email: 'admin@bank.com',
+      role: 'employee',
+    }));
+  });
+
+  afterAll(() => {
+    setSecurityStore(null);
+  });
+
+  test('should be limited to the Administration department', async () => {
+    mockEmployee('Verification');
+
+    const res = await asAdmin(request(app).get('/api/security/dashboard'));
+
+    expect(res.status).toBe(403);
+  });
+
+  test('should filter security events by type, severity, IP, user and time', async () => {
+    createSecurityEvent(
+      'customer_login_failed',
+      { email: 'a@example.com' },
+      fakeRequest('10.0.0.1')
+    );
+    createSecurityEvent('sql_injection', { payload: "' or 1=1" }, fakeRequest('10.0.0.2'));
+    createSecurityEvent(
+      'customer_login_failed',
+      { email: 'b@example.com' },
+      fakeRequest('10.0.0.2')
+    );
+    await global.testUtils.wait(10);
+
+    const search = query => asAdmin(request(app).get('/api/security/events').query(query));
+
+    expect((await search({ type: 'customer_login_failed' })).body.count).toBe(2);
+    expect((await search({ severity: 'critical' })).body.events[0].type).toBe('sql_injection');
+    expect((await search({ ip: '10.0.0.2' })).body.count).toBe(2);
+    expect((await search({ user: 'b@example.com' })).body.count).toBe(1);
+    expect((await search({ to: '2000-01-01T00:00:00Z' })).body.count).toBe(0);
+
+    const invalid = await search({ severity: 'extreme', ip: 'localhost' });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.errors).toHaveLength(2);
+  });
+
+  test('should list and unlock a locked account', async () => {
+    for (let i = 0; i < LOCKOUT_CONFIG.MAX_ATTEMPTS; i++) {
+      await trackFailedAttempt('locked@example.com', '10.0.0.3');
+    }
+
+    const list = await asAdmin(request(app).get('/api/security/lockouts'));
+    expect(list.status).toBe(200);
+    expect(list.body.lockedAccounts).toEqual([
+      expect.objectContaining({ email: 'locked@example.com', lockoutNumber: 1 }),
+    ]);
+
+    const unlock = await asAdmin(request(app).delete('/api/security/lockouts/locked@example.com'));
+    expect(unlock.status).toBe(200);
+    expect((await isAccountLocked('locked@example.com')).locked).toBe(false);
+
+    const again = await asAdmin(request(app).delete('/api/security/lockouts/locked@example.com'));
+    expect(again.status).toBe(404);
+    expect(again.body.code).toBe('LOCKOUT_NOT_FOUND');
+  });
+
+  test('should list and unblock a blocked IP', async () => {
+    for (let i = 0; i < SECURITY_CONFIG.MAX_FAILED_ATTEMPTS; i++) {
+      await trackFailedLogin(fakeRequest('203.0.113.9'), 'someone@example.com');
+    }
+
+    const list = await asAdmin(request(app).get('/api/security/blocked-ips'));
+    expect(list.body.blockedIPs).toEqual([expect.objectContaining({ ip: '203.0.113.9' })]);
+
+    const dashboard = await asAdmin(request(app).get('/api/security/dashboard'));
+    expect(dashboard.body.stats.blockedIPs).toBe(1);
+    expect(dashboard.body.stats.topAttackers[0]).toEqual({ ip: '203.0.113.9', count: 6 });
+
+    const unblock = await asAdmin(request(app).delete('/api/security/blocked-ips/203.0.113.9'));
+    expect(unblock.status).toBe(200);
+    expect(await isIPBlocked('203.0.113.9')).toBe(false);
+
+    const again = await asAdmin(request(app).delete('/api/security/blocked-ips/203.0.113.9'));
+    expect(again.status).toBe(404);
+  });
+});
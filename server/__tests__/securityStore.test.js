@@ -0,0 +1,218 @@
+/**
+ * Security State Store Tests
+ * Covers the store contract, lockout and IP block state living in the store
+ * (so it outlasts the process that wrote it), the Customer failure counters
+ * kept in step with it, and the MongoDB store's atomic TTL'd records
+ */
+
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const request = require('supertest');
+const argon2 = require('argon2');
+const Customer = require('../models/Customer');
+const SecurityRecord = require('../models/SecurityRecord');
+const SecurityEvent = require('../models/SecurityEvent');
+const {
+  createMemorySecurityStore,
+  createMongoSecurityStore,
+  setSecurityStore,
+} = require('../utils/securityStore');
+const {
+  LOCKOUT_CONFIG,
+  trackFailedAttempt,
+  isAccountLocked,
+  resetFailedAttempts,
+  unlockAccount,
+} = require('../middleware/accountLockout');
+const {
+  SECURITY_CONFIG,
+  trackFailedLogin,
+  isIPBlocked,
+  securityMonitoring,
+  getSecurityDashboard,
+} = require('../middleware/securityMonitoring');
+const { mockSessionStore } = require('./helpers/mockStores');
+
+const EMAIL = 'lerato@example.com';
+const PASSWORD = 'Correct!Pass123';
+
+const failTimes = async (times, account = null) => {
+  for (let i = 0; i < times; i++) {
+    await trackFailedAttempt(EMAIL, '198.51.100.7', account);
+  }
+};
+
+describe('Security state store', () => {
+  let store;
+
+  beforeEach(() => {
+    store = createMemorySecurityStore();
+    setSecurityStore(store);
+  });
+
+  afterAll(() => {
+    setSecurityStore(null);
+  });
+
+  test('should count, collect distinct members and expire records', async () => {
+    await store.increment('rate:a', { count: 1 }, { ttlMs: 30, member: 'x' });
+    const record = await store.increment('rate:a', { count: 2 }, { ttlMs: 30, member: 'x' });
+
+    expect(record.counters.count).toBe(3);
+    expect(record.members).toEqual(['x']);
+
+    await store.set('blocked:b', { data: { reason: 'test' } }, 30);
+    expect(await store.list('blocked:')).toHaveLength(1);
+
+    await global.testUtils.wait(40);
+    expect(await store.get('rate:a')).toBeNull();
+    expect(await store.list('blocked:')).toHaveLength(0);
+    expect(await store.update('rate:a', { counters: { count: 0 } })).toBeNull();
+  });
+
+  test('should keep a lockout for any process sharing the store', async () => {
+    await failTimes(LOCKOUT_CONFIG.MAX_ATTEMPTS);
+
+    // A freshly loaded module (a restart, or another instance) sees the lockout
+    let restarted;
+    jest.isolateModules(() => {
+      restarted = require('../middleware/accountLockout');
+      require('../utils/securityStore').setSecurityStore(store);
+    });
+    expect(await restarted.isAccountLocked(EMAIL)).toMatchObject({
+      locked: true,
+      lockoutNumber: 1,
+    });
+
+    setSecurityStore(createMemorySecurityStore());
+    expect((await isAccountLocked(EMAIL)).locked).toBe(false);
+  });
+
+  test('should lengthen a repeat lockout after a manual unlock', async () => {
+    await failTimes(LOCKOUT_CONFIG.MAX_ATTEMPTS);
+    await unlockAccount(EMAIL);
+    expect((await isAccountLocked(EMAIL)).locked).toBe(false);
+
+    await failTimes(LOCKOUT_CONFIG.MAX_ATTEMPTS);
+    const status = await isAccountLocked(EMAIL);
+
+    expect(status.lockoutNumber).toBe(2);
+    expect(status.remainingMinutes).toBe(
+      (LOCKOUT_CONFIG.LOCKOUT_DURATION * LOCKOUT_CONFIG.LOCKOUT_MULTIPLIER) / 60000
+    );
+  });
+
+  test('should keep Customer.failedLoginAttempts in step with the lockout counter', async () => {
+    const customer = new Customer({
+      name: 'Lerato Khumalo',
+      email: EMAIL,
+      passwordHash: await argon2.hash(PASSWORD),
+      accountNumber: '5555666677',
+    });
+    const save = jest.spyOn(Customer.prototype, 'save').mockResolvedValue(undefined);
+    jest.spyOn(Customer, 'findOne').mockResolvedValue(customer);
+    mockSessionStore();
+
+    const app = express();
+    app.use(express.json());
+    app.use(cookieParser());
+    app.use('/api/auth', require('../routes/auth'));
+    const login = password => request(app).post('/api/auth/login').send({ email: EMAIL, password });
+
+    expect((await login('Wrong!Pass123')).status).toBe(401);
+    expect((await login('Wrong!Pass456')).status).toBe(401);
+    expect(customer.failedLoginAttempts).toBe(2);
+    expect(customer.lastFailedLogin).toBeInstanceOf(Date);
+
+    const res = await login(PASSWORD);
+    expect(res.status).toBe(200);
+    expect(customer.failedLoginAttempts).toBe(0);
+    expect(customer.lastLogin).toBeInstanceOf(Date);
+    expect(save).toHaveBeenCalled();
+
+    // Counts since the last success survive a lockout resetting the window
+    await failTimes(LOCKOUT_CONFIG.MAX_ATTEMPTS + 1, customer);
+    expect(customer.failedLoginAttempts).toBe(LOCKOUT_CONFIG.MAX_ATTEMPTS + 1);
+    await resetFailedAttempts(EMAIL, customer);
+    expect(customer.failedLoginAttempts).toBe(0);
+  });
+
+  test('should block an IP after repeated failed logins and report it', async () => {
+    const req = { ip: '203.0.113.50', path: '/login', method: 'POST', get: () => undefined };
+
+    for (let i = 0; i < SECURITY_CONFIG.MAX_FAILED_ATTEMPTS; i++) {
+      await trackFailedLogin(req, `user${i}@example.com`);
+    }
+    expect(await isIPBlocked('203.0.113.50')).toBe(true);
+
+    const app = express();
+    app.set('trust proxy', false);
+    app.use(securityMonitoring);
+    app.get('/api/security', getSecurityDashboard);
+    const res = await request(app).get('/api/security');
+
+    // supertest connects from loopback, which is not blocked
+    expect(res.status).toBe(200);
+    expect(res.body.stats.blockedIPs).toBe(1);
+    expect(res.body.stats.topAttackTypes).toEqual(
+      expect.arrayContaining([
+        { type: 'failed_login', count: SECURITY_CONFIG.MAX_FAILED_ATTEMPTS },
+        { type: 'brute_force', count: 1 },
+      ])
+    );
+  });
+
+  test('should count request rates per IP rather than per path', async () => {
+    const app = express();
+    app.use(securityMonitoring);
+    app.get('/api/payments/:id', (req, res) => res.json({ success: true }));
+
+    for (const id of ['a1', 'b2', 'c3']) {
+      await request(app).get(`/api/payments/${id}`);
+    }
+
+    const rates = await store.list('rate:');
+    expect(rates).toHaveLength(1);
+    expect(rates[0].counters.count).toBe(3);
+  });
+
+  test('should use atomic, TTL-indexed MongoDB records', async () => {
+    const mongoStore = createMongoSecurityStore();
+    const deleteOne = jest.spyOn(SecurityRecord, 'deleteOne');
+    const findOneAndUpdate = jest.spyOn(SecurityRecord, 'findOneAndUpdate').mockReturnValue({
+      lean: async () => ({
+        key: 'attempts:x',
+        counters: { count: 1 },
+        members: ['1.2.3.4'],
+        data: {},
+        expiresAt: new Date(),
+      }),
+    });
+
+    const record = await mongoStore.increment(
+      'attempts:x',
+      { count: 1 },
+      { ttlMs: 1000, member: '1.2.3.4' }
+    );
+
+    expect(record.counters.count).toBe(1);
+    // Expired records are reset inside the one update, not deleted first
+    expect(deleteOne).not.toHaveBeenCalled();
+    expect(findOneAndUpdate).toHaveBeenCalledTimes(1);
+    const [query, [stage], options] = findOneAndUpdate.mock.calls[0];
+    expect(query).toEqual({ key: 'attempts:x' });
+    expect(stage.$set).toMatchObject({
+      counters: { $mergeObjects: [expect.anything(), { count: { $add: [expect.anything(), 1] } }] },
+      members: { $setUnion: [expect.anything(), { $literal: ['1.2.3.4'] }] },
+      expiresAt: expect.any(Date),
+    });
+    expect(options).toMatchObject({ upsert: true });
+
+    for (const Model of [SecurityRecord, SecurityEvent]) {
+      expect(Model.schema.indexes()).toContainEqual([
+        { expiresAt: 1 },
+        expect.objectContaining({ expireAfterSeconds: 0 }),
+      ]);
+    }
+  });
+});
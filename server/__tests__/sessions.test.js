@@ -0,0 +1,185 @@
+/**
+ * Session Registry Tests
+ * Covers session lookup by access token jti, logout, listing and revoking
+ * sessions, and device labels
+ */
+
+jest.mock('../middleware/securityMonitoring', () => ({
+  ...jest.requireActual('../middleware/securityMonitoring'),
+  createSecurityEvent: jest.fn(),
+}));
+
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Customer = require('../models/Customer');
+const { generateAccessToken } = require('../utils/jwtSecurity');
+const { issueTokenPair, rotateRefreshToken } = require('../utils/refreshTokens');
+const { describeDevice } = require('../utils/sessions');
+const { createSecurityEvent } = require('../middleware/securityMonitoring');
+const authRoutes = require('../routes/auth');
+const paymentRoutes = require('../routes/payments');
+const { mockSessionStore } = require('./helpers/mockStores');
+
+const CHROME_WINDOWS =
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0 Safari/537.36';
+const SAFARI_IPHONE =
+  'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1';
+
+const customer = {
+  userId: new mongoose.Types.ObjectId(),
+  email: 'customer@example.com',
+  role: 'customer',
+};
+
+const app = express();
+app.use(express.json());
+app.use(cookieParser());
+app.use('/api/auth', authRoutes);
+app.use('/api/payments', paymentRoutes);
+
+const login = userAgent =>
+  issueTokenPair(customer, {
+    ipAddress: '203.0.113.7',
+    userAgent,
+    device: describeDevice(userAgent),
+  });
+
+const asUser = (req, accessToken) => req.set('Authorization', `Bearer ${accessToken}`);
+
+describe('Session Registry', () => {
+  let families;
+
+  beforeEach(() => {
+    families = mockSessionStore();
+    jest.spyOn(Customer, 'findById').mockReturnValue({
+      select: jest.fn().mockResolvedValue({ status: 'active' }),
+    });
+  });
+
+  test('should label devices from the user agent', () => {
+    expect(describeDevice(CHROME_WINDOWS)).toBe('Chrome on Windows');
+    expect(describeDevice(SAFARI_IPHONE)).toBe('Safari on iOS');
+    expect(describeDevice('')).toBe('Unknown device');
+  });
+
+  test('should only accept the current access token of a live session', async () => {
+    const orphan = await generateAccessToken(customer);
+    const session = await login(CHROME_WINDOWS);
+
+    const accepted = await asUser(request(app).get('/api/auth/sessions'), session.accessToken);
+    expect(accepted.status).toBe(200);
+
+    const rejected = await asUser(request(app).get('/api/auth/sessions'), orphan);
+    expect(rejected.status).toBe(401);
+    expect(rejected.body.code).toBe('SESSION_REVOKED');
+
+    // Refreshing retires the previous access token
+    await rotateRefreshToken(session.refreshToken);
+    const stale = await asUser(request(app).get('/api/auth/sessions'), session.accessToken);
+    expect(stale.body.code).toBe('SESSION_REVOKED');
+  });
+
+  test('should revoke the session on logout', async () => {
+    const session = await login(CHROME_WINDOWS);
+
+    await request(app).post('/api/auth/logout').set('Cookie', `accessToken=${session.accessToken}`);
+
+    expect(families.get(session.familyId).revokedReason).toBe('logout');
+    const res = await asUser(request(app).get('/api/payments'), session.accessToken);
+    expect(res.status).toBe(401);
+  });
+
+  test('should revoke the session on logout with an expired access token', async () => {
+    const session = await login(CHROME_WINDOWS);
+    const later = Date.now() + 20 * 60 * 1000;
+    jest.spyOn(Date, 'now').mockReturnValue(later);
+
+    const res = await request(app)
+      .post('/api/auth/logout')
+      .set('Cookie', `accessToken=${session.accessToken}`);
+
+    expect(res.status).toBe(200);
+    expect(families.get(session.familyId).revokedReason).toBe('logout');
+  });
+
+  test('should revoke the session on logout from the refresh token cookie', async () => {
+    const session = await login(CHROME_WINDOWS);
+
+    await request(app)
+      .post('/api/auth/logout')
+      .set('Cookie', `refreshToken=${session.refreshToken}`);
+
+    expect(families.get(session.familyId).revokedReason).toBe('logout');
+  });
+
+  test('should list sessions with device details and flag the current one', async () => {
+    const laptop = await login(CHROME_WINDOWS);
+    const phone = await login(SAFARI_IPHONE);
+
+    const res = await asUser(request(app).get('/api/auth/sessions'), laptop.accessToken);
+
+    expect(res.body.sessions).toHaveLength(2);
+    expect(res.body.sessions).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({
+          id: laptop.familyId,
+          device: 'Chrome on Windows',
+          ipAddress: '203.0.113.7',
+          current: true,
+        }),
+        expect.objectContaining({ id: phone.familyId, device: 'Safari on iOS', current: false }),
+      ])
+    );
+  });
+
+  test('should revoke another session by id', async () => {
+    const laptop = await login(CHROME_WINDOWS);
+    const phone = await login(SAFARI_IPHONE);
+
+    const res = await asUser(
+      request(app).delete(`/api/auth/sessions/${phone.familyId}`),
+      laptop.accessToken
+    );
+
+    expect(res.status).toBe(200);
+    expect(res.body.current).toBe(false);
+    expect(createSecurityEvent).toHaveBeenCalledWith(
+      'session_revoked',
+      expect.objectContaining({ sessionId: phone.familyId }),
+      expect.anything()
+    );
+
+    const phoneRequest = await asUser(request(app).get('/api/auth/sessions'), phone.accessToken);
+    expect(phoneRequest.status).toBe(401);
+    await expect(rotateRefreshToken(phone.refreshToken)).rejects.toMatchObject({
+      code: 'REFRESH_TOKEN_REVOKED',
+    });
+  });
+
+  test("should not revoke other users' sessions", async () => {
+    const mine = await login(CHROME_WINDOWS);
+    const theirs = await issueTokenPair({ ...customer, userId: new mongoose.Types.ObjectId() });
+
+    const res = await asUser(
+      request(app).delete(`/api/auth/sessions/${theirs.familyId}`),
+      mine.accessToken
+    );
+
+    expect(res.status).toBe(404);
+    expect(families.get(theirs.familyId).revokedAt).toBeUndefined();
+  });
+
+  test('should sign out everywhere', async () => {
+    const laptop = await login(CHROME_WINDOWS);
+    const phone = await login(SAFARI_IPHONE);
+
+    const res = await asUser(request(app).delete('/api/auth/sessions'), laptop.accessToken);
+
+    expect(res.body.revoked).toBe(2);
+    [laptop, phone].forEach(session =>
+      expect(families.get(session.familyId).revokedReason).toBe('signed_out_everywhere')
+    );
+  });
+});
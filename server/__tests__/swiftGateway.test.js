@@ -0,0 +1,381 @@
+/**
+ * SWIFT Gateway Tests
+ * Covers the simulator adapter, acknowledgement signing, the full
+ * pending → verified → submitted_to_swift → completed/failed lifecycle and
+ * batch submission through the employee route
+ */
+
+jest.mock('../middleware/securityMonitoring', () => ({
+  ...jest.requireActual('../middleware/securityMonitoring'),
+  createSecurityEvent: jest.fn(),
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const Customer = require('../models/Customer');
+const Employee = require('../models/Employee');
+const SwiftBatch = require('../models/SwiftBatch');
+const { issueTokenPair } = require('../utils/refreshTokens');
+const { base32Encode, encryptSecret, generateTotp } = require('../utils/mfa');
+const { createSecurityEvent } = require('../middleware/securityMonitoring');
+const {
+  createSimulatorGateway,
+  setSwiftGateway,
+  getSwiftGateway,
+  signAcknowledgements,
+  verifyAcknowledgementSignature,
+  applySwiftAcknowledgements,
+} = require('../utils/swiftGateway');
+const { postDeposit, placeHold, getCustomerBalances } = require('../utils/ledger');
+const {
+  mockLedger,
+  mockAuditLog,
+  mockInvoices,
+  mockSessionStore,
+} = require('./helpers/mockStores');
+const { buildPayment } = require('./helpers/fixtures');
+
+describe('SWIFT Gateway Adapter', () => {
+  beforeEach(() => {
+    // Payments are never persisted in these tests
+    jest.spyOn(Payment.prototype, 'save').mockImplementation(async function () {
+      return this;
+    });
+    mockLedger();
+    mockAuditLog();
+    mockInvoices();
+  });
+
+  afterEach(() => {
+    setSwiftGateway(null);
+  });
+
+  describe('Simulator', () => {
+    test('should accept every payment and assign a unique reference', async () => {
+      const gateway = createSimulatorGateway({ deliverAcknowledgements: jest.fn() });
+      const payments = [
+        buildPayment({ transactionId: 'TXN-1700000000000-AAAA1' }),
+        buildPayment({ transactionId: 'TXN-1700000000000-BBBB2' }),
+      ];
+
+      const receipts = await gateway.submit(payments);
+
+      expect(receipts).toHaveLength(2);
+      expect(receipts.every(r => r.accepted)).toBe(true);
+      expect(receipts[0].swiftReference).not.toBe(receipts[1].swiftReference);
+      expect(gateway.pendingCount()).toBe(2);
+    });
+
+    test('should deliver acknowledgements asynchronously', async () => {
+      const deliverAcknowledgements = jest.fn();
+      const gateway = createSimulatorGateway({
+        deliverAcknowledgements,
+        decide: () => ({ status: 'failed', reason: 'Beneficiary account closed' }),
+      });
+
+      const [receipt] = await gateway.submit([buildPayment()]);
+      expect(deliverAcknowledgements).not.toHaveBeenCalled();
+
+      await gateway.flush();
+
+      expect(deliverAcknowledgements).toHaveBeenCalledWith([
+        expect.objectContaining({
+          swiftReference: receipt.swiftReference,
+          status: 'failed',
+          reason: 'Beneficiary account closed',
+        }),
+      ]);
+      expect(gateway.pendingCount()).toBe(0);
+    });
+
+    test('should be the default configured adapter', () => {
+      expect(getSwiftGateway().name).toBe('simulator');
+    });
+
+    test('should refuse adapters without a submit function', () => {
+      expect(() => setSwiftGateway({ name: 'broken' })).toThrow();
+    });
+  });
+
+  describe('Acknowledgement Signatures', () => {
+    const acks = [
+      {
+        transactionId: 'TXN-1700000000000-AAAA1',
+        swiftReference: 'REF-00000001',
+        status: 'completed',
+      },
+    ];
+
+    test('should verify a signature produced with the shared secret', () => {
+      const signature = signAcknowledgements(acks, 'secret');
+      expect(verifyAcknowledgementSignature(acks, signature, 'secret')).toBe(true);
+    });
+
+    test('should reject tampered acknowledgements', () => {
+      const signature = signAcknowledgements(acks, 'secret');
+      const tampered = [{ ...acks[0], status: 'failed' }];
+      expect(verifyAcknowledgementSignature(tampered, signature, 'secret')).toBe(false);
+    });
+
+    test('should reject malformed signatures', () => {
+      expect(verifyAcknowledgementSignature(acks, 'not-a-signature', 'secret')).toBe(false);
+      expect(verifyAcknowledgementSignature(acks, undefined, 'secret')).toBe(false);
+    });
+
+    test('should keep the shared secret across restarts and require one in production', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'swift-key-'));
+      const env = { ...process.env };
+      const loadSwiftGateway = () => {
+        let swiftGateway;
+        jest.isolateModules(() => {
+          swiftGateway = require('../utils/swiftGateway');
+        });
+        return swiftGateway;
+      };
+
+      try {
+        delete process.env.SWIFT_GATEWAY_SECRET;
+        process.env.SWIFT_GATEWAY_SECRET_FILE = path.join(dir, 'swift.key');
+
+        const signature = loadSwiftGateway().signAcknowledgements(acks);
+        expect(loadSwiftGateway().verifyAcknowledgementSignature(acks, signature)).toBe(true);
+
+        process.env.NODE_ENV = 'production';
+        process.env.SWIFT_GATEWAY_SECRET_FILE = path.join(dir, 'missing.key');
+        expect(loadSwiftGateway).toThrow('No SWIFT gateway secret');
+      } finally {
+        process.env = env;
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('Payment Lifecycle', () => {
+    const runLifecycle = async decide => {
+      const payment = buildPayment();
+      jest.spyOn(Payment, 'findOne').mockResolvedValue(payment);
+      await postDeposit({ customerId: payment.customerId, amount: 1000, currency: 'EUR' });
+      await placeHold(payment);
+
+      expect(payment.status).toBe('pending');
+      await payment.verify(new mongoose.Types.ObjectId(), 'verifier@bank.com', true, '');
+      expect(payment.status).toBe('verified');
+
+      // Claimed by the submit route before it reaches the gateway
+      payment.status = 'submitting';
+      const gateway = createSimulatorGateway({ decide });
+      const [receipt] = await gateway.submit([payment]);
+      await payment.submitToSwift(receipt.swiftReference, gateway.name);
+      expect(payment.status).toBe('submitted_to_swift');
+      expect(payment.swiftGateway).toBe('simulator');
+
+      await gateway.flush();
+      return payment;
+    };
+
+    test('should complete a payment once SWIFT acknowledges it', async () => {
+      const payment = await runLifecycle(() => ({ status: 'completed' }));
+
+      expect(payment.status).toBe('completed');
+      expect(payment.completedAt).toBeInstanceOf(Date);
+    });
+
+    test('should fail a payment and record the reason', async () => {
+      const payment = await runLifecycle(() => ({
+        status: 'failed',
+        reason: 'Invalid beneficiary',
+      }));
+
+      expect(payment.status).toBe('failed');
+      expect(payment.failureReason).toBe('Invalid beneficiary');
+      expect(payment.failedAt).toBeInstanceOf(Date);
+    });
+
+    test('should not submit payments that were not claimed for submission', async () => {
+      const payment = buildPayment();
+      await expect(payment.submitToSwift('REF-00000001', 'simulator')).rejects.toThrow(
+        'Cannot submit a pending payment'
+      );
+    });
+
+    test('should ignore acknowledgements with a mismatched reference', async () => {
+      const payment = buildPayment({
+        status: 'submitted_to_swift',
+        swiftReference: 'REF-00000001',
+      });
+      jest.spyOn(Payment, 'findOne').mockResolvedValue(payment);
+
+      const [result] = await applySwiftAcknowledgements([
+        {
+          transactionId: payment.transactionId,
+          swiftReference: 'REF-99999999',
+          status: 'completed',
+        },
+      ]);
+
+      expect(result.applied).toBe(false);
+      expect(result.reason).toBe('SWIFT reference mismatch');
+      expect(payment.status).toBe('submitted_to_swift');
+    });
+
+    test('should ignore acknowledgements for unknown transactions', async () => {
+      jest.spyOn(Payment, 'findOne').mockResolvedValue(null);
+
+      const [result] = await applySwiftAcknowledgements([
+        { transactionId: 'TXN-1700000000000-ZZZZ9', swiftReference: 'REF-1', status: 'completed' },
+      ]);
+
+      expect(result).toEqual(
+        expect.objectContaining({ applied: false, reason: 'Transaction not found' })
+      );
+    });
+  });
+
+  describe('Batch submission', () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/payments', require('../routes/payments'));
+
+    const secret = base32Encode(Buffer.from('12345678901234567890'));
+    const employeeId = new mongoose.Types.ObjectId().toString();
+    let token;
+
+    beforeEach(async () => {
+      mockSessionStore();
+      jest.spyOn(Employee, 'findById').mockReturnValue({
+        select: jest.fn().mockResolvedValue({
+          _id: employeeId,
+          permissions: ['view_payments', 'submit_swift'],
+          status: 'active',
+          mfa: { enabled: true, secret: encryptSecret(secret) },
+        }),
+      });
+      jest.spyOn(Employee, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(Customer, 'find').mockResolvedValue([]);
+      jest.spyOn(Payment, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      ({ accessToken: token } = await issueTokenPair({
+        userId: employeeId,
+        email: 'releaser@bank.com',
+        role: 'employee',
+      }));
+    });
+
+    const submit = payment =>
+      request(app)
+        .post('/api/payments/employee/submit-swift')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ transactionIds: [payment.transactionId], mfaCode: generateTotp(secret) });
+
+    // A verified payment whose claim (verified → submitting) is a conditional update
+    const verifiedPayment = async () => {
+      const payment = buildPayment();
+      await postDeposit({ customerId: payment.customerId, amount: 1000, currency: 'EUR' });
+      await placeHold(payment);
+      await payment.verify(new mongoose.Types.ObjectId(), 'verifier@bank.com', true, '');
+      jest.spyOn(Payment, 'find').mockResolvedValue([payment]);
+      jest.spyOn(Payment, 'findOneAndUpdate').mockImplementation(async (query, update) => {
+        if (query.transactionId !== payment.transactionId || payment.status !== query.status) {
+          return null;
+        }
+        payment.set(update.$set);
+        return payment;
+      });
+      return payment;
+    };
+
+    test('should hand a payment to the gateway only once when submitted concurrently', async () => {
+      const payment = await verifiedPayment();
+      const gateway = createSimulatorGateway({ deliverAcknowledgements: jest.fn() });
+      jest.spyOn(gateway, 'submit');
+      setSwiftGateway(gateway);
+
+      const responses = await Promise.all([submit(payment), submit(payment)]);
+
+      expect(gateway.submit).toHaveBeenCalledTimes(1);
+      expect(responses.map(res => res.status)).toEqual([200, 200]);
+      expect(responses.flatMap(res => res.body.results.successful)).toHaveLength(1);
+      expect(responses.flatMap(res => res.body.results.failed)).toEqual([
+        expect.objectContaining({ transactionId: payment.transactionId }),
+      ]);
+      expect(payment.status).toBe('submitted_to_swift');
+    });
+
+    test('should release the claim on payments the gateway does not accept', async () => {
+      const payment = await verifiedPayment();
+      setSwiftGateway({
+        name: 'rejecting',
+        submit: async payments =>
+          payments.map(p => ({
+            transactionId: p.transactionId,
+            accepted: false,
+            reason: 'Gateway offline',
+          })),
+      });
+
+      const res = await submit(payment);
+
+      expect(res.status).toBe(200);
+      expect(res.body.results.failed).toEqual([
+        { transactionId: payment.transactionId, reason: 'Gateway offline' },
+      ]);
+      expect(Payment.updateOne).toHaveBeenCalledWith(
+        { transactionId: payment.transactionId, status: 'submitting' },
+        { $set: { status: 'verified' } }
+      );
+    });
+
+    test('should report a payment whose submission could not be saved and record it on retry', async () => {
+      const payment = await verifiedPayment();
+      jest.spyOn(Payment.prototype, 'save').mockRejectedValueOnce(new Error('write failed'));
+
+      const res = await submit(payment);
+
+      expect(res.status).toBe(200);
+      expect(res.body.results.successful).toEqual([]);
+      expect(res.body.results.failed).toEqual([
+        expect.objectContaining({
+          transactionId: payment.transactionId,
+          reason: 'Accepted by SWIFT gateway but not recorded',
+        }),
+      ]);
+      expect(res.body.batch).toBeNull();
+
+      payment.status = 'submitting'; // Still claimed in the database
+      await payment.submitToSwift(res.body.results.failed[0].swiftReference, 'simulator');
+
+      expect(payment.status).toBe('submitted_to_swift');
+      expect(await getCustomerBalances(payment.customerId)).toEqual({
+        EUR: { available: 249.5, held: 0 },
+      });
+    });
+
+    test('should report a batch whose pain.001 record could not be saved', async () => {
+      const payment = await verifiedPayment();
+      jest.spyOn(SwiftBatch, 'create').mockRejectedValue(new Error('write failed'));
+
+      const res = await request(app)
+        .post('/api/payments/employee/submit-swift')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ transactionIds: [payment.transactionId], mfaCode: generateTotp(secret) });
+
+      expect(res.status).toBe(200);
+      expect(res.body.results.successful).toHaveLength(1);
+      expect(res.body.batch).toBeNull();
+      expect(res.body.code).toBe('SWIFT_BATCH_NOT_RECORDED');
+      expect(payment.status).toBe('submitted_to_swift');
+      expect(createSecurityEvent).toHaveBeenCalledWith(
+        'swift_batch_record_failed',
+        expect.objectContaining({
+          batchId: payment.swiftBatchId,
+          transactionIds: [payment.transactionId],
+        }),
+        expect.anything()
+      );
+    });
+  });
+});
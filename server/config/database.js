@@ -4,6 +4,7 @@
  */
 
 const mongoose = require('mongoose');
+const { logger } = require('../utils/logger');
 
 // MongoDB connection string - using local MongoDB
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/insy7314_payment_portal';
@@ -18,47 +19,81 @@ const options = {
 const connectDB = async () => {
   try {
     await mongoose.connect(MONGODB_URI, options);
-    console.log('✅ MongoDB connected successfully');
-    console.log(`📊 Database: ${mongoose.connection.name}`);
+    logger.info('MongoDB connected', { database: mongoose.connection.name });
+  } catch (error) {
+    logger.error('MongoDB connection error - make sure MongoDB is running', { error });
+
+    // Don't exit - allow app to run with warnings
+    logger.warn('Running without database - data will not persist!');
+    return null;
+  }
 
+  // Unwrap the data keys for encrypted customer and payment fields. Without them
+  // nothing encrypted can be read or saved, so a missing or wrong master key stops startup.
+  const { initializeFieldEncryption, backfillBlindIndexes } = require('../utils/fieldEncryption');
+  try {
+    await initializeFieldEncryption();
+  } catch (error) {
+    logger.error('Field encryption keys could not be loaded', { error, code: error.code });
+    throw error;
+  }
+
+  // Index records stored before encryption was enabled. Until they are, lookups such as
+  // the duplicate account check on registration miss them, so a failure stops startup too.
+  try {
+    const Customer = require('../models/Customer');
+    const Payment = require('../models/Payment');
+    for (const Model of [Customer, Payment]) {
+      const updated = await backfillBlindIndexes(Model);
+      if (updated > 0) {
+        logger.info('Blind indexes backfilled', { model: Model.modelName, updated });
+      }
+    }
+  } catch (error) {
+    logger.error('Blind indexes could not be backfilled', { error, code: error.code });
+    throw error;
+  }
+
+  try {
     // Initialize employee accounts on first run
     const { initializeEmployeeAccounts } = require('../utils/seedData');
     await initializeEmployeeAccounts();
 
-    return mongoose.connection;
-  } catch (error) {
-    console.error('❌ MongoDB connection error:', error.message);
-    console.error('⚠️  Make sure MongoDB is running locally');
-    console.error('   Install: https://www.mongodb.com/try/download/community');
-    console.error('   Or use MongoDB Atlas: https://www.mongodb.com/cloud/atlas');
+    // Activate the latest published FX rates
+    const { initializeFxRates } = require('../utils/fxRates');
+    await initializeFxRates();
 
-    // Don't exit - allow app to run with warnings
-    console.warn('⚠️  Running without database - data will not persist!');
-    return null;
+    // Load the BIC directory used to confirm recipient banks
+    const { initializeBicDirectory } = require('../utils/bicDirectory');
+    await initializeBicDirectory();
+  } catch (error) {
+    logger.error('Startup data could not be initialised', { error });
   }
+
+  return mongoose.connection;
 };
 
 // Graceful shutdown
 const closeDB = async () => {
   try {
     await mongoose.connection.close();
-    console.log('MongoDB connection closed');
+    logger.info('MongoDB connection closed');
   } catch (error) {
-    console.error('Error closing MongoDB connection:', error);
+    logger.error('Error closing MongoDB connection', { error });
   }
 };
 
 // Handle connection events
 mongoose.connection.on('connected', () => {
-  console.log('Mongoose connected to MongoDB');
+  logger.debug('Mongoose connected to MongoDB');
 });
 
 mongoose.connection.on('error', err => {
-  console.error('Mongoose connection error:', err);
+  logger.error('Mongoose connection error', { error: err });
 });
 
 mongoose.connection.on('disconnected', () => {
-  console.log('Mongoose disconnected from MongoDB');
+  logger.warn('Mongoose disconnected from MongoDB');
 });
 
 // Close connection on app termination
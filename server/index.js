@@ -40,11 +40,17 @@ const cookieParser = require('cookie-parser');
 const authRoutes = require('./routes/auth');
 const paymentRoutes = require('./routes/payments');
 const customerRoutes = require('./routes/customers');
+const fxRoutes = require('./routes/fx');
+const bicRoutes = require('./routes/bic');
+const securityRoutes = require('./routes/security');
 const { rateLimitMessage } = require('./utils/validation');
 const { securityMonitoring } = require('./middleware/securityMonitoring');
 const { sanitizeHeaders, sanitizeRequestBody } = require('./middleware/inputSanitization');
 const { getCsrfToken } = require('./middleware/csrfProtection');
 const { connectDB } = require('./config/database');
+const { requestId } = require('./middleware/requestId');
+const { logger } = require('./utils/logger');
+const { getNotifier } = require('./utils/notifier');
 
 // Enhanced comprehensive validation and sanitization
 const { globalSanitization } = require('./middleware/comprehensiveValidation');
@@ -69,6 +75,9 @@ httpsRedirectApp.use((req, res, next) => {
   res.status(301).redirect(httpsUrl);
 });
 
+// Correlation ID for every request - first, so all later logging carries it
+app.use(requestId);
+
 /**
  * ADVANCED HELMET SECURITY CONFIGURATION - EXCEEDS STANDARD
  *
@@ -187,8 +196,15 @@ const corsOptions = {
     }
   },
   credentials: true, // Allow cookies over HTTPS
-  methods: ['GET', 'POST'], // Restrict HTTP methods
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-CSRF-Token'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'], // Restrict HTTP methods
+  allowedHeaders: [
+    'Content-Type',
+    'Authorization',
+    'X-Requested-With',
+    'X-CSRF-Token',
+    'X-Request-Id',
+  ],
+  exposedHeaders: ['X-Request-Id'], // Lets the client quote it in support requests
   maxAge: 86400, // Cache preflight for 24 hours
 };
 
@@ -209,6 +225,15 @@ const authLimiter = rateLimit({
   keyGenerator: req => {
     return `${req.ip}-${req.get('User-Agent') || 'unknown'}`;
   },
+  // Session refreshes, profile reads/edits, the session list and two-factor
+  // status/enrolment use the API limit instead (see below); password changes,
+  // account closure and codes checked against an enrolled authenticator
+  // (recovery codes, disable) stay on this limit
+  skip: req =>
+    req.path === '/refresh' ||
+    req.path === '/profile' ||
+    /^\/sessions(\/|$)/.test(req.path) ||
+    /^(\/employee)?\/mfa(\/(setup|enable))?\/?$/.test(req.path),
 });
 
 // More lenient rate limiter for API endpoints (GET requests, data fetching)
@@ -240,7 +265,6 @@ app.use(securityMonitoring);
 // Additional security headers - EXCEEDS STANDARD
 app.use((req, res, next) => {
   // Add security response headers
-  res.setHeader('X-Request-ID', req.get('X-Request-ID') || 'unknown');
   res.setHeader('X-Content-Type-Options', 'nosniff');
   res.setHeader('X-Frame-Options', 'DENY');
   res.setHeader('X-XSS-Protection', '1; mode=block');
@@ -253,9 +277,17 @@ app.use((req, res, next) => {
 app.get('/api/csrf-token', getCsrfToken);
 
 // Routes with appropriate rate limiting
+app.use('/api/auth/refresh', apiLimiter); // Refreshes every 15 minutes shouldn't use the login budget
+app.use('/api/auth/profile', apiLimiter); // Settings page reads shouldn't use the login budget
+app.use('/api/auth/sessions', apiLimiter); // Session list and sign-outs shouldn't use the login budget
+app.use('/api/auth/mfa', apiLimiter); // Two-factor settings page
+app.use('/api/auth/employee/mfa', apiLimiter);
 app.use('/api/auth', authLimiter, authRoutes); // Strict limit for auth
 app.use('/api/payments', apiLimiter, paymentRoutes); // Lenient limit for payments
 app.use('/api/customers', apiLimiter, customerRoutes); // Lenient limit for customers
+app.use('/api/fx', apiLimiter, fxRoutes); // FX rates (publishing is Administration only)
+app.use('/api/bic', apiLimiter, bicRoutes); // BIC directory (imports are Administration only)
+app.use('/api/security', apiLimiter, securityRoutes); // Security console (Administration only)
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -278,7 +310,7 @@ app.use('*', (req, res) => {
 
 // Global error handler
 app.use((error, req, res, next) => {
-  console.error('Unhandled error:', error);
+  logger.error('Unhandled error', { error, method: req.method, path: req.path });
 
   // SECURITY: Don't leak error details in production
   const isDevelopment = process.env.NODE_ENV !== 'production';
@@ -286,6 +318,7 @@ app.use((error, req, res, next) => {
   res.status(500).json({
     success: false,
     message: 'Internal server error',
+    requestId: req.id, // Matches the server log line for this error
     ...(isDevelopment && { error: error.message }),
   });
 });
@@ -321,7 +354,7 @@ function loadSSLCertificates() {
 
     return sslOptions;
   } catch (error) {
-    console.error('❌ SSL Certificate loading failed:', error.message);
+    logger.error('SSL certificate loading failed', { error });
     process.exit(1);
   }
 }
@@ -334,9 +367,13 @@ function loadSSLCertificates() {
 async function startServers() {
   try {
     // Connect to MongoDB first
-    console.log('🔌 Connecting to MongoDB...');
+    logger.info('Connecting to MongoDB');
     await connectDB();
 
+    // One-time codes and reset links need a delivery adapter; fail now rather
+    // than on the first customer who asks for one
+    getNotifier();
+
     // Check if SSL certificates exist
     const keyPath = path.join(__dirname, '../config/key.pem');
     const certPath = path.join(__dirname, '../config/cert.pem');
@@ -360,31 +397,32 @@ async function startServers() {
       const httpServer = http.createServer(httpsRedirectApp);
 
       httpsServer.listen(HTTPS_PORT, () => {
-        console.log('🚀 SECURE HTTPS SERVER STARTED');
-        console.log(`🔒 HTTPS Server: https://localhost:${HTTPS_PORT}`);
-        console.log(`🛡️  SSL/TLS Encryption: ENABLED`);
-        console.log(`📋 Security Headers: COMPREHENSIVE`);
-        console.log(`🔄 HSTS: ENABLED (2 years, preload ready)`);
-        console.log(`🚫 HTTP Access: BLOCKED`);
+        logger.info('Secure HTTPS server started', {
+          url: `https://localhost:${HTTPS_PORT}`,
+          tls: true,
+          hsts: '2 years, preload ready',
+          httpAccess: 'blocked',
+          authRateLimit: '5 requests per 15 minutes',
+        });
       });
 
       // httpServer.listen(HTTP_PORT, () => {
-      //   console.log(`🔄 HTTP Redirect Server: http://localhost:${HTTP_PORT} -> HTTPS`);
-      //   console.log(`⚡ Rate Limiting: 5 requests per 15 minutes for auth`);
-      //   console.log(`🎯 Ready for secure connections!`);
+      //   logger.info('HTTP redirect server started', {
+      //     url: `http://localhost:${HTTP_PORT}`,
+      //     redirectsTo: 'HTTPS',
+      //   });
       // });
-      console.log(`⚡ Rate Limiting: 5 requests per 15 minutes for auth`);
-      console.log(`🎯 Ready for secure connections!`);
 
       process.on('SIGTERM', () => {
-        console.log('🛑 Shutting down servers gracefully...');
+        logger.info('Shutting down servers gracefully');
         httpsServer.close();
         httpServer.close();
       });
     } else {
       // No SSL certificates, start HTTP server for development
-      console.log('⚠️  SSL certificates not found, starting in DEVELOPMENT mode');
-      console.log('📝 To enable HTTPS, generate SSL certificates in the config/ directory');
+      logger.warn(
+        'SSL certificates not found, starting in development mode - generate them in the config/ directory to enable HTTPS'
+      );
 
       // Remove HTTPS requirement for development
       app.use((req, res, next) => {
@@ -395,20 +433,19 @@ async function startServers() {
       const httpServer = http.createServer(app);
 
       httpServer.listen(HTTP_PORT, () => {
-        console.log('🚀 DEVELOPMENT HTTP SERVER STARTED');
-        console.log(`🌐 HTTP Server: http://localhost:${HTTP_PORT}`);
-        console.log(`⚠️  WARNING: Running in development mode without HTTPS`);
-        console.log(`⚡ Rate Limiting: 5 requests per 15 minutes for auth`);
-        console.log(`🎯 Ready for development!`);
+        logger.warn('Development HTTP server started without HTTPS', {
+          url: `http://localhost:${HTTP_PORT}`,
+          authRateLimit: '5 requests per 15 minutes',
+        });
       });
 
       process.on('SIGTERM', () => {
-        console.log('🛑 Shutting down server gracefully...');
+        logger.info('Shutting down server gracefully');
         httpServer.close();
       });
     }
   } catch (error) {
-    console.error('❌ Server startup failed:', error.message);
+    logger.error('Server startup failed', { error });
     process.exit(1);
   }
 }
@@ -10,48 +10,73 @@
  * - Automatic unlock after timeout
  * - Security event logging
  * - IP-based tracking as backup
+ *
+ * STORAGE:
+ * Counters and lockouts live in the security store (utils/securityStore.js),
+ * so a lockout survives a restart and applies on every server instance.
+ * Customer.failedLoginAttempts / lastFailedLogin mirror the store's count of
+ * failures since the last successful login when the customer is passed in.
  */
 
+const { getSecurityStore } = require('../utils/securityStore');
+const { logger } = require('../utils/logger');
+
 const LOCKOUT_CONFIG = {
   MAX_ATTEMPTS: 5,
   LOCKOUT_DURATION: 15 * 60 * 1000, // 15 minutes
   PROGRESSIVE_LOCKOUT: true,
   LOCKOUT_MULTIPLIER: 2, // Double lockout duration for repeated offenses
+  ATTEMPT_WINDOW: 24 * 60 * 60 * 1000, // Attempts are forgotten after a day without failures
 };
 
-// In-memory storage (in production, use Redis or database)
-const accountAttempts = new Map();
-const accountLockouts = new Map();
+const attemptsKey = email => `attempts:${email.toLowerCase()}`;
+const lockoutKey = email => `lockout:${email.toLowerCase()}`;
 
 /**
- * Track failed login attempt for an account
+ * Copy the failure count onto an account document that records it
+ * (Customer.failedLoginAttempts / lastFailedLogin)
  */
-function trackFailedAttempt(email, ip) {
-  const key = email.toLowerCase();
-  const now = Date.now();
-
-  if (!accountAttempts.has(key)) {
-    accountAttempts.set(key, {
-      count: 0,
-      firstAttempt: now,
-      lastAttempt: now,
-      ips: new Set([ip]),
-      lockoutCount: 0,
-    });
+async function mirrorFailedAttempts(account, attempts) {
+  if (!account || !account.schema?.path('failedLoginAttempts')) {
+    return;
   }
 
-  const attempts = accountAttempts.get(key);
-  attempts.count++;
-  attempts.lastAttempt = now;
-  attempts.ips.add(ip);
+  account.failedLoginAttempts = attempts ? attempts.counters.sinceSuccess || 0 : 0;
+  if (attempts) {
+    account.lastFailedLogin = attempts.lastAt;
+  }
+  if (account.isModified()) {
+    await account.save();
+  }
+}
 
-  console.warn(
-    `⚠️ Failed login attempt ${attempts.count}/${LOCKOUT_CONFIG.MAX_ATTEMPTS} for ${email} from ${ip}`
+/**
+ * Track failed login attempt for an account
+ *
+ * @param {string} email - Account email
+ * @param {string} ip - Source of the attempt
+ * @param {Object} [account] - Customer document to keep failedLoginAttempts in step
+ * @returns {Promise<boolean>} Whether this attempt locked the account
+ */
+async function trackFailedAttempt(email, ip, account = null) {
+  const attempts = await getSecurityStore().increment(
+    attemptsKey(email),
+    { count: 1, sinceSuccess: 1 },
+    { ttlMs: LOCKOUT_CONFIG.ATTEMPT_WINDOW, member: ip }
   );
 
+  logger.warn('Failed login attempt', {
+    email,
+    ip,
+    attempt: attempts.counters.count,
+    maxAttempts: LOCKOUT_CONFIG.MAX_ATTEMPTS,
+  });
+
+  await mirrorFailedAttempts(account, attempts);
+
   // Check if lockout threshold reached
-  if (attempts.count >= LOCKOUT_CONFIG.MAX_ATTEMPTS) {
-    lockoutAccount(email, attempts);
+  if (attempts.counters.count >= LOCKOUT_CONFIG.MAX_ATTEMPTS) {
+    await lockoutAccount(email, attempts);
     return true;
   }
 
@@ -61,36 +86,46 @@ function trackFailedAttempt(email, ip) {
 /**
  * Lock an account temporarily
  */
-function lockoutAccount(email, attempts) {
-  const key = email.toLowerCase();
+async function lockoutAccount(email, attempts) {
+  const store = getSecurityStore();
   const now = Date.now();
+  const previousLockouts = attempts.counters.lockouts || 0;
 
   // Calculate lockout duration (progressive if enabled)
   let duration = LOCKOUT_CONFIG.LOCKOUT_DURATION;
-  if (LOCKOUT_CONFIG.PROGRESSIVE_LOCKOUT && attempts.lockoutCount > 0) {
-    duration = duration * Math.pow(LOCKOUT_CONFIG.LOCKOUT_MULTIPLIER, attempts.lockoutCount);
+  if (LOCKOUT_CONFIG.PROGRESSIVE_LOCKOUT && previousLockouts > 0) {
+    duration = duration * Math.pow(LOCKOUT_CONFIG.LOCKOUT_MULTIPLIER, previousLockouts);
     // Cap at 24 hours
     duration = Math.min(duration, 24 * 60 * 60 * 1000);
   }
 
   const unlockTime = now + duration;
 
-  accountLockouts.set(key, {
-    lockedAt: now,
-    unlockAt: unlockTime,
-    duration: duration,
-    reason: 'Too many failed login attempts',
-    attemptCount: attempts.count,
-    lockoutNumber: attempts.lockoutCount + 1,
-  });
+  await store.set(
+    lockoutKey(email),
+    {
+      data: {
+        lockedAt: now,
+        unlockAt: unlockTime,
+        duration: duration,
+        reason: 'Too many failed login attempts',
+        attemptCount: attempts.counters.count,
+        lockoutNumber: previousLockouts + 1,
+      },
+    },
+    duration
+  );
 
-  // Increment lockout count
-  attempts.lockoutCount++;
-  attempts.count = 0; // Reset attempt counter
+  // Increment lockout count and reset attempt counter
+  await store.update(attemptsKey(email), {
+    counters: { count: 0, lockouts: previousLockouts + 1 },
+  });
 
-  console.error(
-    `🔒 Account ${email} locked until ${new Date(unlockTime).toISOString()} (Lockout #${attempts.lockoutCount})`
-  );
+  logger.warn('Account locked', {
+    email,
+    unlockAt: new Date(unlockTime).toISOString(),
+    lockoutNumber: previousLockouts + 1,
+  });
 
   // Create security event
   const { createSecurityEvent } = require('./securityMonitoring');
@@ -98,73 +133,77 @@ function lockoutAccount(email, attempts) {
     email,
     lockoutDuration: duration,
     unlockAt: new Date(unlockTime).toISOString(),
-    totalAttempts: attempts.count,
-    lockoutNumber: attempts.lockoutCount,
+    totalAttempts: attempts.counters.count,
+    lockoutNumber: previousLockouts + 1,
   });
 }
 
 /**
  * Check if account is currently locked out
  */
-function isAccountLocked(email) {
-  const key = email.toLowerCase();
-  const lockout = accountLockouts.get(key);
+async function isAccountLocked(email) {
+  // Expired lockouts are never returned by the store
+  const lockout = await getSecurityStore().get(lockoutKey(email));
 
   if (!lockout) {
     return { locked: false };
   }
 
-  const now = Date.now();
-
-  // Check if lockout has expired
-  if (now >= lockout.unlockAt) {
-    accountLockouts.delete(key);
-    console.log(`🔓 Account ${email} lockout expired - access restored`);
-    return { locked: false };
-  }
-
   // Account is still locked
-  const remainingTime = lockout.unlockAt - now;
+  const remainingTime = lockout.data.unlockAt - Date.now();
   const remainingMinutes = Math.ceil(remainingTime / 60000);
 
   return {
     locked: true,
-    unlockAt: lockout.unlockAt,
+    unlockAt: lockout.data.unlockAt,
     remainingTime: remainingTime,
     remainingMinutes: remainingMinutes,
-    reason: lockout.reason,
-    lockoutNumber: lockout.lockoutNumber,
+    reason: lockout.data.reason,
+    lockoutNumber: lockout.data.lockoutNumber,
   };
 }
 
 /**
  * Reset failed attempts for successful login
+ *
+ * @param {string} email - Account email
+ * @param {Object} [account] - Customer document to clear failedLoginAttempts on
  */
-function resetFailedAttempts(email) {
-  const key = email.toLowerCase();
-
-  if (accountAttempts.has(key)) {
-    const attempts = accountAttempts.get(key);
-    console.log(`✅ Reset failed attempts for ${email} (had ${attempts.count} attempts)`);
-    attempts.count = 0;
-    attempts.firstAttempt = Date.now();
+async function resetFailedAttempts(email, account = null) {
+  const attempts = await getSecurityStore().update(attemptsKey(email), {
+    counters: { count: 0, sinceSuccess: 0 },
+  });
+
+  if (attempts) {
+    logger.info('Reset failed login attempts', { email });
   }
+
+  await mirrorFailedAttempts(account, null);
 }
 
 /**
  * Middleware to check account lockout before authentication
  */
-function checkAccountLockout(req, res, next) {
+async function checkAccountLockout(req, res, next) {
   const email = req.body.email;
 
   if (!email) {
     return next();
   }
 
-  const lockStatus = isAccountLocked(email);
+  let lockStatus;
+  try {
+    lockStatus = await isAccountLocked(email);
+  } catch (error) {
+    logger.error('Account lockout check error', { error });
+    return res.status(500).json({
+      success: false,
+      message: 'Login is temporarily unavailable. Please try again.',
+    });
+  }
 
   if (lockStatus.locked) {
-    console.warn(`🚫 Blocked login attempt for locked account: ${email}`);
+    logger.warn('Blocked login attempt for locked account', { email });
 
     return res.status(423).json({
       // 423 Locked
@@ -182,67 +221,39 @@ function checkAccountLockout(req, res, next) {
 
 /**
  * Manual unlock (for admin use)
+ *
+ * @returns {Promise<boolean>} Whether the account was locked
  */
-function unlockAccount(email) {
-  const key = email.toLowerCase();
-
-  accountLockouts.delete(key);
+async function unlockAccount(email) {
+  const store = getSecurityStore();
+  const lockout = await store.get(lockoutKey(email));
 
-  if (accountAttempts.has(key)) {
-    const attempts = accountAttempts.get(key);
-    attempts.count = 0;
-  }
+  await store.delete(lockoutKey(email));
+  await store.update(attemptsKey(email), { counters: { count: 0 } });
 
-  console.log(`🔓 Account ${email} manually unlocked`);
+  logger.info('Account manually unlocked', { email });
+  return Boolean(lockout);
 }
 
 /**
  * Get lockout statistics
  */
-function getLockoutStats() {
+async function getLockoutStats() {
+  const store = getSecurityStore();
+  const [lockouts, attempts] = await Promise.all([store.list('lockout:'), store.list('attempts:')]);
+
   return {
-    currentlyLocked: accountLockouts.size,
-    accountsWithAttempts: accountAttempts.size,
-    lockedAccounts: Array.from(accountLockouts.entries()).map(([email, lockout]) => ({
-      email,
-      unlockAt: new Date(lockout.unlockAt).toISOString(),
-      lockoutNumber: lockout.lockoutNumber,
-      remainingMinutes: Math.ceil((lockout.unlockAt - Date.now()) / 60000),
+    currentlyLocked: lockouts.length,
+    accountsWithAttempts: attempts.length,
+    lockedAccounts: lockouts.map(lockout => ({
+      email: lockout.key.slice('lockout:'.length),
+      unlockAt: new Date(lockout.data.unlockAt).toISOString(),
+      lockoutNumber: lockout.data.lockoutNumber,
+      remainingMinutes: Math.ceil((lockout.data.unlockAt - Date.now()) / 60000),
     })),
   };
 }
 
-/**
- * Cleanup expired entries (run periodically)
- */
-function cleanupExpiredEntries() {
-  const now = Date.now();
-  let cleaned = 0;
-
-  // Clean lockouts
-  for (const [email, lockout] of accountLockouts.entries()) {
-    if (now >= lockout.unlockAt) {
-      accountLockouts.delete(email);
-      cleaned++;
-    }
-  }
-
-  // Clean old attempts (older than 24 hours with no activity)
-  for (const [email, attempts] of accountAttempts.entries()) {
-    if (attempts.count === 0 && now - attempts.lastAttempt > 24 * 60 * 60 * 1000) {
-      accountAttempts.delete(email);
-      cleaned++;
-    }
-  }
-
-  if (cleaned > 0) {
-    console.log(`🧹 Cleaned up ${cleaned} expired account security entries`);
-  }
-}
-
-// Run cleanup every hour
-setInterval(cleanupExpiredEntries, 60 * 60 * 1000);
-
 module.exports = {
   trackFailedAttempt,
   isAccountLocked,
@@ -9,6 +9,9 @@
  */
 
 const { body, param, query, validationResult } = require('express-validator');
+const { looksLikeIban, getIbanError } = require('../utils/iban');
+const { lookupBic } = require('../utils/bicDirectory');
+const { logger } = require('../utils/logger');
 
 /**
  * REGEX WHITELIST PATTERNS
@@ -24,6 +27,12 @@ const VALIDATION_PATTERNS = {
     message: 'Amount must be between 1 and 10,000 with up to 2 decimal places',
   },
 
+  depositAmount: {
+    regex: /^([1-9][0-9]{0,5}|1000000)(\.[0-9]{1,2})?$/,
+    description: 'Deposit amount between 1.00 and 1000000.00',
+    message: 'Deposit amount must be between 1 and 1,000,000 with up to 2 decimal places',
+  },
+
   currency: {
     regex: /^(USD|EUR|GBP|ZAR)$/,
     description: 'Accepted currencies only',
@@ -79,6 +88,24 @@ const VALIDATION_PATTERNS = {
     message: 'Invalid transaction ID format',
   },
 
+  swiftBatchId: {
+    regex: /^BATCH-\d{13}-[A-Z0-9]{4,10}$/,
+    description: 'Valid SWIFT batch ID format (BATCH-timestamp-randomID)',
+    message: 'Invalid batch ID format',
+  },
+
+  swiftReference: {
+    regex: /^[A-Za-z0-9-]{8,64}$/,
+    description: 'Gateway-assigned SWIFT reference (e.g. UETR)',
+    message: 'Invalid SWIFT reference format',
+  },
+
+  fxQuoteId: {
+    regex: /^QTE-\d{13}-[A-F0-9]{8}$/,
+    description: 'Valid FX quote ID format (QTE-timestamp-randomID)',
+    message: 'Invalid FX quote ID format',
+  },
+
   mongoObjectId: {
     regex: /^[a-f0-9]{24}$/,
     description: 'Valid MongoDB ObjectId',
@@ -121,11 +148,82 @@ const VALIDATION_PATTERNS = {
 
   // Status and Enums
   paymentStatus: {
-    regex: /^(pending|verified|rejected|submitted_to_swift|completed|failed)$/,
+    regex:
+      /^(pending|screening|pending_second_approval|verified|rejected|submitting|submitted_to_swift|completed|failed)$/,
     description: 'Valid payment status',
     message: 'Invalid payment status',
   },
 
+  // Comma-separated statuses for the employee payment lists, or "all"
+  paymentStatusList: {
+    regex:
+      /^(all|(pending|screening|pending_second_approval|verified|rejected|submitting|submitted_to_swift|completed|failed)(,(pending|screening|pending_second_approval|verified|rejected|submitting|submitted_to_swift|completed|failed)){0,8})$/,
+    description: 'One or more payment statuses',
+    message: 'Invalid payment status filter',
+  },
+
+  paymentSort: {
+    regex: /^(createdAt|amount)$/,
+    description: 'Sortable payment field',
+    message: 'Sort must be createdAt or amount',
+  },
+
+  sortOrder: {
+    regex: /^(asc|desc)$/,
+    description: 'Sort direction',
+    message: 'Order must be asc or desc',
+  },
+
+  // Opaque base64url token returned as pagination.nextCursor
+  paginationCursor: {
+    regex: /^[A-Za-z0-9_-]{1,200}$/,
+    description: 'Pagination cursor',
+    message: 'Invalid pagination cursor',
+  },
+
+  invoiceNumber: {
+    regex: /^INV-\d{13}-[A-Z0-9]{4,10}$/,
+    description: 'Valid invoice number format (INV-timestamp-randomID)',
+    message: 'Invalid invoice number format',
+  },
+
+  invoiceSignature: {
+    regex: /^[A-Za-z0-9_-]{43}$/,
+    description: 'Invoice signature (base64url HMAC-SHA256)',
+    message: 'Invalid invoice signature',
+  },
+
+  invoiceStatus: {
+    regex: /^(generated|sent|paid|cancelled)$/,
+    description: 'Valid invoice status',
+    message: 'Invalid invoice status',
+  },
+
+  exportFormat: {
+    regex: /^(csv|xlsx)$/,
+    description: 'Export file format',
+    message: 'Format must be csv or xlsx',
+  },
+
+  securityEventType: {
+    regex: /^[a-z][a-z0-9_]{1,63}$/,
+    description: 'Security event type (snake_case)',
+    message: 'Invalid event type',
+  },
+
+  severity: {
+    regex: /^(low|medium|high|critical)$/,
+    description: 'Security event severity',
+    message: 'Severity must be low, medium, high or critical',
+  },
+
+  ipAddress: {
+    regex:
+      /^(?:\d{1,3}(?:\.\d{1,3}){3}|[0-9a-fA-F]{0,4}(?::[0-9a-fA-F]{0,4}){2,7}(?::\d{1,3}(?:\.\d{1,3}){3})?)$/,
+    description: 'IPv4 or IPv6 address (including IPv4-mapped IPv6)',
+    message: 'Invalid IP address',
+  },
+
   role: {
     regex: /^(customer|employee)$/,
     description: 'Valid user role',
@@ -237,15 +335,52 @@ const validatePaymentCreation = [
   createValidator('recipientSwift', 'body', VALIDATION_PATTERNS.swiftCode),
   createValidator('recipientName', 'body', VALIDATION_PATTERNS.recipientName),
   createValidator('reference', 'body', VALIDATION_PATTERNS.reference, true),
+  createValidator('quoteId', 'body', VALIDATION_PATTERNS.fxQuoteId, true),
+
+  // Accounts written as IBANs must pass the registry length/format and mod-97 checks
+  body('recipientAccount').custom(value => {
+    const error = looksLikeIban(value) ? getIbanError(value) : null;
+    if (error) {
+      throw new Error(error);
+    }
+    return true;
+  }),
+
+  // The recipient bank must be in the BIC directory
+  body('recipientSwift')
+    .if(body('recipientSwift').matches(VALIDATION_PATTERNS.swiftCode.regex))
+    .custom(value => Boolean(lookupBic(value)))
+    .withMessage('SWIFT/BIC code not found in the bank directory'),
 
   // Custom validation for amount range
   body('amount').isFloat({ min: 1, max: 10000 }).withMessage('Amount must be between 1 and 10,000'),
+
+  // Confirmation of the challenge issued by POST /api/payments/challenge
+  body('challengeId')
+    .optional()
+    .matches(/^[a-f0-9]{32}$/)
+    .withMessage('Invalid confirmation reference'),
+  body('confirmationCode')
+    .optional()
+    .matches(/^\d{6}$/)
+    .withMessage('Confirmation code must be 6 digits'),
+];
+
+const validateFxQuoteRequest = [
+  createValidator('amount', 'body', VALIDATION_PATTERNS.amount),
+  createValidator('currency', 'body', VALIDATION_PATTERNS.currency),
+  body('amount').isFloat({ min: 1, max: 10000 }).withMessage('Amount must be between 1 and 10,000'),
 ];
 
 const validatePaymentVerification = [
   createValidator('transactionId', 'param', VALIDATION_PATTERNS.transactionId),
   body('verified').isBoolean().withMessage('Verified must be true or false'),
   createValidator('verifierNotes', 'body', VALIDATION_PATTERNS.notes, true),
+  body('overrideScreening')
+    .optional()
+    .isBoolean()
+    .withMessage('overrideScreening must be true or false')
+    .toBoolean(),
 ];
 
 const validateSwiftSubmission = [
@@ -255,6 +390,52 @@ const validateSwiftSubmission = [
   body('transactionIds.*')
     .matches(VALIDATION_PATTERNS.transactionId.regex)
     .withMessage('Invalid transaction ID format'),
+  body('mfaCode')
+    .optional()
+    .matches(/^\d{6}$/)
+    .withMessage('Authenticator code must be 6 digits'),
+];
+
+const validateSwiftAcknowledgement = [
+  body('acknowledgements')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('Must provide 1-50 acknowledgements'),
+  body('acknowledgements.*.transactionId')
+    .matches(VALIDATION_PATTERNS.transactionId.regex)
+    .withMessage('Invalid transaction ID format'),
+  body('acknowledgements.*.swiftReference')
+    .matches(VALIDATION_PATTERNS.swiftReference.regex)
+    .withMessage(VALIDATION_PATTERNS.swiftReference.message),
+  body('acknowledgements.*.status')
+    .isIn(['completed', 'failed'])
+    .withMessage('Acknowledgement status must be completed or failed'),
+  body('acknowledgements.*.reason')
+    .optional()
+    .matches(VALIDATION_PATTERNS.notes.regex)
+    .withMessage(VALIDATION_PATTERNS.notes.message),
+];
+
+const validateSwiftBatchId = [
+  createValidator('batchId', 'param', VALIDATION_PATTERNS.swiftBatchId),
+];
+
+const validateTransactionIdParam = [
+  createValidator('transactionId', 'param', VALIDATION_PATTERNS.transactionId),
+];
+
+const validateBicParam = [createValidator('bic', 'param', VALIDATION_PATTERNS.swiftCode)];
+
+/**
+ * FX RATE VALIDATION CHAINS
+ */
+const validateFxRateTable = [
+  createValidator('base', 'body', VALIDATION_PATTERNS.currency),
+  body('rates').isObject().withMessage('Rates must be an object keyed by currency'),
+  body(['rates.USD', 'rates.EUR', 'rates.GBP', 'rates.ZAR'])
+    .isFloat({ gt: 0, max: 1000000 })
+    .withMessage('Each rate must be a positive number')
+    .toFloat(),
+  body('asOf').optional().isISO8601().withMessage('asOf must be an ISO 8601 date'),
 ];
 
 /**
@@ -275,15 +456,166 @@ const validateEmployeeLogin = [
  */
 const validateCustomerId = [createValidator('id', 'param', VALIDATION_PATTERNS.mongoObjectId)];
 
+const validateCustomerIdParam = [
+  createValidator('customerId', 'param', VALIDATION_PATTERNS.mongoObjectId),
+];
+
+const validateLedgerDeposit = [
+  createValidator('id', 'param', VALIDATION_PATTERNS.mongoObjectId),
+  createValidator('amount', 'body', VALIDATION_PATTERNS.depositAmount),
+  createValidator('currency', 'body', VALIDATION_PATTERNS.currency),
+  createValidator('memo', 'body', VALIDATION_PATTERNS.notes, true),
+];
+
 /**
  * QUERY PARAMETER VALIDATION
  */
+/**
+ * Deny by default: query parameters outside the list are rejected rather than
+ * ignored, and each allowed parameter may appear once
+ */
+const allowQueryParams = allowed => [
+  query()
+    .custom(params => Object.keys(params).every(key => allowed.includes(key)))
+    .withMessage('Unsupported query parameter'),
+  query(allowed)
+    .optional({ values: 'falsy' })
+    .isString()
+    .withMessage('Query parameters must be single values'),
+];
+
+const PAYMENT_FILTER_PARAMS = [
+  'status',
+  'currency',
+  'minAmount',
+  'maxAmount',
+  'from',
+  'to',
+  'customer',
+  'swift',
+  'q',
+];
+
+// Filters shared by the employee payment list and payment export
+const paymentFilterValidators = [
+  createValidator('status', 'query', VALIDATION_PATTERNS.paymentStatusList, true),
+  createValidator('currency', 'query', VALIDATION_PATTERNS.currency, true),
+  query(['minAmount', 'maxAmount'])
+    .optional({ values: 'falsy' })
+    .isFloat({ min: 0, max: 1000000 })
+    .withMessage('Amount filters must be between 0 and 1,000,000'),
+  query('maxAmount')
+    .optional({ values: 'falsy' })
+    .custom(
+      (value, { req }) => !req.query.minAmount || Number(value) >= Number(req.query.minAmount)
+    )
+    .withMessage('Maximum amount must not be below the minimum'),
+  query(['from', 'to'])
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('Dates must be ISO 8601'),
+  query('customer')
+    .optional({ values: 'falsy' })
+    .custom(
+      value =>
+        VALIDATION_PATTERNS.email.regex.test(value) ||
+        VALIDATION_PATTERNS.mongoObjectId.regex.test(value)
+    )
+    .withMessage('Customer must be an email address or account ID'),
+  query('swift')
+    .optional({ values: 'falsy' })
+    .matches(/^[A-Za-z]{6}[A-Za-z0-9]{2}([A-Za-z0-9]{3})?$/)
+    .withMessage(VALIDATION_PATTERNS.swiftCode.message),
+  query('q')
+    .optional({ values: 'falsy' })
+    .matches(/^[a-zA-Z0-9\s\-_.]{1,35}$/)
+    .withMessage(VALIDATION_PATTERNS.reference.message),
+  createValidator('sort', 'query', VALIDATION_PATTERNS.paymentSort, true),
+  createValidator('order', 'query', VALIDATION_PATTERNS.sortOrder, true),
+];
+
 const validatePaymentQuery = [
-  createValidator('status', 'query', VALIDATION_PATTERNS.paymentStatus, true),
-  query('page').optional().isInt({ min: 1, max: 1000 }).withMessage('Invalid page number'),
+  ...allowQueryParams([...PAYMENT_FILTER_PARAMS, 'sort', 'order', 'limit', 'cursor']),
+  ...paymentFilterValidators,
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Invalid limit'),
+  createValidator('cursor', 'query', VALIDATION_PATTERNS.paginationCursor, true),
+];
+
+/**
+ * EXPORT VALIDATION
+ */
+const exportFormatValidator = createValidator(
+  'format',
+  'query',
+  VALIDATION_PATTERNS.exportFormat,
+  true
+);
+
+const validatePaymentExport = [
+  ...allowQueryParams([...PAYMENT_FILTER_PARAMS, 'sort', 'order', 'format']),
+  ...paymentFilterValidators,
+  exportFormatValidator,
+];
+
+const validateInvoiceExport = [
+  ...allowQueryParams(['status', 'from', 'to', 'format']),
+  createValidator('status', 'query', VALIDATION_PATTERNS.invoiceStatus, true),
+  query(['from', 'to'])
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('Dates must be ISO 8601'),
+  exportFormatValidator,
+];
+
+const validateCustomerExport = [...allowQueryParams(['format']), exportFormatValidator];
+
+/**
+ * INVOICE DOCUMENT VALIDATION
+ */
+const validateInvoiceNumberParam = [
+  createValidator('invoiceNumber', 'param', VALIDATION_PATTERNS.invoiceNumber),
+];
+
+const validateInvoiceVerification = [
+  ...allowQueryParams(['sig']),
+  createValidator('invoiceNumber', 'param', VALIDATION_PATTERNS.invoiceNumber),
+  createValidator('sig', 'query', VALIDATION_PATTERNS.invoiceSignature),
 ];
 
+const validateInvoiceCancellation = [
+  createValidator('invoiceNumber', 'param', VALIDATION_PATTERNS.invoiceNumber),
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('A cancellation reason of 3-500 characters is required')
+    .matches(VALIDATION_PATTERNS.notes.regex)
+    .withMessage(VALIDATION_PATTERNS.notes.message),
+];
+
+/**
+ * SECURITY CONSOLE VALIDATION
+ */
+const validateSecurityEventQuery = [
+  createValidator('type', 'query', VALIDATION_PATTERNS.securityEventType, true),
+  createValidator('severity', 'query', VALIDATION_PATTERNS.severity, true),
+  createValidator('ip', 'query', VALIDATION_PATTERNS.ipAddress, true),
+  query('user')
+    .optional()
+    .custom(
+      value =>
+        VALIDATION_PATTERNS.email.regex.test(value) ||
+        VALIDATION_PATTERNS.mongoObjectId.regex.test(value)
+    )
+    .withMessage('User must be an email address or account ID'),
+  query('from').optional().isISO8601().withMessage('From must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('To must be an ISO 8601 date'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Invalid limit'),
+];
+
+const validateLockoutEmailParam = [createValidator('email', 'param', VALIDATION_PATTERNS.email)];
+
+const validateIpParam = [createValidator('ip', 'param', VALIDATION_PATTERNS.ipAddress)];
+
 /**
  * ERROR HANDLER
  * Returns validation errors in standardized format
@@ -293,10 +625,11 @@ const handleValidationErrors = (req, res, next) => {
 
   if (!errors.isEmpty()) {
     // Log validation failure for security monitoring
-    console.warn('⚠️ Input validation failed:', {
+    // Field names and messages only - the rejected values may be passwords
+    logger.warn('Input validation failed', {
       ip: req.ip,
       path: req.path,
-      errors: errors.array(),
+      errors: errors.array().map(({ path, msg }) => ({ field: path, msg })),
     });
 
     return res.status(400).json({
@@ -346,12 +679,29 @@ const globalSanitization = (req, res, next) => {
 module.exports = {
   VALIDATION_PATTERNS,
   validatePaymentCreation,
+  validateFxQuoteRequest,
   validatePaymentVerification,
   validateSwiftSubmission,
+  validateSwiftAcknowledgement,
+  validateSwiftBatchId,
+  validateTransactionIdParam,
+  validateBicParam,
+  validateFxRateTable,
   validateLogin,
   validateEmployeeLogin,
   validateCustomerId,
+  validateCustomerIdParam,
+  validateLedgerDeposit,
   validatePaymentQuery,
+  validatePaymentExport,
+  validateInvoiceExport,
+  validateCustomerExport,
+  validateInvoiceNumberParam,
+  validateInvoiceVerification,
+  validateInvoiceCancellation,
+  validateSecurityEventQuery,
+  validateLockoutEmailParam,
+  validateIpParam,
   handleValidationErrors,
   globalSanitization,
   sanitizeNoSQLOperators,
@@ -1,4 +1,5 @@
 const crypto = require('crypto');
+const { logger } = require('../utils/logger');
 
 /**
  * CSRF (Cross-Site Request Forgery) PROTECTION - EXCEEDS STANDARD
@@ -74,11 +75,13 @@ function csrfProtection(req, res, next) {
   // Validate token
   if (!providedToken || !expectedToken || providedToken !== expectedToken) {
     // SECURITY: Log CSRF attempts for monitoring
-    console.warn(`CSRF Protection Triggered: ${req.ip} - ${req.method} ${req.path}`, {
+    logger.warn('CSRF protection triggered', {
+      ip: req.ip,
+      method: req.method,
+      path: req.path,
       userAgent: req.get('User-Agent'),
       origin: req.get('Origin'),
       referer: req.get('Referer'),
-      timestamp: new Date().toISOString(),
       hasToken: !!providedToken,
       hasCookie: !!expectedToken,
     });
@@ -139,7 +142,7 @@ function validateOrigin(req, res, next) {
 
   // SECURITY: Validate origin header
   if (origin && !allowedOrigins.includes(origin)) {
-    console.warn(`Suspicious origin detected: ${origin} from ${req.ip}`);
+    logger.warn('Suspicious origin detected', { origin, ip: req.ip });
     return res.status(403).json({
       success: false,
       message: 'Request not allowed from this origin',
@@ -151,7 +154,7 @@ function validateOrigin(req, res, next) {
     const refererValid = allowedOrigins.some(allowed => referer.startsWith(allowed));
 
     if (!refererValid) {
-      console.warn(`Suspicious referer detected: ${referer} from ${req.ip}`);
+      logger.warn('Suspicious referer detected', { referer, ip: req.ip });
       return res.status(403).json({
         success: false,
         message: 'Request not allowed from this source',
@@ -179,7 +182,7 @@ function validateContentType(req, res, next) {
 
   // SECURITY: Require JSON content type for API endpoints
   if (req.path.startsWith('/api/') && !contentType?.includes('application/json')) {
-    console.warn(`Invalid content type for API request: ${contentType} from ${req.ip}`);
+    logger.warn('Invalid content type for API request', { contentType, ip: req.ip });
     return res.status(415).json({
       success: false,
       message: 'Content-Type must be application/json for API requests',
@@ -206,7 +209,7 @@ function validateCustomHeaders(req, res, next) {
   const requestedWith = req.get('X-Requested-With');
 
   if (req.path.startsWith('/api/') && requestedWith !== 'XMLHttpRequest') {
-    console.warn(`Missing X-Requested-With header from ${req.ip}`);
+    logger.warn('Missing X-Requested-With header', { ip: req.ip, path: req.path });
     return res.status(400).json({
       success: false,
       message: 'Invalid request headers',
@@ -239,7 +242,7 @@ function getCsrfToken(req, res) {
       message: 'CSRF token generated successfully',
     });
   } catch (error) {
-    console.error('CSRF token generation failed:', error);
+    logger.error('CSRF token generation failed', { error });
     res.status(500).json({
       success: false,
       message: 'Failed to generate security token',
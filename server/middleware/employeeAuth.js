@@ -7,6 +7,23 @@
 
 const { authenticateToken } = require('../utils/jwtSecurity');
 const { createSecurityEvent } = require('./securityMonitoring');
+const Employee = require('../models/Employee');
+const { MFA_CONFIG, verifyEmployeeMfa } = require('../utils/mfa');
+const { logger } = require('../utils/logger');
+
+// Every permission an employee record can hold
+const EMPLOYEE_PERMISSIONS = [
+  'view_payments',
+  'verify_payments',
+  'submit_swift',
+  'view_customers',
+  'post_deposits',
+  'generate_reports',
+  // Full account numbers in exports; everyone else gets the last four digits
+  'view_account_numbers',
+  'manage_employees',
+  'system_admin',
+];
 
 /**
  * Middleware to authenticate employee access
@@ -15,6 +32,8 @@ const { createSecurityEvent } = require('./securityMonitoring');
  * - Verifies JWT token validity
  * - Checks for employee role in token claims
  * - Prevents customers from accessing employee endpoints
+ * - Loads the employee record so suspended accounts lose access immediately
+ * - Attaches department and permissions as req.employee
  * - Logs unauthorized access attempts
  *
  * @param {Object} req - Express request object
@@ -46,8 +65,6 @@ async function authenticateEmployee(req, res, next) {
         });
       }
 
-      // SECURITY: Verify employee account is still active
-      // (In production, would check database)
       if (!req.user.userId || !req.user.email) {
         createSecurityEvent(
           'invalid_employee_token',
@@ -65,11 +82,51 @@ async function authenticateEmployee(req, res, next) {
         });
       }
 
+      // SECURITY: Verify employee account is still active
+      // Permissions are read from the record, not the token, so revocations apply at once
+      // authenticateToken does not await this callback, so a failed lookup must be
+      // answered here or the request hangs on an unhandled rejection
+      let employee;
+      try {
+        employee = await Employee.findById(req.user.userId).select('department permissions status');
+      } catch (error) {
+        logger.error('Employee lookup failed', { userId: req.user.userId, error });
+        return res.status(500).json({
+          success: false,
+          message: 'Authentication service unavailable',
+          code: 'EMPLOYEE_LOOKUP_FAILED',
+        });
+      }
+
+      if (!employee || employee.status !== 'active') {
+        createSecurityEvent(
+          'inactive_employee_access',
+          {
+            userId: req.user.userId,
+            employeeStatus: employee?.status || 'missing',
+            attemptedEndpoint: req.originalUrl,
+          },
+          req
+        );
+
+        return res.status(403).json({
+          success: false,
+          message: 'Employee account is not active',
+          code: 'EMPLOYEE_INACTIVE',
+        });
+      }
+
+      req.employee = {
+        id: employee._id,
+        department: employee.department,
+        permissions: employee.permissions || [],
+      };
+
       // Employee is authenticated and authorized
       next();
     });
   } catch (error) {
-    console.error('Employee authentication error:', error);
+    logger.error('Employee authentication error', { error });
 
     createSecurityEvent(
       'employee_auth_error',
@@ -89,53 +146,149 @@ async function authenticateEmployee(req, res, next) {
 }
 
 /**
- * Middleware to verify employee has specific department access
- * (Optional enhancement for role-based access control)
+ * Middleware to verify employee has a specific permission
+ * Must run after authenticateEmployee, which loads the permissions
  *
- * @param {Array<string>} allowedDepartments - List of departments allowed
+ * @param {string} permission - One of EMPLOYEE_PERMISSIONS
  * @returns {Function} Express middleware function
  */
-function requireDepartment(allowedDepartments) {
-  return async (req, res, next) => {
-    try {
-      // First ensure employee is authenticated
-      if (!req.user || req.user.role !== 'employee') {
-        return res.status(403).json({
-          success: false,
-          message: 'Employee authentication required',
-        });
-      }
+function requirePermission(permission) {
+  if (!EMPLOYEE_PERMISSIONS.includes(permission)) {
+    throw new Error(`Unknown employee permission: ${permission}`);
+  }
 
-      // Check department (would typically come from database)
-      // For now, this is a placeholder for future enhancement
-      const employeeDepartment = req.user.department || 'Unknown';
+  return (req, res, next) => {
+    if (!req.employee) {
+      return res.status(403).json({
+        success: false,
+        message: 'Employee authentication required',
+      });
+    }
 
-      if (!allowedDepartments.includes(employeeDepartment)) {
-        createSecurityEvent(
-          'department_access_denied',
-          {
-            employeeId: req.user.userId,
-            employeeDepartment,
-            requiredDepartments: allowedDepartments,
-            endpoint: req.originalUrl,
-          },
-          req
-        );
+    if (!req.employee.permissions.includes(permission)) {
+      createSecurityEvent(
+        'permission_denied',
+        {
+          employeeId: req.user.userId,
+          employeeDepartment: req.employee.department,
+          requiredPermission: permission,
+          endpoint: req.originalUrl,
+          method: req.method,
+        },
+        req
+      );
 
-        return res.status(403).json({
-          success: false,
-          message: 'Insufficient department permissions',
-        });
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to perform this action',
+        code: 'PERMISSION_DENIED',
+        requiredPermission: permission,
+      });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Middleware requiring a fresh authenticator code (step-up) for sensitive actions
+ * Must run after authenticateEmployee. The code is sent as mfaCode in the
+ * JSON body; recovery codes are only accepted at login.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+async function requireMfaStepUp(req, res, next) {
+  try {
+    const employee = await Employee.findById(req.employee.id).select('mfa');
+
+    if (!employee?.mfa?.enabled) {
+      if (!MFA_CONFIG.stepUpRequiresEnrolment) {
+        return next();
       }
 
-      next();
-    } catch (error) {
-      console.error('Department authorization error:', error);
-      return res.status(500).json({
+      return res.status(403).json({
+        success: false,
+        message: 'Set up two-factor authentication before performing this action',
+        code: 'MFA_ENROLMENT_REQUIRED',
+      });
+    }
+
+    const code = req.body?.mfaCode;
+
+    // 403 rather than 401: the session is valid, the action needs more proof
+    if (!code) {
+      return res.status(403).json({
+        success: false,
+        message: 'Enter the code from your authenticator app to continue',
+        code: 'MFA_STEP_UP_REQUIRED',
+      });
+    }
+
+    if (!(await verifyEmployeeMfa(employee, code))) {
+      createSecurityEvent(
+        'mfa_step_up_failed',
+        {
+          employeeId: req.user.userId,
+          endpoint: req.originalUrl,
+          method: req.method,
+        },
+        req
+      );
+
+      return res.status(403).json({
+        success: false,
+        message: 'Invalid or already used authenticator code',
+        code: 'MFA_CODE_INVALID',
+      });
+    }
+
+    next();
+  } catch (error) {
+    logger.error('MFA step-up error', { error });
+    return res.status(500).json({
+      success: false,
+      message: 'Two-factor verification failed',
+    });
+  }
+}
+
+/**
+ * Middleware to verify employee has specific department access
+ * Must run after authenticateEmployee, which loads the department
+ *
+ * @param {Array<string>} allowedDepartments - List of departments allowed
+ * @returns {Function} Express middleware function
+ */
+function requireDepartment(allowedDepartments) {
+  return (req, res, next) => {
+    if (!req.employee) {
+      return res.status(403).json({
         success: false,
-        message: 'Authorization check failed',
+        message: 'Employee authentication required',
       });
     }
+
+    if (!allowedDepartments.includes(req.employee.department)) {
+      createSecurityEvent(
+        'department_access_denied',
+        {
+          employeeId: req.user.userId,
+          employeeDepartment: req.employee.department,
+          requiredDepartments: allowedDepartments,
+          endpoint: req.originalUrl,
+        },
+        req
+      );
+
+      return res.status(403).json({
+        success: false,
+        message: 'Insufficient department permissions',
+      });
+    }
+
+    next();
   };
 }
 
@@ -163,7 +316,10 @@ function preventEmployeeRegistration(req, res, next) {
 }
 
 module.exports = {
+  EMPLOYEE_PERMISSIONS,
   authenticateEmployee,
+  requirePermission,
+  requireMfaStepUp,
   requireDepartment,
   preventEmployeeRegistration,
 };
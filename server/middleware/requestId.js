@@ -0,0 +1,44 @@
+/**
+ * Request ID Middleware
+ * Gives every request a correlation ID: the caller's X-Request-Id when it is
+ * well formed (so IDs from a proxy or the client carry through), otherwise a
+ * new UUID. The ID is echoed in the X-Request-Id response header, set as
+ * req.id, and added to every log line and security event raised while the
+ * request is handled (utils/logger.js). Each request is logged once, when
+ * its response has been sent.
+ */
+
+const crypto = require('crypto');
+const { logger, runWithRequestId } = require('../utils/logger');
+
+const REQUEST_ID_CONFIG = {
+  header: 'X-Request-Id',
+  // Anything else could smuggle text into the logs
+  pattern: /^[A-Za-z0-9._:-]{8,128}$/,
+};
+
+function requestId(req, res, next) {
+  const incoming = req.get(REQUEST_ID_CONFIG.header);
+  req.id = incoming && REQUEST_ID_CONFIG.pattern.test(incoming) ? incoming : crypto.randomUUID();
+
+  res.setHeader(REQUEST_ID_CONFIG.header, req.id);
+
+  const startedAt = process.hrtime.bigint();
+  res.on('finish', () => {
+    logger.info('Request completed', {
+      requestId: req.id,
+      method: req.method,
+      // Query strings can carry tokens - log the path only
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      durationMs: Number(process.hrtime.bigint() - startedAt) / 1e6,
+    });
+  });
+
+  runWithRequestId(req.id, next);
+}
+
+module.exports = {
+  REQUEST_ID_CONFIG,
+  requestId,
+};
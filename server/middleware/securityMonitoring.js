@@ -1,5 +1,7 @@
 const fs = require('fs');
 const path = require('path');
+const { getSecurityStore } = require('../utils/securityStore');
+const { logger, getRequestId } = require('../utils/logger');
 
 /**
  * SUSPICIOUS ACTIVITY MONITORING - EXCEEDS STANDARD
@@ -41,11 +43,12 @@ const path = require('path');
  *    - Automated scanning tool signatures
  *    - Unusual endpoint probing patterns
  *    - Information disclosure attempts
+ *
+ * Security events, per-IP counters and IP blocks are kept in the security
+ * store (utils/securityStore.js) so they survive restarts and are shared by
+ * every server instance.
  */
 
-// Security event tracking in-memory store (in production, use Redis/database)
-const securityEvents = new Map();
-const ipAttempts = new Map();
 const userSessions = new Map();
 
 // Configuration constants
@@ -56,6 +59,8 @@ const SECURITY_CONFIG = {
   GEO_DISTANCE_THRESHOLD: 500, // km
   SESSION_FINGERPRINT_TOLERANCE: 0.8,
   LOG_RETENTION_DAYS: 30,
+  FAILED_LOGIN_WINDOW: 24 * 60 * 60 * 1000, // Failed logins per IP are counted over a day
+  RATE_WINDOW: 60 * 1000, // Request rates are measured over one-minute windows
 };
 
 // Suspicious patterns for different attack types
@@ -133,11 +138,14 @@ function createSecurityEvent(type, details, req = null) {
     details,
     sessionId: req ? req.sessionID || 'Anonymous' : 'System',
     userId: req ? req.user?.userId || null : null,
+    // Correlates the event with the request's log lines (see middleware/requestId.js)
+    requestId: req?.id || getRequestId() || null,
   };
 
-  // Store event in memory (in production, use persistent storage)
-  const eventKey = `${event.ip}-${Date.now()}`;
-  securityEvents.set(eventKey, event);
+  // Keep the event for the dashboard without holding up the request
+  getSecurityStore()
+    .addEvent(event, SECURITY_CONFIG.LOG_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+    .catch(error => logger.error('Failed to store security event', { error, eventId: event.id }));
 
   // Log to file for persistent storage
   logSecurityEvent(event);
@@ -158,9 +166,27 @@ function getSeverityLevel(eventType) {
     directory_traversal: 'high',
     csrf_violation: 'medium',
     session_hijack: 'high',
+    refresh_token_reuse: 'high',
     reconnaissance: 'low',
     suspicious_request: 'medium',
     rate_limit_exceeded: 'medium',
+    permission_denied: 'medium',
+    employee_mfa_failed: 'medium',
+    mfa_step_up_failed: 'high',
+    mfa_disabled: 'medium',
+    payment_challenge_mismatch: 'high',
+    payment_challenge_failed: 'medium',
+    password_change_failed: 'medium',
+    account_closure_failed: 'medium',
+    password_reset_failed: 'medium',
+    account_unlocked: 'medium',
+    ip_unblocked: 'medium',
+    audit_append_failed: 'critical',
+    audit_chain_broken: 'critical',
+    data_export: 'medium',
+    invoice_verification_failed: 'medium',
+    invoice_cancelled: 'medium',
+    swift_batch_record_failed: 'high',
   };
 
   return severityMap[eventType] || 'low';
@@ -197,59 +223,52 @@ function logSecurityEvent(event) {
 
     fs.appendFileSync(logFile, logEntry);
   } catch (error) {
-    console.error('Failed to write security log:', error);
+    logger.error('Failed to write security log', { error });
   }
 }
 
 /**
  * Failed login attempt monitoring
  */
-function trackFailedLogin(req, email) {
+async function trackFailedLogin(req, email) {
   const ip = getClientIP(req);
-  const key = `${ip}-failed-login`;
-
-  if (!ipAttempts.has(key)) {
-    ipAttempts.set(key, {
-      count: 0,
-      firstAttempt: Date.now(),
-      lastAttempt: Date.now(),
-      emails: new Set(),
-    });
-  }
 
-  const attempts = ipAttempts.get(key);
-  attempts.count++;
-  attempts.lastAttempt = Date.now();
-  attempts.emails.add(email);
+  const attempts = await getSecurityStore().increment(
+    `failed-login:${ip}`,
+    { count: 1 },
+    { ttlMs: SECURITY_CONFIG.FAILED_LOGIN_WINDOW, member: email }
+  );
+  const count = attempts.counters.count;
+  const timeWindow = attempts.lastAt - attempts.firstAt;
 
   // Create security event
   const event = createSecurityEvent(
     'failed_login',
     {
       email,
-      attemptCount: attempts.count,
-      timeWindow: attempts.lastAttempt - attempts.firstAttempt,
-      uniqueEmails: attempts.emails.size,
+      attemptCount: count,
+      timeWindow,
+      uniqueEmails: attempts.members.length,
     },
     req
   );
 
   // Check for brute force pattern
-  if (attempts.count >= SECURITY_CONFIG.MAX_FAILED_ATTEMPTS) {
+  if (count >= SECURITY_CONFIG.MAX_FAILED_ATTEMPTS) {
     createSecurityEvent(
       'brute_force',
       {
         email,
-        totalAttempts: attempts.count,
-        timeWindow: attempts.lastAttempt - attempts.firstAttempt,
-        uniqueEmails: attempts.emails.size,
+        totalAttempts: count,
+        timeWindow,
+        uniqueEmails: attempts.members.length,
         action: 'ip_blocked',
       },
       req
     );
 
     // Block IP temporarily
-    blockIP(ip);
+    await blockIP(ip);
   }
 
   return event;
@@ -358,34 +377,30 @@ function detectMaliciousPayload(req) {
 
 /**
  * Rate limiting anomaly detection
+ * Counted per IP across all paths: a counter per raw path would add a record
+ * for every ID in a URL and let a client spread its requests thin.
  */
-function detectRateLimitAnomaly(req) {
+async function detectRateLimitAnomaly(req) {
   const ip = getClientIP(req);
   const path = req.path;
-  const key = `${ip}-${path}`;
 
-  if (!ipAttempts.has(key)) {
-    ipAttempts.set(key, {
-      count: 0,
-      firstRequest: Date.now(),
-      lastRequest: Date.now(),
-    });
-  }
-
-  const requests = ipAttempts.get(key);
-  requests.count++;
-  requests.lastRequest = Date.now();
+  const requests = await getSecurityStore().increment(
+    `rate:${ip}`,
+    { count: 1 },
+    { ttlMs: SECURITY_CONFIG.RATE_WINDOW, extend: false }
+  );
+  const count = requests.counters.count;
 
-  const timeWindow = requests.lastRequest - requests.firstRequest;
-  const requestsPerSecond = requests.count / (timeWindow / 1000);
+  const timeWindow = requests.lastAt - requests.firstAt;
+  const requestsPerSecond = count / (timeWindow / 1000);
 
   // Flag high request rates
-  if (requestsPerSecond > 10 && requests.count > 50) {
+  if (requestsPerSecond > 10 && count > 50) {
     return createSecurityEvent(
       'rate_limit_exceeded',
       {
         requestsPerSecond,
-        totalRequests: requests.count,
+        totalRequests: count,
         timeWindow,
         path,
       },
@@ -399,43 +414,82 @@ function detectRateLimitAnomaly(req) {
 /**
  * Block IP address temporarily
  */
-function blockIP(ip) {
-  const blockKey = `blocked-${ip}`;
-  ipAttempts.set(blockKey, {
-    blockedAt: Date.now(),
-    blockedUntil: Date.now() + SECURITY_CONFIG.LOCKOUT_DURATION,
-  });
+async function blockIP(ip) {
+  await getSecurityStore().set(
+    `blocked:${ip}`,
+    {
+      data: {
+        blockedAt: Date.now(),
+        blockedUntil: Date.now() + SECURITY_CONFIG.LOCKOUT_DURATION,
+      },
+    },
+    SECURITY_CONFIG.LOCKOUT_DURATION
+  );
 
-  console.warn(`🚫 IP ${ip} temporarily blocked due to suspicious activity`);
+  logger.warn('IP temporarily blocked due to suspicious activity', {
+    ip,
+    blockedForMs: SECURITY_CONFIG.LOCKOUT_DURATION,
+  });
 }
 
 /**
  * Check if IP is blocked
  */
-function isIPBlocked(ip) {
-  const blockKey = `blocked-${ip}`;
-  const blockInfo = ipAttempts.get(blockKey);
+async function isIPBlocked(ip) {
+  // Expired blocks are never returned by the store
+  const block = await getSecurityStore().get(`blocked:${ip}`);
+  return Boolean(block);
+}
 
-  if (!blockInfo) {
-    return false;
-  }
+/**
+ * Currently blocked IPs (security console)
+ */
+async function getBlockedIPs() {
+  const blocks = await getSecurityStore().list('blocked:');
+
+  return blocks.map(block => ({
+    ip: block.key.slice('blocked:'.length),
+    blockedAt: new Date(block.data.blockedAt).toISOString(),
+    blockedUntil: new Date(block.data.blockedUntil).toISOString(),
+    remainingMinutes: Math.ceil((block.data.blockedUntil - Date.now()) / 60000),
+  }));
+}
+
+/**
+ * Lift an IP block and forget the failed logins that caused it
+ *
+ * @returns {Promise<boolean>} Whether the IP was blocked
+ */
+async function unblockIP(ip) {
+  const store = getSecurityStore();
+  const block = await store.get(`blocked:${ip}`);
 
-  if (Date.now() > blockInfo.blockedUntil) {
-    ipAttempts.delete(blockKey);
+  if (!block) {
     return false;
   }
 
+  await store.delete(`blocked:${ip}`);
+  await store.delete(`failed-login:${ip}`);
+
+  logger.info('IP unblocked', { ip });
   return true;
 }
 
 /**
  * Main security monitoring middleware
  */
-function securityMonitoring(req, res, next) {
+async function securityMonitoring(req, res, next) {
   const ip = getClientIP(req);
 
+  // Monitoring fails open: an unreachable security store must not take the
+  // whole API down, so store errors are logged and the request continues
+  const blocked = await isIPBlocked(ip).catch(error => {
+    logger.error('IP block check error', { error });
+    return false;
+  });
+
   // Check if IP is blocked
-  if (isIPBlocked(ip)) {
+  if (blocked) {
     return res.status(429).json({
       success: false,
       message: 'Access temporarily restricted. Please try again later.',
@@ -444,15 +498,17 @@ function securityMonitoring(req, res, next) {
   }
 
   // Detect various types of suspicious activity
-  const detections = [
-    detectMaliciousPayload(req),
-    detectRateLimitAnomaly(req),
-    detectSessionAnomaly(req),
-  ].filter(Boolean);
+  const rateDetection = await detectRateLimitAnomaly(req).catch(error => {
+    logger.error('Request rate check error', { error });
+    return null;
+  });
+  const detections = [detectMaliciousPayload(req), rateDetection, detectSessionAnomaly(req)].filter(
+    Boolean
+  );
 
   // Log all detections
   detections.forEach(detection => {
-    console.warn(`🔍 Security Alert: ${detection.type} detected from ${detection.ip}`);
+    logger.warn('Security alert', { type: detection.type, ip: detection.ip, path: req.path });
   });
 
   // Add security context to request
@@ -500,16 +556,19 @@ function calculateRiskLevel(detections) {
 /**
  * Security dashboard data endpoint
  */
-function getSecurityDashboard(req, res) {
+async function getSecurityDashboard(req, res) {
   try {
-    const recentEvents = Array.from(securityEvents.values())
-      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
-      .slice(0, 100);
+    const store = getSecurityStore();
+    const [recentEvents, totalEvents, blockedIPs] = await Promise.all([
+      store.listEvents({ limit: 100 }),
+      store.countEvents(),
+      store.list('blocked:'),
+    ]);
 
     const stats = {
-      totalEvents: securityEvents.size,
+      totalEvents,
       recentEvents: recentEvents.length,
-      blockedIPs: Array.from(ipAttempts.keys()).filter(key => key.startsWith('blocked-')).length,
+      blockedIPs: blockedIPs.length,
       activeSessions: userSessions.size,
       topAttackTypes: getTopAttackTypes(recentEvents),
       topAttackers: getTopAttackers(recentEvents),
@@ -521,7 +580,7 @@ function getSecurityDashboard(req, res) {
       recentEvents: recentEvents.slice(0, 20), // Limit response size
     });
   } catch (error) {
-    console.error('Security dashboard error:', error);
+    logger.error('Security dashboard error', { error });
     res.status(500).json({
       success: false,
       message: 'Failed to generate security dashboard',
@@ -567,6 +626,9 @@ module.exports = {
   createSecurityEvent,
   isIPBlocked,
   blockIP,
+  getBlockedIPs,
+  unblockIP,
   getSecurityDashboard,
+  detectSessionAnomaly,
   SECURITY_CONFIG,
 };
@@ -0,0 +1,116 @@
+/**
+ * AuditEntry Model - MongoDB Schema
+ * Append-only, hash-chained audit trail of payment actions (utils/auditLog.js).
+ * Each entry stores the hash of the entry before it, so an edited, removed or
+ * reordered entry breaks the chain. Entries are never updated or deleted.
+ */
+
+const mongoose = require('mongoose');
+
+const AUDIT_ACTIONS = [
+  'payment_created',
+  'payment_approved',
+  'payment_rejected',
+  'screening_override',
+  'swift_submitted',
+  'swift_completed',
+  'swift_failed',
+  'invoice_sent',
+  'invoice_paid',
+  'invoice_cancelled',
+];
+
+const auditEntrySchema = new mongoose.Schema(
+  {
+    // Position in the chain, starting at 1 with no gaps
+    sequence: {
+      type: Number,
+      required: true,
+      unique: true,
+      min: 1,
+    },
+    transactionId: {
+      type: String,
+      required: true,
+    },
+    action: {
+      type: String,
+      required: true,
+      enum: AUDIT_ACTIONS,
+    },
+    actor: {
+      type: {
+        type: String,
+        required: true,
+        enum: ['customer', 'employee', 'gateway'],
+      },
+      id: String,
+      email: String,
+    },
+    fromStatus: {
+      type: String,
+    },
+    toStatus: {
+      type: String,
+    },
+    // SHA-256 of the action's details (notes, references...), not the details themselves
+    payloadHash: {
+      type: String,
+      required: true,
+    },
+    previousHash: {
+      type: String,
+      required: true,
+    },
+    hash: {
+      type: String,
+      required: true,
+    },
+    createdAt: {
+      type: Date,
+      required: true,
+      immutable: true,
+    },
+  },
+  {
+    // createdAt is part of the hash, so it is set by the audit log, not Mongoose
+    timestamps: false,
+  }
+);
+
+auditEntrySchema.index({ transactionId: 1, sequence: 1 });
+
+// The audit trail is append-only
+auditEntrySchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error('Audit entries are immutable'));
+  }
+  next();
+});
+
+auditEntrySchema.pre(
+  [
+    'updateOne',
+    'updateMany',
+    'findOneAndUpdate',
+    'replaceOne',
+    'findOneAndReplace',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete',
+  ],
+  { document: false, query: true },
+  function (next) {
+    next(new Error('Audit entries are immutable'));
+  }
+);
+
+auditEntrySchema.pre('deleteOne', { document: true, query: false }, function (next) {
+  next(new Error('Audit entries are immutable'));
+});
+
+const AuditEntry = mongoose.model('AuditEntry', auditEntrySchema);
+
+AuditEntry.AUDIT_ACTIONS = AUDIT_ACTIONS;
+
+module.exports = AuditEntry;
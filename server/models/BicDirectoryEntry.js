@@ -0,0 +1,47 @@
+/**
+ * BicDirectoryEntry Model - MongoDB Schema
+ * Local copy of the BIC directory used to confirm a recipient bank exists.
+ * Replaced as a whole whenever an administrator imports a new CSV file.
+ */
+
+const mongoose = require('mongoose');
+
+const bicDirectoryEntrySchema = new mongoose.Schema(
+  {
+    // 8-character institution BIC or 11-character branch BIC
+    bic: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      match: /^[A-Z]{6}[A-Z0-9]{2}([A-Z0-9]{3})?$/,
+    },
+    institutionName: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 140,
+    },
+    city: {
+      type: String,
+      trim: true,
+      maxlength: 70,
+    },
+    // ISO 3166 country code - characters 5-6 of the BIC
+    countryCode: {
+      type: String,
+      required: true,
+      match: /^[A-Z]{2}$/,
+    },
+    importedBy: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const BicDirectoryEntry = mongoose.model('BicDirectoryEntry', bicDirectoryEntrySchema);
+
+module.exports = BicDirectoryEntry;
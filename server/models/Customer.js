@@ -1,9 +1,13 @@
 /**
  * Customer Model - MongoDB Schema
  * Stores customer account information
+ * The account number is encrypted at rest and found through its blind index
+ * (see utils/fieldEncryption.js).
  */
 
 const mongoose = require('mongoose');
+const mfaSchema = require('./mfaSchema');
+const { fieldEncryption } = require('../utils/fieldEncryption');
 
 const customerSchema = new mongoose.Schema(
   {
@@ -29,13 +33,29 @@ const customerSchema = new mongoose.Schema(
     accountNumber: {
       type: String,
       required: true,
-      unique: true,
+      encrypted: true,
+      // Uniqueness is enforced on the blind index
+      blindIndex: { unique: true },
+    },
+    // Contact details the customer maintains from the settings page
+    phone: {
+      type: String,
+      trim: true,
+      match: /^\+?[0-9 ()-]{7,20}$/,
+    },
+    address: {
+      line1: { type: String, trim: true, maxlength: 100 },
+      line2: { type: String, trim: true, maxlength: 100 },
+      city: { type: String, trim: true, maxlength: 60 },
+      postalCode: { type: String, trim: true, maxlength: 10 },
+      country: { type: String, uppercase: true, match: /^[A-Z]{2}$/ },
     },
     accountType: {
       type: String,
       enum: ['savings', 'checking', 'business'],
       default: 'checking',
     },
+    // Opening balance only - live balances are derived from the ledger (utils/ledger.js)
     accountBalance: {
       type: Number,
       default: 0,
@@ -46,6 +66,17 @@ const customerSchema = new mongoose.Schema(
       enum: ['active', 'suspended', 'closed'],
       default: 'active',
     },
+    // Set when the customer closes their account (status "closed")
+    closure: {
+      requestedAt: Date,
+      reason: {
+        type: String,
+        maxlength: 500,
+      },
+    },
+    passwordChangedAt: {
+      type: Date,
+    },
     createdAt: {
       type: Date,
       default: Date.now,
@@ -53,6 +84,8 @@ const customerSchema = new mongoose.Schema(
     lastLogin: {
       type: Date,
     },
+    // Failures since the last successful login, kept in step with the lockout
+    // counters in the security store (middleware/accountLockout.js)
     failedLoginAttempts: {
       type: Number,
       default: 0,
@@ -60,6 +93,11 @@ const customerSchema = new mongoose.Schema(
     lastFailedLogin: {
       type: Date,
     },
+    // Optional authenticator app for confirming payments (see utils/mfa.js)
+    mfa: {
+      type: mfaSchema,
+      default: () => ({}),
+    },
   },
   {
     timestamps: true,
@@ -68,30 +106,19 @@ const customerSchema = new mongoose.Schema(
 
 // Index for faster queries
 customerSchema.index({ email: 1 });
-customerSchema.index({ accountNumber: 1 });
-
-// Method to increment failed login attempts
-customerSchema.methods.incrementFailedLogins = async function () {
-  this.failedLoginAttempts += 1;
-  this.lastFailedLogin = new Date();
-  await this.save();
-};
 
-// Method to reset failed login attempts
-customerSchema.methods.resetFailedLogins = async function () {
-  this.failedLoginAttempts = 0;
-  this.lastLogin = new Date();
-  await this.save();
-};
-
-// Don't return password hash in JSON
+// Don't return password hash, blind index or two-factor secrets in JSON
 customerSchema.methods.toJSON = function () {
   const obj = this.toObject();
   delete obj.passwordHash;
+  delete obj.accountNumberIndex;
   delete obj.__v;
+  obj.mfa = { enabled: Boolean(obj.mfa?.enabled) };
   return obj;
 };
 
+customerSchema.plugin(fieldEncryption);
+
 const Customer = mongoose.model('Customer', customerSchema);
 
 module.exports = Customer;
@@ -0,0 +1,47 @@
+/**
+ * DataKey Model - MongoDB Schema
+ * Data keys for field-level encryption (utils/fieldEncryption.js). Each key
+ * is stored wrapped (AES-256-GCM) by the master key, which never enters the
+ * database. One encryption key is active at a time; retired keys are kept so
+ * values written before a rotation can still be read.
+ */
+
+const mongoose = require('mongoose');
+
+const dataKeySchema = new mongoose.Schema({
+  keyId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // encryption: encrypts field values, blind_index: keys the searchable hashes
+  purpose: {
+    type: String,
+    required: true,
+    enum: ['encryption', 'blind_index'],
+  },
+  status: {
+    type: String,
+    required: true,
+    enum: ['active', 'retired'],
+    default: 'active',
+  },
+  // iv:tag:ciphertext (hex) under the master key
+  wrappedKey: {
+    type: String,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  retiredAt: {
+    type: Date,
+  },
+});
+
+dataKeySchema.index({ purpose: 1, status: 1 });
+
+const DataKey = mongoose.model('DataKey', dataKeySchema);
+
+module.exports = DataKey;
@@ -4,6 +4,7 @@
  */
 
 const mongoose = require('mongoose');
+const mfaSchema = require('./mfaSchema');
 
 const employeeSchema = new mongoose.Schema(
   {
@@ -49,6 +50,14 @@ const employeeSchema = new mongoose.Schema(
     lastLogin: {
       type: Date,
     },
+    passwordChangedAt: {
+      type: Date,
+    },
+    // Two-factor authentication (see utils/mfa.js)
+    mfa: {
+      type: mfaSchema,
+      default: () => ({}),
+    },
     createdAt: {
       type: Date,
       default: Date.now,
@@ -63,11 +72,12 @@ const employeeSchema = new mongoose.Schema(
 employeeSchema.index({ email: 1 });
 employeeSchema.index({ employeeId: 1 });
 
-// Don't return password hash in JSON
+// Don't return password hash or two-factor secrets in JSON
 employeeSchema.methods.toJSON = function () {
   const obj = this.toObject();
   delete obj.passwordHash;
   delete obj.__v;
+  obj.mfa = { enabled: Boolean(obj.mfa?.enabled) };
   return obj;
 };
 
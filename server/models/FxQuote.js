@@ -0,0 +1,76 @@
+/**
+ * FxQuote Model - MongoDB Schema
+ * Short-lived conversion quotes. A quote is locked (used) by exactly one
+ * payment before it expires; expired quotes are removed by a TTL index.
+ */
+
+const mongoose = require('mongoose');
+
+const fxQuoteSchema = new mongoose.Schema(
+  {
+    quoteId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    customerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer',
+      required: true,
+    },
+    // What the customer sends
+    amount: {
+      type: Number,
+      required: true,
+    },
+    currency: {
+      type: String,
+      required: true,
+      enum: ['USD', 'EUR', 'GBP', 'ZAR'],
+    },
+    // What the customer's account is debited
+    accountCurrency: {
+      type: String,
+      required: true,
+      enum: ['USD', 'EUR', 'GBP', 'ZAR'],
+    },
+    debitAmount: {
+      type: Number,
+      required: true,
+    },
+    midRate: {
+      type: Number,
+      required: true,
+    },
+    spread: {
+      type: Number,
+      required: true,
+    },
+    // Customer rate (account currency per unit of payment currency, spread included)
+    rate: {
+      type: Number,
+      required: true,
+    },
+    ratesAsOf: {
+      type: Date,
+    },
+    used: {
+      type: Boolean,
+      default: false,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Remove quotes an hour after they expire
+fxQuoteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 3600 });
+
+const FxQuote = mongoose.model('FxQuote', fxQuoteSchema);
+
+module.exports = FxQuote;
@@ -0,0 +1,44 @@
+/**
+ * FxRateSet Model - MongoDB Schema
+ * Published FX rate tables. The most recent set is the active one;
+ * older sets are kept as a history of the rates quotes were priced from.
+ */
+
+const mongoose = require('mongoose');
+
+const fxRateSetSchema = new mongoose.Schema(
+  {
+    // Rates are units of each currency per 1 unit of the base currency
+    base: {
+      type: String,
+      required: true,
+      enum: ['USD', 'EUR', 'GBP', 'ZAR'],
+    },
+    rates: {
+      type: Map,
+      of: Number,
+      required: true,
+    },
+    asOf: {
+      type: Date,
+      required: true,
+    },
+    source: {
+      type: String,
+      enum: ['file', 'admin'],
+      required: true,
+    },
+    publishedBy: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+fxRateSetSchema.index({ createdAt: -1 });
+
+const FxRateSet = mongoose.model('FxRateSet', fxRateSetSchema);
+
+module.exports = FxRateSet;
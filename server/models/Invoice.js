@@ -1,9 +1,13 @@
 /**
  * Invoice Model - MongoDB Schema
  * Generated automatically when employee verifies/accepts a payment
+ * Recipient account and name are encrypted at rest, as on the payment.
+ * Status changes follow the payment (utils/invoiceLifecycle.js): SWIFT
+ * completion marks it paid, SWIFT failure cancels it with a credit note.
  */
 
 const mongoose = require('mongoose');
+const { fieldEncryption } = require('../utils/fieldEncryption');
 
 const invoiceSchema = new mongoose.Schema(
   {
@@ -48,6 +52,7 @@ const invoiceSchema = new mongoose.Schema(
     recipientAccount: {
       type: String,
       required: true,
+      encrypted: true,
     },
     recipientSwift: {
       type: String,
@@ -56,6 +61,7 @@ const invoiceSchema = new mongoose.Schema(
     recipientName: {
       type: String,
       required: true,
+      encrypted: true,
     },
     reference: {
       type: String,
@@ -81,10 +87,10 @@ const invoiceSchema = new mongoose.Schema(
       type: String,
       maxlength: 500,
     },
-    // Payment status at invoice generation
+    // Payment status, kept in step with the payment
     paymentStatus: {
       type: String,
-      enum: ['verified', 'submitted_to_swift', 'completed'],
+      enum: ['verified', 'submitted_to_swift', 'completed', 'failed'],
       default: 'verified',
     },
     // SWIFT details (if submitted)
@@ -111,6 +117,34 @@ const invoiceSchema = new mongoose.Schema(
       enum: ['generated', 'sent', 'paid', 'cancelled'],
       default: 'generated',
     },
+    // Delivery to the customer (resends update sentAt)
+    sentAt: {
+      type: Date,
+    },
+    sendCount: {
+      type: Number,
+      default: 0,
+    },
+    // Cancellation - by an employee, or automatically when the payment fails
+    cancelledAt: {
+      type: Date,
+    },
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Employee',
+    },
+    cancellationReason: {
+      type: String,
+      maxlength: 500,
+    },
+    // Credit note reversing the invoiced amount, issued on cancellation
+    creditNote: {
+      creditNoteNumber: String,
+      amount: Number,
+      currency: String,
+      reason: String,
+      issuedAt: Date,
+    },
     createdAt: {
       type: Date,
       default: Date.now,
@@ -128,6 +162,7 @@ invoiceSchema.index({ paymentId: 1 });
 invoiceSchema.index({ transactionId: 1 });
 invoiceSchema.index({ verifiedBy: 1 });
 invoiceSchema.index({ createdAt: -1 });
+invoiceSchema.index({ status: 1, dueDate: 1 });
 
 // Virtual for display
 invoiceSchema.virtual('displayInvoiceNumber').get(function () {
@@ -142,6 +177,8 @@ invoiceSchema.methods.markAsPaid = async function () {
   return this;
 };
 
+invoiceSchema.plugin(fieldEncryption);
+
 const Invoice = mongoose.model('Invoice', invoiceSchema);
 
 module.exports = Invoice;
@@ -0,0 +1,42 @@
+/**
+ * LedgerBalance Model - MongoDB Schema
+ * Running balance of a customer's available account, kept next to the
+ * journal so a hold can reserve funds with one conditional update
+ * (balance >= amount). The journal stays the record; this document may lag
+ * behind it on credits but never overstates what can be spent.
+ */
+
+const mongoose = require('mongoose');
+
+const ledgerBalanceSchema = new mongoose.Schema(
+  {
+    // customer:<id>:available
+    account: {
+      type: String,
+      required: true,
+    },
+    currency: {
+      type: String,
+      required: true,
+      enum: ['USD', 'EUR', 'GBP', 'ZAR'],
+    },
+    // Minor units (cents), like the journal postings
+    balance: {
+      type: Number,
+      required: true,
+      validate: {
+        validator: Number.isInteger,
+        message: 'Balance must be an integer number of minor units',
+      },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+ledgerBalanceSchema.index({ account: 1, currency: 1 }, { unique: true });
+
+const LedgerBalance = mongoose.model('LedgerBalance', ledgerBalanceSchema);
+
+module.exports = LedgerBalance;
@@ -0,0 +1,139 @@
+/**
+ * LedgerEntry Model - MongoDB Schema
+ * Immutable double-entry journal: every movement of customer funds is one
+ * entry whose debit and credit postings balance. Entries are never updated
+ * or deleted - corrections are new entries.
+ */
+
+const mongoose = require('mongoose');
+
+const postingSchema = new mongoose.Schema(
+  {
+    // Ledger account, e.g. customer:<id>:available or bank:swift_clearing
+    account: {
+      type: String,
+      required: true,
+    },
+    side: {
+      type: String,
+      required: true,
+      enum: ['debit', 'credit'],
+    },
+    // Minor units (cents) to avoid floating point drift
+    amount: {
+      type: Number,
+      required: true,
+      min: 1,
+      validate: {
+        validator: Number.isInteger,
+        message: 'Posting amount must be an integer number of minor units',
+      },
+    },
+  },
+  { _id: false }
+);
+
+const ledgerEntrySchema = new mongoose.Schema(
+  {
+    entryId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    type: {
+      type: String,
+      required: true,
+      enum: ['opening_balance', 'deposit', 'hold', 'release', 'debit', 'refund'],
+    },
+    customerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer',
+      required: true,
+    },
+    // Payment the entry belongs to (not set for deposits)
+    transactionId: {
+      type: String,
+    },
+    currency: {
+      type: String,
+      required: true,
+      enum: ['USD', 'EUR', 'GBP', 'ZAR'],
+    },
+    postings: {
+      type: [postingSchema],
+      required: true,
+    },
+    memo: {
+      type: String,
+      maxlength: 500,
+    },
+    postedBy: {
+      type: String,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+      immutable: true,
+    },
+  },
+  {
+    // Only createdAt - entries are never updated
+    timestamps: false,
+  }
+);
+
+// Indexes for faster queries
+ledgerEntrySchema.index({ customerId: 1, createdAt: -1 });
+ledgerEntrySchema.index({ 'postings.account': 1 });
+// One entry of each type per payment (a payment is held, released or debited once)
+ledgerEntrySchema.index(
+  { transactionId: 1, type: 1 },
+  { unique: true, partialFilterExpression: { transactionId: { $type: 'string' } } }
+);
+
+// Debits must equal credits
+ledgerEntrySchema.pre('validate', function (next) {
+  const total = side =>
+    this.postings.filter(p => p.side === side).reduce((sum, p) => sum + p.amount, 0);
+
+  if (this.postings.length < 2) {
+    return next(new Error('A ledger entry needs at least two postings'));
+  }
+  if (total('debit') !== total('credit')) {
+    return next(new Error(`Unbalanced ledger entry ${this.entryId}`));
+  }
+  next();
+});
+
+// Journal entries are append-only
+ledgerEntrySchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error('Ledger entries are immutable'));
+  }
+  next();
+});
+
+ledgerEntrySchema.pre(
+  [
+    'updateOne',
+    'updateMany',
+    'findOneAndUpdate',
+    'replaceOne',
+    'findOneAndReplace',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete',
+  ],
+  { document: false, query: true },
+  function (next) {
+    next(new Error('Ledger entries are immutable'));
+  }
+);
+
+ledgerEntrySchema.pre('deleteOne', { document: true, query: false }, function (next) {
+  next(new Error('Ledger entries are immutable'));
+});
+
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+
+module.exports = LedgerEntry;
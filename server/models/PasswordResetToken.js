@@ -0,0 +1,54 @@
+/**
+ * PasswordResetToken Model - MongoDB Schema
+ * A single-use password reset link for a customer or employee. Only an HMAC of
+ * the token is stored (see utils/passwordReset.js); usedAt is set when the
+ * reset completes or a newer link replaces it.
+ * Old tokens are removed by a TTL index.
+ */
+
+const mongoose = require('mongoose');
+
+const passwordResetTokenSchema = new mongoose.Schema(
+  {
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    accountType: {
+      type: String,
+      required: true,
+      enum: ['customer', 'employee'],
+    },
+    accountId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    email: {
+      type: String,
+      required: true,
+    },
+    requestedIp: {
+      type: String,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+passwordResetTokenSchema.index({ accountId: 1, usedAt: 1 });
+// Keep tokens for a day after expiry for investigation
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 86400 });
+
+const PasswordResetToken = mongoose.model('PasswordResetToken', passwordResetTokenSchema);
+
+module.exports = PasswordResetToken;
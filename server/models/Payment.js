@@ -1,9 +1,17 @@
 /**
  * Payment Model - MongoDB Schema
  * Stores payment/transaction information
+ * Recipient account and name are encrypted at rest (see
+ * utils/fieldEncryption.js).
  */
 
 const mongoose = require('mongoose');
+const { fieldEncryption } = require('../utils/fieldEncryption');
+const { releaseHold, postSwiftDebit, refundPayment } = require('../utils/ledger');
+const { requiredApprovalsFor, canDepartmentApprove } = require('../utils/approvalPolicy');
+
+// Statuses of payments still waiting for an employee decision
+const AWAITING_VERIFICATION_STATUSES = ['pending', 'screening', 'pending_second_approval'];
 
 const paymentSchema = new mongoose.Schema(
   {
@@ -37,6 +45,8 @@ const paymentSchema = new mongoose.Schema(
       type: String,
       required: true,
       match: /^[A-Z0-9]{8,34}$/,
+      encrypted: true,
+      blindIndex: true,
     },
     recipientSwift: {
       type: String,
@@ -48,16 +58,116 @@ const paymentSchema = new mongoose.Schema(
       required: true,
       minlength: 2,
       maxlength: 100,
+      encrypted: true,
     },
     reference: {
       type: String,
       maxlength: 35,
     },
+    // Locked FX quote: what the customer's account is debited for this payment
+    fx: {
+      quoteId: String,
+      accountCurrency: {
+        type: String,
+        enum: ['USD', 'EUR', 'GBP', 'ZAR'],
+      },
+      debitAmount: Number,
+      midRate: Number,
+      spread: Number,
+      rate: Number,
+      ratesAsOf: Date,
+      expiresAt: Date,
+    },
+    // Customer confirmation the payment was created from (utils/paymentChallenges.js)
+    authorization: {
+      challengeId: String,
+      method: {
+        type: String,
+        enum: ['totp', 'otp'],
+      },
+      confirmedAt: Date,
+    },
     status: {
       type: String,
-      enum: ['pending', 'verified', 'rejected', 'submitted_to_swift', 'completed', 'failed'],
+      enum: [
+        'pending',
+        'screening',
+        'pending_second_approval',
+        'verified',
+        'rejected',
+        // Claimed by a SWIFT submission that is with the gateway
+        'submitting',
+        'submitted_to_swift',
+        'completed',
+        'failed',
+      ],
       default: 'pending',
     },
+    // Sanctions screening of the recipient; payments with a hit wait in "screening"
+    screening: {
+      status: {
+        type: String,
+        enum: ['clear', 'hit', 'overridden', 'blocked'],
+      },
+      topScore: Number,
+      matches: [
+        {
+          _id: false,
+          type: { type: String, enum: ['name', 'country'] },
+          entryId: String,
+          entryName: String,
+          matchedName: String,
+          program: String,
+          country: String,
+          score: Number,
+        },
+      ],
+      listVersion: String,
+      screenedAt: Date,
+      resolvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Employee',
+      },
+      resolvedByEmail: String,
+      resolvedAt: Date,
+      resolutionNotes: {
+        type: String,
+        maxlength: 500,
+      },
+    },
+    // Distinct approvals needed before the payment is verified (four-eyes policy)
+    requiredApprovals: {
+      type: Number,
+      min: 1,
+      max: 2,
+    },
+    // Every approve/reject decision, in order
+    approvalSteps: [
+      {
+        _id: false,
+        employeeId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Employee',
+          required: true,
+        },
+        employeeEmail: String,
+        department: String,
+        decision: {
+          type: String,
+          enum: ['approved', 'rejected'],
+          required: true,
+        },
+        notes: {
+          type: String,
+          maxlength: 500,
+        },
+        decidedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // Employee whose decision completed verification (the final approver or the rejecter)
     verifiedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Employee',
@@ -78,9 +188,20 @@ const paymentSchema = new mongoose.Schema(
     swiftReference: {
       type: String,
     },
+    // Gateway adapter the payment was submitted through
+    swiftGateway: {
+      type: String,
+    },
+    // SWIFT batch (and ISO 20022 message) the payment was sent in
+    swiftBatchId: {
+      type: String,
+    },
     completedAt: {
       type: Date,
     },
+    failedAt: {
+      type: Date,
+    },
     failureReason: {
       type: String,
     },
@@ -91,6 +212,10 @@ const paymentSchema = new mongoose.Schema(
   },
   {
     timestamps: true,
+    // Every save is conditional on the version it was loaded at, so two
+    // concurrent decisions on the same payment (e.g. the same employee
+    // approving twice) cannot both be saved
+    optimisticConcurrency: true,
   }
 );
 
@@ -99,14 +224,101 @@ paymentSchema.index({ transactionId: 1 });
 paymentSchema.index({ customerId: 1 });
 paymentSchema.index({ status: 1 });
 paymentSchema.index({ createdAt: -1 });
+paymentSchema.index({ swiftBatchId: 1 });
+
+// The approval policy is fixed when the payment is created
+paymentSchema.pre('validate', function (next) {
+  if (this.isNew && !this.requiredApprovals) {
+    this.requiredApprovals = requiredApprovalsFor(this);
+  }
+  next();
+});
 
 // Virtual for display ID
 paymentSchema.virtual('displayId').get(function () {
   return this.transactionId.substring(0, 12).toUpperCase();
 });
 
+// Record the sanctions screening result - hits are held for review
+paymentSchema.methods.applyScreening = function (result) {
+  this.screening = result;
+  if (result.status === 'hit' && this.status === 'pending') {
+    this.status = 'screening';
+  }
+  return this;
+};
+
+// Close a screening hit as overridden or blocked
+const resolveScreening = (payment, status, employeeId, employeeEmail, notes) => {
+  payment.screening.status = status;
+  payment.screening.resolvedBy = employeeId;
+  payment.screening.resolvedByEmail = employeeEmail;
+  payment.screening.resolvedAt = new Date();
+  payment.screening.resolutionNotes = notes;
+};
+
+// Whether an employee has already approved this payment
+paymentSchema.methods.hasApprovalFrom = function (employeeId) {
+  return this.approvalSteps.some(
+    step => step.decision === 'approved' && String(step.employeeId) === String(employeeId)
+  );
+};
+
 // Method to verify payment
-paymentSchema.methods.verify = async function (employeeId, employeeEmail, approved, notes) {
+// Payments needing dual approval wait in pending_second_approval until a second,
+// different employee approves. Approved payments keep their hold until SWIFT
+// submission; rejected ones release it. An approval with overrideScreening
+// clears a screening hit in the same save (Management decision, checked by
+// the route), so a refused approval never leaves the hit overridden
+paymentSchema.methods.verify = async function (
+  employeeId,
+  employeeEmail,
+  approved,
+  notes,
+  department,
+  { overrideScreening = false } = {}
+) {
+  if (!AWAITING_VERIFICATION_STATUSES.includes(this.status)) {
+    throw new Error(`Cannot verify a ${this.status} payment`);
+  }
+  const screeningHit = this.screening?.status === 'hit';
+  if (approved && screeningHit && !overrideScreening) {
+    throw new Error('Payment has an unresolved sanctions screening hit');
+  }
+
+  const requiredApprovals = this.requiredApprovals || requiredApprovalsFor(this);
+
+  if (approved && this.hasApprovalFrom(employeeId)) {
+    throw new Error('The same employee cannot approve a payment twice');
+  }
+  if (approved && !canDepartmentApprove(department, requiredApprovals)) {
+    throw new Error(`${department || 'Unknown'} department cannot approve this payment`);
+  }
+
+  if (!approved) {
+    await releaseHold(this, notes);
+  }
+
+  if (screeningHit) {
+    resolveScreening(this, approved ? 'overridden' : 'blocked', employeeId, employeeEmail, notes);
+  }
+
+  this.requiredApprovals = requiredApprovals;
+  this.approvalSteps.push({
+    employeeId,
+    employeeEmail,
+    department,
+    decision: approved ? 'approved' : 'rejected',
+    notes,
+  });
+
+  const approvals = this.approvalSteps.filter(step => step.decision === 'approved').length;
+  if (approved && approvals < requiredApprovals) {
+    this.status = 'pending_second_approval';
+    await this.save();
+    return this;
+  }
+
   this.status = approved ? 'verified' : 'rejected';
   this.verifiedBy = employeeId;
   this.verifiedByEmail = employeeEmail;
@@ -122,17 +334,35 @@ paymentSchema.methods.verify = async function (employeeId, employeeEmail, approv
 };
 
 // Method to submit to SWIFT
-paymentSchema.methods.submitToSwift = async function () {
+// The reference is assigned by the gateway adapter that accepted the payment.
+// Only payments the submit route has claimed (verified → submitting) can be
+// submitted, so the same payment is never handed to the gateway twice
+paymentSchema.methods.submitToSwift = async function (swiftReference, gatewayName, batchId) {
+  if (this.status !== 'submitting') {
+    throw new Error(`Cannot submit a ${this.status} payment to SWIFT`);
+  }
+  if (!swiftReference) {
+    throw new Error('SWIFT reference is required');
+  }
+
+  await postSwiftDebit(this);
+
   this.status = 'submitted_to_swift';
   this.submittedToSwiftAt = new Date();
-  this.swiftReference = `SWIFT-${Date.now()}-${Math.random().toString(36).substring(7).toUpperCase()}`;
+  this.swiftReference = swiftReference;
+  this.swiftGateway = gatewayName;
+  this.swiftBatchId = batchId;
 
   await this.save();
   return this;
 };
 
-// Method to complete payment
+// Method to complete payment (SWIFT acknowledged settlement)
 paymentSchema.methods.complete = async function () {
+  if (this.status !== 'submitted_to_swift') {
+    throw new Error(`Cannot complete a ${this.status} payment`);
+  }
+
   this.status = 'completed';
   this.completedAt = new Date();
 
@@ -140,6 +370,26 @@ paymentSchema.methods.complete = async function () {
   return this;
 };
 
+// Method to fail payment (SWIFT rejected or returned the transfer)
+paymentSchema.methods.fail = async function (reason) {
+  if (this.status !== 'submitted_to_swift') {
+    throw new Error(`Cannot fail a ${this.status} payment`);
+  }
+
+  await refundPayment(this, reason);
+
+  this.status = 'failed';
+  this.failedAt = new Date();
+  this.failureReason = reason;
+
+  await this.save();
+  return this;
+};
+
+paymentSchema.plugin(fieldEncryption);
+
 const Payment = mongoose.model('Payment', paymentSchema);
 
+Payment.AWAITING_VERIFICATION_STATUSES = AWAITING_VERIFICATION_STATUSES;
+
 module.exports = Payment;
@@ -0,0 +1,85 @@
+/**
+ * PaymentChallenge Model - MongoDB Schema
+ * A confirmation challenge issued before a customer payment is created. It is
+ * bound to the payment details the customer was shown (detailsHash) and is
+ * confirmed with an authenticator code or a one-time code sent by the
+ * notifier (see utils/paymentChallenges.js).
+ * Old challenges are removed by a TTL index.
+ * The recipient's account and name are encrypted at rest, as on the payment.
+ */
+
+const mongoose = require('mongoose');
+const { fieldEncryption } = require('../utils/fieldEncryption');
+
+const paymentChallengeSchema = new mongoose.Schema(
+  {
+    challengeId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    customerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer',
+      required: true,
+    },
+    method: {
+      type: String,
+      required: true,
+      enum: ['totp', 'otp'],
+    },
+    // The details shown to the customer, as bound into detailsHash
+    details: {
+      amount: { type: Number, required: true },
+      currency: { type: String, required: true },
+      recipientAccount: { type: String, required: true, encrypted: true },
+      recipientSwift: { type: String, required: true },
+      recipientName: { type: String, required: true, encrypted: true },
+      reference: { type: String, default: '' },
+    },
+    detailsHash: {
+      type: String,
+      required: true,
+    },
+    // HMAC of the one-time code (otp method only)
+    codeHash: {
+      type: String,
+    },
+    deliveredVia: {
+      type: String,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'confirmed', 'failed'],
+      default: 'pending',
+    },
+    confirmedAt: {
+      type: Date,
+    },
+    // Payment created from this challenge
+    transactionId: {
+      type: String,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+paymentChallengeSchema.index({ customerId: 1, createdAt: -1 });
+// Keep challenges for a day after expiry for investigation
+paymentChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 86400 });
+
+paymentChallengeSchema.plugin(fieldEncryption);
+
+const PaymentChallenge = mongoose.model('PaymentChallenge', paymentChallengeSchema);
+
+module.exports = PaymentChallenge;
@@ -0,0 +1,81 @@
+/**
+ * RefreshTokenFamily Model - MongoDB Schema
+ * One document per login session. Each refresh replaces currentJti and
+ * accessJti; presenting any older refresh token from the family is treated as
+ * theft and revokes it. Access tokens are only accepted while their jti is the
+ * session's accessJti (see utils/sessions.js).
+ * Expired families are removed by a TTL index.
+ */
+
+const mongoose = require('mongoose');
+
+const refreshTokenFamilySchema = new mongoose.Schema(
+  {
+    familyId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    email: {
+      type: String,
+      required: true,
+    },
+    role: {
+      type: String,
+      required: true,
+      enum: ['customer', 'employee'],
+    },
+    // jti of the only refresh token in this family that may still be used
+    currentJti: {
+      type: String,
+      required: true,
+    },
+    // jti of the only access token accepted for this session
+    accessJti: {
+      type: String,
+      required: true,
+    },
+    // Where the session was started
+    ipAddress: String,
+    userAgent: String,
+    device: String,
+    lastIpAddress: String,
+    lastSeenAt: {
+      type: Date,
+    },
+    rotations: {
+      type: Number,
+      default: 0,
+    },
+    lastRotatedAt: {
+      type: Date,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    // logout, reuse_detected, account_inactive...
+    revokedReason: {
+      type: String,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+refreshTokenFamilySchema.index({ userId: 1, revokedAt: 1 });
+refreshTokenFamilySchema.index({ accessJti: 1 });
+// Remove families a day after their last refresh token expires
+refreshTokenFamilySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 86400 });
+
+const RefreshTokenFamily = mongoose.model('RefreshTokenFamily', refreshTokenFamilySchema);
+
+module.exports = RefreshTokenFamily;
@@ -0,0 +1,58 @@
+/**
+ * SecurityEvent Model - MongoDB Schema
+ * Security events raised by createSecurityEvent (failed logins, lockouts,
+ * detected attacks...), kept for the security dashboard alongside
+ * logs/security.log.
+ * Events older than SECURITY_CONFIG.LOG_RETENTION_DAYS are removed by a TTL
+ * index.
+ */
+
+const mongoose = require('mongoose');
+
+const securityEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  timestamp: {
+    type: Date,
+    required: true,
+  },
+  type: {
+    type: String,
+    required: true,
+  },
+  severity: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'critical'],
+  },
+  ip: String,
+  userAgent: String,
+  path: String,
+  method: String,
+  requestId: String,
+  headers: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  sessionId: String,
+  userId: String,
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+securityEventSchema.index({ timestamp: -1 });
+securityEventSchema.index({ type: 1, timestamp: -1 });
+securityEventSchema.index({ ip: 1, timestamp: -1 });
+securityEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const SecurityEvent = mongoose.model('SecurityEvent', securityEventSchema);
+
+module.exports = SecurityEvent;
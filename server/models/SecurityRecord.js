@@ -0,0 +1,53 @@
+/**
+ * SecurityRecord Model - MongoDB Schema
+ * Counters and flags behind account lockout and IP blocking (failed attempt
+ * counts, active lockouts, blocked IPs), keyed by a namespaced string such as
+ * "lockout:user@example.com". Written through utils/securityStore.js so every
+ * server instance sees the same state.
+ * Records are removed by a TTL index once expiresAt passes.
+ */
+
+const mongoose = require('mongoose');
+
+const securityRecordSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Named numeric counters, incremented atomically
+    counters: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // Distinct values seen with the counter (e.g. source IPs)
+    members: {
+      type: [String],
+      default: [],
+    },
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    firstAt: {
+      type: Date,
+    },
+    lastAt: {
+      type: Date,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    minimize: false,
+  }
+);
+
+securityRecordSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const SecurityRecord = mongoose.model('SecurityRecord', securityRecordSchema);
+
+module.exports = SecurityRecord;
@@ -0,0 +1,83 @@
+/**
+ * SwiftBatch Model - MongoDB Schema
+ * One record per submission to the SWIFT gateway, holding the
+ * ISO 20022 pain.001 message generated for the back-office
+ */
+
+const mongoose = require('mongoose');
+
+const swiftBatchSchema = new mongoose.Schema(
+  {
+    batchId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    transactionIds: {
+      type: [String],
+      required: true,
+    },
+    paymentCount: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    // Per-currency totals, e.g. { EUR: 750.5 }
+    currencyTotals: {
+      type: Map,
+      of: Number,
+    },
+    gateway: {
+      type: String,
+      required: true,
+    },
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Employee',
+      required: true,
+    },
+    submittedByEmail: {
+      type: String,
+      required: true,
+    },
+    messageType: {
+      type: String,
+      enum: ['pain.001.001.09'],
+      default: 'pain.001.001.09',
+    },
+    // Generated XML document
+    message: {
+      type: String,
+      required: true,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for faster queries
+swiftBatchSchema.index({ createdAt: -1 });
+swiftBatchSchema.index({ transactionIds: 1 });
+
+// Don't return the full message in list responses
+swiftBatchSchema.methods.toSummary = function () {
+  return {
+    batchId: this.batchId,
+    transactionIds: this.transactionIds,
+    paymentCount: this.paymentCount,
+    currencyTotals: Object.fromEntries(this.currencyTotals || []),
+    gateway: this.gateway,
+    submittedByEmail: this.submittedByEmail,
+    messageType: this.messageType,
+    createdAt: this.createdAt,
+  };
+};
+
+const SwiftBatch = mongoose.model('SwiftBatch', swiftBatchSchema);
+
+module.exports = SwiftBatch;
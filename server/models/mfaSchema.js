@@ -0,0 +1,37 @@
+/**
+ * Two-Factor Sub-Schema
+ * TOTP enrolment shared by Employee and Customer (see utils/mfa.js).
+ * Secrets are stored encrypted; recovery codes only as hashes.
+ */
+
+const mongoose = require('mongoose');
+
+const mfaSchema = new mongoose.Schema(
+  {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    secret: {
+      type: String,
+    },
+    // Secret generated at setup, kept until the first code confirms it
+    pendingSecret: {
+      type: String,
+    },
+    recoveryCodeHashes: {
+      type: [String],
+      default: [],
+    },
+    // Time step of the last accepted code (replay protection)
+    lastUsedStep: {
+      type: Number,
+    },
+    enabledAt: {
+      type: Date,
+    },
+  },
+  { _id: false }
+);
+
+module.exports = mfaSchema;
@@ -7,10 +7,35 @@
 
 const express = require('express');
 const argon2 = require('argon2');
-const { body } = require('express-validator');
+const { body, param } = require('express-validator');
 const { handleValidationErrors, validateEmail, validatePassword } = require('../utils/validation');
-const { createAccessToken, createRefreshToken } = require('../utils/jwtSecurity');
+const {
+  authenticateToken,
+  verifyToken,
+  validateRefreshToken,
+  setSecureCookies,
+  clearSecureCookies,
+  generateMfaPendingToken,
+  verifyMfaPendingToken,
+} = require('../utils/jwtSecurity');
+const { issueTokenPair, rotateRefreshToken, revokeTokenFamily } = require('../utils/refreshTokens');
+const {
+  sessionClientInfo,
+  findActiveSession,
+  listUserSessions,
+  revokeUserSession,
+  revokeAllUserSessions,
+  revokeOtherUserSessions,
+} = require('../utils/sessions');
+const { MFA_CODE_PATTERN, verifyEmployeeMfa } = require('../utils/mfa');
+const {
+  ACCOUNT_MODELS,
+  requestPasswordReset,
+  consumeResetToken,
+} = require('../utils/passwordReset');
+const { createMfaRouter } = require('./mfa');
 const { createSecurityEvent } = require('../middleware/securityMonitoring');
+const { logger } = require('../utils/logger');
 const { authenticateEmployee } = require('../middleware/employeeAuth');
 
 // Enhanced security middleware
@@ -22,16 +47,37 @@ const {
 
 const {
   checkAccountLockout,
+  isAccountLocked,
   trackFailedAttempt,
   resetFailedAttempts,
+  unlockAccount,
 } = require('../middleware/accountLockout');
 
 // Database models
 const Customer = require('../models/Customer');
 const Employee = require('../models/Employee');
+const Payment = require('../models/Payment');
 
 const router = express.Router();
 
+// Argon2id parameters for customer passwords
+const PASSWORD_HASH_OPTIONS = {
+  type: argon2.argon2id,
+  memoryCost: 2 ** 16,
+  timeCost: 4,
+  parallelism: 2,
+};
+
+// Payments that still move money - an account cannot be closed while any exist
+const IN_FLIGHT_PAYMENT_STATUSES = [
+  'pending',
+  'screening',
+  'pending_second_approval',
+  'verified',
+  'submitting',
+  'submitted_to_swift',
+];
+
 /**
  * CUSTOMER REGISTRATION
  * POST /api/auth/register
@@ -72,12 +118,7 @@ router.post(
       }
 
       // Hash password with Argon2
-      const passwordHash = await argon2.hash(password, {
-        type: argon2.argon2id,
-        memoryCost: 2 ** 16,
-        timeCost: 4,
-        parallelism: 2,
-      });
+      const passwordHash = await argon2.hash(password, PASSWORD_HASH_OPTIONS);
 
       // Create customer
       const customer = await Customer.create({
@@ -96,32 +137,17 @@ router.post(
         email: customer.email,
       });
 
-      // Create tokens
-      const accessToken = await createAccessToken({
-        userId: customer._id,
-        email: customer.email,
-        role: 'customer',
-      });
-      const refreshToken = await createRefreshToken({
-        userId: customer._id,
-        email: customer.email,
-        role: 'customer',
-      });
-
-      // Set cookies
-      res.cookie('accessToken', accessToken, {
-        httpOnly: true,
-        secure: true, // Always true for HTTPS
-        sameSite: 'none', // Allow cross-port cookies for localhost development
-        maxAge: 15 * 60 * 1000, // 15 minutes
-      });
+      // Create tokens (starts a refresh token family for rotation)
+      const { accessToken, refreshToken } = await issueTokenPair(
+        {
+          userId: customer._id,
+          email: customer.email,
+          role: 'customer',
+        },
+        sessionClientInfo(req)
+      );
 
-      res.cookie('refreshToken', refreshToken, {
-        httpOnly: true,
-        secure: true, // Always true for HTTPS
-        sameSite: 'none', // Allow cross-port cookies for localhost development
-        maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-      });
+      setSecureCookies(res, accessToken, refreshToken);
 
       return res.status(201).json({
         success: true,
@@ -135,7 +161,7 @@ router.post(
         },
       });
     } catch (error) {
-      console.error('Customer registration error:', error);
+      logger.error('Customer registration error', { error });
       createSecurityEvent('customer_registration_error', { error: error.message });
 
       return res.status(500).json({
@@ -172,10 +198,15 @@ router.post(
       // Find customer
       const customer = await Customer.findOne({ email: email.toLowerCase() });
 
-      if (!customer) {
+      // Closed accounts answer like unknown emails, so login can't reveal them
+      if (!customer || customer.status === 'closed') {
         // Track failed attempt for brute force protection
-        trackFailedAttempt(email, req.ip);
-        createSecurityEvent('customer_login_failed', { email, reason: 'not_found', ip: req.ip });
+        await trackFailedAttempt(email, req.ip);
+        createSecurityEvent('customer_login_failed', {
+          email,
+          reason: customer ? 'account_closed' : 'not_found',
+          ip: req.ip,
+        });
         return res.status(401).json({
           success: false,
           message: 'Invalid credentials',
@@ -199,10 +230,8 @@ router.post(
       const isValidPassword = await argon2.verify(customer.passwordHash, password);
 
       if (!isValidPassword) {
-        await customer.incrementFailedLogins();
-
         // Track failed attempt - may trigger lockout
-        const locked = trackFailedAttempt(email, req.ip);
+        const locked = await trackFailedAttempt(email, req.ip, customer);
         createSecurityEvent('customer_login_failed', {
           email,
           reason: 'invalid_password',
@@ -224,40 +253,21 @@ router.post(
         });
       }
 
-      // SUCCESS - Reset failed attempts
-      await customer.resetFailedLogins();
-      resetFailedAttempts(email);
-
-      // Create tokens
-      const accessToken = await createAccessToken({
-        userId: customer._id,
-        email: customer.email,
-        role: 'customer',
-      });
-      const refreshToken = await createRefreshToken({
-        userId: customer._id,
-        email: customer.email,
-        role: 'customer',
-      });
-
-      console.log('🍪 Setting cookies for customer:', customer.email);
-
-      // Set cookies
-      res.cookie('accessToken', accessToken, {
-        httpOnly: true,
-        secure: true, // Always true for HTTPS
-        sameSite: 'none', // Allow cross-port cookies for localhost development
-        maxAge: 15 * 60 * 1000,
-      });
+      // SUCCESS - Reset failed attempts (also saves the customer)
+      customer.lastLogin = new Date();
+      await resetFailedAttempts(email, customer);
 
-      res.cookie('refreshToken', refreshToken, {
-        httpOnly: true,
-        secure: true, // Always true for HTTPS
-        sameSite: 'none', // Allow cross-port cookies for localhost development
-        maxAge: 7 * 24 * 60 * 60 * 1000,
-      });
+      // Create tokens (starts a refresh token family for rotation)
+      const { accessToken, refreshToken } = await issueTokenPair(
+        {
+          userId: customer._id,
+          email: customer.email,
+          role: 'customer',
+        },
+        sessionClientInfo(req)
+      );
 
-      console.log('✅ Cookies set successfully');
+      setSecureCookies(res, accessToken, refreshToken);
 
       // Log successful login
       createSecurityEvent('customer_login_success', {
@@ -277,7 +287,7 @@ router.post(
         },
       });
     } catch (error) {
-      console.error('Customer login error:', error);
+      logger.error('Customer login error', { error });
       return res.status(500).json({
         success: false,
         message: 'Login failed. Please try again.',
@@ -286,9 +296,60 @@ router.post(
   }
 );
 
+/**
+ * Finish an employee login: reset lockout counters, start the session and
+ * return the employee profile
+ */
+async function completeEmployeeLogin(req, res, employee, extra = {}) {
+  await resetFailedAttempts(employee.email);
+
+  employee.lastLogin = new Date();
+  await employee.save();
+
+  // Create tokens (starts a refresh token family for rotation)
+  const { accessToken, refreshToken } = await issueTokenPair(
+    {
+      userId: employee._id,
+      email: employee.email,
+      role: 'employee',
+    },
+    sessionClientInfo(req)
+  );
+
+  setSecureCookies(res, accessToken, refreshToken);
+
+  // Log successful login
+  createSecurityEvent('employee_login_success', {
+    employeeId: employee._id,
+    email: employee.email,
+    department: employee.department,
+    mfa: Boolean(employee.mfa?.enabled),
+  });
+
+  logger.info('Employee logged in', { employeeId: employee._id, department: employee.department });
+
+  return res.status(200).json({
+    success: true,
+    message: 'Employee login successful',
+    user: {
+      id: employee._id,
+      name: employee.name,
+      email: employee.email,
+      employeeId: employee.employeeId,
+      department: employee.department,
+      role: 'employee',
+      permissions: employee.permissions,
+      mfaEnabled: Boolean(employee.mfa?.enabled),
+    },
+    ...extra,
+  });
+}
+
 /**
  * EMPLOYEE LOGIN
  * POST /api/auth/employee/login
+ * With two-factor enabled, a correct password returns mfaRequired and a
+ * short-lived mfaToken for POST /api/auth/employee/login/mfa instead of a session.
  */
 router.post(
   '/employee/login',
@@ -309,30 +370,12 @@ router.post(
       res.clearCookie('accessToken', cookieOptions);
       res.clearCookie('refreshToken', cookieOptions);
 
-      // DEBUG: Log incoming request details
-      console.log('\n🔐 EMPLOYEE LOGIN ATTEMPT:');
-      console.log('  Email:', email);
-      console.log('  Password length:', password?.length);
-      console.log('  Password first 5 chars:', password?.substring(0, 5));
-      console.log('  Headers:', {
-        'content-type': req.headers['content-type'],
-        'x-csrf-token': req.headers['x-csrf-token']?.substring(0, 20) + '...',
-        origin: req.headers['origin'],
-        cookie: req.headers['cookie']?.substring(0, 50) + '...',
-      });
-
       // Find employee
       const employee = await Employee.findOne({ email: email.toLowerCase() });
 
-      console.log('  Employee found:', !!employee);
-      if (employee) {
-        console.log('  Employee name:', employee.name);
-        console.log('  Employee status:', employee.status);
-      }
-
       if (!employee) {
         // Track failed attempt for brute force protection
-        trackFailedAttempt(email, req.ip);
+        await trackFailedAttempt(email, req.ip);
         createSecurityEvent('employee_login_failed', { email, reason: 'not_found', ip: req.ip });
         return res.status(401).json({
           success: false,
@@ -354,15 +397,11 @@ router.post(
       }
 
       // Verify password
-      console.log('  Verifying password...');
       const isValidPassword = await argon2.verify(employee.passwordHash, password);
-      console.log('  Password valid:', isValidPassword);
 
       if (!isValidPassword) {
-        console.log('  ❌ LOGIN FAILED: Invalid password');
-
         // Track failed attempt - may trigger lockout
-        const locked = trackFailedAttempt(email, req.ip);
+        const locked = await trackFailedAttempt(email, req.ip);
         createSecurityEvent('employee_login_failed', {
           email,
           reason: 'invalid_password',
@@ -383,69 +422,616 @@ router.post(
         });
       }
 
-      console.log('  ✅ LOGIN SUCCESS:', employee.email);
+      // Two-factor: the session is only issued once the code is checked
+      if (employee.mfa?.enabled) {
+        const mfaToken = await generateMfaPendingToken({
+          userId: employee._id,
+          email: employee.email,
+        });
 
-      // SUCCESS - Reset failed attempts
-      resetFailedAttempts(email);
+        createSecurityEvent(
+          'employee_mfa_challenge',
+          { employeeId: employee._id, email: employee.email },
+          req
+        );
+
+        return res.status(200).json({
+          success: true,
+          mfaRequired: true,
+          mfaToken,
+          message: 'Enter the code from your authenticator app',
+        });
+      }
 
-      // Update last login
-      employee.lastLogin = new Date();
-      await employee.save();
+      return completeEmployeeLogin(req, res, employee);
+    } catch (error) {
+      logger.error('Employee login error', { error });
+      return res.status(500).json({
+        success: false,
+        message: 'Login failed. Please try again.',
+      });
+    }
+  }
+);
 
-      // Create tokens with employee role
-      const accessToken = await createAccessToken({
-        userId: employee._id,
-        email: employee.email,
-        role: 'employee',
+/**
+ * EMPLOYEE LOGIN - TWO-FACTOR STEP
+ * POST /api/auth/employee/login/mfa
+ * Exchanges the mfaToken from the password step and an authenticator code
+ * (or a one-time recovery code) for a session.
+ */
+router.post(
+  '/employee/login/mfa',
+  [
+    body('mfaToken').isString().isLength({ min: 1, max: 2048 }).withMessage('Invalid request'),
+    body('code').trim().matches(MFA_CODE_PATTERN).withMessage('Invalid code format'),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      let pending;
+      try {
+        pending = await verifyMfaPendingToken(req.body.mfaToken);
+      } catch (error) {
+        return res.status(401).json({
+          success: false,
+          message: 'Verification expired. Please log in again.',
+          code: 'MFA_TOKEN_INVALID',
+        });
+      }
+
+      const lockStatus = await isAccountLocked(pending.email);
+      if (lockStatus.locked) {
+        return res.status(423).json({
+          success: false,
+          message: `Account temporarily locked due to too many failed login attempts. Please try again in ${lockStatus.remainingMinutes} minute(s).`,
+          locked: true,
+        });
+      }
+
+      const employee = await Employee.findById(pending.userId);
+
+      if (!employee || employee.status !== 'active' || !employee.mfa?.enabled) {
+        return res.status(401).json({
+          success: false,
+          message: 'Verification expired. Please log in again.',
+          code: 'MFA_TOKEN_INVALID',
+        });
+      }
+
+      const method = await verifyEmployeeMfa(employee, req.body.code, {
+        allowRecoveryCode: true,
       });
-      const refreshToken = await createRefreshToken({
-        userId: employee._id,
-        email: employee.email,
-        role: 'employee',
+
+      if (!method) {
+        const locked = await trackFailedAttempt(employee.email, req.ip);
+        createSecurityEvent(
+          'employee_mfa_failed',
+          { employeeId: employee._id, email: employee.email },
+          req
+        );
+
+        if (locked) {
+          return res.status(423).json({
+            success: false,
+            message: 'Account locked. Please try again in 15 minutes.',
+            locked: true,
+          });
+        }
+
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid or already used code',
+          code: 'MFA_CODE_INVALID',
+        });
+      }
+
+      if (method === 'recovery_code') {
+        const remaining = employee.mfa.recoveryCodeHashes.length - 1;
+        createSecurityEvent(
+          'mfa_recovery_code_used',
+          { employeeId: employee._id, email: employee.email, remaining },
+          req
+        );
+        return completeEmployeeLogin(req, res, employee, { recoveryCodesRemaining: remaining });
+      }
+
+      return completeEmployeeLogin(req, res, employee);
+    } catch (error) {
+      logger.error('Employee MFA login error', { error });
+      return res.status(500).json({
+        success: false,
+        message: 'Login failed. Please try again.',
       });
+    }
+  }
+);
 
-      // Set cookies
-      res.cookie('accessToken', accessToken, {
-        httpOnly: true,
-        secure: true, // Always true for HTTPS
-        sameSite: 'none', // Allow cross-port cookies for localhost development
-        maxAge: 15 * 60 * 1000,
+/**
+ * TWO-FACTOR ENROLMENT
+ * /api/auth/employee/mfa - employees (required for SWIFT release)
+ * /api/auth/mfa - customers (optional, for confirming payments)
+ * See routes/mfa.js for the endpoints.
+ */
+const requireCustomer = (req, res, next) => {
+  if (req.user.role !== 'customer') {
+    return res.status(403).json({
+      success: false,
+      message: 'Customer account required',
+    });
+  }
+  next();
+};
+
+router.use(
+  '/employee/mfa',
+  createMfaRouter({
+    Model: Employee,
+    authenticate: authenticateEmployee,
+    getAccountId: req => req.employee.id,
+  })
+);
+
+router.use(
+  '/mfa',
+  createMfaRouter({
+    Model: Customer,
+    authenticate: [authenticateToken, requireCustomer],
+    getAccountId: req => req.user.userId,
+  })
+);
+
+// Customer profile as returned to the customer
+const toCustomerProfile = customer => ({
+  id: customer._id,
+  name: customer.name,
+  email: customer.email,
+  accountNumber: customer.accountNumber,
+  accountType: customer.accountType,
+  phone: customer.phone || '',
+  address: {
+    line1: customer.address?.line1 || '',
+    line2: customer.address?.line2 || '',
+    city: customer.address?.city || '',
+    postalCode: customer.address?.postalCode || '',
+    country: customer.address?.country || '',
+  },
+  role: 'customer',
+  status: customer.status,
+  mfaEnabled: Boolean(customer.mfa?.enabled),
+  createdAt: customer.createdAt,
+  lastLogin: customer.lastLogin,
+  passwordChangedAt: customer.passwordChangedAt,
+});
+
+/**
+ * Re-check a customer's password before a sensitive change
+ * Wrong passwords count towards the account lockout like failed logins.
+ *
+ * @returns {Promise<Object|null>} Error response body and status, or null if correct
+ */
+async function verifyCurrentPassword(req, customer, password, eventType) {
+  if (await argon2.verify(customer.passwordHash, password)) {
+    return null;
+  }
+
+  const locked = await trackFailedAttempt(customer.email, req.ip, customer);
+  createSecurityEvent(
+    eventType,
+    { customerId: customer._id, email: customer.email, reason: 'invalid_password' },
+    req
+  );
+
+  return locked
+    ? {
+        status: 423,
+        body: {
+          success: false,
+          message:
+            'Account locked due to too many failed attempts. Please try again in 15 minutes.',
+          locked: true,
+        },
+      }
+    : {
+        status: 400,
+        body: {
+          success: false,
+          message: 'Current password is incorrect',
+          code: 'CURRENT_PASSWORD_INVALID',
+        },
+      };
+}
+
+/**
+ * CUSTOMER PROFILE
+ * GET /api/auth/profile
+ */
+router.get('/profile', authenticateToken, requireCustomer, async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.user.userId);
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found',
       });
+    }
 
-      res.cookie('refreshToken', refreshToken, {
-        httpOnly: true,
-        secure: true, // Always true for HTTPS
-        sameSite: 'none', // Allow cross-port cookies for localhost development
-        maxAge: 7 * 24 * 60 * 60 * 1000,
+    return res.status(200).json({
+      success: true,
+      user: toCustomerProfile(customer),
+    });
+  } catch (error) {
+    logger.error('Customer profile error', { error });
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve profile',
+    });
+  }
+});
+
+/**
+ * UPDATE CUSTOMER PROFILE
+ * PATCH /api/auth/profile
+ * Name and contact details only - the email address is the login and the
+ * account number is fixed.
+ */
+router.patch(
+  '/profile',
+  authenticateToken,
+  requireCustomer,
+  [
+    body('name')
+      .optional()
+      .trim()
+      .matches(/^[a-zA-Z\s\-'.]{2,100}$/)
+      .withMessage('Name must be 2-100 letters, spaces, hyphens or apostrophes'),
+    body('phone')
+      .optional({ values: 'falsy' })
+      .trim()
+      .matches(/^\+?[0-9 ()-]{7,20}$/)
+      .withMessage('Invalid phone number'),
+    body('address').optional().isObject().withMessage('Invalid address'),
+    body(['address.line1', 'address.line2'])
+      .optional({ values: 'falsy' })
+      .trim()
+      .matches(/^[a-zA-Z0-9\s\-'.,/#]{1,100}$/)
+      .withMessage('Address lines may contain letters, numbers and basic punctuation'),
+    body('address.city')
+      .optional({ values: 'falsy' })
+      .trim()
+      .matches(/^[a-zA-Z\s\-'.]{1,60}$/)
+      .withMessage('Invalid city'),
+    body('address.postalCode')
+      .optional({ values: 'falsy' })
+      .trim()
+      .matches(/^[a-zA-Z0-9\s-]{3,10}$/)
+      .withMessage('Invalid postal code'),
+    body('address.country')
+      .optional({ values: 'falsy' })
+      .trim()
+      .toUpperCase()
+      .matches(/^[A-Z]{2}$/)
+      .withMessage('Country must be a 2-letter ISO code'),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const customer = await Customer.findById(req.user.userId);
+
+      if (!customer) {
+        return res.status(404).json({
+          success: false,
+          message: 'Customer not found',
+        });
+      }
+
+      const changed = [];
+      if (req.body.name !== undefined && req.body.name !== customer.name) {
+        customer.name = req.body.name;
+        changed.push('name');
+      }
+      if (req.body.phone !== undefined && req.body.phone !== (customer.phone || '')) {
+        customer.phone = req.body.phone || undefined;
+        changed.push('phone');
+      }
+      if (req.body.address) {
+        ['line1', 'line2', 'city', 'postalCode', 'country'].forEach(field => {
+          const value = req.body.address[field];
+          if (value !== undefined && value !== (customer.address?.[field] || '')) {
+            customer.set(`address.${field}`, value || undefined);
+            changed.push(`address.${field}`);
+          }
+        });
+      }
+
+      if (changed.length > 0) {
+        await customer.save();
+        createSecurityEvent(
+          'customer_profile_updated',
+          { customerId: customer._id, email: customer.email, fields: changed },
+          req
+        );
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: changed.length > 0 ? 'Profile updated' : 'No changes',
+        user: toCustomerProfile(customer),
+      });
+    } catch (error) {
+      logger.error('Customer profile update error', { error });
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update profile',
       });
+    }
+  }
+);
 
-      // Log successful login
-      createSecurityEvent('employee_login_success', {
-        employeeId: employee._id,
-        email: employee.email,
-        department: employee.department,
+/**
+ * CHANGE PASSWORD (Customer)
+ * POST /api/auth/profile/password
+ * Re-verifies the current password; every other session is signed out.
+ */
+router.post(
+  '/profile/password',
+  authenticateToken,
+  requireCustomer,
+  [
+    body('currentPassword')
+      .isString()
+      .isLength({ min: 1, max: 128 })
+      .withMessage('Current password is required'),
+    validatePassword('newPassword'),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { currentPassword, newPassword } = req.body;
+      const customer = await Customer.findById(req.user.userId);
+
+      if (!customer) {
+        return res.status(404).json({
+          success: false,
+          message: 'Customer not found',
+        });
+      }
+
+      const failure = await verifyCurrentPassword(
+        req,
+        customer,
+        currentPassword,
+        'password_change_failed'
+      );
+      if (failure) {
+        return res.status(failure.status).json(failure.body);
+      }
+
+      if (await argon2.verify(customer.passwordHash, newPassword)) {
+        return res.status(400).json({
+          success: false,
+          message: 'New password must be different from the current password',
+          code: 'PASSWORD_UNCHANGED',
+        });
+      }
+
+      customer.passwordHash = await argon2.hash(newPassword, PASSWORD_HASH_OPTIONS);
+      customer.passwordChangedAt = new Date();
+      await customer.save();
+
+      await resetFailedAttempts(customer.email, customer);
+      const revoked = await revokeOtherUserSessions(
+        customer._id,
+        req.user.sessionId,
+        'password_changed'
+      );
+
+      createSecurityEvent(
+        'password_changed',
+        { customerId: customer._id, email: customer.email, sessionsRevoked: revoked },
+        req
+      );
+
+      return res.status(200).json({
+        success: true,
+        message:
+          revoked > 0
+            ? `Password changed. ${revoked} other session(s) were signed out.`
+            : 'Password changed',
+        sessionsRevoked: revoked,
+      });
+    } catch (error) {
+      logger.error('Password change error', { error });
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to change password',
+      });
+    }
+  }
+);
+
+/**
+ * CLOSE ACCOUNT (Customer)
+ * POST /api/auth/profile/close
+ * Re-verifies the password, refuses while payments are still in flight, then
+ * sets status "closed" and signs out every session.
+ */
+router.post(
+  '/profile/close',
+  authenticateToken,
+  requireCustomer,
+  [
+    body('password').isString().isLength({ min: 1, max: 128 }).withMessage('Password is required'),
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Reason must be at most 500 characters'),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const customer = await Customer.findById(req.user.userId);
+
+      if (!customer) {
+        return res.status(404).json({
+          success: false,
+          message: 'Customer not found',
+        });
+      }
+
+      const failure = await verifyCurrentPassword(
+        req,
+        customer,
+        req.body.password,
+        'account_closure_failed'
+      );
+      if (failure) {
+        return res.status(failure.status).json(failure.body);
+      }
+
+      const inFlight = await Payment.countDocuments({
+        customerId: customer._id,
+        status: { $in: IN_FLIGHT_PAYMENT_STATUSES },
       });
+      if (inFlight > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `You have ${inFlight} payment(s) still being processed. Please try again once they are complete.`,
+          code: 'PAYMENTS_IN_FLIGHT',
+          inFlight,
+        });
+      }
 
-      console.log(`✅ Employee logged in: ${employee.email} (${employee.department})`);
+      customer.status = 'closed';
+      customer.closure = { requestedAt: new Date(), reason: req.body.reason || undefined };
+      await customer.save();
+
+      const revoked = await revokeAllUserSessions(customer._id, 'account_closed');
+      clearSecureCookies(res);
+
+      createSecurityEvent(
+        'account_closed',
+        { customerId: customer._id, email: customer.email, sessionsRevoked: revoked },
+        req
+      );
 
       return res.status(200).json({
         success: true,
-        message: 'Employee login successful',
-        user: {
-          id: employee._id,
-          name: employee.name,
-          email: employee.email,
-          employeeId: employee.employeeId,
-          department: employee.department,
-          role: 'employee',
-          permissions: employee.permissions,
+        message: 'Your account has been closed',
+      });
+    } catch (error) {
+      logger.error('Account closure error', { error });
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to close account',
+      });
+    }
+  }
+);
+
+/**
+ * REQUEST PASSWORD RESET (Customer or Employee)
+ * POST /api/auth/password-reset/request
+ * Always answers the same way, and before the lookup runs, so the response
+ * does not reveal whether an account exists.
+ */
+router.post(
+  '/password-reset/request',
+  [
+    validateEmail(),
+    body('accountType')
+      .optional()
+      .isIn(Object.keys(ACCOUNT_MODELS))
+      .withMessage('Invalid account type'),
+  ],
+  handleValidationErrors,
+  (req, res) => {
+    const email = req.body.email.toLowerCase();
+    const accountType = req.body.accountType || 'customer';
+
+    requestPasswordReset({ email, accountType, requestedIp: req.ip })
+      .then(sent =>
+        createSecurityEvent('password_reset_requested', { email, accountType, sent }, req)
+      )
+      .catch(error => logger.error('Password reset request error', { error }));
+
+    return res.status(202).json({
+      success: true,
+      message:
+        'If an account exists for that email, a password reset link has been sent. It expires shortly.',
+    });
+  }
+);
+
+/**
+ * COMPLETE PASSWORD RESET (Customer or Employee)
+ * POST /api/auth/password-reset/confirm
+ * Sets the new password, clears the lockout and signs out every session.
+ */
+router.post(
+  '/password-reset/confirm',
+  [
+    body('token')
+      .isString()
+      .matches(/^[a-f0-9]{64}$/)
+      .withMessage('Invalid reset link'),
+    validatePassword('newPassword'),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const record = await consumeResetToken(req.body.token);
+      const account = await ACCOUNT_MODELS[record.accountType].findById(record.accountId);
+
+      if (!account || account.status !== 'active') {
+        return res.status(400).json({
+          success: false,
+          message: 'This reset link is invalid or has expired. Please request a new one.',
+          code: 'RESET_TOKEN_INVALID',
+        });
+      }
+
+      account.passwordHash = await argon2.hash(req.body.newPassword, PASSWORD_HASH_OPTIONS);
+      account.passwordChangedAt = new Date();
+      await account.save();
+
+      // Proving control of the mailbox lifts a brute-force lockout
+      await resetFailedAttempts(account.email, account);
+      await unlockAccount(account.email);
+      const revoked = await revokeAllUserSessions(account._id, 'password_reset');
+
+      createSecurityEvent(
+        'password_reset_completed',
+        {
+          accountId: account._id,
+          email: account.email,
+          accountType: record.accountType,
+          sessionsRevoked: revoked,
         },
+        req
+      );
+
+      return res.status(200).json({
+        success: true,
+        message: 'Your password has been reset. Please log in with the new password.',
+        accountType: record.accountType,
       });
     } catch (error) {
-      console.error('Employee login error:', error);
+      if (error.code === 'RESET_TOKEN_INVALID') {
+        createSecurityEvent('password_reset_failed', { reason: 'invalid_token' }, req);
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+          code: error.code,
+        });
+      }
+
+      logger.error('Password reset error', { error });
       return res.status(500).json({
         success: false,
-        message: 'Login failed. Please try again.',
+        message: 'Failed to reset password',
       });
     }
   }
@@ -479,10 +1065,11 @@ router.get('/employee/profile', authenticateEmployee, async (req, res) => {
         role: 'employee',
         permissions: employee.permissions,
         status: employee.status,
+        mfaEnabled: Boolean(employee.mfa?.enabled),
       },
     });
   } catch (error) {
-    console.error('Employee profile error:', error);
+    logger.error('Employee profile error', { error });
     return res.status(500).json({
       success: false,
       message: 'Failed to retrieve employee profile',
@@ -490,25 +1077,227 @@ router.get('/employee/profile', authenticateEmployee, async (req, res) => {
   }
 });
 
+/**
+ * REFRESH SESSION
+ * POST /api/auth/refresh
+ * Exchanges the refresh token cookie (sent only to this path) for a new
+ * access/refresh pair. Replaying a spent refresh token revokes the whole family.
+ */
+router.post('/refresh', async (req, res) => {
+  const refreshToken = req.cookies?.refreshToken;
+
+  if (!refreshToken) {
+    return res.status(401).json({
+      success: false,
+      message: 'Refresh token required',
+      code: 'REFRESH_TOKEN_MISSING',
+      requiresLogin: true,
+    });
+  }
+
+  try {
+    const {
+      accessToken,
+      refreshToken: nextRefreshToken,
+      family,
+    } = await rotateRefreshToken(refreshToken);
+
+    // Accounts suspended since login lose the session at the next refresh
+    const Account = family.role === 'employee' ? Employee : Customer;
+    const account = await Account.findById(family.userId).select('status');
+
+    if (!account || account.status !== 'active') {
+      await revokeTokenFamily(family.familyId, 'account_inactive');
+      clearSecureCookies(res);
+
+      return res.status(401).json({
+        success: false,
+        message: 'Account is not active',
+        code: 'ACCOUNT_INACTIVE',
+        requiresLogin: true,
+      });
+    }
+
+    setSecureCookies(res, accessToken, nextRefreshToken);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Session refreshed',
+    });
+  } catch (error) {
+    clearSecureCookies(res);
+
+    if (error.code === 'REFRESH_TOKEN_REUSED') {
+      // SECURITY: A spent token was replayed - the session may be stolen
+      createSecurityEvent(
+        'refresh_token_reuse',
+        {
+          userId: error.family.userId,
+          email: error.family.email,
+          role: error.family.role,
+          familyId: error.family.familyId,
+        },
+        req
+      );
+    } else if (!error.code) {
+      logger.error('Refresh session error', { error });
+    }
+
+    return res.status(401).json({
+      success: false,
+      message: 'Session expired. Please log in again.',
+      code: error.code || 'REFRESH_FAILED',
+      requiresLogin: true,
+    });
+  }
+});
+
+/**
+ * LIST ACTIVE SESSIONS (Customer or Employee)
+ * GET /api/auth/sessions
+ */
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await listUserSessions(req.user.userId, req.user.sessionId);
+
+    return res.status(200).json({
+      success: true,
+      sessions,
+    });
+  } catch (error) {
+    logger.error('List sessions error', { error });
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sessions',
+    });
+  }
+});
+
+/**
+ * SIGN OUT EVERYWHERE (Customer or Employee)
+ * DELETE /api/auth/sessions
+ * Revokes every session of the user, including this one
+ */
+router.delete('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await revokeAllUserSessions(req.user.userId, 'signed_out_everywhere');
+
+    createSecurityEvent(
+      'sessions_revoked_all',
+      { userId: req.user.userId, role: req.user.role, revoked },
+      req
+    );
+
+    clearSecureCookies(res);
+
+    return res.status(200).json({
+      success: true,
+      message: `Signed out of ${revoked} session(s)`,
+      revoked,
+    });
+  } catch (error) {
+    logger.error('Revoke all sessions error', { error });
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to sign out everywhere',
+    });
+  }
+});
+
+/**
+ * REVOKE ONE SESSION (Customer or Employee)
+ * DELETE /api/auth/sessions/:sessionId
+ */
+router.delete(
+  '/sessions/:sessionId',
+  authenticateToken,
+  param('sessionId').isHexadecimal().isLength({ min: 32, max: 32 }),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { sessionId } = req.params;
+      const revoked = await revokeUserSession(req.user.userId, sessionId, 'revoked_by_user');
+
+      if (!revoked) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found',
+        });
+      }
+
+      createSecurityEvent(
+        'session_revoked',
+        { userId: req.user.userId, role: req.user.role, sessionId },
+        req
+      );
+
+      const current = sessionId === req.user.sessionId;
+      if (current) {
+        clearSecureCookies(res);
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: 'Session revoked',
+        current,
+      });
+    } catch (error) {
+      logger.error('Revoke session error', { error });
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to revoke session',
+      });
+    }
+  }
+);
+
 /**
  * LOGOUT
  * POST /api/auth/logout
+ * Revokes the session behind the refresh or access token cookie, then clears
+ * the cookies. An expired access token still identifies its session, so a
+ * lapsed tab cannot leave the refresh token family live.
  * IMPORTANT: Cookie options must match the ones used when setting cookies
  */
-router.post('/logout', (req, res) => {
+router.post('/logout', async (req, res) => {
+  const { accessToken, refreshToken } = req.cookies || {};
+  let familyId = null;
+
+  // The refresh cookie is scoped to /api/auth/refresh, so browsers rarely send it here
+  if (refreshToken) {
+    try {
+      ({ familyId } = await validateRefreshToken(refreshToken));
+    } catch (error) {
+      // Invalid or expired refresh token - fall back to the access token
+    }
+  }
+
+  if (!familyId && accessToken) {
+    try {
+      const decoded = await verifyToken(accessToken, 'access', { ignoreExpiration: true });
+      const session = await findActiveSession(decoded.jti);
+      familyId = session?.familyId || null;
+    } catch (error) {
+      // Forged or malformed token - nothing to revoke
+    }
+  }
+
+  if (familyId) {
+    try {
+      await revokeTokenFamily(familyId, 'logout');
+    } catch (error) {
+      logger.error('Logout session revocation error', { error });
+    }
+  }
+
   // Clear cookies with the same options used when setting them
-  const cookieOptions = {
+  clearSecureCookies(res);
+  res.clearCookie('_csrf', {
     httpOnly: true,
     secure: true,
     sameSite: 'none',
     path: '/',
-  };
-
-  res.clearCookie('accessToken', cookieOptions);
-  res.clearCookie('refreshToken', cookieOptions);
-  res.clearCookie('_csrf', cookieOptions); // Also clear CSRF token
-
-  console.log('🚪 User logged out - cookies cleared');
+  }); // Also clear CSRF token
 
   return res.status(200).json({
     success: true,
@@ -526,7 +1315,7 @@ router.post('/employee/register', (req, res) => {
     email: req.body?.email,
   });
 
-  console.warn(`⚠️  Blocked employee registration attempt from IP: ${req.ip}`);
+  logger.warn('Blocked employee registration attempt', { ip: req.ip });
 
   return res.status(403).json({
     success: false,
@@ -0,0 +1,137 @@
+/**
+ * BIC Directory Routes
+ * Bank lookups for customers and employees; importing a new directory is
+ * restricted to the Administration department
+ */
+
+const express = require('express');
+const { authenticateToken } = require('../utils/jwtSecurity');
+const { authenticateEmployee, requireDepartment } = require('../middleware/employeeAuth');
+const { createSecurityEvent } = require('../middleware/securityMonitoring');
+const { logger } = require('../utils/logger');
+const {
+  validateBicParam,
+  handleValidationErrors,
+} = require('../middleware/comprehensiveValidation');
+const {
+  BIC_DIRECTORY_CONFIG,
+  parseBicCsv,
+  loadDirectoryFromFile,
+  importBicDirectory,
+  lookupBic,
+} = require('../utils/bicDirectory');
+
+const router = express.Router();
+
+const requireAdministration = requireDepartment(['Administration']);
+
+// CSV uploads are larger than the global 10kb JSON limit allows
+const parseCsvBody = express.text({
+  type: ['text/csv', 'text/plain'],
+  limit: BIC_DIRECTORY_CONFIG.maxUploadSize,
+});
+
+/**
+ * LOOK UP A BIC
+ * GET /api/bic/:bic
+ */
+router.get('/:bic', authenticateToken, validateBicParam, handleValidationErrors, (req, res) => {
+  try {
+    const bank = lookupBic(req.params.bic);
+
+    if (!bank) {
+      return res.status(404).json({
+        success: false,
+        message: 'SWIFT/BIC code not found in the bank directory',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      bank,
+    });
+  } catch (error) {
+    logger.error('BIC lookup error', { error });
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to look up SWIFT/BIC code',
+    });
+  }
+});
+
+/**
+ * IMPORT DIRECTORY (Administration only)
+ * PUT /api/bic/directory
+ * Body: CSV (Content-Type: text/csv) with header bic,institution_name,city,country_code
+ */
+router.put(
+  '/directory',
+  authenticateEmployee,
+  requireAdministration,
+  parseCsvBody,
+  async (req, res) => {
+    let entries;
+    try {
+      entries = parseBicCsv(typeof req.body === 'string' ? req.body : '');
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        errors: error.details,
+      });
+    }
+
+    try {
+      const { count } = await importBicDirectory(entries, req.user.email);
+
+      createSecurityEvent(
+        'bic_directory_imported',
+        { employeeId: req.user.userId, count, source: 'upload' },
+        req
+      );
+
+      return res.status(200).json({
+        success: true,
+        message: `BIC directory imported (${count} institutions)`,
+        count,
+      });
+    } catch (error) {
+      logger.error('Import BIC directory error', { error });
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to import BIC directory',
+      });
+    }
+  }
+);
+
+/**
+ * RELOAD DIRECTORY FROM FILE (Administration only)
+ * POST /api/bic/directory/reload
+ * Imports the CSV in BIC_DIRECTORY_FILE
+ */
+router.post('/directory/reload', authenticateEmployee, requireAdministration, async (req, res) => {
+  try {
+    const { count } = await importBicDirectory(loadDirectoryFromFile(), req.user.email);
+
+    createSecurityEvent(
+      'bic_directory_imported',
+      { employeeId: req.user.userId, count, source: 'file' },
+      req
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: `BIC directory reloaded from file (${count} institutions)`,
+      count,
+    });
+  } catch (error) {
+    logger.error('Reload BIC directory error', { error });
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to reload BIC directory',
+    });
+  }
+});
+
+module.exports = router;
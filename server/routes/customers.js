@@ -4,14 +4,20 @@
  */
 
 const express = require('express');
-const { authenticateEmployee } = require('../middleware/employeeAuth');
+const { authenticateEmployee, requirePermission } = require('../middleware/employeeAuth');
 const { createSecurityEvent } = require('../middleware/securityMonitoring');
+const { logger } = require('../utils/logger');
 
 // Enhanced security validation
 const {
   validateCustomerId,
+  validateLedgerDeposit,
+  validateCustomerExport,
   handleValidationErrors,
 } = require('../middleware/comprehensiveValidation');
+const { LEDGER_CONFIG, getCustomerBalances, postDeposit } = require('../utils/ledger');
+const { FX_CONFIG, convertAmount, sumInBaseCurrency } = require('../utils/fxRates');
+const { exportHandler } = require('../utils/dataExport');
 
 const Customer = require('../models/Customer');
 const Payment = require('../models/Payment');
@@ -23,60 +29,92 @@ const router = express.Router();
  * GET /api/customers/employee/stats
  * NOTE: Must be before /:id route to avoid route conflict
  */
-router.get('/employee/stats', authenticateEmployee, async (req, res) => {
-  try {
-    const totalCustomers = await Customer.countDocuments();
-    const totalPayments = await Payment.countDocuments();
-    const pendingPayments = await Payment.countDocuments({ status: 'pending' });
-    const verifiedPayments = await Payment.countDocuments({ status: 'verified' });
-    const rejectedPayments = await Payment.countDocuments({ status: 'rejected' });
-    const completedPayments = await Payment.countDocuments({ status: 'completed' });
-
-    return res.status(200).json({
-      success: true,
-      stats: {
-        totalCustomers,
-        totalPayments,
-        pendingPayments,
-        verifiedPayments,
-        rejectedPayments,
-        completedPayments,
-      },
-    });
-  } catch (error) {
-    console.error('Get stats error:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Failed to fetch statistics',
-    });
+router.get(
+  '/employee/stats',
+  authenticateEmployee,
+  requirePermission('view_payments'),
+  async (req, res) => {
+    try {
+      const totalCustomers = await Customer.countDocuments();
+      const totalPayments = await Payment.countDocuments();
+      const pendingPayments = await Payment.countDocuments({
+        status: { $in: Payment.AWAITING_VERIFICATION_STATUSES },
+      });
+      const verifiedPayments = await Payment.countDocuments({ status: 'verified' });
+      const rejectedPayments = await Payment.countDocuments({ status: 'rejected' });
+      const completedPayments = await Payment.countDocuments({ status: 'completed' });
+
+      return res.status(200).json({
+        success: true,
+        stats: {
+          totalCustomers,
+          totalPayments,
+          pendingPayments,
+          verifiedPayments,
+          rejectedPayments,
+          completedPayments,
+        },
+      });
+    } catch (error) {
+      logger.error('Get stats error', { error });
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch statistics',
+      });
+    }
   }
-});
+);
 
 /**
  * GET ALL CUSTOMERS (Employee only)
  * GET /api/customers/employee/all
  */
-router.get('/employee/all', authenticateEmployee, async (req, res) => {
-  try {
-    const customers = await Customer.find()
-      .select('-passwordHash')
-      .sort({ createdAt: -1 })
-      .limit(200);
-
-    console.log(`📋 Fetched ${customers.length} customers`);
-
-    return res.status(200).json({
-      success: true,
-      customers,
-    });
-  } catch (error) {
-    console.error('Get customers error:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Failed to fetch customers',
-    });
+router.get(
+  '/employee/all',
+  authenticateEmployee,
+  requirePermission('view_customers'),
+  async (req, res) => {
+    try {
+      const customers = await Customer.find()
+        .select('-passwordHash')
+        .sort({ createdAt: -1 })
+        .limit(200);
+
+      logger.debug('Fetched customers', { count: customers.length });
+
+      return res.status(200).json({
+        success: true,
+        customers,
+      });
+    } catch (error) {
+      logger.error('Get customers error', { error });
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch customers',
+      });
+    }
   }
-});
+);
+
+/**
+ * EXPORT CUSTOMERS (Employee only - reports)
+ * GET /api/customers/employee/export?format=xlsx
+ * Streams every customer as CSV (default) or XLSX. Account numbers are masked
+ * without view_account_numbers. NOTE: Must be before /employee/:id
+ */
+router.get(
+  '/employee/export',
+  authenticateEmployee,
+  requirePermission('view_customers'),
+  requirePermission('generate_reports'),
+  validateCustomerExport,
+  handleValidationErrors,
+  exportHandler('customers', () => ({
+    Model: Customer,
+    filter: {},
+    sort: { createdAt: -1, _id: -1 },
+  }))
+);
 
 /**
  * GET CUSTOMER DETAILS WITH PAYMENT STATS (Employee only)
@@ -85,6 +123,7 @@ router.get('/employee/all', authenticateEmployee, async (req, res) => {
 router.get(
   '/employee/:id',
   authenticateEmployee,
+  requirePermission('view_customers'),
   validateCustomerId,
   handleValidationErrors,
   async (req, res) => {
@@ -107,11 +146,14 @@ router.get(
 
       const stats = {
         totalPayments: payments.length,
-        pendingPayments: payments.filter(p => p.status === 'pending').length,
+        pendingPayments: payments.filter(p =>
+          Payment.AWAITING_VERIFICATION_STATUSES.includes(p.status)
+        ).length,
         verifiedPayments: payments.filter(p => p.status === 'verified').length,
         rejectedPayments: payments.filter(p => p.status === 'rejected').length,
         completedPayments: payments.filter(p => p.status === 'completed').length,
-        totalAmount: payments.reduce((sum, p) => sum + p.amount, 0),
+        // Reported in the base currency
+        totalAmount: sumInBaseCurrency(payments),
       };
 
       // Calculate payment statistics per employee
@@ -134,22 +176,35 @@ router.get(
             payment.status === 'submitted_to_swift'
           ) {
             employeeStats[payment.verifiedByEmail].acceptedCount++;
-            employeeStats[payment.verifiedByEmail].totalAmount += payment.amount;
+            employeeStats[payment.verifiedByEmail].totalAmount += convertAmount(
+              payment.amount,
+              payment.currency,
+              FX_CONFIG.baseCurrency
+            );
           } else if (payment.status === 'rejected') {
             employeeStats[payment.verifiedByEmail].rejectedCount++;
           }
         }
       });
 
+      // Balances come from the ledger, not the stored opening balance
+      const balances = await getCustomerBalances(id);
+
       return res.status(200).json({
         success: true,
-        customer,
+        customer: {
+          ...customer.toJSON(),
+          accountBalance: balances[LEDGER_CONFIG.accountCurrency]?.available || 0,
+          accountCurrency: LEDGER_CONFIG.accountCurrency,
+        },
+        balances,
+        baseCurrency: FX_CONFIG.baseCurrency,
         stats,
         employeeStats: Object.values(employeeStats),
         recentPayments: payments.slice(0, 10),
       });
     } catch (error) {
-      console.error('Get customer details error:', error);
+      logger.error('Get customer details error', { error });
       return res.status(500).json({
         success: false,
         message: 'Failed to fetch customer details',
@@ -158,4 +213,72 @@ router.get(
   }
 );
 
+/**
+ * CREDIT CUSTOMER ACCOUNT (Employee only)
+ * POST /api/customers/employee/:id/deposit
+ * Posts a deposit entry to the ledger (bank funding → customer available)
+ */
+router.post(
+  '/employee/:id/deposit',
+  authenticateEmployee,
+  requirePermission('post_deposits'),
+  validateLedgerDeposit,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { amount, currency, memo } = req.body;
+
+      const customer = await Customer.findById(id);
+
+      if (!customer) {
+        return res.status(404).json({
+          success: false,
+          message: 'Customer not found',
+        });
+      }
+
+      if (customer.status !== 'active') {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot credit a ${customer.status} account`,
+        });
+      }
+
+      const entry = await postDeposit({
+        customerId: customer._id,
+        amount: parseFloat(amount),
+        currency,
+        memo: memo || 'Employee deposit',
+        postedBy: req.user.email,
+      });
+
+      createSecurityEvent(
+        'ledger_deposit',
+        {
+          entryId: entry.entryId,
+          customerId: customer._id,
+          amount,
+          currency,
+          employeeId: req.user.userId,
+        },
+        req
+      );
+
+      return res.status(201).json({
+        success: true,
+        message: `Credited ${currency} ${parseFloat(amount).toFixed(2)} to ${customer.name}`,
+        entryId: entry.entryId,
+        balances: await getCustomerBalances(id),
+      });
+    } catch (error) {
+      logger.error('Customer deposit error', { error });
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to credit customer account',
+      });
+    }
+  }
+);
+
 module.exports = router;
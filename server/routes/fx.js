@@ -0,0 +1,118 @@
+/**
+ * FX Rate Routes
+ * Current rates for customers and employees; publishing new rate tables is
+ * restricted to the Administration department
+ */
+
+const express = require('express');
+const { authenticateToken } = require('../utils/jwtSecurity');
+const { authenticateEmployee, requireDepartment } = require('../middleware/employeeAuth');
+const { createSecurityEvent } = require('../middleware/securityMonitoring');
+const { logger } = require('../utils/logger');
+const {
+  validateFxRateTable,
+  handleValidationErrors,
+} = require('../middleware/comprehensiveValidation');
+const { FX_CONFIG, getRates, loadRatesFromFile, publishRates } = require('../utils/fxRates');
+
+const router = express.Router();
+
+const requireAdministration = requireDepartment(['Administration']);
+
+/**
+ * GET ACTIVE RATES
+ * GET /api/fx/rates
+ */
+router.get('/rates', authenticateToken, (req, res) => {
+  try {
+    return res.status(200).json({
+      success: true,
+      baseCurrency: FX_CONFIG.baseCurrency,
+      spread: FX_CONFIG.spread,
+      rates: getRates(),
+    });
+  } catch (error) {
+    logger.error('Get FX rates error', { error });
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch FX rates',
+    });
+  }
+});
+
+/**
+ * PUBLISH RATES (Administration only)
+ * PUT /api/fx/rates
+ * Body: { base, rates: { USD, EUR, GBP, ZAR }, asOf }
+ */
+router.put(
+  '/rates',
+  authenticateEmployee,
+  requireAdministration,
+  validateFxRateTable,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { base, rates, asOf } = req.body;
+
+      const published = await publishRates({ base, rates, asOf, source: 'admin' }, req.user.email);
+
+      createSecurityEvent(
+        'fx_rates_published',
+        { employeeId: req.user.userId, base, rates: published.rates, source: 'admin' },
+        req
+      );
+
+      return res.status(200).json({
+        success: true,
+        message: 'FX rates published',
+        rates: published,
+      });
+    } catch (error) {
+      if (error.code === 'INVALID_RATE_TABLE') {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+          code: error.code,
+        });
+      }
+
+      logger.error('Publish FX rates error', { error });
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to publish FX rates',
+      });
+    }
+  }
+);
+
+/**
+ * RELOAD RATES FROM FILE (Administration only)
+ * POST /api/fx/rates/reload
+ * Publishes the table in FX_RATES_FILE
+ */
+router.post('/rates/reload', authenticateEmployee, requireAdministration, async (req, res) => {
+  try {
+    const published = await publishRates(loadRatesFromFile(), req.user.email);
+
+    createSecurityEvent(
+      'fx_rates_published',
+      { employeeId: req.user.userId, base: published.base, source: 'file' },
+      req
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: 'FX rates reloaded from file',
+      rates: published,
+    });
+  } catch (error) {
+    logger.error('Reload FX rates error', { error });
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to reload FX rates',
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,265 @@
+/**
+ * Two-Factor Enrolment Routes
+ * The same status/setup/enable/recovery-codes/disable endpoints are mounted
+ * for employees (/api/auth/employee/mfa) and customers (/api/auth/mfa).
+ */
+
+const express = require('express');
+const { body } = require('express-validator');
+const { handleValidationErrors } = require('../utils/validation');
+const {
+  MFA_CODE_PATTERN,
+  generateSecret,
+  verifyTotp,
+  buildProvisioningUri,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  verifyAccountMfa,
+} = require('../utils/mfa');
+const { createSecurityEvent } = require('../middleware/securityMonitoring');
+const { logger } = require('../utils/logger');
+
+const totpCode = [
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+];
+
+/**
+ * Build the enrolment router for one kind of account
+ *
+ * @param {Object} options
+ * @param {Object} options.Model - Employee or Customer model
+ * @param {Function} options.authenticate - Authentication middleware
+ * @param {Function} options.getAccountId - Account ID of the authenticated request
+ * @returns {Object} Express router
+ */
+function createMfaRouter({ Model, authenticate, getAccountId }) {
+  const router = express.Router();
+
+  router.use(authenticate);
+
+  const loadAccount = req => Model.findById(getAccountId(req));
+
+  const logEvent = (type, account, req) =>
+    createSecurityEvent(
+      type,
+      { accountId: account._id, email: account.email, accountType: Model.modelName },
+      req
+    );
+
+  /**
+   * TWO-FACTOR STATUS
+   * GET /
+   */
+  router.get('/', async (req, res) => {
+    try {
+      const account = await loadAccount(req);
+
+      return res.status(200).json({
+        success: true,
+        mfa: {
+          enabled: Boolean(account?.mfa?.enabled),
+          enabledAt: account?.mfa?.enabledAt || null,
+          recoveryCodesRemaining: account?.mfa?.recoveryCodeHashes?.length || 0,
+        },
+      });
+    } catch (error) {
+      logger.error('MFA status error', { error });
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve two-factor status',
+      });
+    }
+  });
+
+  /**
+   * TWO-FACTOR SETUP
+   * POST /setup
+   * Generates a new secret and returns it with the otpauth:// provisioning URI
+   * (the QR code payload). It only takes effect once confirmed by /enable.
+   */
+  router.post('/setup', async (req, res) => {
+    try {
+      const account = await loadAccount(req);
+
+      if (account.mfa?.enabled) {
+        return res.status(409).json({
+          success: false,
+          message: 'Two-factor authentication is already enabled',
+          code: 'MFA_ALREADY_ENABLED',
+        });
+      }
+
+      const secret = generateSecret();
+      account.mfa.pendingSecret = encryptSecret(secret);
+      await account.save();
+
+      return res.status(200).json({
+        success: true,
+        secret,
+        otpauthUri: buildProvisioningUri(secret, account.email),
+      });
+    } catch (error) {
+      logger.error('MFA setup error', { error });
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to start two-factor setup',
+      });
+    }
+  });
+
+  /**
+   * TWO-FACTOR ENABLE
+   * POST /enable
+   * Confirms the pending secret with a code from the app. The recovery codes
+   * are returned once and only their hashes are kept.
+   */
+  router.post('/enable', totpCode, handleValidationErrors, async (req, res) => {
+    try {
+      const account = await loadAccount(req);
+
+      if (account.mfa?.enabled) {
+        return res.status(409).json({
+          success: false,
+          message: 'Two-factor authentication is already enabled',
+          code: 'MFA_ALREADY_ENABLED',
+        });
+      }
+
+      if (!account.mfa?.pendingSecret) {
+        return res.status(400).json({
+          success: false,
+          message: 'Start two-factor setup first',
+          code: 'MFA_SETUP_REQUIRED',
+        });
+      }
+
+      const step = verifyTotp(decryptSecret(account.mfa.pendingSecret), req.body.code);
+
+      if (step === null) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid code. Check the time on your device and try again.',
+          code: 'MFA_CODE_INVALID',
+        });
+      }
+
+      const { codes, hashes } = generateRecoveryCodes();
+
+      account.mfa.enabled = true;
+      account.mfa.secret = account.mfa.pendingSecret;
+      account.mfa.pendingSecret = undefined;
+      account.mfa.recoveryCodeHashes = hashes;
+      account.mfa.lastUsedStep = step;
+      account.mfa.enabledAt = new Date();
+      await account.save();
+
+      logEvent('mfa_enabled', account, req);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication enabled',
+        recoveryCodes: codes,
+      });
+    } catch (error) {
+      logger.error('MFA enable error', { error });
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to enable two-factor authentication',
+      });
+    }
+  });
+
+  /**
+   * TWO-FACTOR RECOVERY CODES
+   * POST /recovery-codes
+   * Replaces all recovery codes; needs a current authenticator code.
+   */
+  router.post('/recovery-codes', totpCode, handleValidationErrors, async (req, res) => {
+    try {
+      const account = await loadAccount(req);
+
+      if (!(await verifyAccountMfa(Model, account, req.body.code))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid or already used authenticator code',
+          code: 'MFA_CODE_INVALID',
+        });
+      }
+
+      const { codes, hashes } = generateRecoveryCodes();
+      await Model.updateOne({ _id: account._id }, { $set: { 'mfa.recoveryCodeHashes': hashes } });
+
+      logEvent('mfa_recovery_codes_regenerated', account, req);
+
+      return res.status(200).json({
+        success: true,
+        message: 'New recovery codes generated',
+        recoveryCodes: codes,
+      });
+    } catch (error) {
+      logger.error('MFA recovery codes error', { error });
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to generate recovery codes',
+      });
+    }
+  });
+
+  /**
+   * TWO-FACTOR DISABLE
+   * POST /disable
+   * Needs an authenticator or recovery code.
+   */
+  router.post(
+    '/disable',
+    [body('code').trim().matches(MFA_CODE_PATTERN).withMessage('Invalid code format')],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const account = await loadAccount(req);
+
+        if (!(await verifyAccountMfa(Model, account, req.body.code, { allowRecoveryCode: true }))) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid or already used code',
+            code: 'MFA_CODE_INVALID',
+          });
+        }
+
+        await Model.updateOne(
+          { _id: account._id },
+          {
+            $set: { 'mfa.enabled': false, 'mfa.recoveryCodeHashes': [] },
+            $unset: {
+              'mfa.secret': '',
+              'mfa.pendingSecret': '',
+              'mfa.lastUsedStep': '',
+              'mfa.enabledAt': '',
+            },
+          }
+        );
+
+        logEvent('mfa_disabled', account, req);
+
+        return res.status(200).json({
+          success: true,
+          message: 'Two-factor authentication disabled',
+        });
+      } catch (error) {
+        logger.error('MFA disable error', { error });
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to disable two-factor authentication',
+        });
+      }
+    }
+  );
+
+  return router;
+}
+
+module.exports = { createMfaRouter };
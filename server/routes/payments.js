@@ -7,18 +7,80 @@
  */
 
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
 const { authenticateToken } = require('../utils/jwtSecurity');
 const { createSecurityEvent } = require('../middleware/securityMonitoring');
+const { logger } = require('../utils/logger');
 const { sanitizeRequestBody } = require('../middleware/inputSanitization');
-const { authenticateEmployee } = require('../middleware/employeeAuth');
+const {
+  authenticateEmployee,
+  requirePermission,
+  requireMfaStepUp,
+} = require('../middleware/employeeAuth');
+const {
+  SWIFT_GATEWAY_CONFIG,
+  getSwiftGateway,
+  verifyAcknowledgementSignature,
+  applySwiftAcknowledgements,
+} = require('../utils/swiftGateway');
+const { buildPain001Document } = require('../utils/iso20022');
+const { buildMt103Message, validateMt103Payment } = require('../utils/mt103');
+const { LEDGER_CONFIG, getAvailableBalance, placeHold, toMinorUnits } = require('../utils/ledger');
+const {
+  FX_CONFIG,
+  convertAmount,
+  sumInBaseCurrency,
+  createQuote,
+  lockQuote,
+  unlockQuote,
+  toPaymentFx,
+} = require('../utils/fxRates');
+const { checkRecipientBank } = require('../utils/bicDirectory');
+const { screenPayment } = require('../utils/sanctionsScreening');
+const {
+  createPaymentChallenge,
+  confirmPaymentChallenge,
+  linkChallengeToPayment,
+} = require('../utils/paymentChallenges');
+const {
+  APPROVAL_POLICY_CONFIG,
+  requiredApprovalsFor,
+  canDepartmentApprove,
+} = require('../utils/approvalPolicy');
+const { recordPaymentAudit, getPaymentAuditTrail } = require('../utils/auditLog');
+const { buildPaymentFilter, buildPaymentSort, listPayments } = require('../utils/paymentQuery');
+const { exportHandler } = require('../utils/dataExport');
+const {
+  INVOICE_PDF_CONFIG,
+  verifyInvoiceSignature,
+  publicInvoiceSummary,
+  renderInvoicePdf,
+} = require('../utils/invoicePdf');
+const {
+  invoiceDueDate,
+  sendInvoice,
+  cancelInvoice,
+  syncInvoiceWithPayment,
+  getOverdueInvoices,
+} = require('../utils/invoiceLifecycle');
 
 // Enhanced security validation
 const {
   validatePaymentCreation,
+  validateFxQuoteRequest,
   validatePaymentVerification,
   validateSwiftSubmission,
+  validateSwiftAcknowledgement,
+  validateSwiftBatchId,
+  validateTransactionIdParam,
   validatePaymentQuery,
+  validatePaymentExport,
+  validateInvoiceExport,
+  validateInvoiceNumberParam,
+  validateInvoiceVerification,
+  validateInvoiceCancellation,
+  validateCustomerIdParam,
   handleValidationErrors: handleComprehensiveValidationErrors,
 } = require('../middleware/comprehensiveValidation');
 
@@ -27,13 +89,148 @@ const Payment = require('../models/Payment');
 const Customer = require('../models/Customer');
 const Employee = require('../models/Employee');
 const Invoice = require('../models/Invoice');
+const SwiftBatch = require('../models/SwiftBatch');
 
 const router = express.Router();
 
+// Audit log actor for the authenticated employee
+const employeeActor = req => ({ type: 'employee', id: req.user.userId, email: req.user.email });
+
+// Employee views report amounts in the configured base currency as well, and
+// flag unknown recipient banks or IBAN/BIC country mismatches for verification
+const toEmployeeView = payment => ({
+  ...payment.toObject(),
+  baseAmount: convertAmount(payment.amount, payment.currency, FX_CONFIG.baseCurrency),
+  bankCheck: checkRecipientBank(payment),
+});
+
+/**
+ * FX QUOTE (Customer only)
+ * POST /api/payments/quote
+ * Prices a payment in the customer's account currency. Pass the quoteId to
+ * POST /api/payments before it expires to lock the quoted rate.
+ */
+router.post(
+  '/quote',
+  authenticateToken,
+  validateFxQuoteRequest,
+  handleComprehensiveValidationErrors,
+  async (req, res) => {
+    try {
+      if (req.user.role !== 'customer') {
+        return res.status(403).json({
+          success: false,
+          message: 'Only customers can request FX quotes',
+        });
+      }
+
+      const quote = await createQuote({
+        customerId: req.user.userId,
+        amount: parseFloat(req.body.amount),
+        currency: req.body.currency,
+        accountCurrency: LEDGER_CONFIG.accountCurrency,
+      });
+
+      return res.status(201).json({
+        success: true,
+        quote: {
+          quoteId: quote.quoteId,
+          amount: quote.amount,
+          currency: quote.currency,
+          accountCurrency: quote.accountCurrency,
+          debitAmount: quote.debitAmount,
+          rate: quote.rate,
+          spread: quote.spread,
+          expiresAt: quote.expiresAt,
+        },
+      });
+    } catch (error) {
+      logger.error('FX quote error', { error });
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to create FX quote',
+      });
+    }
+  }
+);
+
+// HTTP status for each payment confirmation failure
+const CHALLENGE_ERROR_STATUS = {
+  CHALLENGE_NOT_FOUND: 404,
+  CHALLENGE_USED: 409,
+  CHALLENGE_EXPIRED: 410,
+  CHALLENGE_MISMATCH: 409,
+  CHALLENGE_CODE_INVALID: 403,
+};
+
+/**
+ * PAYMENT CONFIRMATION CHALLENGE (Customer only)
+ * POST /api/payments/challenge
+ * Binds a challenge to the exact payment details. The customer confirms it
+ * with an authenticator code, or a one-time code sent by the notifier, and
+ * passes challengeId + confirmationCode to POST /api/payments.
+ */
+router.post(
+  '/challenge',
+  authenticateToken,
+  validatePaymentCreation,
+  handleComprehensiveValidationErrors,
+  sanitizeRequestBody,
+  async (req, res) => {
+    try {
+      if (req.user.role !== 'customer') {
+        return res.status(403).json({
+          success: false,
+          message: 'Only customers can create payments',
+        });
+      }
+
+      const customer = await Customer.findById(req.user.userId);
+      if (!customer) {
+        return res.status(404).json({
+          success: false,
+          message: 'Customer not found',
+        });
+      }
+
+      const challenge = await createPaymentChallenge(customer, req.body);
+
+      createSecurityEvent(
+        'payment_challenge_issued',
+        {
+          customerId: customer._id,
+          challengeId: challenge.challengeId,
+          method: challenge.method,
+          amount: challenge.details.amount,
+          currency: challenge.details.currency,
+        },
+        req
+      );
+
+      return res.status(201).json({
+        success: true,
+        challenge: {
+          challengeId: challenge.challengeId,
+          method: challenge.method,
+          details: challenge.details,
+          expiresAt: challenge.expiresAt,
+        },
+      });
+    } catch (error) {
+      logger.error('Payment challenge error', { error });
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to start payment confirmation',
+      });
+    }
+  }
+);
+
 /**
  * CREATE PAYMENT (Customer only)
  * POST /api/payments
- * Creates payment with status="pending" (NOT completed)
+ * Creates payment with status="pending" (NOT completed). Needs a confirmed
+ * challenge over the same details (see POST /api/payments/challenge).
  */
 router.post(
   '/',
@@ -51,8 +248,26 @@ router.post(
         });
       }
 
-      const { amount, currency, recipientAccount, recipientSwift, recipientName, reference } =
-        req.body;
+      const {
+        amount,
+        currency,
+        recipientAccount,
+        recipientSwift,
+        recipientName,
+        reference,
+        quoteId,
+        challengeId,
+        confirmationCode,
+      } = req.body;
+      const paymentAmount = parseFloat(amount);
+
+      if (!challengeId || !confirmationCode) {
+        return res.status(428).json({
+          success: false,
+          message: 'Confirm the payment details before creating the payment',
+          code: 'CONFIRMATION_REQUIRED',
+        });
+      }
 
       // Get customer details
       const customer = await Customer.findById(req.user.userId);
@@ -63,33 +278,190 @@ router.post(
         });
       }
 
+      // Lock the quote the customer accepted, or price the payment at the current rate
+      const lockedQuoteId =
+        quoteId ||
+        (
+          await createQuote({
+            customerId: customer._id,
+            amount: paymentAmount,
+            currency,
+            accountCurrency: LEDGER_CONFIG.accountCurrency,
+          })
+        ).quoteId;
+      const quote = await lockQuote({
+        quoteId: lockedQuoteId,
+        customerId: customer._id,
+        amount: paymentAmount,
+        currency,
+      });
+
+      if (!quote) {
+        return res.status(409).json({
+          success: false,
+          message:
+            'FX quote has expired or does not match this payment. Please request a new quote.',
+          code: 'FX_QUOTE_INVALID',
+        });
+      }
+
+      // Refuse payments the customer can't fund
+      const availableBalance = await getAvailableBalance(customer._id, quote.accountCurrency);
+      if (toMinorUnits(availableBalance) < toMinorUnits(quote.debitAmount)) {
+        await unlockQuote(quote.quoteId);
+        createSecurityEvent(
+          'payment_refused',
+          {
+            customerId: customer._id,
+            amount,
+            currency,
+            debitAmount: quote.debitAmount,
+            reason: 'insufficient_funds',
+          },
+          req
+        );
+        return res.status(400).json({
+          success: false,
+          message: 'Insufficient funds',
+          availableBalance,
+          currency: quote.accountCurrency,
+        });
+      }
+
+      // Nothing is persisted unless the customer confirmed exactly these details.
+      // It is spent only after the quote and funds checks, so those refusals leave it usable.
+      let authorization;
+      try {
+        authorization = await confirmPaymentChallenge({
+          challengeId,
+          customer,
+          input: req.body,
+          code: confirmationCode,
+        });
+      } catch (challengeError) {
+        await unlockQuote(quote.quoteId);
+        const status = CHALLENGE_ERROR_STATUS[challengeError.code];
+        if (!status) {
+          throw challengeError;
+        }
+
+        if (challengeError.code === 'CHALLENGE_MISMATCH') {
+          createSecurityEvent(
+            'payment_challenge_mismatch',
+            {
+              customerId: customer._id,
+              challengeId,
+              confirmed: challengeError.challenge.details,
+              submitted: { amount, currency, recipientAccount, recipientSwift, recipientName },
+            },
+            req
+          );
+        } else if (challengeError.code === 'CHALLENGE_CODE_INVALID') {
+          createSecurityEvent(
+            'payment_challenge_failed',
+            {
+              customerId: customer._id,
+              challengeId,
+              attemptsRemaining: challengeError.attemptsRemaining,
+            },
+            req
+          );
+        }
+
+        return res.status(status).json({
+          success: false,
+          message: challengeError.message,
+          code: challengeError.code,
+          ...(challengeError.attemptsRemaining !== undefined && {
+            attemptsRemaining: challengeError.attemptsRemaining,
+          }),
+        });
+      }
+
       // Generate transaction ID
       const transactionId = `TXN-${Date.now()}-${Math.random().toString(36).substring(7).toUpperCase()}`;
 
       // Create payment with status="pending"
-      const payment = await Payment.create({
+      const payment = new Payment({
         transactionId,
         customerId: customer._id,
         customerEmail: customer.email,
-        amount: parseFloat(amount),
+        amount: paymentAmount,
         currency,
+        fx: toPaymentFx(quote),
         recipientAccount: recipientAccount.toUpperCase(),
         recipientSwift: recipientSwift.toUpperCase(),
         recipientName,
         reference: reference || '',
+        authorization: {
+          challengeId: authorization.challengeId,
+          method: authorization.method,
+          confirmedAt: authorization.confirmedAt,
+        },
         status: 'pending', // ← STARTS AS PENDING!
       });
 
+      // Screen the recipient - sanctions hits wait in "screening" for review
+      payment.applyScreening(screenPayment(payment));
+      await payment.save();
+
+      // The check above only gives an early answer: placeHold reserves atomically
+      // and fails if a concurrent payment held the funds first - undo the payment then
+      try {
+        await placeHold(payment);
+      } catch (holdError) {
+        await Payment.deleteOne({ _id: payment._id });
+        await unlockQuote(quote.quoteId);
+        if (holdError.message !== 'Insufficient funds') {
+          throw holdError;
+        }
+        return res.status(400).json({
+          success: false,
+          message: 'Insufficient funds',
+          currency: quote.accountCurrency,
+        });
+      }
+
+      await linkChallengeToPayment(authorization.challengeId, transactionId);
+
+      await recordPaymentAudit({
+        transactionId,
+        action: 'payment_created',
+        actor: { type: 'customer', id: String(customer._id), email: customer.email },
+        toStatus: payment.status,
+        payload: {
+          amount: payment.amount,
+          currency: payment.currency,
+          fx: payment.fx,
+          recipientAccount: payment.recipientAccount,
+          recipientSwift: payment.recipientSwift,
+          recipientName: payment.recipientName,
+          reference: payment.reference,
+          authorization: payment.authorization,
+          screening: payment.screening?.status,
+        },
+      });
+
       // Log payment creation
       createSecurityEvent('payment_created', {
         transactionId,
         customerId: customer._id,
         amount,
         currency,
-        status: 'pending',
+        status: payment.status,
+        confirmedWith: authorization.method,
       });
 
-      console.log(`💰 Payment created: ${transactionId} - ${amount} ${currency} (PENDING)`);
+      if (payment.screening.status === 'hit') {
+        createSecurityEvent('sanctions_screening_hit', {
+          transactionId,
+          customerId: customer._id,
+          topScore: payment.screening.topScore,
+          entries: payment.screening.matches.map(match => match.entryId || match.country),
+        });
+      }
+
+      logger.info('Payment created', { transactionId, amount, currency, status: payment.status });
 
       return res.status(201).json({
         success: true,
@@ -98,13 +470,16 @@ router.post(
           id: payment.transactionId,
           amount: payment.amount,
           currency: payment.currency,
+          debitAmount: payment.fx.debitAmount,
+          debitCurrency: payment.fx.accountCurrency,
+          fxRate: payment.fx.rate,
           recipientName: payment.recipientName,
           status: payment.status,
           createdAt: payment.createdAt,
         },
       });
     } catch (error) {
-      console.error('Payment creation error:', error);
+      logger.error('Payment creation error', { error });
       createSecurityEvent('payment_creation_error', { error: error.message });
 
       return res.status(500).json({
@@ -137,7 +512,7 @@ router.get('/', authenticateToken, async (req, res) => {
       transactions: payments,
     });
   } catch (error) {
-    console.error('Get payments error:', error);
+    logger.error('Get payments error', { error });
     return res.status(500).json({
       success: false,
       message: 'Failed to fetch payments',
@@ -145,77 +520,94 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
-/**
- * GET PENDING PAYMENTS (Employee only)
- * GET /api/payments/employee/pending
- */
-router.get('/employee/pending', authenticateEmployee, async (req, res) => {
+// Employee payment list page: filters, sort and cursor come from the query
+// string (see utils/paymentQuery.js); baseFilter pins conditions per route
+const listEmployeePayments = (baseFilter, failureMessage) => async (req, res) => {
   try {
-    const pendingPayments = await Payment.find({ status: 'pending' })
-      .sort({ createdAt: -1 })
-      .limit(100);
+    const { payments, pagination } = await listPayments(req.query, baseFilter);
 
-    console.log(`📋 Fetched ${pendingPayments.length} pending payments`);
+    const transactions = payments.map(payment => {
+      const paymentObj = toEmployeeView(payment);
+      if (payment.customerId) {
+        paymentObj.customerName = payment.customerId.name;
+        paymentObj.customerPhone = payment.customerId.phone;
+        paymentObj.customerCountry = payment.customerId.address?.country;
+      }
+      return paymentObj;
+    });
 
     return res.status(200).json({
       success: true,
-      transactions: pendingPayments,
+      baseCurrency: FX_CONFIG.baseCurrency,
+      transactions,
+      pagination,
     });
   } catch (error) {
-    console.error('Get pending payments error:', error);
+    if (error.code === 'INVALID_CURSOR') {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+      });
+    }
+    logger.error(failureMessage, { error });
     return res.status(500).json({
       success: false,
-      message: 'Failed to fetch pending payments',
+      message: failureMessage,
     });
   }
-});
+};
+
+/**
+ * GET PENDING PAYMENTS (Employee only)
+ * GET /api/payments/employee/pending
+ * Same filters, sorting and paging as /employee/all, always status=pending
+ */
+router.get(
+  '/employee/pending',
+  authenticateEmployee,
+  requirePermission('view_payments'),
+  validatePaymentQuery,
+  handleComprehensiveValidationErrors,
+  listEmployeePayments({ status: 'pending' }, 'Failed to fetch pending payments')
+);
 
 /**
  * GET ALL PAYMENTS WITH FILTER (Employee only)
- * GET /api/payments/employee/all?status=verified
+ * GET /api/payments/employee/all?status=verified,completed&currency=EUR&sort=amount&order=desc
+ * Filters: status (comma-separated or "all"), currency, minAmount, maxAmount,
+ * from, to (ISO 8601), customer (email or account ID), swift (8-character BIC
+ * matches every branch), q (transaction ID or reference). Sort by createdAt or
+ * amount; limit up to 100. Follow pagination.nextCursor with ?cursor= for the
+ * next page.
  */
 router.get(
   '/employee/all',
   authenticateEmployee,
+  requirePermission('view_payments'),
   validatePaymentQuery,
   handleComprehensiveValidationErrors,
-  async (req, res) => {
-    try {
-      const { status } = req.query;
-
-      const filter = {};
-      if (status && status !== 'all') {
-        filter.status = status;
-      }
-
-      const payments = await Payment.find(filter)
-        .populate('customerId', 'fullName email phoneNumber country')
-        .sort({ createdAt: -1 })
-        .limit(200);
-
-      // Enrich payments with customer details
-      const enrichedPayments = payments.map(payment => {
-        const paymentObj = payment.toObject();
-        if (payment.customerId) {
-          paymentObj.customerName = payment.customerId.fullName;
-          paymentObj.customerPhone = payment.customerId.phoneNumber;
-          paymentObj.customerCountry = payment.customerId.country;
-        }
-        return paymentObj;
-      });
+  listEmployeePayments({}, 'Failed to fetch payments')
+);
 
-      return res.status(200).json({
-        success: true,
-        transactions: enrichedPayments,
-      });
-    } catch (error) {
-      console.error('Get all payments error:', error);
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to fetch payments',
-      });
-    }
-  }
+/**
+ * EXPORT PAYMENTS (Employee only - reports)
+ * GET /api/payments/employee/export?format=xlsx&status=completed&from=2026-01-01
+ * Streams every payment matching the /employee/all filters and sort as CSV
+ * (default) or XLSX. Recipient accounts are masked without view_account_numbers.
+ */
+router.get(
+  '/employee/export',
+  authenticateEmployee,
+  requirePermission('view_payments'),
+  requirePermission('generate_reports'),
+  validatePaymentExport,
+  handleComprehensiveValidationErrors,
+  exportHandler('payments', req => ({
+    Model: Payment,
+    filter: buildPaymentFilter(req.query),
+    sort: buildPaymentSort(req.query),
+  }))
 );
 
 /**
@@ -226,12 +618,13 @@ router.get(
 router.post(
   '/employee/verify/:transactionId',
   authenticateEmployee,
+  requirePermission('verify_payments'),
   validatePaymentVerification, // Comprehensive validation
   handleComprehensiveValidationErrors,
   async (req, res) => {
     try {
       const { transactionId: id } = req.params;
-      const { verified, verifierNotes } = req.body;
+      const { verified, verifierNotes, overrideScreening } = req.body;
 
       // Find payment
       const payment = await Payment.findOne({ transactionId: id });
@@ -244,22 +637,126 @@ router.post(
       }
 
       // Check if already verified
-      if (payment.status !== 'pending') {
+      if (!Payment.AWAITING_VERIFICATION_STATUSES.includes(payment.status)) {
         return res.status(400).json({
           success: false,
           message: `Transaction is already ${payment.status}`,
         });
       }
 
-      // Verify payment (approve or reject)
-      await payment.verify(req.user.userId, req.user.email, verified, verifierNotes || '');
+      const employee = await Employee.findById(req.user.userId);
+      const department = employee?.department || 'Unknown';
+
+      // Approving a sanctions hit needs an explicit Management override
+      if (verified && payment.screening?.status === 'hit') {
+        if (!overrideScreening) {
+          return res.status(409).json({
+            success: false,
+            message:
+              'Payment has an unresolved sanctions screening hit. A Management employee must override it before approval.',
+            code: 'SCREENING_HIT',
+          });
+        }
+
+        if (department !== 'Management') {
+          createSecurityEvent(
+            'screening_override_denied',
+            {
+              transactionId: id,
+              employeeId: req.user.userId,
+              employeeDepartment: department,
+            },
+            req
+          );
+          return res.status(403).json({
+            success: false,
+            message: 'Only Management can override a sanctions screening hit',
+          });
+        }
+
+        if (!verifierNotes) {
+          return res.status(400).json({
+            success: false,
+            message: 'A reason is required to override a sanctions screening hit',
+          });
+        }
+      }
+
+      // Four-eyes policy: high-value payments need two different approvers.
+      // Concurrent approvals are settled by the versioned save in verify()
+      if (verified && payment.hasApprovalFrom(req.user.userId)) {
+        return res.status(409).json({
+          success: false,
+          message: 'You have already approved this payment. A second employee must approve it.',
+          code: 'DUPLICATE_APPROVER',
+        });
+      }
+
+      const requiredApprovals = payment.requiredApprovals || requiredApprovalsFor(payment);
+      if (verified && !canDepartmentApprove(department, requiredApprovals)) {
+        createSecurityEvent(
+          'dual_approval_denied',
+          {
+            transactionId: id,
+            employeeId: req.user.userId,
+            employeeDepartment: department,
+          },
+          req
+        );
+        return res.status(403).json({
+          success: false,
+          message: `This payment requires approval from ${APPROVAL_POLICY_CONFIG.approverDepartments.join(' or ')}`,
+        });
+      }
+
+      // Verify payment (approve or reject); an approved screening hit is
+      // overridden in the same save, once every check above has passed
+      const fromStatus = payment.status;
+      const screeningOverride = verified && payment.screening?.status === 'hit';
+      await payment.verify(
+        req.user.userId,
+        req.user.email,
+        verified,
+        verifierNotes || '',
+        department,
+        { overrideScreening: screeningOverride }
+      );
+
+      if (screeningOverride) {
+        await recordPaymentAudit({
+          transactionId: id,
+          action: 'screening_override',
+          actor: employeeActor(req),
+          fromStatus,
+          toStatus: fromStatus,
+          payload: { reason: verifierNotes, topScore: payment.screening.topScore },
+        });
+
+        createSecurityEvent(
+          'screening_override',
+          {
+            transactionId: id,
+            employeeId: req.user.userId,
+            topScore: payment.screening.topScore,
+            reason: verifierNotes,
+          },
+          req
+        );
+      }
+
+      await recordPaymentAudit({
+        transactionId: id,
+        action: verified ? 'payment_approved' : 'payment_rejected',
+        actor: employeeActor(req),
+        fromStatus,
+        toStatus: payment.status,
+        payload: { verified, verifierNotes: verifierNotes || '', department },
+      });
 
-      // If approved, generate invoice automatically
+      // Once fully approved, generate invoice automatically
       let invoice = null;
-      if (verified) {
+      if (payment.status === 'verified') {
         try {
-          // Get employee details
-          const employee = await Employee.findById(req.user.userId);
           const customer = await Customer.findById(payment.customerId);
 
           if (employee && customer) {
@@ -267,6 +764,7 @@ router.post(
             const invoiceNumber = `INV-${Date.now()}-${Math.random().toString(36).substring(2, 7).toUpperCase()}`;
 
             // Create invoice
+            const invoiceDate = new Date();
             invoice = await Invoice.create({
               invoiceNumber,
               paymentId: payment._id,
@@ -286,14 +784,15 @@ router.post(
               verifierDepartment: employee.department,
               verifierNotes: verifierNotes || '',
               paymentStatus: 'verified',
-              invoiceDate: new Date(),
+              invoiceDate,
+              dueDate: invoiceDueDate(invoiceDate),
               status: 'generated',
             });
 
-            console.log(`📄 Invoice generated: ${invoiceNumber} for payment ${id}`);
+            logger.info('Invoice generated', { invoiceNumber, transactionId: id });
           }
         } catch (invoiceError) {
-          console.error('Failed to generate invoice:', invoiceError);
+          logger.error('Failed to generate invoice', { transactionId: id, error: invoiceError });
           // Don't fail the whole request if invoice generation fails
         }
       }
@@ -307,18 +806,32 @@ router.post(
         invoiceGenerated: !!invoice,
       });
 
-      console.log(
-        `${verified ? '✅' : '❌'} Payment ${verified ? 'APPROVED' : 'REJECTED'}: ${id} by ${req.user.email}`
-      );
+      logger.info(verified ? 'Payment approved' : 'Payment rejected', {
+        transactionId: id,
+        employeeId: req.user.userId,
+      });
+
+      const awaitingSecondApproval = payment.status === 'pending_second_approval';
 
       return res.status(200).json({
         success: true,
-        message: `Payment ${verified ? 'approved' : 'rejected'} successfully${invoice ? ' and invoice generated' : ''}`,
+        message: awaitingSecondApproval
+          ? 'Payment approved - awaiting second approval'
+          : `Payment ${verified ? 'approved' : 'rejected'} successfully${invoice ? ' and invoice generated' : ''}`,
         transaction: payment,
         invoice: invoice || null,
       });
     } catch (error) {
-      console.error('Payment verification error:', error);
+      // Another decision on the payment was saved since it was loaded
+      if (error instanceof mongoose.Error.VersionError) {
+        return res.status(409).json({
+          success: false,
+          message: 'This payment was changed by another request. Reload it and try again.',
+          code: 'PAYMENT_CHANGED',
+        });
+      }
+
+      logger.error('Payment verification error', { error });
       return res.status(500).json({
         success: false,
         message: 'Failed to verify payment',
@@ -330,57 +843,206 @@ router.post(
 /**
  * SUBMIT TO SWIFT (Employee only)
  * POST /api/payments/employee/submit-swift
- * Batch submit verified payments to SWIFT
+ * Batch submit verified payments through the configured SWIFT gateway adapter.
+ * Payments stay submitted_to_swift until the gateway acknowledges them.
+ * Each batch is recorded with an ISO 20022 pain.001 message for the back-office.
+ * Requires a fresh authenticator code (mfaCode) as step-up.
  */
 router.post(
   '/employee/submit-swift',
   authenticateEmployee,
+  requirePermission('submit_swift'),
   validateSwiftSubmission, // Comprehensive validation
   handleComprehensiveValidationErrors,
+  requireMfaStepUp,
   async (req, res) => {
     try {
       const { transactionIds } = req.body;
 
-      // Find verified payments
-      const payments = await Payment.find({
-        transactionId: { $in: transactionIds },
-        status: 'verified',
-      });
+      const payments = await Payment.find({ transactionId: { $in: transactionIds } });
 
-      if (payments.length === 0) {
-        return res.status(400).json({
-          success: false,
-          message: 'No verified payments found to submit',
-        });
+      // Only verified payments can be handed to the gateway. Each one is claimed
+      // (verified → submitting) first, so a concurrent submission of the same
+      // payments finds them taken instead of sending them twice
+      const submittable = [];
+      const failed = [];
+      for (const transactionId of transactionIds) {
+        const payment = payments.find(p => p.transactionId === transactionId);
+        if (!payment) {
+          failed.push({ transactionId, reason: 'Transaction not found' });
+          continue;
+        }
+
+        const claimed =
+          payment.status === 'verified' &&
+          (await Payment.findOneAndUpdate(
+            { transactionId, status: 'verified' },
+            { $set: { status: 'submitting' } },
+            { new: true }
+          ));
+        if (claimed) {
+          submittable.push(claimed);
+        } else {
+          failed.push({
+            transactionId,
+            reason: `Transaction is ${payment.status === 'verified' ? 'submitting' : payment.status}`,
+          });
+        }
       }
 
-      // Submit each payment to SWIFT
-      const results = [];
-      for (const payment of payments) {
-        await payment.submitToSwift();
-        results.push({
-          transactionId: payment.transactionId,
-          swiftReference: payment.swiftReference,
-          status: 'submitted_to_swift',
-        });
+      // Hand a claimed payment back so it can be submitted again
+      const releaseClaim = transactionId =>
+        Payment.updateOne(
+          { transactionId, status: 'submitting' },
+          { $set: { status: 'verified' } }
+        );
+
+      const batchId = `BATCH-${Date.now()}-${Math.random().toString(36).substring(7).toUpperCase()}`;
+      const gateway = getSwiftGateway();
+      let receipts = [];
+      if (submittable.length > 0) {
+        try {
+          receipts = await gateway.submit(submittable);
+        } catch (gatewayError) {
+          // A rejected submit carries no receipts, so nothing was accepted
+          await Promise.all(submittable.map(p => releaseClaim(p.transactionId)));
+          throw gatewayError;
+        }
+      }
+
+      const successful = [];
+      const submitted = [];
+      for (const payment of submittable) {
+        const receipt = receipts.find(r => r.transactionId === payment.transactionId);
+
+        if (!receipt || !receipt.accepted) {
+          await releaseClaim(payment.transactionId);
+          failed.push({
+            transactionId: payment.transactionId,
+            reason: receipt?.reason || 'Not accepted by SWIFT gateway',
+          });
+          continue;
+        }
+
+        try {
+          await payment.submitToSwift(receipt.swiftReference, gateway.name, batchId);
+          submitted.push(payment);
+          await recordPaymentAudit({
+            transactionId: payment.transactionId,
+            action: 'swift_submitted',
+            actor: employeeActor(req),
+            fromStatus: 'verified',
+            toStatus: payment.status,
+            payload: { swiftReference: payment.swiftReference, gateway: gateway.name, batchId },
+          });
+          await syncInvoiceWithPayment(payment);
+          successful.push({
+            transactionId: payment.transactionId,
+            swiftReference: payment.swiftReference,
+            status: payment.status,
+          });
+        } catch (recordError) {
+          // The gateway has the payment, so an unsaved one stays claimed - keep its
+          // reference so the submission can be recorded again (submitToSwift won't
+          // debit twice). A saved one is in the batch but missed its audit or invoice.
+          const saved = submitted.includes(payment);
+          logger.error('Failed to record SWIFT submission', {
+            transactionId: payment.transactionId,
+            swiftReference: receipt.swiftReference,
+            batchId,
+            error: recordError,
+          });
+          failed.push({
+            transactionId: payment.transactionId,
+            swiftReference: receipt.swiftReference,
+            reason: saved
+              ? 'Submitted to SWIFT but its audit trail or invoice was not updated'
+              : 'Accepted by SWIFT gateway but not recorded',
+          });
+        }
+      }
+
+      const summary = {
+        transactionCount: submitted.length,
+        totalAmount: sumInBaseCurrency(submitted),
+        baseCurrency: FX_CONFIG.baseCurrency,
+        currencies: submitted.reduce((totals, p) => {
+          totals[p.currency] = (totals[p.currency] || 0) + p.amount;
+          return totals;
+        }, {}),
+      };
+
+      // Record the batch and its pain.001 message
+      let batch = null;
+      if (submitted.length > 0) {
+        try {
+          const customers = await Customer.find({
+            _id: { $in: submitted.map(p => p.customerId) },
+          });
+
+          batch = await SwiftBatch.create({
+            batchId,
+            transactionIds: submitted.map(p => p.transactionId),
+            paymentCount: submitted.length,
+            currencyTotals: summary.currencies,
+            gateway: gateway.name,
+            submittedBy: req.user.userId,
+            submittedByEmail: req.user.email,
+            message: buildPain001Document({
+              messageId: batchId,
+              payments: submitted,
+              customers: Object.fromEntries(customers.map(c => [String(c._id), c])),
+            }),
+          });
+
+          logger.info('pain.001 generated', { batchId });
+        } catch (batchError) {
+          // The payments are with the gateway and carry this batchId, so they can't be
+          // rolled back - raise it so the batch record can be rebuilt from them
+          logger.error('Failed to generate SWIFT batch message', { batchId, error: batchError });
+          createSecurityEvent(
+            'swift_batch_record_failed',
+            {
+              employeeId: req.user.userId,
+              batchId,
+              transactionIds: submitted.map(p => p.transactionId),
+              error: batchError.message,
+            },
+            req
+          );
+        }
       }
 
       // Log SWIFT submission
       createSecurityEvent('swift_submission', {
         employeeId: req.user.userId,
-        transactionIds: payments.map(p => p.transactionId),
-        count: payments.length,
+        gateway: gateway.name,
+        batchId: batch ? batch.batchId : null,
+        transactionIds: successful.map(r => r.transactionId),
+        count: successful.length,
+        failedCount: failed.length,
       });
 
-      console.log(`📤 SWIFT SUBMISSION: ${payments.length} payments by ${req.user.email}`);
+      logger.info('Payments submitted to SWIFT', {
+        count: successful.length,
+        gateway: gateway.name,
+        employeeId: req.user.userId,
+      });
 
       return res.status(200).json({
         success: true,
-        message: `${payments.length} payment(s) submitted to SWIFT successfully`,
-        results,
+        message: `${successful.length} payment(s) submitted to SWIFT successfully`,
+        results: { successful, failed },
+        summary,
+        batch: batch ? batch.toSummary() : null,
+        ...(submitted.length > 0 &&
+          !batch && {
+            warning: `Batch ${batchId} was submitted but its pain.001 record could not be saved`,
+            code: 'SWIFT_BATCH_NOT_RECORDED',
+          }),
       });
     } catch (error) {
-      console.error('SWIFT submission error:', error);
+      logger.error('SWIFT submission error', { error });
       return res.status(500).json({
         success: false,
         message: 'Failed to submit payments to SWIFT',
@@ -390,81 +1052,311 @@ router.post(
 );
 
 /**
- * GET ALL CUSTOMERS (Employee only) - For customer list view
- * GET /api/payments/employee/customers
+ * LIST SWIFT BATCHES (Employee only)
+ * GET /api/payments/employee/swift-batches
  */
-router.get('/employee/customers', authenticateEmployee, async (req, res) => {
-  try {
-    const customers = await Customer.find({ status: 'active' })
-      .select('-passwordHash')
-      .sort({ createdAt: -1 });
+router.get(
+  '/employee/swift-batches',
+  authenticateEmployee,
+  requirePermission('view_payments'),
+  async (req, res) => {
+    try {
+      const batches = await SwiftBatch.find({}).sort({ createdAt: -1 }).limit(100);
 
-    // Get payment counts for each customer
-    const customersWithStats = await Promise.all(
-      customers.map(async customer => {
-        const paymentCount = await Payment.countDocuments({ customerId: customer._id });
-        const totalAmount = await Payment.aggregate([
-          {
-            $match: {
-              customerId: customer._id,
-              status: { $in: ['completed', 'submitted_to_swift'] },
+      return res.status(200).json({
+        success: true,
+        batches: batches.map(batch => batch.toSummary()),
+      });
+    } catch (error) {
+      logger.error('Get SWIFT batches error', { error });
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch SWIFT batches',
+      });
+    }
+  }
+);
+
+/**
+ * DOWNLOAD SWIFT BATCH pain.001 MESSAGE (Employee only)
+ * GET /api/payments/employee/swift-batches/:batchId/pain001
+ */
+router.get(
+  '/employee/swift-batches/:batchId/pain001',
+  authenticateEmployee,
+  requirePermission('submit_swift'),
+  validateSwiftBatchId,
+  handleComprehensiveValidationErrors,
+  async (req, res) => {
+    try {
+      const { batchId } = req.params;
+
+      const batch = await SwiftBatch.findOne({ batchId });
+
+      if (!batch) {
+        return res.status(404).json({
+          success: false,
+          message: 'SWIFT batch not found',
+        });
+      }
+
+      createSecurityEvent(
+        'swift_batch_downloaded',
+        { batchId, employeeId: req.user.userId, messageType: batch.messageType },
+        req
+      );
+
+      res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${batchId}.pain001.xml"`);
+      return res.status(200).send(batch.message);
+    } catch (error) {
+      logger.error('Get SWIFT batch message error', { error });
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch SWIFT batch message',
+      });
+    }
+  }
+);
+
+/**
+ * DOWNLOAD MT103 MESSAGE (Employee only)
+ * GET /api/payments/employee/mt103/:transactionId
+ * Legacy FIN export for correspondent banks that don't consume ISO 20022
+ */
+router.get(
+  '/employee/mt103/:transactionId',
+  authenticateEmployee,
+  requirePermission('submit_swift'),
+  validateTransactionIdParam,
+  handleComprehensiveValidationErrors,
+  async (req, res) => {
+    try {
+      const { transactionId } = req.params;
+
+      const payment = await Payment.findOne({ transactionId });
+
+      if (!payment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Transaction not found',
+        });
+      }
+
+      if (!['verified', 'submitted_to_swift', 'completed'].includes(payment.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot export a ${payment.status} payment as MT103`,
+        });
+      }
+
+      const customer = await Customer.findById(payment.customerId);
+      const errors = validateMt103Payment(payment, customer);
+
+      if (errors.length > 0) {
+        return res.status(422).json({
+          success: false,
+          message: 'Payment does not fit the MT103 format',
+          errors,
+        });
+      }
+
+      const message = buildMt103Message(payment, customer);
+
+      createSecurityEvent(
+        'mt103_downloaded',
+        { transactionId, employeeId: req.user.userId, status: payment.status },
+        req
+      );
+
+      res.setHeader('Content-Type', 'text/plain; charset=us-ascii');
+      res.setHeader('Content-Disposition', `attachment; filename="${transactionId}.mt103.txt"`);
+      return res.status(200).send(message);
+    } catch (error) {
+      logger.error('Get MT103 message error', { error });
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to generate MT103 message',
+      });
+    }
+  }
+);
+
+/**
+ * PAYMENT AUDIT TRAIL (Employee only)
+ * GET /api/payments/employee/audit/:transactionId
+ * The payment's hash-chained audit entries, oldest first (utils/auditLog.js)
+ */
+router.get(
+  '/employee/audit/:transactionId',
+  authenticateEmployee,
+  requirePermission('view_payments'),
+  validateTransactionIdParam,
+  handleComprehensiveValidationErrors,
+  async (req, res) => {
+    try {
+      const { transactionId } = req.params;
+
+      if (!(await Payment.exists({ transactionId }))) {
+        return res.status(404).json({
+          success: false,
+          message: 'Transaction not found',
+        });
+      }
+
+      const entries = await getPaymentAuditTrail(transactionId);
+
+      return res.status(200).json({
+        success: true,
+        transactionId,
+        intact: entries.every(entry => entry.intact),
+        entries,
+      });
+    } catch (error) {
+      logger.error('Get payment audit trail error', { error });
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch payment audit trail',
+      });
+    }
+  }
+);
+
+/**
+ * SWIFT GATEWAY ACKNOWLEDGEMENTS (Gateway only)
+ * POST /api/payments/swift/acknowledgements
+ * Inbound settlement callbacks: moves payments to completed or failed.
+ * Authenticated by an HMAC signature over the acknowledgements, not a user session.
+ */
+router.post(
+  '/swift/acknowledgements',
+  validateSwiftAcknowledgement,
+  handleComprehensiveValidationErrors,
+  async (req, res) => {
+    try {
+      const { acknowledgements } = req.body;
+      const signature = req.get(SWIFT_GATEWAY_CONFIG.signatureHeader);
+
+      if (!verifyAcknowledgementSignature(acknowledgements, signature)) {
+        createSecurityEvent(
+          'swift_acknowledgement_rejected',
+          { reason: 'invalid_signature', count: acknowledgements.length },
+          req
+        );
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid acknowledgement signature',
+        });
+      }
+
+      const results = await applySwiftAcknowledgements(acknowledgements);
+
+      return res.status(200).json({
+        success: true,
+        message: `${results.filter(r => r.applied).length} acknowledgement(s) applied`,
+        results,
+      });
+    } catch (error) {
+      logger.error('SWIFT acknowledgement error', { error });
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to process SWIFT acknowledgements',
+      });
+    }
+  }
+);
+
+/**
+ * GET ALL CUSTOMERS (Employee only) - For customer list view
+ * GET /api/payments/employee/customers
+ */
+router.get(
+  '/employee/customers',
+  authenticateEmployee,
+  requirePermission('view_customers'),
+  async (req, res) => {
+    try {
+      const customers = await Customer.find({ status: 'active' })
+        .select('-passwordHash')
+        .sort({ createdAt: -1 });
+
+      // Get payment counts for each customer
+      const customersWithStats = await Promise.all(
+        customers.map(async customer => {
+          const paymentCount = await Payment.countDocuments({ customerId: customer._id });
+          const totalsByCurrency = await Payment.aggregate([
+            {
+              $match: {
+                customerId: customer._id,
+                status: { $in: ['completed', 'submitted_to_swift'] },
+              },
             },
-          },
-          { $group: { _id: null, total: { $sum: '$amount' } } },
-        ]);
+            { $group: { _id: '$currency', amount: { $sum: '$amount' } } },
+          ]);
 
-        return {
-          ...customer.toJSON(),
-          paymentCount,
-          totalTransacted: totalAmount[0]?.total || 0,
-        };
-      })
-    );
+          return {
+            ...customer.toJSON(),
+            paymentCount,
+            totalTransacted: sumInBaseCurrency(
+              totalsByCurrency.map(t => ({ currency: t._id, amount: t.amount }))
+            ),
+          };
+        })
+      );
 
-    return res.status(200).json({
-      success: true,
-      customers: customersWithStats,
-    });
-  } catch (error) {
-    console.error('Get customers error:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Failed to fetch customers',
-    });
+      return res.status(200).json({
+        success: true,
+        baseCurrency: FX_CONFIG.baseCurrency,
+        customers: customersWithStats,
+      });
+    } catch (error) {
+      logger.error('Get customers error', { error });
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch customers',
+      });
+    }
   }
-});
+);
 
 /**
  * GET CUSTOMER PAYMENTS (Employee only) - For viewing customer's payment history
  * GET /api/payments/employee/customer/:customerId
  */
-router.get('/employee/customer/:customerId', authenticateEmployee, async (req, res) => {
-  try {
-    const { customerId } = req.params;
+router.get(
+  '/employee/customer/:customerId',
+  authenticateEmployee,
+  requirePermission('view_customers'),
+  validateCustomerIdParam,
+  handleComprehensiveValidationErrors,
+  async (req, res) => {
+    try {
+      const { customerId } = req.params;
 
-    const customer = await Customer.findById(customerId).select('-passwordHash');
-    if (!customer) {
-      return res.status(404).json({
+      const customer = await Customer.findById(customerId).select('-passwordHash');
+      if (!customer) {
+        return res.status(404).json({
+          success: false,
+          message: 'Customer not found',
+        });
+      }
+
+      const payments = await Payment.find({ customerId }).sort({ createdAt: -1 });
+
+      return res.status(200).json({
+        success: true,
+        customer,
+        payments,
+      });
+    } catch (error) {
+      logger.error('Get customer payments error', { error });
+      return res.status(500).json({
         success: false,
-        message: 'Customer not found',
+        message: 'Failed to fetch customer payments',
       });
     }
-
-    const payments = await Payment.find({ customerId }).sort({ createdAt: -1 });
-
-    return res.status(200).json({
-      success: true,
-      customer,
-      payments,
-    });
-  } catch (error) {
-    console.error('Get customer payments error:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Failed to fetch customer payments',
-    });
   }
-});
+);
 
 /**
  * GET CUSTOMER INVOICES (Customer only)
@@ -491,7 +1383,7 @@ router.get('/invoices', authenticateToken, async (req, res) => {
       count: invoices.length,
     });
   } catch (error) {
-    console.error('Error fetching customer invoices:', error);
+    logger.error('Error fetching customer invoices', { error });
     return res.status(500).json({
       success: false,
       message: 'Failed to fetch invoices',
@@ -504,32 +1396,221 @@ router.get('/invoices', authenticateToken, async (req, res) => {
  * GET /api/payments/employee/invoices
  * Returns all invoices in the system
  */
-router.get('/employee/invoices', authenticateEmployee, async (req, res) => {
-  try {
-    const invoices = await Invoice.find({})
-      .populate('customerId', 'name email accountNumber')
-      .populate('verifiedBy', 'name email department employeeId')
-      .sort({ createdAt: -1 });
+router.get(
+  '/employee/invoices',
+  authenticateEmployee,
+  requirePermission('view_payments'),
+  async (req, res) => {
+    try {
+      const invoices = await Invoice.find({})
+        .populate('customerId', 'name email accountNumber')
+        .populate('verifiedBy', 'name email department employeeId')
+        .sort({ createdAt: -1 });
 
-    return res.status(200).json({
-      success: true,
-      invoices,
-      count: invoices.length,
-    });
-  } catch (error) {
-    console.error('Error fetching employee invoices:', error);
-    return res.status(500).json({
+      return res.status(200).json({
+        success: true,
+        invoices,
+        count: invoices.length,
+      });
+    } catch (error) {
+      logger.error('Error fetching employee invoices', { error });
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch invoices',
+      });
+    }
+  }
+);
+
+/**
+ * EXPORT INVOICES (Employee only - reports)
+ * GET /api/payments/employee/invoices/export?format=csv&status=paid&from=2026-01-01
+ * Streams invoices, newest first, as CSV (default) or XLSX
+ */
+router.get(
+  '/employee/invoices/export',
+  authenticateEmployee,
+  requirePermission('view_payments'),
+  requirePermission('generate_reports'),
+  validateInvoiceExport,
+  handleComprehensiveValidationErrors,
+  exportHandler('invoices', req => {
+    const { status, from, to } = req.query;
+    const filter = {};
+    if (status) {
+      filter.status = status;
+    }
+    if (from || to) {
+      filter.createdAt = {
+        ...(from && { $gte: new Date(from) }),
+        ...(to && { $lte: new Date(to) }),
+      };
+    }
+    return { Model: Invoice, filter, sort: { createdAt: -1, _id: -1 } };
+  })
+);
+
+/**
+ * OVERDUE INVOICES (Employee only)
+ * GET /api/payments/employee/invoices/overdue
+ * Unpaid invoices past their due date, oldest first, with totals and aging
+ */
+router.get(
+  '/employee/invoices/overdue',
+  authenticateEmployee,
+  requirePermission('view_payments'),
+  async (req, res) => {
+    try {
+      const { invoices, summary } = await getOverdueInvoices();
+
+      return res.status(200).json({
+        success: true,
+        invoices,
+        summary,
+      });
+    } catch (error) {
+      logger.error('Error fetching overdue invoices', { error });
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch overdue invoices',
+      });
+    }
+  }
+);
+
+// HTTP status for invoices that cannot be resent or cancelled
+const INVOICE_ERROR_STATUS = {
+  INVOICE_CANCELLED: 409,
+  INVALID_INVOICE_STATE: 409,
+  PAYMENT_NOT_CANCELLABLE: 409,
+};
+
+/**
+ * RESEND INVOICE (Employee only)
+ * POST /api/payments/employee/invoices/:invoiceNumber/resend
+ * Emails the invoice to the customer again; a generated invoice becomes sent
+ */
+router.post(
+  '/employee/invoices/:invoiceNumber/resend',
+  authenticateEmployee,
+  requirePermission('verify_payments'),
+  validateInvoiceNumberParam,
+  handleComprehensiveValidationErrors,
+  async (req, res) => {
+    try {
+      const invoice = await Invoice.findOne({ invoiceNumber: req.params.invoiceNumber });
+      if (!invoice) {
+        return res.status(404).json({
+          success: false,
+          message: 'Invoice not found',
+        });
+      }
+
+      await sendInvoice(invoice, { actor: employeeActor(req) });
+
+      logger.info('Invoice resent', {
+        invoiceNumber: invoice.invoiceNumber,
+        sendCount: invoice.sendCount,
+        employeeId: req.user.userId,
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: `Invoice sent to ${invoice.customerEmail}`,
+        invoice,
+      });
+    } catch (error) {
+      const status = INVOICE_ERROR_STATUS[error.code];
+      if (status) {
+        return res.status(status).json({
+          success: false,
+          message: error.message,
+          code: error.code,
+        });
+      }
+      logger.error('Error resending invoice', { error });
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to resend invoice',
+      });
+    }
+  }
+);
+
+/**
+ * CANCEL INVOICE (Employee only)
+ * POST /api/payments/employee/invoices/:invoiceNumber/cancel
+ * Body: { reason }. Only generated or sent invoices of rejected or failed
+ * payments can be cancelled; a credit note for the full amount is issued and
+ * the customer is notified.
+ */
+router.post(
+  '/employee/invoices/:invoiceNumber/cancel',
+  authenticateEmployee,
+  requirePermission('verify_payments'),
+  validateInvoiceCancellation,
+  handleComprehensiveValidationErrors,
+  async (req, res) => {
+    try {
+      const invoice = await Invoice.findOne({ invoiceNumber: req.params.invoiceNumber });
+      if (!invoice) {
+        return res.status(404).json({
+          success: false,
+          message: 'Invoice not found',
+        });
+      }
+
+      await cancelInvoice(invoice, { reason: req.body.reason, actor: employeeActor(req) });
+
+      createSecurityEvent(
+        'invoice_cancelled',
+        {
+          employeeId: req.user.userId,
+          invoiceNumber: invoice.invoiceNumber,
+          transactionId: invoice.transactionId,
+          creditNoteNumber: invoice.creditNote.creditNoteNumber,
+        },
+        req
+      );
+
+      return res.status(200).json({
+        success: true,
+        message: `Invoice cancelled, credit note ${invoice.creditNote.creditNoteNumber} issued`,
+        invoice,
+      });
+    } catch (error) {
+      const status = INVOICE_ERROR_STATUS[error.code];
+      if (status) {
+        return res.status(status).json({
+          success: false,
+          message: error.message,
+          code: error.code,
+        });
+      }
+      logger.error('Error cancelling invoice', { error });
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to cancel invoice',
+      });
+    }
+  }
+);
+
+// Customer invoice routes; employees use the permission-checked /employee routes
+const requireCustomer = (req, res, next) => {
+  if (req.user.role !== 'customer') {
+    return res.status(403).json({
       success: false,
-      message: 'Failed to fetch invoices',
+      message: 'Only customers can access invoices',
     });
   }
-});
+  next();
+};
 
 /**
- * GET SINGLE INVOICE (Customer or Employee)
- * GET /api/payments/invoices/:invoiceNumber
+ * Return an invoice with its customer and verifier; customers only get their own
  */
-router.get('/invoices/:invoiceNumber', authenticateToken, async (req, res) => {
+async function sendInvoiceDetails(req, res) {
   try {
     const { invoiceNumber } = req.params;
 
@@ -557,12 +1638,154 @@ router.get('/invoices/:invoiceNumber', authenticateToken, async (req, res) => {
       invoice,
     });
   } catch (error) {
-    console.error('Error fetching invoice:', error);
+    logger.error('Error fetching invoice', { error });
     return res.status(500).json({
       success: false,
       message: 'Failed to fetch invoice',
     });
   }
-});
+}
+
+/**
+ * GET SINGLE INVOICE (Customer)
+ * GET /api/payments/invoices/:invoiceNumber
+ */
+router.get(
+  '/invoices/:invoiceNumber',
+  authenticateToken,
+  validateInvoiceNumberParam,
+  handleComprehensiveValidationErrors,
+  requireCustomer,
+  sendInvoiceDetails
+);
+
+/**
+ * GET SINGLE INVOICE (Employee only)
+ * GET /api/payments/employee/invoices/:invoiceNumber
+ */
+router.get(
+  '/employee/invoices/:invoiceNumber',
+  authenticateEmployee,
+  requirePermission('view_payments'),
+  validateInvoiceNumberParam,
+  handleComprehensiveValidationErrors,
+  sendInvoiceDetails
+);
+
+/**
+ * Stream an invoice as a letterhead PDF with masked accounts and a
+ * verification QR code; customers only get their own invoices
+ */
+async function sendInvoicePdf(req, res) {
+  try {
+    const { invoiceNumber } = req.params;
+    const invoice = await Invoice.findOne({ invoiceNumber });
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found',
+      });
+    }
+
+    if (req.user.role === 'customer' && invoice.customerId.toString() !== req.user.userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied',
+      });
+    }
+
+    const customer = await Customer.findById(invoice.customerId);
+    const pdf = renderInvoicePdf(invoice, { customer });
+
+    res.setHeader('Content-Type', INVOICE_PDF_CONFIG.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${invoiceNumber}.pdf"`);
+    res.setHeader('Cache-Control', 'no-store');
+    pdf.pipe(res);
+
+    logger.info('Invoice PDF downloaded', {
+      invoiceNumber,
+      userId: req.user.userId,
+      role: req.user.role,
+    });
+  } catch (error) {
+    logger.error('Error rendering invoice PDF', { error });
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to generate invoice PDF',
+    });
+  }
+}
+
+/**
+ * DOWNLOAD INVOICE PDF (Customer)
+ * GET /api/payments/invoices/:invoiceNumber/pdf
+ */
+router.get(
+  '/invoices/:invoiceNumber/pdf',
+  authenticateToken,
+  validateInvoiceNumberParam,
+  handleComprehensiveValidationErrors,
+  requireCustomer,
+  sendInvoicePdf
+);
+
+/**
+ * DOWNLOAD INVOICE PDF (Employee only)
+ * GET /api/payments/employee/invoices/:invoiceNumber/pdf
+ */
+router.get(
+  '/employee/invoices/:invoiceNumber/pdf',
+  authenticateEmployee,
+  requirePermission('view_payments'),
+  validateInvoiceNumberParam,
+  handleComprehensiveValidationErrors,
+  sendInvoicePdf
+);
+
+/**
+ * VERIFY INVOICE (Public)
+ * GET /api/payments/invoices/:invoiceNumber/verify?sig=...
+ * Checks the signature printed on an invoice PDF (and encoded in its QR code).
+ * Unknown invoices and wrong signatures get the same answer, so the route
+ * cannot be used to discover invoice numbers; failures count towards the
+ * API rate limit and are recorded as security events.
+ */
+router.get(
+  '/invoices/:invoiceNumber/verify',
+  validateInvoiceVerification,
+  handleComprehensiveValidationErrors,
+  async (req, res) => {
+    try {
+      const { invoiceNumber } = req.params;
+      const invoice = await Invoice.findOne({ invoiceNumber });
+
+      if (!invoice || !verifyInvoiceSignature(invoice, req.query.sig)) {
+        createSecurityEvent(
+          'invoice_verification_failed',
+          { invoiceNumber, reason: invoice ? 'signature_mismatch' : 'unknown_invoice' },
+          req
+        );
+        return res.status(404).json({
+          success: false,
+          message: 'No genuine invoice matches this number and signature',
+          code: 'INVOICE_NOT_VERIFIED',
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        verified: true,
+        invoice: publicInvoiceSummary(invoice),
+      });
+    } catch (error) {
+      logger.error('Error verifying invoice', { error });
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to verify invoice',
+      });
+    }
+  }
+);
 
 module.exports = router;
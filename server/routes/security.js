@@ -0,0 +1,247 @@
+/**
+ * Security Console Routes (Administration only)
+ * Security events, account lockouts and IP blocks from the security store
+ * (utils/securityStore.js), and payment audit chain verification, for the
+ * Security view of the employee dashboard
+ */
+
+const express = require('express');
+const { authenticateEmployee, requireDepartment } = require('../middleware/employeeAuth');
+const {
+  createSecurityEvent,
+  getSecurityDashboard,
+  getBlockedIPs,
+  unblockIP,
+} = require('../middleware/securityMonitoring');
+const { logger } = require('../utils/logger');
+const { getLockoutStats, unlockAccount } = require('../middleware/accountLockout');
+const {
+  validateSecurityEventQuery,
+  validateLockoutEmailParam,
+  validateIpParam,
+  handleValidationErrors,
+} = require('../middleware/comprehensiveValidation');
+const { getSecurityStore } = require('../utils/securityStore');
+const { verifyAuditChain } = require('../utils/auditLog');
+
+const router = express.Router();
+
+const requireAdministration = requireDepartment(['Administration']);
+
+/**
+ * SECURITY DASHBOARD
+ * GET /api/security/dashboard
+ * Totals plus the top attack types and source IPs of the latest events
+ */
+router.get('/dashboard', authenticateEmployee, requireAdministration, getSecurityDashboard);
+
+/**
+ * SEARCH SECURITY EVENTS
+ * GET /api/security/events?type=&severity=&ip=&user=&from=&to=&limit=
+ * user matches the acting user's ID or the email in the event details
+ */
+router.get(
+  '/events',
+  authenticateEmployee,
+  requireAdministration,
+  validateSecurityEventQuery,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { type, severity, ip, user, from, to } = req.query;
+      const since = from ? new Date(from) : undefined;
+      const until = to ? new Date(to) : undefined;
+
+      if (since && until && since > until) {
+        return res.status(400).json({
+          success: false,
+          message: 'The start of the time range must be before its end',
+        });
+      }
+
+      const events = await getSecurityStore().listEvents({
+        limit: parseInt(req.query.limit, 10) || 50,
+        type,
+        severity,
+        ip,
+        user,
+        since,
+        until,
+      });
+
+      return res.status(200).json({
+        success: true,
+        count: events.length,
+        events,
+      });
+    } catch (error) {
+      logger.error('Search security events error', { error });
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to search security events',
+      });
+    }
+  }
+);
+
+/**
+ * LIST LOCKED ACCOUNTS
+ * GET /api/security/lockouts
+ */
+router.get('/lockouts', authenticateEmployee, requireAdministration, async (req, res) => {
+  try {
+    const stats = await getLockoutStats();
+
+    return res.status(200).json({
+      success: true,
+      ...stats,
+    });
+  } catch (error) {
+    logger.error('List lockouts error', { error });
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to load account lockouts',
+    });
+  }
+});
+
+/**
+ * UNLOCK ACCOUNT
+ * DELETE /api/security/lockouts/:email
+ */
+router.delete(
+  '/lockouts/:email',
+  authenticateEmployee,
+  requireAdministration,
+  validateLockoutEmailParam,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const email = req.params.email.toLowerCase();
+      const wasLocked = await unlockAccount(email);
+
+      if (!wasLocked) {
+        return res.status(404).json({
+          success: false,
+          message: 'This account is not locked',
+          code: 'LOCKOUT_NOT_FOUND',
+        });
+      }
+
+      createSecurityEvent(
+        'account_unlocked',
+        { email, unlockedBy: req.user.email, employeeId: req.user.userId },
+        req
+      );
+
+      return res.status(200).json({
+        success: true,
+        message: `${email} has been unlocked`,
+      });
+    } catch (error) {
+      logger.error('Unlock account error', { error });
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to unlock account',
+      });
+    }
+  }
+);
+
+/**
+ * LIST BLOCKED IPS
+ * GET /api/security/blocked-ips
+ */
+router.get('/blocked-ips', authenticateEmployee, requireAdministration, async (req, res) => {
+  try {
+    const blockedIPs = await getBlockedIPs();
+
+    return res.status(200).json({
+      success: true,
+      count: blockedIPs.length,
+      blockedIPs,
+    });
+  } catch (error) {
+    logger.error('List blocked IPs error', { error });
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to load blocked IPs',
+    });
+  }
+});
+
+/**
+ * UNBLOCK IP
+ * DELETE /api/security/blocked-ips/:ip
+ */
+router.delete(
+  '/blocked-ips/:ip',
+  authenticateEmployee,
+  requireAdministration,
+  validateIpParam,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { ip } = req.params;
+      const wasBlocked = await unblockIP(ip);
+
+      if (!wasBlocked) {
+        return res.status(404).json({
+          success: false,
+          message: 'This IP address is not blocked',
+          code: 'BLOCK_NOT_FOUND',
+        });
+      }
+
+      createSecurityEvent(
+        'ip_unblocked',
+        { blockedIp: ip, unblockedBy: req.user.email, employeeId: req.user.userId },
+        req
+      );
+
+      return res.status(200).json({
+        success: true,
+        message: `${ip} has been unblocked`,
+      });
+    } catch (error) {
+      logger.error('Unblock IP error', { error });
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to unblock IP address',
+      });
+    }
+  }
+);
+
+/**
+ * VERIFY PAYMENT AUDIT CHAIN
+ * GET /api/security/audit/verify
+ * Recomputes every audit entry hash and link; a broken chain is raised as a
+ * critical security event
+ */
+router.get('/audit/verify', authenticateEmployee, requireAdministration, async (req, res) => {
+  try {
+    const result = await verifyAuditChain();
+
+    if (!result.valid) {
+      createSecurityEvent(
+        'audit_chain_broken',
+        { problems: result.problems.slice(0, 20), checked: result.checked },
+        req
+      );
+    }
+
+    return res.status(200).json({
+      success: true,
+      ...result,
+    });
+  } catch (error) {
+    logger.error('Verify audit chain error', { error });
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to verify audit chain',
+    });
+  }
+});
+
+module.exports = router;
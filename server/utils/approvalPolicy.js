@@ -0,0 +1,59 @@
+/**
+ * DUAL AUTHORISATION (FOUR-EYES) POLICY
+ *
+ * Payments above the threshold for their currency need approvals from two
+ * different employees, both from a permitted department, before they are
+ * verified. Smaller payments need one approval from any employee.
+ *
+ *   pending → (1st approval) → pending_second_approval → (2nd approval) → verified
+ *
+ * Any single rejection rejects the payment. Each step is stored on the
+ * Payment in approvalSteps.
+ */
+
+/**
+ * Parse "USD:5000,EUR:5000" into { USD: 5000, EUR: 5000 }
+ */
+function parseThresholds(value) {
+  return Object.fromEntries(
+    value
+      .split(',')
+      .map(pair => pair.split(':').map(part => part.trim()))
+      .filter(([currency, amount]) => currency && Number.isFinite(parseFloat(amount)))
+      .map(([currency, amount]) => [currency.toUpperCase(), parseFloat(amount)])
+  );
+}
+
+const APPROVAL_POLICY_CONFIG = {
+  // Amounts above these (in the payment currency) need two approvers
+  thresholds: parseThresholds(
+    process.env.DUAL_APPROVAL_THRESHOLDS || 'USD:5000,EUR:4500,GBP:4000,ZAR:90000'
+  ),
+  // Departments whose employees may approve dual-authorisation payments
+  approverDepartments: (process.env.DUAL_APPROVAL_DEPARTMENTS || 'Verification,Management')
+    .split(',')
+    .map(department => department.trim())
+    .filter(Boolean),
+};
+
+/**
+ * Number of distinct approvals a payment needs
+ */
+function requiredApprovalsFor(payment) {
+  const threshold = APPROVAL_POLICY_CONFIG.thresholds[payment.currency];
+  return threshold !== undefined && payment.amount > threshold ? 2 : 1;
+}
+
+/**
+ * Whether an employee's department may approve a payment needing `requiredApprovals`
+ */
+function canDepartmentApprove(department, requiredApprovals) {
+  return requiredApprovals < 2 || APPROVAL_POLICY_CONFIG.approverDepartments.includes(department);
+}
+
+module.exports = {
+  APPROVAL_POLICY_CONFIG,
+  parseThresholds,
+  requiredApprovalsFor,
+  canDepartmentApprove,
+};
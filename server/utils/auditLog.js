@@ -0,0 +1,228 @@
+/**
+ * PAYMENT AUDIT LOG
+ *
+ * Append-only, hash-chained record of every payment state change
+ * (models/AuditEntry.js). Unlike logs/security.log, an entry cannot be
+ * edited or removed without breaking the chain:
+ *
+ *   hash = SHA-256(canonical JSON of sequence, transactionId, action, actor,
+ *                  fromStatus, toStatus, payloadHash, previousHash, createdAt)
+ *
+ * The first entry chains onto AUDIT_CONFIG.genesisHash. verifyAuditChain()
+ * walks the whole chain and reports gaps, broken links and edited entries;
+ * run it with `node utils/verifyAuditChain.js` or from the security console.
+ *
+ * Rewriting the chain from an edited entry onwards keeps it internally
+ * consistent, so record the reported head (sequence + hash) somewhere the
+ * database's administrators can't change, and compare it on the next run.
+ */
+
+const crypto = require('crypto');
+const AuditEntry = require('../models/AuditEntry');
+const { createSecurityEvent } = require('../middleware/securityMonitoring');
+const { logger } = require('./logger');
+
+const AUDIT_CONFIG = {
+  genesisHash: '0'.repeat(64),
+  // Retries when another server instance appends the same sequence number
+  maxAppendAttempts: 5,
+  verifyBatchSize: 500,
+};
+
+const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+
+// JSON with sorted keys, so equal values always hash the same
+const canonicalJson = value => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const fields = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${fields.join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+/**
+ * Hash of an action's details (dates and ObjectIds as their JSON strings)
+ */
+const hashPayload = payload => sha256(canonicalJson(JSON.parse(JSON.stringify(payload ?? {}))));
+
+/**
+ * Hash of an entry's contents and its link to the previous entry
+ */
+const computeEntryHash = entry =>
+  sha256(
+    canonicalJson({
+      sequence: entry.sequence,
+      transactionId: entry.transactionId,
+      action: entry.action,
+      actor: {
+        type: entry.actor.type,
+        id: entry.actor.id || null,
+        email: entry.actor.email || null,
+      },
+      fromStatus: entry.fromStatus || null,
+      toStatus: entry.toStatus || null,
+      payloadHash: entry.payloadHash,
+      previousHash: entry.previousHash,
+      createdAt: new Date(entry.createdAt).toISOString(),
+    })
+  );
+
+// Appends from this process are chained one at a time
+let appendQueue = Promise.resolve();
+
+async function writeEntry(fields) {
+  for (let attempt = 1; ; attempt++) {
+    const head = await AuditEntry.findOne({}).sort({ sequence: -1 }).lean();
+    const entry = {
+      ...fields,
+      sequence: head ? head.sequence + 1 : 1,
+      previousHash: head ? head.hash : AUDIT_CONFIG.genesisHash,
+      createdAt: new Date(),
+    };
+    entry.hash = computeEntryHash(entry);
+
+    try {
+      return await AuditEntry.create(entry);
+    } catch (error) {
+      // Another instance took this sequence number - chain onto its entry instead
+      if (error.code !== 11000 || attempt >= AUDIT_CONFIG.maxAppendAttempts) {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * Append an entry to the audit chain
+ *
+ * @param {Object} params
+ * @param {string} params.transactionId
+ * @param {string} params.action - One of AuditEntry.AUDIT_ACTIONS
+ * @param {Object} params.actor - { type: customer|employee|gateway, id, email }
+ * @param {string} [params.fromStatus] - Payment status before the action
+ * @param {string} [params.toStatus] - Payment status after the action
+ * @param {Object} [params.payload] - Action details; only their hash is stored
+ * @returns {Promise<Object>} The stored entry
+ */
+function appendAuditEntry({ transactionId, action, actor, fromStatus, toStatus, payload }) {
+  const fields = {
+    transactionId,
+    action,
+    actor,
+    fromStatus,
+    toStatus,
+    payloadHash: hashPayload(payload),
+  };
+
+  const appended = appendQueue.then(() => writeEntry(fields));
+  appendQueue = appended.catch(() => {});
+  return appended;
+}
+
+/**
+ * Append an entry for a payment action that has already been saved.
+ * A failed append doesn't undo the action; it is raised as a critical
+ * security event so the missing entry can be investigated.
+ */
+async function recordPaymentAudit(params) {
+  try {
+    return await appendAuditEntry(params);
+  } catch (error) {
+    logger.error('Failed to append audit entry', { transactionId: params.transactionId, error });
+    createSecurityEvent('audit_append_failed', {
+      transactionId: params.transactionId,
+      action: params.action,
+      error: error.message,
+    });
+    return null;
+  }
+}
+
+/**
+ * Walk the whole chain and report gaps, broken links and edited entries
+ *
+ * @returns {Promise<Object>} { valid, checked, head: { sequence, hash } | null, problems }
+ */
+async function verifyAuditChain() {
+  const problems = [];
+  let previous = null;
+  let checked = 0;
+
+  for (;;) {
+    const batch = await AuditEntry.find(previous ? { sequence: { $gt: previous.sequence } } : {})
+      .sort({ sequence: 1 })
+      .limit(AUDIT_CONFIG.verifyBatchSize)
+      .lean();
+
+    for (const entry of batch) {
+      const expectedSequence = previous ? previous.sequence + 1 : 1;
+      if (entry.sequence !== expectedSequence) {
+        problems.push({
+          sequence: entry.sequence,
+          problem: `Entries ${expectedSequence} to ${entry.sequence - 1} are missing`,
+        });
+      }
+      if (entry.previousHash !== (previous ? previous.hash : AUDIT_CONFIG.genesisHash)) {
+        problems.push({
+          sequence: entry.sequence,
+          problem: 'Previous hash does not match the preceding entry',
+        });
+      }
+      if (computeEntryHash(entry) !== entry.hash) {
+        problems.push({
+          sequence: entry.sequence,
+          problem: 'Entry hash does not match its contents',
+        });
+      }
+      previous = entry;
+      checked++;
+    }
+
+    if (batch.length < AUDIT_CONFIG.verifyBatchSize) {
+      break;
+    }
+  }
+
+  return {
+    valid: problems.length === 0,
+    checked,
+    head: previous ? { sequence: previous.sequence, hash: previous.hash } : null,
+    problems,
+  };
+}
+
+/**
+ * A payment's audit entries, oldest first. intact is false for an entry
+ * whose contents no longer match its hash.
+ */
+async function getPaymentAuditTrail(transactionId) {
+  const entries = await AuditEntry.find({ transactionId }).sort({ sequence: 1 }).lean();
+
+  return entries.map(entry => ({
+    sequence: entry.sequence,
+    action: entry.action,
+    actor: entry.actor,
+    fromStatus: entry.fromStatus || null,
+    toStatus: entry.toStatus || null,
+    payloadHash: entry.payloadHash,
+    hash: entry.hash,
+    createdAt: entry.createdAt,
+    intact: computeEntryHash(entry) === entry.hash,
+  }));
+}
+
+module.exports = {
+  AUDIT_CONFIG,
+  hashPayload,
+  computeEntryHash,
+  appendAuditEntry,
+  recordPaymentAudit,
+  verifyAuditChain,
+  getPaymentAuditTrail,
+};
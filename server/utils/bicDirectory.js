@@ -0,0 +1,207 @@
+/**
+ * BIC DIRECTORY
+ *
+ * Confirms a recipient SWIFT/BIC belongs to a known institution. The directory
+ * is imported from a CSV file with the header:
+ *
+ *   bic,institution_name,city,country_code
+ *
+ * The active directory is the BicDirectoryEntry collection (kept in memory for
+ * lookups), seeded from the local CSV file until an administrator imports one.
+ *
+ * LOOKUP: an 11-character branch BIC falls back to its 8-character institution
+ * BIC, so branches don't all need their own row.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const BicDirectoryEntry = require('../models/BicDirectoryEntry');
+const { looksLikeIban, normalizeIban } = require('./iban');
+const { parseCsvRows } = require('./csv');
+const { logger } = require('./logger');
+
+const BIC_DIRECTORY_CONFIG = {
+  csvFile: process.env.BIC_DIRECTORY_FILE || path.join(__dirname, '../config/bic-directory.csv'),
+  // Largest CSV accepted from an administrator upload
+  maxUploadSize: process.env.BIC_DIRECTORY_MAX_UPLOAD || '2mb',
+  // Import errors reported back before giving up
+  maxReportedErrors: 20,
+};
+
+const CSV_COLUMNS = ['bic', 'institution_name', 'city', 'country_code'];
+const BIC_REGEX = /^[A-Z]{6}[A-Z0-9]{2}([A-Z0-9]{3})?$/;
+
+let activeDirectory = null;
+
+/**
+ * Parse and validate a BIC directory CSV
+ *
+ * @param {string} csv - File contents
+ * @returns {Array<Object>} Entries { bic, institutionName, city, countryCode }
+ * @throws {Error} With `details` listing the rejected rows
+ */
+function parseBicCsv(csv) {
+  const rows = parseCsvRows(csv);
+
+  const header = (rows.shift() || []).map(column => column.toLowerCase());
+  if (CSV_COLUMNS.some((column, index) => header[index] !== column)) {
+    throw new Error(`BIC directory CSV must start with the header: ${CSV_COLUMNS.join(',')}`);
+  }
+
+  const entries = new Map();
+  const errors = [];
+
+  rows.forEach((fields, index) => {
+    const row = index + 2;
+    const [rawBic, institutionName, city, rawCountry] = fields;
+    const bic = (rawBic || '').toUpperCase();
+    const countryCode = (rawCountry || bic.slice(4, 6)).toUpperCase();
+
+    if (!BIC_REGEX.test(bic)) {
+      errors.push(`Row ${row}: invalid BIC "${rawBic}"`);
+    } else if (!institutionName) {
+      errors.push(`Row ${row}: institution name is required`);
+    } else if (countryCode !== bic.slice(4, 6)) {
+      errors.push(`Row ${row}: country ${countryCode} does not match BIC ${bic}`);
+    } else if (entries.has(bic)) {
+      errors.push(`Row ${row}: duplicate BIC ${bic}`);
+    } else {
+      entries.set(bic, { bic, institutionName, city: city || '', countryCode });
+    }
+  });
+
+  if (errors.length > 0) {
+    const error = new Error(`BIC directory CSV has ${errors.length} invalid row(s)`);
+    error.details = errors.slice(0, BIC_DIRECTORY_CONFIG.maxReportedErrors);
+    throw error;
+  }
+  if (entries.size === 0) {
+    throw new Error('BIC directory CSV has no entries');
+  }
+
+  return Array.from(entries.values());
+}
+
+/**
+ * Replace the in-memory directory
+ */
+function setDirectory(entries) {
+  activeDirectory = new Map(
+    entries.map(({ bic, institutionName, city, countryCode }) => [
+      bic,
+      { bic, institutionName, city, countryCode },
+    ])
+  );
+  return activeDirectory;
+}
+
+/**
+ * Read the directory CSV bundled with the server
+ */
+function loadDirectoryFromFile(filePath = BIC_DIRECTORY_CONFIG.csvFile) {
+  return parseBicCsv(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Active directory (the CSV file until the database copy is loaded)
+ */
+function getDirectory() {
+  if (!activeDirectory) {
+    setDirectory(loadDirectoryFromFile());
+  }
+  return activeDirectory;
+}
+
+/**
+ * Store a parsed directory, replacing the previous one
+ * Upserts first so the collection is never empty mid-import
+ */
+async function importBicDirectory(entries, importedBy) {
+  await BicDirectoryEntry.bulkWrite(
+    entries.map(entry => ({
+      updateOne: {
+        filter: { bic: entry.bic },
+        update: { $set: { ...entry, importedBy } },
+        upsert: true,
+      },
+    }))
+  );
+  await BicDirectoryEntry.deleteMany({ bic: { $nin: entries.map(entry => entry.bic) } });
+
+  setDirectory(entries);
+  return { count: entries.length };
+}
+
+/**
+ * Load the stored directory on startup, seeding it from the CSV file when empty
+ */
+async function initializeBicDirectory() {
+  const entries = await BicDirectoryEntry.find().lean();
+
+  if (entries.length > 0) {
+    setDirectory(entries);
+    logger.info('BIC directory loaded', { institutions: entries.length });
+  } else {
+    const { count } = await importBicDirectory(loadDirectoryFromFile(), 'system');
+    logger.info('BIC directory seeded', {
+      file: BIC_DIRECTORY_CONFIG.csvFile,
+      institutions: count,
+    });
+  }
+}
+
+/**
+ * Find the institution for a BIC
+ *
+ * @param {string} value - 8 or 11 character BIC
+ * @returns {Object|null} { bic, institutionName, city, countryCode }
+ */
+function lookupBic(value) {
+  const bic = String(value || '').toUpperCase();
+  if (!BIC_REGEX.test(bic)) {
+    return null;
+  }
+
+  const directory = getDirectory();
+  const institutionBic = bic.slice(0, 8);
+
+  return (
+    directory.get(bic) ||
+    directory.get(institutionBic) ||
+    directory.get(`${institutionBic}XXX`) ||
+    null
+  );
+}
+
+/**
+ * Recipient bank details for employee verification: whether the BIC is known
+ * and whether an IBAN was issued in the same country as the bank
+ */
+function checkRecipientBank(payment) {
+  const bank = lookupBic(payment.recipientSwift);
+  const bicCountry = String(payment.recipientSwift || '')
+    .toUpperCase()
+    .slice(4, 6);
+  const ibanCountry = looksLikeIban(payment.recipientAccount)
+    ? normalizeIban(payment.recipientAccount).slice(0, 2)
+    : null;
+
+  return {
+    bicFound: Boolean(bank),
+    institutionName: bank?.institutionName || null,
+    city: bank?.city || null,
+    bicCountry,
+    ibanCountry,
+    countryMismatch: Boolean(ibanCountry) && ibanCountry !== bicCountry,
+  };
+}
+
+module.exports = {
+  BIC_DIRECTORY_CONFIG,
+  parseBicCsv,
+  loadDirectoryFromFile,
+  importBicDirectory,
+  initializeBicDirectory,
+  lookupBic,
+  checkRecipientBank,
+};
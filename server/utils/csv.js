@@ -0,0 +1,55 @@
+/**
+ * CSV HELPERS
+ * Minimal parsing for the reference data files the server imports
+ * (BIC directory, sanctions lists)
+ */
+
+/**
+ * Split one CSV line, honouring double-quoted fields ("a, b" and "")
+ */
+function splitCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  fields.push(field.trim());
+  return fields;
+}
+
+/**
+ * Split CSV text into rows of fields, skipping blank lines and # comments
+ */
+function parseCsvRows(text) {
+  return String(text || '')
+    .replace(/^\uFEFF/, '')
+    .split(/\r?\n/)
+    .filter(line => line.trim() && !line.trimStart().startsWith('#'))
+    .map(splitCsvLine);
+}
+
+module.exports = {
+  splitCsvLine,
+  parseCsvRows,
+};
@@ -0,0 +1,293 @@
+/**
+ * EMPLOYEE DATA EXPORTS
+ *
+ * Streams payments, invoices and customers to CSV or XLSX for Analytics and
+ * Management staff. Rows are written as the database cursor yields them,
+ * with backpressure, so large exports never sit in memory.
+ *
+ * SECURITY:
+ * - Account numbers are masked unless the employee holds view_account_numbers
+ * - Text cells starting with =, +, -, @, tab or carriage return are prefixed
+ *   with an apostrophe so spreadsheets show them instead of evaluating them
+ *   (CSV/formula injection)
+ * - Exports are capped; callers check the row count before streaming starts
+ */
+
+const { createXlsxWriter, XLSX_CONFIG } = require('./xlsx');
+const { createSecurityEvent } = require('../middleware/securityMonitoring');
+const { logger } = require('./logger');
+
+const EXPORT_CONFIG = {
+  formats: {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    xlsx: { contentType: XLSX_CONFIG.contentType, extension: 'xlsx' },
+  },
+  // Narrow the filters to export more than this
+  maxRows: 50000,
+  unmaskedPermission: 'view_account_numbers',
+};
+
+// Columns per dataset; account columns are masked for most employees
+const EXPORT_COLUMNS = {
+  payments: [
+    { header: 'Transaction ID', value: p => p.transactionId },
+    { header: 'Created', value: p => p.createdAt },
+    { header: 'Status', value: p => p.status },
+    { header: 'Amount', value: p => p.amount },
+    { header: 'Currency', value: p => p.currency },
+    { header: 'Customer Email', value: p => p.customerEmail },
+    { header: 'Recipient Name', value: p => p.recipientName },
+    { header: 'Recipient Account', value: p => p.recipientAccount, account: true },
+    { header: 'Recipient SWIFT', value: p => p.recipientSwift },
+    { header: 'Reference', value: p => p.reference },
+    { header: 'Verified By', value: p => p.verifiedByEmail },
+    { header: 'Verified At', value: p => p.verifiedAt },
+    { header: 'SWIFT Reference', value: p => p.swiftReference },
+    { header: 'Completed At', value: p => p.completedAt },
+  ],
+  invoices: [
+    { header: 'Invoice Number', value: i => i.invoiceNumber },
+    { header: 'Invoice Date', value: i => i.invoiceDate },
+    { header: 'Status', value: i => i.status },
+    { header: 'Transaction ID', value: i => i.transactionId },
+    { header: 'Customer Name', value: i => i.customerName },
+    { header: 'Customer Email', value: i => i.customerEmail },
+    { header: 'Amount', value: i => i.amount },
+    { header: 'Currency', value: i => i.currency },
+    { header: 'Recipient Name', value: i => i.recipientName },
+    { header: 'Recipient Account', value: i => i.recipientAccount, account: true },
+    { header: 'Recipient SWIFT', value: i => i.recipientSwift },
+    { header: 'Reference', value: i => i.reference },
+    { header: 'Payment Status', value: i => i.paymentStatus },
+    { header: 'Verified By', value: i => i.verifiedByEmail },
+    { header: 'Due Date', value: i => i.dueDate },
+    { header: 'Paid Date', value: i => i.paidDate },
+  ],
+  customers: [
+    { header: 'Name', value: c => c.name },
+    { header: 'Email', value: c => c.email },
+    { header: 'Account Number', value: c => c.accountNumber, account: true },
+    { header: 'Account Type', value: c => c.accountType },
+    { header: 'Status', value: c => c.status },
+    { header: 'Country', value: c => c.address?.country },
+    { header: 'Created', value: c => c.createdAt },
+    { header: 'Last Login', value: c => c.lastLogin },
+  ],
+};
+
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Error with a machine-readable code
+ */
+function exportError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Text a spreadsheet will not evaluate as a formula
+ */
+const neutralizeFormula = text => (FORMULA_PREFIX.test(text) ? `'${text}` : text);
+
+/**
+ * Last four characters of an account number
+ */
+const maskAccountNumber = value => {
+  if (!value) {
+    return value;
+  }
+  const text = String(value);
+  return text.length > 4 ? `****${text.slice(-4)}` : '****';
+};
+
+/**
+ * Whether the employee may export full account numbers
+ */
+const canExportAccountNumbers = employee =>
+  Boolean(employee?.permissions?.includes(EXPORT_CONFIG.unmaskedPermission));
+
+/**
+ * Cell value for a column: numbers stay numeric, everything else is text
+ */
+function cellValue(column, row, maskAccounts) {
+  let value = column.value(row);
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'number') {
+    return value;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (column.account && maskAccounts) {
+    value = maskAccountNumber(value);
+  }
+  return neutralizeFormula(String(value));
+}
+
+// RFC 4180 field quoting
+const csvField = value => {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * CSV writer with the same interface as createXlsxWriter
+ */
+function createCsvWriter(write) {
+  return {
+    // Byte order mark so Excel reads the file as UTF-8
+    start: () => write(Buffer.from('\uFEFF', 'utf8')),
+    addRow: values => write(Buffer.from(`${values.map(csvField).join(',')}\r\n`, 'utf8')),
+    end: async () => {},
+  };
+}
+
+/**
+ * Write to a response, waiting for the client when its buffer is full
+ */
+function writeTo(res, chunk) {
+  if (res.destroyed) {
+    return Promise.reject(exportError('Export connection closed', 'EXPORT_ABORTED'));
+  }
+  if (res.write(chunk)) {
+    return Promise.resolve();
+  }
+  return new Promise((resolve, reject) => {
+    const onDrain = () => {
+      res.off('close', onClose);
+      resolve();
+    };
+    const onClose = () => {
+      res.off('drain', onDrain);
+      reject(exportError('Export connection closed', 'EXPORT_ABORTED'));
+    };
+    res.once('drain', onDrain);
+    res.once('close', onClose);
+  });
+}
+
+/**
+ * Download file name, e.g. payments-2026-03-01.xlsx
+ */
+const exportFileName = (dataset, format) =>
+  `${dataset}-${new Date().toISOString().slice(0, 10)}.${EXPORT_CONFIG.formats[format].extension}`;
+
+/**
+ * Stream rows to the response as CSV or XLSX
+ *
+ * @param {Object} res - Express response
+ * @param {Object} options
+ * @param {string} options.dataset - payments, invoices or customers (file and sheet name)
+ * @param {string} options.format - csv or xlsx
+ * @param {Array<Object>} options.columns - { header, value(row), account? }
+ * @param {AsyncIterable<Object>} options.rows - Usually a Mongoose query cursor
+ * @param {boolean} options.maskAccounts - Mask columns flagged as account numbers
+ * @returns {Promise<number>} Rows written
+ */
+async function streamExport(res, { dataset, format, columns, rows, maskAccounts }) {
+  const { contentType } = EXPORT_CONFIG.formats[format];
+
+  res.status(200);
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${exportFileName(dataset, format)}"`);
+  res.setHeader('Cache-Control', 'no-store');
+
+  const write = chunk => writeTo(res, chunk);
+  const sheetName = dataset.charAt(0).toUpperCase() + dataset.slice(1);
+  const writer =
+    format === 'xlsx' ? createXlsxWriter(write, { sheetName }) : createCsvWriter(write);
+
+  let count = 0;
+  await writer.start();
+  await writer.addRow(columns.map(column => column.header));
+  for await (const row of rows) {
+    await writer.addRow(columns.map(column => cellValue(column, row, maskAccounts)));
+    count += 1;
+  }
+  await writer.end();
+  res.end();
+
+  return count;
+}
+
+/**
+ * Route handler exporting one dataset
+ * Must run after authenticateEmployee and the query validation
+ *
+ * @param {string} dataset - Key of EXPORT_COLUMNS
+ * @param {Function} buildQuery - req => { Model, filter, sort }
+ * @returns {Function} Express handler
+ */
+function exportHandler(dataset, buildQuery) {
+  return async (req, res) => {
+    const format = req.query.format || 'csv';
+
+    try {
+      const { Model, filter, sort } = buildQuery(req);
+      const rowCount = await Model.countDocuments(filter);
+
+      if (rowCount > EXPORT_CONFIG.maxRows) {
+        return res.status(400).json({
+          success: false,
+          message: `Exports are limited to ${EXPORT_CONFIG.maxRows} rows - narrow the filters`,
+          code: 'EXPORT_TOO_LARGE',
+        });
+      }
+
+      const maskAccounts = !canExportAccountNumbers(req.employee);
+      const filters = { ...req.query };
+      delete filters.format;
+
+      createSecurityEvent(
+        'data_export',
+        {
+          employeeId: req.user.userId,
+          employeeDepartment: req.employee.department,
+          dataset,
+          format,
+          rows: rowCount,
+          accountNumbers: maskAccounts ? 'masked' : 'full',
+          filters,
+        },
+        req
+      );
+
+      const rows = await streamExport(res, {
+        dataset,
+        format,
+        columns: EXPORT_COLUMNS[dataset],
+        rows: Model.find(filter).sort(sort).cursor(),
+        maskAccounts,
+      });
+
+      logger.info('Data exported', { dataset, format, rows, employeeId: req.user.userId });
+    } catch (error) {
+      logger.error('Data export error', { error, dataset, format });
+
+      if (res.headersSent) {
+        // Part of the file has gone out - cut the download short rather than
+        // leave a truncated file looking complete
+        return res.destroy();
+      }
+      res.removeHeader('Content-Disposition');
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to export data',
+      });
+    }
+  };
+}
+
+module.exports = {
+  EXPORT_CONFIG,
+  EXPORT_COLUMNS,
+  neutralizeFormula,
+  maskAccountNumber,
+  canExportAccountNumbers,
+  streamExport,
+  exportHandler,
+};
@@ -0,0 +1,628 @@
+/**
+ * FIELD-LEVEL ENCRYPTION
+ *
+ * Customer and payment PII (account numbers, recipient names) is stored
+ * AES-256-GCM encrypted. Schema paths opt in with `encrypted: true` and the
+ * models apply fieldEncryption as a plugin: values are encrypted on save()
+ * and decrypted when documents are loaded, so route code reads and writes
+ * plaintext as before.
+ *
+ * KEY HIERARCHY:
+ *   master key - 32 bytes (hex) from FIELD_MASTER_KEY or the file at
+ *                FIELD_MASTER_KEY_FILE; never stored in MongoDB. Outside
+ *                production a key file is generated on first start.
+ *   data keys  - random 32-byte keys in the DataKey collection, wrapped by
+ *                the master key. One encryption key is active; retired keys
+ *                still decrypt older values. A separate blind_index key
+ *                keys the searchable hashes.
+ *
+ * STORED FORMAT: enc:v1:<keyId>:<iv>:<tag>:<ciphertext> (hex parts). The
+ * model, field and document _id are bound in as additional authenticated
+ * data, so a value copied onto another document or field fails to decrypt.
+ *
+ * BLIND INDEXES: paths marked `blindIndex: true` also store
+ * <path>Index = HMAC-SHA256 of the normalised value. Exact-match queries on
+ * the path (find, findOne, exists, countDocuments, ...) are rewritten to the
+ * index, so Customer.findOne({ accountNumber }) keeps working. Range, regex
+ * and sort on encrypted paths are rejected (ENCRYPTED_FIELD_QUERY).
+ *
+ * Encrypted paths can only be written through save(); update queries that
+ * set them are rejected (ENCRYPTED_FIELD_UPDATE).
+ *
+ * MIGRATION: documents written before encryption was enabled hold
+ * plaintext and no index. backfillBlindIndexes() encrypts and indexes them
+ * on every start (config/database.js), so lookups such as the duplicate
+ * account check on registration find them.
+ *
+ * ROTATION: utils/rotateFieldKeys.js activates a new data key and
+ * re-encrypts existing documents, and can re-wrap the data keys under a new
+ * master key.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const DataKey = require('../models/DataKey');
+const { logger } = require('./logger');
+
+const FIELD_ENCRYPTION_CONFIG = {
+  masterKeyFile:
+    process.env.FIELD_MASTER_KEY_FILE || path.join(__dirname, '../keys/field-master.key'),
+  algorithm: 'aes-256-gcm',
+  prefix: 'enc:v1',
+  // Fixed IDs for the first keys, so instances starting together agree on them
+  initialKeyIds: { encryption: 'initial', blind_index: 'blind-index' },
+};
+
+const KEY_PATTERN = /^[0-9a-f]{64}$/i;
+
+// Query middleware whose filters are rewritten onto blind indexes
+const QUERY_HOOKS = [
+  'find',
+  'findOne',
+  'countDocuments',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'replaceOne',
+  'updateOne',
+  'updateMany',
+];
+
+// Loaded by initializeFieldEncryption()
+const keyring = {
+  masterKey: null,
+  encryptionKeys: new Map(),
+  activeKeyId: null,
+  blindIndexKey: null,
+};
+
+// Encrypted paths of each schema the plugin is applied to
+const encryptedSchemas = new WeakMap();
+
+/**
+ * Error with a machine-readable code
+ */
+function encryptionError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Parse a 64-character hex master key
+ */
+function parseMasterKey(value, source) {
+  const hex = String(value || '').trim();
+  if (!KEY_PATTERN.test(hex)) {
+    throw encryptionError(
+      `${source} must hold a 32-byte key as 64 hex characters`,
+      'MASTER_KEY_INVALID'
+    );
+  }
+  return Buffer.from(hex, 'hex');
+}
+
+/**
+ * Read a master key file
+ */
+function readMasterKeyFile(file) {
+  return parseMasterKey(fs.readFileSync(file, 'utf8'), file);
+}
+
+/**
+ * Master key from FIELD_MASTER_KEY or the key file, generating the file
+ * outside production
+ */
+function loadMasterKey() {
+  if (process.env.FIELD_MASTER_KEY) {
+    return parseMasterKey(process.env.FIELD_MASTER_KEY, 'FIELD_MASTER_KEY');
+  }
+
+  const file = FIELD_ENCRYPTION_CONFIG.masterKeyFile;
+  if (fs.existsSync(file)) {
+    return readMasterKeyFile(file);
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw encryptionError(
+      'No field encryption master key - set FIELD_MASTER_KEY or FIELD_MASTER_KEY_FILE',
+      'MASTER_KEY_MISSING'
+    );
+  }
+
+  const key = crypto.randomBytes(32);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${key.toString('hex')}\n`, { mode: 0o600 });
+  logger.warn('Generated a development field encryption master key', { file });
+  return key;
+}
+
+/**
+ * Encrypt a data key under the master key (iv:tag:ciphertext, hex)
+ */
+function wrapKey(key, keyId, masterKey) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(FIELD_ENCRYPTION_CONFIG.algorithm, masterKey, iv);
+  cipher.setAAD(Buffer.from(`data-key:${keyId}`));
+  const encrypted = Buffer.concat([cipher.update(key), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+}
+
+/**
+ * Decrypt a wrapped data key
+ */
+function unwrapKey(wrappedKey, keyId, masterKey) {
+  const [iv, tag, encrypted] = String(wrappedKey)
+    .split(':')
+    .map(part => Buffer.from(part, 'hex'));
+
+  try {
+    const decipher = crypto.createDecipheriv(FIELD_ENCRYPTION_CONFIG.algorithm, masterKey, iv);
+    decipher.setAAD(Buffer.from(`data-key:${keyId}`));
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]);
+  } catch {
+    throw encryptionError(
+      `Data key ${keyId} could not be unwrapped - is this the right master key?`,
+      'MASTER_KEY_MISMATCH'
+    );
+  }
+}
+
+/**
+ * Store a new data key, or load the one another instance stored first
+ */
+async function ensureDataKey(purpose, keyId, masterKey) {
+  const key = crypto.randomBytes(32);
+  try {
+    await DataKey.create({ keyId, purpose, wrappedKey: wrapKey(key, keyId, masterKey) });
+    return key;
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+    const existing = await DataKey.findOne({ keyId }).lean();
+    return unwrapKey(existing.wrappedKey, keyId, masterKey);
+  }
+}
+
+/**
+ * Load the data keys, creating the first ones on an empty database
+ *
+ * @param {Buffer} [masterKey] - Defaults to loadMasterKey()
+ */
+async function initializeFieldEncryption(masterKey = loadMasterKey()) {
+  const stored = await DataKey.find({}).sort({ createdAt: 1 }).lean();
+
+  const encryptionKeys = new Map();
+  let activeKeyId = null;
+  let blindIndexKey = null;
+
+  stored.forEach(dataKey => {
+    const key = unwrapKey(dataKey.wrappedKey, dataKey.keyId, masterKey);
+    if (dataKey.purpose === 'blind_index') {
+      blindIndexKey = blindIndexKey || key;
+      return;
+    }
+    encryptionKeys.set(dataKey.keyId, key);
+    // Newest active key wins
+    if (dataKey.status === 'active') {
+      activeKeyId = dataKey.keyId;
+    }
+  });
+
+  const { initialKeyIds } = FIELD_ENCRYPTION_CONFIG;
+  if (!blindIndexKey) {
+    blindIndexKey = await ensureDataKey('blind_index', initialKeyIds.blind_index, masterKey);
+  }
+  if (!activeKeyId) {
+    activeKeyId = initialKeyIds.encryption;
+    encryptionKeys.set(
+      activeKeyId,
+      await ensureDataKey('encryption', initialKeyIds.encryption, masterKey)
+    );
+  }
+
+  Object.assign(keyring, { masterKey, encryptionKeys, activeKeyId, blindIndexKey });
+  logger.info('Field encryption keys loaded', { activeKeyId, dataKeys: encryptionKeys.size });
+}
+
+function requireKeys() {
+  if (!keyring.activeKeyId) {
+    throw encryptionError('Field encryption keys are not loaded', 'FIELD_KEYS_NOT_LOADED');
+  }
+}
+
+const isEncrypted = value =>
+  typeof value === 'string' && value.startsWith(`${FIELD_ENCRYPTION_CONFIG.prefix}:`);
+
+/**
+ * Data key ID of a stored value (null for plaintext)
+ */
+const keyIdOf = value => (isEncrypted(value) ? value.split(':')[2] : null);
+
+/**
+ * Additional authenticated data for one field of one document
+ */
+const fieldContext = (modelName, fieldPath, id) => `${modelName}.${fieldPath}:${id}`;
+
+/**
+ * Encrypt a field value with the active data key
+ */
+function encryptValue(value, context) {
+  requireKeys();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(
+    FIELD_ENCRYPTION_CONFIG.algorithm,
+    keyring.encryptionKeys.get(keyring.activeKeyId),
+    iv
+  );
+  cipher.setAAD(Buffer.from(context));
+  const encrypted = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+
+  return [
+    FIELD_ENCRYPTION_CONFIG.prefix,
+    keyring.activeKeyId,
+    ...[iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')),
+  ].join(':');
+}
+
+/**
+ * Decrypt a stored field value
+ */
+function decryptValue(stored, context) {
+  requireKeys();
+  const [, , keyId, iv, tag, encrypted] = stored.split(':');
+  const key = keyring.encryptionKeys.get(keyId);
+  if (!key) {
+    throw encryptionError(
+      `Unknown data key ${keyId} - restart to load keys rotated by another instance`,
+      'FIELD_KEY_UNKNOWN'
+    );
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv(
+      FIELD_ENCRYPTION_CONFIG.algorithm,
+      key,
+      Buffer.from(iv, 'hex')
+    );
+    decipher.setAAD(Buffer.from(context));
+    decipher.setAuthTag(Buffer.from(tag, 'hex'));
+    return Buffer.concat([
+      decipher.update(Buffer.from(encrypted, 'hex')),
+      decipher.final(),
+    ]).toString('utf8');
+  } catch {
+    throw encryptionError(`Encrypted value failed authentication (${context})`, 'FIELD_TAMPERED');
+  }
+}
+
+/**
+ * Searchable hash of a field value (spaces and case ignored)
+ */
+function computeBlindIndex(modelName, fieldPath, value) {
+  requireKeys();
+  const normalised = String(value).replace(/\s+/g, '').toUpperCase();
+  return crypto
+    .createHmac('sha256', keyring.blindIndexKey)
+    .update(`${modelName}.${fieldPath}:${normalised}`)
+    .digest('hex');
+}
+
+const indexPath = fieldPath => `${fieldPath}Index`;
+
+const getRawValue = (data, fieldPath) =>
+  fieldPath.split('.').reduce((node, part) => node?.[part], data);
+
+function setRawValue(data, fieldPath, value) {
+  const parts = fieldPath.split('.');
+  const parent = parts.slice(0, -1).reduce((node, part) => node?.[part], data);
+  if (parent) {
+    parent[parts[parts.length - 1]] = value;
+  }
+}
+
+/**
+ * Rewrite exact matches on encrypted paths onto their blind indexes
+ */
+function blindFilter(modelName, fields, filter) {
+  return Object.fromEntries(
+    Object.entries(filter || {}).map(([key, condition]) => {
+      if (['$and', '$or', '$nor'].includes(key)) {
+        return [key, condition.map(clause => blindFilter(modelName, fields, clause))];
+      }
+
+      const field = fields.find(({ path: fieldPath }) => fieldPath === key);
+      if (!field) {
+        return [key, condition];
+      }
+      if (!field.blindIndex) {
+        throw encryptionError(`${key} is encrypted and cannot be queried`, 'ENCRYPTED_FIELD_QUERY');
+      }
+
+      const hash = value => computeBlindIndex(modelName, key, value);
+      const operators = condition && typeof condition === 'object' ? Object.keys(condition) : [];
+      if (typeof condition === 'string') {
+        return [indexPath(key), hash(condition)];
+      }
+      if (operators.length === 1 && typeof condition.$eq === 'string') {
+        return [indexPath(key), hash(condition.$eq)];
+      }
+      if (operators.length === 1 && Array.isArray(condition.$in)) {
+        return [indexPath(key), { $in: condition.$in.map(hash) }];
+      }
+      throw encryptionError(
+        `${key} is encrypted - only exact matches are supported`,
+        'ENCRYPTED_FIELD_QUERY'
+      );
+    })
+  );
+}
+
+/**
+ * Whether an update query writes an encrypted path
+ */
+function updatesEncryptedField(fields, update) {
+  if (!update || Array.isArray(update)) {
+    return false;
+  }
+  const written = Object.entries(update).flatMap(([key, value]) =>
+    key.startsWith('$') ? Object.keys(value || {}) : [key]
+  );
+  return fields.some(({ path: fieldPath }) =>
+    written.some(
+      key => key === fieldPath || key.startsWith(`${fieldPath}.`) || fieldPath.startsWith(`${key}.`)
+    )
+  );
+}
+
+/**
+ * Put the plaintext of fields encrypted by save() back on the document
+ */
+function restorePlaintext(doc) {
+  Object.entries(doc.$locals.fieldPlaintext || {}).forEach(([fieldPath, value]) => {
+    doc.set(fieldPath, value);
+    doc.unmarkModified(fieldPath);
+  });
+  delete doc.$locals.fieldPlaintext;
+}
+
+/**
+ * Mongoose plugin encrypting the schema's `encrypted: true` paths
+ */
+function fieldEncryption(schema) {
+  const fields = [];
+  schema.eachPath((fieldPath, schemaType) => {
+    if (schemaType.options.encrypted) {
+      fields.push({ path: fieldPath, blindIndex: Boolean(schemaType.options.blindIndex) });
+    }
+  });
+  if (fields.length === 0) {
+    return;
+  }
+
+  const indexPaths = fields.filter(field => field.blindIndex).map(field => indexPath(field.path));
+  fields
+    .filter(field => field.blindIndex)
+    .forEach(({ path: fieldPath }) => {
+      const unique = Boolean(schema.path(fieldPath).options.blindIndex.unique);
+      schema.add({ [indexPath(fieldPath)]: { type: String, select: false } });
+      // Sparse so documents written before encryption don't collide on null
+      schema.index({ [indexPath(fieldPath)]: 1 }, { unique, sparse: true });
+    });
+  encryptedSchemas.set(schema, fields);
+
+  // Blind indexes stay out of API responses
+  if (indexPaths.length > 0) {
+    schema.set('toJSON', {
+      transform: (doc, ret) => {
+        indexPaths.forEach(hidden => delete ret[hidden]);
+        return ret;
+      },
+    });
+  }
+
+  // Decrypt the raw document before it is hydrated
+  schema.pre('init', function (data) {
+    const modelName = this.constructor.modelName;
+    fields.forEach(({ path: fieldPath }) => {
+      const stored = getRawValue(data, fieldPath);
+      if (isEncrypted(stored)) {
+        setRawValue(
+          data,
+          fieldPath,
+          decryptValue(stored, fieldContext(modelName, fieldPath, data._id))
+        );
+      }
+    });
+  });
+
+  // Runs after validation, so validators see the plaintext
+  schema.pre('save', function () {
+    const modelName = this.constructor.modelName;
+    const plaintext = {};
+
+    fields.forEach(({ path: fieldPath, blindIndex }) => {
+      const value = this.get(fieldPath);
+      if (
+        value === null ||
+        value === undefined ||
+        isEncrypted(value) ||
+        !(this.isNew || this.isModified(fieldPath))
+      ) {
+        return;
+      }
+      if (blindIndex) {
+        this.set(indexPath(fieldPath), computeBlindIndex(modelName, fieldPath, value));
+      }
+      plaintext[fieldPath] = value;
+      this.set(fieldPath, encryptValue(value, fieldContext(modelName, fieldPath, this._id)));
+    });
+
+    this.$locals.fieldPlaintext = plaintext;
+  });
+
+  schema.post('save', function () {
+    restorePlaintext(this);
+  });
+  schema.post('save', function (error, doc, next) {
+    restorePlaintext(doc);
+    next(error);
+  });
+
+  schema.pre(QUERY_HOOKS, function () {
+    this.setQuery(blindFilter(this.model.modelName, fields, this.getFilter()));
+    if (updatesEncryptedField(fields, this.getUpdate())) {
+      throw encryptionError(
+        'Encrypted fields can only be written with save()',
+        'ENCRYPTED_FIELD_UPDATE'
+      );
+    }
+  });
+}
+
+/**
+ * Activate a new encryption key and retire the current ones. Values written
+ * under retired keys stay readable until reencryptModel() rewrites them.
+ *
+ * @returns {Promise<string>} The new key's ID
+ */
+async function rotateEncryptionKey() {
+  requireKeys();
+  const keyId = crypto.randomBytes(8).toString('hex');
+  const key = await ensureDataKey('encryption', keyId, keyring.masterKey);
+
+  await DataKey.updateMany(
+    { purpose: 'encryption', status: 'active', keyId: { $ne: keyId } },
+    { $set: { status: 'retired', retiredAt: new Date() } }
+  );
+
+  keyring.encryptionKeys.set(keyId, key);
+  keyring.activeKeyId = keyId;
+  return keyId;
+}
+
+/**
+ * Rewrite one stored document's values that are not under the active key,
+ * encrypting and indexing plaintext on the way
+ *
+ * @returns {Promise<boolean>} Whether the document was updated
+ */
+async function reencryptDocument(Model, fields, doc) {
+  const $set = {};
+
+  fields.forEach(({ path: fieldPath, blindIndex }) => {
+    const stored = getRawValue(doc, fieldPath);
+    if (stored === null || stored === undefined || keyIdOf(stored) === keyring.activeKeyId) {
+      return;
+    }
+    const context = fieldContext(Model.modelName, fieldPath, doc._id);
+    const value = isEncrypted(stored) ? decryptValue(stored, context) : stored;
+
+    $set[fieldPath] = encryptValue(value, context);
+    if (blindIndex) {
+      $set[indexPath(fieldPath)] = computeBlindIndex(Model.modelName, fieldPath, value);
+    }
+  });
+
+  if (Object.keys($set).length === 0) {
+    return false;
+  }
+  await Model.collection.updateOne({ _id: doc._id }, { $set });
+  return true;
+}
+
+/**
+ * Rewrite every value of a model not under the active key, encrypting
+ * plaintext left from before encryption was enabled
+ *
+ * @param {Object} Model - Mongoose model using the fieldEncryption plugin
+ * @returns {Promise<Object>} { checked, updated }
+ */
+async function reencryptModel(Model) {
+  requireKeys();
+  const fields = encryptedSchemas.get(Model.schema) || [];
+  const result = { checked: 0, updated: 0 };
+
+  // Lean documents skip the init hook, so values arrive as stored
+  for await (const doc of Model.find({}).lean().cursor()) {
+    result.checked += 1;
+    if (await reencryptDocument(Model, fields, doc)) {
+      result.updated += 1;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Encrypt and index the documents of a model that have a blind-indexed value
+ * but no index - those written before encryption was enabled. Exact-match
+ * lookups only search the index, so until then they can't be found.
+ *
+ * @param {Object} Model - Mongoose model using the fieldEncryption plugin
+ * @returns {Promise<number>} Number of documents updated
+ */
+async function backfillBlindIndexes(Model) {
+  requireKeys();
+  const fields = encryptedSchemas.get(Model.schema) || [];
+  const unindexed = fields
+    .filter(field => field.blindIndex)
+    .map(({ path: fieldPath }) => ({
+      [fieldPath]: { $exists: true, $ne: null },
+      [indexPath(fieldPath)]: { $exists: false },
+    }));
+  if (unindexed.length === 0) {
+    return 0;
+  }
+
+  // Read through the driver so the query isn't rewritten onto the index
+  let updated = 0;
+  for await (const doc of Model.collection.find({ $or: unindexed })) {
+    if (await reencryptDocument(Model, fields, doc)) {
+      updated += 1;
+    }
+  }
+  return updated;
+}
+
+/**
+ * Re-wrap every data key under a new master key
+ *
+ * @param {Buffer} newMasterKey
+ * @returns {Promise<number>} Number of keys re-wrapped
+ */
+async function rewrapDataKeys(newMasterKey) {
+  requireKeys();
+  const stored = await DataKey.find({}).lean();
+
+  // Unwrap everything first, so a wrong current master key changes nothing
+  const rewrapped = stored.map(({ keyId, wrappedKey }) => ({
+    keyId,
+    wrappedKey: wrapKey(unwrapKey(wrappedKey, keyId, keyring.masterKey), keyId, newMasterKey),
+  }));
+
+  for (const { keyId, wrappedKey } of rewrapped) {
+    await DataKey.updateOne({ keyId }, { $set: { wrappedKey } });
+  }
+
+  keyring.masterKey = newMasterKey;
+  return rewrapped.length;
+}
+
+module.exports = {
+  FIELD_ENCRYPTION_CONFIG,
+  fieldEncryption,
+  initializeFieldEncryption,
+  loadMasterKey,
+  readMasterKeyFile,
+  computeBlindIndex,
+  rotateEncryptionKey,
+  reencryptModel,
+  backfillBlindIndexes,
+  rewrapDataKeys,
+};
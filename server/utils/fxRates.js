@@ -0,0 +1,247 @@
+/**
+ * FX RATES AND QUOTES
+ *
+ * Rate table: units of each currency per 1 unit of the table's base currency,
+ * e.g. { base: 'USD', rates: { USD: 1, EUR: 0.92 } }. The active table is
+ * the latest published FxRateSet, falling back to the local rates file.
+ *
+ * QUOTE-AND-LOCK:
+ *   1. createQuote()  - Prices a payment in the customer's account currency
+ *                       (mid rate plus spread) and stores it with an expiry
+ *   2. lockQuote()    - Atomically marks an unexpired quote as used; the locked
+ *                       rate, spread and expiry are stored on the Payment
+ *
+ * Employee statistics are converted to FX_CONFIG.baseCurrency with mid rates.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const FxRateSet = require('../models/FxRateSet');
+const FxQuote = require('../models/FxQuote');
+const { logger } = require('./logger');
+
+const FX_CONFIG = {
+  // Reporting currency for employee statistics
+  baseCurrency: process.env.FX_BASE_CURRENCY || 'USD',
+  ratesFile: process.env.FX_RATES_FILE || path.join(__dirname, '../config/fx-rates.json'),
+  // Margin added to the mid rate on cross-currency payments (0.005 = 0.5%)
+  spread: process.env.FX_SPREAD !== undefined ? parseFloat(process.env.FX_SPREAD) : 0.005,
+  quoteTtlSeconds: parseInt(process.env.FX_QUOTE_TTL_SECONDS, 10) || 120,
+};
+
+const SUPPORTED_CURRENCIES = ['USD', 'EUR', 'GBP', 'ZAR'];
+
+let activeRates = null;
+
+const roundAmount = amount => Math.round(amount * 100) / 100;
+
+/**
+ * Error with a machine-readable code for a rejected rate table
+ */
+function rateTableError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_RATE_TABLE';
+  return error;
+}
+
+/**
+ * Check a rate table covers every supported currency with positive rates
+ */
+function validateRateTable(table) {
+  if (!table || !SUPPORTED_CURRENCIES.includes(table.base)) {
+    throw rateTableError(`Rate table base must be one of ${SUPPORTED_CURRENCIES.join(', ')}`);
+  }
+
+  const rates = table.rates instanceof Map ? Object.fromEntries(table.rates) : table.rates || {};
+
+  SUPPORTED_CURRENCIES.forEach(currency => {
+    const rate = rates[currency];
+    if (typeof rate !== 'number' || !Number.isFinite(rate) || rate <= 0) {
+      throw rateTableError(`Missing or invalid rate for ${currency}`);
+    }
+  });
+
+  if (rates[table.base] !== 1) {
+    throw rateTableError('The base currency rate must be 1');
+  }
+
+  return {
+    base: table.base,
+    rates: Object.fromEntries(SUPPORTED_CURRENCIES.map(c => [c, rates[c]])),
+    asOf: new Date(table.asOf || Date.now()),
+    source: table.source || 'file',
+  };
+}
+
+/**
+ * Replace the active rate table
+ */
+function setRates(table) {
+  activeRates = validateRateTable(table);
+  return activeRates;
+}
+
+/**
+ * Read a rate table from a local JSON file
+ */
+function loadRatesFromFile(filePath = FX_CONFIG.ratesFile) {
+  const table = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return validateRateTable({ ...table, source: 'file' });
+}
+
+/**
+ * Active rate table (the rates file until a set is published)
+ */
+function getRates() {
+  if (!activeRates) {
+    activeRates = loadRatesFromFile();
+  }
+  return activeRates;
+}
+
+/**
+ * Load the latest published rate set on startup
+ */
+async function initializeFxRates() {
+  const latest = await FxRateSet.findOne().sort({ createdAt: -1 });
+
+  if (latest) {
+    setRates(latest);
+    logger.info('FX rates loaded', { asOf: latest.asOf });
+  } else {
+    setRates(loadRatesFromFile());
+    logger.info('FX rates loaded', { file: FX_CONFIG.ratesFile });
+  }
+}
+
+/**
+ * Validate, store and activate a new rate table
+ */
+async function publishRates(table, publishedBy) {
+  const validated = validateRateTable(table);
+
+  await FxRateSet.create({ ...validated, publishedBy });
+  return setRates(validated);
+}
+
+/**
+ * Mid-market rate: units of `to` per 1 unit of `from`
+ */
+function getMidRate(from, to) {
+  const { rates } = getRates();
+
+  if (!rates[from] || !rates[to]) {
+    throw new Error(`Unsupported currency pair ${from}/${to}`);
+  }
+  return rates[to] / rates[from];
+}
+
+/**
+ * Convert an amount at the mid rate (rounded to cents)
+ */
+function convertAmount(amount, from, to) {
+  return from === to ? amount : roundAmount(amount * getMidRate(from, to));
+}
+
+/**
+ * Total a list of { amount, currency } in the reporting currency
+ */
+function sumInBaseCurrency(items) {
+  return roundAmount(
+    items.reduce(
+      (sum, item) => sum + convertAmount(item.amount, item.currency, FX_CONFIG.baseCurrency),
+      0
+    )
+  );
+}
+
+/**
+ * Price a payment in the customer's account currency and store the quote
+ *
+ * @param {Object} params
+ * @param {string} params.customerId
+ * @param {number} params.amount - Amount the recipient is sent
+ * @param {string} params.currency - Payment currency
+ * @param {string} params.accountCurrency - Currency the customer is debited in
+ * @returns {Promise<Object>} FxQuote document
+ */
+async function createQuote({ customerId, amount, currency, accountCurrency }) {
+  const midRate = getMidRate(currency, accountCurrency);
+  const spread = currency === accountCurrency ? 0 : FX_CONFIG.spread;
+  const rate = midRate * (1 + spread);
+
+  return FxQuote.create({
+    quoteId: `QTE-${Date.now()}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+    customerId,
+    amount,
+    currency,
+    accountCurrency,
+    debitAmount: roundAmount(amount * rate),
+    midRate,
+    spread,
+    rate,
+    ratesAsOf: getRates().asOf,
+    expiresAt: new Date(Date.now() + FX_CONFIG.quoteTtlSeconds * 1000),
+  });
+}
+
+/**
+ * Use a quote for a payment - must belong to the customer, match the payment
+ * and be unexpired and unused. Returns null otherwise.
+ */
+async function lockQuote({ quoteId, customerId, amount, currency }) {
+  return FxQuote.findOneAndUpdate(
+    {
+      quoteId,
+      customerId,
+      amount,
+      currency,
+      used: false,
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { used: true } },
+    { new: true }
+  );
+}
+
+/**
+ * Give a locked quote back when no payment was created with it (challenge
+ * failed, insufficient funds). It still expires at its original time.
+ */
+async function unlockQuote(quoteId) {
+  await FxQuote.updateOne({ quoteId, used: true }, { $set: { used: false } });
+}
+
+/**
+ * Fields stored on the Payment for a locked quote
+ */
+function toPaymentFx(quote) {
+  return {
+    quoteId: quote.quoteId,
+    accountCurrency: quote.accountCurrency,
+    debitAmount: quote.debitAmount,
+    midRate: quote.midRate,
+    spread: quote.spread,
+    rate: quote.rate,
+    ratesAsOf: quote.ratesAsOf,
+    expiresAt: quote.expiresAt,
+  };
+}
+
+module.exports = {
+  FX_CONFIG,
+  SUPPORTED_CURRENCIES,
+  setRates,
+  getRates,
+  loadRatesFromFile,
+  initializeFxRates,
+  publishRates,
+  getMidRate,
+  convertAmount,
+  sumInBaseCurrency,
+  createQuote,
+  lockQuote,
+  unlockQuote,
+  toPaymentFx,
+};
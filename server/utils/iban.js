@@ -0,0 +1,196 @@
+/**
+ * IBAN VALIDATION (ISO 13616)
+ *
+ * Checks, in order:
+ *   1. Shape       - 2-letter country code, 2 check digits, alphanumeric BBAN
+ *   2. Length      - Exact length for the country from the SWIFT IBAN registry
+ *   3. BBAN format - Registry structure, e.g. GB is 4!a6!n8!n
+ *   4. Checksum    - Move the first 4 characters to the end, letters to numbers
+ *                    (A=10 ... Z=35), the result mod 97 must equal 1
+ *
+ * IBAN-style numbers from countries outside the registry (e.g. US) still get
+ * the length bounds and checksum, but no country structure.
+ *
+ * client/src/lib/iban.js mirrors this module for instant form feedback.
+ */
+
+const IBAN_CONFIG = {
+  minLength: 15,
+  maxLength: 34,
+};
+
+/**
+ * IBAN registry: country -> total length and BBAN structure
+ * Structure: n = digits, a = upper-case letters, c = alphanumeric, "!" = fixed length
+ */
+const IBAN_REGISTRY = {
+  AD: { length: 24, bban: '4!n4!n12!c' },
+  AE: { length: 23, bban: '3!n16!n' },
+  AL: { length: 28, bban: '8!n16!c' },
+  AT: { length: 20, bban: '5!n11!n' },
+  AZ: { length: 28, bban: '4!a20!c' },
+  BA: { length: 20, bban: '3!n3!n8!n2!n' },
+  BE: { length: 16, bban: '3!n7!n2!n' },
+  BG: { length: 22, bban: '4!a4!n2!n8!c' },
+  BH: { length: 22, bban: '4!a14!c' },
+  BR: { length: 29, bban: '8!n5!n10!n1!a1!c' },
+  CH: { length: 21, bban: '5!n12!c' },
+  CR: { length: 22, bban: '4!n14!n' },
+  CY: { length: 28, bban: '3!n5!n16!c' },
+  CZ: { length: 24, bban: '4!n6!n10!n' },
+  DE: { length: 22, bban: '8!n10!n' },
+  DK: { length: 18, bban: '4!n9!n1!n' },
+  DO: { length: 28, bban: '4!c20!n' },
+  EE: { length: 20, bban: '2!n2!n11!n1!n' },
+  EG: { length: 29, bban: '4!n4!n17!n' },
+  ES: { length: 24, bban: '4!n4!n1!n1!n10!n' },
+  FI: { length: 18, bban: '3!n11!n' },
+  FO: { length: 18, bban: '4!n9!n1!n' },
+  FR: { length: 27, bban: '5!n5!n11!c2!n' },
+  GB: { length: 22, bban: '4!a6!n8!n' },
+  GE: { length: 22, bban: '2!a16!n' },
+  GI: { length: 23, bban: '4!a15!c' },
+  GL: { length: 18, bban: '4!n9!n1!n' },
+  GR: { length: 27, bban: '3!n4!n16!c' },
+  GT: { length: 28, bban: '4!c20!c' },
+  HR: { length: 21, bban: '7!n10!n' },
+  HU: { length: 28, bban: '3!n4!n1!n15!n1!n' },
+  IE: { length: 22, bban: '4!a6!n8!n' },
+  IL: { length: 23, bban: '3!n3!n13!n' },
+  IS: { length: 26, bban: '4!n2!n6!n10!n' },
+  IT: { length: 27, bban: '1!a5!n5!n12!c' },
+  JO: { length: 30, bban: '4!a4!n18!c' },
+  KW: { length: 30, bban: '4!a22!c' },
+  KZ: { length: 20, bban: '3!n13!c' },
+  LB: { length: 28, bban: '4!n20!c' },
+  LI: { length: 21, bban: '5!n12!c' },
+  LT: { length: 20, bban: '5!n11!n' },
+  LU: { length: 20, bban: '3!n13!c' },
+  LV: { length: 21, bban: '4!a13!c' },
+  MC: { length: 27, bban: '5!n5!n11!c2!n' },
+  MD: { length: 24, bban: '2!c18!c' },
+  ME: { length: 22, bban: '3!n13!n2!n' },
+  MK: { length: 19, bban: '3!n10!c2!n' },
+  MR: { length: 27, bban: '5!n5!n11!n2!n' },
+  MT: { length: 31, bban: '4!a5!n18!c' },
+  MU: { length: 30, bban: '4!a2!n2!n12!n3!n3!a' },
+  NL: { length: 18, bban: '4!a10!n' },
+  NO: { length: 15, bban: '4!n6!n1!n' },
+  PK: { length: 24, bban: '4!a16!c' },
+  PL: { length: 28, bban: '8!n16!n' },
+  PS: { length: 29, bban: '4!a21!c' },
+  PT: { length: 25, bban: '4!n4!n11!n2!n' },
+  QA: { length: 29, bban: '4!a21!c' },
+  RO: { length: 24, bban: '4!a16!c' },
+  RS: { length: 22, bban: '3!n13!n2!n' },
+  SA: { length: 24, bban: '2!n18!c' },
+  SE: { length: 24, bban: '3!n16!n1!n' },
+  SI: { length: 19, bban: '5!n8!n2!n' },
+  SK: { length: 24, bban: '4!n6!n10!n' },
+  SM: { length: 27, bban: '1!a5!n5!n12!c' },
+  TN: { length: 24, bban: '2!n3!n13!n2!n' },
+  TR: { length: 26, bban: '5!n1!n16!c' },
+  UA: { length: 29, bban: '6!n19!c' },
+  XK: { length: 20, bban: '4!n10!n2!n' },
+};
+
+const CHARACTER_CLASSES = { n: '[0-9]', a: '[A-Z]', c: '[A-Z0-9]' };
+
+const bbanRegexCache = {};
+
+/**
+ * Compile a registry structure such as '4!a6!n8!n' to an anchored RegExp
+ */
+function bbanToRegex(structure) {
+  if (!bbanRegexCache[structure]) {
+    const source = structure.replace(
+      /(\d+)!([nac])/g,
+      (match, count, type) => `${CHARACTER_CLASSES[type]}{${count}}`
+    );
+    bbanRegexCache[structure] = new RegExp(`^${source}$`);
+  }
+  return bbanRegexCache[structure];
+}
+
+/**
+ * Strip spaces and upper-case (IBANs are often written in groups of 4)
+ */
+function normalizeIban(value) {
+  return String(value || '')
+    .replace(/\s+/g, '')
+    .toUpperCase();
+}
+
+/**
+ * True when an account number is written as an IBAN (country code + check digits)
+ */
+function looksLikeIban(value) {
+  return /^[A-Z]{2}[0-9]{2}/.test(normalizeIban(value));
+}
+
+/**
+ * ISO 7064 mod 97-10 over the rearranged IBAN, one digit at a time so the
+ * number never exceeds Number precision
+ */
+function ibanChecksum(iban) {
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  let remainder = 0;
+
+  for (const char of rearranged) {
+    const digits = parseInt(char, 36).toString();
+    for (const digit of digits) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+  return remainder;
+}
+
+/**
+ * Validate an IBAN
+ *
+ * @param {string} value - IBAN, spaces allowed
+ * @returns {string|null} Error message, or null when the IBAN is valid
+ */
+function getIbanError(value) {
+  const iban = normalizeIban(value);
+
+  if (!/^[A-Z]{2}[0-9]{2}[A-Z0-9]+$/.test(iban)) {
+    return 'IBAN must start with a 2-letter country code and 2 check digits';
+  }
+
+  const country = iban.slice(0, 2);
+  const entry = IBAN_REGISTRY[country];
+
+  if (entry) {
+    if (iban.length !== entry.length) {
+      return `${country} IBANs must be exactly ${entry.length} characters (got ${iban.length})`;
+    }
+    if (!bbanToRegex(entry.bban).test(iban.slice(4))) {
+      return `IBAN account number does not match the ${country} format`;
+    }
+  } else if (iban.length < IBAN_CONFIG.minLength || iban.length > IBAN_CONFIG.maxLength) {
+    return `IBAN must be ${IBAN_CONFIG.minLength}-${IBAN_CONFIG.maxLength} characters`;
+  }
+
+  if (ibanChecksum(iban) !== 1) {
+    return 'IBAN check digits are invalid - please check the account number for typos';
+  }
+
+  return null;
+}
+
+/**
+ * True when the value is a valid IBAN
+ */
+function isValidIban(value) {
+  return getIbanError(value) === null;
+}
+
+module.exports = {
+  IBAN_CONFIG,
+  IBAN_REGISTRY,
+  normalizeIban,
+  looksLikeIban,
+  getIbanError,
+  isValidIban,
+};
@@ -0,0 +1,308 @@
+/**
+ * INVOICE LIFECYCLE
+ *
+ * Invoices are generated when a payment is fully approved and then follow it:
+ *
+ *   payment submitted_to_swift → invoice records the SWIFT reference
+ *   payment completed          → invoice paid
+ *   payment failed             → invoice cancelled, credit note issued
+ *
+ * Employees can also resend an invoice to the customer (generated → sent)
+ * or cancel it with a reason, which issues a credit note as well - only once
+ * the payment was rejected or failed, so a credit note never sits next to
+ * funds still leaving through SWIFT. Paid and cancelled invoices are final.
+ *
+ * Unpaid invoices are due INVOICE_DUE_DAYS after they are issued and show up
+ * in the overdue report once that date has passed.
+ */
+
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const { sendNotification } = require('./notifier');
+const { recordPaymentAudit } = require('./auditLog');
+const { buildVerificationUrl, INVOICE_PDF_CONFIG } = require('./invoicePdf');
+const { FX_CONFIG, sumInBaseCurrency } = require('./fxRates');
+const { logger } = require('./logger');
+
+const INVOICE_LIFECYCLE_CONFIG = {
+  dueDays: parseInt(process.env.INVOICE_DUE_DAYS, 10) || 30,
+  // Invoices that are still awaiting payment
+  openStatuses: ['generated', 'sent'],
+  // Payment states in which no funds can leave, so a credit note may be issued
+  cancellablePaymentStatuses: ['rejected', 'failed'],
+  // Days overdue, grouped for the report
+  agingBuckets: [
+    { label: '1-30', maxDays: 30 },
+    { label: '31-60', maxDays: 60 },
+    { label: '61-90', maxDays: 90 },
+    { label: '90+', maxDays: Infinity },
+  ],
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Error with a machine-readable code for the invoice routes
+ */
+function invoiceError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Due date for an invoice issued at the given time
+ */
+function invoiceDueDate(invoiceDate = new Date()) {
+  return new Date(new Date(invoiceDate).getTime() + INVOICE_LIFECYCLE_CONFIG.dueDays * DAY_MS);
+}
+
+const formatAmount = invoice => `${invoice.currency} ${Number(invoice.amount).toFixed(2)}`;
+
+const formatDate = value => new Date(value).toISOString().slice(0, 10);
+
+/**
+ * Email the invoice to the customer and mark it sent
+ * A paid invoice can be resent as a copy; it stays paid.
+ *
+ * @param {Object} invoice - Invoice document
+ * @param {Object} options
+ * @param {Object} options.actor - Audit actor { type, id, email }
+ * @returns {Promise<Object>} The updated invoice
+ */
+async function sendInvoice(invoice, { actor }) {
+  if (invoice.status === 'cancelled') {
+    throw invoiceError('Cancelled invoices cannot be sent', 'INVOICE_CANCELLED');
+  }
+
+  const lines = [
+    `Hello ${invoice.customerName},`,
+    '',
+    `Invoice ${invoice.invoiceNumber} for ${formatAmount(invoice)} is available in the`,
+    'Invoices section of your payment portal, where you can download it as a PDF.',
+  ];
+  if (invoice.status === 'paid') {
+    lines.push('', `This invoice was paid on ${formatDate(invoice.paidDate)}.`);
+  } else if (invoice.dueDate) {
+    lines.push('', `Payment is due by ${formatDate(invoice.dueDate)}.`);
+  }
+  lines.push('', 'Check the invoice is genuine at:', buildVerificationUrl(invoice));
+
+  await sendNotification({
+    to: invoice.customerEmail,
+    subject: `Invoice ${invoice.invoiceNumber} from ${INVOICE_PDF_CONFIG.bankName}`,
+    text: lines.join('\n'),
+    category: 'invoice',
+  });
+
+  const fromStatus = invoice.status;
+  if (invoice.status === 'generated') {
+    invoice.status = 'sent';
+  }
+  invoice.sentAt = new Date();
+  invoice.sendCount = (invoice.sendCount || 0) + 1;
+  await invoice.save();
+
+  await recordPaymentAudit({
+    transactionId: invoice.transactionId,
+    action: 'invoice_sent',
+    actor,
+    payload: { invoiceNumber: invoice.invoiceNumber, fromStatus, sendCount: invoice.sendCount },
+  });
+
+  return invoice;
+}
+
+/**
+ * Cancel an open invoice and issue a credit note for its full amount
+ * Refused while the payment is not rejected or failed. The customer is told
+ * about the credit note; a failed notice is logged but does not undo the
+ * cancellation.
+ *
+ * @param {Object} invoice - Invoice document
+ * @param {Object} options
+ * @param {string} options.reason - Shown on the credit note
+ * @param {Object} options.actor - Audit actor { type, id, email }
+ * @param {Object} [options.payment] - The invoice's payment, looked up when omitted
+ * @returns {Promise<Object>} The updated invoice
+ */
+async function cancelInvoice(invoice, { reason, actor, payment }) {
+  if (!INVOICE_LIFECYCLE_CONFIG.openStatuses.includes(invoice.status)) {
+    throw invoiceError(`Cannot cancel a ${invoice.status} invoice`, 'INVALID_INVOICE_STATE');
+  }
+
+  const paymentStatus = (payment || (await Payment.findById(invoice.paymentId)))?.status;
+  if (!INVOICE_LIFECYCLE_CONFIG.cancellablePaymentStatuses.includes(paymentStatus)) {
+    throw invoiceError(
+      `Cannot cancel the invoice of a ${paymentStatus || 'missing'} payment - reject the payment or wait for SWIFT to fail it`,
+      'PAYMENT_NOT_CANCELLABLE'
+    );
+  }
+
+  const fromStatus = invoice.status;
+  const issuedAt = new Date();
+
+  invoice.status = 'cancelled';
+  invoice.cancelledAt = issuedAt;
+  invoice.cancellationReason = reason;
+  if (actor.type === 'employee') {
+    invoice.cancelledBy = actor.id;
+  }
+  invoice.creditNote = {
+    creditNoteNumber: `CN-${Date.now()}-${Math.random().toString(36).substring(2, 7).toUpperCase()}`,
+    amount: invoice.amount,
+    currency: invoice.currency,
+    reason,
+    issuedAt,
+  };
+  await invoice.save();
+
+  await recordPaymentAudit({
+    transactionId: invoice.transactionId,
+    action: 'invoice_cancelled',
+    actor,
+    payload: {
+      invoiceNumber: invoice.invoiceNumber,
+      fromStatus,
+      reason,
+      creditNoteNumber: invoice.creditNote.creditNoteNumber,
+    },
+  });
+
+  try {
+    await sendNotification({
+      to: invoice.customerEmail,
+      subject: `Credit note ${invoice.creditNote.creditNoteNumber} for invoice ${invoice.invoiceNumber}`,
+      text: [
+        `Hello ${invoice.customerName},`,
+        '',
+        `Invoice ${invoice.invoiceNumber} has been cancelled and credit note`,
+        `${invoice.creditNote.creditNoteNumber} issued for ${formatAmount(invoice)}.`,
+        '',
+        `Reason: ${reason}`,
+      ].join('\n'),
+      category: 'invoice',
+    });
+  } catch (error) {
+    logger.error('Failed to send credit note notice', {
+      invoiceNumber: invoice.invoiceNumber,
+      error,
+    });
+  }
+
+  return invoice;
+}
+
+/**
+ * Bring a payment's invoice in line with the payment after a SWIFT event
+ * Runs after the payment change is saved; a failure here is logged and
+ * never undoes the payment change.
+ *
+ * @param {Object} payment - Payment document (submitted_to_swift, completed or failed)
+ * @returns {Promise<Object|null>} The updated invoice, or null
+ */
+async function syncInvoiceWithPayment(payment) {
+  try {
+    const invoice = await Invoice.findOne({ paymentId: payment._id });
+    if (!invoice) {
+      return null;
+    }
+
+    const actor = { type: 'gateway', id: payment.swiftGateway };
+    invoice.paymentStatus = payment.status;
+    if (payment.swiftReference) {
+      invoice.swiftReference = payment.swiftReference;
+      invoice.submittedToSwiftAt = payment.submittedToSwiftAt;
+    }
+
+    const isOpen = INVOICE_LIFECYCLE_CONFIG.openStatuses.includes(invoice.status);
+
+    if (payment.status === 'completed' && isOpen) {
+      await invoice.markAsPaid();
+      await recordPaymentAudit({
+        transactionId: invoice.transactionId,
+        action: 'invoice_paid',
+        actor,
+        payload: { invoiceNumber: invoice.invoiceNumber, swiftReference: invoice.swiftReference },
+      });
+    } else if (payment.status === 'failed' && isOpen) {
+      await cancelInvoice(invoice, {
+        reason: `Payment failed: ${payment.failureReason || 'rejected by SWIFT network'}`.slice(
+          0,
+          500
+        ),
+        actor,
+        payment,
+      });
+    } else {
+      await invoice.save();
+    }
+
+    return invoice;
+  } catch (error) {
+    logger.error('Failed to update invoice for payment', {
+      transactionId: payment.transactionId,
+      error,
+    });
+    return null;
+  }
+}
+
+/**
+ * Open invoices past their due date, oldest first, with an aging summary
+ *
+ * @param {Date} [now]
+ * @returns {Promise<Object>} { invoices, summary }
+ */
+async function getOverdueInvoices(now = new Date()) {
+  const invoices = await Invoice.find({
+    status: { $in: INVOICE_LIFECYCLE_CONFIG.openStatuses },
+    dueDate: { $lt: now },
+  }).sort({ dueDate: 1 });
+
+  const rows = invoices.map(invoice => ({
+    invoiceNumber: invoice.invoiceNumber,
+    transactionId: invoice.transactionId,
+    customerName: invoice.customerName,
+    customerEmail: invoice.customerEmail,
+    amount: invoice.amount,
+    currency: invoice.currency,
+    status: invoice.status,
+    paymentStatus: invoice.paymentStatus,
+    invoiceDate: invoice.invoiceDate,
+    dueDate: invoice.dueDate,
+    sentAt: invoice.sentAt,
+    daysOverdue: Math.ceil((now - invoice.dueDate) / DAY_MS),
+  }));
+
+  const aging = Object.fromEntries(
+    INVOICE_LIFECYCLE_CONFIG.agingBuckets.map(bucket => [bucket.label, 0])
+  );
+  for (const row of rows) {
+    const bucket = INVOICE_LIFECYCLE_CONFIG.agingBuckets.find(b => row.daysOverdue <= b.maxDays);
+    aging[bucket.label] += 1;
+  }
+
+  return {
+    invoices: rows,
+    summary: {
+      count: rows.length,
+      currencyTotals: rows.reduce((totals, row) => {
+        totals[row.currency] = (totals[row.currency] || 0) + row.amount;
+        return totals;
+      }, {}),
+      totalAmount: sumInBaseCurrency(rows),
+      baseCurrency: FX_CONFIG.baseCurrency,
+      aging,
+    },
+  };
+}
+
+module.exports = {
+  INVOICE_LIFECYCLE_CONFIG,
+  invoiceDueDate,
+  sendInvoice,
+  cancelInvoice,
+  syncInvoiceWithPayment,
+  getOverdueInvoices,
+};
@@ -0,0 +1,373 @@
+/**
+ * INVOICE DOCUMENTS
+ *
+ * Renders an Invoice as a PDF on the bank's letterhead and signs it so anyone
+ * holding the document can check it was issued by the bank:
+ *
+ *   GET /api/payments/invoices/:invoiceNumber/pdf     → customer or employee
+ *   GET /api/payments/invoices/:invoiceNumber/verify  → public, ?sig=
+ *
+ *   - The signature is an HMAC (INVOICE_SIGNING_SECRET) over the fields that
+ *     never change after issue: number, transaction, customer, amount,
+ *     recipient, date and verifier. Status changes keep the document valid.
+ *   - The QR code opens the client verification page (INVOICE_VERIFY_URL)
+ *     with the invoice number and signature
+ *   - Account numbers are masked on the document and in verification results
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const { maskAccountNumber } = require('./dataExport');
+const { logger } = require('./logger');
+
+const INVOICE_SIGNING_KEY_FILE =
+  process.env.INVOICE_SIGNING_SECRET_FILE || path.join(__dirname, '../keys/invoice-signing.key');
+
+/**
+ * Signing secret from INVOICE_SIGNING_SECRET or the key file, generating the
+ * file outside production. A secret that changes between restarts would stop
+ * every printed invoice from verifying.
+ */
+function loadSigningSecret() {
+  if (process.env.INVOICE_SIGNING_SECRET) {
+    return process.env.INVOICE_SIGNING_SECRET;
+  }
+  if (fs.existsSync(INVOICE_SIGNING_KEY_FILE)) {
+    return fs.readFileSync(INVOICE_SIGNING_KEY_FILE, 'utf8').trim();
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error(
+      'No invoice signing secret - set INVOICE_SIGNING_SECRET or INVOICE_SIGNING_SECRET_FILE'
+    );
+  }
+
+  const secret = crypto.randomBytes(32).toString('hex');
+  fs.mkdirSync(path.dirname(INVOICE_SIGNING_KEY_FILE), { recursive: true });
+  fs.writeFileSync(INVOICE_SIGNING_KEY_FILE, `${secret}\n`, { mode: 0o600 });
+  logger.warn('Generated a development invoice signing secret', { file: INVOICE_SIGNING_KEY_FILE });
+  return secret;
+}
+
+const INVOICE_PDF_CONFIG = {
+  bankName: process.env.BANK_NAME || 'INSY7314 International Payments',
+  bankBic: process.env.BANK_BIC || 'INSYZAJJXXX',
+  secret: loadSigningSecret(),
+  // Client page that reads ?invoice= and &sig= and calls the verify route
+  verifyUrl: process.env.INVOICE_VERIFY_URL || 'https://localhost:5173/verify-invoice',
+  signatureVersion: 'v1',
+  contentType: 'application/pdf',
+};
+
+const COLORS = {
+  letterhead: '#1e1b4b',
+  accent: '#4338ca',
+  text: '#111827',
+  muted: '#6b7280',
+  rule: '#d1d5db',
+};
+
+const PAGE_MARGIN = 50;
+
+/**
+ * Canonical text covered by an invoice signature
+ */
+function signedPayload(invoice) {
+  return [
+    INVOICE_PDF_CONFIG.signatureVersion,
+    invoice.invoiceNumber,
+    invoice.transactionId,
+    String(invoice.customerId),
+    Number(invoice.amount).toFixed(2),
+    invoice.currency,
+    invoice.recipientAccount,
+    invoice.recipientSwift,
+    new Date(invoice.invoiceDate).toISOString(),
+    invoice.verifiedByEmail,
+  ].join('\n');
+}
+
+/**
+ * Signature printed on (and encoded in the QR code of) an invoice
+ *
+ * @returns {string} base64url HMAC-SHA256
+ */
+function signInvoice(invoice) {
+  return crypto
+    .createHmac('sha256', INVOICE_PDF_CONFIG.secret)
+    .update(signedPayload(invoice))
+    .digest('base64url');
+}
+
+/**
+ * Whether a signature matches the invoice as stored
+ */
+function verifyInvoiceSignature(invoice, signature) {
+  const expected = Buffer.from(signInvoice(invoice));
+  const given = Buffer.from(String(signature || ''));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Link encoded in the QR code
+ */
+function buildVerificationUrl(invoice) {
+  const params = new URLSearchParams({
+    invoice: invoice.invoiceNumber,
+    sig: signInvoice(invoice),
+  });
+  return `${INVOICE_PDF_CONFIG.verifyUrl}?${params.toString()}`;
+}
+
+/**
+ * What the public verification route reveals about a genuine invoice
+ */
+const publicInvoiceSummary = invoice => ({
+  invoiceNumber: invoice.invoiceNumber,
+  invoiceDate: invoice.invoiceDate,
+  status: invoice.status,
+  transactionId: invoice.transactionId,
+  amount: invoice.amount,
+  currency: invoice.currency,
+  recipientName: invoice.recipientName,
+  recipientAccount: maskAccountNumber(invoice.recipientAccount),
+  recipientSwift: invoice.recipientSwift,
+  paymentStatus: invoice.paymentStatus,
+  verifiedByName: invoice.verifiedByName,
+  verifierDepartment: invoice.verifierDepartment,
+  issuedBy: INVOICE_PDF_CONFIG.bankName,
+});
+
+const formatDate = value => (value ? new Date(value).toISOString().slice(0, 10) : 'N/A');
+
+const formatAmount = (amount, currency) =>
+  `${currency} ${Number(amount).toLocaleString('en-US', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })}`;
+
+/**
+ * QR code drawn as vector squares (scales cleanly when printed)
+ */
+function drawQrCode(doc, text, x, y, size) {
+  const { modules } = QRCode.create(text, { errorCorrectionLevel: 'M' });
+  const cell = size / modules.size;
+
+  doc.save();
+  for (let row = 0; row < modules.size; row++) {
+    for (let col = 0; col < modules.size; col++) {
+      if (modules.get(row, col)) {
+        // A hair of overlap stops hairline gaps between neighbouring squares
+        doc.rect(x + col * cell, y + row * cell, cell + 0.1, cell + 0.1);
+      }
+    }
+  }
+  doc.fill(COLORS.text);
+  doc.restore();
+}
+
+/**
+ * Heading followed by label/value rows; returns the y below the section
+ */
+function drawSection(doc, title, rows, y) {
+  const width = doc.page.width - PAGE_MARGIN * 2;
+
+  doc.font('Helvetica-Bold').fontSize(11).fillColor(COLORS.accent).text(title, PAGE_MARGIN, y);
+  y += 18;
+  doc
+    .moveTo(PAGE_MARGIN, y)
+    .lineTo(PAGE_MARGIN + width, y)
+    .lineWidth(0.5)
+    .strokeColor(COLORS.rule)
+    .stroke();
+  y += 8;
+
+  for (const [label, value] of rows) {
+    doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted).text(label, PAGE_MARGIN, y, {
+      width: 150,
+    });
+    doc
+      .font('Helvetica')
+      .fontSize(10)
+      .fillColor(COLORS.text)
+      .text(value || 'N/A', PAGE_MARGIN + 160, y, { width: width - 160 });
+    y = Math.max(doc.y, y + 14) + 4;
+  }
+  return y + 12;
+}
+
+/**
+ * Render an invoice as a PDF document
+ * The document is already ended; pipe it to the response or a file.
+ *
+ * @param {Object} invoice - Invoice document
+ * @param {Object} options - { customer } whose (masked) account is shown under "Bill to"
+ * @returns {PDFDocument} Readable stream of PDF bytes
+ */
+function renderInvoicePdf(invoice, { customer } = {}) {
+  const { bankName, bankBic } = INVOICE_PDF_CONFIG;
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: PAGE_MARGIN,
+    info: {
+      Title: `Invoice ${invoice.invoiceNumber}`,
+      Author: bankName,
+      Subject: `Payment ${invoice.transactionId}`,
+    },
+  });
+  const pageWidth = doc.page.width;
+  const contentWidth = pageWidth - PAGE_MARGIN * 2;
+
+  // Letterhead
+  doc.rect(0, 0, pageWidth, 100).fill(COLORS.letterhead);
+  doc
+    .font('Helvetica-Bold')
+    .fontSize(18)
+    .fillColor('#ffffff')
+    .text(bankName, PAGE_MARGIN, 32, {
+      width: contentWidth - 140,
+    });
+  doc
+    .font('Helvetica')
+    .fontSize(9)
+    .fillColor('#c7d2fe')
+    .text(`International Payments  |  BIC ${bankBic}`, PAGE_MARGIN, 60);
+  doc
+    .font('Helvetica-Bold')
+    .fontSize(24)
+    .fillColor('#ffffff')
+    .text('INVOICE', PAGE_MARGIN, 36, { width: contentWidth, align: 'right' });
+
+  // Invoice and customer blocks side by side
+  const top = 125;
+  const half = contentWidth / 2;
+
+  doc.font('Helvetica-Bold').fontSize(10).fillColor(COLORS.text);
+  doc.text(`Invoice ${invoice.invoiceNumber}`, PAGE_MARGIN, top, { width: half });
+  doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted);
+  doc.text(`Date: ${formatDate(invoice.invoiceDate)}`, PAGE_MARGIN, top + 16);
+  doc.text(`Due: ${formatDate(invoice.dueDate)}`, PAGE_MARGIN, top + 29);
+  doc.text(`Status: ${invoice.status}`, PAGE_MARGIN, top + 42);
+
+  doc.font('Helvetica-Bold').fontSize(10).fillColor(COLORS.text);
+  doc.text('Bill to', PAGE_MARGIN + half, top, { width: half });
+  doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted);
+  doc.text(invoice.customerName, PAGE_MARGIN + half, top + 16, { width: half });
+  doc.text(invoice.customerEmail, PAGE_MARGIN + half, top + 29, { width: half });
+  if (customer?.accountNumber) {
+    doc.text(`Account ${maskAccountNumber(customer.accountNumber)}`, PAGE_MARGIN + half, top + 42);
+  }
+
+  // Amount
+  let y = top + 75;
+  doc.rect(PAGE_MARGIN, y, contentWidth, 50).fill('#eef2ff');
+  doc
+    .font('Helvetica')
+    .fontSize(9)
+    .fillColor(COLORS.muted)
+    .text('Amount', PAGE_MARGIN + 15, y + 10);
+  doc
+    .font('Helvetica-Bold')
+    .fontSize(18)
+    .fillColor(COLORS.text)
+    .text(formatAmount(invoice.amount, invoice.currency), PAGE_MARGIN + 15, y + 22);
+  y += 75;
+
+  y = drawSection(
+    doc,
+    'Payment details',
+    [
+      ['Transaction ID', invoice.transactionId],
+      ['Recipient', invoice.recipientName],
+      ['Recipient account', maskAccountNumber(invoice.recipientAccount)],
+      ['Recipient SWIFT/BIC', invoice.recipientSwift],
+      ['Reference', invoice.reference],
+      ['Payment status', invoice.paymentStatus],
+      ['SWIFT reference', invoice.swiftReference],
+    ],
+    y
+  );
+
+  y = drawSection(
+    doc,
+    'Verified and approved by',
+    [
+      ['Name', invoice.verifiedByName],
+      ['Department', invoice.verifierDepartment],
+      ['Verified on', formatDate(invoice.invoiceDate)],
+    ],
+    y
+  );
+
+  // Cancelled invoices carry the credit note that reverses them
+  if (invoice.creditNote?.creditNoteNumber) {
+    y = drawSection(
+      doc,
+      'Credit note',
+      [
+        ['Credit note', invoice.creditNote.creditNoteNumber],
+        ['Amount', formatAmount(invoice.creditNote.amount, invoice.creditNote.currency)],
+        ['Issued on', formatDate(invoice.creditNote.issuedAt)],
+        ['Reason', invoice.creditNote.reason],
+      ],
+      y
+    );
+  }
+
+  // Verification block
+  const qrSize = 96;
+  y = Math.max(y, doc.page.height - PAGE_MARGIN - qrSize - 40);
+  drawQrCode(doc, buildVerificationUrl(invoice), PAGE_MARGIN, y, qrSize);
+
+  const textX = PAGE_MARGIN + qrSize + 20;
+  const textWidth = contentWidth - qrSize - 20;
+  doc
+    .font('Helvetica-Bold')
+    .fontSize(10)
+    .fillColor(COLORS.text)
+    .text('Verify this invoice', textX, y + 4, { width: textWidth });
+  doc
+    .font('Helvetica')
+    .fontSize(8)
+    .fillColor(COLORS.muted)
+    .text(
+      `Scan the code or visit ${INVOICE_PDF_CONFIG.verifyUrl} and enter the invoice number ` +
+        'and signature below. A document whose details differ from the verification result ' +
+        'has been altered.',
+      textX,
+      y + 20,
+      { width: textWidth }
+    );
+  doc
+    .font('Courier')
+    .fontSize(8)
+    .fillColor(COLORS.text)
+    .text(`Signature: ${signInvoice(invoice)}`, textX, doc.y + 8, { width: textWidth });
+
+  // The footer sits in the bottom margin; without this pdfkit starts a new page
+  doc.page.margins.bottom = 0;
+  doc
+    .font('Helvetica')
+    .fontSize(7)
+    .fillColor(COLORS.muted)
+    .text(
+      `${bankName} - computer-generated document, valid without a handwritten signature.`,
+      PAGE_MARGIN,
+      doc.page.height - PAGE_MARGIN + 10,
+      { width: contentWidth, align: 'center', lineBreak: false }
+    );
+
+  doc.end();
+  return doc;
+}
+
+module.exports = {
+  INVOICE_PDF_CONFIG,
+  signInvoice,
+  verifyInvoiceSignature,
+  buildVerificationUrl,
+  publicInvoiceSummary,
+  renderInvoicePdf,
+};
@@ -0,0 +1,208 @@
+/**
+ * ISO 20022 MESSAGE BUILDER
+ *
+ * Renders SWIFT batches as pain.001.001.09 (Customer Credit Transfer Initiation)
+ * documents for the back-office.
+ *
+ * MAPPING:
+ *   GrpHdr       - One per batch (MsgId = batch ID, totals over all payments)
+ *   PmtInf       - One per debtor customer and currency
+ *   Dbtr         - Customer name and account number
+ *   DbtrAgt      - This bank's BIC (BANK_BIC)
+ *   CdtTrfTxInf  - One per payment:
+ *                  EndToEndId = transactionId, UETR = gateway reference (when a UUID)
+ *                  Cdtr = recipientName, CdtrAcct = recipientAccount, CdtrAgt = recipientSwift
+ *                  RmtInf/Ustrd = reference
+ */
+
+const ISO20022_CONFIG = {
+  pain001Namespace: 'urn:iso:std:iso:20022:tech:xsd:pain.001.001.09',
+  initiatingPartyName: process.env.BANK_NAME || 'INSY7314 International Payments',
+  debtorAgentBic: process.env.BANK_BIC || 'INSYZAJJXXX',
+  maxTextLength: 140,
+};
+
+const IBAN_SHAPE = /^[A-Z]{2}[0-9]{2}[A-Z0-9]{11,30}$/;
+const UETR_SHAPE = /^[a-f0-9]{8}-[a-f0-9]{4}-4[a-f0-9]{3}-[89ab][a-f0-9]{3}-[a-f0-9]{12}$/;
+
+/**
+ * Escape text for use in XML element content and attributes
+ */
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Truncate free text to the ISO 20022 Max140Text limit
+ */
+function toMaxText(value, maxLength = ISO20022_CONFIG.maxTextLength) {
+  return String(value ?? '')
+    .trim()
+    .substring(0, maxLength);
+}
+
+/**
+ * Format an amount as an ISO 20022 decimal (two fraction digits)
+ */
+function formatAmount(amount) {
+  return Number(amount).toFixed(2);
+}
+
+/**
+ * Render an element tree as indented XML
+ * Nodes are [name, attributes, children] where children is a string or an array of nodes
+ */
+function renderNode([name, attributes, children], depth) {
+  const indent = '  '.repeat(depth);
+  const attrs = Object.entries(attributes || {})
+    .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+    .join('');
+
+  if (Array.isArray(children)) {
+    const inner = children
+      .filter(Boolean)
+      .map(child => renderNode(child, depth + 1))
+      .join('\n');
+    return `${indent}<${name}${attrs}>\n${inner}\n${indent}</${name}>`;
+  }
+
+  return `${indent}<${name}${attrs}>${escapeXml(children)}</${name}>`;
+}
+
+/**
+ * Account identification: IBAN when the account is IBAN-shaped, otherwise a proprietary ID
+ */
+function accountNode(tag, accountNumber) {
+  const id = IBAN_SHAPE.test(accountNumber)
+    ? ['IBAN', null, accountNumber]
+    : ['Othr', null, [['Id', null, accountNumber]]];
+  return [tag, null, [['Id', null, [id]]]];
+}
+
+function creditTransferNode(payment) {
+  const paymentId = [
+    ['InstrId', null, payment.transactionId],
+    ['EndToEndId', null, payment.transactionId],
+  ];
+  if (UETR_SHAPE.test(payment.swiftReference || '')) {
+    paymentId.push(['UETR', null, payment.swiftReference]);
+  }
+
+  return [
+    'CdtTrfTxInf',
+    null,
+    [
+      ['PmtId', null, paymentId],
+      ['Amt', null, [['InstdAmt', { Ccy: payment.currency }, formatAmount(payment.amount)]]],
+      ['CdtrAgt', null, [['FinInstnId', null, [['BICFI', null, payment.recipientSwift]]]]],
+      ['Cdtr', null, [['Nm', null, toMaxText(payment.recipientName)]]],
+      accountNode('CdtrAcct', payment.recipientAccount),
+      payment.reference ? ['RmtInf', null, [['Ustrd', null, toMaxText(payment.reference)]]] : null,
+    ],
+  ];
+}
+
+/**
+ * Group payments into payment information blocks (one per debtor and currency)
+ */
+function groupPayments(payments) {
+  const groups = new Map();
+
+  payments.forEach(payment => {
+    const key = `${payment.customerId}-${payment.currency}`;
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(payment);
+  });
+
+  return Array.from(groups.values());
+}
+
+/**
+ * Build a pain.001.001.09 document
+ *
+ * @param {Object} batch
+ * @param {string} batch.messageId - Unique message ID (max 35 characters)
+ * @param {Date} batch.createdAt - Message creation time
+ * @param {Array<Object>} batch.payments - Payment records
+ * @param {Object} batch.customers - Debtor customers keyed by customer ID
+ * @param {Object} options - Overrides for ISO20022_CONFIG
+ * @returns {string} XML document
+ */
+function buildPain001Document(batch, options = {}) {
+  const config = { ...ISO20022_CONFIG, ...options };
+  const { messageId, payments, customers } = batch;
+  const createdAt = batch.createdAt || new Date();
+
+  if (!messageId || messageId.length > 35) {
+    throw new Error('Message ID is required and must be at most 35 characters');
+  }
+  if (!payments || payments.length === 0) {
+    throw new Error('A pain.001 document requires at least one payment');
+  }
+
+  const controlSum = list => formatAmount(list.reduce((sum, p) => sum + p.amount, 0));
+  const executionDate = createdAt.toISOString().substring(0, 10);
+
+  const paymentInfoBlocks = groupPayments(payments).map((group, index) => {
+    const customer = customers[String(group[0].customerId)];
+    if (!customer) {
+      throw new Error(`Debtor not found for payment ${group[0].transactionId}`);
+    }
+
+    return [
+      'PmtInf',
+      null,
+      [
+        ['PmtInfId', null, `${messageId}-${index + 1}`],
+        ['PmtMtd', null, 'TRF'],
+        ['NbOfTxs', null, String(group.length)],
+        ['CtrlSum', null, controlSum(group)],
+        ['ReqdExctnDt', null, [['Dt', null, executionDate]]],
+        ['Dbtr', null, [['Nm', null, toMaxText(customer.name)]]],
+        accountNode('DbtrAcct', customer.accountNumber),
+        ['DbtrAgt', null, [['FinInstnId', null, [['BICFI', null, config.debtorAgentBic]]]]],
+        ...group.map(creditTransferNode),
+      ],
+    ];
+  });
+
+  const document = [
+    'Document',
+    { xmlns: config.pain001Namespace },
+    [
+      [
+        'CstmrCdtTrfInitn',
+        null,
+        [
+          [
+            'GrpHdr',
+            null,
+            [
+              ['MsgId', null, messageId],
+              ['CreDtTm', null, createdAt.toISOString().replace(/\.\d{3}Z$/, 'Z')],
+              ['NbOfTxs', null, String(payments.length)],
+              ['CtrlSum', null, controlSum(payments)],
+              ['InitgPty', null, [['Nm', null, toMaxText(config.initiatingPartyName)]]],
+            ],
+          ],
+          ...paymentInfoBlocks,
+        ],
+      ],
+    ],
+  ];
+
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${renderNode(document, 0)}\n`;
+}
+
+module.exports = {
+  ISO20022_CONFIG,
+  buildPain001Document,
+  escapeXml,
+};
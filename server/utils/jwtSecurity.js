@@ -1,5 +1,8 @@
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const { findActiveSession, touchSession } = require('./sessions');
+const { detectSessionAnomaly } = require('../middleware/securityMonitoring');
+const { logger } = require('./logger');
 
 /**
  * JWT-BASED SESSION SECURITY - EXCEEDS STANDARD
@@ -50,6 +53,13 @@ const TOKEN_CONFIG = {
     issuer: 'insy7314-thebteam',
     audience: 'insy7314-client',
   },
+  // Proves the password step of a two-factor login; not a session token
+  mfaPendingToken: {
+    expiresIn: '5m',
+    algorithm: 'HS256',
+    issuer: 'insy7314-thebteam',
+    audience: 'insy7314-mfa',
+  },
 };
 
 // Cookie configuration - EXCEEDS STANDARD security
@@ -77,7 +87,7 @@ const REFRESH_COOKIE_CONFIG = {
  * - Algorithm specification (prevents confusion attacks)
  * - Short expiry for reduced exposure
  *
- * @param {Object} payload - User data to encode
+ * @param {Object} payload - User data to encode (tokenId sets the jti)
  * @returns {Promise<string>} - Signed JWT token
  */
 async function generateAccessToken(payload) {
@@ -100,7 +110,7 @@ async function generateAccessToken(payload) {
       algorithm: TOKEN_CONFIG.accessToken.algorithm,
       issuer: TOKEN_CONFIG.accessToken.issuer,
       audience: TOKEN_CONFIG.accessToken.audience,
-      jwtid: crypto.randomBytes(16).toString('hex'), // Unique token ID
+      jwtid: payload.tokenId || crypto.randomBytes(16).toString('hex'), // Unique token ID
     });
 
     return token;
@@ -116,8 +126,9 @@ async function generateAccessToken(payload) {
  * - Separate secret from access tokens
  * - Longer expiry but with rotation capability
  * - Unique token ID for tracking
+ * - Token family ID for reuse detection (see utils/refreshTokens.js)
  *
- * @param {Object} payload - User data to encode
+ * @param {Object} payload - User data to encode (userId, email, role, familyId, tokenId)
  * @returns {Promise<string>} - Signed refresh token
  */
 async function generateRefreshToken(payload) {
@@ -127,6 +138,8 @@ async function generateRefreshToken(payload) {
       email: String(payload.email || '')
         .toLowerCase()
         .trim(),
+      role: String(payload.role || 'user').replace(/[^\w]/g, ''),
+      familyId: String(payload.familyId || '').replace(/[^\w-]/g, ''),
       tokenType: 'refresh',
       iat: Math.floor(Date.now() / 1000),
     };
@@ -136,7 +149,8 @@ async function generateRefreshToken(payload) {
       algorithm: TOKEN_CONFIG.refreshToken.algorithm,
       issuer: TOKEN_CONFIG.refreshToken.issuer,
       audience: TOKEN_CONFIG.refreshToken.audience,
-      jwtid: crypto.randomBytes(16).toString('hex'),
+      // The token store records this ID as the family's current token
+      jwtid: payload.tokenId || crypto.randomBytes(16).toString('hex'),
     });
 
     return token;
@@ -156,9 +170,12 @@ async function generateRefreshToken(payload) {
  *
  * @param {string} token - JWT token to verify
  * @param {string} tokenType - 'access' or 'refresh'
+ * @param {Object} [options]
+ * @param {boolean} [options.ignoreExpiration] - Accept an expired (but genuine)
+ *   token; only for identifying the session to revoke at logout
  * @returns {Promise<Object>} - Decoded token payload
  */
-async function verifyToken(token, tokenType = 'access') {
+async function verifyToken(token, tokenType = 'access', { ignoreExpiration = false } = {}) {
   try {
     if (!token || typeof token !== 'string') {
       throw new Error('Invalid token format');
@@ -168,27 +185,19 @@ async function verifyToken(token, tokenType = 'access') {
     const secret = tokenType === 'refresh' ? JWT_REFRESH_SECRET : JWT_SECRET;
     const config = tokenType === 'refresh' ? TOKEN_CONFIG.refreshToken : TOKEN_CONFIG.accessToken;
 
-    console.log('🔍 Verifying token type:', tokenType);
-
     // SECURITY: Verify with strict options
     const decoded = jwt.verify(token, secret, {
       algorithms: [config.algorithm], // PREVENTS algorithm confusion attacks
       issuer: config.issuer, // VALIDATES token source
       audience: config.audience, // VALIDATES token intended recipient
       clockTolerance: 30, // 30 second clock skew tolerance
-      ignoreExpiration: false, // ENFORCES expiry validation
+      ignoreExpiration, // ENFORCES expiry validation unless the caller opts out
       ignoreNotBefore: false, // ENFORCES not-before validation
     });
 
-    console.log('📝 Decoded token:', {
-      userId: decoded.userId,
-      email: decoded.email,
-      role: decoded.role,
-    });
-
     // SECURITY: Additional validation checks
     if (!decoded.userId || !decoded.email) {
-      console.log('❌ Missing userId or email in token');
+      logger.warn('Token is missing required claims', { tokenType });
       throw new Error('Invalid token claims');
     }
 
@@ -196,14 +205,14 @@ async function verifyToken(token, tokenType = 'access') {
     const tokenAge = Date.now() / 1000 - decoded.iat;
     const maxAge = tokenType === 'refresh' ? 7 * 24 * 60 * 60 : 15 * 60; // 7 days or 15 minutes
 
-    if (tokenAge > maxAge) {
-      console.log('❌ Token too old:', tokenAge, 'seconds');
+    if (!ignoreExpiration && tokenAge > maxAge) {
+      logger.warn('Token too old', { tokenType, tokenAgeSeconds: Math.round(tokenAge) });
       throw new Error('Token too old');
     }
 
     return decoded;
   } catch (error) {
-    console.log('❌ Token verification error:', error.name, error.message);
+    logger.debug('Token verification failed', { tokenType, reason: error.name });
     // SECURITY: Consistent error response prevents information leakage
     if (
       error.name === 'JsonWebTokenError' ||
@@ -216,6 +225,64 @@ async function verifyToken(token, tokenType = 'access') {
   }
 }
 
+/**
+ * Generates the short-lived token handed out between the password check and
+ * the two-factor code check of an employee login
+ *
+ * SECURITY: Signed for a separate audience, so it is refused everywhere an
+ * access token is expected
+ *
+ * @param {Object} payload - { userId, email }
+ * @returns {Promise<string>} - Signed MFA pending token
+ */
+async function generateMfaPendingToken(payload) {
+  const config = TOKEN_CONFIG.mfaPendingToken;
+
+  return jwt.sign(
+    {
+      userId: String(payload.userId || '').replace(/[^\w@.-]/g, ''),
+      email: String(payload.email || '')
+        .toLowerCase()
+        .trim(),
+      tokenType: 'mfa_pending',
+    },
+    JWT_SECRET,
+    {
+      expiresIn: config.expiresIn,
+      algorithm: config.algorithm,
+      issuer: config.issuer,
+      audience: config.audience,
+    }
+  );
+}
+
+/**
+ * Verifies an MFA pending token
+ *
+ * @param {string} token - Token from generateMfaPendingToken
+ * @returns {Promise<Object>} - Decoded payload ({ userId, email })
+ */
+async function verifyMfaPendingToken(token) {
+  const config = TOKEN_CONFIG.mfaPendingToken;
+
+  try {
+    const decoded = jwt.verify(String(token || ''), JWT_SECRET, {
+      algorithms: [config.algorithm],
+      issuer: config.issuer,
+      audience: config.audience,
+      clockTolerance: 30,
+    });
+
+    if (decoded.tokenType !== 'mfa_pending' || !decoded.userId || !decoded.email) {
+      throw new Error('Invalid token claims');
+    }
+
+    return decoded;
+  } catch (error) {
+    throw new Error('Invalid or expired verification token');
+  }
+}
+
 /**
  * Sets secure authentication cookies with comprehensive protection
  *
@@ -292,14 +359,6 @@ async function authenticateToken(req, res, next) {
     // SECURITY: Extract token from secure httpOnly cookie OR Authorization header
     let token = req.cookies?.accessToken;
 
-    // DEBUG: Log cookie and header info
-    console.log('🔍 Auth Debug:', {
-      hasCookies: !!req.cookies,
-      cookieKeys: req.cookies ? Object.keys(req.cookies) : [],
-      hasAccessToken: !!token,
-      hasAuthHeader: !!req.headers.authorization,
-    });
-
     // If no cookie token, check Authorization header
     if (!token) {
       const authHeader = req.headers.authorization;
@@ -309,7 +368,6 @@ async function authenticateToken(req, res, next) {
     }
 
     if (!token) {
-      console.log('❌ No token found in cookies or headers');
       return res.status(401).json({
         success: false,
         message: 'Authentication required',
@@ -318,13 +376,20 @@ async function authenticateToken(req, res, next) {
     }
 
     // SECURITY: Verify token with comprehensive validation
-    console.log('🔐 Verifying token...');
     const decoded = await verifyToken(token, 'access');
-    console.log('✅ Token verified successfully:', {
-      userId: decoded.userId,
-      email: decoded.email,
-      role: decoded.role,
-    });
+
+    // SECURITY: The token must be the current one of a live session, so
+    // logout and revocation take effect immediately
+    const session = await findActiveSession(decoded.jti);
+    if (!session) {
+      logger.info('Token has no active session', { userId: decoded.userId });
+      return res.status(401).json({
+        success: false,
+        message: 'Session has ended. Please log in again.',
+        code: 'SESSION_REVOKED',
+        requiresLogin: true,
+      });
+    }
 
     // SECURITY: Attach user info to request for downstream use
     req.user = {
@@ -332,9 +397,13 @@ async function authenticateToken(req, res, next) {
       email: decoded.email,
       role: decoded.role || 'user',
       tokenId: decoded.jti, // JWT ID for tracking
+      sessionId: session.familyId,
       issuedAt: decoded.iat,
     };
 
+    touchSession(session, req);
+    detectSessionAnomaly(req);
+
     // SECURITY: Add request tracking
     req.authInfo = {
       tokenType: 'access',
@@ -345,7 +414,7 @@ async function authenticateToken(req, res, next) {
     next();
   } catch (error) {
     // SECURITY: Consistent error response
-    console.log('❌ Token verification failed:', error.message);
+    logger.debug('Access token rejected', { reason: error.message });
     return res.status(401).json({
       success: false,
       message: 'Invalid or expired token',
@@ -383,8 +452,11 @@ module.exports = {
   clearSecureCookies,
   authenticateToken,
   validateRefreshToken,
+  generateMfaPendingToken,
+  verifyMfaPendingToken,
   TOKEN_CONFIG,
   COOKIE_CONFIG,
+  REFRESH_COOKIE_CONFIG,
   // Aliases for backward compatibility
   createAccessToken: generateAccessToken,
   createRefreshToken: generateRefreshToken,
@@ -0,0 +1,332 @@
+/**
+ * DOUBLE-ENTRY LEDGER
+ *
+ * Customer funds move only through immutable journal entries (models/LedgerEntry.js).
+ * Balances are derived from the postings - Customer.accountBalance is only the
+ * legacy opening figure and is never updated.
+ *
+ * ACCOUNTS:
+ *   customer:<id>:available  - Funds the customer can spend
+ *   customer:<id>:held       - Funds reserved for payments awaiting SWIFT submission
+ *   bank:funding             - Counter-account for deposits and opening balances
+ *   bank:swift_clearing      - Funds released to the SWIFT network
+ *
+ * PAYMENT FLOW (in the account currency when the payment has a locked FX quote):
+ *   create          hold      available → held
+ *   reject          release   held → available
+ *   submit to SWIFT debit     held → swift_clearing
+ *   SWIFT failure   refund    swift_clearing → available
+ *
+ * A balance is credits minus debits, in minor units (cents) per currency.
+ *
+ * Holds reserve funds against a running balance of the available account
+ * (models/LedgerBalance.js) with one conditional update, so two payments
+ * racing for the same funds cannot both be held.
+ */
+
+const crypto = require('crypto');
+const LedgerEntry = require('../models/LedgerEntry');
+const LedgerBalance = require('../models/LedgerBalance');
+
+const LEDGER_CONFIG = {
+  // Currency of customer accounts (opening balances are booked in it)
+  accountCurrency: process.env.ACCOUNT_CURRENCY || 'USD',
+  minorUnitFactor: 100,
+};
+
+const LEDGER_ACCOUNTS = {
+  available: customerId => `customer:${customerId}:available`,
+  held: customerId => `customer:${customerId}:held`,
+  funding: 'bank:funding',
+  swiftClearing: 'bank:swift_clearing',
+};
+
+const toMinorUnits = amount => Math.round(Number(amount) * LEDGER_CONFIG.minorUnitFactor);
+
+const fromMinorUnits = units => units / LEDGER_CONFIG.minorUnitFactor;
+
+// Payments may carry a populated customer document
+const customerIdOf = payment => String(payment.customerId?._id || payment.customerId);
+
+// Payments with a locked FX quote are held in the account currency
+const isAvailableAccount = account => /^customer:[^:]+:available$/.test(account);
+
+const holdAmountOf = payment =>
+  payment.fx?.debitAmount
+    ? { amount: payment.fx.debitAmount, currency: payment.fx.accountCurrency }
+    : { amount: payment.amount, currency: payment.currency };
+
+/**
+ * Post a balanced entry moving `amount` minor units from one account to another
+ */
+async function postEntry({
+  type,
+  customerId,
+  transactionId,
+  currency,
+  amount,
+  from,
+  to,
+  memo,
+  postedBy,
+}) {
+  const entry = new LedgerEntry({
+    entryId: `LED-${Date.now()}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+    type,
+    customerId,
+    transactionId,
+    currency,
+    postings: [
+      { account: from, side: 'debit', amount },
+      { account: to, side: 'credit', amount },
+    ],
+    memo,
+    postedBy,
+  });
+
+  await entry.save();
+
+  // Holds debit the running balance up front (placeHold); credits follow the entry
+  if (isAvailableAccount(to)) {
+    await LedgerBalance.updateOne({ account: to, currency }, { $inc: { balance: amount } });
+  }
+
+  return entry;
+}
+
+/**
+ * Derive a customer's balances from the journal
+ *
+ * @param {string} customerId
+ * @returns {Promise<Object>} { [currency]: { available, held } } in major units
+ */
+async function getCustomerBalances(customerId) {
+  const accounts = [LEDGER_ACCOUNTS.available(customerId), LEDGER_ACCOUNTS.held(customerId)];
+
+  const rows = await LedgerEntry.aggregate([
+    { $match: { 'postings.account': { $in: accounts } } },
+    { $unwind: '$postings' },
+    { $match: { 'postings.account': { $in: accounts } } },
+    {
+      $group: {
+        _id: { account: '$postings.account', currency: '$currency' },
+        balance: {
+          $sum: {
+            $cond: [
+              { $eq: ['$postings.side', 'credit'] },
+              '$postings.amount',
+              { $multiply: ['$postings.amount', -1] },
+            ],
+          },
+        },
+      },
+    },
+  ]);
+
+  const balances = {};
+  rows.forEach(({ _id, balance }) => {
+    if (!balances[_id.currency]) {
+      balances[_id.currency] = { available: 0, held: 0 };
+    }
+    const bucket = _id.account === accounts[0] ? 'available' : 'held';
+    balances[_id.currency][bucket] = fromMinorUnits(balance);
+  });
+
+  return balances;
+}
+
+/**
+ * Funds the customer can spend in a currency (major units)
+ */
+async function getAvailableBalance(customerId, currency) {
+  const balances = await getCustomerBalances(customerId);
+  return balances[currency]?.available || 0;
+}
+
+/**
+ * Credit a customer's account from the bank (employee deposit or opening balance)
+ */
+async function postDeposit({ customerId, amount, currency, memo, postedBy, type = 'deposit' }) {
+  return postEntry({
+    type,
+    customerId,
+    currency,
+    amount: toMinorUnits(amount),
+    from: LEDGER_ACCOUNTS.funding,
+    to: LEDGER_ACCOUNTS.available(customerId),
+    memo,
+    postedBy,
+  });
+}
+
+/**
+ * Find the entry of a given type recorded for a payment
+ */
+async function findPaymentEntry(transactionId, type) {
+  return LedgerEntry.findOne({ transactionId, type });
+}
+
+/**
+ * Seed the running balance of an available account from the journal
+ * Credits posted while no document exists are already in the journal; a
+ * credit landing between the read and the insert is only missed from the
+ * running balance, which then understates the funds rather than overstating them.
+ */
+async function ensureRunningBalance(customerId, currency) {
+  const account = LEDGER_ACCOUNTS.available(customerId);
+
+  if (await LedgerBalance.findOne({ account, currency })) {
+    return;
+  }
+
+  const balance = toMinorUnits(await getAvailableBalance(customerId, currency));
+  try {
+    // A concurrent seed that got there first wins
+    await LedgerBalance.updateOne(
+      { account, currency },
+      { $setOnInsert: { balance } },
+      { upsert: true }
+    );
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Reset the running balance of an available account to the journal figure
+ * For migrations that post entries directly - run it while no holds are being placed.
+ */
+async function rebuildRunningBalance(customerId, currency) {
+  const balance = toMinorUnits(await getAvailableBalance(customerId, currency));
+  await LedgerBalance.updateOne(
+    { account: LEDGER_ACCOUNTS.available(customerId), currency },
+    { $set: { balance } },
+    { upsert: true }
+  );
+}
+
+/**
+ * Reserve a new payment's amount (refused when available funds are insufficient)
+ * The balance check and the reservation are one conditional update, so
+ * concurrent payments cannot hold the same funds twice.
+ */
+async function placeHold(payment) {
+  const customerId = customerIdOf(payment);
+  const { currency, amount: holdAmount } = holdAmountOf(payment);
+  const amount = toMinorUnits(holdAmount);
+  const account = LEDGER_ACCOUNTS.available(customerId);
+
+  await ensureRunningBalance(customerId, currency);
+
+  const reserved = await LedgerBalance.findOneAndUpdate(
+    { account, currency, balance: { $gte: amount } },
+    { $inc: { balance: -amount } },
+    { new: true }
+  );
+
+  if (!reserved) {
+    throw new Error('Insufficient funds');
+  }
+
+  try {
+    return await postEntry({
+      type: 'hold',
+      customerId,
+      transactionId: payment.transactionId,
+      currency,
+      amount,
+      from: account,
+      to: LEDGER_ACCOUNTS.held(customerId),
+      memo: `Hold for payment ${payment.transactionId}`,
+    });
+  } catch (error) {
+    // No entry, no hold - hand the reservation back
+    await LedgerBalance.updateOne({ account, currency }, { $inc: { balance: amount } });
+    throw error;
+  }
+}
+
+/**
+ * Move the amount of an earlier entry for the same payment between two accounts
+ */
+async function reversePaymentEntry(payment, sourceType, { type, from, to, memo }) {
+  const source = await findPaymentEntry(payment.transactionId, sourceType);
+
+  if (!source) {
+    throw new Error(`No ${sourceType} entry found for payment ${payment.transactionId}`);
+  }
+
+  return postEntry({
+    type,
+    customerId: source.customerId,
+    transactionId: payment.transactionId,
+    currency: source.currency,
+    amount: source.postings[0].amount,
+    from,
+    to,
+    memo,
+  });
+}
+
+/**
+ * Return held funds to the customer (payment rejected)
+ */
+async function releaseHold(payment, memo) {
+  const customerId = customerIdOf(payment);
+  return reversePaymentEntry(payment, 'hold', {
+    type: 'release',
+    from: LEDGER_ACCOUNTS.held(customerId),
+    to: LEDGER_ACCOUNTS.available(customerId),
+    memo: memo || `Release for payment ${payment.transactionId}`,
+  });
+}
+
+/**
+ * Pay held funds out to the SWIFT network (payment submitted)
+ * A payment that could not be saved after its debit keeps the debit already
+ * posted, so recording the submission again does not debit twice.
+ */
+async function postSwiftDebit(payment) {
+  const existing = await findPaymentEntry(payment.transactionId, 'debit');
+  if (existing) {
+    return existing;
+  }
+
+  const customerId = customerIdOf(payment);
+  return reversePaymentEntry(payment, 'hold', {
+    type: 'debit',
+    from: LEDGER_ACCOUNTS.held(customerId),
+    to: LEDGER_ACCOUNTS.swiftClearing,
+    memo: `SWIFT debit for payment ${payment.transactionId}`,
+  });
+}
+
+/**
+ * Return debited funds to the customer (SWIFT rejected the transfer)
+ */
+async function refundPayment(payment, memo) {
+  const customerId = customerIdOf(payment);
+  return reversePaymentEntry(payment, 'debit', {
+    type: 'refund',
+    from: LEDGER_ACCOUNTS.swiftClearing,
+    to: LEDGER_ACCOUNTS.available(customerId),
+    memo: memo || `Refund for payment ${payment.transactionId}`,
+  });
+}
+
+module.exports = {
+  LEDGER_CONFIG,
+  LEDGER_ACCOUNTS,
+  toMinorUnits,
+  postEntry,
+  getCustomerBalances,
+  getAvailableBalance,
+  postDeposit,
+  rebuildRunningBalance,
+  placeHold,
+  releaseHold,
+  postSwiftDebit,
+  refundPayment,
+};
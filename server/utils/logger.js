@@ -0,0 +1,174 @@
+/**
+ * STRUCTURED LOGGER
+ *
+ * Writes one JSON object per line (debug/info to stdout, warn/error to stderr):
+ *
+ *   {"time":"2025-01-01T00:00:00.000Z","level":"info","msg":"Payment created",
+ *    "requestId":"...","transactionId":"TXN-..."}
+ *
+ * LEVELS: debug < info < warn < error. Lines below LOG_LEVEL are dropped
+ * (default info, silent under NODE_ENV=test).
+ *
+ * REQUEST IDS: middleware/requestId.js runs each request inside a request
+ * context, so every line logged while handling it carries its requestId
+ * without passing req around.
+ *
+ * REDACTION: every message and field goes through redact() before it is
+ * written:
+ *   passwords, tokens, secrets, cookies, codes  - [REDACTED]
+ *   account numbers / IBANs                      - last four characters only
+ *   email addresses                              - first character of the local part only
+ *   JWTs and Bearer credentials inside strings   - [REDACTED]
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const LOGGER_CONFIG = {
+  level: process.env.LOG_LEVEL || (process.env.NODE_ENV === 'test' ? 'silent' : 'info'),
+  // Nested objects deeper than this are summarised
+  maxDepth: 6,
+};
+
+const REDACTED = '[REDACTED]';
+
+// Field names whose values are never logged
+const SECRET_KEY_PATTERN =
+  /pass(word|phrase)?|secret|token|authorization|cookie|csrf|signature|api_?key|mfa_?code|otp|recovery/i;
+// Field names holding account numbers
+const ACCOUNT_KEY_PATTERN = /account(number)?$|iban|card_?number/i;
+
+const EMAIL_PATTERN = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+const JWT_PATTERN = /eyJ[\w-]+\.[\w-]+\.[\w-]+/g;
+const BEARER_PATTERN = /(Bearer\s+)\S+/gi;
+const IBAN_PATTERN = /\b([A-Z]{2}\d{2})[A-Z0-9]{6,26}([A-Z0-9]{4})\b/g;
+
+const requestContext = new AsyncLocalStorage();
+
+const maskAccount = value => {
+  const text = String(value);
+  return text.length > 4 ? `****${text.slice(-4)}` : '****';
+};
+
+/**
+ * Mask emails, JWTs, Bearer credentials and IBANs inside free text
+ */
+const redactString = text =>
+  text
+    .replace(JWT_PATTERN, REDACTED)
+    .replace(BEARER_PATTERN, `$1${REDACTED}`)
+    .replace(EMAIL_PATTERN, '$1***@$2')
+    .replace(IBAN_PATTERN, '$1****$2');
+
+/**
+ * Copy of a value that is safe to log
+ */
+function redact(value, key = '', depth = 0, seen = new WeakSet()) {
+  if (value === null || value === undefined) {
+    return value;
+  }
+  if (key && SECRET_KEY_PATTERN.test(key)) {
+    return REDACTED;
+  }
+  if (key && ACCOUNT_KEY_PATTERN.test(key) && typeof value !== 'object') {
+    return maskAccount(value);
+  }
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (typeof value !== 'object') {
+    return value;
+  }
+
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: redactString(value.message || ''),
+      ...(value.code !== undefined && { code: value.code }),
+      ...(value.stack && { stack: redactString(value.stack) }),
+    };
+  }
+  // Dates, ObjectIds and Mongoose documents log as their JSON form
+  if (typeof value.toJSON === 'function') {
+    return redact(value.toJSON(), key, depth, seen);
+  }
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  if (depth >= LOGGER_CONFIG.maxDepth) {
+    return Array.isArray(value) ? '[Array]' : '[Object]';
+  }
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, key, depth + 1, seen));
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([name, item]) => [name, redact(item, name, depth + 1, seen)])
+  );
+}
+
+/**
+ * Correlation ID of the request being handled, if any
+ */
+const getRequestId = () => requestContext.getStore()?.requestId;
+
+/**
+ * Run fn (and everything it awaits) with a request ID in context
+ */
+const runWithRequestId = (requestId, fn) => requestContext.run({ requestId }, fn);
+
+const defaultWrite = (level, line) => {
+  const stream = LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${line}\n`);
+};
+
+/**
+ * Create a logger
+ *
+ * @param {Object} [options]
+ * @param {string} [options.level] - Minimum level written (defaults to LOGGER_CONFIG.level)
+ * @param {Function} [options.write] - (level, line) sink, stdout/stderr by default
+ * @param {Object} [options.bindings] - Fields added to every line
+ * @returns {Object} { debug, info, warn, error, child }
+ */
+function createLogger({ level, write = defaultWrite, bindings = {} } = {}) {
+  const log = (lineLevel, msg, fields = {}) => {
+    const threshold = LOG_LEVELS[level || LOGGER_CONFIG.level] ?? LOG_LEVELS.info;
+    if (LOG_LEVELS[lineLevel] < threshold) {
+      return;
+    }
+
+    const requestId = getRequestId();
+    const entry = {
+      time: new Date().toISOString(),
+      level: lineLevel,
+      msg: redactString(String(msg)),
+      ...(requestId && { requestId }),
+      ...redact({ ...bindings, ...fields }),
+    };
+
+    write(lineLevel, JSON.stringify(entry));
+  };
+
+  return {
+    debug: (msg, fields) => log('debug', msg, fields),
+    info: (msg, fields) => log('info', msg, fields),
+    warn: (msg, fields) => log('warn', msg, fields),
+    error: (msg, fields) => log('error', msg, fields),
+    child: extra => createLogger({ level, write, bindings: { ...bindings, ...extra } }),
+  };
+}
+
+const logger = createLogger();
+
+module.exports = {
+  LOG_LEVELS,
+  LOGGER_CONFIG,
+  redact,
+  getRequestId,
+  runWithRequestId,
+  createLogger,
+  logger,
+};
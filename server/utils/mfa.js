@@ -0,0 +1,303 @@
+/**
+ * TWO-FACTOR AUTHENTICATION (TOTP, RFC 6238)
+ *
+ * Employees enrol an authenticator app with a shared secret and then prove
+ * possession of it with a 6-digit code at login and before releasing
+ * payments to SWIFT (step-up). Customers can enrol one to confirm payments
+ * (see utils/paymentChallenges.js).
+ *
+ *   - Secrets are stored AES-256-GCM encrypted (MFA_ENCRYPTION_KEY)
+ *   - A code is accepted once: the last used time step is recorded
+ *   - One-time recovery codes (stored as SHA-256 hashes) replace the app at
+ *     login if the device is lost
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Employee = require('../models/Employee');
+const { logger } = require('./logger');
+
+const MFA_KEY_FILE =
+  process.env.MFA_ENCRYPTION_KEY_FILE || path.join(__dirname, '../keys/mfa-encryption.key');
+
+/**
+ * Key material from MFA_ENCRYPTION_KEY or the key file, generating the file
+ * outside production. A key that changes between restarts would leave every
+ * stored authenticator secret undecryptable.
+ */
+function loadEncryptionSecret() {
+  if (process.env.MFA_ENCRYPTION_KEY) {
+    return process.env.MFA_ENCRYPTION_KEY;
+  }
+  if (fs.existsSync(MFA_KEY_FILE)) {
+    return fs.readFileSync(MFA_KEY_FILE, 'utf8').trim();
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('No MFA encryption key - set MFA_ENCRYPTION_KEY or MFA_ENCRYPTION_KEY_FILE');
+  }
+
+  const secret = crypto.randomBytes(32).toString('hex');
+  fs.mkdirSync(path.dirname(MFA_KEY_FILE), { recursive: true });
+  fs.writeFileSync(MFA_KEY_FILE, `${secret}\n`, { mode: 0o600 });
+  logger.warn('Generated a development MFA encryption key', { file: MFA_KEY_FILE });
+  return secret;
+}
+
+const MFA_CONFIG = {
+  // Shown as the account label in authenticator apps
+  issuer: process.env.MFA_ISSUER || 'INSY7314 Payment Portal',
+  digits: 6,
+  periodSeconds: 30,
+  // Accepted clock drift, in time steps either side of now
+  window: 1,
+  secretBytes: 20,
+  recoveryCodeCount: 10,
+  encryptionKey: crypto.createHash('sha256').update(loadEncryptionSecret()).digest(),
+  // Step-up before SWIFT submission needs an enrolled authenticator
+  stepUpRequiresEnrolment: process.env.MFA_STEP_UP_REQUIRES_ENROLMENT !== 'false',
+};
+
+// A 6-digit TOTP code or a recovery code (xxxxx-xxxxx)
+const MFA_CODE_PATTERN = /^(\d{6}|[a-f0-9]{5}-?[a-f0-9]{5})$/i;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Base32 encode (RFC 4648, no padding) - the secret format authenticator apps use
+ */
+function base32Encode(buffer) {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.substring(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+}
+
+/**
+ * Base32 decode (padding and whitespace ignored)
+ */
+function base32Decode(input) {
+  const cleaned = String(input).toUpperCase().replace(/[\s=]/g, '');
+
+  let bits = '';
+  for (const char of cleaned) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    bits += value.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.substring(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * New random TOTP secret (base32)
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(MFA_CONFIG.secretBytes));
+}
+
+/**
+ * Time step number for a timestamp
+ */
+function timeStep(timestamp = Date.now()) {
+  return Math.floor(timestamp / 1000 / MFA_CONFIG.periodSeconds);
+}
+
+/**
+ * TOTP code for a secret at a time step (HOTP, RFC 4226, with SHA-1)
+ */
+function generateTotp(secret, step = timeStep()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** MFA_CONFIG.digits).padStart(MFA_CONFIG.digits, '0');
+}
+
+/**
+ * Check a code against the steps around now
+ *
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the employee
+ * @param {number} [lastUsedStep] - Steps up to this one are refused (replay)
+ * @returns {number|null} Matching time step, or null
+ */
+function verifyTotp(secret, code, lastUsedStep = -1, timestamp = Date.now()) {
+  const normalized = String(code || '').trim();
+  if (!/^\d+$/.test(normalized) || normalized.length !== MFA_CONFIG.digits) {
+    return null;
+  }
+
+  const now = timeStep(timestamp);
+
+  for (let step = now - MFA_CONFIG.window; step <= now + MFA_CONFIG.window; step++) {
+    if (step <= lastUsedStep) {
+      continue;
+    }
+
+    const expected = generateTotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * otpauth:// URI for enrolment - the payload of the QR code authenticator
+ * apps scan (Key URI Format)
+ */
+function buildProvisioningUri(secret, accountName) {
+  const label = encodeURIComponent(`${MFA_CONFIG.issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: MFA_CONFIG.issuer,
+    algorithm: 'SHA1',
+    digits: String(MFA_CONFIG.digits),
+    period: String(MFA_CONFIG.periodSeconds),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Encrypt a secret for storage (iv:tag:ciphertext, hex)
+ */
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', MFA_CONFIG.encryptionKey, iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+}
+
+/**
+ * Decrypt a stored secret (throws if it was tampered with or the key changed)
+ */
+function decryptSecret(stored) {
+  const [iv, tag, encrypted] = String(stored || '')
+    .split(':')
+    .map(part => Buffer.from(part, 'hex'));
+
+  if (!iv || !tag || !encrypted) {
+    throw new Error('Invalid encrypted secret');
+  }
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', MFA_CONFIG.encryptionKey, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Hash of a recovery code (case and dash insensitive)
+ */
+function hashRecoveryCode(code) {
+  const normalized = String(code || '')
+    .toLowerCase()
+    .replace(/[^a-f0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * New set of recovery codes
+ *
+ * @returns {Object} { codes (shown once), hashes (stored) }
+ */
+function generateRecoveryCodes() {
+  const codes = Array.from({ length: MFA_CONFIG.recoveryCodeCount }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.substring(0, 5)}-${hex.substring(5)}`;
+  });
+
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/**
+ * Verify an enrolled account's code and use it up
+ * TOTP codes cannot be replayed; a recovery code is removed once used.
+ *
+ * @param {Object} Model - Employee or Customer model
+ * @param {Object} account - Document with mfa fields
+ * @param {string} code - TOTP code or recovery code
+ * @param {Object} [options] - { allowRecoveryCode }
+ * @returns {Promise<string|null>} 'totp', 'recovery_code' or null if rejected
+ */
+async function verifyAccountMfa(Model, account, code, { allowRecoveryCode = false } = {}) {
+  if (!account.mfa?.enabled || !account.mfa.secret) {
+    return null;
+  }
+
+  const normalized = String(code || '').trim();
+
+  if (/^\d+$/.test(normalized)) {
+    const lastUsedStep = account.mfa.lastUsedStep ?? -1;
+    const step = verifyTotp(decryptSecret(account.mfa.secret), normalized, lastUsedStep);
+    if (step === null) {
+      return null;
+    }
+
+    // Conditional update so two requests cannot both spend the same code
+    const result = await Model.updateOne(
+      {
+        _id: account._id,
+        $or: [{ 'mfa.lastUsedStep': { $lt: step } }, { 'mfa.lastUsedStep': null }],
+      },
+      { $set: { 'mfa.lastUsedStep': step } }
+    );
+    return result.modifiedCount > 0 ? 'totp' : null;
+  }
+
+  if (!allowRecoveryCode) {
+    return null;
+  }
+
+  const hash = hashRecoveryCode(normalized);
+  const result = await Model.updateOne(
+    { _id: account._id, 'mfa.recoveryCodeHashes': hash },
+    { $pull: { 'mfa.recoveryCodeHashes': hash } }
+  );
+  return result.modifiedCount > 0 ? 'recovery_code' : null;
+}
+
+/**
+ * Verify an employee's code (see verifyAccountMfa)
+ */
+function verifyEmployeeMfa(employee, code, options) {
+  return verifyAccountMfa(Employee, employee, code, options);
+}
+
+module.exports = {
+  MFA_CONFIG,
+  MFA_CODE_PATTERN,
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  timeStep,
+  generateTotp,
+  verifyTotp,
+  buildProvisioningUri,
+  encryptSecret,
+  decryptSecret,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+  verifyAccountMfa,
+  verifyEmployeeMfa,
+};
@@ -0,0 +1,151 @@
+/**
+ * Migrate Ledger Balances Script
+ * Books existing balances and open payments into the double-entry ledger:
+ *   - Customer.accountBalance → opening_balance entry (account currency)
+ *   - pending/verified payments → hold
+ *   - submitted_to_swift payments → hold + debit
+ * Holds and debits are booked in the account currency, like placeHold():
+ * payments in another currency are converted at the current mid rate and the
+ * conversion is stored on the payment (fx). The running balances of the
+ * customers touched are then rebuilt from the journal.
+ * Safe to re-run: customers and payments that already have entries are skipped.
+ * Run it while the API servers are stopped, so no hold is placed meanwhile.
+ */
+
+const mongoose = require('mongoose');
+const Customer = require('../models/Customer');
+const Payment = require('../models/Payment');
+const LedgerEntry = require('../models/LedgerEntry');
+const {
+  LEDGER_CONFIG,
+  LEDGER_ACCOUNTS,
+  toMinorUnits,
+  postEntry,
+  postDeposit,
+  rebuildRunningBalance,
+} = require('./ledger');
+const { initializeFxRates, getRates, getMidRate, convertAmount } = require('./fxRates');
+const { initializeFieldEncryption } = require('./fieldEncryption');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/insy7314_payment_portal';
+
+async function migrateLedgerBalances() {
+  try {
+    console.log('🔄 Connecting to MongoDB...');
+    await mongoose.connect(MONGODB_URI);
+    await initializeFieldEncryption();
+    await initializeFxRates();
+    console.log('✅ Connected\n');
+
+    const { accountCurrency } = LEDGER_CONFIG;
+    const touched = new Set();
+
+    let openingBalances = 0;
+    const customers = await Customer.find({ accountBalance: { $gt: 0 } });
+
+    for (const customer of customers) {
+      const exists = await LedgerEntry.exists({
+        customerId: customer._id,
+        type: 'opening_balance',
+      });
+      if (exists) {
+        continue;
+      }
+
+      await postDeposit({
+        type: 'opening_balance',
+        customerId: customer._id,
+        amount: customer.accountBalance,
+        currency: accountCurrency,
+        memo: 'Opening balance migrated from Customer.accountBalance',
+        postedBy: 'migrateLedgerBalances',
+      });
+      touched.add(String(customer._id));
+      openingBalances++;
+    }
+    console.log(`   ✓ Opening balances booked: ${openingBalances}`);
+
+    let converted = 0;
+    let holds = 0;
+    let debits = 0;
+    const payments = await Payment.find({
+      status: {
+        $in: [...Payment.AWAITING_VERIFICATION_STATUSES, 'verified', 'submitted_to_swift'],
+      },
+    });
+
+    for (const payment of payments) {
+      const customerId = String(payment.customerId);
+      const held = await LedgerEntry.exists({ transactionId: payment.transactionId, type: 'hold' });
+
+      // Hold the account-currency equivalent, as a locked quote would have
+      if (!held && !payment.fx?.debitAmount && payment.currency !== accountCurrency) {
+        const midRate = getMidRate(payment.currency, accountCurrency);
+        payment.fx = {
+          accountCurrency,
+          debitAmount: convertAmount(payment.amount, payment.currency, accountCurrency),
+          midRate,
+          spread: 0,
+          rate: midRate,
+          ratesAsOf: getRates().asOf,
+        };
+        await Payment.updateOne({ _id: payment._id }, { $set: { fx: payment.fx } });
+        converted++;
+      }
+
+      const fx = payment.fx?.debitAmount ? payment.fx : null;
+      const base = {
+        customerId: payment.customerId,
+        transactionId: payment.transactionId,
+        currency: fx ? fx.accountCurrency : payment.currency,
+        amount: toMinorUnits(fx ? fx.debitAmount : payment.amount),
+        postedBy: 'migrateLedgerBalances',
+      };
+
+      // Legacy payments are booked even if they overdraw the migrated balance
+      if (!held) {
+        await postEntry({
+          ...base,
+          type: 'hold',
+          from: LEDGER_ACCOUNTS.available(customerId),
+          to: LEDGER_ACCOUNTS.held(customerId),
+          memo: `Migrated hold for payment ${payment.transactionId}`,
+        });
+        touched.add(customerId);
+        holds++;
+      }
+
+      if (
+        payment.status === 'submitted_to_swift' &&
+        !(await LedgerEntry.exists({ transactionId: payment.transactionId, type: 'debit' }))
+      ) {
+        await postEntry({
+          ...base,
+          type: 'debit',
+          from: LEDGER_ACCOUNTS.held(customerId),
+          to: LEDGER_ACCOUNTS.swiftClearing,
+          memo: `Migrated SWIFT debit for payment ${payment.transactionId}`,
+        });
+        debits++;
+      }
+    }
+    console.log(`   ✓ Payments converted to ${accountCurrency}: ${converted}`);
+    console.log(`   ✓ Payment holds booked: ${holds}`);
+    console.log(`   ✓ SWIFT debits booked: ${debits}`);
+
+    // postEntry() only credits running balances - lower them for the migrated holds
+    for (const customerId of touched) {
+      await rebuildRunningBalance(customerId, accountCurrency);
+    }
+    console.log(`   ✓ Running balances rebuilt: ${touched.size}`);
+
+    await mongoose.connection.close();
+    console.log('\n✅ Ledger migration complete');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error migrating ledger balances:', error);
+    process.exit(1);
+  }
+}
+
+migrateLedgerBalances();
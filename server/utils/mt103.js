@@ -0,0 +1,226 @@
+/**
+ * SWIFT MT103 MESSAGE BUILDER
+ *
+ * Renders a single payment as a FIN MT103 (Single Customer Credit Transfer)
+ * for correspondent banks that do not consume ISO 20022.
+ *
+ * FIELDS:
+ *   :20:   Sender's reference (16x)      - Compact form of the transaction ID
+ *   :23B:  Bank operation code           - CRED (mandatory in every MT103)
+ *   :32A:  Value date, currency, amount  - YYMMDD + ISO currency + amount with decimal comma
+ *   :50K:  Ordering customer             - /account + name (4*35x)
+ *   :57A:  Account with institution      - Beneficiary bank BIC (recipientSwift)
+ *   :59:   Beneficiary customer          - /account + name (4*35x)
+ *   :70:   Remittance information        - Payment reference (4*35x)
+ *   :71A:  Details of charges            - OUR / SHA / BEN
+ *
+ * Free text must use the SWIFT X character set and fit the field's line rules.
+ * Use validateMt103Payment() to list violations before rendering.
+ */
+
+const MT103_CONFIG = {
+  senderBic: process.env.BANK_BIC || 'INSYZAJJXXX',
+  chargeBearer: process.env.MT103_CHARGE_BEARER || 'SHA',
+  lineLength: 35,
+  maxSenderReferenceLength: 16,
+};
+
+// SWIFT X character set: a-z A-Z 0-9 / - ? : ( ) . , ' + and space
+const X_CHARSET = /^[A-Za-z0-9/\-?:().,'+ ]*$/;
+
+const CHARGE_BEARERS = ['OUR', 'SHA', 'BEN'];
+
+/**
+ * Split text into lines of at most `width` characters, breaking on spaces where possible
+ */
+function wrapLines(text, width = MT103_CONFIG.lineLength) {
+  const lines = [];
+  let current = '';
+
+  String(text ?? '')
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .forEach(word => {
+      // Words longer than a full line are hard-split
+      while (word.length > width) {
+        if (current) {
+          lines.push(current);
+          current = '';
+        }
+        lines.push(word.substring(0, width));
+        word = word.substring(width);
+      }
+
+      if (!current) {
+        current = word;
+      } else if (current.length + 1 + word.length <= width) {
+        current = `${current} ${word}`;
+      } else {
+        lines.push(current);
+        current = word;
+      }
+    });
+
+  if (current) {
+    lines.push(current);
+  }
+  return lines;
+}
+
+/**
+ * Check free text against the X character set and a field's line rules
+ *
+ * @param {string} field - Field name reported in errors
+ * @param {string} value - Text to check
+ * @param {number} maxLines - Lines available for the text in its MT field
+ * @returns {Array<{field: string, message: string}>} Violations (empty when valid)
+ */
+function validateMtText(field, value, maxLines) {
+  const errors = [];
+  const text = String(value ?? '');
+
+  if (!X_CHARSET.test(text)) {
+    errors.push({ field, message: `${field} contains characters outside the SWIFT X set` });
+  }
+
+  const lines = wrapLines(text);
+  if (lines.length > maxLines) {
+    errors.push({
+      field,
+      message: `${field} must fit in ${maxLines} line(s) of ${MT103_CONFIG.lineLength} characters`,
+    });
+  }
+
+  // A leading ':' or '-' would be read as a new field tag or the end of block 4
+  if (lines.some(line => line.startsWith(':') || line.startsWith('-'))) {
+    errors.push({ field, message: `${field} lines must not start with ':' or '-'` });
+  }
+
+  return errors;
+}
+
+/**
+ * Field 20 reference: TXN-1700000000000-AB12CD → base-36 timestamp + random suffix
+ * Keeps the reference within 16x and free of slashes
+ */
+function toSenderReference(transactionId) {
+  const match = /^TXN-(\d{13})-([A-Z0-9]+)$/.exec(transactionId || '');
+  if (!match) {
+    throw new Error(`Cannot derive an MT103 reference from ${transactionId}`);
+  }
+
+  const timestamp = Number(match[1]).toString(36).toUpperCase();
+  return `${timestamp}${match[2]}`.substring(0, MT103_CONFIG.maxSenderReferenceLength);
+}
+
+/**
+ * Amount with a decimal comma, e.g. 750.5 → 750,50
+ */
+function formatMtAmount(amount) {
+  return Number(amount).toFixed(2).replace('.', ',');
+}
+
+/**
+ * Value date as YYMMDD (UTC)
+ */
+function formatValueDate(date) {
+  return date.toISOString().substring(2, 10).replace(/-/g, '');
+}
+
+/**
+ * 12-character logical terminal address: BIC8 + terminal code + branch
+ */
+function logicalTerminalAddress(bic) {
+  const branch = bic.length === 11 ? bic.substring(8) : 'XXX';
+  return `${bic.substring(0, 8)}A${branch}`;
+}
+
+/**
+ * Prefix the first line of a multi-line field with its tag
+ */
+function taggedLines(tag, lines) {
+  return [`${tag}${lines[0]}`, ...lines.slice(1)];
+}
+
+/**
+ * List MT103 violations for a payment and its ordering customer
+ *
+ * @param {Object} payment - Payment record
+ * @param {Object} customer - Ordering customer (name, accountNumber)
+ * @returns {Array<{field: string, message: string}>} Violations (empty when valid)
+ */
+function validateMt103Payment(payment, customer) {
+  const errors = [];
+
+  if (!customer) {
+    return [{ field: 'customer', message: 'Ordering customer not found' }];
+  }
+
+  // :50K: and :59: carry the account on the first line, leaving 3 for the name
+  errors.push(...validateMtText('customerName', customer.name, 3));
+  errors.push(...validateMtText('customerAccount', customer.accountNumber, 1));
+  errors.push(...validateMtText('recipientName', payment.recipientName, 3));
+  errors.push(...validateMtText('recipientAccount', payment.recipientAccount, 1));
+
+  if (payment.reference) {
+    errors.push(...validateMtText('reference', payment.reference, 4));
+  }
+
+  if (formatMtAmount(payment.amount).length > 15) {
+    errors.push({ field: 'amount', message: 'amount exceeds the 15 character MT limit' });
+  }
+
+  return errors;
+}
+
+/**
+ * Build an MT103 message for a payment
+ *
+ * @param {Object} payment - Payment record
+ * @param {Object} customer - Ordering customer (name, accountNumber)
+ * @param {Object} options - Overrides for MT103_CONFIG, plus valueDate
+ * @returns {string} FIN message (blocks 1, 2 and 4, CRLF line endings)
+ */
+function buildMt103Message(payment, customer, options = {}) {
+  const config = { ...MT103_CONFIG, ...options };
+
+  const errors = validateMt103Payment(payment, customer);
+  if (errors.length > 0) {
+    throw new Error(`Payment cannot be rendered as MT103: ${errors[0].message}`);
+  }
+  if (!CHARGE_BEARERS.includes(config.chargeBearer)) {
+    throw new Error(`Invalid MT103 charge bearer: ${config.chargeBearer}`);
+  }
+
+  const valueDate =
+    options.valueDate || payment.submittedToSwiftAt || payment.verifiedAt || new Date();
+
+  const remittanceLines = wrapLines(payment.reference);
+
+  const fields = [
+    `:20:${toSenderReference(payment.transactionId)}`,
+    ':23B:CRED',
+    `:32A:${formatValueDate(valueDate)}${payment.currency}${formatMtAmount(payment.amount)}`,
+    `:50K:/${customer.accountNumber}`,
+    ...wrapLines(customer.name),
+    `:57A:${payment.recipientSwift}`,
+    `:59:/${payment.recipientAccount}`,
+    ...wrapLines(payment.recipientName),
+    ...(remittanceLines.length > 0 ? taggedLines(':70:', remittanceLines) : []),
+    `:71A:${config.chargeBearer}`,
+  ];
+
+  const basicHeader = `{1:F01${logicalTerminalAddress(config.senderBic)}0000000000}`;
+  const applicationHeader = `{2:I103${logicalTerminalAddress(payment.recipientSwift)}N}`;
+
+  return `${basicHeader}${applicationHeader}{4:\r\n${fields.join('\r\n')}\r\n-}`;
+}
+
+module.exports = {
+  MT103_CONFIG,
+  X_CHARSET,
+  buildMt103Message,
+  validateMt103Payment,
+  toSenderReference,
+};
@@ -0,0 +1,155 @@
+/**
+ * NOTIFIER ADAPTERS
+ *
+ * Out-of-band messages to customers and staff (one-time codes, password
+ * reset links, account notices) go through a notifier adapter, so an email
+ * or SMS provider can be plugged in without touching the routes. The
+ * built-in adapters are development stand-ins, refused in production where
+ * one-time codes and reset links must not sit in plaintext on the server:
+ *
+ *   file    - appends the message as a JSON line to NOTIFIER_OUTBOX_FILE (default)
+ *   console - writes the message to the server log
+ *
+ * Production registers a delivery adapter with registerNotifierAdapter() and
+ * names it in NOTIFIER_ADAPTER; the server checks this at startup.
+ *
+ * ADAPTER CONTRACT:
+ *   adapter.name            - Identifier stored with deliveries
+ *   adapter.send(message)   - Resolves once the message is handed over
+ *
+ * MESSAGE FORMAT:
+ *   { to, subject, text, category }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const NOTIFIER_CONFIG = {
+  adapter: process.env.NOTIFIER_ADAPTER || 'file',
+  outboxFile: process.env.NOTIFIER_OUTBOX_FILE || path.join(__dirname, '../logs/outbox.jsonl'),
+};
+
+/**
+ * Refuse a built-in stand-in in production
+ */
+function assertDevelopmentOnly(name) {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error(
+      `The ${name} notifier is for development only - register a delivery adapter and set NOTIFIER_ADAPTER`
+    );
+  }
+}
+
+/**
+ * Writes messages to the server log (development stand-in for email/SMS)
+ * Refused in production, where the log is shipped and kept.
+ */
+function createConsoleNotifier() {
+  assertDevelopmentOnly('console');
+
+  return {
+    name: 'console',
+
+    async send(message) {
+      logger.info('Notification', {
+        category: message.category || 'notice',
+        to: message.to,
+        subject: message.subject,
+        text: message.text,
+      });
+    },
+  };
+}
+
+/**
+ * Appends messages to a JSON-lines outbox file (development stand-in)
+ * Refused in production, where the file would hold live codes and links.
+ *
+ * @param {Object} options
+ * @param {string} options.file - Outbox file path
+ */
+function createFileNotifier(options = {}) {
+  assertDevelopmentOnly('file');
+  const file = options.file || NOTIFIER_CONFIG.outboxFile;
+
+  return {
+    name: 'file',
+
+    async send(message) {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.appendFile(
+        file,
+        `${JSON.stringify({ ...message, sentAt: new Date().toISOString() })}\n`,
+        { mode: 0o600 }
+      );
+    },
+  };
+}
+
+const ADAPTER_FACTORIES = {
+  console: createConsoleNotifier,
+  file: createFileNotifier,
+};
+
+let activeNotifier = null;
+
+/**
+ * Register an additional adapter factory (e.g. an email or SMS provider)
+ */
+function registerNotifierAdapter(name, factory) {
+  if (typeof factory !== 'function') {
+    throw new Error('Notifier factory must be a function');
+  }
+  ADAPTER_FACTORIES[name] = factory;
+}
+
+/**
+ * Get the configured notifier (created on first use)
+ */
+function getNotifier() {
+  if (!activeNotifier) {
+    const factory = ADAPTER_FACTORIES[NOTIFIER_CONFIG.adapter];
+    if (!factory) {
+      throw new Error(`Unknown notifier adapter: ${NOTIFIER_CONFIG.adapter}`);
+    }
+    activeNotifier = factory();
+  }
+  return activeNotifier;
+}
+
+/**
+ * Replace the active notifier (pass null to fall back to configuration)
+ */
+function setNotifier(adapter) {
+  if (adapter && (typeof adapter.send !== 'function' || !adapter.name)) {
+    throw new Error('Notifier adapter must have a name and a send() function');
+  }
+  activeNotifier = adapter;
+}
+
+/**
+ * Send a message through the active notifier
+ *
+ * @param {Object} message - { to, subject, text, category }
+ * @returns {Promise<string>} Name of the adapter that delivered it
+ */
+async function sendNotification(message) {
+  if (!message.to || !message.subject || !message.text) {
+    throw new Error('Notification needs to, subject and text');
+  }
+
+  const notifier = getNotifier();
+  await notifier.send(message);
+  return notifier.name;
+}
+
+module.exports = {
+  NOTIFIER_CONFIG,
+  createConsoleNotifier,
+  createFileNotifier,
+  registerNotifierAdapter,
+  getNotifier,
+  setNotifier,
+  sendNotification,
+};
@@ -0,0 +1,197 @@
+/**
+ * PASSWORD RESET TOKENS
+ *
+ * Forgotten passwords are reset through a link sent by the notifier
+ * (utils/notifier.js - console or file outbox in development):
+ *
+ *   POST /api/auth/password-reset/request  → same response for any email;
+ *                                            active accounts get a link
+ *   POST /api/auth/password-reset/confirm  → token + new password
+ *
+ *   - Tokens are 256-bit random values; only an HMAC (PASSWORD_RESET_SECRET)
+ *     is stored, so a database leak does not reveal usable links
+ *   - A token works once and expires after PASSWORD_RESET_TTL_MINUTES
+ *   - Requesting a new link invalidates the previous ones
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const Customer = require('../models/Customer');
+const Employee = require('../models/Employee');
+const { sendNotification } = require('./notifier');
+const { logger } = require('./logger');
+
+const PASSWORD_RESET_KEY_FILE =
+  process.env.PASSWORD_RESET_SECRET_FILE || path.join(__dirname, '../keys/password-reset.key');
+
+/**
+ * Token hashing key from PASSWORD_RESET_SECRET or the key file, generating
+ * the file outside production. A key that changes between restarts would
+ * void every reset link already sent.
+ */
+function loadResetSecret() {
+  if (process.env.PASSWORD_RESET_SECRET) {
+    return process.env.PASSWORD_RESET_SECRET;
+  }
+  if (fs.existsSync(PASSWORD_RESET_KEY_FILE)) {
+    return fs.readFileSync(PASSWORD_RESET_KEY_FILE, 'utf8').trim();
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error(
+      'No password reset secret - set PASSWORD_RESET_SECRET or PASSWORD_RESET_SECRET_FILE'
+    );
+  }
+
+  const secret = crypto.randomBytes(32).toString('hex');
+  fs.mkdirSync(path.dirname(PASSWORD_RESET_KEY_FILE), { recursive: true });
+  fs.writeFileSync(PASSWORD_RESET_KEY_FILE, `${secret}\n`, { mode: 0o600 });
+  logger.warn('Generated a development password reset secret', { file: PASSWORD_RESET_KEY_FILE });
+  return secret;
+}
+
+const PASSWORD_RESET_CONFIG = {
+  ttlMs: (parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 30) * 60 * 1000,
+  secret: loadResetSecret(),
+  // Client page that reads ?token= (and &type=employee) and completes the reset
+  resetUrl: process.env.PASSWORD_RESET_URL || 'https://localhost:5173/reset-password',
+};
+
+const ACCOUNT_MODELS = {
+  customer: Customer,
+  employee: Employee,
+};
+
+/**
+ * Error with a machine-readable code for the reset routes
+ */
+function resetError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Stored form of a reset token
+ */
+function hashResetToken(token) {
+  return crypto
+    .createHmac('sha256', PASSWORD_RESET_CONFIG.secret)
+    .update(String(token))
+    .digest('hex');
+}
+
+/**
+ * Link sent to the account holder
+ */
+function buildResetLink(token, accountType) {
+  const params = new URLSearchParams({ token });
+  if (accountType === 'employee') {
+    params.set('type', 'employee');
+  }
+  return `${PASSWORD_RESET_CONFIG.resetUrl}?${params.toString()}`;
+}
+
+/**
+ * Issue a reset token for an account, replacing any unused ones
+ *
+ * @returns {Promise<string>} The raw token (only ever sent to the account holder)
+ */
+async function issueResetToken({ account, accountType, requestedIp }) {
+  await PasswordResetToken.updateMany(
+    { accountId: account._id, usedAt: null },
+    { $set: { usedAt: new Date() } }
+  );
+
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await PasswordResetToken.create({
+    tokenHash: hashResetToken(token),
+    accountType,
+    accountId: account._id,
+    email: account.email,
+    requestedIp,
+    expiresAt: new Date(Date.now() + PASSWORD_RESET_CONFIG.ttlMs),
+  });
+
+  return token;
+}
+
+/**
+ * Handle a reset request: active accounts get a link, anything else is
+ * silently ignored. Callers must not reveal the result to the requester.
+ *
+ * @param {Object} params
+ * @param {string} params.email - Email entered on the forgot-password page
+ * @param {string} params.accountType - 'customer' or 'employee'
+ * @param {string} [params.requestedIp] - Recorded with the token
+ * @returns {Promise<boolean>} Whether a link was sent
+ */
+async function requestPasswordReset({ email, accountType, requestedIp }) {
+  const Model = ACCOUNT_MODELS[accountType];
+  const account = await Model.findOne({ email: String(email).toLowerCase() });
+
+  if (!account || account.status !== 'active') {
+    return false;
+  }
+
+  const token = await issueResetToken({ account, accountType, requestedIp });
+  const minutes = Math.round(PASSWORD_RESET_CONFIG.ttlMs / 60000);
+
+  await sendNotification({
+    to: account.email,
+    subject: 'Reset your password',
+    text: [
+      `Hello ${account.name},`,
+      '',
+      'We received a request to reset your password. Open this link to choose a new one:',
+      buildResetLink(token, accountType),
+      '',
+      `The link works once and expires in ${minutes} minutes. Resetting your password signs you out on every device.`,
+      'If you did not ask for this, you can ignore this message - your password has not changed.',
+    ].join('\n'),
+    category: 'password_reset',
+  });
+
+  return true;
+}
+
+/**
+ * Spend a reset token
+ * Throws with code RESET_TOKEN_INVALID if it is unknown, used or expired.
+ *
+ * @param {string} token - Token from the reset link
+ * @returns {Promise<Object>} The token record ({ accountType, accountId, email })
+ */
+async function consumeResetToken(token) {
+  // Conditional update so a token cannot be spent twice
+  const record = await PasswordResetToken.findOneAndUpdate(
+    {
+      tokenHash: hashResetToken(token),
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!record) {
+    throw resetError(
+      'This reset link is invalid or has expired. Please request a new one.',
+      'RESET_TOKEN_INVALID'
+    );
+  }
+
+  return record;
+}
+
+module.exports = {
+  PASSWORD_RESET_CONFIG,
+  ACCOUNT_MODELS,
+  hashResetToken,
+  buildResetLink,
+  issueResetToken,
+  requestPasswordReset,
+  consumeResetToken,
+};
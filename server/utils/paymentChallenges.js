@@ -0,0 +1,293 @@
+/**
+ * PAYMENT CONFIRMATION CHALLENGES ("what you see is what you sign")
+ *
+ * A session cookie alone cannot create a payment. The customer first asks
+ * for a challenge over the exact payment details, confirms it with a code,
+ * and only then is the payment created:
+ *
+ *   POST /api/payments/challenge  → challenge bound to amount, currency,
+ *                                   recipient account, SWIFT code, name and
+ *                                   reference (HMAC over the canonical details)
+ *   POST /api/payments            → same details + challengeId + code
+ *
+ * Customers with an authenticator app confirm with a TOTP code; everyone else
+ * gets a one-time code through the notifier (utils/notifier.js) that repeats
+ * the details, so a tampered request cannot reuse a code issued for
+ * different details.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const PaymentChallenge = require('../models/PaymentChallenge');
+const Customer = require('../models/Customer');
+const { verifyAccountMfa } = require('./mfa');
+const { sendNotification } = require('./notifier');
+const { logger } = require('./logger');
+
+const PAYMENT_CHALLENGE_KEY_FILE =
+  process.env.PAYMENT_CHALLENGE_SECRET_FILE ||
+  path.join(__dirname, '../keys/payment-challenge.key');
+
+/**
+ * Challenge secret from PAYMENT_CHALLENGE_SECRET or the key file, generating
+ * the file outside production. With a secret per process, a challenge issued
+ * by one server could not be confirmed on another or after a restart.
+ */
+function loadChallengeSecret() {
+  if (process.env.PAYMENT_CHALLENGE_SECRET) {
+    return process.env.PAYMENT_CHALLENGE_SECRET;
+  }
+  if (fs.existsSync(PAYMENT_CHALLENGE_KEY_FILE)) {
+    return fs.readFileSync(PAYMENT_CHALLENGE_KEY_FILE, 'utf8').trim();
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error(
+      'No payment challenge secret - set PAYMENT_CHALLENGE_SECRET or PAYMENT_CHALLENGE_SECRET_FILE'
+    );
+  }
+
+  const secret = crypto.randomBytes(32).toString('hex');
+  fs.mkdirSync(path.dirname(PAYMENT_CHALLENGE_KEY_FILE), { recursive: true });
+  fs.writeFileSync(PAYMENT_CHALLENGE_KEY_FILE, `${secret}\n`, { mode: 0o600 });
+  logger.warn('Generated a development payment challenge secret', {
+    file: PAYMENT_CHALLENGE_KEY_FILE,
+  });
+  return secret;
+}
+
+const PAYMENT_CHALLENGE_CONFIG = {
+  ttlMs: (parseInt(process.env.PAYMENT_CHALLENGE_TTL_SECONDS, 10) || 300) * 1000,
+  // Wrong codes before the challenge is failed
+  maxAttempts: 5,
+  codeDigits: 6,
+  // Key for detailsHash and the one-time code hashes
+  secret: loadChallengeSecret(),
+};
+
+/**
+ * Error with a machine-readable code for the payment routes
+ */
+function challengeError(message, code, extra = {}) {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, extra);
+  return error;
+}
+
+const hmac = value =>
+  crypto.createHmac('sha256', PAYMENT_CHALLENGE_CONFIG.secret).update(value).digest('hex');
+
+/**
+ * Payment details in the form they are shown, hashed and stored
+ */
+function canonicalPaymentDetails(input) {
+  return {
+    amount: Math.round(parseFloat(input.amount) * 100) / 100,
+    currency: String(input.currency || '').toUpperCase(),
+    recipientAccount: String(input.recipientAccount || '')
+      .toUpperCase()
+      .trim(),
+    recipientSwift: String(input.recipientSwift || '')
+      .toUpperCase()
+      .trim(),
+    recipientName: String(input.recipientName || '').trim(),
+    reference: String(input.reference || '').trim(),
+  };
+}
+
+/**
+ * HMAC binding a challenge to payment details
+ */
+function hashPaymentDetails(input) {
+  const details = canonicalPaymentDetails(input);
+  return hmac(
+    [
+      details.amount.toFixed(2),
+      details.currency,
+      details.recipientAccount,
+      details.recipientSwift,
+      details.recipientName,
+      details.reference,
+    ].join('|')
+  );
+}
+
+/**
+ * Text of the one-time code message - repeats what is being confirmed
+ */
+function buildCodeMessage(details, code, expiresAt) {
+  return [
+    `Your confirmation code is ${code}.`,
+    '',
+    'It confirms this payment only:',
+    `  Amount:    ${details.amount.toFixed(2)} ${details.currency}`,
+    `  Recipient: ${details.recipientName}`,
+    `  Account:   ${details.recipientAccount}`,
+    `  SWIFT:     ${details.recipientSwift}`,
+    ...(details.reference ? [`  Reference: ${details.reference}`] : []),
+    '',
+    `The code expires at ${expiresAt.toISOString()}. If you did not request this payment, do not share the code and contact the bank.`,
+  ].join('\n');
+}
+
+/**
+ * Issue a challenge for a payment the customer is about to make
+ *
+ * @param {Object} customer - Customer document
+ * @param {Object} input - Payment details from the request
+ * @returns {Promise<Object>} The challenge document
+ */
+async function createPaymentChallenge(customer, input) {
+  const details = canonicalPaymentDetails(input);
+  const method = customer.mfa?.enabled ? 'totp' : 'otp';
+  const expiresAt = new Date(Date.now() + PAYMENT_CHALLENGE_CONFIG.ttlMs);
+  const challengeId = crypto.randomBytes(16).toString('hex');
+
+  let code = null;
+  if (method === 'otp') {
+    code = String(crypto.randomInt(0, 10 ** PAYMENT_CHALLENGE_CONFIG.codeDigits)).padStart(
+      PAYMENT_CHALLENGE_CONFIG.codeDigits,
+      '0'
+    );
+  }
+
+  const challenge = await PaymentChallenge.create({
+    challengeId,
+    customerId: customer._id,
+    method,
+    details,
+    detailsHash: hashPaymentDetails(details),
+    codeHash: code ? hmac(`${challengeId}:${code}`) : undefined,
+    expiresAt,
+  });
+
+  if (code) {
+    challenge.deliveredVia = await sendNotification({
+      to: customer.email,
+      subject: `Confirm your payment of ${details.amount.toFixed(2)} ${details.currency}`,
+      text: buildCodeMessage(details, code, expiresAt),
+      category: 'payment_confirmation',
+    });
+    await PaymentChallenge.updateOne(
+      { challengeId },
+      { $set: { deliveredVia: challenge.deliveredVia } }
+    );
+  }
+
+  return challenge;
+}
+
+/**
+ * Confirm a challenge for the payment in the request
+ * Throws with code CHALLENGE_NOT_FOUND, CHALLENGE_EXPIRED, CHALLENGE_USED (spent or failed),
+ * CHALLENGE_MISMATCH (details differ - the challenge is failed) or
+ * CHALLENGE_CODE_INVALID (with attemptsRemaining)
+ *
+ * @param {Object} params
+ * @param {string} params.challengeId - Challenge from POST /challenge
+ * @param {Object} params.customer - Customer document
+ * @param {Object} params.input - Payment details from the request
+ * @param {string} params.code - TOTP or one-time code
+ * @returns {Promise<Object>} The confirmed challenge
+ */
+async function confirmPaymentChallenge({ challengeId, customer, input, code }) {
+  const challenge = await PaymentChallenge.findOne({
+    challengeId: String(challengeId),
+    customerId: customer._id,
+  });
+
+  if (!challenge) {
+    throw challengeError('Confirmation not found', 'CHALLENGE_NOT_FOUND');
+  }
+  if (challenge.status !== 'pending') {
+    throw challengeError(
+      challenge.status === 'confirmed'
+        ? 'This confirmation has already been used'
+        : 'This confirmation is no longer valid. Please start again.',
+      'CHALLENGE_USED'
+    );
+  }
+  if (challenge.expiresAt <= new Date()) {
+    throw challengeError('Confirmation has expired. Please start again.', 'CHALLENGE_EXPIRED');
+  }
+
+  // What you see is what you sign: any change to the details voids the challenge
+  const expectedHash = Buffer.from(challenge.detailsHash, 'hex');
+  const actualHash = Buffer.from(hashPaymentDetails(input), 'hex');
+  if (
+    expectedHash.length !== actualHash.length ||
+    !crypto.timingSafeEqual(expectedHash, actualHash)
+  ) {
+    await PaymentChallenge.updateOne(
+      { challengeId: challenge.challengeId, status: 'pending' },
+      { $set: { status: 'failed' } }
+    );
+    throw challengeError(
+      'Payment details do not match the confirmed payment',
+      'CHALLENGE_MISMATCH',
+      { challenge }
+    );
+  }
+
+  let valid;
+  if (challenge.method === 'totp') {
+    valid = Boolean(await verifyAccountMfa(Customer, customer, code));
+  } else {
+    const expected = Buffer.from(challenge.codeHash, 'hex');
+    const actual = Buffer.from(
+      hmac(`${challenge.challengeId}:${String(code || '').trim()}`),
+      'hex'
+    );
+    valid = crypto.timingSafeEqual(expected, actual);
+  }
+
+  if (!valid) {
+    const updated = await PaymentChallenge.findOneAndUpdate(
+      { challengeId: challenge.challengeId, status: 'pending' },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    );
+    const attempts = updated ? updated.attempts : PAYMENT_CHALLENGE_CONFIG.maxAttempts;
+
+    if (attempts >= PAYMENT_CHALLENGE_CONFIG.maxAttempts) {
+      await PaymentChallenge.updateOne(
+        { challengeId: challenge.challengeId },
+        { $set: { status: 'failed' } }
+      );
+    }
+
+    throw challengeError('Invalid confirmation code', 'CHALLENGE_CODE_INVALID', {
+      attemptsRemaining: Math.max(0, PAYMENT_CHALLENGE_CONFIG.maxAttempts - attempts),
+    });
+  }
+
+  // Spend the challenge - a concurrent request with the same code loses here
+  const confirmed = await PaymentChallenge.findOneAndUpdate(
+    { challengeId: challenge.challengeId, status: 'pending' },
+    { $set: { status: 'confirmed', confirmedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!confirmed) {
+    throw challengeError('This confirmation has already been used', 'CHALLENGE_USED');
+  }
+
+  return confirmed;
+}
+
+/**
+ * Record the payment created from a confirmed challenge
+ */
+async function linkChallengeToPayment(challengeId, transactionId) {
+  await PaymentChallenge.updateOne({ challengeId }, { $set: { transactionId } });
+}
+
+module.exports = {
+  PAYMENT_CHALLENGE_CONFIG,
+  canonicalPaymentDetails,
+  hashPaymentDetails,
+  createPaymentChallenge,
+  confirmPaymentChallenge,
+  linkChallengeToPayment,
+};
@@ -0,0 +1,186 @@
+/**
+ * EMPLOYEE PAYMENT QUERIES
+ *
+ * Filtering, sorting and cursor pagination for the employee payment lists
+ * (GET /api/payments/employee/all and /employee/pending). Query parameters
+ * are whitelisted by validatePaymentQuery before they reach buildPaymentFilter.
+ *
+ * CURSORS: pages are keyset-paginated on the sort field plus _id, so a page
+ * stays stable while new payments arrive. nextCursor is an opaque base64url
+ * token holding the last row's sort value and _id; pass it back as ?cursor=
+ * with the same filters and sort to get the following page.
+ *
+ * Recipient names and accounts are encrypted (utils/fieldEncryption.js), so
+ * free-text search covers the transaction ID and payment reference only.
+ */
+
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+
+const PAYMENT_QUERY_CONFIG = {
+  defaultLimit: 25,
+  maxLimit: 100,
+  // Sortable fields and how their cursor values are restored
+  sortFields: {
+    createdAt: value => new Date(value),
+    amount: Number,
+  },
+  defaultSort: 'createdAt',
+  defaultOrder: 'desc',
+};
+
+const OBJECT_ID = /^[a-f0-9]{24}$/;
+
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Error with a machine-readable code
+ */
+function queryError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * MongoDB filter for validated query parameters
+ *
+ * @param {Object} params - req.query after validatePaymentQuery
+ * @returns {Object} Payment filter
+ */
+function buildPaymentFilter(params) {
+  const filter = {};
+
+  if (params.status && params.status !== 'all') {
+    const statuses = params.status.split(',');
+    filter.status = statuses.length === 1 ? statuses[0] : { $in: statuses };
+  }
+  if (params.currency) {
+    filter.currency = params.currency;
+  }
+  if (params.minAmount || params.maxAmount) {
+    filter.amount = {
+      ...(params.minAmount && { $gte: parseFloat(params.minAmount) }),
+      ...(params.maxAmount && { $lte: parseFloat(params.maxAmount) }),
+    };
+  }
+  if (params.from || params.to) {
+    filter.createdAt = {
+      ...(params.from && { $gte: new Date(params.from) }),
+      ...(params.to && { $lte: new Date(params.to) }),
+    };
+  }
+  if (params.customer) {
+    if (OBJECT_ID.test(params.customer)) {
+      filter.customerId = params.customer;
+    } else {
+      filter.customerEmail = params.customer.toLowerCase();
+    }
+  }
+  if (params.swift) {
+    const swift = params.swift.toUpperCase();
+    // An 8-character BIC covers all of the bank's branches
+    filter.recipientSwift = swift.length === 8 ? new RegExp(`^${swift}`) : swift;
+  }
+  if (params.q) {
+    const search = new RegExp(escapeRegex(params.q.trim()), 'i');
+    filter.$or = [{ transactionId: search }, { reference: search }];
+  }
+
+  return filter;
+}
+
+/**
+ * Sort field and direction for validated query parameters
+ */
+function resolveSort(params) {
+  const sortField = params.sort || PAYMENT_QUERY_CONFIG.defaultSort;
+  const order = params.order || PAYMENT_QUERY_CONFIG.defaultOrder;
+  return { sortField, order, direction: order === 'asc' ? 1 : -1 };
+}
+
+/**
+ * MongoDB sort for validated query parameters (_id breaks ties)
+ */
+function buildPaymentSort(params) {
+  const { sortField, direction } = resolveSort(params);
+  return { [sortField]: direction, _id: direction };
+}
+
+/**
+ * Opaque cursor for the row after which the next page starts
+ */
+const encodeCursor = (payment, sortField) =>
+  Buffer.from(JSON.stringify({ v: payment[sortField], id: String(payment._id) })).toString(
+    'base64url'
+  );
+
+function decodeCursor(cursor, sortField) {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const value = PAYMENT_QUERY_CONFIG.sortFields[sortField](v);
+    if (!OBJECT_ID.test(id) || Number.isNaN(value.valueOf())) {
+      throw new Error('Malformed cursor');
+    }
+    return { value, id: new mongoose.Types.ObjectId(id) };
+  } catch {
+    throw queryError('Invalid pagination cursor', 'INVALID_CURSOR');
+  }
+}
+
+/**
+ * One page of payments
+ *
+ * @param {Object} params - Validated query parameters
+ * @param {Object} [baseFilter] - Conditions the caller always applies
+ * @returns {Promise<Object>} { payments, pagination: { limit, total, hasMore, nextCursor, sort, order } }
+ */
+async function listPayments(params, baseFilter = {}) {
+  const { sortField, order, direction } = resolveSort(params);
+  const limit = Math.min(
+    parseInt(params.limit, 10) || PAYMENT_QUERY_CONFIG.defaultLimit,
+    PAYMENT_QUERY_CONFIG.maxLimit
+  );
+
+  const filter = { ...buildPaymentFilter(params), ...baseFilter };
+  const conditions = [filter];
+
+  if (params.cursor) {
+    const { value, id } = decodeCursor(params.cursor, sortField);
+    const after = direction === 1 ? '$gt' : '$lt';
+    conditions.push({
+      $or: [{ [sortField]: { [after]: value } }, { [sortField]: value, _id: { [after]: id } }],
+    });
+  }
+
+  const [payments, total] = await Promise.all([
+    Payment.find(conditions.length === 1 ? filter : { $and: conditions })
+      .populate('customerId', 'name email phone address.country')
+      .sort(buildPaymentSort(params))
+      // One extra row tells whether another page follows
+      .limit(limit + 1),
+    Payment.countDocuments(filter),
+  ]);
+
+  const hasMore = payments.length > limit;
+  const page = payments.slice(0, limit);
+
+  return {
+    payments: page,
+    pagination: {
+      limit,
+      total,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1], sortField) : null,
+      sort: sortField,
+      order,
+    },
+  };
+}
+
+module.exports = {
+  PAYMENT_QUERY_CONFIG,
+  buildPaymentFilter,
+  buildPaymentSort,
+  listPayments,
+};
@@ -0,0 +1,157 @@
+/**
+ * REFRESH TOKEN ROTATION WITH REUSE DETECTION
+ *
+ * Every login starts a token family. Each refresh issues a new access and
+ * refresh token pair and moves the family on to the new refresh token:
+ *
+ *   login            → family F, refresh token R1 is current
+ *   refresh with R1  → R2 is current, R1 is spent
+ *   refresh with R1  → reuse detected: F is revoked and R2 stops working too
+ *
+ * A spent token coming back means two parties hold the family (one of them a
+ * thief), so neither keeps the session. Families are stored in MongoDB and
+ * expire with their last refresh token.
+ */
+
+const crypto = require('crypto');
+const RefreshTokenFamily = require('../models/RefreshTokenFamily');
+const {
+  REFRESH_COOKIE_CONFIG,
+  generateAccessToken,
+  generateRefreshToken,
+  validateRefreshToken,
+} = require('./jwtSecurity');
+
+const REFRESH_TOKEN_CONFIG = {
+  // A family lives as long as its newest refresh token (sliding 7 days)
+  familyLifetimeMs: REFRESH_COOKIE_CONFIG.maxAge,
+};
+
+const newTokenId = () => crypto.randomBytes(16).toString('hex');
+
+const familyExpiry = () => new Date(Date.now() + REFRESH_TOKEN_CONFIG.familyLifetimeMs);
+
+/**
+ * Error with a machine-readable code for the refresh route
+ */
+function refreshError(message, code, family = null) {
+  const error = new Error(message);
+  error.code = code;
+  error.family = family;
+  return error;
+}
+
+/**
+ * Sign the family's current access and refresh tokens
+ */
+async function signTokenPair(family) {
+  const claims = {
+    userId: family.userId.toString(),
+    email: family.email,
+    role: family.role,
+  };
+
+  return {
+    accessToken: await generateAccessToken({ ...claims, tokenId: family.accessJti }),
+    refreshToken: await generateRefreshToken({
+      ...claims,
+      familyId: family.familyId,
+      tokenId: family.currentJti,
+    }),
+  };
+}
+
+/**
+ * Start a new token family (session) at login
+ *
+ * @param {Object} user - { userId, email, role: 'customer'|'employee' }
+ * @param {Object} [client] - { ipAddress, userAgent, device } from sessionClientInfo()
+ * @returns {Promise<Object>} { accessToken, refreshToken, familyId }
+ */
+async function issueTokenPair({ userId, email, role }, client = {}) {
+  const family = await RefreshTokenFamily.create({
+    familyId: newTokenId(),
+    userId,
+    email,
+    role,
+    currentJti: newTokenId(),
+    accessJti: newTokenId(),
+    ...client,
+    lastSeenAt: new Date(),
+    expiresAt: familyExpiry(),
+  });
+
+  return {
+    ...(await signTokenPair(family)),
+    familyId: family.familyId,
+  };
+}
+
+/**
+ * Revoke a token family - its current refresh token stops working
+ */
+async function revokeTokenFamily(familyId, reason) {
+  await RefreshTokenFamily.updateOne(
+    { familyId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+}
+
+/**
+ * Exchange a refresh token for a new token pair
+ * Throws with code REFRESH_TOKEN_INVALID, REFRESH_TOKEN_REVOKED or
+ * REFRESH_TOKEN_REUSED (the family has just been revoked)
+ *
+ * @param {string} refreshToken - Refresh token from the cookie
+ * @returns {Promise<Object>} { accessToken, refreshToken, family }
+ */
+async function rotateRefreshToken(refreshToken) {
+  let decoded;
+  try {
+    decoded = await validateRefreshToken(refreshToken);
+  } catch (error) {
+    throw refreshError('Invalid refresh token', 'REFRESH_TOKEN_INVALID');
+  }
+
+  if (!decoded.familyId || !decoded.jti) {
+    throw refreshError('Invalid refresh token', 'REFRESH_TOKEN_INVALID');
+  }
+
+  // Only the current token of a live family can be exchanged, and only once
+  const family = await RefreshTokenFamily.findOneAndUpdate(
+    { familyId: decoded.familyId, currentJti: decoded.jti, revokedAt: null },
+    {
+      $set: {
+        currentJti: newTokenId(),
+        accessJti: newTokenId(),
+        lastRotatedAt: new Date(),
+        expiresAt: familyExpiry(),
+      },
+      $inc: { rotations: 1 },
+    },
+    { new: true }
+  );
+
+  if (!family) {
+    const existing = await RefreshTokenFamily.findOne({ familyId: decoded.familyId });
+
+    if (existing && !existing.revokedAt) {
+      await revokeTokenFamily(existing.familyId, 'reuse_detected');
+      throw refreshError('Refresh token reuse detected', 'REFRESH_TOKEN_REUSED', existing);
+    }
+
+    throw refreshError('Session has been revoked', 'REFRESH_TOKEN_REVOKED', existing);
+  }
+
+  return {
+    ...(await signTokenPair(family)),
+    family,
+  };
+}
+
+module.exports = {
+  REFRESH_TOKEN_CONFIG,
+  issueTokenPair,
+  rotateRefreshToken,
+  revokeTokenFamily,
+};
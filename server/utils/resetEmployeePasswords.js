@@ -23,6 +23,9 @@ const employeeAccounts = [
       'verify_payments',
       'submit_swift',
       'view_customers',
+      'post_deposits',
+      'generate_reports',
+      'view_account_numbers',
       'manage_employees',
     ],
   },
@@ -61,6 +64,7 @@ const employeeAccounts = [
       'verify_payments',
       'submit_swift',
       'view_customers',
+      'post_deposits',
       'manage_employees',
       'system_admin',
     ],
@@ -0,0 +1,73 @@
+/**
+ * Rotate Field Encryption Keys Script
+ * Activates a new data key and re-encrypts every encrypted customer, payment,
+ * invoice and payment challenge field under it (see utils/fieldEncryption.js).
+ * Plaintext left from before encryption was enabled is encrypted on the way.
+ *
+ *   node utils/rotateFieldKeys.js                        rotate the data key
+ *   node utils/rotateFieldKeys.js --reencrypt-only       finish an interrupted run
+ *   node utils/rotateFieldKeys.js --new-master-key-file <path>
+ *                                                        also re-wrap the data keys
+ *                                                        under a new master key
+ *
+ * Safe to re-run. Restart the API servers afterwards so they load the new key;
+ * until then they keep writing under the retired one, which the next run picks up.
+ */
+
+const mongoose = require('mongoose');
+const Customer = require('../models/Customer');
+const Payment = require('../models/Payment');
+const Invoice = require('../models/Invoice');
+const PaymentChallenge = require('../models/PaymentChallenge');
+const {
+  initializeFieldEncryption,
+  readMasterKeyFile,
+  rotateEncryptionKey,
+  reencryptModel,
+  rewrapDataKeys,
+} = require('./fieldEncryption');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/insy7314_payment_portal';
+
+const ENCRYPTED_MODELS = [Customer, Payment, Invoice, PaymentChallenge];
+
+async function rotateFieldKeys() {
+  const args = process.argv.slice(2);
+  const masterKeyFlag = args.indexOf('--new-master-key-file');
+  const newMasterKeyFile = masterKeyFlag === -1 ? null : args[masterKeyFlag + 1];
+
+  try {
+    // Read the new master key before touching anything
+    const newMasterKey = newMasterKeyFile ? readMasterKeyFile(newMasterKeyFile) : null;
+
+    console.log('🔄 Connecting to MongoDB...');
+    await mongoose.connect(MONGODB_URI);
+    await initializeFieldEncryption();
+    console.log('✅ Connected\n');
+
+    if (!args.includes('--reencrypt-only')) {
+      const keyId = await rotateEncryptionKey();
+      console.log(`   ✓ New active data key: ${keyId}`);
+    }
+
+    for (const Model of ENCRYPTED_MODELS) {
+      const { checked, updated } = await reencryptModel(Model);
+      console.log(`   ✓ ${Model.modelName}: ${updated} of ${checked} re-encrypted`);
+    }
+
+    if (newMasterKey) {
+      const count = await rewrapDataKeys(newMasterKey);
+      console.log(`   ✓ ${count} data keys re-wrapped under ${newMasterKeyFile}`);
+      console.log('\n⚠️  Point FIELD_MASTER_KEY(_FILE) at the new key before restarting');
+    }
+
+    await mongoose.connection.close();
+    console.log('\n✅ Field encryption keys rotated - restart the API servers');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error rotating field encryption keys:', error);
+    process.exit(1);
+  }
+}
+
+rotateFieldKeys();
@@ -0,0 +1,417 @@
+/**
+ * SANCTIONS / WATCHLIST SCREENING
+ *
+ * Screens payment recipients against a local sanctions list before an employee
+ * can verify the payment. Supported list formats (by file extension):
+ *
+ *   .csv - uid,name,type,program,country,aliases   (aliases separated by ";")
+ *   .xml - OFAC SDN export (sdnEntry with firstName/lastName, programList, akaList)
+ *
+ * NAME MATCHING:
+ *   1. Transliterate - strip accents (José → jose), Cyrillic to Latin
+ *                      (Дмитрий → dmitriy), ß → ss, etc.
+ *   2. Tokenize      - lower-case words; punctuation, titles and company
+ *                      suffixes (Mr, LLC, Ltd...) are dropped
+ *   3. Score         - Jaro-Winkler similarity of each token against its best
+ *                      counterpart in the other name, in both directions, so
+ *                      "Dmitri Kovalenko" matches "KOVALENKO, Dmitri Ivanovich"
+ *
+ * A name scoring at least SANCTIONS_CONFIG.matchThreshold against any list
+ * name or alias is a hit. Recipients in a sanctioned country (IBAN or BIC
+ * country) are always hits.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { parseCsvRows } = require('./csv');
+const { checkRecipientBank } = require('./bicDirectory');
+
+const SANCTIONS_CONFIG = {
+  listFile: process.env.SANCTIONS_LIST_FILE || path.join(__dirname, '../config/sanctions-list.csv'),
+  // Minimum name similarity (0-1) reported as a hit
+  matchThreshold: parseFloat(process.env.SANCTIONS_MATCH_THRESHOLD) || 0.9,
+  // Comprehensively sanctioned jurisdictions (ISO 3166 alpha-2)
+  sanctionedCountries: (process.env.SANCTIONED_COUNTRIES || 'CU,IR,KP,SY')
+    .split(',')
+    .map(country => country.trim().toUpperCase())
+    .filter(Boolean),
+  // Matches stored on the payment for the verification dialog
+  maxMatches: 5,
+};
+
+const CYRILLIC_TO_LATIN = {
+  а: 'a',
+  б: 'b',
+  в: 'v',
+  г: 'g',
+  д: 'd',
+  е: 'e',
+  ё: 'e',
+  ж: 'zh',
+  з: 'z',
+  и: 'i',
+  й: 'y',
+  к: 'k',
+  л: 'l',
+  м: 'm',
+  н: 'n',
+  о: 'o',
+  п: 'p',
+  р: 'r',
+  с: 's',
+  т: 't',
+  у: 'u',
+  ф: 'f',
+  х: 'kh',
+  ц: 'ts',
+  ч: 'ch',
+  ш: 'sh',
+  щ: 'shch',
+  ъ: '',
+  ы: 'y',
+  ь: '',
+  э: 'e',
+  ю: 'yu',
+  я: 'ya',
+  і: 'i',
+  ї: 'yi',
+  є: 'ye',
+  ґ: 'g',
+};
+
+// Latin letters NFD doesn't decompose
+const SPECIAL_LETTERS = {
+  ß: 'ss',
+  æ: 'ae',
+  œ: 'oe',
+  ø: 'o',
+  ł: 'l',
+  đ: 'd',
+  ð: 'd',
+  þ: 'th',
+  ı: 'i',
+};
+
+// Titles and legal-form suffixes that don't identify a party
+const NOISE_TOKENS = new Set([
+  'mr',
+  'mrs',
+  'ms',
+  'dr',
+  'the',
+  'llc',
+  'ltd',
+  'limited',
+  'inc',
+  'co',
+  'corp',
+  'plc',
+  'sa',
+  'ag',
+  'gmbh',
+]);
+
+let activeList = null;
+
+/**
+ * Transliterate a name to plain lower-case ASCII letters, digits and spaces
+ */
+function transliterate(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[\u0400-\u04FF]/g, char => CYRILLIC_TO_LATIN[char] ?? char)
+    .replace(/[ßæœøłđðþı]/g, char => SPECIAL_LETTERS[char])
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Significant name tokens
+ */
+function tokenizeName(name) {
+  return transliterate(name)
+    .split(' ')
+    .filter(token => token && !NOISE_TOKENS.has(token));
+}
+
+/**
+ * Jaro-Winkler similarity between two strings (0-1)
+ */
+function jaroWinkler(a, b) {
+  if (a === b) {
+    return 1;
+  }
+  if (!a || !b) {
+    return 0;
+  }
+
+  const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatched = new Array(a.length).fill(false);
+  const bMatched = new Array(b.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    const start = Math.max(0, i - window);
+    const end = Math.min(b.length, i + window + 1);
+    for (let j = start; j < end; j++) {
+      if (!bMatched[j] && a[i] === b[j]) {
+        aMatched[i] = true;
+        bMatched[j] = true;
+        matches++;
+        break;
+      }
+    }
+  }
+
+  if (matches === 0) {
+    return 0;
+  }
+
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (aMatched[i]) {
+      while (!bMatched[k]) {
+        k++;
+      }
+      if (a[i] !== b[k]) {
+        transpositions++;
+      }
+      k++;
+    }
+  }
+
+  const jaro =
+    (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+  let prefix = 0;
+  while (prefix < 4 && a[prefix] === b[prefix]) {
+    prefix++;
+  }
+
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+/**
+ * How well the tokens of one name are covered by another, weighted by length
+ */
+function tokenCoverage(tokens, otherTokens) {
+  const totalLength = tokens.reduce((sum, token) => sum + token.length, 0);
+  const covered = tokens.reduce(
+    (sum, token) =>
+      sum + token.length * Math.max(...otherTokens.map(other => jaroWinkler(token, other))),
+    0
+  );
+  return covered / totalLength;
+}
+
+/**
+ * Similarity of two names (0-1), tolerant of token order and transliteration
+ */
+function nameSimilarity(a, b) {
+  const aTokens = tokenizeName(a);
+  const bTokens = tokenizeName(b);
+
+  if (aTokens.length === 0 || bTokens.length === 0) {
+    return 0;
+  }
+
+  const ordered = jaroWinkler([...aTokens].sort().join(' '), [...bTokens].sort().join(' '));
+  const tokenSet = (tokenCoverage(aTokens, bTokens) + tokenCoverage(bTokens, aTokens)) / 2;
+
+  return Math.max(ordered, tokenSet);
+}
+
+/**
+ * Parse an SDN-style CSV list
+ */
+function parseSanctionsCsv(csv) {
+  const rows = parseCsvRows(csv);
+  const header = (rows.shift() || []).map(column => column.toLowerCase());
+
+  if (header[0] !== 'uid' || header[1] !== 'name') {
+    throw new Error(
+      'Sanctions CSV must start with the header: uid,name,type,program,country,aliases'
+    );
+  }
+
+  return rows
+    .filter(([uid, name]) => uid && name)
+    .map(([uid, name, type, program, country, aliases]) => ({
+      uid,
+      name,
+      type: type || 'individual',
+      program: program || '',
+      country: (country || '').toUpperCase(),
+      aliases: (aliases || '')
+        .split(';')
+        .map(alias => alias.trim())
+        .filter(Boolean),
+    }));
+}
+
+const decodeXml = text =>
+  text
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(code))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+
+const xmlBlocks = (xml, tag) =>
+  xml.match(new RegExp(`<${tag}\\b[^>]*>[\\s\\S]*?</${tag}>`, 'g')) || [];
+
+const xmlValue = (xml, tag) => {
+  const match = xml.match(new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)</${tag}>`));
+  return match ? decodeXml(match[1].trim()) : '';
+};
+
+const sdnName = block =>
+  [xmlValue(block, 'lastName'), xmlValue(block, 'firstName')].filter(Boolean).join(', ');
+
+/**
+ * Parse an OFAC SDN XML export
+ */
+function parseSanctionsXml(xml) {
+  return xmlBlocks(xml, 'sdnEntry').map(entry => {
+    // Nested lists repeat uid/firstName/lastName - read the entry's own fields without them
+    const own = entry.replace(/<(\w+List)\b[^>]*>[\s\S]*?<\/\1>/g, '');
+
+    return {
+      uid: xmlValue(own, 'uid'),
+      name: sdnName(own),
+      type: xmlValue(own, 'sdnType').toLowerCase() || 'individual',
+      program: xmlBlocks(entry, 'program')
+        .map(program => xmlValue(program, 'program'))
+        .join(', '),
+      country: xmlValue(xmlBlocks(entry, 'address')[0] || '', 'country'),
+      aliases: xmlBlocks(entry, 'aka').map(sdnName).filter(Boolean),
+    };
+  });
+}
+
+/**
+ * Read and parse the configured list file
+ */
+function loadSanctionsList(filePath = SANCTIONS_CONFIG.listFile) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const entries =
+    path.extname(filePath).toLowerCase() === '.xml'
+      ? parseSanctionsXml(content)
+      : parseSanctionsCsv(content);
+
+  if (entries.length === 0) {
+    throw new Error(`Sanctions list ${filePath} has no entries`);
+  }
+
+  return {
+    // Content hash recorded with each screening result
+    version: crypto.createHash('sha256').update(content).digest('hex').substring(0, 12),
+    entries: entries.map(entry => ({
+      ...entry,
+      names: [entry.name, ...entry.aliases],
+    })),
+  };
+}
+
+/**
+ * Active list (loaded from SANCTIONS_LIST_FILE on first use)
+ */
+function getSanctionsList() {
+  if (!activeList) {
+    activeList = loadSanctionsList();
+  }
+  return activeList;
+}
+
+/**
+ * Re-read the list file (after the file is replaced)
+ */
+function reloadSanctionsList() {
+  activeList = loadSanctionsList();
+  return activeList;
+}
+
+const roundScore = score => Math.round(score * 1000) / 1000;
+
+/**
+ * Screen a recipient name and country
+ *
+ * @param {Object} params
+ * @param {string} params.name - Recipient name
+ * @param {Array<string>} [params.countries] - ISO country codes of the recipient account/bank
+ * @returns {Object} { status: 'clear'|'hit', topScore, matches, listVersion, screenedAt }
+ */
+function screenRecipient({ name, countries = [] }) {
+  const list = getSanctionsList();
+  const matches = [];
+
+  list.entries.forEach(entry => {
+    const best = entry.names
+      .map(listName => ({ listName, score: nameSimilarity(name, listName) }))
+      .reduce((top, candidate) => (candidate.score > top.score ? candidate : top));
+
+    if (best.score >= SANCTIONS_CONFIG.matchThreshold) {
+      matches.push({
+        type: 'name',
+        entryId: entry.uid,
+        entryName: entry.name,
+        matchedName: best.listName,
+        program: entry.program,
+        country: entry.country,
+        score: roundScore(best.score),
+      });
+    }
+  });
+
+  [...new Set(countries.filter(Boolean))].forEach(country => {
+    if (SANCTIONS_CONFIG.sanctionedCountries.includes(country)) {
+      matches.push({
+        type: 'country',
+        entryName: `Sanctioned jurisdiction ${country}`,
+        program: 'COUNTRY',
+        country,
+        score: 1,
+      });
+    }
+  });
+
+  matches.sort((a, b) => b.score - a.score);
+
+  return {
+    status: matches.length > 0 ? 'hit' : 'clear',
+    topScore: matches[0]?.score || 0,
+    matches: matches.slice(0, SANCTIONS_CONFIG.maxMatches),
+    listVersion: list.version,
+    screenedAt: new Date(),
+  };
+}
+
+/**
+ * Screen a payment's recipient name, IBAN country and bank country
+ */
+function screenPayment(payment) {
+  const { ibanCountry, bicCountry } = checkRecipientBank(payment);
+
+  return screenRecipient({
+    name: payment.recipientName,
+    countries: [ibanCountry, bicCountry],
+  });
+}
+
+module.exports = {
+  SANCTIONS_CONFIG,
+  transliterate,
+  nameSimilarity,
+  parseSanctionsCsv,
+  parseSanctionsXml,
+  loadSanctionsList,
+  getSanctionsList,
+  reloadSanctionsList,
+  screenRecipient,
+  screenPayment,
+};
@@ -0,0 +1,377 @@
+/**
+ * SECURITY STATE STORE
+ *
+ * Failed attempt counters, account lockouts, IP blocks and security events
+ * (middleware/accountLockout.js, middleware/securityMonitoring.js) are kept
+ * in a store rather than in process memory, so they survive restarts and are
+ * shared by every server instance:
+ *
+ *   mongo  - SecurityRecord / SecurityEvent collections, expired entries
+ *            removed by TTL indexes (default)
+ *   memory - Maps in this process (default under NODE_ENV=test)
+ *
+ * STORE CONTRACT (all methods async):
+ *   increment(key, counters, { ttlMs, member, extend }) - add to named
+ *       counters, creating the record if needed; member is added to the
+ *       record's distinct members. extend: false keeps the first expiry
+ *       (fixed window) instead of sliding it
+ *   get(key)                      - Unexpired record or null
+ *   set(key, { counters, members, data }, ttlMs) - Replace a record
+ *   update(key, { counters, data }) - Overwrite some counters / data fields
+ *                                     of an unexpired record (null if none)
+ *   delete(key)
+ *   list(prefix)                  - Unexpired records whose key starts with prefix
+ *   addEvent(event, ttlMs)        - Keep a security event
+ *   listEvents({ limit, since, until, type, severity, ip, user })
+ *                                 - Newest first; user matches the event's
+ *                                   userId or details.email
+ *   countEvents()
+ *
+ * RECORD FORMAT:
+ *   { key, counters, members, data, firstAt, lastAt, expiresAt }
+ */
+
+const SecurityRecord = require('../models/SecurityRecord');
+const SecurityEvent = require('../models/SecurityEvent');
+
+const SECURITY_STORE_CONFIG = {
+  backend: process.env.SECURITY_STORE || (process.env.NODE_ENV === 'test' ? 'memory' : 'mongo'),
+  // Bound on events kept by the memory store
+  maxMemoryEvents: 10000,
+};
+
+const toRecord = doc =>
+  doc && {
+    key: doc.key,
+    counters: { ...doc.counters },
+    members: [...(doc.members || [])],
+    data: { ...doc.data },
+    firstAt: doc.firstAt,
+    lastAt: doc.lastAt,
+    expiresAt: doc.expiresAt,
+  };
+
+const escapeRegex = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Whether an event matches listEvents filters (memory store)
+ */
+const eventMatches = (event, { since, until, type, severity, ip, user }) => {
+  const timestamp = new Date(event.timestamp);
+  return (
+    (!since || timestamp >= since) &&
+    (!until || timestamp <= until) &&
+    (!type || event.type === type) &&
+    (!severity || event.severity === severity) &&
+    (!ip || event.ip === ip) &&
+    (!user || String(event.userId) === user || event.details?.email === user)
+  );
+};
+
+/**
+ * MongoDB query for listEvents filters
+ */
+const eventQuery = ({ since, until, type, severity, ip, user }) => {
+  const query = {};
+  if (type) {
+    query.type = type;
+  }
+  if (severity) {
+    query.severity = severity;
+  }
+  if (ip) {
+    query.ip = ip;
+  }
+  if (since || until) {
+    query.timestamp = { ...(since && { $gte: since }), ...(until && { $lte: until }) };
+  }
+  if (user) {
+    query.$or = [{ userId: user }, { 'details.email': user }];
+  }
+  return query;
+};
+
+/**
+ * In-process store (tests and single-instance development)
+ */
+function createMemorySecurityStore() {
+  const records = new Map();
+  let events = [];
+
+  const live = key => {
+    const record = records.get(key);
+    if (record && record.expiresAt <= new Date()) {
+      records.delete(key);
+      return null;
+    }
+    return record || null;
+  };
+
+  return {
+    name: 'memory',
+
+    async increment(key, counters, { ttlMs, member, extend = true } = {}) {
+      const now = new Date();
+      let record = live(key);
+
+      if (!record) {
+        record = { key, counters: {}, members: [], data: {}, firstAt: now };
+        record.expiresAt = new Date(now.getTime() + ttlMs);
+        records.set(key, record);
+      } else if (extend) {
+        record.expiresAt = new Date(now.getTime() + ttlMs);
+      }
+
+      Object.entries(counters).forEach(([name, by]) => {
+        record.counters[name] = (record.counters[name] || 0) + by;
+      });
+      if (member && !record.members.includes(member)) {
+        record.members.push(member);
+      }
+      record.lastAt = now;
+
+      return toRecord(record);
+    },
+
+    async get(key) {
+      return toRecord(live(key));
+    },
+
+    async set(key, { counters = {}, members = [], data = {} }, ttlMs) {
+      const now = new Date();
+      const record = {
+        key,
+        counters: { ...counters },
+        members: [...members],
+        data: { ...data },
+        firstAt: now,
+        lastAt: now,
+        expiresAt: new Date(now.getTime() + ttlMs),
+      };
+      records.set(key, record);
+      return toRecord(record);
+    },
+
+    async update(key, { counters = {}, data = {} }) {
+      const record = live(key);
+      if (!record) {
+        return null;
+      }
+      Object.assign(record.counters, counters);
+      Object.assign(record.data, data);
+      return toRecord(record);
+    },
+
+    async delete(key) {
+      records.delete(key);
+    },
+
+    async list(prefix) {
+      return Array.from(records.keys())
+        .filter(key => key.startsWith(prefix))
+        .map(live)
+        .filter(Boolean)
+        .map(toRecord);
+    },
+
+    async addEvent(event, ttlMs) {
+      const now = Date.now();
+      events = events.filter(stored => stored.expiresAt > now);
+      events.push({ event, expiresAt: now + ttlMs });
+      if (events.length > SECURITY_STORE_CONFIG.maxMemoryEvents) {
+        events.shift();
+      }
+    },
+
+    async listEvents({ limit = 100, ...filters } = {}) {
+      const now = Date.now();
+      return events
+        .filter(stored => stored.expiresAt > now)
+        .map(stored => stored.event)
+        .filter(event => eventMatches(event, filters))
+        .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+        .slice(0, limit);
+    },
+
+    async countEvents() {
+      const now = Date.now();
+      return events.filter(stored => stored.expiresAt > now).length;
+    },
+  };
+}
+
+/**
+ * MongoDB store (SecurityRecord / SecurityEvent collections)
+ */
+function createMongoSecurityStore() {
+  const unexpired = () => ({ $gt: new Date() });
+
+  return {
+    name: 'mongo',
+
+    async increment(key, counters, { ttlMs, member, extend = true } = {}) {
+      const now = new Date();
+      const expiresAt = new Date(now.getTime() + ttlMs);
+
+      // One pipeline update: an expired record may still be waiting for the
+      // TTL monitor, so it is started afresh instead of added to
+      const live = { $gt: ['$expiresAt', now] };
+      const current = (field, empty) => ({
+        $cond: [live, { $ifNull: [`$${field}`, empty] }, empty],
+      });
+
+      const update = [
+        {
+          $set: {
+            counters: {
+              $mergeObjects: [
+                current('counters', {}),
+                Object.fromEntries(
+                  Object.entries(counters).map(([name, by]) => [
+                    name,
+                    { $add: [current(`counters.${name}`, 0), by] },
+                  ])
+                ),
+              ],
+            },
+            members: member
+              ? { $setUnion: [current('members', []), { $literal: [member] }] }
+              : current('members', []),
+            data: current('data', {}),
+            firstAt: { $cond: [live, '$firstAt', now] },
+            lastAt: now,
+            expiresAt: extend ? expiresAt : { $cond: [live, '$expiresAt', expiresAt] },
+          },
+        },
+      ];
+
+      const doc = await SecurityRecord.findOneAndUpdate({ key }, update, {
+        new: true,
+        upsert: true,
+        setDefaultsOnInsert: false,
+      }).lean();
+      return toRecord(doc);
+    },
+
+    async get(key) {
+      const doc = await SecurityRecord.findOne({ key, expiresAt: unexpired() }).lean();
+      return toRecord(doc);
+    },
+
+    async set(key, { counters = {}, members = [], data = {} }, ttlMs) {
+      const now = new Date();
+      const doc = await SecurityRecord.findOneAndUpdate(
+        { key },
+        {
+          $set: {
+            counters,
+            members,
+            data,
+            firstAt: now,
+            lastAt: now,
+            expiresAt: new Date(now.getTime() + ttlMs),
+          },
+        },
+        { new: true, upsert: true }
+      ).lean();
+      return toRecord(doc);
+    },
+
+    async update(key, { counters = {}, data = {} }) {
+      const fields = {
+        ...Object.fromEntries(Object.entries(counters).map(([k, v]) => [`counters.${k}`, v])),
+        ...Object.fromEntries(Object.entries(data).map(([k, v]) => [`data.${k}`, v])),
+      };
+      const doc = await SecurityRecord.findOneAndUpdate(
+        { key, expiresAt: unexpired() },
+        { $set: fields },
+        { new: true }
+      ).lean();
+      return toRecord(doc);
+    },
+
+    async delete(key) {
+      await SecurityRecord.deleteOne({ key });
+    },
+
+    async list(prefix) {
+      const docs = await SecurityRecord.find({
+        key: { $regex: `^${escapeRegex(prefix)}` },
+        expiresAt: unexpired(),
+      }).lean();
+      return docs.map(toRecord);
+    },
+
+    async addEvent(event, ttlMs) {
+      await SecurityEvent.create({
+        ...event,
+        eventId: event.id,
+        timestamp: new Date(event.timestamp),
+        userId: event.userId ? String(event.userId) : undefined,
+        expiresAt: new Date(Date.now() + ttlMs),
+      });
+    },
+
+    async listEvents({ limit = 100, ...filters } = {}) {
+      const docs = await SecurityEvent.find(eventQuery(filters))
+        .sort({ timestamp: -1 })
+        .limit(limit)
+        .lean();
+      return docs.map(doc => ({
+        id: doc.eventId,
+        timestamp: doc.timestamp.toISOString(),
+        type: doc.type,
+        severity: doc.severity,
+        ip: doc.ip,
+        userAgent: doc.userAgent,
+        path: doc.path,
+        method: doc.method,
+        requestId: doc.requestId || null,
+        headers: doc.headers,
+        details: doc.details,
+        sessionId: doc.sessionId,
+        userId: doc.userId || null,
+      }));
+    },
+
+    async countEvents() {
+      return SecurityEvent.countDocuments({});
+    },
+  };
+}
+
+const STORE_FACTORIES = {
+  memory: createMemorySecurityStore,
+  mongo: createMongoSecurityStore,
+};
+
+let activeStore = null;
+
+/**
+ * Get the configured store (created on first use)
+ */
+function getSecurityStore() {
+  if (!activeStore) {
+    const factory = STORE_FACTORIES[SECURITY_STORE_CONFIG.backend];
+    if (!factory) {
+      throw new Error(`Unknown security store: ${SECURITY_STORE_CONFIG.backend}`);
+    }
+    activeStore = factory();
+  }
+  return activeStore;
+}
+
+/**
+ * Replace the active store (pass null to fall back to configuration)
+ */
+function setSecurityStore(store) {
+  activeStore = store;
+}
+
+module.exports = {
+  SECURITY_STORE_CONFIG,
+  createMemorySecurityStore,
+  createMongoSecurityStore,
+  getSecurityStore,
+  setSecurityStore,
+};
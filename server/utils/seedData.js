@@ -20,6 +20,9 @@ const employeeAccounts = [
       'verify_payments',
       'submit_swift',
       'view_customers',
+      'post_deposits',
+      'generate_reports',
+      'view_account_numbers',
       'manage_employees',
     ],
   },
@@ -58,6 +61,7 @@ const employeeAccounts = [
       'verify_payments',
       'submit_swift',
       'view_customers',
+      'post_deposits',
       'manage_employees',
       'system_admin',
     ],
@@ -8,6 +8,8 @@ const Payment = require('../models/Payment');
 const Invoice = require('../models/Invoice');
 const Customer = require('../models/Customer');
 const Employee = require('../models/Employee');
+const { initializeFieldEncryption } = require('./fieldEncryption');
+const { invoiceDueDate } = require('./invoiceLifecycle');
 
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/insy7314_payment_portal';
 
@@ -74,7 +76,10 @@ async function generateInvoicesForExistingPayments() {
         swiftReference: payment.swiftReference,
         submittedToSwiftAt: payment.submittedToSwiftAt,
         invoiceDate: payment.verifiedAt,
-        status: 'generated',
+        dueDate: invoiceDueDate(payment.verifiedAt),
+        ...(payment.status === 'completed'
+          ? { status: 'paid', paidDate: payment.completedAt }
+          : { status: 'generated' }),
       });
 
       console.log(`   ✓ Created invoice ${invoiceNumber} for payment ${payment.transactionId}`);
@@ -217,6 +222,7 @@ async function seedInvoices() {
 
     console.log('\n🔄 Connecting to MongoDB...');
     await mongoose.connect(MONGODB_URI);
+    await initializeFieldEncryption();
     console.log('✅ Connected to MongoDB\n');
 
     // Check existing invoices
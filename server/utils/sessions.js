@@ -0,0 +1,176 @@
+/**
+ * SESSION REGISTRY
+ *
+ * Each login is a session, stored as a refresh token family (see
+ * utils/refreshTokens.js). The session records the jti of its current access
+ * token, so authenticateToken can look a token up by jti and refuse it once
+ * the session is logged out, revoked or rotated past.
+ *
+ * The session also records where it was started (IP, user agent, a readable
+ * device label) and when it was last used, for the session lists customers
+ * and employees see.
+ */
+
+const RefreshTokenFamily = require('../models/RefreshTokenFamily');
+const { logger } = require('./logger');
+
+const SESSION_CONFIG = {
+  // lastSeenAt is written at most this often per session
+  touchIntervalMs: 60 * 1000,
+  // Longest user agent stored on a session
+  maxUserAgentLength: 300,
+};
+
+const BROWSERS = [
+  ['Edge', /Edg\//],
+  ['Opera', /OPR\//],
+  ['Chrome', /Chrome\//],
+  ['Firefox', /Firefox\//],
+  ['Safari', /Safari\//],
+];
+
+const PLATFORMS = [
+  ['iOS', /iPhone|iPad/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/],
+];
+
+/**
+ * Short device label ("Chrome on Windows") from a user agent
+ */
+function describeDevice(userAgent) {
+  if (!userAgent) {
+    return 'Unknown device';
+  }
+
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+  const platform = PLATFORMS.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !platform) {
+    return 'Unknown device';
+  }
+
+  return [browser?.[0] || 'Browser', platform?.[0]].filter(Boolean).join(' on ');
+}
+
+/**
+ * Client details recorded when a session starts
+ */
+function sessionClientInfo(req) {
+  const userAgent = (req.get('User-Agent') || '').substring(0, SESSION_CONFIG.maxUserAgentLength);
+
+  return {
+    ipAddress: req.ip,
+    userAgent,
+    device: describeDevice(userAgent),
+  };
+}
+
+/**
+ * Live session whose current access token has this jti (null if none)
+ */
+async function findActiveSession(accessJti) {
+  if (!accessJti) {
+    return null;
+  }
+
+  return RefreshTokenFamily.findOne({
+    accessJti,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+}
+
+/**
+ * Record session activity (throttled to SESSION_CONFIG.touchIntervalMs)
+ */
+function touchSession(session, req) {
+  const lastSeen = session.lastSeenAt ? session.lastSeenAt.getTime() : 0;
+
+  if (Date.now() - lastSeen < SESSION_CONFIG.touchIntervalMs) {
+    return;
+  }
+
+  RefreshTokenFamily.updateOne(
+    { familyId: session.familyId },
+    { $set: { lastSeenAt: new Date(), lastIpAddress: req.ip } }
+  ).catch(error => logger.warn('Session activity update failed', { error }));
+}
+
+/**
+ * Active sessions of a user, most recently used first
+ *
+ * @param {string} userId - Customer or employee ID
+ * @param {string} [currentSessionId] - Session of the caller, flagged as current
+ */
+async function listUserSessions(userId, currentSessionId) {
+  const sessions = await RefreshTokenFamily.find({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastSeenAt: -1, createdAt: -1 });
+
+  return sessions.map(session => ({
+    id: session.familyId,
+    device: session.device || describeDevice(session.userAgent),
+    ipAddress: session.lastIpAddress || session.ipAddress,
+    userAgent: session.userAgent,
+    createdAt: session.createdAt,
+    lastSeenAt: session.lastSeenAt || session.createdAt,
+    current: session.familyId === currentSessionId,
+  }));
+}
+
+/**
+ * Revoke one of a user's sessions
+ *
+ * @returns {Promise<boolean>} Whether a live session was revoked
+ */
+async function revokeUserSession(userId, sessionId, reason) {
+  const result = await RefreshTokenFamily.updateOne(
+    { familyId: sessionId, userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Revoke every session of a user ("sign out everywhere")
+ *
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeAllUserSessions(userId, reason) {
+  const result = await RefreshTokenFamily.updateMany(
+    { userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Revoke every session of a user except the current one (e.g. after a
+ * password change)
+ *
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeOtherUserSessions(userId, currentSessionId, reason) {
+  const result = await RefreshTokenFamily.updateMany(
+    { userId, revokedAt: null, familyId: { $ne: currentSessionId } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount;
+}
+
+module.exports = {
+  SESSION_CONFIG,
+  describeDevice,
+  sessionClientInfo,
+  findActiveSession,
+  touchSession,
+  listUserSessions,
+  revokeUserSession,
+  revokeAllUserSessions,
+  revokeOtherUserSessions,
+};
@@ -0,0 +1,301 @@
+/**
+ * SWIFT GATEWAY ADAPTERS
+ *
+ * Verified payments are handed to a gateway adapter instead of being marked
+ * as sent in place. Settlement is asynchronous: the gateway later reports the
+ * final outcome of each payment as an acknowledgement, which moves the payment
+ * from submitted_to_swift to completed or failed.
+ *
+ * ADAPTER CONTRACT:
+ *   adapter.name                - Identifier stored on submitted payments
+ *   adapter.submit(payments)    - Resolves to one receipt per payment:
+ *                                 { transactionId, accepted, swiftReference, reason }
+ *
+ * ACKNOWLEDGEMENT FORMAT:
+ *   { transactionId, swiftReference, status: 'completed' | 'failed', reason }
+ *
+ * Remote gateways deliver acknowledgements to POST /api/payments/swift/acknowledgements,
+ * signed with an HMAC over the acknowledgement fields (X-Swift-Signature header).
+ * The local simulator delivers them in-process through the same handler.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Payment = require('../models/Payment');
+const { createSecurityEvent } = require('../middleware/securityMonitoring');
+const { recordPaymentAudit } = require('./auditLog');
+const { syncInvoiceWithPayment } = require('./invoiceLifecycle');
+const { logger } = require('./logger');
+
+const SWIFT_GATEWAY_KEY_FILE =
+  process.env.SWIFT_GATEWAY_SECRET_FILE || path.join(__dirname, '../keys/swift-gateway.key');
+
+/**
+ * Acknowledgement secret from SWIFT_GATEWAY_SECRET or the key file, generating
+ * the file outside production. The remote gateway signs with the same secret,
+ * so a random one per process would reject every genuine acknowledgement.
+ */
+function loadGatewaySecret() {
+  if (process.env.SWIFT_GATEWAY_SECRET) {
+    return process.env.SWIFT_GATEWAY_SECRET;
+  }
+  if (fs.existsSync(SWIFT_GATEWAY_KEY_FILE)) {
+    return fs.readFileSync(SWIFT_GATEWAY_KEY_FILE, 'utf8').trim();
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error(
+      'No SWIFT gateway secret - set SWIFT_GATEWAY_SECRET or SWIFT_GATEWAY_SECRET_FILE'
+    );
+  }
+
+  const secret = crypto.randomBytes(32).toString('hex');
+  fs.mkdirSync(path.dirname(SWIFT_GATEWAY_KEY_FILE), { recursive: true });
+  fs.writeFileSync(SWIFT_GATEWAY_KEY_FILE, `${secret}\n`, { mode: 0o600 });
+  logger.warn('Generated a development SWIFT gateway secret', { file: SWIFT_GATEWAY_KEY_FILE });
+  return secret;
+}
+
+const SWIFT_GATEWAY_CONFIG = {
+  adapter: process.env.SWIFT_GATEWAY_ADAPTER || 'simulator',
+  // Shared secret used to sign inbound acknowledgements
+  secret: loadGatewaySecret(),
+  signatureHeader: 'x-swift-signature',
+  simulatorAckDelayMs: parseInt(process.env.SWIFT_SIMULATOR_ACK_DELAY_MS, 10) || 5000,
+};
+
+const ACKNOWLEDGEMENT_STATUSES = ['completed', 'failed'];
+
+/**
+ * Local SWIFT simulator
+ *
+ * Accepts every payment, assigns a UETR-style reference and schedules an
+ * acknowledgement after `ackDelayMs`. The outcome of each payment is decided
+ * by `decide(payment)`, which defaults to completing everything.
+ *
+ * @param {Object} options
+ * @param {number} options.ackDelayMs - Delay before acknowledgements are delivered
+ * @param {Function} options.deliverAcknowledgements - Receives the acknowledgement batch
+ * @param {Function} options.decide - Returns { status, reason } for a payment
+ * @returns {Object} Gateway adapter
+ */
+function createSimulatorGateway(options = {}) {
+  const ackDelayMs = options.ackDelayMs ?? SWIFT_GATEWAY_CONFIG.simulatorAckDelayMs;
+  const deliverAcknowledgements = options.deliverAcknowledgements || applySwiftAcknowledgements;
+  const decide = options.decide || (() => ({ status: 'completed' }));
+
+  // Batches awaiting acknowledgement, keyed by timer handle
+  const scheduled = new Map();
+
+  const deliver = async handle => {
+    const acknowledgements = scheduled.get(handle);
+    scheduled.delete(handle);
+    clearTimeout(handle);
+
+    try {
+      await deliverAcknowledgements(acknowledgements);
+    } catch (error) {
+      logger.error('SWIFT simulator acknowledgement delivery failed', { error });
+    }
+  };
+
+  return {
+    name: 'simulator',
+
+    async submit(payments) {
+      const receipts = payments.map(payment => ({
+        transactionId: payment.transactionId,
+        accepted: true,
+        swiftReference: crypto.randomUUID(),
+      }));
+
+      const acknowledgements = receipts.map((receipt, index) => {
+        const outcome = decide(payments[index]);
+        return {
+          transactionId: receipt.transactionId,
+          swiftReference: receipt.swiftReference,
+          status: outcome.status,
+          reason: outcome.reason,
+        };
+      });
+
+      const handle = setTimeout(() => deliver(handle), ackDelayMs);
+      // Don't keep the process alive just for pending acknowledgements
+      if (typeof handle.unref === 'function') {
+        handle.unref();
+      }
+      scheduled.set(handle, acknowledgements);
+
+      return receipts;
+    },
+
+    /**
+     * Deliver every pending acknowledgement immediately (used by tests)
+     */
+    async flush() {
+      for (const handle of Array.from(scheduled.keys())) {
+        await deliver(handle);
+      }
+    },
+
+    pendingCount() {
+      return Array.from(scheduled.values()).reduce((sum, acks) => sum + acks.length, 0);
+    },
+  };
+}
+
+// Factories for the adapters that can be selected through SWIFT_GATEWAY_ADAPTER
+const ADAPTER_FACTORIES = {
+  simulator: createSimulatorGateway,
+};
+
+let activeGateway = null;
+
+/**
+ * Register an additional adapter factory (e.g. a vendor SWIFT connector)
+ */
+function registerSwiftGatewayAdapter(name, factory) {
+  if (typeof factory !== 'function') {
+    throw new Error('SWIFT gateway factory must be a function');
+  }
+  ADAPTER_FACTORIES[name] = factory;
+}
+
+/**
+ * Get the configured gateway adapter (created on first use)
+ */
+function getSwiftGateway() {
+  if (!activeGateway) {
+    const factory = ADAPTER_FACTORIES[SWIFT_GATEWAY_CONFIG.adapter];
+    if (!factory) {
+      throw new Error(`Unknown SWIFT gateway adapter: ${SWIFT_GATEWAY_CONFIG.adapter}`);
+    }
+    activeGateway = factory();
+  }
+  return activeGateway;
+}
+
+/**
+ * Replace the active gateway adapter (pass null to fall back to configuration)
+ */
+function setSwiftGateway(adapter) {
+  if (adapter && (typeof adapter.submit !== 'function' || !adapter.name)) {
+    throw new Error('SWIFT gateway adapter must have a name and a submit() function');
+  }
+  activeGateway = adapter;
+}
+
+/**
+ * Canonical string that acknowledgement signatures are computed over
+ */
+function canonicalizeAcknowledgements(acknowledgements) {
+  return acknowledgements
+    .map(ack => [ack.transactionId, ack.swiftReference, ack.status, ack.reason || ''].join('|'))
+    .join('\n');
+}
+
+/**
+ * Sign an acknowledgement batch (HMAC-SHA256, hex)
+ */
+function signAcknowledgements(acknowledgements, secret = SWIFT_GATEWAY_CONFIG.secret) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(canonicalizeAcknowledgements(acknowledgements))
+    .digest('hex');
+}
+
+/**
+ * Verify an acknowledgement batch signature in constant time
+ */
+function verifyAcknowledgementSignature(
+  acknowledgements,
+  signature,
+  secret = SWIFT_GATEWAY_CONFIG.secret
+) {
+  if (typeof signature !== 'string' || !/^[a-f0-9]{64}$/.test(signature)) {
+    return false;
+  }
+
+  const expected = Buffer.from(signAcknowledgements(acknowledgements, secret), 'hex');
+  return crypto.timingSafeEqual(expected, Buffer.from(signature, 'hex'));
+}
+
+/**
+ * Apply gateway acknowledgements to their payments
+ *
+ * Each acknowledgement must match a payment that is currently
+ * submitted_to_swift under the same SWIFT reference.
+ *
+ * @param {Array<Object>} acknowledgements
+ * @returns {Promise<Array<Object>>} One result per acknowledgement
+ */
+async function applySwiftAcknowledgements(acknowledgements) {
+  const results = [];
+
+  for (const ack of acknowledgements) {
+    const { transactionId, swiftReference, status } = ack;
+
+    if (!ACKNOWLEDGEMENT_STATUSES.includes(status)) {
+      results.push({ transactionId, applied: false, reason: 'Invalid acknowledgement status' });
+      continue;
+    }
+
+    const payment = await Payment.findOne({ transactionId });
+
+    if (!payment) {
+      results.push({ transactionId, applied: false, reason: 'Transaction not found' });
+      continue;
+    }
+
+    if (payment.status !== 'submitted_to_swift') {
+      results.push({ transactionId, applied: false, reason: `Transaction is ${payment.status}` });
+      continue;
+    }
+
+    if (payment.swiftReference !== swiftReference) {
+      results.push({ transactionId, applied: false, reason: 'SWIFT reference mismatch' });
+      continue;
+    }
+
+    if (status === 'completed') {
+      await payment.complete();
+    } else {
+      await payment.fail(ack.reason || 'Rejected by SWIFT network');
+    }
+
+    await recordPaymentAudit({
+      transactionId,
+      action: status === 'completed' ? 'swift_completed' : 'swift_failed',
+      actor: { type: 'gateway', id: payment.swiftGateway },
+      fromStatus: 'submitted_to_swift',
+      toStatus: payment.status,
+      payload: { swiftReference, status, reason: ack.reason },
+    });
+
+    // Completion marks the invoice paid; failure cancels it with a credit note
+    await syncInvoiceWithPayment(payment);
+
+    createSecurityEvent('swift_acknowledgement', {
+      transactionId,
+      swiftReference,
+      newStatus: payment.status,
+      failureReason: payment.failureReason,
+    });
+
+    results.push({ transactionId, applied: true, status: payment.status });
+  }
+
+  return results;
+}
+
+module.exports = {
+  SWIFT_GATEWAY_CONFIG,
+  ACKNOWLEDGEMENT_STATUSES,
+  createSimulatorGateway,
+  registerSwiftGatewayAdapter,
+  getSwiftGateway,
+  setSwiftGateway,
+  signAcknowledgements,
+  verifyAcknowledgementSignature,
+  applySwiftAcknowledgements,
+};
@@ -27,8 +27,8 @@ const validateEmail = () => {
     .customSanitizer(sanitizeString);
 };
 
-const validatePassword = () => {
-  return body('password')
+const validatePassword = (field = 'password') => {
+  return body(field)
     .isLength({ min: 8 })
     .withMessage('Password must be at least 8 characters')
     .matches(PASSWORD_REGEX)
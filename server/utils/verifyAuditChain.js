@@ -0,0 +1,46 @@
+/**
+ * Verify Audit Chain Script
+ * Walks the payment audit log (models/AuditEntry.js) and reports missing
+ * entries, broken hash links and edited entries.
+ * Exits with status 1 when the chain is broken, so it can run from cron or CI.
+ * Keep the printed head (sequence + hash) outside the database and compare it
+ * on the next run - a chain rewritten from the edit onwards only shows up there.
+ */
+
+const mongoose = require('mongoose');
+const { verifyAuditChain } = require('./auditLog');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/insy7314_payment_portal';
+
+async function checkAuditChain() {
+  try {
+    console.log('🔄 Connecting to MongoDB...');
+    await mongoose.connect(MONGODB_URI);
+    console.log('✅ Connected\n');
+
+    const result = await verifyAuditChain();
+
+    console.log(`   ✓ Entries checked: ${result.checked}`);
+    if (result.head) {
+      console.log(`   ✓ Head: #${result.head.sequence} ${result.head.hash}`);
+    }
+
+    await mongoose.connection.close();
+
+    if (!result.valid) {
+      console.error(`\n❌ Audit chain is broken (${result.problems.length} problem(s)):`);
+      result.problems.forEach(({ sequence, problem }) => {
+        console.error(`   #${sequence}: ${problem}`);
+      });
+      process.exit(1);
+    }
+
+    console.log('\n✅ Audit chain is intact');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error verifying audit chain:', error);
+    process.exit(1);
+  }
+}
+
+checkAuditChain();
@@ -0,0 +1,241 @@
+/**
+ * STREAMING XLSX WRITER
+ *
+ * Writes a single-sheet Office Open XML workbook row by row, so exports never
+ * hold the whole result set in memory. The workbook is a ZIP archive: the
+ * fixed parts are written first, then the worksheet is deflated in batches
+ * and closed with a data descriptor once its size and CRC are known.
+ *
+ * Cells are numbers or inline strings; values are never written as formulas.
+ */
+
+const zlib = require('zlib');
+
+const XLSX_CONFIG = {
+  // Uncompressed worksheet bytes deflated per batch
+  batchSize: 64 * 1024,
+  contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+const ZIP_FLAGS = 0x0808; // Sizes follow in a data descriptor, UTF-8 names
+const ZIP_DEFLATE = 8;
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+const STATIC_PARTS = sheetName => ({
+  '[Content_Types].xml':
+    `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+    '</Types>',
+  '_rels/.rels':
+    `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+    '</Relationships>',
+  'xl/workbook.xml':
+    `${XML_HEADER}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ` +
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+    `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+  'xl/_rels/workbook.xml.rels':
+    `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+    '</Relationships>',
+});
+
+// Characters XML 1.0 cannot carry at all
+// eslint-disable-next-line no-control-regex
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+function escapeXml(text) {
+  return String(text)
+    .replace(INVALID_XML_CHARS, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Spreadsheet column letters for a zero-based index (0 -> A, 26 -> AA)
+ */
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+function cellXml(value, ref) {
+  if (value === null || value === undefined || value === '') {
+    return '';
+  }
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}"><v>${value}</v></c>`;
+  }
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+}
+
+// MS-DOS date and time fields for ZIP headers
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+/**
+ * Minimal streaming ZIP archive (deflate, no ZIP64 - exports stay well under 4 GB)
+ *
+ * @param {Function} write - Async function writing a Buffer to the output
+ */
+function createZipWriter(write) {
+  const entries = [];
+  const stamp = dosDateTime(new Date());
+  let offset = 0;
+
+  const emit = async buffer => {
+    offset += buffer.length;
+    await write(buffer);
+  };
+
+  /**
+   * Start an entry; its data is written through the returned handle
+   */
+  async function openEntry(name) {
+    const fileName = Buffer.from(name, 'utf8');
+    const entry = { fileName, offset, crc: 0, compressedSize: 0, size: 0 };
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(ZIP_FLAGS, 6);
+    header.writeUInt16LE(ZIP_DEFLATE, 8);
+    header.writeUInt16LE(stamp.time, 10);
+    header.writeUInt16LE(stamp.date, 12);
+    // CRC and sizes (offsets 14-25) stay zero until the data descriptor
+    header.writeUInt16LE(fileName.length, 26);
+    await emit(Buffer.concat([header, fileName]));
+
+    return {
+      // Each batch is deflated on its own and sync-flushed, so the batches
+      // join into one valid deflate stream
+      async write(data) {
+        const chunk = Buffer.from(data, 'utf8');
+        const compressed = zlib.deflateRawSync(chunk, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+        entry.crc = zlib.crc32(chunk, entry.crc);
+        entry.size += chunk.length;
+        entry.compressedSize += compressed.length;
+        await emit(compressed);
+      },
+
+      async close() {
+        // Empty final block ends the deflate stream
+        const last = zlib.deflateRawSync(Buffer.alloc(0));
+        entry.compressedSize += last.length;
+        await emit(last);
+
+        const descriptor = Buffer.alloc(16);
+        descriptor.writeUInt32LE(0x08074b50, 0);
+        descriptor.writeUInt32LE(entry.crc, 4);
+        descriptor.writeUInt32LE(entry.compressedSize, 8);
+        descriptor.writeUInt32LE(entry.size, 12);
+        await emit(descriptor);
+        entries.push(entry);
+      },
+    };
+  }
+
+  async function addEntry(name, data) {
+    const entry = await openEntry(name);
+    await entry.write(data);
+    await entry.close();
+  }
+
+  async function finish() {
+    const directoryOffset = offset;
+    for (const entry of entries) {
+      const record = Buffer.alloc(46);
+      record.writeUInt32LE(0x02014b50, 0);
+      record.writeUInt16LE(20, 4);
+      record.writeUInt16LE(20, 6);
+      record.writeUInt16LE(ZIP_FLAGS, 8);
+      record.writeUInt16LE(ZIP_DEFLATE, 10);
+      record.writeUInt16LE(stamp.time, 12);
+      record.writeUInt16LE(stamp.date, 14);
+      record.writeUInt32LE(entry.crc, 16);
+      record.writeUInt32LE(entry.compressedSize, 20);
+      record.writeUInt32LE(entry.size, 24);
+      record.writeUInt16LE(entry.fileName.length, 28);
+      record.writeUInt32LE(entry.offset, 42);
+      await emit(Buffer.concat([record, entry.fileName]));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(offset - directoryOffset, 12);
+    end.writeUInt32LE(directoryOffset, 16);
+    await emit(end);
+  }
+
+  return { openEntry, addEntry, finish };
+}
+
+/**
+ * Streaming single-sheet workbook
+ *
+ * @param {Function} write - Async function writing a Buffer to the output
+ * @param {Object} options - { sheetName }
+ * @returns {Object} { start(), addRow(values), end() }
+ */
+function createXlsxWriter(write, { sheetName = 'Sheet1' } = {}) {
+  const zip = createZipWriter(write);
+  let sheet;
+  let pending = '';
+  let rowNumber = 0;
+
+  const flush = async () => {
+    if (pending) {
+      await sheet.write(pending);
+      pending = '';
+    }
+  };
+
+  return {
+    async start() {
+      for (const [name, xml] of Object.entries(STATIC_PARTS(sheetName))) {
+        await zip.addEntry(name, xml);
+      }
+      sheet = await zip.openEntry('xl/worksheets/sheet1.xml');
+      pending =
+        `${XML_HEADER}<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">` +
+        '<sheetData>';
+    },
+
+    async addRow(values) {
+      rowNumber += 1;
+      const cells = values.map((value, i) => cellXml(value, `${columnName(i)}${rowNumber}`));
+      pending += `<row r="${rowNumber}">${cells.join('')}</row>`;
+      if (pending.length >= XLSX_CONFIG.batchSize) {
+        await flush();
+      }
+    },
+
+    async end() {
+      pending += '</sheetData></worksheet>';
+      await flush();
+      await sheet.close();
+      await zip.finish();
+    },
+  };
+}
+
+module.exports = {
+  XLSX_CONFIG,
+  createXlsxWriter,
+};